@@ -36,6 +36,18 @@ const database = require('./config/database');
 const User = require('./models/User');
 const Wallet = require('./models/Wallet');
 const Transaction = require('./models/Transaction');
+const paymentIntentService = require('./services/paymentIntentService');
+const feeScheduleService = require('./services/feeScheduleService');
+const PaymentWatcherService = require('./services/paymentWatcherService');
+const invoiceService = require('./services/invoiceService');
+const settlementService = require('./services/settlementService');
+const stakingPayoutService = require('./services/stakingPayoutService');
+const vaultHealthService = require('./services/vaultHealthService');
+const loyaltyTierService = require('./services/loyaltyTierService');
+const rewardQueueService = require('./services/rewardQueueService');
+const giftCardCheckoutService = require('./services/giftCardCheckoutService');
+const { getChainAdapter } = require('./services/chainAdapter');
+const paymentWatcher = new PaymentWatcherService();
 
 // Validate required environment variables
 const requiredEnvVars = [
@@ -1090,6 +1102,14 @@ app.use('/api/admin', adminRoutes);
 const blockchainRoutes = require('./routes/blockchain');
 app.use('/api/blockchain', blockchainRoutes);
 
+// Include real-time payment stream routes (Server-Sent Events)
+const streamRoutes = require('./routes/stream');
+app.use('/api/stream', streamRoutes);
+
+// Include public invoice / payment link routes
+const invoiceRoutes = require('./routes/invoices');
+app.use('/api/invoices', invoiceRoutes);
+
 // KYC routes removed - not needed in vendor-only system
 
 // Include Business routes
@@ -1129,6 +1149,16 @@ app.get('/admin.html', (req, res) => {
   res.sendFile(path.join(__dirname, '../../frontend/pages/admin.html'));
 });
 
+// Public invoice / payment link page
+app.get('/pay/:invoiceId', (req, res) => {
+  res.sendFile(path.join(__dirname, '../../frontend/pages/pay.html'));
+});
+
+// Public gift card claim link page
+app.get('/claim/:cardId', (req, res) => {
+  res.sendFile(path.join(__dirname, '../../frontend/pages/claim-gift-card.html'));
+});
+
 // Global error handler (must be last middleware)
 app.use(securityMiddleware.sanitizeErrors);
 
@@ -1141,12 +1171,45 @@ async function startServer() {
     // Load password blacklist
     await loadPasswordBlacklist();
     
+    // Load fee schedules (seeds version 1 from the payment config on first start)
+    const feeSchedule = await feeScheduleService.initialize();
+    console.log(`💲 Fee schedule v${feeSchedule.version} in effect`);
+    
+    // Expire unpaid payment intents in the background
+    paymentIntentService.startExpirySweep();
+    
+    // Confirm Solana Pay payments on-chain without client polling
+    paymentWatcher.start();
+    
+    // Flag unpaid invoices past their due date
+    invoiceService.startOverdueSweep();
+    
+    // Close ended settlement periods into locked batches
+    settlementService.startSweep();
+    
+    // Draft quarterly staking dividend payouts and confirm sent transfers
+    stakingPayoutService.startSweep();
+    
+    // Check vault reserves, raise alerts and pause rewards below the reserve floor
+    vaultHealthService.startMonitor({ sendEmail });
+    
+    // Promote and demote customer loyalty tiers on rolling spend and visits
+    loyaltyTierService.startSweep({ sendEmail });
+    
+    // Send queued payment rewards in batches, retrying failed sends
+    rewardQueueService.startSweep();
+    
+    // Reimburse merchants for gift card draw-downs the vault could not fund yet
+    giftCardCheckoutService.startSweep();
+    
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 Pizza Platform Backend running on port ${PORT}`);
       console.log(`🔒 Security features enabled: 2FA, Rate limiting, Account lockouts`);
       console.log(`📧 Email service: ${EMAIL_CONFIG.host}:${EMAIL_CONFIG.port}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+      const chain = getChainAdapter();
+      console.log(`⛓️ Chain: ${chain.isSimulated ? 'in-memory ledger (offline demo mode)' : chain.rpcEndpoint} [${chain.cluster}]`);
     });
     
   } catch (error) {
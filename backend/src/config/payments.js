@@ -0,0 +1,280 @@
+/**
+ * Payment configuration
+ *
+ * Order totals are variable and bounded by configurable limits.
+ * Fees and rewards are expressed as rates so they scale with the real amount
+ * (the legacy $15 payment keeps its original 0.3 $PIZZA SPL / $0.15 reward).
+ */
+
+const USDC_DECIMALS = 6;
+
+const paymentConfig = {
+  minAmount: parseFloat(process.env.PAYMENT_MIN_AMOUNT) || 1,      // $1 USDC minimum order
+  maxAmount: parseFloat(process.env.PAYMENT_MAX_AMOUNT) || 1000,   // $1,000 USDC maximum order
+  defaultAmount: 15,                                               // Legacy default order total
+  platformFeeRate: 0.01,                                           // 1% platform fee (CN)
+  vaultContributionRate: 0.013,                                    // 1.3% vault contribution (CN)
+  ncnPlatformFeeRate: 0.0145,                                      // 1.45% platform fee (NCN)
+  rewardRate: 0.02,                                                // 0.02 $PIZZA SPL per $1 (0.3 per $15)
+  rewardCostRate: 0.01,                                            // $0.01 reward cost per $1 ($0.15 per $15)
+  intentTtlMinutes: parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES) || 15, // QR payment window
+  maxTipPercent: parseFloat(process.env.PAYMENT_MAX_TIP_PERCENT) || 50,    // Highest tip customers can add
+  maxBillSplits: parseInt(process.env.PAYMENT_MAX_BILL_SPLITS) || 20       // Most QR codes one bill can be split into
+};
+
+// Background on-chain payment watcher (PaymentWatcherService)
+const paymentWatcherConfig = {
+  enabled: process.env.PAYMENT_WATCHER_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.PAYMENT_WATCHER_INTERVAL_MS) || 5000,          // Scan cadence
+  batchSize: parseInt(process.env.PAYMENT_WATCHER_BATCH_SIZE) || 50,              // Open and late intents per scan (each)
+  retryBaseMs: parseInt(process.env.PAYMENT_WATCHER_RETRY_BASE_MS) || 5000,       // First RPC retry delay
+  retryMaxMs: parseInt(process.env.PAYMENT_WATCHER_RETRY_MAX_MS) || 5 * 60 * 1000, // Backoff ceiling
+  lateGraceMinutes: parseInt(process.env.PAYMENT_WATCHER_LATE_GRACE_MINUTES) || 60 // Keep watching expired intents
+};
+
+// Multi-token checkout - customers pay in SOL, $PIZZA SPL or an allow-listed SPL token,
+// swapped to USDC through Jupiter inside the payment transaction (merchants always settle in USDC)
+const checkoutConfig = {
+  quoteTtlSeconds: parseInt(process.env.CHECKOUT_QUOTE_TTL_SECONDS) || 30,        // How long a swap quote can be paid
+  defaultSlippageBps: parseInt(process.env.CHECKOUT_DEFAULT_SLIPPAGE_BPS) || 50,  // 0.5%
+  maxSlippageBps: parseInt(process.env.CHECKOUT_MAX_SLIPPAGE_BPS) || 300,         // 3% - customer protection ceiling
+  maxSwapAccounts: parseInt(process.env.CHECKOUT_MAX_SWAP_ACCOUNTS) || 20,        // Keeps swap + fee split in one legacy transaction
+  // Extra tokens as SYMBOL:mint pairs, e.g. "BONK:DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263"
+  extraTokens: (process.env.CHECKOUT_EXTRA_TOKENS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+};
+
+// Merchant settlement batches - confirmed payments and refunds grouped per business and period
+const settlementConfig = {
+  closeDelayMinutes: parseInt(process.env.SETTLEMENT_CLOSE_DELAY_MINUTES) || 60, // Grace for late confirmations before a period closes
+  sweepIntervalMs: parseInt(process.env.SETTLEMENT_SWEEP_INTERVAL_MS) || 15 * 60 * 1000
+};
+
+// Double-entry ledger (LedgerService)
+const ledgerConfig = {
+  giftCardAllocationRate: parseFloat(process.env.LEDGER_GIFT_CARD_ALLOCATION_RATE) || 0.084,    // Share of each vault contribution reserved for gift cards
+  reconciliationTolerance: parseFloat(process.env.LEDGER_RECONCILIATION_TOLERANCE) || 0.000001  // Ledger vs on-chain difference still treated as matched
+};
+
+// Platform vault policy defaults (VaultService) - admins can change the policy on the Vault document
+const vaultConfig = {
+  rewardsShare: parseFloat(process.env.VAULT_REWARDS_SHARE) || 0.675,                // Target share of the liquid vault kept for rewards
+  giftCardsShare: parseFloat(process.env.VAULT_GIFT_CARDS_SHARE) || 0.084,           // Target share kept for gift card redemptions
+  rebalanceTolerance: parseFloat(process.env.VAULT_REBALANCE_TOLERANCE) || 0.05,     // Drift from target (share of liquid vault) before rebalancing
+  minRebalanceAmount: parseFloat(process.env.VAULT_MIN_REBALANCE_AMOUNT) || 1,       // Smallest bucket move in USDC
+  stakingApy: parseFloat(process.env.VAULT_STAKING_APY) || 0.04,                     // Expected Kamino APY
+  merchantYieldShare: parseFloat(process.env.VAULT_MERCHANT_YIELD_SHARE) || 0.5      // Share of staking yield paid out to merchants
+};
+
+// Scheduled vault health checks (VaultHealthService) - admins can change the thresholds on the Vault document
+const vaultHealthConfig = {
+  checkIntervalMs: parseInt(process.env.VAULT_HEALTH_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+  minRewardRunwayDays: parseFloat(process.env.VAULT_HEALTH_MIN_REWARD_RUNWAY_DAYS) || 30,             // Days the reward bucket lasts at the 30-day burn rate
+  maxGiftCardLiabilityRatio: parseFloat(process.env.VAULT_HEALTH_MAX_GIFT_CARD_LIABILITY_RATIO) || 1, // Outstanding gift card value vs the gift card allocation
+  maxStakedRatio: parseFloat(process.env.VAULT_HEALTH_MAX_STAKED_RATIO) || 0.8,                      // Share of the vault staked in Kamino
+  rewardReserveFloor: parseFloat(process.env.VAULT_HEALTH_REWARD_RESERVE_FLOOR) || 25,               // Reward bucket USDC below which reward distribution pauses
+  // Alert recipients; active super admins are emailed when empty
+  alertEmails: (process.env.VAULT_HEALTH_ALERT_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean)
+};
+
+// Quarterly staking dividend payouts (StakingPayoutService)
+const stakingPayoutConfig = {
+  sweepIntervalMs: parseInt(process.env.STAKING_PAYOUT_SWEEP_INTERVAL_MS) || 6 * 60 * 60 * 1000  // How often ended quarters are drafted and sent payouts confirmed
+};
+
+// Durable $PIZZA SPL reward delivery (RewardQueueService)
+const rewardQueueConfig = {
+  intervalMs: parseInt(process.env.REWARD_QUEUE_INTERVAL_MS) || 15000,                   // How often queued rewards are sent
+  batchSize: parseInt(process.env.REWARD_QUEUE_BATCH_SIZE) || 8,                         // Recipients per multi-transfer transaction
+  maxBatchesPerRun: parseInt(process.env.REWARD_QUEUE_MAX_BATCHES_PER_RUN) || 25,        // Keeps one run from hogging the RPC
+  maxAttempts: parseInt(process.env.REWARD_QUEUE_MAX_ATTEMPTS) || 5,                     // Failed sends before a reward is dead-lettered
+  retryBaseMs: parseInt(process.env.REWARD_QUEUE_RETRY_BASE_MS) || 30000,                // First retry delay, doubled per failure
+  retryMaxMs: parseInt(process.env.REWARD_QUEUE_RETRY_MAX_MS) || 30 * 60 * 1000,         // Backoff ceiling
+  sendingTimeoutMs: parseInt(process.env.REWARD_QUEUE_SENDING_TIMEOUT_MS) || 5 * 60 * 1000 // A batch still "sending" after this is looked up on-chain
+};
+
+// Referral program defaults (ReferralService) - used while no referral campaign is running
+const referralConfig = {
+  referrerBonus: parseFloat(process.env.REFERRAL_REFERRER_BONUS) || 1,                 // $PIZZA SPL to the customer who shared the code
+  refereeBonus: parseFloat(process.env.REFERRAL_REFEREE_BONUS) || 0.5,                 // $PIZZA SPL to the new customer
+  minFirstPayment: parseFloat(process.env.REFERRAL_MIN_FIRST_PAYMENT) || 5,            // Smallest confirmed payment that qualifies the referral
+  qualificationDays: parseInt(process.env.REFERRAL_QUALIFICATION_DAYS) || 30,          // Days after signup to make the qualifying payment
+  maxRewardedPerCode: parseInt(process.env.REFERRAL_MAX_REWARDED_PER_CODE) || 50       // Referrer bonuses paid per code
+};
+
+// NFT gift cards (GiftCardService) - business-funded, minted in campaigns
+const giftCardConfig = {
+  cardValue: parseFloat(process.env.GIFT_CARD_VALUE) || 5,                            // $PIZZA SPL per card
+  mintingCost: parseFloat(process.env.GIFT_CARD_MINTING_COST) || 0.5,                 // USDC per card, paid by the business
+  expiryDays: parseInt(process.env.GIFT_CARD_EXPIRY_DAYS) || 30,                      // Unused value reverts to the treasury after this
+  monthlyQuota: parseInt(process.env.GIFT_CARD_MONTHLY_QUOTA) || 100,                 // Cards a business can mint per calendar month
+  maxCardsPerOrder: parseInt(process.env.GIFT_CARD_MAX_CARDS_PER_ORDER) || 5,          // Cards one checkout can draw down
+  reimbursementIntervalMs: parseInt(process.env.GIFT_CARD_REIMBURSEMENT_INTERVAL_MS) || 5 * 60 * 1000 // Retry unfunded merchant reimbursements
+};
+
+// Customer loyalty tiers (LoyaltyTierService) - rolling spend and visits, per business and platform-wide
+const loyaltyTierConfig = {
+  windowDays: parseInt(process.env.LOYALTY_TIER_WINDOW_DAYS) || 90,                                  // Rolling window spend and visits are counted over
+  evaluationIntervalMs: parseInt(process.env.LOYALTY_TIER_EVALUATION_INTERVAL_MS) || 24 * 60 * 60 * 1000, // How often the promotion/demotion job runs
+  batchSize: parseInt(process.env.LOYALTY_TIER_BATCH_SIZE) || 100,                                   // Customers re-tiered per activity query
+  // Lowest first. A customer holds the highest tier whose spend (USDC, excluding tips and
+  // refunds) and visit minimums they both meet in the window.
+  tiers: [
+    {
+      name: 'slice',
+      label: 'Slice',
+      rewardMultiplier: 1,
+      perks: ['$PIZZA SPL rewards on every order'],
+      business: { minSpend: 0, minVisits: 0 },
+      platform: { minSpend: 0, minVisits: 0 }
+    },
+    {
+      name: 'pie',
+      label: 'Pie',
+      rewardMultiplier: 1.25,
+      perks: ['1.25x $PIZZA SPL rewards', 'Merchant offers for Pie members'],
+      business: { minSpend: 100, minVisits: 5 },
+      platform: { minSpend: 250, minVisits: 10 }
+    },
+    {
+      name: 'pizzeria',
+      label: 'Pizzeria',
+      rewardMultiplier: 1.5,
+      perks: ['1.5x $PIZZA SPL rewards', 'Merchant offers for Pie and Pizzeria members'],
+      business: { minSpend: 300, minVisits: 12 },
+      platform: { minSpend: 750, minVisits: 25 }
+    }
+  ]
+};
+
+// Emergency vault withdrawals (VaultWithdrawalService) - M-of-N super admin approval
+const vaultWithdrawalConfig = {
+  requiredApprovals: parseInt(process.env.VAULT_WITHDRAWAL_REQUIRED_APPROVALS) || 2,           // Super admin approvals (proposer included) before the time-lock starts
+  timeLockHours: parseFloat(process.env.VAULT_WITHDRAWAL_TIMELOCK_HOURS) || 24,                // Delay after quorum before execution - the cancellation window
+  approvalWindowHours: parseFloat(process.env.VAULT_WITHDRAWAL_APPROVAL_WINDOW_HOURS) || 72,   // Proposals without quorum expire after this
+  executionWindowHours: parseFloat(process.env.VAULT_WITHDRAWAL_EXECUTION_WINDOW_HOURS) || 48, // Unlocked withdrawals expire if not executed within this
+  limitPercent: parseFloat(process.env.VAULT_WITHDRAWAL_LIMIT_PERCENT) || 20                  // Largest withdrawal as a % of the liquid vault (never more than the surplus)
+};
+
+/**
+ * Round a value to USDC precision (6 decimals)
+ * @param {number} value - Amount in USDC
+ * @returns {number} - Rounded amount
+ */
+function roundUSDC(value) {
+  return Math.round(Number(value) * Math.pow(10, USDC_DECIMALS)) / Math.pow(10, USDC_DECIMALS);
+}
+
+/**
+ * USDC value of a $PIZZA SPL amount, at the rate rewards are funded at
+ * @param {number} amount - Amount in $PIZZA SPL
+ * @returns {number} - Value in USDC
+ */
+function pizzaToUSDC(amount) {
+  return roundUSDC(amount * paymentConfig.rewardCostRate / paymentConfig.rewardRate);
+}
+
+/**
+ * $PIZZA SPL amount worth a USDC value (inverse of pizzaToUSDC)
+ * @param {number} amount - Value in USDC
+ * @returns {number} - Amount in $PIZZA SPL
+ */
+function usdcToPizza(amount) {
+  return roundUSDC(amount * paymentConfig.rewardRate / paymentConfig.rewardCostRate);
+}
+
+/**
+ * Validate an order total against the configured limits
+ * @param {number|string} amount - Requested order total in USDC
+ * @returns {Object} - { valid, amount, error }
+ */
+function validatePaymentAmount(amount) {
+  const numericAmount = typeof amount === 'string' ? Number(amount) : amount;
+
+  if (typeof numericAmount !== 'number' || !Number.isFinite(numericAmount)) {
+    return { valid: false, error: 'Payment amount must be a number' };
+  }
+
+  if (numericAmount < paymentConfig.minAmount || numericAmount > paymentConfig.maxAmount) {
+    return {
+      valid: false,
+      error: `Payment amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`
+    };
+  }
+
+  if (roundUSDC(numericAmount) !== numericAmount) {
+    return { valid: false, error: `Payment amount supports at most ${USDC_DECIMALS} decimal places` };
+  }
+
+  return { valid: true, amount: numericAmount };
+}
+
+/**
+ * Validate a tip added on top of an order total
+ * Tips go to the business in full and are excluded from the platform fee base.
+ * @param {number|string} tipAmount - Tip in USDC
+ * @param {number} amount - Order total in USDC including the tip
+ * @returns {Object} - { valid, tipAmount, error }
+ */
+function validateTipAmount(tipAmount, amount) {
+  const numericTip = typeof tipAmount === 'string' ? Number(tipAmount) : tipAmount;
+
+  if (typeof numericTip !== 'number' || !Number.isFinite(numericTip) || numericTip < 0) {
+    return { valid: false, error: 'Tip amount must be a positive number' };
+  }
+
+  if (roundUSDC(numericTip) !== numericTip) {
+    return { valid: false, error: `Tip amount supports at most ${USDC_DECIMALS} decimal places` };
+  }
+
+  if (numericTip >= amount) {
+    return { valid: false, error: 'Tip amount must be less than the payment amount' };
+  }
+
+  return { valid: true, tipAmount: numericTip };
+}
+
+/**
+ * Tip for a percentage of the order subtotal, rounded to the cent
+ * @param {number} subtotal - Order subtotal in USDC (before tip)
+ * @param {number} tipPercent - Tip percentage (e.g. 15)
+ * @returns {number} - Tip in USDC
+ */
+function calculateTip(subtotal, tipPercent = 0) {
+  return Math.round(subtotal * tipPercent) / 100;
+}
+
+/**
+ * Calculate the $PIZZA SPL reward and its USDC cost for an order total
+ * @param {number} amount - Order total in USDC
+ * @returns {Object} - { rewardAmount, rewardCost }
+ */
+function calculateReward(amount) {
+  return {
+    rewardAmount: roundUSDC(amount * paymentConfig.rewardRate),
+    rewardCost: roundUSDC(amount * paymentConfig.rewardCostRate)
+  };
+}
+
+module.exports = {
+  USDC_DECIMALS,
+  paymentConfig,
+  paymentWatcherConfig,
+  checkoutConfig,
+  settlementConfig,
+  ledgerConfig,
+  vaultConfig,
+  vaultWithdrawalConfig,
+  vaultHealthConfig,
+  stakingPayoutConfig,
+  loyaltyTierConfig,
+  rewardQueueConfig,
+  referralConfig,
+  giftCardConfig,
+  roundUSDC,
+  pizzaToUSDC,
+  usdcToPizza,
+  validatePaymentAmount,
+  validateTipAmount,
+  calculateTip,
+  calculateReward
+};
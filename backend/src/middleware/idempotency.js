@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * Idempotency-Key Middleware
+ * Lets money-moving POST routes be retried safely: the first response for a key
+ * is stored and replayed on retry, and a key reused with a different body is rejected.
+ *
+ * Usage (after authenticateToken so keys are scoped per user):
+ *   router.post('/payment/process', limiter, authenticateToken, idempotency(), [...], handler)
+ */
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+const DEFAULT_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Idempotency logger
+const idempotencyLogger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/idempotency.log' }),
+    new winston.transports.Console({
+      format: winston.format.simple(),
+      level: 'error'
+    })
+  ]
+});
+
+/**
+ * JSON with object keys sorted so equivalent bodies hash the same
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Hash of the parts of a request that must match on retry
+ */
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}\n${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * Create Idempotency-Key middleware
+ * @param {Object} options - { required: reject requests without a key, ttlHours: replay window }
+ */
+const idempotency = (options = {}) => {
+  const { required = false, ttlHours = DEFAULT_TTL_HOURS } = options;
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (!key) {
+      if (required) {
+        return res.status(400).json({
+          error: 'Idempotency-Key header is required',
+          code: 'IDEMPOTENCY_KEY_REQUIRED'
+        });
+      }
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: 'Idempotency-Key must be 8-255 characters (letters, digits, - _ : .)',
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    const scope = req.user?._id ? `user:${req.user._id}` : `ip:${req.ip}`;
+    const path = `${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        scope,
+        method: req.method,
+        path,
+        requestHash,
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        idempotencyLogger.error('Idempotency key store failed', { path, error: error.message });
+        return res.status(500).json({ error: 'Failed to process request' });
+      }
+
+      // Key already used by this caller - replay, or reject a mismatched retry
+      const existing = await IdempotencyKey.findOne({ scope, key }).catch(lookupError => {
+        idempotencyLogger.error('Idempotency key lookup failed', { path, error: lookupError.message });
+        return null;
+      });
+      if (existing && existing.requestHash !== requestHash) {
+        idempotencyLogger.warn('Idempotency key reused with a different request', {
+          scope,
+          path,
+          originalPath: existing.path,
+          ip: req.ip
+        });
+        return res.status(422).json({
+          error: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      // Missing here means the first attempt just released the key
+      if (!existing || existing.status !== 'completed') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      idempotencyLogger.info('Replaying idempotent response', { scope, path });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the handler's JSON response for replay
+    let settled = false;
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        const responseStatus = res.statusCode;
+
+        // Server errors are not cached so the client can retry with the same key
+        const store = responseStatus >= 500
+          ? IdempotencyKey.deleteOne({ _id: record._id })
+          : IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { status: 'completed', responseStatus, responseBody: body, completedAt: new Date() } }
+          );
+
+        store.catch(error => {
+          idempotencyLogger.error('Failed to store idempotent response', { scope, path, error: error.message });
+        });
+      }
+      return originalJson(body);
+    };
+
+    // Responses sent without res.json release the key (an aborted client still gets
+    // its res.json call recorded, so a retry cannot run the handler twice)
+    res.on('finish', () => {
+      if (!settled) {
+        settled = true;
+        IdempotencyKey.deleteOne({ _id: record._id }).catch(error => {
+          idempotencyLogger.error('Failed to release idempotency key', { scope, path, error: error.message });
+        });
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency,
+  hashRequest,
+  canonicalJson,
+  IDEMPOTENCY_HEADER
+};
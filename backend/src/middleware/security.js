@@ -3,6 +3,7 @@ const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss');
 const validator = require('validator');
 const winston = require('winston');
+const { validatePaymentAmount } = require('../config/payments');
 
 /**
  * Enhanced Security Middleware Suite
@@ -267,22 +268,25 @@ const authorizeBusinessAccess = async (req, res, next) => {
 
 /**
  * Transaction Amount Validation
+ * Enforces the configured min/max order total and normalizes req.body.amount to a number
  */
 const validateTransactionAmount = (req, res, next) => {
   const { amount } = req.body;
+  const amountCheck = validatePaymentAmount(amount);
   
-  if (amount !== 15) {
+  if (!amountCheck.valid) {
     securityLogger.warn('Invalid transaction amount attempt', {
       attemptedAmount: amount,
       userId: req.user?._id,
       ip: req.ip
     });
     return res.status(400).json({ 
-      error: 'Invalid transaction amount. All transactions must be $15 USDC',
+      error: `Invalid transaction amount. ${amountCheck.error}`,
       code: 'INVALID_TRANSACTION_AMOUNT' 
     });
   }
   
+  req.body.amount = amountCheck.amount;
   next();
 };
 
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+/**
+ * Bill - a table's bill split into several payment requests tracked together
+ *
+ * Each part is one Solana Pay QR (its own PaymentIntent). The bill moves
+ * open -> partially_paid -> paid as parts are confirmed, or to cancelled.
+ */
+const BILL_STATUSES = ['open', 'partially_paid', 'paid', 'cancelled'];
+const BILL_PART_STATUSES = ['awaiting_payment', 'detected', 'paid', 'expired', 'cancelled', 'failed'];
+
+const billPartSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Current payment reference for the part
+  reference: {
+    type: String,
+    required: true
+  },
+
+  // References of expired QR codes replaced for this part (late payments still count)
+  previousReferences: [String],
+
+  // Share of the bill in USDC (subtotal share + tip share)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tipAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: BILL_PART_STATUSES,
+    default: 'awaiting_payment'
+  },
+
+  paymentUrl: String,
+  expiresAt: Date,
+  signature: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  paidAt: Date
+}, { _id: false });
+
+const billSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Order subtotal before tip
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  tipPercent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  tipAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // subtotal + tipAmount
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  splitCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  parts: [billPartSchema],
+
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: BILL_STATUSES,
+    default: 'open'
+  },
+
+  paidAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+billSchema.index({ businessId: 1, createdAt: -1 });
+billSchema.index({ 'parts.reference': 1 });
+billSchema.index({ 'parts.previousReferences': 1 });
+
+// Whether every part has been paid
+billSchema.methods.isFullyPaid = function() {
+  return this.parts.length > 0 && this.parts.every(part => part.status === 'paid');
+};
+
+// Find the bill that owns a payment reference (current or replaced)
+billSchema.statics.findByReference = function(reference) {
+  return this.findOne({
+    $or: [{ 'parts.reference': reference }, { 'parts.previousReferences': reference }]
+  });
+};
+
+billSchema.statics.STATUSES = BILL_STATUSES;
+billSchema.statics.PART_STATUSES = BILL_PART_STATUSES;
+
+module.exports = mongoose.model('Bill', billSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const feeScheduleService = require('../services/feeScheduleService');
 
 // Document schema for business verification
 const documentSchema = new mongoose.Schema({
@@ -89,6 +90,9 @@ const contactSchema = new mongoose.Schema({
   }
 });
 
+// Conditions a custom loyalty rule can test (see LoyaltyRulesService)
+const LOYALTY_RULE_CONDITIONS = ['minimum_purchase', 'customer_tier', 'day_of_week', 'visit_count', 'token_balance'];
+
 // Loyalty vault configuration schema  
 const loyaltyVaultSchema = new mongoose.Schema({
   vaultId: {
@@ -116,13 +120,23 @@ const loyaltyVaultSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Reward multipliers applied by LoyaltyRulesService when their condition holds
   customRules: [{
-    condition: String, // e.g., 'minimum_purchase', 'customer_tier'
+    condition: {
+      type: String,
+      enum: LOYALTY_RULE_CONDITIONS
+    },
+    // e.g. 25 (minimum_purchase), 'pie' (customer_tier), [2] (day_of_week, 0 = Sunday UTC)
     value: mongoose.Schema.Types.Mixed,
     multiplier: {
       type: Number,
       min: 0,
       max: 5
+    },
+    description: String,
+    isActive: {
+      type: Boolean,
+      default: true
     }
   }],
   fundingSource: {
@@ -287,7 +301,7 @@ const businessSchema = new mongoose.Schema({
   // Financial information
   businessWallet: walletSchema,
   
-  // Platform vault contribution tracking
+  // Platform vault contribution tracking (projected from the ledger by LedgerService)
   vaultContribution: {
     totalContributed: {
       type: Number,
@@ -298,17 +312,38 @@ const businessSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }, // Only for CN businesses
+    // When staking was on - quarterly dividends are weighted by the days it was enabled
+    stakingPeriods: [{
+      _id: false,
+      enabledAt: {
+        type: Date,
+        required: true
+      },
+      disabledAt: Date // Open while staking is enabled
+    }],
     stakingYield: {
       totalEarned: {
         type: Number,
         default: 0,
         min: 0
+      }, // Dividends declared by approved quarterly payouts
+      totalPaid: {
+        type: Number,
+        default: 0,
+        min: 0
       },
       businessShare: {
         type: Number,
         default: 0,
         min: 0
-      }, // $119.07 for CN
+      }, // Dividends declared but not yet paid out
+      lastPayout: {
+        batchId: String,
+        periodKey: String, // e.g. 2026-Q3
+        amount: Number,
+        signature: String,
+        paidAt: Date
+      },
       platformShare: {
         type: Number,
         default: 0,
@@ -353,10 +388,17 @@ const businessSchema = new mongoose.Schema({
     walletAddress: {
       type: String,
       required: true // Required for CN businesses (Phantom/Solflare wallet)
+    },
+    // How often confirmed payments are closed into a settlement batch (UTC days, weeks start Monday)
+    batchFrequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily'
     }
   },
   
   // Fee structure (CN only - Crypto Native)
+  // Informational snapshot - fees are charged from the FeeSchedule (per-business rates are schedule overrides)
   feeStructure: {
     platformFeePercent: {
       type: Number,
@@ -385,12 +427,24 @@ const businessSchema = new mongoose.Schema({
         type: Number,
         min: 0
       }, // e.g., 3 $PIZZA SPL
+      everyNthVisit: {
+        type: Number,
+        min: 2
+      }, // e.g., 10 = every 10th visit (with discountPercent 100 for a free order)
       discountPercent: {
         type: Number,
         min: 0,
         max: 100
       }, // e.g., 10%
-      description: String
+      maxDiscount: {
+        type: Number,
+        min: 0
+      }, // USDC cap on the discount
+      description: String,
+      isActive: {
+        type: Boolean,
+        default: true
+      }
     }],
     nftRewards: [{
       requiredTokens: {
@@ -723,23 +777,40 @@ businessSchema.methods.updateAnalytics = async function(transactionData) {
   return this.save();
 };
 
-// Method to calculate transaction fees based on business type
-businessSchema.methods.calculateTransactionFees = function(transactionAmount = 15) {
-  const platformFee = transactionAmount * this.feeStructure.platformFeePercent;
-  const vaultContribution = transactionAmount * this.feeStructure.vaultContributionPercent;
-  const totalFees = platformFee + vaultContribution;
-  const merchantAmount = transactionAmount - totalFees;
+// Method to calculate transaction fees from the fee schedule (business, category and type overrides apply)
+// Tips included in the transaction amount are excluded from the fee base
+// pricing: { scheduleVersion, pricedAt } to reproduce a quote made under an earlier schedule
+businessSchema.methods.calculateTransactionFees = function(transactionAmount = 15, tipAmount = 0, pricing = {}) {
+  const fees = feeScheduleService.calculateFees(transactionAmount, tipAmount, { ...pricing, business: this });
   
   return {
     transactionAmount,
-    platformFee: Math.round(platformFee * 10000) / 10000,
-    vaultContribution: Math.round(vaultContribution * 10000) / 10000,
-    totalFees: Math.round(totalFees * 10000) / 10000,
-    merchantAmount: Math.round(merchantAmount * 10000) / 10000,
-    businessType: this.businessType
+    tipAmount,
+    platformFee: fees.platformFee,
+    vaultContribution: fees.vaultContribution,
+    totalFees: fees.totalFees,
+    merchantAmount: fees.merchantAmount,
+    businessType: this.businessType,
+    scheduleVersion: fees.scheduleVersion,
+    feeSource: fees.source
   };
 };
 
+// Method to switch Kamino staking, keeping the periods dividends are weighted by
+businessSchema.methods.setStakingEnabled = function(enable, at = new Date()) {
+  const periods = this.vaultContribution.stakingPeriods;
+  const openPeriod = periods.find(period => !period.disabledAt);
+
+  if (enable && !openPeriod) {
+    periods.push({ enabledAt: at });
+  } else if (!enable && openPeriod) {
+    openPeriod.disabledAt = at;
+  }
+
+  this.vaultContribution.stakingEnabled = enable;
+  return this;
+};
+
 // Method to check settlement eligibility
 businessSchema.methods.canSettle = function() {
   return {
@@ -751,12 +822,6 @@ businessSchema.methods.canSettle = function() {
   };
 };
 
-// Method to update vault contribution
-businessSchema.methods.addVaultContribution = function(amount) {
-  this.vaultContribution.totalContributed += amount;
-  return this.save();
-};
-
 // Static methods
 businessSchema.statics.findByTaxId = function(taxId) {
   return this.findOne({ taxId: taxId.trim() });
@@ -825,4 +890,6 @@ businessSchema.statics.getVaultContributionStats = async function() {
   return stats;
 };
 
+businessSchema.statics.LOYALTY_RULE_CONDITIONS = LOYALTY_RULE_CONDITIONS;
+
 module.exports = mongoose.model('Business', businessSchema);
\ No newline at end of file
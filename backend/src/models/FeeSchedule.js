@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * FeeSchedule - versioned platform fee rates
+ *
+ * Schedules are immutable once created: admins "edit" fees by publishing a new
+ * version with a later (or immediate) effectiveFrom. The schedule in force at a
+ * given time is the non-cancelled one with the latest effectiveFrom at or before it.
+ * Rates are fractions of the fee base (0.01 = 1%); tips are never part of the base.
+ */
+const OVERRIDE_SCOPES = ['businessType', 'category', 'business'];
+const HOLIDAY_SCOPES = ['all', 'businessType', 'category', 'business'];
+
+const rateField = {
+  type: Number,
+  min: 0,
+  max: 1
+};
+
+// Replaces the base rates for matching businesses (business > category > businessType)
+const overrideSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: OVERRIDE_SCOPES,
+    required: true
+  },
+  // Business type code, business category or business ID depending on scope
+  value: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Omitted rates fall back to the schedule's base rates
+  platformFeeRate: rateField,
+  vaultContributionRate: rateField,
+  note: {
+    type: String,
+    maxlength: 200
+  }
+}, { _id: false });
+
+// Promotional fee holiday - wins over every override while it runs
+const feeHolidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: HOLIDAY_SCOPES,
+    default: 'all'
+  },
+  values: [{
+    type: String,
+    trim: true
+  }],
+  // Platform fee is waived by default; the vault contribution keeps funding rewards
+  platformFeeRate: {
+    ...rateField,
+    default: 0
+  },
+  vaultContributionRate: rateField
+}, { _id: false });
+
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+
+  // Base rates for every business without an override
+  platformFeeRate: {
+    ...rateField,
+    required: true
+  },
+  vaultContributionRate: {
+    ...rateField,
+    required: true
+  },
+
+  overrides: [overrideSchema],
+  feeHolidays: [feeHolidaySchema],
+
+  // Version this schedule was copied from
+  basedOnVersion: Number,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+
+  // Only schedules that have not taken effect yet can be cancelled
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  cancelReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeScheduleSchema.index({ effectiveFrom: -1, version: -1 });
+
+// Whether the schedule is (or was) in force at the given time
+feeScheduleSchema.methods.isEffectiveAt = function(at = new Date()) {
+  return !this.cancelledAt && this.effectiveFrom <= at;
+};
+
+feeScheduleSchema.statics.OVERRIDE_SCOPES = OVERRIDE_SCOPES;
+feeScheduleSchema.statics.HOLIDAY_SCOPES = HOLIDAY_SCOPES;
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * GiftCard - one $PIZZA SPL gift card NFT
+ *
+ * minted -> assigned (business picked the recipient wallet) -> claimed (on the customer's
+ * account) -> partially_used -> redeemed once the balance is spent. A card with balance
+ * left at expiresAt is expired, then reverted once its unused value has been released
+ * back to the treasury in the ledger. Every transition is appended to history.
+ *
+ * A minted card can carry a one-time claim link for customers without a wallet on file;
+ * only the hash of its secret is stored, and claiming clears it.
+ */
+const GIFT_CARD_STATUSES = ['minted', 'assigned', 'claimed', 'partially_used', 'redeemed', 'expired', 'reverted'];
+
+// Statuses with spendable value that still count toward the outstanding liability
+const GIFT_CARD_LIVE_STATUSES = ['minted', 'assigned', 'claimed', 'partially_used'];
+
+const historyEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: GIFT_CARD_STATUSES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
+const giftCardSchema = new mongoose.Schema({
+  // Public identifier used by the APIs
+  cardId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^gc_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid gift card ID format'
+    }
+  },
+  campaignId: {
+    type: String,
+    required: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  // NFT (unset while NFT minting is disabled - the card is then tracked off-chain only)
+  nftAddress: String,
+  mintAddress: String,
+
+  // $PIZZA SPL value at mint and what is left to spend
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mintingCost: {
+    type: Number,
+    default: 0
+  },
+  customMessage: String,
+
+  status: {
+    type: String,
+    enum: GIFT_CARD_STATUSES,
+    default: 'minted'
+  },
+
+  // Holder
+  ownerWallet: String,
+  ownerUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Claim link (sha256 of the secret in the URL)
+  claimSecretHash: {
+    type: String,
+    select: false
+  },
+  claimLinkIssuedAt: Date,
+
+  mintedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  assignedAt: Date,
+  claimedAt: Date,
+  redeemedAt: Date,
+  expiredAt: Date,
+  revertedAt: Date,
+  // Unused value released back to the treasury on expiry
+  revertedAmount: Number,
+
+  history: [historyEventSchema]
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ businessId: 1, mintedAt: -1 });
+giftCardSchema.index({ campaignId: 1, status: 1 });
+giftCardSchema.index({ ownerUserId: 1, status: 1 });
+giftCardSchema.index({ ownerWallet: 1, status: 1 });
+giftCardSchema.index({ status: 1, expiresAt: 1 });
+giftCardSchema.index({ nftAddress: 1 }, { sparse: true });
+
+giftCardSchema.statics.findByCardId = function(cardId) {
+  return this.findOne({ cardId });
+};
+
+giftCardSchema.statics.STATUSES = GIFT_CARD_STATUSES;
+giftCardSchema.statics.LIVE_STATUSES = GIFT_CARD_LIVE_STATUSES;
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * GiftCardCampaign - one batch of gift cards a business minted
+ *
+ * A campaign reserves its cards against the business's monthly quota when it is created
+ * (month/year are the calendar month it counts toward) and holds the card terms every
+ * card in it was minted under. The cards themselves live in the GiftCard collection.
+ */
+const GIFT_CARD_CAMPAIGN_STATUSES = ['active', 'completed', 'cancelled'];
+
+const giftCardCampaignSchema = new mongoose.Schema({
+  // Public identifier used by the APIs
+  campaignId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^gcc_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid gift card campaign ID format'
+    }
+  },
+
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  customMessage: {
+    type: String,
+    maxlength: 500
+  },
+  // Purchase rewards issue single cards into the month's reward campaign
+  source: {
+    type: String,
+    enum: ['batch', 'purchase_reward'],
+    default: 'batch'
+  },
+
+  // Quota month
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+
+  // Terms every card is minted under
+  cardValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mintingCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  expiryDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  cardsRequested: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cardsMinted: {
+    type: Number,
+    default: 0
+  },
+  // USDC minting cost of the cards minted
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: GIFT_CARD_CAMPAIGN_STATUSES,
+    default: 'active'
+  },
+  nftMetadata: mongoose.Schema.Types.Mixed,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+giftCardCampaignSchema.index({ businessId: 1, year: 1, month: 1 });
+giftCardCampaignSchema.index({ businessId: 1, createdAt: -1 });
+
+giftCardCampaignSchema.statics.findByCampaignId = function(campaignId) {
+  return this.findOne({ campaignId });
+};
+
+giftCardCampaignSchema.statics.STATUSES = GIFT_CARD_CAMPAIGN_STATUSES;
+
+module.exports = mongoose.model('GiftCardCampaign', giftCardCampaignSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+/**
+ * GiftCardRedemption - one draw-down of a gift card's balance
+ *
+ * Checkout draw-downs are held against the payment reference when the QR is issued
+ * (the card's balance is taken straight away so it can't be spent twice), captured
+ * once the payment is confirmed and released back onto the card if the payment
+ * expires, is cancelled or fails. Captured draw-downs are reimbursed to the merchant
+ * from the vault's gift card allocation. Redeeming a card for $PIZZA SPL tokens is
+ * recorded here as a captured draw-down of the whole balance.
+ */
+const GIFT_CARD_REDEMPTION_STATUSES = ['held', 'captured', 'released'];
+
+const giftCardRedemptionSchema = new mongoose.Schema({
+  // Public identifier - also the ledger and vault funding key
+  redemptionId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^gcr_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid gift card redemption ID format'
+    }
+  },
+
+  cardId: {
+    type: String,
+    required: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Checkout pays part of an order; token redemptions pay the balance out as $PIZZA SPL
+  type: {
+    type: String,
+    enum: ['checkout', 'token'],
+    default: 'checkout'
+  },
+  // Solana Pay reference of the order (or the order ID of one paid in full by gift cards)
+  paymentReference: String,
+
+  // $PIZZA SPL taken off the card and its USDC value at checkout
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  usdcAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  balanceBefore: Number,
+  balanceAfter: Number,
+
+  status: {
+    type: String,
+    enum: GIFT_CARD_REDEMPTION_STATUSES,
+    default: 'held'
+  },
+  heldAt: Date,
+  capturedAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+  signature: String,
+
+  // Vault reimbursement of the merchant (checkout draw-downs only)
+  reimbursedAt: Date,
+  fundingEntryId: String,
+  reimbursementError: String
+}, {
+  timestamps: true
+});
+
+giftCardRedemptionSchema.index({ paymentReference: 1, status: 1 });
+giftCardRedemptionSchema.index({ cardId: 1, createdAt: -1 });
+giftCardRedemptionSchema.index({ businessId: 1, createdAt: -1 });
+giftCardRedemptionSchema.index({ status: 1, type: 1, reimbursedAt: 1 });
+
+giftCardRedemptionSchema.statics.findByRedemptionId = function(redemptionId) {
+  return this.findOne({ redemptionId });
+};
+
+giftCardRedemptionSchema.statics.STATUSES = GIFT_CARD_REDEMPTION_STATUSES;
+
+module.exports = mongoose.model('GiftCardRedemption', giftCardRedemptionSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * IdempotencyKey - cached outcome of a money-moving request sent with an
+ * Idempotency-Key header
+ *
+ * processing -> completed. A retry with the same key and request hash replays
+ * the stored response; records expire automatically after expiresAt.
+ */
+const IDEMPOTENCY_KEY_STATUSES = ['processing', 'completed'];
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Client supplied Idempotency-Key header value
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+
+  // Keys are namespaced per caller (user ID, or IP for anonymous routes)
+  scope: {
+    type: String,
+    required: true
+  },
+
+  method: {
+    type: String,
+    required: true
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of method, path and canonical JSON body
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: IDEMPOTENCY_KEY_STATUSES,
+    default: 'processing'
+  },
+
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.statics.STATUSES = IDEMPOTENCY_KEY_STATUSES;
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
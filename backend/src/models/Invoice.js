@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice - remote payment request (invoice or shareable payment link)
+ *
+ * open -> paid | overdue | void, overdue -> paid | void.
+ * Customers pay through the public /pay/:invoiceId page; each visit reuses or
+ * issues a PaymentIntent linked back to the invoice.
+ */
+const INVOICE_STATUSES = ['open', 'paid', 'overdue', 'void'];
+
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Public identifier used in /pay/:invoiceId links (unguessable)
+  invoiceId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^inv_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid invoice ID format'
+    }
+  },
+
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Invoices carry a due date; payment links are usually open-ended
+  kind: {
+    type: String,
+    enum: ['invoice', 'payment_link'],
+    default: 'invoice'
+  },
+
+  lineItems: [lineItemSchema],
+
+  // Total due in USDC
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    enum: ['USDC'],
+    default: 'USDC'
+  },
+
+  memo: {
+    type: String,
+    maxlength: 32
+  },
+
+  dueDate: Date,
+
+  customerEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: INVOICE_STATUSES,
+    default: 'open'
+  },
+
+  // Latest payment request issued for the invoice
+  paymentReference: String,
+
+  // Payment details once paid
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  signature: String,
+  customerWallet: String,
+
+  paidAt: Date,
+  overdueAt: Date,
+  voidedAt: Date,
+  voidReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ businessId: 1, createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+invoiceSchema.index({ paymentReference: 1 }, { sparse: true });
+
+// Whether the customer can still pay the invoice
+invoiceSchema.methods.isPayable = function() {
+  return ['open', 'overdue'].includes(this.status);
+};
+
+// Whether the due date passed without payment
+invoiceSchema.methods.isPastDue = function() {
+  return this.status === 'open' && !!this.dueDate && this.dueDate < new Date();
+};
+
+// Find invoice by public identifier
+invoiceSchema.statics.findByInvoiceId = function(invoiceId) {
+  return this.findOne({ invoiceId });
+};
+
+invoiceSchema.statics.STATUSES = INVOICE_STATUSES;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { roundUSDC } = require('../config/payments');
+
+/**
+ * JournalEntry - an append-only, balanced posting in the double-entry ledger
+ *
+ * Every money movement (payment, refund, reward, gift card mint/redeem/expiry, staking
+ * yield and dividend payouts, vault funding, rebalancing and withdrawals) posts one entry whose debits equal its credits. Entries are never edited or
+ * deleted - a mistake is corrected by posting a reversal. eventKey makes posting
+ * idempotent: the same business event (e.g. payment:<transactionId>) posts at most once.
+ */
+const JOURNAL_EVENT_TYPES = [
+  'payment',
+  'refund',
+  'reward',
+  'reward_clawback',
+  'referral_bonus',
+  'gift_card_mint',
+  'gift_card_redeem',
+  'gift_card_expiry',
+  'staking_yield',
+  'staking_payout',
+  'vault_funding',
+  'vault_rebalance',
+  'vault_withdrawal',
+  'opening_balance',
+  'reversal'
+];
+
+const APPEND_ONLY_ERROR = 'Journal entries are append-only';
+
+const journalLineSchema = new mongoose.Schema({
+  // LedgerAccount code
+  account: {
+    type: String,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  memo: String
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^je_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid journal entry ID format'
+    }
+  },
+
+  eventType: {
+    type: String,
+    enum: JOURNAL_EVENT_TYPES,
+    required: true
+  },
+
+  // Idempotency key for the business event behind the entry
+  eventKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // All lines of an entry share one currency
+  currency: {
+    type: String,
+    enum: ['USDC', 'PIZZA'],
+    required: true
+  },
+
+  description: {
+    type: String,
+    maxlength: 500
+  },
+
+  lines: [journalLineSchema],
+
+  // When the underlying event happened (may precede createdAt for backfills)
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Source records
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signature: String,
+
+  // entryId of the entry this one reverses
+  reverses: {
+    type: String,
+    default: null
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+journalEntrySchema.index({ 'lines.account': 1, postedAt: -1 });
+journalEntrySchema.index({ eventType: 1, postedAt: -1 });
+journalEntrySchema.index({ businessId: 1, postedAt: -1 });
+journalEntrySchema.index({ transactionId: 1 });
+journalEntrySchema.index({ reverses: 1 });
+
+// Debits must equal credits, and every line moves money on exactly one side
+journalEntrySchema.pre('validate', function(next) {
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error('Journal entry needs at least two lines'));
+  }
+
+  let debits = 0;
+  let credits = 0;
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Journal line for ${line.account} must have either a debit or a credit`));
+    }
+    debits += line.debit;
+    credits += line.credit;
+  }
+
+  if (roundUSDC(debits) !== roundUSDC(credits)) {
+    return next(new Error(`Journal entry is unbalanced: debits ${roundUSDC(debits)} != credits ${roundUSDC(credits)}`));
+  }
+
+  next();
+});
+
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(APPEND_ONLY_ERROR));
+  }
+  next();
+});
+
+journalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(new Error(APPEND_ONLY_ERROR));
+  }
+);
+
+journalEntrySchema.pre('deleteOne', { document: true, query: false }, function(next) {
+  next(new Error(APPEND_ONLY_ERROR));
+});
+
+journalEntrySchema.statics.findByEntryId = function(entryId) {
+  return this.findOne({ entryId });
+};
+
+journalEntrySchema.statics.EVENT_TYPES = JOURNAL_EVENT_TYPES;
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
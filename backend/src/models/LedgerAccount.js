@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * LedgerAccount - an account in the double-entry ledger
+ *
+ * Accounts hold no balance of their own: a balance is always the sum of the journal
+ * entry lines posted to the account code (see JournalEntry). Assets and expenses carry
+ * debit balances; liabilities, equity and revenue carry credit balances. Accounts with an
+ * onChainAddress are compared against that wallet's token balance when reconciling.
+ */
+const LEDGER_ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'revenue', 'expense'];
+const LEDGER_CURRENCIES = ['USDC', 'PIZZA'];
+const LEDGER_OWNER_TYPES = ['platform', 'vault', 'business', 'user'];
+
+const normalBalanceFor = (type) => (type === 'asset' || type === 'expense' ? 'debit' : 'credit');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  // e.g. vault:rewards, business:<businessId>:vault_contributions
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^[a-z_]+(:[a-zA-Z0-9_]+)+$/.test(v);
+      },
+      message: 'Invalid ledger account code'
+    }
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+
+  type: {
+    type: String,
+    enum: LEDGER_ACCOUNT_TYPES,
+    required: true
+  },
+
+  currency: {
+    type: String,
+    enum: LEDGER_CURRENCIES,
+    required: true
+  },
+
+  ownerType: {
+    type: String,
+    enum: LEDGER_OWNER_TYPES,
+    required: true
+  },
+  // Business or User the account belongs to
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Wallet whose token balance this account (with others sharing the address) should match
+  onChainAddress: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+ledgerAccountSchema.index({ ownerType: 1, ownerId: 1 });
+ledgerAccountSchema.index({ onChainAddress: 1 });
+
+ledgerAccountSchema.virtual('normalBalance').get(function() {
+  return normalBalanceFor(this.type);
+});
+
+ledgerAccountSchema.statics.findByCode = function(code) {
+  return this.findOne({ code });
+};
+
+ledgerAccountSchema.statics.normalBalanceFor = normalBalanceFor;
+ledgerAccountSchema.statics.TYPES = LEDGER_ACCOUNT_TYPES;
+ledgerAccountSchema.statics.CURRENCIES = LEDGER_CURRENCIES;
+ledgerAccountSchema.statics.OWNER_TYPES = LEDGER_OWNER_TYPES;
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
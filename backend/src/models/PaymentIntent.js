@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+
+/**
+ * PaymentIntent - persisted state for every QR / Solana Pay payment request
+ *
+ * created -> awaiting_payment -> detected -> confirmed -> settled
+ * plus the terminal states expired, cancelled and failed.
+ * Transitions are validated and emitted by PaymentIntentService.
+ */
+const PAYMENT_INTENT_STATUSES = [
+  'created',
+  'awaiting_payment',
+  'detected',
+  'confirmed',
+  'settled',
+  'expired',
+  'cancelled',
+  'failed'
+];
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: PAYMENT_INTENT_STATUSES
+  },
+  to: {
+    type: String,
+    enum: PAYMENT_INTENT_STATUSES,
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PAYMENT_METHODS = ['usdc', 'pizza_spl', 'sol', 'spl_token'];
+
+const swapQuoteSchema = new mongoose.Schema({
+  inputMint: {
+    type: String,
+    required: true
+  },
+  inputSymbol: String,
+  inputDecimals: Number,
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS
+  },
+  // Expected and maximum (slippage-bounded) input, in input token units
+  inAmount: Number,
+  maxInAmount: Number,
+  // USDC the swap must deliver
+  outAmount: Number,
+  slippageBps: Number,
+  priceImpactPct: Number,
+  routeLabels: [String],
+  // Raw Jupiter quote, handed back to Jupiter when building the transaction
+  quoteResponse: mongoose.Schema.Types.Mixed,
+  quotedAt: Date,
+  expiresAt: Date
+}, { _id: false });
+
+const paymentIntentSchema = new mongoose.Schema({
+  // Solana Pay reference public key (base58) carried by the on-chain transaction
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(v);
+      },
+      message: 'Invalid payment reference format'
+    }
+  },
+
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  // User that created the request (business owner or customer)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Order total in USDC (including any tip)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Tip added by the customer - paid to the business, excluded from the fee base
+  tipAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    enum: ['USDC'],
+    default: 'USDC'
+  },
+
+  // Token the customer pays with - anything but USDC is swapped to USDC through Jupiter
+  paymentMethod: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'usdc'
+  },
+
+  // Latest Jupiter swap quote for paying in another token (ExactOut: the order total in USDC)
+  swapQuote: swapQuoteSchema,
+
+  // Transfer Request (pays business directly) or Transaction Request (atomic fee split)
+  requestType: {
+    type: String,
+    enum: ['transfer', 'transaction'],
+    default: 'transfer'
+  },
+
+  // Wallet whose transaction request froze the price - later requests are built at the same amount
+  pricedFor: String,
+  pricedAt: Date,
+
+  // Loyalty discount applied for the wallet that froze the price (amount and fees are repriced)
+  loyalty: {
+    customerWallet: String,
+    originalAmount: Number,
+    originalFees: {
+      platformFee: Number,
+      vaultContribution: Number,
+      totalFees: Number,
+      merchantAmount: Number
+    },
+    discount: Number,
+    rulesFired: [{
+      ruleId: String,
+      type: {
+        type: String,
+        enum: ['discount', 'reward_multiplier', 'nft_reward', 'store_credit']
+      },
+      description: String,
+      value: Number
+    }]
+  },
+  // Gift card balances drawn down toward the order (amount is only the rest, paid in USDC)
+  giftCards: {
+    applied: Number,
+    redemptionIds: [String]
+  },
+  // Fee snapshot at creation time - the quote the customer pays
+  fees: {
+    platformFee: Number,
+    vaultContribution: Number,
+    totalFees: Number,
+    merchantAmount: Number,
+    // FeeSchedule version the quote was priced under
+    scheduleVersion: Number
+  },
+
+  status: {
+    type: String,
+    enum: PAYMENT_INTENT_STATUSES,
+    default: 'created'
+  },
+
+  statusHistory: [statusHistorySchema],
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Payment details once seen on-chain
+  signature: String,
+  customerWallet: String,
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  // Invoice or payment link the request was issued for
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  // Split bill the request is one share of
+  billId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill'
+  },
+
+  paymentUrl: String,
+  memo: String,
+  failureReason: String,
+
+  // Reward or vault funding that failed after confirmation - the payment watcher retries it
+  rewardRetry: {
+    attempts: Number,
+    nextAttemptAt: Date,
+    lastError: String
+  },
+
+  detectedAt: Date,
+  confirmedAt: Date,
+  settledAt: Date,
+  cancelledAt: Date,
+  expiredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentIntentSchema.index({ businessId: 1, createdAt: -1 });
+paymentIntentSchema.index({ status: 1, expiresAt: 1 });
+paymentIntentSchema.index({ signature: 1 }, { sparse: true });
+paymentIntentSchema.index({ invoiceId: 1 }, { sparse: true });
+paymentIntentSchema.index({ billId: 1 }, { sparse: true });
+paymentIntentSchema.index({ 'rewardRetry.nextAttemptAt': 1 }, { sparse: true });
+
+// Whether the intent can still receive a payment
+paymentIntentSchema.methods.isOpen = function() {
+  return ['created', 'awaiting_payment'].includes(this.status) && this.expiresAt > new Date();
+};
+
+// Whether the intent reached a final state
+paymentIntentSchema.methods.isTerminal = function() {
+  return ['settled', 'expired', 'cancelled', 'failed'].includes(this.status);
+};
+
+// Find intent by Solana Pay reference
+paymentIntentSchema.statics.findByReference = function(reference) {
+  return this.findOne({ reference });
+};
+
+paymentIntentSchema.statics.STATUSES = PAYMENT_INTENT_STATUSES;
+paymentIntentSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model('PaymentIntent', paymentIntentSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+/**
+ * QueuedReward - a $PIZZA SPL payment reward or referral bonus waiting for (or past)
+ * on-chain delivery
+ *
+ * pending -> sending -> sent. A failed send goes back to failed with a backoff before the
+ * next attempt, and to dead_letter once it runs out of attempts (admins can requeue it).
+ * A reward still waiting when its payment is fully refunded is cancelled. Each send
+ * carries a reference key so a batch interrupted mid-send can be found on-chain instead of
+ * being paid twice.
+ */
+const QUEUED_REWARD_STATUSES = ['pending', 'sending', 'sent', 'failed', 'dead_letter', 'cancelled'];
+
+const QUEUED_REWARD_KINDS = ['payment', 'referral_bonus'];
+
+const queuedRewardSchema = new mongoose.Schema({
+  // Public identifier used by the admin API
+  rewardId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^rw_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid reward ID format'
+    }
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business'
+  },
+  kind: {
+    type: String,
+    enum: QUEUED_REWARD_KINDS,
+    default: 'payment'
+  },
+  // Payment being rewarded (a referral's qualifying payment for referral bonuses)
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  referralId: String,
+  recipient: {
+    type: String,
+    required: true
+  },
+
+  // $PIZZA SPL to send (reduced by refunds while queued) and the amount first queued
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  originalAmount: {
+    type: Number,
+    required: true
+  },
+  // USDC reward cost funded from the vault's reward bucket on delivery
+  rewardCost: {
+    type: Number,
+    default: 0
+  },
+  vaultContribution: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: QUEUED_REWARD_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  lastError: String,
+
+  // Current (or delivering) send
+  batchId: String,
+  reference: String,
+  claimedAt: Date,
+
+  signature: String,
+  sentAt: Date,
+  deadLetteredAt: Date,
+  cancelledAt: Date,
+  requeuedAt: Date,
+  requeuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// One reward of each kind per payment and recipient
+queuedRewardSchema.index({ transactionId: 1, userId: 1, kind: 1 }, { unique: true });
+queuedRewardSchema.index({ status: 1, nextAttemptAt: 1 });
+queuedRewardSchema.index({ status: 1, claimedAt: 1 });
+queuedRewardSchema.index({ batchId: 1 });
+queuedRewardSchema.index({ userId: 1, createdAt: -1 });
+
+queuedRewardSchema.statics.findByRewardId = function(rewardId) {
+  return this.findOne({ rewardId });
+};
+
+queuedRewardSchema.statics.STATUSES = QUEUED_REWARD_STATUSES;
+queuedRewardSchema.statics.KINDS = QUEUED_REWARD_KINDS;
+
+module.exports = mongoose.model('QueuedReward', queuedRewardSchema);
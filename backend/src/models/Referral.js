@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Referral - one customer signup made with a referral code
+ *
+ * pending -> rewarded once the new customer's first qualifying payment confirms (both
+ * bonuses are queued for delivery then). A signup flagged by the anti-abuse checks is
+ * rejected straight away, and one with no qualifying payment by qualifyBy expires.
+ * The campaign terms are copied at signup so later campaign edits don't change them.
+ */
+const REFERRAL_STATUSES = ['pending', 'rewarded', 'rejected', 'expired'];
+
+const REFERRAL_FLAGS = ['self_referral', 'same_ip', 'same_device', 'same_wallet'];
+
+const bonusSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    default: 0
+  },
+  // none: nothing to pay, held: waiting for the referrer to link a wallet
+  status: {
+    type: String,
+    enum: ['none', 'held', 'queued', 'sent'],
+    default: 'none'
+  },
+  rewardId: String,
+  signature: String,
+  sentAt: Date
+}, { _id: false });
+
+const referralSchema = new mongoose.Schema({
+  // Public identifier used by the APIs
+  referralId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^rf_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid referral ID format'
+    }
+  },
+
+  code: {
+    type: String,
+    required: true
+  },
+  referrerType: {
+    type: String,
+    enum: ['user', 'business'],
+    required: true
+  },
+  referrerUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  referrerBusinessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business'
+  },
+  // A customer can only be referred once
+  refereeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  // Terms at signup
+  campaignId: String,
+  terms: {
+    referrerBonus: Number,
+    refereeBonus: Number,
+    minFirstPayment: Number,
+    maxRewardedPerCode: Number
+  },
+  qualifyBy: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: REFERRAL_STATUSES,
+    default: 'pending'
+  },
+  flags: [{
+    type: String,
+    enum: REFERRAL_FLAGS
+  }],
+  rejectionReason: String,
+
+  // Signup request the anti-abuse checks compared
+  signup: {
+    ipAddress: String,
+    userAgent: String,
+    deviceFingerprint: String
+  },
+
+  qualifyingTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  qualifiedAt: Date,
+
+  referrerBonus: {
+    type: bonusSchema,
+    default: () => ({})
+  },
+  refereeBonus: {
+    type: bonusSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+referralSchema.index({ referrerUserId: 1, createdAt: -1 });
+referralSchema.index({ referrerBusinessId: 1, createdAt: -1 });
+referralSchema.index({ code: 1, 'signup.ipAddress': 1 });
+referralSchema.index({ code: 1, 'signup.deviceFingerprint': 1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+referralSchema.statics.findByReferralId = function(referralId) {
+  return this.findOne({ referralId });
+};
+
+referralSchema.statics.STATUSES = REFERRAL_STATUSES;
+referralSchema.statics.FLAGS = REFERRAL_FLAGS;
+
+module.exports = mongoose.model('Referral', referralSchema);
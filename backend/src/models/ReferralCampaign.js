@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReferralCampaign - admin-run bonus settings for referrals made while it runs
+ *
+ * A campaign applies to customer codes or business codes (audience). The newest active
+ * campaign for the audience sets the terms a referral is signed up under; with none
+ * running the referralConfig defaults apply. Business codes never pay a referrer bonus.
+ */
+const REFERRAL_AUDIENCES = ['customer', 'business'];
+
+const referralCampaignSchema = new mongoose.Schema({
+  // Public identifier used by the admin API
+  campaignId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^rcp_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid referral campaign ID format'
+    }
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  audience: {
+    type: String,
+    enum: REFERRAL_AUDIENCES,
+    required: true
+  },
+
+  // $PIZZA SPL bonuses
+  referrerBonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refereeBonus: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Qualifying payment (USDC) and how long after signup it can be made
+  minFirstPayment: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  qualificationDays: {
+    type: Number,
+    default: 30,
+    min: 1
+  },
+  maxRewardedPerCode: {
+    type: Number,
+    default: 50,
+    min: 0
+  },
+
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+referralCampaignSchema.index({ audience: 1, isActive: 1, startsAt: -1 });
+
+referralCampaignSchema.pre('validate', function(next) {
+  if (this.endsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('Referral campaign must end after it starts'));
+  }
+  next();
+});
+
+referralCampaignSchema.statics.findByCampaignId = function(campaignId) {
+  return this.findOne({ campaignId });
+};
+
+referralCampaignSchema.statics.AUDIENCES = REFERRAL_AUDIENCES;
+
+module.exports = mongoose.model('ReferralCampaign', referralCampaignSchema);
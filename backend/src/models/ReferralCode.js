@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReferralCode - a shareable signup code owned by one customer or one business
+ *
+ * Each owner has a single code. Customers who share their code earn the referrer bonus;
+ * business codes attribute signups (registrationSource 'business_referral') and reward
+ * the new customer only.
+ */
+const REFERRAL_OWNER_TYPES = ['user', 'business'];
+
+const referralCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    match: [/^[A-Z2-9]{8}$/, 'Invalid referral code format']
+  },
+
+  ownerType: {
+    type: String,
+    enum: REFERRAL_OWNER_TYPES,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business'
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One code per owner
+referralCodeSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { ownerType: 'user' } });
+referralCodeSchema.index({ businessId: 1 }, { unique: true, partialFilterExpression: { ownerType: 'business' } });
+
+referralCodeSchema.pre('validate', function(next) {
+  const ownerField = this.ownerType === 'business' ? 'businessId' : 'userId';
+  if (!this[ownerField]) {
+    return next(new Error(`Referral code needs a ${ownerField}`));
+  }
+  next();
+});
+
+referralCodeSchema.statics.OWNER_TYPES = REFERRAL_OWNER_TYPES;
+
+module.exports = mongoose.model('ReferralCode', referralCodeSchema);
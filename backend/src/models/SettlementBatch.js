@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * SettlementBatch - one business's confirmed payments and refunds for a closed period
+ *
+ * closing -> closed. A batch claims every unbatched confirmed transaction recorded
+ * before its periodEnd (late arrivals from already-closed periods roll into the next
+ * batch as carried-over lines), stores the lines and totals, and locks the claimed
+ * transactions. The checksum over the lines lets a statement prove it still matches
+ * the transaction records.
+ */
+const SETTLEMENT_BATCH_STATUSES = ['closing', 'closed'];
+
+const batchLineSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['payment', 'refund'],
+    required: true
+  },
+  recordedAt: Date,
+  signature: String,
+  paymentReference: String,
+  amount: Number,
+  tipAmount: Number,
+  platformFee: Number,
+  vaultContribution: Number,
+  // Payments: amount - fees; refunds: -amount
+  netAmount: Number,
+  // Recorded in a period that had already closed
+  carriedOver: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const settlementBatchSchema = new mongoose.Schema({
+  // Public identifier used in statement URLs
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^stl_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid settlement batch ID format'
+    }
+  },
+
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+
+  // UTC period [periodStart, periodEnd)
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: SETTLEMENT_BATCH_STATUSES,
+    default: 'closing'
+  },
+
+  lines: [batchLineSchema],
+
+  totals: {
+    paymentCount: { type: Number, default: 0 },
+    refundCount: { type: Number, default: 0 },
+    carriedOverCount: { type: Number, default: 0 },
+    grossVolume: { type: Number, default: 0 },      // Payment totals including tips
+    tips: { type: Number, default: 0 },
+    platformFees: { type: Number, default: 0 },
+    vaultContributions: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    vaultContributionsReversed: { type: Number, default: 0 },
+    netPayout: { type: Number, default: 0 }         // Payment net amounts - refunds
+  },
+
+  currency: {
+    type: String,
+    enum: ['USDC'],
+    default: 'USDC'
+  },
+
+  // sha256 over the lines - recomputed from the transactions to verify a statement
+  checksum: String,
+
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// One batch per business and period
+settlementBatchSchema.index({ businessId: 1, frequency: 1, periodStart: 1 }, { unique: true });
+settlementBatchSchema.index({ businessId: 1, periodEnd: -1 });
+settlementBatchSchema.index({ status: 1 });
+
+settlementBatchSchema.statics.findByBatchId = function(batchId) {
+  return this.findOne({ batchId });
+};
+
+settlementBatchSchema.statics.STATUSES = SETTLEMENT_BATCH_STATUSES;
+
+module.exports = mongoose.model('SettlementBatch', settlementBatchSchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+/**
+ * StakingPayoutBatch - one quarter's Kamino staking dividends for CN merchants
+ *
+ * draft -> approved -> paid, or cancelled while a draft. The merchant share of the
+ * quarter's yield is split pro-rata over each merchant's vault contribution weighted by
+ * the days they had staking enabled. A draft can be recomputed (e.g. with the yield
+ * Kamino actually reported) until an admin approves it; approval declares the dividends
+ * in the ledger and releases the USDC transfers. Each line carries a reference key so the
+ * transfer can be found and verified on-chain.
+ */
+const STAKING_PAYOUT_STATUSES = ['draft', 'approved', 'paid', 'cancelled'];
+
+const payoutLineSchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  businessName: String,
+  walletAddress: {
+    type: String,
+    required: true
+  },
+  // Net vault contribution at the end of the quarter
+  contribution: Number,
+  stakingDays: Number,
+  // contribution x stakingDays
+  weight: Number,
+  // Share of the merchant yield (0-1)
+  share: Number,
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Solana Pay style reference key attached to the transfer
+  reference: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  signature: String,
+  entryId: String, // Ledger payout entry
+  paidAt: Date
+}, { _id: false });
+
+const stakingPayoutBatchSchema = new mongoose.Schema({
+  // Public identifier used by the admin API
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^spb_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid staking payout batch ID format'
+    }
+  },
+
+  // UTC quarter, e.g. 2026-Q3 - one batch per quarter
+  periodKey: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{4}-Q[1-4]$/
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: STAKING_PAYOUT_STATUSES,
+    default: 'draft'
+  },
+
+  yield: {
+    amount: { type: Number, default: 0 },        // Total yield earned by the staked vault
+    source: {
+      type: String,
+      enum: ['estimated', 'reported'],
+      default: 'estimated'
+    },
+    apy: Number,
+    vaultStakingDays: Number,                     // Days the vault had staking enabled
+    merchantYieldShare: Number,
+    merchantTotal: { type: Number, default: 0 },
+    platformTotal: { type: Number, default: 0 }   // Includes rounding left over from the lines
+  },
+
+  lines: [payoutLineSchema],
+
+  totals: {
+    merchantCount: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    paidCount: { type: Number, default: 0 },
+    paidAmount: { type: Number, default: 0 }
+  },
+
+  computedAt: Date,
+  computedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null // null when drafted by the quarterly sweep
+  },
+
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  yieldEntryId: String, // Ledger entry that declared the dividends
+
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+stakingPayoutBatchSchema.index({ status: 1, periodStart: -1 });
+stakingPayoutBatchSchema.index({ 'lines.businessId': 1, periodStart: -1 });
+
+stakingPayoutBatchSchema.statics.findByBatchId = function(batchId) {
+  return this.findOne({ batchId });
+};
+
+stakingPayoutBatchSchema.statics.STATUSES = STAKING_PAYOUT_STATUSES;
+
+module.exports = mongoose.model('StakingPayoutBatch', stakingPayoutBatchSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { paymentConfig, roundUSDC, calculateReward } = require('../config/payments');
+const feeScheduleService = require('../services/feeScheduleService');
 
 const transactionSchema = new mongoose.Schema({
   // Transaction identification
@@ -8,8 +10,10 @@ const transactionSchema = new mongoose.Schema({
     unique: true,
     validate: {
       validator: function(v) {
-        // Basic Solana signature validation (base58, ~88 characters)
-        return /^[1-9A-HJ-NP-Za-km-z]{80,90}$/.test(v);
+        // Basic Solana signature validation (base58, ~88 characters); orders paid in full
+        // by gift cards have no Solana Pay transaction and use their gco_ order ID
+        return /^[1-9A-HJ-NP-Za-km-z]{80,90}$/.test(v) ||
+          (this.giftCardAmount > 0 && /^gco_[a-f0-9]{24}$/.test(v));
       },
       message: 'Invalid Solana transaction signature format'
     }
@@ -22,6 +26,13 @@ const transactionSchema = new mongoose.Schema({
     required: true
   },
   
+  // Paid from a wallet no registered customer has connected - userId is the payment request's
+  // creator (or the business owner), not the payer
+  guestPayment: {
+    type: Boolean,
+    default: false
+  },
+  
   walletAddress: {
     type: String,
     required: true
@@ -31,12 +42,13 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     enum: [
-      'payment',           // Fixed $15 USDC QR payment  
+      'payment',           // Variable-amount USDC QR payment
       'reward_distribution', // 0.3 $PIZZA SPL reward
       'gift_card_mint',    // Gift card NFT minting
       'gift_card_redeem',  // Gift card redemption
       'vault_contribution', // Platform vault funding
-      'kamino_staking'    // CN business staking
+      'kamino_staking',   // CN business staking
+      'refund'            // Merchant refund of a confirmed payment
     ],
     required: true
   },
@@ -47,11 +59,11 @@ const transactionSchema = new mongoose.Schema({
     default: 'pending'
   },
   
-  // Standardized transaction amount (fixed $15 USDC)
+  // Order total in USDC (variable, bounded by PAYMENT_MIN_AMOUNT / PAYMENT_MAX_AMOUNT)
   amount: {
     type: Number,
-    default: 15, // Fixed $15 USDC per transaction
-    required: true
+    required: true,
+    min: 0
   },
   
   // Token details for swaps and conversions
@@ -91,36 +103,59 @@ const transactionSchema = new mongoose.Schema({
     index: true
   },
   
+  // Tip included in the amount (paid to the business, excluded from the fee base)
+  tipAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Part of the order paid with gift card balances (reimbursed to the merchant by the vault)
+  giftCardAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  // Split bill this payment belongs to
+  billId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bill',
+    sparse: true
+  },
+  
   // Jupiter swap details for $PIZZA SPL to USDC conversion
   jupiterSwap: {
-    inputMint: String,   // $PIZZA SPL mint
+    inputMint: String,   // Token the customer paid with ($PIZZA SPL, SOL or an allow-listed SPL token)
+    inputSymbol: String,
     outputMint: String,  // USDC mint
-    inputAmount: Number, // Amount of $PIZZA SPL
+    inputAmount: Number, // Input actually spent
+    quotedInputAmount: Number, // Input the quote expected
+    maxInputAmount: Number,    // Most input the slippage tolerance allowed
     outputAmount: Number, // USDC received
+    slippageBps: Number,
     swapLoss: {
       type: Number,
-      default: 0.0075    // 0.75% customer-absorbed loss
+      default: 0.0075    // 0.75% customer-absorbed loss (price impact + realized slippage for checkout swaps)
     },
     route: mongoose.Schema.Types.Mixed, // Jupiter route info
-    priceImpact: Number
+    priceImpact: Number,
+    realizedSlippage: Number // inputAmount / quotedInputAmount - 1
   },
   
-  // Fee breakdown (standardized for all CN businesses)
+  // Fee breakdown (priced from the FeeSchedule, derived from amount when not supplied)
   fees: {
     platformFee: {
       type: Number,
-      required: true,
-      default: 0.15 // 1% of $15 = $0.15
+      required: true // Schedule platform rate of the fee base (1% = $0.15 on $15)
     },
     vaultContribution: {
       type: Number,
-      required: true,
-      default: 0.195 // 1.3% of $15 = $0.195
+      required: true // Schedule vault rate of the fee base (1.3% = $0.195 on $15)
     },
     totalFees: {
       type: Number,
-      required: true,
-      default: 0.345 // $0.15 + $0.195 = $0.345
+      required: true // platformFee + vaultContribution
     },
     networkFee: {
       type: Number,
@@ -129,7 +164,9 @@ const transactionSchema = new mongoose.Schema({
     jupiterSwapFee: {
       type: Number,
       default: 0 // 0.75% customer-absorbed for $PIZZA SPL swaps
-    }
+    },
+    // FeeSchedule version the fees were charged under (0 = built-in defaults)
+    scheduleVersion: Number
   },
   
   // Blockchain details
@@ -161,28 +198,101 @@ const transactionSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    netAmount: {
-      type: Number,
-      default: 14.655 // $15 - $0.345 fees = $14.655
+    netAmount: Number, // amount - totalFees ($14.655 on $15)
+    settlementDate: Date,
+    // Closed settlement batch this transaction was paid out in (locks amounts, fees and status)
+    batchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SettlementBatch'
     },
-    settlementDate: Date
+    lockedAt: Date
   },
   
-  // Reward distribution (fixed 0.3 $PIZZA SPL per $15 transaction)
+  // Reward distribution (0.3 $PIZZA SPL per $15, proportional to amount)
   rewards: {
-    pizzaTokensDistributed: {
-      type: Number,
-      default: 0.3 // Fixed 0.3 $PIZZA SPL per transaction
-    },
+    pizzaTokensDistributed: Number,
     giftCardIssued: {
       type: Boolean,
       default: false
     },
-    vaultFunded: {
+    vaultFunded: Number, // Vault contribution funded by this transaction
+    distributionTransactionId: String // Solana tx for reward distribution
+  },
+  
+  // Merchant loyalty rules applied to the payment (LoyaltyRulesService)
+  loyalty: {
+    originalAmount: Number,   // Order total before the discount
+    discount: {
+      type: Number,
+      default: 0
+    },
+    rewardMultiplier: {
       type: Number,
-      default: 0.195 // $0.195 vault contribution per transaction
+      default: 1
     },
-    distributionTransactionId: String // Solana tx for reward distribution
+    rulesFired: [{
+      ruleId: String,          // e.g. discountRules:0, customRules:2
+      type: {
+        type: String,
+        enum: ['discount', 'reward_multiplier', 'nft_reward', 'store_credit']
+      },
+      description: String,
+      value: Number            // Discount in USDC, multiplier, or $PIZZA SPL / credit threshold
+    }],
+    evaluatedAt: Date
+  },
+  
+  // Refunds issued against this payment (partial refunds allowed up to amount)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  
+  refundStatus: {
+    type: String,
+    enum: ['none', 'partial', 'full'],
+    default: 'none'
+  },
+  
+  refundRequests: [{
+    reference: String,  // Solana Pay reference carried by the merchant's refund transfer
+    amount: Number,
+    reason: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'cancelled'],
+      default: 'pending'
+    },
+    refundTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    completedAt: Date
+  }],
+  
+  // Refund details (type: 'refund' only)
+  refund: {
+    originalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    reason: String,
+    vaultContributionReversed: Number, // Share of the original vault contribution reversed
+    rewardClawback: {
+      amount: Number,      // Share of the $PIZZA SPL reward reclaimed
+      deducted: Number,    // Deducted from the customer's tracked balance
+      outstanding: Number, // Already spent by the customer
+      unsent: Number       // Cut from the reward while it was still queued
+    }
   },
   
   // Metadata
@@ -211,12 +321,15 @@ transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ businessId: 1, createdAt: -1 });
 transactionSchema.index({ walletAddress: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
-transactionSchema.index({ amount: 1 }); // Fixed $15 transactions
+transactionSchema.index({ amount: 1 });
 transactionSchema.index({ 'businessInfo.type': 1 }); // CN business filtering
 transactionSchema.index({ 'settlement.method': 1 });
 transactionSchema.index({ 'settlement.processed': 1 });
+transactionSchema.index({ businessId: 1, 'settlement.batchId': 1, createdAt: 1 });
 transactionSchema.index({ 'rewards.pizzaTokensDistributed': 1 });
 transactionSchema.index({ blockTime: -1 });
+transactionSchema.index({ 'refundRequests.reference': 1 }, { sparse: true });
+transactionSchema.index({ 'refund.originalTransactionId': 1 }, { sparse: true });
 
 // Virtual for transaction value in USD (requires price data)
 transactionSchema.virtual('usdValue').get(function() {
@@ -251,6 +364,29 @@ transactionSchema.methods.recordRewardDistribution = function(rewardData) {
   return this.save();
 };
 
+// Record the loyalty rules that fired when rewarding the payment (discount rules fired earlier, on the intent)
+transactionSchema.methods.recordLoyaltyRules = function(loyaltyData) {
+  const discountRules = (this.loyalty?.rulesFired || []).filter(rule => rule.type === 'discount');
+  
+  this.loyalty = {
+    originalAmount: this.loyalty?.originalAmount,
+    discount: this.loyalty?.discount || 0,
+    rewardMultiplier: loyaltyData.rewardMultiplier,
+    rulesFired: [...discountRules, ...loyaltyData.rulesFired.filter(rule => rule.type !== 'discount')],
+    evaluatedAt: new Date()
+  };
+  return this.save();
+};
+
+// Amount still refundable (completed and pending refunds are reserved)
+transactionSchema.methods.getRefundableAmount = function() {
+  const pending = (this.refundRequests || [])
+    .filter(request => request.status === 'pending')
+    .reduce((sum, request) => sum + request.amount, 0);
+  
+  return roundUSDC(Math.max(0, this.amount - (this.refundedAmount || 0) - pending));
+};
+
 // Method to process settlement
 transactionSchema.methods.processSettlement = function(settlementData) {
   this.settlement.processed = true;
@@ -309,7 +445,7 @@ transactionSchema.statics.getTransactionStats = function(userId, startDate, endD
       $group: {
         _id: '$type',
         count: { $sum: 1 },
-        totalAmount: { $sum: '$amount' }, // Fixed $15 amounts
+        totalAmount: { $sum: '$amount' },
         avgAmount: { $avg: '$amount' },
         totalRewards: { $sum: '$rewards.pizzaTokensDistributed' },
         totalVaultContributions: { $sum: '$rewards.vaultFunded' },
@@ -411,7 +547,7 @@ transactionSchema.statics.getDailyVolume = function(days = 30) {
           day: { $dayOfMonth: '$createdAt' }
         },
         totalTransactions: { $sum: 1 },
-        totalVolume: { $sum: '$amount' }, // All $15 transactions
+        totalVolume: { $sum: '$amount' },
         totalPlatformFees: { $sum: '$fees.platformFee' },
         totalVaultContributions: { $sum: '$fees.vaultContribution' },
         totalRewards: { $sum: '$rewards.pizzaTokensDistributed' },
@@ -481,13 +617,68 @@ transactionSchema.statics.getVaultContributionSummary = function(startDate, endD
         },
         contributingBusinessCount: { $size: '$contributingBusinesses' },
         vaultSurplus: {
-          $subtract: ['$totalVaultContributions', { $multiply: ['$totalRewardsDistributed', 0.15] }]
-        } // Assuming $0.15 cost per reward
+          $subtract: ['$totalVaultContributions', { $multiply: ['$totalRewardsDistributed', paymentConfig.rewardCostRate / paymentConfig.rewardRate] }]
+        } // Reward cost per $PIZZA SPL distributed ($0.15 per 0.3)
       }
     }
   ]);
 };
 
+// Derive fee, settlement and reward amounts from the order total when not supplied
+// (tips are excluded from the fee and reward base)
+transactionSchema.pre('validate', function(next) {
+  if (this.type === 'payment' && typeof this.amount === 'number') {
+    const feeBase = roundUSDC(this.amount - (this.tipAmount || 0));
+    if (this.fees.platformFee == null || this.fees.vaultContribution == null) {
+      const fees = feeScheduleService.calculateFees(this.amount, this.tipAmount || 0, {
+        businessId: this.businessId,
+        businessCategory: this.businessInfo?.category,
+        businessType: this.businessInfo?.type,
+        scheduleVersion: this.fees.scheduleVersion,
+        pricedAt: this.createdAt || new Date()
+      });
+      if (this.fees.platformFee == null) {
+        this.fees.platformFee = fees.platformFee;
+      }
+      if (this.fees.vaultContribution == null) {
+        this.fees.vaultContribution = fees.vaultContribution;
+      }
+      if (this.fees.scheduleVersion == null) {
+        this.fees.scheduleVersion = fees.scheduleVersion;
+      }
+    }
+    if (this.fees.totalFees == null) {
+      this.fees.totalFees = roundUSDC(this.fees.platformFee + this.fees.vaultContribution);
+    }
+    if (this.settlement.netAmount == null) {
+      this.settlement.netAmount = roundUSDC(this.amount - this.fees.totalFees);
+    }
+    if (this.rewards.pizzaTokensDistributed == null) {
+      this.rewards.pizzaTokensDistributed = calculateReward(feeBase).rewardAmount;
+    }
+    if (this.rewards.vaultFunded == null) {
+      this.rewards.vaultFunded = this.fees.vaultContribution;
+    }
+  } else {
+    ['platformFee', 'vaultContribution', 'totalFees'].forEach(field => {
+      if (this.fees[field] == null) {
+        this.fees[field] = 0;
+      }
+    });
+  }
+  
+  next();
+});
+
+// Fields a closed settlement batch vouches for - corrections must be new transactions (e.g. refunds)
+const SETTLEMENT_LOCKED_PATHS = ['amount', 'tipAmount', 'type', 'status', 'businessId', 'fees', 'settlement.netAmount', 'settlement.batchId'];
+
+const touchesLockedPath = (update = {}) => Object.entries(update).some(([key, value]) => {
+  const paths = key.startsWith('$') ? Object.keys(value || {}) : [key];
+  return paths.some(path => SETTLEMENT_LOCKED_PATHS.some(locked =>
+    path === locked || path.startsWith(`${locked}.`) || locked.startsWith(`${path}.`)));
+});
+
 // Pre-save middleware
 transactionSchema.pre('save', function(next) {
   // Set completion timestamp for confirmed/failed transactions
@@ -495,7 +686,21 @@ transactionSchema.pre('save', function(next) {
     this.completedAt = new Date();
   }
   
+  if (!this.isNew && this.settlement?.lockedAt && SETTLEMENT_LOCKED_PATHS.some(path => this.isModified(path))) {
+    return next(new Error('Transaction is locked by a closed settlement batch'));
+  }
+  
   next();
 });
 
+// Query updates never match locked transactions when they touch settled amounts
+transactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  if (touchesLockedPath(this.getUpdate())) {
+    this.where({ 'settlement.lockedAt': null });
+  }
+  next();
+});
+
+transactionSchema.statics.SETTLEMENT_LOCKED_PATHS = SETTLEMENT_LOCKED_PATHS;
+
 module.exports = mongoose.model('Transaction', transactionSchema); 
\ No newline at end of file
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { loyaltyTierConfig } = require('../config/payments');
+
+const LOYALTY_TIERS = loyaltyTierConfig.tiers.map(tier => tier.name);
+
+// Loyalty tier in one scope (a business, or platform-wide) - kept by LoyaltyTierService
+const loyaltyTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: LOYALTY_TIERS,
+    default: LOYALTY_TIERS[0]
+  },
+  since: Date,
+  // Spend (USDC, excluding tips and refunds) and visits in the rolling window at the latest evaluation
+  rollingSpend: {
+    type: Number,
+    default: 0
+  },
+  rollingVisits: {
+    type: Number,
+    default: 0
+  },
+  evaluatedAt: Date
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -204,7 +227,7 @@ const userSchema = new mongoose.Schema({
   
 
   
-  // Gift card holdings (NFT-based)
+  // Legacy gift card holdings (NFT-based) - cards now live in the GiftCard collection
   giftCards: [{
     nftAddress: {
       type: String,
@@ -256,7 +279,7 @@ const userSchema = new mongoose.Schema({
     mintTransactionId: String // When minted
   }],
   
-  // Payment history (fixed $15 USDC transactions)
+  // Payment history (variable-amount USDC transactions)
   payments: {
     totalTransactions: {
       type: Number,
@@ -264,11 +287,11 @@ const userSchema = new mongoose.Schema({
     },
     totalVolume: {
       type: Number,
-      default: 0 // Total $15 transactions
+      default: 0 // Total USDC spent
     },
     pizzaSPLRewardsEarned: {
       type: Number,
-      default: 0 // 0.3 $PIZZA SPL per $15 transaction
+      default: 0 // 0.3 $PIZZA SPL per $15 spent
     },
     preferredPaymentMethod: {
       type: String,
@@ -276,6 +299,34 @@ const userSchema = new mongoose.Schema({
       default: 'usdc'
     },
     lastTransactionDate: Date,
+    // Platform-wide loyalty tier
+    tier: {
+      type: loyaltyTierSchema,
+      default: () => ({})
+    },
+    // Tier changes, newest last (capped by LoyaltyTierService)
+    tierHistory: [{
+      scope: {
+        type: String,
+        enum: ['platform', 'business']
+      },
+      businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business'
+      },
+      from: {
+        type: String,
+        enum: LOYALTY_TIERS
+      },
+      to: {
+        type: String,
+        enum: LOYALTY_TIERS
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     favoriteBusinesses: [{
       businessId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -290,8 +341,13 @@ const userSchema = new mongoose.Schema({
         default: 0
       },
       lastVisit: Date,
+      // Loyalty tier at this business
+      tier: {
+        type: loyaltyTierSchema,
+        default: () => ({})
+      },
       loyaltyPerks: [{
-        perkType: String, // 'discount', 'nft', 'credit'
+        perkType: String, // 'discount', 'nft', 'credit', 'tier'
         value: String,
         earnedAt: Date,
         usedAt: Date
@@ -533,6 +589,7 @@ userSchema.methods.redeemGiftCard = function(giftCardId, transactionId) {
   return this.save();
 };
 
+// Legacy embedded cards only - checkout draw-downs are GiftCardRedemption records (GiftCardCheckoutService)
 userSchema.methods.useGiftCard = function(giftCardId, usageAmount, transactionId) {
   const giftCard = this.giftCards.id(giftCardId);
   if (!giftCard || !giftCard.redeemed || giftCard.used) return null;
@@ -546,6 +603,7 @@ userSchema.methods.useGiftCard = function(giftCardId, usageAmount, transactionId
 };
 
 // Payment and reward methods
+// Rewards earned are derived from the ledger (LedgerService.recordReward), not counted here
 userSchema.methods.processPayment = function(businessId, amount = 15) {
   if (!this.payments) {
     this.payments = {
@@ -558,7 +616,6 @@ userSchema.methods.processPayment = function(businessId, amount = 15) {
   
   this.payments.totalTransactions += 1;
   this.payments.totalVolume += amount;
-  this.payments.pizzaSPLRewardsEarned += 0.3; // Fixed 0.3 $PIZZA SPL per transaction
   this.payments.lastTransactionDate = new Date();
   
   // Update favorite business
@@ -618,6 +675,8 @@ userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
 
+userSchema.statics.LOYALTY_TIERS = LOYALTY_TIERS;
+
 // Indexes
 // Email index is automatically created by unique: true property
 userSchema.index({ emailVerificationToken: 1 });
@@ -635,6 +694,8 @@ userSchema.index({ 'giftCards.businessId': 1 });
 userSchema.index({ 'giftCards.expiryDate': 1 });
 userSchema.index({ 'payments.totalVolume': -1 });
 userSchema.index({ 'payments.pizzaSPLRewardsEarned': -1 });
+userSchema.index({ 'payments.lastTransactionDate': -1 });
+userSchema.index({ 'payments.tier.name': 1 });
 userSchema.index({ registrationSource: 1 });
 userSchema.index({ registrationIP: 1 });
 userSchema.index({ 'loginHistory.ipAddress': 1 });
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const { vaultConfig, vaultHealthConfig } = require('../config/payments');
+
+/**
+ * Vault - persisted state of the unified platform vault
+ *
+ * Bucket balances are a projection of the ledger's vault:* accounts (LedgerService keeps
+ * them in sync after every posting). The document owns what the ledger does not: the
+ * allocation policy, the Kamino staking switch with its history, past rebalances, and the
+ * health thresholds with the reward distribution pause they drive.
+ */
+const VAULT_BUCKETS = ['rewards', 'giftCards', 'surplus'];
+
+const bucketField = {
+  type: Number,
+  default: 0
+};
+
+const stakingChangeSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    required: true
+  },
+  // Liquid vault balance at the time of the change
+  amount: {
+    type: Number,
+    default: 0
+  },
+  apy: Number,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 200
+  }
+}, { _id: false });
+
+const rebalanceSchema = new mongoose.Schema({
+  entryId: String, // Ledger entry that moved the funds
+  // Signed USDC moved into (+) or out of (-) each bucket
+  moves: {
+    rewards: bucketField,
+    giftCards: bucketField,
+    surplus: bucketField
+  },
+  trigger: {
+    type: String,
+    enum: ['contribution', 'funding', 'policy_change', 'manual'],
+    default: 'manual'
+  },
+  rebalancedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const vaultSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'platform'
+  },
+
+  // Projection of the ledger vault accounts
+  balances: {
+    rewards: bucketField,
+    giftCards: bucketField,
+    surplus: bucketField,
+    staked: bucketField
+  },
+  balancesSyncedAt: Date,
+
+  // Target bucket shares of the liquid vault; surplus holds the rest
+  policy: {
+    rewardsShare: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: vaultConfig.rewardsShare
+    },
+    giftCardsShare: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: vaultConfig.giftCardsShare
+    },
+    rebalanceTolerance: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: vaultConfig.rebalanceTolerance
+    },
+    minRebalanceAmount: {
+      type: Number,
+      min: 0,
+      default: vaultConfig.minRebalanceAmount
+    },
+    autoRebalance: {
+      type: Boolean,
+      default: true
+    },
+    updatedAt: Date,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+
+  staking: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    apy: {
+      type: Number,
+      min: 0,
+      default: vaultConfig.stakingApy
+    },
+    merchantYieldShare: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: vaultConfig.merchantYieldShare
+    },
+    changedAt: Date,
+    history: [stakingChangeSchema]
+  },
+
+  // Most recent rebalances (older ones stay in the ledger)
+  rebalances: [rebalanceSchema],
+  lastRebalancedAt: Date,
+
+  // Scheduled health checks (VaultHealthService)
+  health: {
+    thresholds: {
+      minRewardRunwayDays: {
+        type: Number,
+        min: 0,
+        default: vaultHealthConfig.minRewardRunwayDays
+      },
+      maxGiftCardLiabilityRatio: {
+        type: Number,
+        min: 0,
+        default: vaultHealthConfig.maxGiftCardLiabilityRatio
+      },
+      maxStakedRatio: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: vaultHealthConfig.maxStakedRatio
+      },
+      rewardReserveFloor: {
+        type: Number,
+        min: 0,
+        default: vaultHealthConfig.rewardReserveFloor
+      },
+      updatedAt: Date,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      }
+    },
+
+    // Reward distribution stops while paused; automatic pauses lift once the floor is met again
+    rewardsPause: {
+      paused: {
+        type: Boolean,
+        default: false
+      },
+      automatic: {
+        type: Boolean,
+        default: false
+      },
+      reason: {
+        type: String,
+        maxlength: 200
+      },
+      pausedAt: Date,
+      pausedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null // null when paused by a health check
+      },
+      resumedAt: Date,
+      resumedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      }
+    },
+
+    lastCheckedAt: Date,
+    lastCheck: {
+      healthy: Boolean,
+      metrics: mongoose.Schema.Types.Mixed,
+      breaches: [String]
+    }
+  },
+
+  // Claimed while a rebalance is being posted so workers do not move funds twice
+  rebalancingAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+vaultSchema.pre('validate', function(next) {
+  if (this.policy.rewardsShare + this.policy.giftCardsShare > 1) {
+    return next(new Error('Vault policy shares cannot exceed 100%'));
+  }
+  next();
+});
+
+vaultSchema.virtual('liquidBalance').get(function() {
+  return VAULT_BUCKETS.reduce((sum, bucket) => sum + (this.balances[bucket] || 0), 0);
+});
+
+/**
+ * The platform vault document, created with the policy defaults on first use
+ */
+vaultSchema.statics.getPlatformVault = function() {
+  return this.findOneAndUpdate(
+    { key: 'platform' },
+    { $setOnInsert: { key: 'platform' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+vaultSchema.statics.BUCKETS = VAULT_BUCKETS;
+
+module.exports = mongoose.model('Vault', vaultSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * VaultAlert - a vault health threshold breach in the admin notification feed
+ *
+ * open -> acknowledged -> resolved. A check keeps one active (open or acknowledged) alert
+ * that later health checks update while the breach lasts; it resolves on the first check
+ * that passes, and a new breach after that raises a new alert.
+ */
+const VAULT_ALERT_CHECKS = ['reward_runway', 'gift_card_liability', 'staked_ratio', 'reward_reserve_floor'];
+
+const VAULT_ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const vaultAlertSchema = new mongoose.Schema({
+  // Public identifier used by the admin API
+  alertId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^va_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid vault alert ID format'
+    }
+  },
+
+  check: {
+    type: String,
+    enum: VAULT_ALERT_CHECKS,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'critical'],
+    default: 'warning'
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  // Measured value and the threshold it breached at the latest check
+  value: Number,
+  threshold: Number,
+
+  status: {
+    type: String,
+    enum: VAULT_ALERT_STATUSES,
+    default: 'open'
+  },
+  // Health checks that found the breach
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  raisedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedAt: Date,
+
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+vaultAlertSchema.index({ check: 1, status: 1 });
+vaultAlertSchema.index({ status: 1, raisedAt: -1 });
+
+vaultAlertSchema.statics.findByAlertId = function(alertId) {
+  return this.findOne({ alertId });
+};
+
+vaultAlertSchema.statics.CHECKS = VAULT_ALERT_CHECKS;
+vaultAlertSchema.statics.STATUSES = VAULT_ALERT_STATUSES;
+
+module.exports = mongoose.model('VaultAlert', vaultAlertSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+/**
+ * VaultWithdrawal - an emergency withdrawal from the vault surplus awaiting M-of-N approval
+ *
+ * proposed -> approved -> executed, or rejected / cancelled / expired on the way.
+ * Every approval (the proposer's included) is re-confirmed with the super admin's TOTP.
+ * Reaching the required approvals starts the time-lock: until executableAt any super admin
+ * can still cancel. Each step, including refused TOTP confirmations, is appended to the
+ * audit trail.
+ */
+const VAULT_WITHDRAWAL_STATUSES = ['proposed', 'approved', 'executed', 'rejected', 'cancelled', 'expired'];
+
+const VAULT_WITHDRAWAL_ACTIONS = ['proposed', 'approved', 'quorum_reached', 'rejected', 'cancelled', 'executed', 'expired', 'totp_failed'];
+
+const adminRefFields = {
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    required: true
+  },
+  username: String
+};
+
+const approvalSchema = new mongoose.Schema({
+  ...adminRefFields,
+  approvedAt: {
+    type: Date,
+    default: Date.now
+  },
+  comment: {
+    type: String,
+    maxlength: 500
+  }
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: VAULT_WITHDRAWAL_ACTIONS,
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser',
+    default: null
+  },
+  username: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, { _id: false });
+
+const vaultWithdrawalSchema = new mongoose.Schema({
+  // Public identifier used by the admin API
+  withdrawalId: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^vw_[a-f0-9]{24}$/.test(v);
+      },
+      message: 'Invalid vault withdrawal ID format'
+    }
+  },
+
+  // USDC taken from the vault surplus
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+
+  // Wallet the funds are sent to
+  destination: {
+    type: String,
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+
+  status: {
+    type: String,
+    enum: VAULT_WITHDRAWAL_STATUSES,
+    default: 'proposed'
+  },
+
+  proposedBy: approvalSchema,
+
+  // Fixed when proposed so a later config change does not move the goalposts
+  requiredApprovals: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  approvals: [approvalSchema],
+
+  // Set when the required approvals are reached
+  approvedAt: Date,
+  executableAt: Date,
+
+  // Proposals expire without quorum; approved withdrawals expire if never executed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  rejection: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    username: String,
+    reason: String,
+    rejectedAt: Date
+  },
+
+  cancellation: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    username: String,
+    reason: String,
+    cancelledAt: Date
+  },
+
+  execution: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    username: String,
+    entryId: String,   // Ledger entry that took the funds out of the surplus
+    signature: String, // On-chain transfer to the destination
+    executedAt: Date
+  },
+
+  auditTrail: [auditEventSchema]
+}, {
+  timestamps: true
+});
+
+vaultWithdrawalSchema.index({ status: 1, createdAt: -1 });
+vaultWithdrawalSchema.index({ status: 1, expiresAt: 1 });
+
+vaultWithdrawalSchema.virtual('approvalCount').get(function() {
+  return this.approvals.length;
+});
+
+vaultWithdrawalSchema.statics.findByWithdrawalId = function(withdrawalId) {
+  return this.findOne({ withdrawalId });
+};
+
+vaultWithdrawalSchema.statics.STATUSES = VAULT_WITHDRAWAL_STATUSES;
+vaultWithdrawalSchema.statics.ACTIONS = VAULT_WITHDRAWAL_ACTIONS;
+
+module.exports = mongoose.model('VaultWithdrawal', vaultWithdrawalSchema);
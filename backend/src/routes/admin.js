@@ -2,17 +2,29 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const fetch = require('node-fetch');
 const User = require('../models/User');
 const Business = require('../models/Business');
 const Transaction = require('../models/Transaction');
+const FeeSchedule = require('../models/FeeSchedule');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
 const VaultService = require('../services/vaultService');
 const BusinessTypeService = require('../services/businessTypeService');
+const feeScheduleService = require('../services/feeScheduleService');
+const ledgerService = require('../services/ledgerService');
+const vaultWithdrawalService = require('../services/vaultWithdrawalService');
+const stakingPayoutService = require('../services/stakingPayoutService');
+const vaultHealthService = require('../services/vaultHealthService');
+const loyaltyTierService = require('../services/loyaltyTierService');
+const rewardQueueService = require('../services/rewardQueueService');
+const referralService = require('../services/referralService');
 // KYC service removed - not needed in vendor-only system
 const adminAuth = require('../middleware/adminAuth');
 const securityMiddleware = require('../middleware/security');
 const secretManager = require('../config/secrets');
+const { paymentConfig } = require('../config/payments');
 
 const router = express.Router();
 const vaultService = new VaultService();
@@ -128,6 +140,9 @@ async function logSecurityEvent(user, eventType, req, details) {
   }
 }
 
+// Highest platform or vault rate an admin can set on a fee schedule (10%)
+const MAX_FEE_RATE = 0.1;
+
 // Rate limiters for admin endpoints
 const adminLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -453,7 +468,7 @@ const requireAdminAuth = async (req, res, next) => {
     // Secure admin check - use proper admin user model
     const AdminUser = require('../models/AdminUser');
     const adminUser = await AdminUser.findById(decoded.userId);
-    if (!adminUser || !adminUser.isActive || adminUser.role !== 'admin') {
+    if (!adminUser || !adminUser.isActive || !['admin', 'super_admin'].includes(adminUser.role)) {
       await logSecurityEvent(null, 'unauthorized_admin_access_attempt', req, {
         token: token.substring(0, 10) + '...',
         userId: decoded.userId
@@ -478,6 +493,17 @@ const requireAdminAuth = async (req, res, next) => {
   }
 };
 
+// Super admin only routes (run after requireAdminAuth)
+const requireSuperAdmin = async (req, res, next) => {
+  if (req.admin.role !== 'super_admin') {
+    await logSecurityEvent(req.admin, 'super_admin_access_denied', req, {
+      route: req.originalUrl
+    });
+    return res.status(403).json({ error: 'Super admin access required' });
+  }
+  next();
+};
+
 /**
  * @route GET /api/admin/dashboard
  * @desc Get admin dashboard overview
@@ -511,6 +537,19 @@ router.get('/dashboard', adminLimiter, requireAdminAuth, async (req, res) => {
       }
     ]);
 
+    // Get real payment volume (order totals vary per transaction)
+    const [paymentVolume] = await Transaction.aggregate([
+      { $match: { type: 'payment', status: 'confirmed' } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          totalVolume: { $sum: '$amount' },
+          averageAmount: { $avg: '$amount' }
+        }
+      }
+    ]);
+
     // Get recent transactions
     const recentTransactions = await Transaction.find()
       .sort({ createdAt: -1 })
@@ -533,8 +572,9 @@ router.get('/dashboard', adminLimiter, requireAdminAuth, async (req, res) => {
         },
         transactions: {
           total: totalTransactions,
-          fixedAmountTransactions: totalTransactions, // All are $15 now
-          totalVolume: totalTransactions * 15 // Fixed $15 per transaction
+          confirmedPayments: paymentVolume?.count || 0,
+          totalVolume: paymentVolume?.totalVolume || 0,
+          averagePaymentAmount: paymentVolume?.averageAmount || 0
         },
         platformVault: vaultAnalytics,
         kycStatistics: kycStats,
@@ -686,8 +726,16 @@ router.put('/business/:businessId/verify',
 router.get('/vault/analytics',
   adminLimiter,
   requireAdminAuth,
+  [
+    query('timeframe').optional().isIn(['7d', '30d', '90d', '365d'])
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
       const timeframe = req.query.timeframe || '30d';
       const analytics = await vaultService.getPlatformVaultAnalytics(timeframe);
 
@@ -696,7 +744,7 @@ router.get('/vault/analytics',
         vaultAnalytics: analytics,
         systemDesign: {
           unifiedVault: 'All businesses contribute 1.3% to single platform vault',
-          fixedRewards: '0.3 $PIZZA SPL per $15 transaction ($0.15 cost)',
+          proportionalRewards: '0.3 $PIZZA SPL per $15 spent (1% reward cost)',
           annualSurplus: '$2,320.06 per business after rewards',
           kaminoStaking: 'Optional 4% APY for CN businesses with 50/50 yield split'
         }
@@ -710,19 +758,19 @@ router.get('/vault/analytics',
 );
 
 /**
- * @route GET /api/admin/transactions
- * @desc Get transaction history with advanced filtering
+ * @route PUT /api/admin/vault/policy
+ * @desc Update the vault allocation policy (target bucket shares and rebalancing)
  * @access Private (Admin)
  */
-router.get('/transactions',
+router.put('/vault/policy',
   adminLimiter,
   requireAdminAuth,
   [
-    query('page').optional().isInt({ min: 1 }),
-    query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('type').optional().isIn(['payment', 'pizza_spl_swap', 'reward_distribution', 'gift_card_mint', 'investment_token_conversion']),
-    query('status').optional().isIn(['pending', 'confirmed', 'failed']),
-    query('businessType').optional().isIn(['CN'])
+    body('rewardsShare').optional().isFloat({ min: 0, max: 1 }),
+    body('giftCardsShare').optional().isFloat({ min: 0, max: 1 }),
+    body('rebalanceTolerance').optional().isFloat({ min: 0, max: 1 }),
+    body('minRebalanceAmount').optional().isFloat({ min: 0 }),
+    body('autoRebalance').optional().isBoolean()
   ],
   async (req, res) => {
     try {
@@ -731,202 +779,1850 @@ router.get('/transactions',
         return res.status(400).json({ error: 'Validation failed', details: errors.array() });
       }
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 50;
-      const skip = (page - 1) * limit;
+      const policy = {};
+      ['rewardsShare', 'giftCardsShare', 'rebalanceTolerance', 'minRebalanceAmount'].forEach(field => {
+        if (req.body[field] !== undefined) policy[field] = parseFloat(req.body[field]);
+      });
+      if (req.body.autoRebalance !== undefined) {
+        policy.autoRebalance = req.body.autoRebalance === true || req.body.autoRebalance === 'true';
+      }
 
-      // Build filter
-      let filter = {};
-      if (req.query.type) filter.type = req.query.type;
-      if (req.query.status) filter.status = req.query.status;
-      if (req.query.businessType) filter['businessInfo.type'] = req.query.businessType;
+      const result = await vaultService.updatePolicy(policy, req.admin._id);
 
-      const [transactions, totalCount] = await Promise.all([
-        Transaction.find(filter)
-          .populate('userId', 'email')
-          .populate('businessId', 'businessName businessType')
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(limit),
-        Transaction.countDocuments(filter)
-      ]);
+      await logSecurityEvent(req.admin, 'vault_policy_updated', req, {
+        policy,
+        rebalanceEntryId: result.rebalance?.entryId || null
+      });
+      console.log(`⚖️ Vault policy updated by admin ${req.admin.email}`);
 
       res.json({
         success: true,
-        transactions,
-        pagination: {
-          currentPage: page,
-          totalPages: Math.ceil(totalCount / limit),
-          totalCount
-        },
-        summary: {
-          fixedTransactionAmount: '$15 USDC',
-          fixedRewardAmount: '0.3 $PIZZA SPL',
-          vaultContributionRate: '1.3%',
-          platformFeeRate: '1.0%' // CN businesses only
-        }
+        ...result
       });
 
     } catch (error) {
-      console.error('Admin transactions error:', error);
-      res.status(500).json({ error: 'Failed to retrieve transactions' });
+      if (error.message.includes('cannot exceed')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Vault policy update error:', error);
+      res.status(500).json({ error: 'Failed to update vault policy' });
     }
   }
 );
 
 /**
- * @route GET /api/admin/users/kyc-pending
- * @desc Get users with pending KYC verification
+ * @route POST /api/admin/vault/rebalance
+ * @desc Rebalance the vault buckets to the policy targets now
  * @access Private (Admin)
  */
-router.get('/users/kyc-pending',
+router.post('/vault/rebalance',
   adminLimiter,
   requireAdminAuth,
   async (req, res) => {
     try {
-      const pendingUsers = await User.find({
-        'kyc.status': 'pending'
-      }).select('email kyc createdAt');
+      const rebalance = await vaultService.rebalance('manual');
+
+      if (rebalance) {
+        await logSecurityEvent(req.admin, 'vault_rebalanced', req, {
+          entryId: rebalance.entryId,
+          moves: rebalance.moves
+        });
+      }
 
       res.json({
         success: true,
-        pendingKYC: pendingUsers,
-        count: pendingUsers.length,
-        kycPurpose: 'Investment token conversion only (10 $PIZZA SPL + $0.10 USDC → 1 investment token)',
-        providers: {
-          primary: 'Ramp ($0.50/customer)',
-          backup: 'MoonPay ($0.50/customer)'
-        }
+        rebalanced: Boolean(rebalance),
+        rebalance,
+        allocations: vaultService.allocations
       });
 
     } catch (error) {
-      console.error('Pending KYC users error:', error);
-      res.status(500).json({ error: 'Failed to retrieve pending KYC users' });
+      console.error('Vault rebalance error:', error);
+      res.status(500).json({ error: 'Failed to rebalance vault' });
     }
   }
 );
 
 /**
- * @route POST /api/admin/gift-cards/expired/cleanup
- * @desc Clean up expired gift cards (revert to treasury)
+ * @route GET /api/admin/vault/health
+ * @desc Latest vault health check, thresholds, reward pause and active alerts
  * @access Private (Admin)
  */
-router.post('/gift-cards/expired/cleanup',
+router.get('/vault/health',
   adminLimiter,
   requireAdminAuth,
   async (req, res) => {
     try {
-      const GiftCardService = require('../services/giftCardService');
-      const giftCardService = new GiftCardService();
+      const health = await vaultHealthService.getHealthStatus();
 
-      const cleanupResult = await giftCardService.processExpiredGiftCards();
+      res.json({
+        success: true,
+        ...health
+      });
+
+    } catch (error) {
+      console.error('Vault health error:', error);
+      res.status(500).json({ error: 'Failed to retrieve vault health' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/health/check
+ * @desc Run a vault health check now
+ * @access Private (Admin)
+ */
+router.post('/vault/health/check',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const report = await vaultHealthService.runHealthCheck();
+      if (!report) {
+        return res.status(409).json({ error: 'A vault health check is already running' });
+      }
 
       res.json({
         success: true,
-        message: 'Expired gift cards processed',
-        cleanupResult,
-        treasuryPolicy: '30-day expiry, unused cards revert to treasury'
+        report
       });
 
     } catch (error) {
-      console.error('Gift card cleanup error:', error);
-      res.status(500).json({ error: 'Failed to process expired gift cards' });
+      console.error('Vault health check error:', error);
+      res.status(500).json({ error: 'Failed to run vault health check' });
     }
   }
 );
 
 /**
- * @route GET /api/admin/financial-overview
- * @desc Get comprehensive financial overview
+ * @route PUT /api/admin/vault/health/thresholds
+ * @desc Update the vault health thresholds
  * @access Private (Admin)
  */
-router.get('/financial-overview',
+router.put('/vault/health/thresholds',
   adminLimiter,
   requireAdminAuth,
+  [
+    body('minRewardRunwayDays').optional().isFloat({ min: 0 }),
+    body('maxGiftCardLiabilityRatio').optional().isFloat({ min: 0 }),
+    body('maxStakedRatio').optional().isFloat({ min: 0, max: 1 }),
+    body('rewardReserveFloor').optional().isFloat({ min: 0 })
+  ],
   async (req, res) => {
     try {
-      // Get transaction stats for CN businesses only
-      const cnStats = await Transaction.getBusinessTypeStats('CN');
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
 
-      // Get vault contribution summary
-      const vaultSummary = await Transaction.getVaultContributionSummary();
+      const thresholds = {};
+      ['minRewardRunwayDays', 'maxGiftCardLiabilityRatio', 'maxStakedRatio', 'rewardReserveFloor'].forEach(field => {
+        if (req.body[field] !== undefined) thresholds[field] = parseFloat(req.body[field]);
+      });
 
-      const overview = {
-        businessTypes: {
-          CN: {
-            businesses: cnStats[0]?.uniqueBusinessCount || 0,
-            transactions: cnStats[0]?.totalTransactions || 0,
-            volume: cnStats[0]?.totalVolume || 0,
-            platformFees: cnStats[0]?.totalPlatformFees || 0,
-            vaultContributions: cnStats[0]?.totalVaultContributions || 0,
-            feeStructure: '1.0% platform + 1.3% vault = 2.3% total',
-            kaminoStaking: 'Optional 4% APY with 50/50 yield split'
-          }
-        },
-        platformVault: {
-          totalContributions: vaultSummary[0]?.totalVaultContributions || 0,
-          rewardsDistributed: vaultSummary[0]?.totalRewardsDistributed || 0,
-          surplus: vaultSummary[0]?.vaultSurplus || 0,
-          contributingBusinesses: vaultSummary[0]?.contributingBusinessCount || 0,
-          averageContributionPerTx: 0.195 // $0.195 per $15 transaction
-        },
-        projections: {
-          annualRevenueCN: '$30,065.70 (10 businesses)', 
-          totalProjectedRevenue: '$30,065.70',
-          netProfit: '$19,361.35',
-          breakEvenTimeframe: '12 months'
-        }
-      };
+      const updated = await vaultHealthService.updateThresholds(thresholds, req.admin._id);
+
+      await logSecurityEvent(req.admin, 'vault_health_thresholds_updated', req, { thresholds });
+      console.log(`🩺 Vault health thresholds updated by admin ${req.admin.email}`);
 
       res.json({
         success: true,
-        financialOverview: overview
+        thresholds: updated
       });
 
     } catch (error) {
-      console.error('Financial overview error:', error);
-      res.status(500).json({ error: 'Failed to retrieve financial overview' });
+      if (error.message.includes('No vault health thresholds') || error.message.includes('cannot exceed')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Vault health thresholds error:', error);
+      res.status(500).json({ error: 'Failed to update vault health thresholds' });
     }
   }
 );
 
 /**
- * @route POST /api/admin/system/maintenance
- * @desc Trigger system maintenance tasks
+ * @route GET /api/admin/vault/alerts
+ * @desc Vault health alert feed
  * @access Private (Admin)
  */
-router.post('/system/maintenance',
+router.get('/vault/alerts',
   adminLimiter,
   requireAdminAuth,
+  [
+    query('status').optional().isIn(['open', 'acknowledged', 'resolved']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
   async (req, res) => {
     try {
-      const { task } = req.body;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
 
-      let result = {};
+      const feed = await vaultHealthService.listAlerts({
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0
+      });
 
-      switch (task) {
-        case 'process_expired_gift_cards':
-          const GiftCardService = require('../services/giftCardService');
-          const giftCardService = new GiftCardService();
-          result = await giftCardService.processExpiredGiftCards();
-          break;
+      res.json({
+        success: true,
+        ...feed
+      });
 
-        case 'update_vault_analytics':
-          result = await vaultService.getPlatformVaultAnalytics('7d');
-          break;
+    } catch (error) {
+      console.error('Vault alerts error:', error);
+      res.status(500).json({ error: 'Failed to retrieve vault alerts' });
+    }
+  }
+);
 
-        case 'process_kamino_yields':
-          // Process all CN businesses with active Kamino staking
-          const cnBusinesses = await Business.find({ 
-            businessType: 'CN',
-            'loyaltyProgram.kamino.isActive': true 
-          });
-          
-          for (const business of cnBusinesses) {
-            await vaultService.processKaminoYieldDistribution(business._id);
-          }
-          
-          result = { processedBusinesses: cnBusinesses.length };
+/**
+ * @route POST /api/admin/vault/alerts/:alertId/acknowledge
+ * @desc Acknowledge an open vault health alert
+ * @access Private (Admin)
+ */
+router.post('/vault/alerts/:alertId/acknowledge',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    param('alertId').matches(/^va_[a-f0-9]{24}$/).withMessage('Invalid vault alert ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const alert = await vaultHealthService.acknowledgeAlert(req.params.alertId, req.admin._id);
+
+      res.json({
+        success: true,
+        alert
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('Only open vault alerts')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Vault alert acknowledge error:', error);
+      res.status(500).json({ error: 'Failed to acknowledge vault alert' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/rewards/pause
+ * @desc Pause reward distribution
+ * @access Private (Admin)
+ */
+router.post('/vault/rewards/pause',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    body('reason').trim().isLength({ min: 3, max: 200 }).withMessage('A reason of 3-200 characters is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const rewardsPause = await vaultHealthService.pauseRewards({ reason: req.body.reason, adminId: req.admin._id });
+
+      await logSecurityEvent(req.admin, 'reward_distribution_paused', req, { reason: req.body.reason });
+      console.log(`⏸️ Reward distribution paused by admin ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        rewardsPause
+      });
+
+    } catch (error) {
+      console.error('Reward pause error:', error);
+      res.status(500).json({ error: 'Failed to pause reward distribution' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/rewards/resume
+ * @desc Resume reward distribution (health checks pause again while below the reserve floor)
+ * @access Private (Admin)
+ */
+router.post('/vault/rewards/resume',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const rewardsPause = await vaultHealthService.resumeRewards({ adminId: req.admin._id });
+
+      await logSecurityEvent(req.admin, 'reward_distribution_resumed', req, {});
+      console.log(`▶️ Reward distribution resumed by admin ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        rewardsPause
+      });
+
+    } catch (error) {
+      console.error('Reward resume error:', error);
+      res.status(500).json({ error: 'Failed to resume reward distribution' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/rewards/queue
+ * @desc Reward delivery queue totals and queued rewards
+ * @access Private (Admin)
+ */
+router.get('/rewards/queue',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('status').optional().isIn(['pending', 'sending', 'sent', 'failed', 'dead_letter', 'cancelled']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const [stats, queue] = await Promise.all([
+        rewardQueueService.getQueueStats(),
+        rewardQueueService.listRewards({
+          status: req.query.status,
+          limit: parseInt(req.query.limit) || 50,
+          offset: parseInt(req.query.offset) || 0
+        })
+      ]);
+
+      res.json({
+        success: true,
+        stats,
+        ...queue
+      });
+
+    } catch (error) {
+      console.error('Reward queue error:', error);
+      res.status(500).json({ error: 'Failed to retrieve reward queue' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/rewards/queue/process
+ * @desc Send due rewards now
+ * @access Private (Admin)
+ */
+router.post('/rewards/queue/process',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const summary = await rewardQueueService.processQueue();
+      if (summary.skipped) {
+        return res.status(409).json({ error: 'The reward queue is already being processed' });
+      }
+
+      res.json({
+        success: true,
+        summary
+      });
+
+    } catch (error) {
+      console.error('Reward queue processing error:', error);
+      res.status(500).json({ error: 'Failed to process reward queue' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/rewards/queue/:rewardId/requeue
+ * @desc Requeue a failed or dead-lettered reward with fresh attempts
+ * @access Private (Admin)
+ */
+router.post('/rewards/queue/:rewardId/requeue',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    param('rewardId').matches(/^rw_[a-f0-9]{24}$/).withMessage('Invalid reward ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const reward = await rewardQueueService.requeue(req.params.rewardId, req.admin._id);
+
+      await logSecurityEvent(req.admin, 'reward_requeued', req, { rewardId: reward.rewardId, amount: reward.amount });
+      console.log(`🔁 Reward ${reward.rewardId} requeued by admin ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        reward
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('Only failed or dead-lettered')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Reward requeue error:', error);
+      res.status(500).json({ error: 'Failed to requeue reward' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/referrals
+ * @desc Referral signups, optionally only those flagged by the anti-abuse checks
+ * @access Private (Admin)
+ */
+router.get('/referrals',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('status').optional().isIn(['pending', 'rewarded', 'rejected', 'expired']),
+    query('flagged').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const feed = await referralService.listReferrals({
+        status: req.query.status,
+        flagged: req.query.flagged === 'true',
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      res.json({
+        success: true,
+        ...feed
+      });
+
+    } catch (error) {
+      console.error('Referrals list error:', error);
+      res.status(500).json({ error: 'Failed to retrieve referrals' });
+    }
+  }
+);
+
+// Referral campaign fields (all optional on update)
+const referralCampaignRules = (optional) => {
+  const field = name => optional ? body(name).optional() : body(name);
+  return [
+    field('name').trim().isLength({ min: 3, max: 100 }).withMessage('A name of 3-100 characters is required'),
+    field('audience').isIn(['customer', 'business']).withMessage('Audience must be customer or business'),
+    body('referrerBonus').optional().isFloat({ min: 0 }),
+    body('refereeBonus').optional().isFloat({ min: 0 }),
+    body('minFirstPayment').optional().isFloat({ min: 0 }),
+    body('qualificationDays').optional().isInt({ min: 1, max: 365 }),
+    body('maxRewardedPerCode').optional().isInt({ min: 0 }),
+    body('startsAt').optional().isISO8601(),
+    body('endsAt').optional({ nullable: true }).isISO8601(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// Campaign fields from a validated request body
+const referralCampaignFields = (reqBody) => {
+  const fields = {};
+  ['name', 'audience'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field];
+  });
+  ['referrerBonus', 'refereeBonus', 'minFirstPayment'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = parseFloat(reqBody[field]);
+  });
+  ['qualificationDays', 'maxRewardedPerCode'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = parseInt(reqBody[field]);
+  });
+  ['startsAt', 'endsAt'].forEach(field => {
+    if (reqBody[field] !== undefined) fields[field] = reqBody[field] ? new Date(reqBody[field]) : null;
+  });
+  if (reqBody.isActive !== undefined) fields.isActive = reqBody.isActive === true || reqBody.isActive === 'true';
+  return fields;
+};
+
+/**
+ * @route GET /api/admin/referrals/campaigns
+ * @desc Referral campaigns and the default terms used while none is running
+ * @access Private (Admin)
+ */
+router.get('/referrals/campaigns',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const campaigns = await referralService.listCampaigns();
+
+      res.json({
+        success: true,
+        campaigns,
+        defaults: referralService.config
+      });
+
+    } catch (error) {
+      console.error('Referral campaigns error:', error);
+      res.status(500).json({ error: 'Failed to retrieve referral campaigns' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/referrals/campaigns
+ * @desc Start a referral campaign
+ * @access Private (Admin)
+ */
+router.post('/referrals/campaigns',
+  adminLimiter,
+  requireAdminAuth,
+  referralCampaignRules(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const campaign = await referralService.createCampaign(referralCampaignFields(req.body), req.admin._id);
+
+      await logSecurityEvent(req.admin, 'referral_campaign_created', req, { campaignId: campaign.campaignId, audience: campaign.audience });
+      console.log(`🎟️ Referral campaign ${campaign.campaignId} created by admin ${req.admin.email}`);
+
+      res.status(201).json({
+        success: true,
+        campaign
+      });
+
+    } catch (error) {
+      if (error.message.includes('must end after')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Referral campaign create error:', error);
+      res.status(500).json({ error: 'Failed to create referral campaign' });
+    }
+  }
+);
+
+/**
+ * @route PUT /api/admin/referrals/campaigns/:campaignId
+ * @desc Change a referral campaign's terms (referrals already signed up keep theirs)
+ * @access Private (Admin)
+ */
+router.put('/referrals/campaigns/:campaignId',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    param('campaignId').matches(/^rcp_[a-f0-9]{24}$/).withMessage('Invalid referral campaign ID'),
+    ...referralCampaignRules(true)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const updates = referralCampaignFields(req.body);
+      const campaign = await referralService.updateCampaign(req.params.campaignId, updates, req.admin._id);
+
+      await logSecurityEvent(req.admin, 'referral_campaign_updated', req, { campaignId: campaign.campaignId, updates });
+      console.log(`🎟️ Referral campaign ${campaign.campaignId} updated by admin ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        campaign
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('must end after')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Referral campaign update error:', error);
+      res.status(500).json({ error: 'Failed to update referral campaign' });
+    }
+  }
+);
+
+// Vault withdrawal workflow errors -> HTTP status
+const VAULT_WITHDRAWAL_ERROR_STATUS = [
+  ['not found', 404],
+  ['Invalid verification code', 401],
+  ['Only super admins', 403],
+  ['Two-factor authentication is required', 403],
+  ['Invalid destination', 400],
+  ['exceeds the vault withdrawal limit', 400],
+  ['Not enough super admins', 400],
+  ['not awaiting approval', 409],
+  ['already approved', 409],
+  ['cannot be cancelled', 409],
+  ['cancellation window', 409],
+  ['is not approved', 409],
+  ['time-locked', 409]
+];
+
+async function handleVaultWithdrawalError(req, res, error, action) {
+  const match = VAULT_WITHDRAWAL_ERROR_STATUS.find(([text]) => error.message.includes(text));
+
+  if (match && match[1] === 401) {
+    await logSecurityEvent(req.admin, 'vault_withdrawal_totp_failed', req, {
+      withdrawalId: req.params.withdrawalId || null,
+      action
+    });
+  }
+  if (match) {
+    return res.status(match[1]).json({ error: error.message });
+  }
+
+  console.error(`Vault withdrawal ${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action} vault withdrawal` });
+}
+
+const withdrawalIdParam = param('withdrawalId').matches(/^vw_[a-f0-9]{24}$/).withMessage('Invalid vault withdrawal ID');
+const totpCodeBody = body('totpCode').matches(/^\d{6}$/).withMessage('A 6-digit verification code is required');
+
+/**
+ * @route GET /api/admin/vault/withdrawals
+ * @desc List emergency vault withdrawals with the approval policy and current limit
+ * @access Private (Admin)
+ */
+router.get('/vault/withdrawals',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('status').optional().isIn(['proposed', 'approved', 'executed', 'rejected', 'cancelled', 'expired']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const [list, policy] = await Promise.all([
+        vaultWithdrawalService.listWithdrawals({
+          status: req.query.status,
+          limit: parseInt(req.query.limit) || 20,
+          offset: parseInt(req.query.offset) || 0
+        }),
+        vaultWithdrawalService.getPolicy()
+      ]);
+
+      res.json({
+        success: true,
+        ...list,
+        policy
+      });
+
+    } catch (error) {
+      console.error('Vault withdrawals error:', error);
+      res.status(500).json({ error: 'Failed to retrieve vault withdrawals' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/vault/withdrawals/:withdrawalId
+ * @desc Get a vault withdrawal with its approvals and audit trail
+ * @access Private (Admin)
+ */
+router.get('/vault/withdrawals/:withdrawalId',
+  adminLimiter,
+  requireAdminAuth,
+  [withdrawalIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const withdrawal = await vaultWithdrawalService.getWithdrawal(req.params.withdrawalId);
+
+      res.json({
+        success: true,
+        withdrawal
+      });
+
+    } catch (error) {
+      await handleVaultWithdrawalError(req, res, error, 'retrieve');
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/withdrawals
+ * @desc Propose an emergency withdrawal from the vault surplus (counts as the first approval)
+ * @access Private (Super Admin, TOTP)
+ */
+router.post('/vault/withdrawals',
+  adminLimiter,
+  requireAdminAuth,
+  requireSuperAdmin,
+  [
+    body('amount').isFloat({ min: 0.000001 }).withMessage('Amount must be positive'),
+    body('destination').isString().isLength({ min: 32, max: 44 }).withMessage('Destination wallet address is required'),
+    body('reason').isString().trim().isLength({ min: 10, max: 500 }).withMessage('Reason must be 10-500 characters'),
+    totpCodeBody
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const withdrawal = await vaultWithdrawalService.propose(
+        {
+          amount: parseFloat(req.body.amount),
+          destination: req.body.destination,
+          reason: req.body.reason
+        },
+        req.admin._id,
+        req.body.totpCode,
+        { ipAddress: req.ip }
+      );
+
+      await logSecurityEvent(req.admin, 'vault_withdrawal_proposed', req, {
+        withdrawalId: withdrawal.withdrawalId,
+        amount: withdrawal.amount,
+        destination: withdrawal.destination
+      });
+      console.log(`🚨 Vault withdrawal ${withdrawal.withdrawalId} proposed by admin ${req.admin.email}: $${withdrawal.amount}`);
+
+      res.status(201).json({
+        success: true,
+        withdrawal
+      });
+
+    } catch (error) {
+      await handleVaultWithdrawalError(req, res, error, 'propose');
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/withdrawals/:withdrawalId/approve
+ * @desc Approve a proposed vault withdrawal; the last required approval starts the time-lock
+ * @access Private (Super Admin, TOTP)
+ */
+router.post('/vault/withdrawals/:withdrawalId/approve',
+  adminLimiter,
+  requireAdminAuth,
+  requireSuperAdmin,
+  [
+    withdrawalIdParam,
+    totpCodeBody,
+    body('comment').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const withdrawal = await vaultWithdrawalService.approve(
+        req.params.withdrawalId,
+        req.admin._id,
+        req.body.totpCode,
+        { comment: req.body.comment, ipAddress: req.ip }
+      );
+
+      await logSecurityEvent(req.admin, 'vault_withdrawal_approved', req, {
+        withdrawalId: withdrawal.withdrawalId,
+        approvals: withdrawal.approvals.length,
+        requiredApprovals: withdrawal.requiredApprovals,
+        executableAt: withdrawal.executableAt || null
+      });
+
+      res.json({
+        success: true,
+        withdrawal
+      });
+
+    } catch (error) {
+      await handleVaultWithdrawalError(req, res, error, 'approve');
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/withdrawals/:withdrawalId/reject
+ * @desc Reject a vault withdrawal that has not reached quorum
+ * @access Private (Super Admin, TOTP)
+ */
+router.post('/vault/withdrawals/:withdrawalId/reject',
+  adminLimiter,
+  requireAdminAuth,
+  requireSuperAdmin,
+  [
+    withdrawalIdParam,
+    totpCodeBody,
+    body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const withdrawal = await vaultWithdrawalService.reject(
+        req.params.withdrawalId,
+        req.admin._id,
+        req.body.totpCode,
+        { reason: req.body.reason, ipAddress: req.ip }
+      );
+
+      await logSecurityEvent(req.admin, 'vault_withdrawal_rejected', req, {
+        withdrawalId: withdrawal.withdrawalId,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        withdrawal
+      });
+
+    } catch (error) {
+      await handleVaultWithdrawalError(req, res, error, 'reject');
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/withdrawals/:withdrawalId/cancel
+ * @desc Cancel a vault withdrawal before its time-lock ends
+ * @access Private (Super Admin, TOTP)
+ */
+router.post('/vault/withdrawals/:withdrawalId/cancel',
+  adminLimiter,
+  requireAdminAuth,
+  requireSuperAdmin,
+  [
+    withdrawalIdParam,
+    totpCodeBody,
+    body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const withdrawal = await vaultWithdrawalService.cancel(
+        req.params.withdrawalId,
+        req.admin._id,
+        req.body.totpCode,
+        { reason: req.body.reason, ipAddress: req.ip }
+      );
+
+      await logSecurityEvent(req.admin, 'vault_withdrawal_cancelled', req, {
+        withdrawalId: withdrawal.withdrawalId,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        withdrawal
+      });
+
+    } catch (error) {
+      await handleVaultWithdrawalError(req, res, error, 'cancel');
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/vault/withdrawals/:withdrawalId/execute
+ * @desc Execute an approved vault withdrawal once its time-lock has ended
+ * @access Private (Super Admin, TOTP)
+ */
+router.post('/vault/withdrawals/:withdrawalId/execute',
+  adminLimiter,
+  requireAdminAuth,
+  requireSuperAdmin,
+  [
+    withdrawalIdParam,
+    totpCodeBody,
+    body('signature').optional().isString().isLength({ min: 64, max: 128 }).withMessage('Invalid transaction signature')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const result = await vaultWithdrawalService.execute(
+        req.params.withdrawalId,
+        req.admin._id,
+        req.body.totpCode,
+        { signature: req.body.signature, ipAddress: req.ip }
+      );
+
+      await logSecurityEvent(req.admin, 'vault_withdrawal_executed', req, {
+        withdrawalId: result.withdrawal.withdrawalId,
+        amount: result.withdrawal.amount,
+        entryId: result.withdrawal.execution?.entryId || null
+      });
+      console.log(`🚨 Vault withdrawal ${result.withdrawal.withdrawalId} executed by admin ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      await handleVaultWithdrawalError(req, res, error, 'execute');
+    }
+  }
+);
+
+const payoutBatchIdParam = param('batchId').matches(/^spb_[a-f0-9]{24}$/).withMessage('Invalid staking payout batch ID');
+
+/**
+ * @route GET /api/admin/staking-payouts
+ * @desc List quarterly staking payout batches
+ * @access Private (Admin)
+ */
+router.get('/staking-payouts',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('status').optional().isIn(['draft', 'approved', 'paid', 'cancelled']),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const result = await stakingPayoutService.listBatches({
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 20,
+        offset: parseInt(req.query.offset) || 0
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      console.error('Staking payouts error:', error);
+      res.status(500).json({ error: 'Failed to retrieve staking payouts' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/staking-payouts/:batchId
+ * @desc Get a staking payout batch with its per-merchant lines for review
+ * @access Private (Admin)
+ */
+router.get('/staking-payouts/:batchId',
+  adminLimiter,
+  requireAdminAuth,
+  [payoutBatchIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const batch = await stakingPayoutService.getBatch(req.params.batchId);
+
+      res.json({
+        success: true,
+        batch
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Staking payout error:', error);
+      res.status(500).json({ error: 'Failed to retrieve staking payout' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/staking-payouts/run
+ * @desc Compute (or recompute) the draft payout batch for an ended quarter
+ * @access Private (Admin)
+ */
+router.post('/staking-payouts/run',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    body('periodKey').optional().matches(/^\d{4}-Q[1-4]$/).withMessage('Period must look like 2026-Q3'),
+    body('yieldAmount').optional().isFloat({ min: 0 }).withMessage('Yield amount must be zero or more')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const batch = await stakingPayoutService.computeBatch(req.body.periodKey || null, {
+        yieldAmount: req.body.yieldAmount !== undefined ? parseFloat(req.body.yieldAmount) : undefined,
+        computedBy: req.admin._id
+      });
+
+      await logSecurityEvent(req.admin, 'staking_payout_computed', req, {
+        batchId: batch.batchId,
+        periodKey: batch.periodKey,
+        yieldAmount: batch.yield.amount,
+        yieldSource: batch.yield.source
+      });
+
+      res.json({
+        success: true,
+        batch
+      });
+
+    } catch (error) {
+      if (error.message.includes('already been approved')) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.message.includes('ended quarters') || error.message.includes('Invalid staking payout period')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Staking payout run error:', error);
+      res.status(500).json({ error: 'Failed to compute staking payout' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/staking-payouts/:batchId/approve
+ * @desc Approve a draft payout: declare the dividends and emit the USDC transfers
+ * @access Private (Admin)
+ */
+router.post('/staking-payouts/:batchId/approve',
+  adminLimiter,
+  requireAdminAuth,
+  [payoutBatchIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const { batch, transactions } = await stakingPayoutService.approveBatch(req.params.batchId, req.admin._id);
+
+      await logSecurityEvent(req.admin, 'staking_payout_approved', req, {
+        batchId: batch.batchId,
+        periodKey: batch.periodKey,
+        merchantCount: batch.totals.merchantCount,
+        amount: batch.totals.amount,
+        yieldEntryId: batch.yieldEntryId
+      });
+      console.log(`💸 Staking payout ${batch.periodKey} approved by admin ${req.admin.email}: $${batch.totals.amount} to ${batch.totals.merchantCount} merchants`);
+
+      res.json({
+        success: true,
+        batch,
+        transactions
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('Only draft') || error.message.includes('no merchant dividends')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Staking payout approval error:', error);
+      res.status(500).json({ error: 'Failed to approve staking payout' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/staking-payouts/:batchId/transactions
+ * @desc Rebuild the unsigned USDC transfers for lines not yet paid (fresh blockhash)
+ * @access Private (Admin)
+ */
+router.get('/staking-payouts/:batchId/transactions',
+  adminLimiter,
+  requireAdminAuth,
+  [payoutBatchIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const batch = await stakingPayoutService.getBatch(req.params.batchId);
+      const transactions = await stakingPayoutService.buildTransfers(batch);
+
+      res.json({
+        success: true,
+        batchId: batch.batchId,
+        transactions
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('Only approved')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Staking payout transactions error:', error);
+      res.status(500).json({ error: 'Failed to build staking payout transactions' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/staking-payouts/:batchId/confirm
+ * @desc Verify sent transfers on-chain and record the payouts now (the sweep also does this)
+ * @access Private (Admin)
+ */
+router.post('/staking-payouts/:batchId/confirm',
+  adminLimiter,
+  requireAdminAuth,
+  [payoutBatchIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const batch = await stakingPayoutService.confirmPayouts(req.params.batchId);
+
+      res.json({
+        success: true,
+        batch
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('Only approved')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Staking payout confirmation error:', error);
+      res.status(500).json({ error: 'Failed to confirm staking payouts' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/staking-payouts/:batchId/cancel
+ * @desc Cancel a draft payout batch (it can be recomputed later)
+ * @access Private (Admin)
+ */
+router.post('/staking-payouts/:batchId/cancel',
+  adminLimiter,
+  requireAdminAuth,
+  [payoutBatchIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const batch = await stakingPayoutService.cancelBatch(req.params.batchId, req.admin._id);
+
+      await logSecurityEvent(req.admin, 'staking_payout_cancelled', req, {
+        batchId: batch.batchId,
+        periodKey: batch.periodKey
+      });
+
+      res.json({
+        success: true,
+        batch
+      });
+
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('Only draft')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Staking payout cancel error:', error);
+      res.status(500).json({ error: 'Failed to cancel staking payout' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/transactions
+ * @desc Get transaction history with advanced filtering
+ * @access Private (Admin)
+ */
+router.get('/transactions',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('type').optional().isIn(['payment', 'pizza_spl_swap', 'reward_distribution', 'gift_card_mint', 'investment_token_conversion']),
+    query('status').optional().isIn(['pending', 'confirmed', 'failed']),
+    query('businessType').optional().isIn(['CN']),
+    query('feeScheduleVersion').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const skip = (page - 1) * limit;
+
+      // Build filter
+      let filter = {};
+      if (req.query.type) filter.type = req.query.type;
+      if (req.query.status) filter.status = req.query.status;
+      if (req.query.businessType) filter['businessInfo.type'] = req.query.businessType;
+      if (req.query.feeScheduleVersion) filter['fees.scheduleVersion'] = parseInt(req.query.feeScheduleVersion);
+
+      const [transactions, totalCount] = await Promise.all([
+        Transaction.find(filter)
+          .populate('userId', 'email')
+          .populate('businessId', 'businessName businessType')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        Transaction.countDocuments(filter)
+      ]);
+
+      const activeSchedule = feeScheduleService.getActiveSchedule();
+
+      res.json({
+        success: true,
+        transactions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalCount
+        },
+        summary: {
+          transactionAmountLimits: `$${paymentConfig.minAmount} - $${paymentConfig.maxAmount} USDC`,
+          rewardRate: `${paymentConfig.rewardRate} $PIZZA SPL per $1`,
+          vaultContributionRate: `${(activeSchedule.vaultContributionRate * 100).toFixed(1)}%`,
+          platformFeeRate: `${(activeSchedule.platformFeeRate * 100).toFixed(2)}%`, // Base rate before overrides
+          feeScheduleVersion: activeSchedule.version
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin transactions error:', error);
+      res.status(500).json({ error: 'Failed to retrieve transactions' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/users/kyc-pending
+ * @desc Get users with pending KYC verification
+ * @access Private (Admin)
+ */
+router.get('/users/kyc-pending',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const pendingUsers = await User.find({
+        'kyc.status': 'pending'
+      }).select('email kyc createdAt');
+
+      res.json({
+        success: true,
+        pendingKYC: pendingUsers,
+        count: pendingUsers.length,
+        kycPurpose: 'Investment token conversion only (10 $PIZZA SPL + $0.10 USDC → 1 investment token)',
+        providers: {
+          primary: 'Ramp ($0.50/customer)',
+          backup: 'MoonPay ($0.50/customer)'
+        }
+      });
+
+    } catch (error) {
+      console.error('Pending KYC users error:', error);
+      res.status(500).json({ error: 'Failed to retrieve pending KYC users' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/gift-cards/expired/cleanup
+ * @desc Clean up expired gift cards (revert to treasury)
+ * @access Private (Admin)
+ */
+router.post('/gift-cards/expired/cleanup',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const GiftCardService = require('../services/giftCardService');
+      const giftCardService = new GiftCardService();
+
+      const cleanupResult = await giftCardService.processExpiredCards();
+
+      res.json({
+        success: true,
+        message: 'Expired gift cards processed',
+        cleanupResult,
+        treasuryPolicy: '30-day expiry, unused cards revert to treasury'
+      });
+
+    } catch (error) {
+      console.error('Gift card cleanup error:', error);
+      res.status(500).json({ error: 'Failed to process expired gift cards' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/financial-overview
+ * @desc Get comprehensive financial overview
+ * @access Private (Admin)
+ */
+router.get('/financial-overview',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      // Get transaction stats for CN businesses only
+      const cnStats = await Transaction.getBusinessTypeStats('CN');
+
+      // Get vault contribution summary
+      const vaultSummary = await Transaction.getVaultContributionSummary();
+
+      const overview = {
+        businessTypes: {
+          CN: {
+            businesses: cnStats[0]?.uniqueBusinessCount || 0,
+            transactions: cnStats[0]?.totalTransactions || 0,
+            volume: cnStats[0]?.totalVolume || 0,
+            platformFees: cnStats[0]?.totalPlatformFees || 0,
+            vaultContributions: cnStats[0]?.totalVaultContributions || 0,
+            feeStructure: '1.0% platform + 1.3% vault = 2.3% total',
+            kaminoStaking: 'Optional 4% APY with 50/50 yield split'
+          }
+        },
+        platformVault: {
+          totalContributions: vaultSummary[0]?.totalVaultContributions || 0,
+          rewardsDistributed: vaultSummary[0]?.totalRewardsDistributed || 0,
+          surplus: vaultSummary[0]?.vaultSurplus || 0,
+          contributingBusinesses: vaultSummary[0]?.contributingBusinessCount || 0,
+          averageContributionPerTx: vaultSummary[0]?.averageContributionPerTransaction || 0
+        },
+        projections: {
+          annualRevenueCN: '$30,065.70 (10 businesses)', 
+          totalProjectedRevenue: '$30,065.70',
+          netProfit: '$19,361.35',
+          breakEvenTimeframe: '12 months'
+        }
+      };
+
+      res.json({
+        success: true,
+        financialOverview: overview
+      });
+
+    } catch (error) {
+      console.error('Financial overview error:', error);
+      res.status(500).json({ error: 'Failed to retrieve financial overview' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/fee-schedules
+ * @desc List fee schedule versions with the one currently in force
+ * @access Private (Admin)
+ */
+router.get('/fee-schedules',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      await feeScheduleService.refresh();
+
+      res.json({
+        success: true,
+        active: feeScheduleService.getActiveSchedule(),
+        upcoming: feeScheduleService.getUpcomingSchedules(),
+        schedules: feeScheduleService.getSchedules()
+      });
+
+    } catch (error) {
+      console.error('Fee schedules list error:', error);
+      res.status(500).json({ error: 'Failed to retrieve fee schedules' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/fee-schedules/preview
+ * @desc Preview the fees a business would be charged now (or at a given time)
+ * @access Private (Admin)
+ */
+router.get('/fee-schedules/preview',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount }),
+    query('tipAmount').optional().isFloat({ min: 0 }),
+    query('businessId').optional().isMongoId(),
+    query('at').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      let business = null;
+      if (req.query.businessId) {
+        business = await Business.findById(req.query.businessId);
+        if (!business) {
+          return res.status(404).json({ error: 'Business not found' });
+        }
+      }
+
+      const amount = parseFloat(req.query.amount);
+      const tipAmount = parseFloat(req.query.tipAmount || 0);
+      if (tipAmount >= amount) {
+        return res.status(400).json({ error: 'Tip amount must be less than the payment amount' });
+      }
+
+      const fees = feeScheduleService.calculateFees(amount, tipAmount, {
+        business,
+        pricedAt: req.query.at ? new Date(req.query.at) : new Date()
+      });
+
+      res.json({
+        success: true,
+        business: business ? { id: business._id, businessName: business.businessName, businessCategory: business.businessCategory } : null,
+        fees
+      });
+
+    } catch (error) {
+      console.error('Fee preview error:', error);
+      res.status(500).json({ error: 'Failed to preview fees' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/fee-schedules
+ * @desc Publish a new fee schedule version (omitted fields are copied from the schedule in force)
+ * @access Private (Admin)
+ */
+router.post('/fee-schedules',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('effectiveFrom').optional().isISO8601(),
+    body('basedOnVersion').optional().isInt({ min: 0 }),
+    body('platformFeeRate').optional().isFloat({ min: 0, max: MAX_FEE_RATE }),
+    body('vaultContributionRate').optional().isFloat({ min: 0, max: MAX_FEE_RATE }),
+    body('overrides').optional().isArray({ max: 500 }),
+    body('overrides.*.scope').isIn(FeeSchedule.OVERRIDE_SCOPES),
+    body('overrides.*.value').isString().trim().notEmpty(),
+    body('overrides.*.platformFeeRate').optional().isFloat({ min: 0, max: MAX_FEE_RATE }),
+    body('overrides.*.vaultContributionRate').optional().isFloat({ min: 0, max: MAX_FEE_RATE }),
+    body('overrides.*.note').optional().isString().isLength({ max: 200 }),
+    body('feeHolidays').optional().isArray({ max: 50 }),
+    body('feeHolidays.*.name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('feeHolidays.*.startsAt').isISO8601(),
+    body('feeHolidays.*.endsAt').isISO8601(),
+    body('feeHolidays.*.scope').optional().isIn(FeeSchedule.HOLIDAY_SCOPES),
+    body('feeHolidays.*.values').optional().isArray(),
+    body('feeHolidays.*.platformFeeRate').optional().isFloat({ min: 0, max: MAX_FEE_RATE }),
+    body('feeHolidays.*.vaultContributionRate').optional().isFloat({ min: 0, max: MAX_FEE_RATE })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const schedule = await feeScheduleService.createSchedule(req.body, req.admin._id);
+
+      await logSecurityEvent(req.admin, 'fee_schedule_published', req, {
+        version: schedule.version,
+        basedOnVersion: schedule.basedOnVersion,
+        effectiveFrom: schedule.effectiveFrom
+      });
+      console.log(`💲 Fee schedule v${schedule.version} published by admin ${req.admin.email} (effective ${schedule.effectiveFrom.toISOString()})`);
+
+      res.status(201).json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      if (error.message.includes('concurrently')) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.name === 'ValidationError' || /cannot take effect|must end after|Total fees|not found|Unknown override/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Fee schedule publish error:', error);
+      res.status(500).json({ error: 'Failed to publish fee schedule' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/fee-schedules/:version/cancel
+ * @desc Cancel a fee schedule that has not taken effect yet
+ * @access Private (Admin)
+ */
+router.post('/fee-schedules/:version/cancel',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    param('version').isInt({ min: 1 }),
+    body('reason').optional().isString().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const version = parseInt(req.params.version);
+      const schedule = await feeScheduleService.cancelSchedule(version, req.admin._id, req.body.reason);
+
+      await logSecurityEvent(req.admin, 'fee_schedule_cancelled', req, { version, reason: req.body.reason });
+      console.log(`💲 Fee schedule v${version} cancelled by admin ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        schedule
+      });
+
+    } catch (error) {
+      if (error.message.endsWith('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.startsWith('Fee schedule is already')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Fee schedule cancel error:', error);
+      res.status(500).json({ error: 'Failed to cancel fee schedule' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/ledger/accounts
+ * @desc Trial balance of the double-entry ledger
+ * @access Private (Admin)
+ */
+router.get('/ledger/accounts',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('ownerType').optional().isIn(LedgerAccount.OWNER_TYPES),
+    query('currency').optional().isIn(LedgerAccount.CURRENCIES)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const trialBalance = await ledgerService.getTrialBalance({
+        ownerType: req.query.ownerType,
+        currency: req.query.currency
+      });
+
+      res.json({
+        success: true,
+        ...trialBalance
+      });
+
+    } catch (error) {
+      console.error('Ledger accounts error:', error);
+      res.status(500).json({ error: 'Failed to retrieve ledger accounts' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/ledger/entries
+ * @desc List journal entries, newest first
+ * @access Private (Admin)
+ */
+router.get('/ledger/entries',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    query('account').optional().isString().trim().isLength({ max: 100 }),
+    query('eventType').optional().isIn(JournalEntry.EVENT_TYPES),
+    query('businessId').optional().isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+      const { entries, total } = await ledgerService.getEntries({
+        account: req.query.account,
+        eventType: req.query.eventType,
+        businessId: req.query.businessId,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        entries,
+        pagination: { total, limit, offset }
+      });
+
+    } catch (error) {
+      console.error('Ledger entries error:', error);
+      res.status(500).json({ error: 'Failed to retrieve journal entries' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/ledger/reconciliation
+ * @desc Compare ledger balances with the on-chain platform wallets
+ * @access Private (Admin)
+ */
+router.get('/ledger/reconciliation',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const report = await ledgerService.reconcile();
+
+      if (!report.reconciled) {
+        console.warn(`⚠️ Ledger reconciliation mismatch reported to admin ${req.admin.email}`);
+      }
+
+      res.json({
+        success: true,
+        report
+      });
+
+    } catch (error) {
+      console.error('Ledger reconciliation error:', error);
+      res.status(500).json({ error: 'Failed to reconcile ledger' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/ledger/opening-balances
+ * @desc Post the opening balance of a platform wallet (funds that predate the ledger)
+ * @access Private (Admin)
+ */
+router.post('/ledger/opening-balances',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    body('account').isString().trim().notEmpty(),
+    body('amount').isFloat({ gt: 0 }),
+    body('note').optional().isString().isLength({ max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const entry = await ledgerService.recordOpeningBalance({
+        account: req.body.account,
+        amount: parseFloat(req.body.amount),
+        note: req.body.note,
+        postedBy: req.admin._id
+      });
+
+      await logSecurityEvent(req.admin, 'ledger_opening_balance_posted', req, {
+        entryId: entry.entryId,
+        account: req.body.account,
+        amount: parseFloat(req.body.amount)
+      });
+      console.log(`📒 Opening balance for ${req.body.account} posted by admin ${req.admin.email}`);
+
+      res.status(201).json({
+        success: true,
+        entry
+      });
+
+    } catch (error) {
+      if (error.message.includes('already posted')) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.message.startsWith('Opening balances can only')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Opening balance error:', error);
+      res.status(500).json({ error: 'Failed to post opening balance' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/ledger/entries/:entryId/reverse
+ * @desc Reverse a journal entry with a mirrored entry
+ * @access Private (Admin)
+ */
+router.post('/ledger/entries/:entryId/reverse',
+  adminLimiter,
+  requireAdminAuth,
+  [
+    param('entryId').matches(/^je_[a-f0-9]{24}$/),
+    body('reason').isString().trim().isLength({ min: 1, max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+      }
+
+      const reversal = await ledgerService.reverseEntry(req.params.entryId, {
+        reason: req.body.reason,
+        reversedBy: req.admin._id
+      });
+
+      await logSecurityEvent(req.admin, 'ledger_entry_reversed', req, {
+        entryId: req.params.entryId,
+        reversalEntryId: reversal.entryId,
+        reason: req.body.reason
+      });
+      console.log(`📒 Journal entry ${req.params.entryId} reversed by admin ${req.admin.email}`);
+
+      res.status(201).json({
+        success: true,
+        reversal
+      });
+
+    } catch (error) {
+      if (error.message.endsWith('not found')) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message.includes('already reversed') || error.message.includes('cannot be reversed')) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Journal entry reversal error:', error);
+      res.status(500).json({ error: 'Failed to reverse journal entry' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/system/maintenance
+ * @desc Trigger system maintenance tasks
+ * @access Private (Admin)
+ */
+router.post('/system/maintenance',
+  adminLimiter,
+  requireAdminAuth,
+  async (req, res) => {
+    try {
+      const { task } = req.body;
+
+      let result = {};
+
+      switch (task) {
+        case 'process_expired_gift_cards':
+          const GiftCardService = require('../services/giftCardService');
+          const giftCardService = new GiftCardService();
+          result = await giftCardService.processExpiredCards();
+          break;
+
+        case 'update_vault_analytics':
+          result = await vaultService.getPlatformVaultAnalytics('7d');
+          break;
+
+        case 'process_kamino_yields':
+          // Draft the last ended quarter's staking payout and confirm sent transfers
+          result = await stakingPayoutService.runDuePayouts();
+          break;
+
+        case 'check_vault_health':
+          result = await vaultHealthService.runHealthCheck();
+          break;
+
+        case 'evaluate_loyalty_tiers':
+          // Promote and demote customers on their rolling spend and visits
+          result = await loyaltyTierService.runEvaluation();
+          break;
+
+        case 'process_reward_queue':
+          // Send due rewards and settle interrupted batches
+          result = await rewardQueueService.processQueue();
+          break;
+
+        case 'expire_vault_withdrawals':
+          result = { expired: await vaultWithdrawalService.expireStale() };
+          break;
+
+        case 'backfill_ledger':
+          // Post journal entries for payments, refunds and rewards that predate the ledger
+          result = await ledgerService.backfill();
           break;
 
         default:
@@ -2,6 +2,7 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
+const { idempotency } = require('../middleware/idempotency');
 const securityMiddleware = require('../middleware/security');
 const router = express.Router();
 
@@ -10,17 +11,27 @@ const SolanaService = require('../services/solanaService');
 const SolanaPayService = require('../services/solanaPayService');
 const RewardsService = require('../services/rewardsService');
 const GiftCardService = require('../services/giftCardService');
+const SwapCheckoutService = require('../services/swapCheckoutService');
 // Investment token service removed - no longer needed in vendor-only system
 const User = require('../models/User');
 const Business = require('../models/Business');
 const Transaction = require('../models/Transaction');
+const paymentIntentService = require('../services/paymentIntentService');
+const giftCardCheckoutService = require('../services/giftCardCheckoutService');
+const loyaltyRulesService = require('../services/loyaltyRulesService');
+const billService = require('../services/billService');
+const ledgerService = require('../services/ledgerService');
+const Bill = require('../models/Bill');
 const secretManager = require('../config/secrets');
+const QRCode = require('qrcode');
+const { paymentConfig, giftCardConfig, calculateReward, calculateTip, roundUSDC } = require('../config/payments');
 
 // Initialize services
 const solanaService = new SolanaService();
 const solanaPayService = new SolanaPayService();
 const rewardsService = new RewardsService();
 const giftCardService = new GiftCardService();
+const swapCheckoutService = new SwapCheckoutService();
 // Investment token service instance removed
 
 // Rate limiting for blockchain operations
@@ -36,6 +47,13 @@ const transactionLimiter = rateLimit({
   message: 'Too many transaction requests, please slow down'
 });
 
+// Claim links are public, so guessing at them is kept slow
+const claimLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: 'Too many gift card claim attempts, please try again later'
+});
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -123,7 +141,7 @@ router.get('/wallet',
           usdc: usdcBalance.balance
         },
         investmentTokens: user.investmentTokens?.balance || 0,
-        giftCards: user.giftCards?.filter(card => !card.used && new Date() < card.expiryDate) || [],
+        giftCards: (await giftCardService.getUserGiftCards(user)).activeCards,
         kycStatus: user.kyc.status,
         paymentStats: {
           totalTransactions: user.payments?.totalTransactions || 0,
@@ -187,18 +205,28 @@ router.post('/wallet/connect',
   }
 );
 
-// Generate fixed $15 USDC payment QR code
+// Generate USDC payment QR code for an order total, less any gift cards applied
 router.post('/payment/qr',
   transactionLimiter,
   authenticateToken,
+  idempotency(),
   [
     body('businessId').isMongoId().withMessage('Valid business ID is required'),
-    body('paymentMethod').isIn(['usdc', 'pizza_spl']).withMessage('Payment method must be usdc or pizza_spl')
+    body('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`),
+    body('paymentMethod').optional().isIn(['usdc', 'pizza_spl']).withMessage('Payment method must be usdc or pizza_spl'),
+    body('tipPercent').optional().isFloat({ min: 0, max: paymentConfig.maxTipPercent })
+      .withMessage(`Tip must be between 0% and ${paymentConfig.maxTipPercent}%`),
+    body('giftCardIds').optional().isArray({ max: giftCardConfig.maxCardsPerOrder })
+      .withMessage(`At most ${giftCardConfig.maxCardsPerOrder} gift cards can be used per order`),
+    body('giftCardIds.*').matches(/^gc_[a-f0-9]{24}$/).withMessage('Invalid gift card ID')
   ],
   handleValidationErrors,
+  securityMiddleware.validateTransactionAmount,
   async (req, res) => {
+    let heldReference = null;
     try {
-      const { businessId, paymentMethod = 'usdc' } = req.body;
+      const { businessId, amount, paymentMethod = 'usdc', giftCardIds = [] } = req.body;
 
       // Validate business exists
       const business = await Business.findById(businessId);
@@ -206,55 +234,171 @@ router.post('/payment/qr',
         return res.status(404).json({ error: 'Business not found' });
       }
 
-      // Generate Solana Pay QR for fixed $15 USDC payment
+      // Tip is added on top of the order amount and excluded from platform fees
+      const tipAmount = calculateTip(parseFloat(amount), parseFloat(req.body.tipPercent) || 0);
+      const total = roundUSDC(parseFloat(amount) + tipAmount);
+      if (total > paymentConfig.maxAmount) {
+        return res.status(400).json({ error: `Order total with tip must be at most $${paymentConfig.maxAmount} USDC - split the bill instead` });
+      }
+
+      // Gift cards pay what they can of the order; only the rest is charged in USDC
+      let giftCardPlan = null;
+      if (giftCardIds.length > 0) {
+        // Spending balances must be retry-safe - a repeated request replays instead of drawing again
+        if (!req.get('Idempotency-Key')) {
+          return res.status(400).json({
+            error: 'Idempotency-Key header is required when paying with gift cards',
+            code: 'IDEMPOTENCY_KEY_REQUIRED'
+          });
+        }
+
+        giftCardPlan = await giftCardCheckoutService.planDrawdowns(req.user, business, giftCardIds, {
+          amount: roundUSDC(parseFloat(amount)),
+          tipAmount
+        });
+
+        if (giftCardPlan.remaining === 0) {
+          const { reference, redemptions, transaction } = await giftCardCheckoutService.payInFull(giftCardPlan, req.user, business);
+          return res.json({
+            success: true,
+            paidInFull: true,
+            reference,
+            transactionId: transaction._id,
+            amount: 0,
+            giftCardAmount: giftCardPlan.applied,
+            giftCards: redemptions.map(redemption => ({
+              cardId: redemption.cardId,
+              amount: redemption.usdcAmount,
+              balanceAfter: redemption.balanceAfter
+            })),
+            businessName: business.businessName,
+            message: `Paid $${giftCardPlan.applied} to ${business.businessName} with gift cards`
+          });
+        }
+      }
+
+      // Generate Solana Pay QR for the order total
       const paymentQR = await solanaService.generatePaymentQR(businessId, {
+        amount: giftCardPlan ? giftCardPlan.remaining : total,
         paymentMethod,
         customerWallet: req.user.wallet?.address
       });
+      const { rewardAmount } = calculateReward(roundUSDC(paymentQR.amount - tipAmount));
+
+      // Balances are held until the payment is confirmed, and released if it never is
+      let redemptions = [];
+      if (giftCardPlan?.drawdowns.length > 0) {
+        heldReference = paymentQR.paymentReference.toString();
+        redemptions = await giftCardCheckoutService.holdDrawdowns(giftCardPlan, {
+          reference: heldReference,
+          user: req.user
+        });
+      }
+
+      // Persist payment intent - single source of truth for this payment's state
+      const intent = await paymentIntentService.createIntent({
+        reference: paymentQR.paymentReference,
+        businessId,
+        amount: paymentQR.amount,
+        tipAmount,
+        createdBy: req.user._id,
+        paymentMethod,
+        paymentUrl: paymentQR.qrCodeURL,
+        giftCards: redemptions.length > 0
+          ? { applied: giftCardPlan.applied, redemptionIds: redemptions.map(redemption => redemption.redemptionId) }
+          : null
+      });
+      heldReference = null;
 
       res.json({
         success: true,
         qrData: paymentQR.qrCodeURL,
-        amount: 15, // Fixed $15 USDC
+        qrCode: paymentQR.qrCodeImage,
+        reference: paymentQR.paymentReference,
+        amount: paymentQR.amount,
+        tipAmount,
+        giftCardAmount: redemptions.length > 0 ? giftCardPlan.applied : 0,
+        giftCards: redemptions.map(redemption => ({
+          cardId: redemption.cardId,
+          amount: redemption.usdcAmount,
+          balanceAfter: redemption.balanceAfter
+        })),
+        fees: intent.fees,
         paymentMethod,
         businessName: business.businessName,
         paymentReference: paymentQR.paymentReference,
-        estimatedReward: 0.3, // Fixed 0.3 $PIZZA SPL reward
-        message: `Pay $15 to ${business.businessName} and earn 0.3 $PIZZA SPL`
+        status: intent.status,
+        expiresAt: intent.expiresAt,
+        estimatedReward: rewardAmount,
+        message: `Pay $${paymentQR.amount} to ${business.businessName} and earn ${rewardAmount} $PIZZA SPL`
       });
 
     } catch (error) {
       console.error('Payment QR generation error:', error);
+      if (heldReference) {
+        await giftCardCheckoutService.releaseDrawdowns(heldReference, 'Payment request not created').catch(releaseError => {
+          console.error('Gift card release error:', releaseError);
+        });
+      }
+      if (error.message === 'Gift card balance changed - please try again') {
+        return res.status(409).json({ error: error.message });
+      }
+      if (/^(Gift card gc_|At most \d+ gift cards)/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
       res.status(500).json({ error: 'Failed to generate payment QR code' });
     }
   }
 );
 
-// Process fixed $15 payment transaction
+// Process payment transaction for an order total
 router.post('/payment/process',
   transactionLimiter,
   securityMiddleware.financialLimiter,
   authenticateToken,
+  idempotency(),
   [
     body('businessId').isMongoId().withMessage('Valid business ID is required'),
+    body('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`),
     body('paymentReference').isString().isLength({ min: 10, max: 100 }).withMessage('Invalid payment reference format'),
     body('paymentMethod').isIn(['usdc', 'pizza_spl']).withMessage('Payment method must be usdc or pizza_spl'),
     body('transactionSignature').optional().isString().isLength({ min: 64, max: 88 }).withMessage('Invalid transaction signature format')
   ],
   handleValidationErrors,
+  securityMiddleware.validateTransactionAmount,
   async (req, res) => {
     try {
-      const { businessId, paymentReference, paymentMethod, transactionSignature } = req.body;
+      const { businessId, amount, paymentReference, paymentMethod } = req.body;
+      const paymentAmount = roundUSDC(parseFloat(amount));
 
       // Validate user has connected wallet
       if (!req.user.wallet?.address) {
         return res.status(400).json({ error: 'Wallet not connected' });
       }
 
+      // Payment must belong to an open intent issued for this business and amount
+      const intent = await paymentIntentService.getIntent(paymentReference);
+      if (!intent || intent.businessId.toString() !== businessId) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
+
+      if (!intent.isOpen()) {
+        return res.status(409).json({
+          error: `Payment request is ${intent.status}`,
+          code: 'PAYMENT_INTENT_NOT_OPEN',
+          status: intent.status
+        });
+      }
+
+      if (intent.amount !== paymentAmount) {
+        return res.status(400).json({ error: 'Amount does not match payment request' });
+      }
+
       // CRITICAL FIX: Check for duplicate payment reference to prevent double-spending
       const existingTransaction = await Transaction.findOne({ 
         paymentReference,
-        status: { $in: ['pending', 'completed'] }
+        status: { $in: ['pending', 'confirmed'] }
       });
       
       if (existingTransaction) {
@@ -265,65 +409,73 @@ router.post('/payment/process',
         });
       }
 
-      // Create pending transaction record FIRST to prevent race conditions
-      const pendingTransaction = new Transaction({
-        signature: transactionSignature || `pending_${Date.now()}`,
-        userId: req.user._id,
-        businessId,
-        paymentReference,
-        paymentMethod,
-        amount: 15,
-        status: 'pending',
-        createdAt: new Date()
-      });
-      await pendingTransaction.save();
-
-      // Process the fixed payment
-      const paymentResult = await solanaService.processFixedPayment({
-        customerWalletAddress: req.user.wallet.address,
-        businessId,
-        paymentMethod,
-        paymentReference,
-        userId: req.user._id
-      });
+      // Process the payment
+      let paymentResult;
+      try {
+        paymentResult = await solanaService.processFixedPayment({
+          customerWalletAddress: req.user.wallet.address,
+          businessId,
+          amount: paymentAmount,
+          paymentMethod,
+          paymentReference,
+          userId: req.user._id
+        });
+      } catch (error) {
+        await paymentIntentService.fail(paymentReference, { failureReason: error.message });
+        throw error;
+      }
 
-      // Distribute fixed reward
-      const rewardResult = await rewardsService.processPaymentReward({
-        userId: req.user._id,
-        businessId,
-        transactionId: paymentResult.signature,
-        customerWalletAddress: req.user.wallet.address,
-        transactionAmount: 15
+      await paymentIntentService.markDetected(paymentReference, {
+        signature: paymentResult.signature,
+        customerWallet: req.user.wallet.address
       });
 
-      // Create transaction record
+      // Create transaction record (the reward queue records the reward on it once delivered)
       const transaction = new Transaction({
         signature: paymentResult.signature,
         userId: req.user._id,
         walletAddress: req.user.wallet.address,
         type: 'payment',
         status: 'confirmed',
-        amount: 15, // Fixed amount
+        amount: paymentAmount,
         businessId,
         paymentReference,
         fees: paymentResult.fees,
-        rewards: {
-          pizzaTokensDistributed: 0.3,
-          vaultFunded: paymentResult.fees.vaultContribution
-        },
         jupiterSwap: paymentMethod === 'pizza_spl' ? paymentResult.jupiterSwap : undefined
       });
 
       await transaction.save();
 
+      try {
+        await ledgerService.recordPayment(transaction);
+      } catch (ledgerError) {
+        console.error('❌ Ledger posting failed for payment:', ledgerError);
+      }
+
+      // Distribute proportional reward
+      const rewardResult = await rewardsService.processPaymentReward({
+        userId: req.user._id,
+        businessId,
+        transactionId: transaction._id,
+        customerWalletAddress: req.user.wallet.address,
+        transactionAmount: paymentAmount,
+        vaultContribution: intent.fees?.vaultContribution
+      });
+
+      const confirmedIntent = await paymentIntentService.markConfirmed(paymentReference, {
+        transactionId: transaction._id,
+        signature: paymentResult.signature
+      });
+
       res.json({
         success: true,
         transactionSignature: paymentResult.signature,
-        amount: 15,
+        amount: paymentAmount,
         paymentMethod,
+        status: confirmedIntent.status,
         reward: {
-          pizzaTokens: 0.3,
-          message: 'You earned 0.3 $PIZZA SPL!'
+          pizzaTokens: rewardResult.rewardDistributed,
+          message: `You earned ${rewardResult.rewardDistributed} $PIZZA SPL!`
         },
         fees: paymentResult.fees,
         merchantReceived: paymentResult.merchantReceived
@@ -382,6 +534,7 @@ router.get('/swap/quote',
 router.post('/investment-token/convert',
   transactionLimiter,
   authenticateToken,
+  idempotency(),
   [
     body('pizzaAmount').isInt({ min: 10 }).withMessage('Minimum 10 $PIZZA SPL required for conversion'),
     body('usdcAmount').equals('0.10').withMessage('USDC amount must be exactly $0.10')
@@ -437,6 +590,7 @@ router.post('/investment-token/convert',
 router.post('/gift-card/mint',
   transactionLimiter,
   authenticateToken,
+  idempotency(),
   [
     body('businessId').isMongoId().withMessage('Valid business ID is required'),
     body('recipientAddress').optional().isString().withMessage('Recipient address must be a string'),
@@ -447,44 +601,146 @@ router.post('/gift-card/mint',
     try {
       const { businessId, recipientAddress, customMessage } = req.body;
 
-      // Note: This endpoint would typically be called by business owners
-      // For now, allow any authenticated user to mint for testing
-      const giftCardResult = await giftCardService.mintGiftCard({
-        businessId,
-        recipientWalletAddress: recipientAddress || req.user.wallet.address,
+      // Only the business owner can mint against its quota
+      const business = await Business.findOne({ _id: businessId, ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+
+      const { cards } = await giftCardService.mintBatch(business, {
+        quantity: 1,
         customMessage: customMessage || 'Thank you for your business!',
-        campaignId: `campaign_${Date.now()}`
+        recipientWallet: recipientAddress || req.user.wallet?.address,
+        createdBy: req.user._id
       });
+      const giftCard = cards[0];
 
-      if (!giftCardResult.success) {
-        return res.status(400).json({ 
-          error: giftCardResult.reason || 'Gift card minting failed' 
-        });
+      if (!giftCard) {
+        return res.status(400).json({ error: 'Gift card minting failed' });
       }
 
       res.json({
         success: true,
-        giftCardId: giftCardResult.giftCardId,
-        nftAddress: giftCardResult.nftAddress,
-        value: 5, // 5 $PIZZA SPL value
-        expiryDate: giftCardResult.expiryDate,
-        mintingCost: 0.50,
+        giftCardId: giftCard.cardId,
+        nftAddress: giftCard.nftAddress,
+        value: giftCard.value,
+        expiryDate: giftCard.expiresAt,
+        mintingCost: giftCard.mintingCost,
         message: 'Gift card NFT minted successfully'
       });
 
     } catch (error) {
       console.error('Gift card minting error:', error);
+      if (error.message.startsWith('Monthly gift card quota exceeded')) {
+        return res.status(400).json({ error: error.message });
+      }
       res.status(500).json({ error: 'Failed to mint gift card NFT' });
     }
   }
 );
 
+// Claim a gift card assigned to the authenticated user's wallet
+router.post('/gift-cards/:cardId/claim',
+  transactionLimiter,
+  authenticateToken,
+  [
+    param('cardId').matches(/^gc_[a-f0-9]{24}$/).withMessage('Invalid gift card ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const card = await giftCardService.claimGiftCard(req.params.cardId, req.user);
+
+      res.json({
+        success: true,
+        cardId: card.cardId,
+        status: card.status,
+        balance: card.balance,
+        expiryDate: card.expiresAt
+      });
+
+    } catch (error) {
+      console.error('Gift card claim error:', error);
+      if (error.message === 'Gift card not found or not claimable') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to claim gift card' });
+    }
+  }
+);
+
+// Card behind a claim link (public - the link's secret is the credential)
+router.post('/gift-cards/claim-link/preview',
+  claimLinkLimiter,
+  [
+    body('cardId').matches(/^gc_[a-f0-9]{24}$/).withMessage('Invalid gift card ID'),
+    body('secret').isString().isLength({ min: 16, max: 64 }).withMessage('Invalid claim link')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const card = await giftCardService.getClaimPreview(req.body.cardId, req.body.secret);
+
+      res.json({ success: true, card });
+
+    } catch (error) {
+      if (error.message === 'Invalid or already used claim link') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Gift card claim preview error:', error);
+      res.status(500).json({ error: 'Failed to load gift card' });
+    }
+  }
+);
+
+// Claim a gift card into any wallet with its claim link (public)
+router.post('/gift-cards/claim-link',
+  claimLinkLimiter,
+  [
+    body('cardId').matches(/^gc_[a-f0-9]{24}$/).withMessage('Invalid gift card ID'),
+    body('secret').isString().isLength({ min: 16, max: 64 }).withMessage('Invalid claim link'),
+    body('walletAddress').isString().isLength({ min: 32, max: 44 }).withMessage('Invalid wallet address')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const card = await giftCardService.claimWithLink({
+        cardId: req.body.cardId,
+        secret: req.body.secret,
+        walletAddress: req.body.walletAddress
+      });
+
+      res.json({
+        success: true,
+        cardId: card.cardId,
+        status: card.status,
+        value: card.value,
+        ownerWallet: card.ownerWallet,
+        expiryDate: card.expiresAt,
+        // Assigned cards still need the customer to sign up with this wallet to use them
+        onAccount: card.status === 'claimed'
+      });
+
+    } catch (error) {
+      if (error.message === 'Invalid or already used claim link') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (['Invalid wallet address', 'Gift card has expired'].includes(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Gift card link claim error:', error);
+      res.status(500).json({ error: 'Failed to claim gift card' });
+    }
+  }
+);
+
 // Redeem gift card NFT
 router.post('/gift-card/redeem',
   transactionLimiter,
   authenticateToken,
+  idempotency(),
   [
-    body('giftCardId').isString().withMessage('Gift card ID is required')
+    body('giftCardId').matches(/^gc_[a-f0-9]{24}$/).withMessage('Gift card ID is required')
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -492,26 +748,25 @@ router.post('/gift-card/redeem',
       const { giftCardId } = req.body;
 
       const redemptionResult = await giftCardService.redeemGiftCard({
-        giftCardId,
-        recipientWalletAddress: req.user.wallet.address,
-        recipientUserId: req.user._id
+        cardId: giftCardId,
+        user: req.user
       });
 
-      if (!redemptionResult.success) {
-        return res.status(400).json({ 
-          error: redemptionResult.reason || 'Gift card redemption failed' 
-        });
-      }
-
       res.json({
         success: true,
-        pizzaTokensReceived: redemptionResult.tokensTransferred,
-        transactionSignature: redemptionResult.transferTransaction,
-        message: `You received ${redemptionResult.tokensTransferred} $PIZZA SPL!`
+        pizzaTokensReceived: redemptionResult.pizzaSPLReceived,
+        transactionSignature: redemptionResult.transactionId,
+        message: `You received ${redemptionResult.pizzaSPLReceived} $PIZZA SPL!`
       });
 
     } catch (error) {
       console.error('Gift card redemption error:', error);
+      if (error.message === 'Gift card not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (['Gift card already redeemed', 'Gift card has expired', 'Gift card is not active'].includes(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
       res.status(500).json({ error: 'Failed to redeem gift card' });
     }
   }
@@ -676,15 +931,16 @@ router.get('/payment/status/:paymentReference',
   async (req, res) => {
     try {
       const { paymentReference } = req.params;
-      const tx = await Transaction.findOne({ paymentReference, userId: req.user._id });
-      if (!tx) {
-        return res.json({ completed: false });
+      const intent = await paymentIntentService.getIntent(paymentReference);
+      if (!intent || intent.createdBy?.toString() !== req.user._id.toString()) {
+        return res.status(404).json({ error: 'Payment request not found' });
       }
-      const completed = ['confirmed', 'failed', 'cancelled'].includes(tx.status);
+
+      const tx = intent.transactionId ? await Transaction.findById(intent.transactionId) : null;
+
       res.json({
-        completed,
-        success: tx.status === 'confirmed',
-        error: tx.status === 'failed' ? (tx.error?.message || 'failed') : null
+        ...paymentIntentService.toStatus(intent),
+        reward: tx?.rewards?.pizzaTokensDistributed
       });
     } catch (error) {
       console.error('Payment status check error:', error);
@@ -698,27 +954,8 @@ router.get('/gift-cards/my-cards',
   authenticateToken,
   async (req, res) => {
     try {
-      const user = await User.findById(req.user._id).lean();
-      const giftCards = (user?.giftCards || []).map(card => ({
-        nftAddress: card.nftAddress,
-        value: card.value,
-        expiryDate: card.expiryDate,
-        redeemed: !!card.redeemed,
-        businessId: card.businessId,
-        businessName: undefined // can be populated below
-      }));
-
-      // Populate business names
-      const businessIds = [...new Set(giftCards.map(c => c.businessId).filter(Boolean))];
-      if (businessIds.length > 0) {
-        const businesses = await Business.find({ _id: { $in: businessIds } }).select('businessName');
-        const map = new Map(businesses.map(b => [b._id.toString(), b.businessName]));
-        giftCards.forEach(c => {
-          if (c.businessId) c.businessName = map.get(c.businessId.toString()) || 'Business';
-        });
-      }
-
-      res.json(giftCards);
+      const portfolio = await giftCardService.getUserGiftCards(req.user);
+      res.json(portfolio);
     } catch (error) {
       console.error('Get my gift cards error:', error);
       res.status(500).json({ error: 'Failed to load gift cards' });
@@ -731,22 +968,17 @@ router.post('/generate-qr',
   blockchainLimiter,
   authenticateToken,
   [
-    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+    body('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`),
     body('memo').optional().isString().isLength({ max: 32 }).withMessage('Memo must be 32 characters or less'),
     body('businessEmail').optional().isEmail().withMessage('Valid business email required')
   ],
   handleValidationErrors,
+  securityMiddleware.validateTransactionAmount,
   async (req, res) => {
     try {
       const { amount, memo, businessEmail } = req.body;
       
-      // Validate amount is exactly $15 for fixed payment system
-      if (parseFloat(amount) !== 15) {
-        return res.status(400).json({ 
-          error: 'Payment amount must be exactly $15 USDC' 
-        });
-      }
-      
       // Find business for QR generation
       const business = await Business.findOne({ 
         ownerId: req.user._id,
@@ -773,6 +1005,9 @@ router.post('/generate-qr',
       const qrResult = await solanaPayService.createPizzaPaymentQR({
         businessWallet: businessWallet,
         businessName: business.businessName,
+        businessId: business._id,
+        business,
+        amount,
         memo: memo || `Pizza payment - ${business.businessName}`
       });
       
@@ -782,11 +1017,24 @@ router.post('/generate-qr',
         });
       }
       
+      // Persist payment intent - single source of truth for this payment's state
+      const intent = await paymentIntentService.createIntent({
+        reference: qrResult.referencePublicKey,
+        businessId: business._id,
+        amount: qrResult.amounts.total,
+        createdBy: req.user._id,
+        paymentUrl: qrResult.paymentUrl,
+        memo: qrResult.memo
+      });
+      
       res.json({
         success: true,
         qrImage: qrResult.qrImage,
         qrUrl: qrResult.qrUrl,
+        paymentUrl: qrResult.paymentUrl,
+        transactionRequestUrl: qrResult.transactionRequestUrl,
         reference: qrResult.reference,
+        referencePublicKey: qrResult.referencePublicKey,
         memo: qrResult.memo,
         amount: qrResult.amounts.total,
         businessAmount: qrResult.amounts.business,
@@ -796,7 +1044,9 @@ router.post('/generate-qr',
         businessName: business.businessName,
         currency: 'USDC',
         network: 'devnet',
-        paymentType: 'solana-pay'
+        paymentType: 'solana-pay',
+        status: intent.status,
+        expiresAt: intent.expiresAt
       });
       
     } catch (error) {
@@ -813,19 +1063,22 @@ router.post('/solana-pay/transaction',
   [
     body('account').isString().withMessage('Customer account is required'),
     body('reference').isString().withMessage('Payment reference is required'),
-    body('businessWallet').isString().withMessage('Business wallet is required')
+    body('businessWallet').isString().withMessage('Business wallet is required'),
+    body('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`)
   ],
   handleValidationErrors,
+  securityMiddleware.validateTransactionAmount,
   async (req, res) => {
     try {
-      const { account, reference, businessWallet } = req.body;
+      const { account, reference, businessWallet, amount } = req.body;
       
       // Create transaction request
       const transactionResult = await solanaPayService.createTransactionRequest({
         account,
         reference,
         businessWallet,
-        amount: 15 // Fixed $15 USDC
+        amount
       });
       
       if (!transactionResult.success) {
@@ -846,6 +1099,477 @@ router.post('/solana-pay/transaction',
   }
 );
 
+/**
+ * @route GET /api/blockchain/solana-pay/transaction-request
+ * @desc Solana Pay Transaction Request - label and icon displayed by the wallet
+ * @access Public (called by the customer's wallet)
+ */
+router.get('/solana-pay/transaction-request',
+  blockchainLimiter,
+  (req, res) => {
+    res.json(solanaPayService.getTransactionRequestMetadata());
+  }
+);
+
+/**
+ * @route POST /api/blockchain/solana-pay/transaction-request
+ * @desc Solana Pay Transaction Request - serialized transaction that atomically splits
+ *       the customer's USDC between the business, the platform fee wallet and the vault
+ * @access Public (called by the customer's wallet)
+ */
+router.post('/solana-pay/transaction-request',
+  blockchainLimiter,
+  [
+    query('businessId').isMongoId().withMessage('Valid business ID is required'),
+    query('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`),
+    query('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Valid payment reference is required'),
+    query('inputMint').optional().isString().isLength({ min: 32, max: 44 }).withMessage('Valid input token mint is required'),
+    body('account').isString().isLength({ min: 32, max: 44 }).withMessage('Customer account is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { businessId, amount, reference, inputMint } = req.query;
+      const { account } = req.body;
+      
+      // Only build transactions for open intents issued by this business for this amount
+      let intent = await paymentIntentService.getIntent(reference);
+      const requestedAmount = intent?.loyalty?.originalAmount ?? intent?.amount;
+      if (!intent || intent.businessId.toString() !== businessId || requestedAmount !== parseFloat(amount)) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
+      
+      if (!intent.isOpen()) {
+        return res.status(410).json({ error: `Payment request is ${intent.status}` });
+      }
+      
+      const business = await Business.findById(businessId);
+      if (!business || !business.isActive) {
+        return res.status(404).json({ error: 'Business not found or not active' });
+      }
+      
+      const businessWallet = business.businessWallet?.publicKey || business.settlement?.walletAddress;
+      if (!businessWallet) {
+        return res.status(400).json({ error: 'Business wallet not linked' });
+      }
+      
+      // Loyalty discounts for the paying wallet (USDC payments for plain QR requests - swap
+      // quotes, invoices and bill shares keep their quoted amount). The first request freezes
+      // the price; retries are built at that price.
+      if (!inputMint && !intent.invoiceId && !intent.billId) {
+        const customer = await User.findOne({ 'wallet.address': account });
+        const loyalty = loyaltyRulesService.evaluate(business, loyaltyRulesService.buildContext({
+          business,
+          customer,
+          amount: requestedAmount,
+          tipAmount: intent.tipAmount
+        }));
+        
+        intent = await paymentIntentService.setLoyaltyDiscount(intent, business, {
+          customerWallet: account,
+          discount: loyalty.discount,
+          rulesFired: loyalty.discountRule ? [loyalty.discountRule] : []
+        });
+        if (!intent) {
+          return res.status(410).json({ error: 'Payment request is no longer open' });
+        }
+        
+        // A discounted price only belongs to the wallet it was quoted for
+        if (intent.loyalty?.discount && intent.loyalty.customerWallet !== account) {
+          return res.status(409).json({ error: 'Payment request is priced for another wallet' });
+        }
+      }
+      
+      // Paying in another token: swap to USDC first, exactly as quoted
+      const swapQuote = inputMint ? intent.swapQuote : null;
+      let preInstructions = [];
+      if (inputMint) {
+        if (!swapQuote || swapQuote.inputMint !== inputMint) {
+          return res.status(404).json({ error: 'Swap quote not found - request a new quote' });
+        }
+        
+        try {
+          preInstructions = await swapCheckoutService.getSwapInstructions(swapQuote, account);
+        } catch (error) {
+          if (error.message === 'Swap quote expired') {
+            return res.status(410).json({ error: 'Swap quote expired - request a new quote' });
+          }
+          if (error.message === 'Swap route requires address lookup tables') {
+            return res.status(400).json({ error: 'No swap route fits a Solana Pay transaction - pay in USDC or another token' });
+          }
+          throw error;
+        }
+      }
+      
+      const transactionResult = await solanaPayService.createTransactionRequest({
+        account,
+        reference,
+        businessWallet,
+        amount: intent.amount,
+        businessType: business.businessType,
+        tipAmount: intent.tipAmount,
+        // Split exactly as quoted, even if the fee schedule changed since
+        pricing: { business, scheduleVersion: intent.fees?.scheduleVersion, pricedAt: intent.createdAt },
+        preInstructions
+      });
+      
+      if (!transactionResult.success) {
+        return res.status(400).json({ 
+          error: transactionResult.error 
+        });
+      }
+      
+      // Customer's wallet chose the atomic fee-split transaction
+      await paymentIntentService.setRequestType(reference, 'transaction', swapQuote ? swapQuote.paymentMethod : 'usdc');
+      
+      const paidWith = swapQuote ? ` paid with up to ${swapQuote.maxInAmount} ${swapQuote.inputSymbol}` : '';
+      console.log(`🧾 Transaction request built for ${business.businessName} - $${intent.amount} USDC${paidWith} (ref ${reference})`);
+      
+      const discount = intent.loyalty?.discount ? ` - ${intent.loyalty.rulesFired[0].description} (-$${intent.loyalty.discount})` : '';
+      res.json({
+        transaction: transactionResult.transaction,
+        message: swapQuote ?
+          `${business.businessName}: Pay ~${swapQuote.inAmount} ${swapQuote.inputSymbol} (swapped to $${amount} USDC)` :
+          `${business.businessName}: ${transactionResult.message}${discount}`
+      });
+      
+    } catch (error) {
+      console.error('Transaction request error:', error);
+      res.status(500).json({ error: 'Failed to create transaction' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/blockchain/checkout/tokens
+ * @desc Tokens customers can pay with - everything but USDC is swapped to USDC through Jupiter
+ * @access Public
+ */
+router.get('/checkout/tokens',
+  blockchainLimiter,
+  (req, res) => {
+    res.json({
+      success: true,
+      settlementToken: 'USDC',
+      tokens: swapCheckoutService.getCheckoutTokens(),
+      quoteTtlSeconds: swapCheckoutService.config.quoteTtlSeconds,
+      defaultSlippageBps: swapCheckoutService.config.defaultSlippageBps,
+      maxSlippageBps: swapCheckoutService.config.maxSlippageBps
+    });
+  }
+);
+
+/**
+ * @route POST /api/blockchain/payment/:reference/quote
+ * @desc Quote paying an open payment request in SOL, $PIZZA SPL or an allow-listed SPL token.
+ *       Returns a Transaction Request URL whose transaction swaps to the exact USDC total
+ *       and splits it like any USDC payment; the quote expires after quoteTtlSeconds.
+ * @access Public (called from the customer's pay page)
+ */
+router.post('/payment/:reference/quote',
+  blockchainLimiter,
+  [
+    param('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Valid payment reference is required'),
+    body('inputMint').isString().isLength({ min: 32, max: 44 }).withMessage('Valid input token mint is required'),
+    body('slippageBps').optional().isInt({ min: 1, max: swapCheckoutService.config.maxSlippageBps })
+      .withMessage(`Slippage must be between 1 and ${swapCheckoutService.config.maxSlippageBps} bps`)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reference } = req.params;
+      const { inputMint } = req.body;
+      
+      const intent = await paymentIntentService.getIntent(reference);
+      if (!intent) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
+      
+      if (!intent.isOpen()) {
+        return res.status(410).json({ error: `Payment request is ${intent.status}` });
+      }
+      
+      const business = await Business.findById(intent.businessId);
+      if (!business || !business.isActive) {
+        return res.status(404).json({ error: 'Business not found or not active' });
+      }
+      
+      if (!(business.businessWallet?.publicKey || business.settlement?.walletAddress)) {
+        return res.status(400).json({ error: 'Business wallet not linked' });
+      }
+      
+      const swapQuote = await swapCheckoutService.createQuote(intent, {
+        inputMint,
+        slippageBps: req.body.slippageBps !== undefined ? parseInt(req.body.slippageBps) : undefined
+      });
+      
+      const stored = await paymentIntentService.setSwapQuote(reference, swapQuote);
+      if (!stored) {
+        return res.status(410).json({ error: 'Payment request is no longer open' });
+      }
+      
+      const transactionRequest = solanaPayService.createTransactionRequestURL({
+        businessId: intent.businessId.toString(),
+        amount: intent.amount,
+        reference,
+        inputMint
+      });
+      
+      if (!transactionRequest.success) {
+        return res.status(400).json({ error: transactionRequest.error });
+      }
+      
+      const { quoteResponse, ...quote } = swapQuote;
+      
+      console.log(`🔄 Swap quote for ${business.businessName}: ${swapQuote.inAmount} ${swapQuote.inputSymbol} -> $${intent.amount} USDC (ref ${reference})`);
+      
+      res.json({
+        success: true,
+        reference,
+        amount: intent.amount,
+        quote,
+        transactionRequestUrl: transactionRequest.transactionRequestUrl,
+        qrCode: await QRCode.toDataURL(transactionRequest.transactionRequestUrl),
+        message: `Pay ~${swapQuote.inAmount} ${swapQuote.inputSymbol} (at most ${swapQuote.maxInAmount}) for $${intent.amount} USDC`
+      });
+      
+    } catch (error) {
+      if (error.message === 'Token is not accepted for checkout' || error.message.startsWith('Slippage must be')) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message.startsWith('Jupiter') || error.message === 'Swap quote does not cover the payment amount') {
+        return res.status(502).json({ error: 'No swap route available for this token right now' });
+      }
+      console.error('Swap quote error:', error);
+      res.status(500).json({ error: 'Failed to create swap quote' });
+    }
+  }
+);
+
+// Cancel an unpaid payment request
+router.post('/payment/:reference/cancel',
+  blockchainLimiter,
+  authenticateToken,
+  [
+    param('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Invalid payment reference'),
+    body('reason').optional().isString().isLength({ max: 200 }).withMessage('Reason must be 200 characters or less')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reference } = req.params;
+      
+      const intent = await paymentIntentService.getIntent(reference);
+      if (!intent) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
+      
+      // Creator or the owning business may cancel
+      const business = await Business.findOne({ _id: intent.businessId, ownerId: req.user._id });
+      if (intent.createdBy?.toString() !== req.user._id.toString() && !business) {
+        return res.status(403).json({ error: 'Not authorized to cancel this payment request' });
+      }
+      
+      if (!intent.isOpen()) {
+        return res.status(409).json({ error: `Payment request is ${intent.status}` });
+      }
+      
+      const cancelled = await paymentIntentService.cancel(reference, {
+        reason: req.body.reason || 'Cancelled by user'
+      });
+      
+      console.log(`🚫 Payment request cancelled: ${reference}`);
+      
+      res.json({
+        success: true,
+        ...paymentIntentService.toStatus(cancelled)
+      });
+      
+    } catch (error) {
+      console.error('Payment cancel error:', error);
+      res.status(500).json({ error: 'Failed to cancel payment request' });
+    }
+  }
+);
+
+// Bill creator or the owning business may view and manage a split bill
+const canManageBill = async (bill, user) => {
+  if (bill.createdBy?.toString() === user._id.toString()) {
+    return true;
+  }
+  return !!(await Business.exists({ _id: bill.businessId, ownerId: user._id }));
+};
+
+/**
+ * @route POST /api/blockchain/bills
+ * @desc Create a bill with an optional tip, split into N payment QR codes tracked together
+ * @access Private
+ */
+router.post('/bills',
+  transactionLimiter,
+  authenticateToken,
+  [
+    body('businessId').isMongoId().withMessage('Valid business ID is required'),
+    body('subtotal').isFloat({ min: paymentConfig.minAmount }).withMessage(`Subtotal must be at least $${paymentConfig.minAmount} USDC`),
+    body('tipPercent').optional().isFloat({ min: 0, max: paymentConfig.maxTipPercent })
+      .withMessage(`Tip must be between 0% and ${paymentConfig.maxTipPercent}%`),
+    body('splitCount').optional().isInt({ min: 1, max: paymentConfig.maxBillSplits })
+      .withMessage(`Bill can be split into 1 to ${paymentConfig.maxBillSplits} payments`)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { businessId } = req.body;
+
+      let created;
+      try {
+        created = await billService.createBill({
+          businessId,
+          createdBy: req.user._id,
+          subtotal: parseFloat(req.body.subtotal),
+          tipPercent: parseFloat(req.body.tipPercent) || 0,
+          splitCount: parseInt(req.body.splitCount) || 1
+        });
+      } catch (error) {
+        return res.status(error.message === 'Business not found' ? 404 : 400).json({ error: error.message });
+      }
+
+      const { bill, qrCodes } = created;
+      const status = billService.toStatus(bill);
+
+      console.log(`🧾 Bill ${status.billId} created - $${bill.total} USDC split ${bill.splitCount} ways`);
+
+      res.status(201).json({
+        success: true,
+        ...status,
+        parts: status.parts.map(part => ({ ...part, qrCode: qrCodes[part.index] })),
+        estimatedReward: calculateReward(bill.subtotal).rewardAmount
+      });
+
+    } catch (error) {
+      console.error('Bill creation error:', error);
+      res.status(500).json({ error: 'Failed to create bill' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/blockchain/bills/:billId
+ * @desc Combined bill status ("fully paid" once every share is confirmed)
+ * @access Private (bill creator or owning business)
+ */
+router.get('/bills/:billId',
+  blockchainLimiter,
+  authenticateToken,
+  [
+    param('billId').isMongoId().withMessage('Valid bill ID is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bill = await Bill.findById(req.params.billId);
+      if (!bill || !(await canManageBill(bill, req.user))) {
+        return res.status(404).json({ error: 'Bill not found' });
+      }
+
+      res.json({
+        success: true,
+        ...billService.toStatus(bill)
+      });
+
+    } catch (error) {
+      console.error('Bill status error:', error);
+      res.status(500).json({ error: 'Failed to get bill status' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/bills/:billId/parts/:index/qr
+ * @desc Issue a fresh QR code for an expired, cancelled or failed share
+ * @access Private (bill creator or owning business)
+ */
+router.post('/bills/:billId/parts/:index/qr',
+  transactionLimiter,
+  authenticateToken,
+  [
+    param('billId').isMongoId().withMessage('Valid bill ID is required'),
+    param('index').isInt({ min: 0 }).withMessage('Valid share index is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bill = await Bill.findById(req.params.billId);
+      if (!bill || !(await canManageBill(bill, req.user))) {
+        return res.status(404).json({ error: 'Bill not found' });
+      }
+
+      let regenerated;
+      try {
+        regenerated = await billService.regeneratePart(bill._id, parseInt(req.params.index));
+      } catch (error) {
+        return res.status(error.message === 'Bill share not found' ? 404 : 409).json({ error: error.message });
+      }
+
+      const status = billService.toStatus(regenerated.bill);
+
+      res.json({
+        success: true,
+        ...status,
+        part: {
+          ...status.parts.find(part => part.index === parseInt(req.params.index)),
+          qrCode: regenerated.qrCode
+        }
+      });
+
+    } catch (error) {
+      console.error('Bill share QR error:', error);
+      res.status(500).json({ error: 'Failed to issue new QR code' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/bills/:billId/cancel
+ * @desc Cancel a bill's unpaid shares
+ * @access Private (bill creator or owning business)
+ */
+router.post('/bills/:billId/cancel',
+  blockchainLimiter,
+  authenticateToken,
+  [
+    param('billId').isMongoId().withMessage('Valid bill ID is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bill = await Bill.findById(req.params.billId);
+      if (!bill || !(await canManageBill(bill, req.user))) {
+        return res.status(404).json({ error: 'Bill not found' });
+      }
+
+      let cancelled;
+      try {
+        cancelled = await billService.cancelBill(bill._id);
+      } catch (error) {
+        return res.status(409).json({ error: error.message });
+      }
+
+      console.log(`🚫 Bill cancelled: ${bill._id}`);
+
+      res.json({
+        success: true,
+        ...billService.toStatus(cancelled)
+      });
+
+    } catch (error) {
+      console.error('Bill cancel error:', error);
+      res.status(500).json({ error: 'Failed to cancel bill' });
+    }
+  }
+);
+
 // Check payment status by reference
 router.get('/payment-status/:reference',
   blockchainLimiter,
@@ -858,18 +1582,25 @@ router.get('/payment-status/:reference',
     try {
       const { reference } = req.params;
       
-      // Check payment status
-      const statusResult = await solanaPayService.getPaymentStatus(reference);
+      let intent = await paymentIntentService.getIntent(reference);
+      if (!intent) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
       
-      if (!statusResult.success) {
-        return res.status(400).json({ 
-          error: statusResult.error 
-        });
+      // Look for the payment on-chain while the intent is still waiting (late payments included)
+      let statusResult = {};
+      if (['awaiting_payment', 'expired'].includes(intent.status)) {
+        statusResult = await solanaPayService.getPaymentStatus(reference);
+        
+        if (statusResult.success && statusResult.status === 'completed') {
+          intent = await paymentIntentService.markDetected(reference, {
+            signature: statusResult.signature
+          });
+        }
       }
       
       res.json({
-        status: statusResult.status,
-        signature: statusResult.signature,
+        ...paymentIntentService.toStatus(intent),
         blockTime: statusResult.blockTime,
         slot: statusResult.slot
       });
@@ -885,17 +1616,65 @@ router.get('/payment-status/:reference',
 router.post('/validate-payment',
   blockchainLimiter,
   authenticateToken,
+  idempotency(),
   [
     body('signature').isString().withMessage('Transaction signature is required'),
-    body('reference').isString().withMessage('Payment reference is required')
+    body('reference').isString().withMessage('Payment reference is required'),
+    body('amount').optional().isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`)
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const { signature, reference } = req.body;
       
-      // Validate payment
-      const validationResult = await solanaPayService.validatePayment(signature, reference);
+      // Find the business
+      const business = await Business.findOne({ 
+        ownerId: req.user._id,
+        businessType: 'CN',
+        isActive: true 
+      });
+      
+      if (!business) {
+        return res.status(400).json({ error: 'Business not found or not active' });
+      }
+      
+      // The intent holds the authoritative amount and request type
+      const intent = await paymentIntentService.getIntent(reference);
+      if (!intent || intent.businessId.toString() !== business._id.toString()) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
+      
+      if (req.body.amount !== undefined && parseFloat(req.body.amount) !== intent.amount) {
+        return res.status(400).json({ error: 'Amount does not match payment request' });
+      }
+      
+      if (['confirmed', 'settled'].includes(intent.status)) {
+        return res.json({
+          success: true,
+          validated: true,
+          signature: intent.signature,
+          status: intent.status
+        });
+      }
+      
+      if (['cancelled', 'failed'].includes(intent.status)) {
+        return res.status(409).json({ error: `Payment request is ${intent.status}` });
+      }
+      
+      const amount = intent.amount;
+      
+      // Validate payment (Transaction Request payments are checked against the business share)
+      const feePricing = { business, scheduleVersion: intent.fees?.scheduleVersion, pricedAt: intent.createdAt };
+      const businessWallet = business.businessWallet?.publicKey || business.settlement?.walletAddress;
+      const validationResult = await solanaPayService.validatePayment(signature, reference, amount, {
+        recipient: businessWallet || undefined,
+        feeSplit: intent.requestType === 'transaction',
+        businessType: business.businessType,
+        tipAmount: intent.tipAmount,
+        pricing: feePricing,
+        fees: intent.fees
+      });
       
       if (!validationResult.success) {
         return res.status(400).json({ 
@@ -903,42 +1682,58 @@ router.post('/validate-payment',
         });
       }
       
-      // If payment is valid, create transaction record and distribute fees
+      let status = intent.status;
+      
+      // If payment is valid, create transaction record
       if (validationResult.validated) {
-        // Find the business
-        const business = await Business.findOne({ 
-          ownerId: req.user._id,
-          businessType: 'CN',
-          isActive: true 
+        const feeCalculation = business.calculateTransactionFees(amount, intent.tipAmount, feePricing);
+        
+        // Payments in SOL/$PIZZA/SPL tokens record what the swap to USDC actually cost
+        const swapFields = await swapCheckoutService.getTransactionFields(validationResult.signature, intent);
+        
+        // Create transaction record
+        const transaction = new Transaction({
+          userId: req.user._id,
+          businessId: business._id,
+          type: 'payment',
+          amount,
+          currency: 'USDC',
+          signature: validationResult.signature,
+          status: 'confirmed',
+          blockTime: validationResult.blockTime,
+          slot: validationResult.slot,
+          paymentReference: reference,
+          tipAmount: intent.tipAmount,
+          billId: intent.billId,
+          fees: {
+            platformFee: feeCalculation.platformFee,
+            vaultContribution: feeCalculation.vaultContribution,
+            totalFees: feeCalculation.totalFees,
+            scheduleVersion: feeCalculation.scheduleVersion
+          },
+          settlement: {
+            netAmount: feeCalculation.merchantAmount
+          },
+          ...swapFields
         });
         
-        if (business) {
-          // Create transaction record
-          const transaction = new Transaction({
-            userId: req.user._id,
-            businessId: business._id,
-            type: 'payment',
-            amount: 15,
-            currency: 'USDC',
-            signature: validationResult.signature,
-            status: 'confirmed',
-            blockTime: validationResult.blockTime,
-            slot: validationResult.slot,
-            paymentReference: reference,
-            fees: {
-              platform: 0.15,
-              vault: 0.195,
-              total: 0.345
-            },
-            netAmount: 14.655
-          });
-          
-          await transaction.save();
-          
-          // TODO: Implement automatic fee distribution
-          // This would transfer the platform fee and vault contribution
-          // to their respective wallets
+        await transaction.save();
+        
+        try {
+          await ledgerService.recordPayment(transaction);
+        } catch (ledgerError) {
+          console.error('❌ Ledger posting failed for payment:', ledgerError);
         }
+        
+        // Transaction Request payments (feeSplit) already moved the platform fee and
+        // vault contribution atomically; Transfer Request payments still need the
+        // separate FeeDistributionService.createFeeDistributionTransaction step
+        
+        const confirmedIntent = await paymentIntentService.markConfirmed(reference, {
+          transactionId: transaction._id,
+          signature: validationResult.signature
+        });
+        status = confirmedIntent.status;
       }
       
       res.json({
@@ -946,7 +1741,8 @@ router.post('/validate-payment',
         validated: validationResult.validated,
         signature: validationResult.signature,
         blockTime: validationResult.blockTime,
-        slot: validationResult.slot
+        slot: validationResult.slot,
+        status
       });
       
     } catch (error) {
@@ -12,16 +12,28 @@ const { getClientIP, getUserAgent, getSecurityInfo, generateCorrelationId } = re
 const VaultService = require('../services/vaultService');
 const GiftCardService = require('../services/giftCardService');
 const TransactionService = require('../services/transactionService');
+const SolanaPayService = require('../services/solanaPayService');
+const paymentIntentService = require('../services/paymentIntentService');
+const invoiceService = require('../services/invoiceService');
+const settlementService = require('../services/settlementService');
+const ledgerService = require('../services/ledgerService');
+const stakingPayoutService = require('../services/stakingPayoutService');
+const loyaltyRulesService = require('../services/loyaltyRulesService');
+const referralService = require('../services/referralService');
+const giftCardCheckoutService = require('../services/giftCardCheckoutService');
 const { requireAuth, require2FA } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const secretManager = require('../config/secrets');
+const { paymentConfig, validatePaymentAmount, calculateReward } = require('../config/payments');
 const businessTypeService = new BusinessTypeService();
 // Ramp service instance removed
 const vaultService = new VaultService();
 const giftCardService = new GiftCardService();
 const transactionService = new TransactionService();
+const solanaPayService = new SolanaPayService();
 
 // JWT auth for business/user endpoints
 const authenticateToken = async (req, res, next) => {
@@ -54,6 +66,15 @@ const businessLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiter for refund confirmation (wallet confirmation can take a few attempts)
+const refundConfirmLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: { error: 'Too many refund confirmation attempts, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -292,12 +313,13 @@ router.put('/update-settlement',
   requireAuth,
   [
     body('method').isIn(['fiat-conversion', 'usdc-retain']).withMessage('Invalid settlement method'),
-    body('dailyAmount').optional().isFloat({ min: 0 }).withMessage('Daily amount must be positive')
+    body('dailyAmount').optional().isFloat({ min: 0 }).withMessage('Daily amount must be positive'),
+    body('batchFrequency').optional().isIn(['daily', 'weekly']).withMessage('Batch frequency must be daily or weekly')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { method, dailyAmount, bankAccount } = req.body;
+      const { method, dailyAmount, batchFrequency, bankAccount } = req.body;
       
       const business = await Business.findOne({ ownerId: req.session.userId });
       if (!business) {
@@ -316,6 +338,9 @@ router.put('/update-settlement',
       if (dailyAmount !== undefined) {
         business.settlement.dailyAmount = dailyAmount;
       }
+      if (batchFrequency !== undefined) {
+        business.settlement.batchFrequency = batchFrequency;
+      }
       
       // CN businesses don't need bank account updates
       
@@ -391,12 +416,18 @@ router.post('/loyalty-program/update',
   [
     body('discountRules').optional().isArray().withMessage('Discount rules must be an array'),
     body('nftRewards').optional().isArray().withMessage('NFT rewards must be an array'),
+    body('customRules').optional().isArray().withMessage('Custom rules must be an array'),
     body('creditRules.conversionRate').optional().isFloat({ min: 0 }).withMessage('Conversion rate must be positive')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { discountRules, nftRewards, creditRules } = req.body;
+      const { discountRules, nftRewards, creditRules, customRules } = req.body;
+      
+      const ruleErrors = loyaltyRulesService.validateRules({ discountRules, nftRewards, creditRules, customRules });
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid loyalty rules', details: ruleErrors });
+      }
       
       const business = await Business.findOne({ ownerId: req.session.userId });
       if (!business) {
@@ -418,6 +449,10 @@ router.post('/loyalty-program/update',
           ...creditRules
         };
       }
+      // Reward multipliers live on the loyalty vault
+      if (customRules) {
+        business.loyaltyVault.customRules = customRules;
+      }
       
       business.loyaltyProgram.isActive = true;
       await business.save();
@@ -426,8 +461,11 @@ router.post('/loyalty-program/update',
         success: true,
         message: 'Loyalty program updated',
         loyaltyProgram: business.loyaltyProgram,
+        customRules: business.loyaltyVault.customRules,
         examples: {
           discounts: 'Hold 3 $PIZZA SPL = 10% discount',
+          visits: 'Every 10th visit free',
+          multipliers: '2x rewards on Tuesdays',
           nfts: 'Hold 20 $PIZZA SPL = exclusive NFT',
           storeCredit: 'Convert 10 $PIZZA SPL = $1 store credit'
         }
@@ -441,71 +479,331 @@ router.post('/loyalty-program/update',
 );
 
 /**
- * @route POST /api/business/gift-cards/mint-batch
- * @desc Mint batch of gift card NFTs (100 per month limit)
+ * @route POST /api/business/loyalty-program/preview
+ * @desc Dry run a payment against the saved (or proposed) loyalty rules
  * @access Private
  */
-router.post('/gift-cards/mint-batch',
+router.post('/loyalty-program/preview',
   businessLimiter,
-  authenticateToken,
+  requireAuth,
   [
-    body('quantity').isInt({ min: 1, max: 100 }).withMessage('Quantity must be between 1-100'),
-    body('customMessage').optional().isString().withMessage('Custom message must be string')
+    body('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount }).withMessage(`Amount must be between ${paymentConfig.minAmount} and ${paymentConfig.maxAmount} USDC`),
+    body('tipAmount').optional().isFloat({ min: 0 }).withMessage('Tip must be positive'),
+    body('tokenBalance').optional().isFloat({ min: 0 }).withMessage('Token balance must be positive'),
+    body('visitNumber').optional().isInt({ min: 1 }).withMessage('Visit number must be at least 1'),
+    body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6'),
+    body('tier').optional().isIn(User.LOYALTY_TIERS).withMessage(`Tier must be one of ${User.LOYALTY_TIERS.join(', ')}`),
+    body('registered').optional().isBoolean(),
+    body('rules').optional().isObject().withMessage('Rules must be an object')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { quantity, customMessage } = req.body;
-      
       const business = await Business.findOne({ ownerId: req.session.userId });
       if (!business) {
         return res.status(404).json({ error: 'Business not found' });
       }
       
-      // Check monthly quota
-      const currentMonthCount = await giftCardService.getCurrentMonthMintCount(business._id);
-      if (currentMonthCount + quantity > 100) {
-        return res.status(400).json({
-          error: `Monthly gift card limit exceeded. Current: ${currentMonthCount}, Requested: ${quantity}, Limit: 100`
-        });
+      const preview = loyaltyRulesService.preview(business, {
+        amount: parseFloat(req.body.amount),
+        tipAmount: req.body.tipAmount !== undefined ? parseFloat(req.body.tipAmount) : 0,
+        tokenBalance: req.body.tokenBalance !== undefined ? parseFloat(req.body.tokenBalance) : 0,
+        visitNumber: req.body.visitNumber !== undefined ? parseInt(req.body.visitNumber) : 1,
+        dayOfWeek: req.body.dayOfWeek !== undefined ? parseInt(req.body.dayOfWeek) : undefined,
+        tier: req.body.tier,
+        registered: req.body.registered !== false && req.body.registered !== 'false',
+        rules: req.body.rules
+      });
+      
+      res.json({
+        success: true,
+        preview
+      });
+      
+    } catch (error) {
+      console.error('Loyalty program preview error:', error);
+      if (error.message.startsWith('Invalid loyalty rules')) {
+        return res.status(400).json({ error: error.message });
       }
+      res.status(500).json({ error: 'Failed to preview loyalty program' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/business/gift-cards/mint-batch
+ * @desc Mint a campaign of gift card NFTs (100 per month limit)
+ * @access Private
+ */
+router.post('/gift-cards/mint-batch',
+  businessLimiter,
+  authenticateToken,
+  idempotency(),
+  [
+    body('quantity').isInt({ min: 1, max: 100 }).withMessage('Quantity must be between 1-100'),
+    body('name').optional().isString().isLength({ max: 100 }).withMessage('Campaign name must be at most 100 characters'),
+    body('customMessage').optional().isString().isLength({ max: 500 }).withMessage('Custom message must be a string of at most 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, customMessage } = req.body;
+      const quantity = parseInt(req.body.quantity);
       
-      // Mint gift cards
-      const results = [];
-      for (let i = 0; i < quantity; i++) {
-        const result = await giftCardService.mintGiftCard({
-          businessId: business._id,
-          recipientWalletAddress: null, // Will be set when distributed
-          customMessage: customMessage || `Gift card from ${business.businessName}`,
-          campaignId: `batch_${Date.now()}`
-        });
-        results.push(result);
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
       }
       
-      const successCount = results.filter(r => r.success).length;
-      const totalCost = successCount * 0.50;
+      // Mint gift cards (the campaign reserves them against the monthly quota)
+      const { campaign, cards, failed } = await giftCardService.mintBatch(business, {
+        quantity,
+        name,
+        customMessage: customMessage || `Gift card from ${business.businessName}`,
+        createdBy: req.user._id
+      });
+      const remainingMonthlyQuota = giftCardService.monthlyQuota - await giftCardService.getCurrentMonthMintCount(business._id);
       
       res.json({
         success: true,
-        message: `${successCount}/${quantity} gift cards minted successfully`,
-        results: results,
-        cost: totalCost,
-        remainingMonthlyQuota: 100 - currentMonthCount - successCount,
+        message: `${cards.length}/${quantity} gift cards minted successfully`,
+        campaign: {
+          campaignId: campaign.campaignId,
+          name: campaign.name,
+          cardsRequested: campaign.cardsRequested,
+          cardsMinted: campaign.cardsMinted,
+          totalCost: campaign.totalCost
+        },
+        cards: cards.map(card => ({
+          cardId: card.cardId,
+          nftAddress: card.nftAddress,
+          value: card.value,
+          status: card.status,
+          expiresAt: card.expiresAt
+        })),
+        failed,
+        cost: campaign.totalCost,
+        remainingMonthlyQuota,
         giftCardDetails: {
-          value: '5 $PIZZA SPL each',
-          expiryPeriod: '30 days',
-          mintingCost: '$0.50 each',
+          value: `${campaign.cardValue} $PIZZA SPL each`,
+          expiryPeriod: `${campaign.expiryDays} days`,
+          mintingCost: `$${campaign.mintingCost.toFixed(2)} each`,
           businessFunded: true
         }
       });
       
     } catch (error) {
       console.error('Gift card batch minting error:', error);
+      if (error.message.startsWith('Monthly gift card quota exceeded')) {
+        return res.status(400).json({ error: error.message });
+      }
       res.status(500).json({ error: 'Failed to mint gift cards' });
     }
   }
 );
 
+/**
+ * @route GET /api/business/gift-cards
+ * @desc List the business's gift cards, optionally for one campaign or status
+ * @access Private (business owner)
+ */
+router.get('/gift-cards',
+  authenticateToken,
+  [
+    query('campaignId').optional().matches(/^gcc_[a-f0-9]{24}$/).withMessage('Invalid campaign ID'),
+    query('status').optional().isIn(['minted', 'assigned', 'claimed', 'partially_used', 'redeemed', 'expired', 'reverted']).withMessage('Invalid gift card status'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const result = await giftCardService.listBusinessGiftCards(business._id, {
+        campaignId: req.query.campaignId,
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+      
+    } catch (error) {
+      console.error('Gift card list error:', error);
+      res.status(500).json({ error: 'Failed to load gift cards' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/gift-cards/redemptions
+ * @desc List gift card draw-downs at checkout and their vault reimbursement
+ * @access Private (business owner)
+ */
+router.get('/gift-cards/redemptions',
+  authenticateToken,
+  [
+    query('status').optional().isIn(['held', 'captured', 'released']).withMessage('Invalid redemption status'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const result = await giftCardCheckoutService.listBusinessRedemptions(business._id, {
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+      
+    } catch (error) {
+      console.error('Gift card redemption list error:', error);
+      res.status(500).json({ error: 'Failed to load gift card redemptions' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/gift-cards/analytics
+ * @desc Gift card totals, monthly quota and per-campaign redemption analytics
+ * @access Private (business owner)
+ */
+router.get('/gift-cards/analytics',
+  authenticateToken,
+  [
+    query('timeframe').optional().isIn(['month', 'year', 'all']).withMessage('Timeframe must be month, year or all')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const analytics = await giftCardService.getBusinessGiftCardAnalytics(business._id, req.query.timeframe || 'month');
+      
+      res.json({
+        success: true,
+        analytics
+      });
+      
+    } catch (error) {
+      console.error('Gift card analytics error:', error);
+      res.status(500).json({ error: 'Failed to load gift card analytics' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/business/gift-cards/:cardId/assign
+ * @desc Give a minted gift card to a customer's wallet
+ * @access Private (business owner)
+ */
+router.post('/gift-cards/:cardId/assign',
+  businessLimiter,
+  authenticateToken,
+  [
+    param('cardId').matches(/^gc_[a-f0-9]{24}$/).withMessage('Invalid gift card ID'),
+    body('walletAddress').isString().isLength({ min: 32, max: 44 }).withMessage('Invalid wallet address')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const card = await giftCardService.assignGiftCard(business, req.params.cardId, req.body.walletAddress);
+      
+      res.json({
+        success: true,
+        cardId: card.cardId,
+        status: card.status,
+        ownerWallet: card.ownerWallet,
+        expiresAt: card.expiresAt
+      });
+      
+    } catch (error) {
+      console.error('Gift card assignment error:', error);
+      if (error.message === 'Gift card not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Gift card is not available to assign') {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to assign gift card' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/business/gift-cards/campaigns/:campaignId/claim-links
+ * @desc Issue one-time claim links for a campaign's undistributed cards, as JSON or a printable QR sheet
+ * @access Private (business owner)
+ */
+router.post('/gift-cards/campaigns/:campaignId/claim-links',
+  businessLimiter,
+  authenticateToken,
+  [
+    param('campaignId').matches(/^gcc_[a-f0-9]{24}$/).withMessage('Invalid gift card campaign ID'),
+    query('format').optional().isIn(['json', 'pdf']).withMessage('Format must be json or pdf')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      // Re-issuing replaces earlier links, so a lost printout can be voided by printing again
+      const { campaign, links } = await giftCardService.issueClaimLinks(business, req.params.campaignId);
+      if (links.length === 0) {
+        return res.status(409).json({ error: 'No unclaimed cards left in this campaign' });
+      }
+      
+      if (req.query.format === 'pdf') {
+        const filename = `gift-cards-${business.businessName.replace(/[^a-zA-Z0-9]/g, '_')}-${campaign.campaignId}.pdf`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Type', 'application/pdf');
+        return res.send(giftCardService.buildClaimSheetPDF(business, campaign, links));
+      }
+      
+      res.json({
+        success: true,
+        campaignId: campaign.campaignId,
+        links
+      });
+      
+    } catch (error) {
+      console.error('Gift card claim link error:', error);
+      if (error.message === 'Gift card campaign not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to issue gift card claim links' });
+    }
+  }
+);
+
 /**
  * @route GET /api/business/analytics
  * @desc Get comprehensive business analytics
@@ -582,11 +880,15 @@ async function getBusinessAnalytics(businessId) {
     // Get vault contribution summary
     const vaultSummary = await Transaction.getVaultContributionSummary();
     
+    const totalTransactions = transactionStats[0]?.totalTransactions || 0;
+    const totalVolume = transactionStats[0]?.totalVolume || 0;
+    const totalRewards = transactionStats[0]?.totalRewardsDistributed || 0;
+    
     return {
       transactions: {
-        total: transactionStats[0]?.totalTransactions || 0,
-        volume: transactionStats[0]?.totalVolume || 0,
-        averageValue: 15, // Fixed $15 transactions
+        total: totalTransactions,
+        volume: totalVolume,
+        averageValue: totalTransactions > 0 ? totalVolume / totalTransactions : 0,
         successRate: transactionStats[0]?.settlementRate || 0
       },
       fees: {
@@ -595,8 +897,8 @@ async function getBusinessAnalytics(businessId) {
         netRevenue: transactionStats[0]?.totalPlatformFees || 0
       },
       rewards: {
-        totalDistributed: transactionStats[0]?.totalRewardsDistributed || 0,
-        averagePerTransaction: 0.3 // Fixed 0.3 $PIZZA SPL per transaction
+        totalDistributed: totalRewards,
+        averagePerTransaction: totalTransactions > 0 ? totalRewards / totalTransactions : 0
       },
       dailyVolume: dailyVolume,
       vaultSummary: vaultSummary[0] || {}
@@ -604,9 +906,9 @@ async function getBusinessAnalytics(businessId) {
   } catch (error) {
     console.error('Analytics calculation error:', error);
     return {
-      transactions: { total: 0, volume: 0, averageValue: 15, successRate: 0 },
+      transactions: { total: 0, volume: 0, averageValue: 0, successRate: 0 },
       fees: { totalPlatformFees: 0, totalVaultContributions: 0, netRevenue: 0 },
-      rewards: { totalDistributed: 0, averagePerTransaction: 0.3 },
+      rewards: { totalDistributed: 0, averagePerTransaction: 0 },
       dailyVolume: [],
       vaultSummary: {}
     };
@@ -970,21 +1272,36 @@ router.get('/vault/staking-status',
 
       await vaultService.initialize();
       const stakingStatus = vaultService.getStakingStatus();
-      const businessDividends = vaultService.getMerchantStakingDividends(req.user.businessId);
+      const [businessDividends, payouts] = await Promise.all([
+        vaultService.getMerchantStakingDividends(req.user.businessId),
+        stakingPayoutService.getBusinessPayouts(business._id)
+      ]);
+      const { stakingYield } = business.vaultContribution;
 
       res.json({
         success: true,
         staking: {
           enabled: stakingStatus.enabled,
+          businessStakingEnabled: business.vaultContribution.stakingEnabled,
           apy: stakingStatus.apy || 0.04,
           stakingAmount: stakingStatus.stakingAmount || 0,
           totalYield: stakingStatus.totalYield || 0,
           businessShare: businessDividends.annualDividends || 0,
+          contributionShare: businessDividends.contributionShare || 0,
           monthlyDividends: businessDividends.monthlyDividends || 0,
+          quarterlyDividends: businessDividends.quarterlyDividends || 0,
           nextPayoutDate: businessDividends.nextPayoutDate,
           contributionRequired: businessDividends.contributionRequired || 7117.50,
           roi: businessDividends.roi || 0
-        }
+        },
+        // Declared by approved quarterly payouts (projected from the ledger)
+        dividends: {
+          totalEarned: stakingYield.totalEarned || 0,
+          totalPaid: stakingYield.totalPaid || 0,
+          outstanding: stakingYield.businessShare || 0,
+          lastPayout: stakingYield.lastPayout?.batchId ? stakingYield.lastPayout : null
+        },
+        payouts
       });
 
     } catch (error) {
@@ -1025,11 +1342,13 @@ router.post('/vault/toggle-staking',
       const { enable } = req.body;
 
       await vaultService.initialize();
-      const stakingResult = await vaultService.toggleKaminoStaking(enable);
+      const stakingResult = await vaultService.toggleKaminoStaking(enable, {
+        changedBy: req.user._id,
+        businessId: business._id
+      });
 
-      // Update business record
-      business.stakingEnabled = enable;
-      business.stakingEnabledDate = enable ? new Date() : null;
+      // Update business record (the staking periods weight quarterly dividends)
+      business.setStakingEnabled(enable);
       await business.save();
 
       res.json({
@@ -1065,22 +1384,26 @@ router.get('/vault/analytics',
       await vaultService.initialize();
       const vaultAnalytics = await vaultService.getVaultAnalytics();
       
-      // Calculate business-specific contributions
-      const businessContribution = business.totalVaultContributions || 0;
+      // Calculate business-specific contributions (net of refund reversals)
+      const ledgerBalances = await ledgerService.getBusinessBalances(business._id);
+      const businessContribution = ledgerBalances.vaultContributions;
       const targetContribution = 7117.50; // Annual target
       const contributionProgress = (businessContribution / targetContribution) * 100;
 
       res.json({
         success: true,
         vault: {
-          totalSize: vaultAnalytics.totalVaultSize,
+          totalSize: vaultAnalytics.vaultSize,
           businessContribution: businessContribution,
+          vaultReversalsDue: ledgerBalances.vaultReversalsDue,
+          stakingDividends: ledgerBalances.stakingDividends,
           targetContribution: targetContribution,
           contributionProgress: Math.min(contributionProgress, 100),
           allocations: vaultAnalytics.allocations,
           utilizationRate: vaultAnalytics.utilizationRate,
           projections: vaultAnalytics.projections,
-          health: vaultAnalytics.health
+          stakingStatus: vaultAnalytics.stakingStatus,
+          lastRebalancedAt: vaultAnalytics.lastRebalancedAt
         }
       });
 
@@ -1218,12 +1541,12 @@ router.get('/transactions',
           const row = [
             escapeCSVField(new Date(tx.createdAt).toLocaleDateString() + ' ' + new Date(tx.createdAt).toLocaleTimeString()),
             escapeCSVField(tx._id.toString()),
-            escapeCSVField((tx.amount || 15).toFixed(2)),
+            escapeCSVField((tx.amount || 0).toFixed(2)),
             escapeCSVField((tx.status || 'confirmed').toUpperCase()),
             escapeCSVField(tx.walletAddress || 'N/A'),
-            escapeCSVField((tx.fees?.platformFee || 0.15).toFixed(2)),
-            escapeCSVField((tx.fees?.vaultContribution || 0.195).toFixed(3)),
-            escapeCSVField((tx.rewards?.pizzaTokensDistributed || 0.3).toFixed(1))
+            escapeCSVField((tx.fees?.platformFee || 0).toFixed(2)),
+            escapeCSVField((tx.fees?.vaultContribution || 0).toFixed(3)),
+            escapeCSVField((tx.rewards?.pizzaTokensDistributed || 0).toFixed(2))
           ];
           csvRows.push(row.join(','));
         });
@@ -1305,7 +1628,8 @@ router.post('/transactions/test',
 router.post('/solana-pay/create-payment',
   requireAuth,
   [
-    body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+    body('amount').isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`),
     body('memo').optional().isString().isLength({ max: 32 }).withMessage('Memo must be 32 characters or less'),
     body('message').optional().isString().isLength({ max: 100 }).withMessage('Message must be 100 characters or less')
   ],
@@ -1322,7 +1646,16 @@ router.post('/solana-pay/create-payment',
         });
       }
       
-      const { amount = 15, memo, message } = req.body;
+      const amountCheck = validatePaymentAmount(req.body.amount);
+      if (!amountCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          error: amountCheck.error
+        });
+      }
+      
+      const amount = amountCheck.amount;
+      const { memo, message } = req.body;
       
       // Get business information
       const Business = require('../models/Business');
@@ -1356,11 +1689,33 @@ router.post('/solana-pay/create-payment',
         memo: memo || `Pizza Platform payment - ${business.businessName}`
       });
       
+      if (!paymentRequest.success) {
+        return res.status(500).json({
+          success: false,
+          error: paymentRequest.error || 'Failed to create payment request',
+          correlationId
+        });
+      }
+      
+      // Persist payment intent - single source of truth for this payment's state
+      const intent = await paymentIntentService.createIntent({
+        reference: paymentRequest.referencePublicKey,
+        businessId: business._id,
+        amount,
+        createdBy: req.session.userId,
+        paymentUrl: paymentRequest.paymentURL,
+        memo: paymentRequest.memo
+      });
+      
       console.log(`💰 Solana Pay payment request created for ${business.businessName} - $${amount} USDC [${correlationId}]`);
       
       res.json({
         success: true,
         ...paymentRequest,
+        fees: intent.fees,
+        status: intent.status,
+        expiresAt: intent.expiresAt,
+        estimatedReward: calculateReward(amount).rewardAmount,
         businessName: business.businessName,
         correlationId
       });
@@ -1525,4 +1880,613 @@ router.post('/solana-pay/validate-transaction',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route POST /api/business/transactions/:transactionId/refund
+ * @desc Start a full or partial refund of a confirmed payment. Returns a refund
+ *       transaction for the merchant's wallet to sign (USDC back to the original payer)
+ * @access Private (business owner)
+ */
+router.post('/transactions/:transactionId/refund',
+  businessLimiter,
+  authenticateToken,
+  idempotency(),
+  [
+    param('transactionId').isMongoId().withMessage('Valid transaction ID is required'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero'),
+    body('reason').optional().isString().trim().isLength({ max: 200 }).withMessage('Reason must be 200 characters or less')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({
+        ownerId: req.user._id,
+        businessType: 'CN',
+        isActive: true
+      });
+      
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const merchantWallet = business.businessWallet?.publicKey || business.settlement?.walletAddress;
+      if (!merchantWallet) {
+        return res.status(400).json({ error: 'Business wallet not linked. Please connect your wallet first.' });
+      }
+      
+      await transactionService.initialize();
+      
+      let refund;
+      try {
+        refund = await transactionService.requestRefund({
+          transactionId: req.params.transactionId,
+          businessId: business._id,
+          requestedBy: req.user._id,
+          amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+          reason: req.body.reason
+        });
+      } catch (error) {
+        return res.status(error.message === 'Payment not found' ? 404 : 400).json({ error: error.message });
+      }
+      
+      const { payment, refundRequest } = refund;
+      
+      const refundTransaction = await solanaPayService.createRefundTransaction({
+        account: merchantWallet,
+        customerWallet: payment.walletAddress,
+        amount: refundRequest.amount,
+        reference: refundRequest.reference
+      });
+      
+      if (!refundTransaction.success) {
+        await transactionService.cancelRefund(refundRequest.reference, business._id);
+        return res.status(400).json({ error: refundTransaction.error });
+      }
+      
+      console.log(`↩️ Refund transaction built for ${business.businessName} - $${refundRequest.amount} USDC`);
+      
+      res.json({
+        success: true,
+        refund: {
+          reference: refundRequest.reference,
+          amount: refundRequest.amount,
+          status: refundRequest.status,
+          customerWallet: payment.walletAddress
+        },
+        transaction: refundTransaction.transaction,
+        refundRequestUrl: solanaPayService.createRefundRequestURL(refundRequest.reference),
+        refundableAmount: payment.getRefundableAmount()
+      });
+      
+    } catch (error) {
+      console.error('Refund request error:', error);
+      res.status(500).json({ error: 'Failed to create refund' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/business/refunds/:reference/confirm
+ * @desc Validate the signed refund on-chain and record it (vault reversal, reward clawback)
+ * @access Private (business owner)
+ */
+router.post('/refunds/:reference/confirm',
+  refundConfirmLimiter,
+  authenticateToken,
+  [
+    param('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Invalid refund reference')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reference } = req.params;
+      
+      const business = await Business.findOne({ ownerId: req.user._id, businessType: 'CN' });
+      const pending = await transactionService.findRefundRequest(reference);
+      
+      if (!business || !pending || pending.payment.businessId.toString() !== business._id.toString()) {
+        return res.status(404).json({ error: 'Refund not found' });
+      }
+      
+      const { payment, refundRequest } = pending;
+      
+      if (refundRequest.status !== 'pending') {
+        return res.status(409).json({
+          error: `Refund is ${refundRequest.status}`,
+          status: refundRequest.status,
+          refundTransactionId: refundRequest.refundTransactionId
+        });
+      }
+      
+      // Refund transfer must pay the original customer the requested amount
+      const validation = await solanaPayService.validatePayment(null, reference, refundRequest.amount, {
+        recipient: payment.walletAddress
+      });
+      
+      if (validation.notFound) {
+        return res.status(202).json({
+          success: true,
+          status: 'pending',
+          message: 'Refund transaction not found on-chain yet'
+        });
+      }
+      
+      if (!validation.success) {
+        return res.status(400).json({ error: validation.error });
+      }
+      
+      const result = await transactionService.completeRefund({
+        reference,
+        signature: validation.signature,
+        blockTime: validation.blockTime ? new Date(validation.blockTime * 1000) : null,
+        slot: validation.slot
+      });
+      
+      res.json({
+        success: true,
+        status: 'completed',
+        refundTransaction: result.refundTransaction,
+        refundedAmount: result.refundedAmount,
+        refundStatus: result.refundStatus
+      });
+      
+    } catch (error) {
+      console.error('Refund confirmation error:', error);
+      res.status(500).json({ error: 'Failed to confirm refund' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/business/refunds/:reference/cancel
+ * @desc Cancel a pending refund that was never sent (refused once its transfer is on-chain)
+ * @access Private (business owner)
+ */
+router.post('/refunds/:reference/cancel',
+  businessLimiter,
+  authenticateToken,
+  [
+    param('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Invalid refund reference')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, businessType: 'CN' });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const pending = await transactionService.findRefundRequest(req.params.reference);
+      if (!pending || pending.payment.businessId.toString() !== business._id.toString() || pending.refundRequest.status !== 'pending') {
+        return res.status(404).json({ error: 'Pending refund not found' });
+      }
+      
+      // A signed refund may already be on-chain - cancelling it would free the amount for a second refund
+      const sent = await solanaPayService.validatePayment(null, req.params.reference, pending.refundRequest.amount, {
+        recipient: pending.payment.walletAddress
+      });
+      
+      if (sent.success) {
+        await transactionService.completeRefund({
+          reference: req.params.reference,
+          signature: sent.signature,
+          blockTime: sent.blockTime ? new Date(sent.blockTime * 1000) : null,
+          slot: sent.slot
+        });
+        return res.status(409).json({ error: 'Refund was already sent', status: 'completed' });
+      }
+      
+      if (sent.invalid) {
+        return res.status(409).json({ error: 'A transaction already carries this refund reference' });
+      }
+      
+      if (!sent.notFound) {
+        return res.status(503).json({ error: 'Could not check whether the refund was sent - please try again' });
+      }
+      
+      const payment = await transactionService.cancelRefund(req.params.reference, business._id);
+      
+      res.json({
+        success: true,
+        status: 'cancelled',
+        refundableAmount: payment.getRefundableAmount()
+      });
+      
+    } catch (error) {
+      if (error.message === 'Pending refund not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Refund cancel error:', error);
+      res.status(500).json({ error: 'Failed to cancel refund' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/solana-pay/refund-request
+ * @desc Solana Pay Transaction Request metadata for refunds (label and icon)
+ * @access Public (called by the merchant's wallet)
+ */
+router.get('/solana-pay/refund-request', (req, res) => {
+  res.json(solanaPayService.getTransactionRequestMetadata());
+});
+
+/**
+ * @route POST /api/business/solana-pay/refund-request
+ * @desc Solana Pay Transaction Request - refund transaction for the merchant's wallet to sign
+ * @access Public (called by the merchant's wallet; only the business wallet can sign it)
+ */
+router.post('/solana-pay/refund-request',
+  [
+    query('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Valid refund reference is required'),
+    body('account').isString().isLength({ min: 32, max: 44 }).withMessage('Merchant account is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reference } = req.query;
+      const { account } = req.body;
+      
+      const pending = await transactionService.findRefundRequest(reference);
+      if (!pending || pending.refundRequest.status !== 'pending') {
+        return res.status(404).json({ error: 'Refund not found' });
+      }
+      
+      const business = await Business.findById(pending.payment.businessId);
+      const merchantWallet = business?.businessWallet?.publicKey || business?.settlement?.walletAddress;
+      if (!merchantWallet || merchantWallet !== account) {
+        return res.status(403).json({ error: 'Refunds must be signed by the business wallet' });
+      }
+      
+      const refundTransaction = await solanaPayService.createRefundTransaction({
+        account,
+        customerWallet: pending.payment.walletAddress,
+        amount: pending.refundRequest.amount,
+        reference
+      });
+      
+      if (!refundTransaction.success) {
+        return res.status(400).json({ error: refundTransaction.error });
+      }
+      
+      res.json({
+        transaction: refundTransaction.transaction,
+        message: `${business.businessName}: ${refundTransaction.message}`
+      });
+      
+    } catch (error) {
+      console.error('Refund transaction request error:', error);
+      res.status(500).json({ error: 'Failed to create refund transaction' });
+    }
+  }
+);
+
+// Invoice with its shareable /pay/:invoiceId link (business view includes customer email)
+const serializeInvoice = (invoice) => ({
+  ...invoice.toObject(),
+  paymentLink: invoiceService.getPaymentLink(invoice)
+});
+
+/**
+ * @route POST /api/business/invoices
+ * @desc Create an invoice or shareable payment link (line items, memo, due date, customer email)
+ * @access Private (business owner)
+ */
+router.post('/invoices',
+  businessLimiter,
+  authenticateToken,
+  [
+    body('kind').optional().isIn(['invoice', 'payment_link']).withMessage('Kind must be invoice or payment_link'),
+    body('lineItems').optional().isArray({ max: 50 }).withMessage('Line items must be a list of up to 50 items'),
+    body('lineItems.*.description').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Line item description is required'),
+    body('lineItems.*.quantity').optional().isInt({ min: 1, max: 1000 }).withMessage('Line item quantity must be between 1 and 1000'),
+    body('lineItems.*.unitPrice').isFloat({ min: 0 }).withMessage('Line item unit price must be zero or more'),
+    body('amount').optional().isFloat({ min: paymentConfig.minAmount, max: paymentConfig.maxAmount })
+      .withMessage(`Amount must be between $${paymentConfig.minAmount} and $${paymentConfig.maxAmount} USDC`),
+    body('memo').optional().isString().isLength({ max: 32 }).withMessage('Memo must be 32 characters or less'),
+    body('dueDate').optional().isISO8601().withMessage('Due date must be a valid date'),
+    body('customerEmail').optional().isEmail().normalizeEmail().withMessage('Valid customer email is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { kind, lineItems = [], amount, memo, dueDate, customerEmail } = req.body;
+      
+      if (lineItems.length === 0 && amount === undefined) {
+        return res.status(400).json({ error: 'Line items or an amount is required' });
+      }
+      
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      let invoice;
+      try {
+        invoice = await invoiceService.createInvoice({
+          businessId: business._id,
+          createdBy: req.user._id,
+          kind,
+          lineItems,
+          amount: amount !== undefined ? parseFloat(amount) : undefined,
+          memo,
+          dueDate: dueDate ? new Date(dueDate) : null,
+          customerEmail
+        });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      console.log(`🧾 Invoice ${invoice.invoiceId} created for ${business.businessName} - $${invoice.amount} USDC`);
+      
+      res.status(201).json({
+        success: true,
+        invoice: serializeInvoice(invoice)
+      });
+      
+    } catch (error) {
+      console.error('Invoice creation error:', error);
+      res.status(500).json({ error: 'Failed to create invoice' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/invoices
+ * @desc List the business's invoices and payment links
+ * @access Private (business owner)
+ */
+router.get('/invoices',
+  authenticateToken,
+  [
+    query('status').optional().isIn(['open', 'paid', 'overdue', 'void']).withMessage('Invalid invoice status'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const invoices = await invoiceService.listInvoices(business._id, {
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 50
+      });
+      
+      res.json({
+        success: true,
+        invoices: invoices.map(serializeInvoice)
+      });
+      
+    } catch (error) {
+      console.error('Invoice list error:', error);
+      res.status(500).json({ error: 'Failed to load invoices' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/invoices/:invoiceId
+ * @desc Get one invoice with its payment status
+ * @access Private (business owner)
+ */
+router.get('/invoices/:invoiceId',
+  authenticateToken,
+  [
+    param('invoiceId').matches(/^inv_[a-f0-9]{24}$/).withMessage('Invalid invoice ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      const invoice = await invoiceService.getInvoice(req.params.invoiceId);
+      
+      if (!business || !invoice || invoice.businessId.toString() !== business._id.toString()) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      
+      let payment = null;
+      if (invoice.paymentReference) {
+        const intent = await paymentIntentService.getIntent(invoice.paymentReference);
+        payment = intent ? paymentIntentService.toStatus(intent) : null;
+      }
+      
+      res.json({
+        success: true,
+        invoice: serializeInvoice(invoice),
+        payment
+      });
+      
+    } catch (error) {
+      console.error('Invoice lookup error:', error);
+      res.status(500).json({ error: 'Failed to load invoice' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/business/invoices/:invoiceId/void
+ * @desc Void an unpaid invoice and cancel its open payment request
+ * @access Private (business owner)
+ */
+router.post('/invoices/:invoiceId/void',
+  businessLimiter,
+  authenticateToken,
+  [
+    param('invoiceId').matches(/^inv_[a-f0-9]{24}$/).withMessage('Invalid invoice ID'),
+    body('reason').optional().isString().trim().isLength({ max: 200 }).withMessage('Reason must be 200 characters or less')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      let invoice;
+      try {
+        invoice = await invoiceService.voidInvoice(req.params.invoiceId, business._id, req.body.reason);
+      } catch (error) {
+        return res.status(error.message === 'Invoice not found' ? 404 : 409).json({ error: error.message });
+      }
+      
+      res.json({
+        success: true,
+        invoice: serializeInvoice(invoice)
+      });
+      
+    } catch (error) {
+      console.error('Invoice void error:', error);
+      res.status(500).json({ error: 'Failed to void invoice' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/settlements
+ * @desc Closed settlement batches (gross volume, fees, vault contributions, refunds, net payout)
+ *       plus running totals for transactions not yet batched
+ * @access Private (business owner)
+ */
+router.get('/settlements',
+  authenticateToken,
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const [batches, openPeriod] = await Promise.all([
+        settlementService.listBatches(business._id, { limit: parseInt(req.query.limit) || 30 }),
+        settlementService.getOpenPeriod(business)
+      ]);
+      
+      res.json({
+        success: true,
+        frequency: business.settlement?.batchFrequency || 'daily',
+        batches,
+        openPeriod
+      });
+      
+    } catch (error) {
+      console.error('Settlement list error:', error);
+      res.status(500).json({ error: 'Failed to load settlements' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/settlements/:batchId
+ * @desc Settlement batch with its transaction lines and checksum verification
+ * @access Private (business owner)
+ */
+router.get('/settlements/:batchId',
+  authenticateToken,
+  [
+    param('batchId').matches(/^stl_[a-f0-9]{24}$/).withMessage('Invalid settlement batch ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      const batch = await settlementService.getBatch(req.params.batchId);
+      
+      if (!business || !batch || batch.status !== 'closed' || batch.businessId.toString() !== business._id.toString()) {
+        return res.status(404).json({ error: 'Settlement batch not found' });
+      }
+      
+      res.json({
+        success: true,
+        batch,
+        verification: await settlementService.verifyBatch(batch)
+      });
+      
+    } catch (error) {
+      console.error('Settlement lookup error:', error);
+      res.status(500).json({ error: 'Failed to load settlement batch' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/settlements/:batchId/statement
+ * @desc Download a settlement statement as CSV or PDF
+ * @access Private (business owner)
+ */
+router.get('/settlements/:batchId/statement',
+  authenticateToken,
+  [
+    param('batchId').matches(/^stl_[a-f0-9]{24}$/).withMessage('Invalid settlement batch ID'),
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('Format must be csv or pdf')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      const batch = await settlementService.getBatch(req.params.batchId);
+      
+      if (!business || !batch || batch.status !== 'closed' || batch.businessId.toString() !== business._id.toString()) {
+        return res.status(404).json({ error: 'Settlement batch not found' });
+      }
+      
+      // Never issue a statement that no longer matches the transaction records
+      const verification = await settlementService.verifyBatch(batch);
+      if (!verification.verified) {
+        return res.status(409).json({ error: 'Settlement batch failed verification - contact support' });
+      }
+      
+      const format = req.query.format || 'csv';
+      const filename = `settlement-${business.businessName.replace(/[^a-zA-Z0-9]/g, '_')}-${batch.periodStart.toISOString().split('T')[0]}-${batch.batchId}.${format}`;
+      
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(settlementService.buildStatementPDF(batch, business));
+      } else {
+        res.setHeader('Content-Type', 'text/csv');
+        res.send(settlementService.buildStatementCSV(batch, business));
+      }
+      
+    } catch (error) {
+      console.error('Settlement statement error:', error);
+      res.status(500).json({ error: 'Failed to generate settlement statement' });
+    }
+  }
+);
+
+/**
+ * @route GET /api/business/referrals
+ * @desc Business referral code, new-customer bonus terms and customers signed up with it
+ * @access Private (business owner)
+ */
+router.get('/referrals',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const business = await Business.findOne({ ownerId: req.user._id, isActive: true });
+      if (!business) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+      
+      const dashboard = await referralService.getDashboard({ business });
+      
+      res.json({
+        success: true,
+        ...dashboard
+      });
+      
+    } catch (error) {
+      console.error('Business referrals error:', error);
+      res.status(500).json({ error: 'Failed to load referrals' });
+    }
+  }
+);
+
+module.exports = router;
@@ -6,6 +6,8 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const recaptchaService = require('../services/recaptchaService');
 const emailVerificationService = require('../services/emailVerificationService');
+const loyaltyTierService = require('../services/loyaltyTierService');
+const referralService = require('../services/referralService');
 const { getClientIP, getUserAgent, getSecurityInfo, generateCorrelationId } = require('../utils/ipHelper');
 const nodemailer = require('nodemailer');
 
@@ -44,6 +46,32 @@ const customerRegisterLimiter = rateLimit({
   }
 });
 
+// Rate limiting for signed-in customer reads
+const customerLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: { error: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// JWT auth for signed-in customers (tokens issued by /login)
+const authenticateCustomer = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return res.status(401).json({ error: 'Access token required' });
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) return res.status(403).json({ error: 'Invalid or inactive user' });
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Customer JWT auth error:', error.message);
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+};
+
 // Helper for sending emails
 async function sendEmail(to, subject, htmlContent) {
   const transporter = nodemailer.createTransport({
@@ -110,6 +138,7 @@ router.post('/register',
     body('referralCode').optional().isString().isLength({ max: 50 }).withMessage('Invalid referral code'),
     body('emailMarketing').optional().isBoolean().withMessage('Marketing preference must be boolean'),
     body('registrationSource').optional().isIn(['direct', 'gift_card', 'business_referral']).withMessage('Invalid registration source'),
+    body('deviceFingerprint').optional().isString().isLength({ max: 128 }).withMessage('Invalid device fingerprint'),
     body('recaptchaToken').optional().isString().withMessage('Invalid reCAPTCHA token')
   ],
   async (req, res) => {
@@ -130,9 +159,10 @@ router.post('/register',
         phoneNumber, 
         referralCode, 
         emailMarketing = false,
-        registrationSource = 'direct',
-        recaptchaToken 
+        recaptchaToken,
+        deviceFingerprint
       } = req.body;
+      let { registrationSource = 'direct' } = req.body;
 
       // Verify reCAPTCHA Enterprise v3 (optional in development)
       if (process.env.RECAPTCHA_SECRET_KEY && process.env.NODE_ENV === 'production') {
@@ -182,6 +212,19 @@ router.post('/register',
         return res.status(400).json({ error: 'An account with this email already exists' });
       }
 
+      // Resolve the referral code before creating the account
+      let referral = null;
+      if (referralCode) {
+        try {
+          referral = await referralService.resolveCode(referralCode);
+        } catch (error) {
+          return res.status(400).json({ error: error.message, code: 'INVALID_REFERRAL_CODE' });
+        }
+        if (referral.ownerType === 'business') {
+          registrationSource = 'business_referral';
+        }
+      }
+
       // Hash password
       const passwordHash = await User.hashPassword(password);
 
@@ -231,11 +274,11 @@ router.post('/register',
         loginHistory: []
       });
 
-      // Handle referral code if provided
-      if (referralCode) {
-        // TODO: Process referral code and award bonuses
+      // Referral bonuses are paid after the first qualifying payment
+      if (referral) {
         newUser.referralData = {
-          code: referralCode,
+          code: referral.code,
+          referredBy: referral.userId,
           processed: false
         };
       }
@@ -243,7 +286,22 @@ router.post('/register',
       await newUser.save();
 
       // Log security event
-      await logSecurityEvent(newUser, 'account_created', req, { correlationId, registrationSource });
+      await logSecurityEvent(newUser, 'account_created', req, { correlationId, registrationSource, deviceFingerprint });
+
+      if (referral) {
+        try {
+          await referralService.recordSignup({
+            referee: newUser,
+            referralCode: referral,
+            ipAddress: securityInfo.ip,
+            userAgent: securityInfo.userAgent,
+            deviceFingerprint
+          });
+        } catch (referralError) {
+          console.error(`❌ Failed to record referral for ${email} [${correlationId}]:`, referralError.message);
+          // Don't fail registration if the referral can't be recorded
+        }
+      }
 
       // Send verification email
       try {
@@ -330,6 +388,7 @@ router.post('/login',
   [
     body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
     body('password').isString().isLength({ min: 1, max: 200 }).withMessage('Password is required'),
+    body('deviceFingerprint').optional().isString().isLength({ max: 128 }).withMessage('Invalid device fingerprint'),
     body('recaptchaToken').optional().isString().withMessage('Invalid reCAPTCHA token')
   ],
   async (req, res) => {
@@ -342,7 +401,7 @@ router.post('/login',
         return res.status(400).json({ error: 'Validation failed', details: errors.array() });
       }
 
-      const { email, password, recaptchaToken } = req.body;
+      const { email, password, recaptchaToken, deviceFingerprint } = req.body;
 
       // Verify reCAPTCHA Enterprise v3 (optional in development)
       if (process.env.RECAPTCHA_SECRET_KEY && process.env.NODE_ENV === 'production') {
@@ -432,7 +491,7 @@ router.post('/login',
       );
 
       // Log successful login
-      await logSecurityEvent(user, 'login_success', req, { correlationId });
+      await logSecurityEvent(user, 'login_success', req, { correlationId, deviceFingerprint });
       console.log(`✅ Customer login successful: ${email.substring(0, 2)}**@${email.split('@')[1]} [${correlationId}] from IP: ${securityInfo.ip}`);
 
       res.json({
@@ -718,6 +777,46 @@ router.post('/forgot-password',
   }
 );
 
+/**
+ * @route GET /api/customer/loyalty/tiers
+ * @desc Customer's platform-wide and per-business loyalty tiers with progress to the next tier
+ * @access Private
+ */
+router.get('/loyalty/tiers', customerLimiter, authenticateCustomer, async (req, res) => {
+  try {
+    const tiers = await loyaltyTierService.getCustomerTiers(req.user);
+
+    res.json({
+      success: true,
+      ...tiers
+    });
+
+  } catch (error) {
+    console.error('Loyalty tiers fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch loyalty tiers' });
+  }
+});
+
+/**
+ * @route GET /api/customer/referrals
+ * @desc Customer's referral code, bonus terms and referred signups
+ * @access Private
+ */
+router.get('/referrals', customerLimiter, authenticateCustomer, async (req, res) => {
+  try {
+    const dashboard = await referralService.getDashboard({ user: req.user });
+
+    res.json({
+      success: true,
+      ...dashboard
+    });
+
+  } catch (error) {
+    console.error('Referral dashboard fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch referrals' });
+  }
+});
+
 module.exports = router;
 
 
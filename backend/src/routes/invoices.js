@@ -0,0 +1,120 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { param, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import services
+const invoiceService = require('../services/invoiceService');
+const paymentIntentService = require('../services/paymentIntentService');
+const Business = require('../models/Business');
+const { calculateReward } = require('../config/payments');
+
+// Rate limiting for the public pay page (polled while waiting for payment)
+const invoiceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // Status polling every few seconds
+  message: { error: 'Too many invoice requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const invoiceIdValidation = [
+  param('invoiceId').matches(/^inv_[a-f0-9]{24}$/).withMessage('Invalid invoice ID')
+];
+
+/**
+ * @route GET /api/invoices/:invoiceId
+ * @desc Public invoice view with the status of its latest payment request
+ * @access Public (anyone with the link)
+ */
+router.get('/:invoiceId',
+  invoiceLimiter,
+  invoiceIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const invoice = await invoiceService.getInvoice(req.params.invoiceId);
+      if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      const business = await Business.findById(invoice.businessId).select('businessName');
+
+      let payment = null;
+      if (invoice.paymentReference) {
+        const intent = await paymentIntentService.getIntent(invoice.paymentReference);
+        payment = intent ? paymentIntentService.toStatus(intent) : null;
+      }
+
+      res.json({
+        success: true,
+        invoice: invoiceService.toPublic(invoice, business),
+        payment
+      });
+
+    } catch (error) {
+      console.error('Invoice lookup error:', error);
+      res.status(500).json({ error: 'Failed to load invoice' });
+    }
+  }
+);
+
+/**
+ * @route POST /api/invoices/:invoiceId/payment
+ * @desc Issue (or reuse) the Solana Pay QR and deep link for an invoice
+ * @access Public (anyone with the link)
+ */
+router.post('/:invoiceId/payment',
+  invoiceLimiter,
+  invoiceIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      let payment;
+      try {
+        payment = await invoiceService.preparePayment(req.params.invoiceId);
+      } catch (error) {
+        if (error.message === 'Invoice not found') {
+          return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Invoice is') || error.message === 'Business is not accepting payments') {
+          return res.status(409).json({ error: error.message });
+        }
+        throw error;
+      }
+
+      const { invoice, business, intent, paymentURL, qrCode } = payment;
+
+      console.log(`🧾 Invoice payment request issued for ${invoice.invoiceId} - $${invoice.amount} USDC`);
+
+      res.json({
+        success: true,
+        invoice: invoiceService.toPublic(invoice, business),
+        reference: intent.reference,
+        paymentURL,
+        qrCode,
+        status: intent.status,
+        expiresAt: intent.expiresAt,
+        estimatedReward: calculateReward(invoice.amount).rewardAmount
+      });
+
+    } catch (error) {
+      console.error('Invoice payment request error:', error);
+      res.status(500).json({ error: 'Failed to create invoice payment request' });
+    }
+  }
+);
+
+module.exports = router;
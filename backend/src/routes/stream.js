@@ -0,0 +1,135 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { param, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+// Import services and models
+const paymentIntentService = require('../services/paymentIntentService');
+const paymentStreamService = require('../services/paymentStreamService');
+const User = require('../models/User');
+const Business = require('../models/Business');
+const secretManager = require('../config/secrets');
+
+// Rate limiting for stream connections (each connection is long-lived)
+const streamLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // Limit reconnect storms
+  message: 'Too many stream connections, please try again later'
+});
+
+// Authentication middleware
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const secrets = await secretManager.initialize();
+    const decoded = jwt.verify(token, secrets.jwtSecret, {
+      algorithms: ['HS256'],
+      issuer: 'pizza-platform',
+      audience: 'user-api'
+    });
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(403).json({ error: 'Invalid or inactive user' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Stream JWT auth error:', error.message);
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * @route GET /api/stream/payments/:reference
+ * @desc Server-Sent Events stream of status changes for one payment request
+ *       (payment.snapshot, then payment.detected / confirmed / failed / expired / ...)
+ * @access Private (payment creator or owning business)
+ */
+router.get('/payments/:reference',
+  streamLimiter,
+  authenticateToken,
+  [
+    param('reference').isString().isLength({ min: 32, max: 44 }).withMessage('Invalid payment reference')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const intent = await paymentIntentService.getIntent(req.params.reference);
+      if (!intent) {
+        return res.status(404).json({ error: 'Payment request not found' });
+      }
+
+      const isCreator = intent.createdBy?.toString() === req.user._id.toString();
+      const isOwner = !isCreator && await Business.exists({ _id: intent.businessId, ownerId: req.user._id });
+      if (!isCreator && !isOwner) {
+        return res.status(403).json({ error: 'Not authorized to view this payment request' });
+      }
+
+      paymentStreamService.subscribeToReference(req, res, intent);
+
+    } catch (error) {
+      console.error('Payment stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to open payment stream' });
+      }
+    }
+  }
+);
+
+/**
+ * @route GET /api/stream/business/payments
+ * @desc Server-Sent Events stream of payment events for the user's businesses
+ * @access Private (business owner)
+ */
+router.get('/business/payments',
+  streamLimiter,
+  authenticateToken,
+  [
+    query('businessId').optional().isMongoId().withMessage('Valid business ID is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const filter = { ownerId: req.user._id };
+      if (req.query.businessId) {
+        filter._id = req.query.businessId;
+      }
+
+      const businesses = await Business.find(filter).select('_id');
+      if (businesses.length === 0) {
+        return res.status(404).json({ error: 'Business not found' });
+      }
+
+      paymentStreamService.subscribeToBusinesses(req, res, businesses.map(business => business._id.toString()));
+
+    } catch (error) {
+      console.error('Business payment stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to open business payment stream' });
+      }
+    }
+  }
+);
+
+module.exports = router;
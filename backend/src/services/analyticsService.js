@@ -408,6 +408,7 @@ class AnalyticsService {
     return {
       // Customer tier analysis
       customerTierBreakdown: this.getCustomerTierBreakdown(paymentTransactions),
+      loyaltyTierBreakdown: await this.getLoyaltyTierBreakdown(business._id),
       
       // Peak usage analysis
       peakHours: this.analyzePeakUsage(paymentTransactions),
@@ -548,6 +549,21 @@ class AnalyticsService {
     return breakdown;
   }
 
+  // Customers by their loyalty tier at the business (Slice / Pie / Pizzeria)
+  async getLoyaltyTierBreakdown(businessId) {
+    const breakdown = Object.fromEntries(User.LOYALTY_TIERS.map(tier => [tier, 0]));
+    const rows = await User.aggregate([
+      { $match: { 'payments.favoriteBusinesses.businessId': businessId } },
+      { $unwind: '$payments.favoriteBusinesses' },
+      { $match: { 'payments.favoriteBusinesses.businessId': businessId } },
+      { $group: { _id: { $ifNull: ['$payments.favoriteBusinesses.tier.name', User.LOYALTY_TIERS[0]] }, customers: { $sum: 1 } } }
+    ]);
+    rows.forEach(row => {
+      breakdown[row._id] = (breakdown[row._id] || 0) + row.customers;
+    });
+    return breakdown;
+  }
+
   analyzePeakUsage(transactions) {
     const hourlyBreakdown = {};
     transactions.forEach(tx => {
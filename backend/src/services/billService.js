@@ -0,0 +1,412 @@
+const winston = require('winston');
+const QRCode = require('qrcode');
+const Bill = require('../models/Bill');
+const Business = require('../models/Business');
+const paymentIntentService = require('./paymentIntentService');
+const SolanaPayService = require('./solanaPayService');
+const { paymentConfig, roundUSDC, validatePaymentAmount, calculateTip } = require('../config/payments');
+
+/**
+ * BillService - tips and split bills for the vendor payment page
+ *
+ * A bill holds the order subtotal and the customer's tip, split into N shares.
+ * Every share is its own Solana Pay QR backed by a PaymentIntent carrying the
+ * billId; intent transitions update the matching part and the combined bill status
+ * (open -> partially_paid -> paid).
+ */
+class BillService {
+  constructor(intentService = paymentIntentService, solanaPayService = new SolanaPayService()) {
+    this.intentService = intentService;
+    this.solanaPayService = solanaPayService;
+
+    // Intent status -> bill part status
+    this.partStatuses = {
+      detected: 'detected',
+      confirmed: 'paid',
+      expired: 'expired',
+      cancelled: 'cancelled',
+      failed: 'failed'
+    };
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/bills.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+
+    this.intentService.on('transition', event => {
+      this.handleTransition(event).catch(error => {
+        this.logger.error('Bill part update failed', {
+          reference: event.intent?.reference,
+          error: error.message
+        });
+      });
+    });
+  }
+
+  /**
+   * Split a bill total (and its tip) into cent-exact shares
+   * @param {number} total - Bill total in USDC including tip
+   * @param {number} tipAmount - Tip in USDC
+   * @param {number} splitCount - Number of shares
+   * @returns {Array} [{ amount, tipAmount }] - earlier shares absorb leftover cents
+   */
+  splitBill(total, tipAmount, splitCount) {
+    const divide = (cents) => Array.from({ length: splitCount }, (_, index) =>
+      Math.floor(cents / splitCount) + (index < cents % splitCount ? 1 : 0)
+    );
+
+    const amounts = divide(Math.round(total * 100));
+    const tips = divide(Math.round(tipAmount * 100));
+
+    return amounts.map((cents, index) => ({
+      amount: cents / 100,
+      tipAmount: tips[index] / 100
+    }));
+  }
+
+  /**
+   * Create a bill and issue one payment request per share
+   * @param {Object} billData - { businessId, createdBy, subtotal, tipPercent, splitCount }
+   * @returns {Object} { bill, qrCodes } - qrCodes[index] is the data URL for each share
+   */
+  async createBill(billData) {
+    const {
+      businessId,
+      createdBy = null,
+      subtotal,
+      tipPercent = 0,
+      splitCount = 1
+    } = billData;
+
+    const numericSubtotal = Number(subtotal);
+    if (!Number.isFinite(numericSubtotal) || numericSubtotal <= 0 || Math.round(numericSubtotal * 100) / 100 !== numericSubtotal) {
+      throw new Error('Subtotal must be a positive amount in cents');
+    }
+
+    if (!Number.isFinite(Number(tipPercent)) || tipPercent < 0 || tipPercent > paymentConfig.maxTipPercent) {
+      throw new Error(`Tip must be between 0% and ${paymentConfig.maxTipPercent}%`);
+    }
+
+    if (!Number.isInteger(splitCount) || splitCount < 1 || splitCount > paymentConfig.maxBillSplits) {
+      throw new Error(`Bill can be split into 1 to ${paymentConfig.maxBillSplits} payments`);
+    }
+
+    const tipAmount = calculateTip(numericSubtotal, tipPercent);
+    const total = roundUSDC(numericSubtotal + tipAmount);
+    const shares = this.splitBill(total, tipAmount, splitCount);
+
+    for (const share of shares) {
+      const amountCheck = validatePaymentAmount(share.amount);
+      if (!amountCheck.valid) {
+        throw new Error(`Each share must be valid: ${amountCheck.error}`);
+      }
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      throw new Error('Business not found');
+    }
+
+    if (!business.businessWallet?.publicKey) {
+      throw new Error('Business wallet not linked. Please connect your wallet in the dashboard settings.');
+    }
+
+    const bill = new Bill({
+      businessId,
+      createdBy,
+      subtotal: numericSubtotal,
+      tipPercent,
+      tipAmount,
+      total,
+      splitCount
+    });
+
+    const issued = [];
+    try {
+      for (const [index, share] of shares.entries()) {
+        issued.push(await this.issuePart(bill, business, index, share));
+      }
+    } catch (error) {
+      // Do not leave payable QR codes behind for a bill that was never saved
+      await Promise.all(issued.map(({ part }) =>
+        this.intentService.cancel(part.reference, { reason: 'Bill creation failed' }).catch(() => null)
+      ));
+      throw error;
+    }
+
+    bill.parts = issued.map(({ part }) => part);
+    await bill.save();
+
+    this.logger.info('Bill created', {
+      billId: bill._id,
+      businessId,
+      subtotal: numericSubtotal,
+      tipAmount,
+      total,
+      splitCount
+    });
+
+    return { bill, qrCodes: issued.map(({ qrCode }) => qrCode) };
+  }
+
+  /**
+   * Issue the Solana Pay request and PaymentIntent for one share
+   * @returns {Object} { part, qrCode }
+   */
+  async issuePart(bill, business, index, share) {
+    const paymentRequest = await this.solanaPayService.createPaymentRequest({
+      recipient: business.businessWallet.publicKey,
+      amount: share.amount,
+      splToken: this.solanaPayService.usdcMint.toString(), // USDC
+      label: business.businessName || 'Pizza Platform',
+      message: `Share ${index + 1} of ${bill.splitCount} - $${share.amount} USDC`,
+      memo: `Bill ${bill._id} - ${index + 1}/${bill.splitCount}`
+    });
+
+    if (!paymentRequest.success) {
+      throw new Error(paymentRequest.error || 'Failed to create payment request');
+    }
+
+    const intent = await this.intentService.createIntent({
+      reference: paymentRequest.referencePublicKey,
+      businessId: business._id,
+      amount: share.amount,
+      tipAmount: share.tipAmount,
+      createdBy: bill.createdBy,
+      paymentUrl: paymentRequest.paymentURL,
+      memo: paymentRequest.memo,
+      billId: bill._id
+    });
+
+    return {
+      part: {
+        index,
+        reference: intent.reference,
+        amount: share.amount,
+        tipAmount: share.tipAmount,
+        status: 'awaiting_payment',
+        paymentUrl: paymentRequest.paymentURL,
+        expiresAt: intent.expiresAt
+      },
+      qrCode: await QRCode.toDataURL(paymentRequest.paymentURL)
+    };
+  }
+
+  /**
+   * Replace an expired, cancelled or failed share with a fresh QR code
+   * @param {string} billId - Bill ID
+   * @param {number} index - Share index
+   * @returns {Object} { bill, qrCode }
+   */
+  async regeneratePart(billId, index) {
+    const bill = await Bill.findById(billId);
+    if (!bill) {
+      throw new Error('Bill not found');
+    }
+
+    if (!['open', 'partially_paid'].includes(bill.status)) {
+      throw new Error(`Bill is ${bill.status}`);
+    }
+
+    const part = bill.parts.find(p => p.index === index);
+    if (!part) {
+      throw new Error('Bill share not found');
+    }
+
+    if (!['expired', 'cancelled', 'failed'].includes(part.status)) {
+      throw new Error(`Bill share is ${part.status}`);
+    }
+
+    const business = await Business.findById(bill.businessId);
+    const { part: replacement, qrCode } = await this.issuePart(bill, business, index, {
+      amount: part.amount,
+      tipAmount: part.tipAmount
+    });
+
+    const updated = await Bill.findOneAndUpdate(
+      {
+        _id: bill._id,
+        parts: { $elemMatch: { index, reference: part.reference, status: part.status } }
+      },
+      {
+        $set: {
+          'parts.$.reference': replacement.reference,
+          'parts.$.status': 'awaiting_payment',
+          'parts.$.paymentUrl': replacement.paymentUrl,
+          'parts.$.expiresAt': replacement.expiresAt
+        },
+        $push: { 'parts.$.previousReferences': part.reference }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      await this.intentService.cancel(replacement.reference, { reason: 'Bill share changed concurrently' }).catch(() => null);
+      throw new Error('Bill share changed concurrently');
+    }
+
+    this.logger.info('Bill share reissued', {
+      billId: bill._id,
+      index,
+      previousReference: part.reference,
+      reference: replacement.reference
+    });
+
+    return { bill: updated, qrCode };
+  }
+
+  /**
+   * Apply a payment intent transition to its bill share
+   * @param {Object} event - { intent, from, to }
+   */
+  async handleTransition({ intent, to }) {
+    if (!intent?.billId || !this.partStatuses[to]) {
+      return null;
+    }
+
+    const { reference } = intent;
+
+    if (to !== 'confirmed') {
+      // Only the share's current QR drives its pending/expired state
+      return Bill.findOneAndUpdate(
+        { _id: intent.billId, parts: { $elemMatch: { reference, status: { $ne: 'paid' } } } },
+        { $set: { 'parts.$.status': this.partStatuses[to] } },
+        { new: true }
+      );
+    }
+
+    // Late payments to a replaced QR still settle the share
+    const bill = await Bill.findOneAndUpdate(
+      {
+        _id: intent.billId,
+        parts: {
+          $elemMatch: {
+            $or: [{ reference }, { previousReferences: reference }],
+            status: { $ne: 'paid' }
+          }
+        }
+      },
+      {
+        $set: {
+          'parts.$.status': 'paid',
+          'parts.$.signature': intent.signature,
+          'parts.$.transactionId': intent.transactionId,
+          'parts.$.paidAt': new Date()
+        },
+        $inc: { paidAmount: intent.amount }
+      },
+      { new: true }
+    );
+
+    if (!bill) {
+      this.logger.warn('Payment confirmed for an already paid bill share', {
+        billId: intent.billId.toString(),
+        reference
+      });
+      return null;
+    }
+
+    const fullyPaid = bill.isFullyPaid();
+    const update = { status: fullyPaid ? 'paid' : 'partially_paid' };
+    if (fullyPaid) {
+      update.paidAt = new Date();
+    }
+
+    const updated = await Bill.findOneAndUpdate(
+      { _id: bill._id, status: { $in: ['open', 'partially_paid'] } },
+      { $set: update },
+      { new: true }
+    );
+
+    this.logger.info(fullyPaid ? 'Bill fully paid' : 'Bill share paid', {
+      billId: bill._id,
+      reference,
+      paidAmount: bill.paidAmount,
+      total: bill.total
+    });
+
+    return updated || bill;
+  }
+
+  /**
+   * Cancel a bill and its unpaid payment requests (paid shares stay recorded)
+   * @param {string} billId - Bill ID
+   * @returns {Object} Updated Bill document
+   */
+  async cancelBill(billId) {
+    const bill = await Bill.findOneAndUpdate(
+      { _id: billId, status: { $in: ['open', 'partially_paid'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!bill) {
+      const existing = await Bill.findById(billId);
+      throw new Error(existing ? `Bill is already ${existing.status}` : 'Bill not found');
+    }
+
+    for (const part of bill.parts.filter(p => p.status === 'awaiting_payment')) {
+      try {
+        await this.intentService.cancel(part.reference, { reason: 'Bill cancelled' });
+      } catch (error) {
+        this.logger.warn('Bill share not cancelled', {
+          billId,
+          reference: part.reference,
+          error: error.message
+        });
+      }
+    }
+
+    this.logger.info('Bill cancelled', { billId, paidAmount: bill.paidAmount });
+
+    return bill;
+  }
+
+  /**
+   * Combined bill status returned to the vendor page
+   * @param {Object} bill - Bill document
+   * @returns {Object} Bill status payload
+   */
+  toStatus(bill) {
+    const paidCount = bill.parts.filter(part => part.status === 'paid').length;
+
+    return {
+      billId: bill._id.toString(),
+      status: bill.status,
+      fullyPaid: bill.status === 'paid',
+      subtotal: bill.subtotal,
+      tipPercent: bill.tipPercent,
+      tipAmount: bill.tipAmount,
+      total: bill.total,
+      paidAmount: roundUSDC(bill.paidAmount),
+      remainingAmount: roundUSDC(Math.max(0, bill.total - bill.paidAmount)),
+      splitCount: bill.splitCount,
+      paidCount,
+      parts: bill.parts.map(part => ({
+        index: part.index,
+        reference: part.reference,
+        amount: part.amount,
+        tipAmount: part.tipAmount,
+        status: part.status,
+        paymentUrl: part.paymentUrl,
+        expiresAt: part.expiresAt,
+        signature: part.signature || null,
+        paidAt: part.paidAt || null
+      }))
+    };
+  }
+}
+
+// Shared instance so bills follow the shared payment intent events
+module.exports = new BillService();
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const Business = require('../models/Business');
+const feeScheduleService = require('./feeScheduleService');
 // RampService removed - no longer needed for CN-only system
 
 /**
@@ -13,6 +14,7 @@ const Business = require('../models/Business');
 class BusinessTypeService {
   constructor() {
     // Unified fee structure for all CN businesses (NCN removed)
+    // Standard rates for display - charged rates come from the FeeSchedule
     this.feeStructure = {
       platformFeePercent: 0.01,       // 1% platform fee ($0.15 on $15)
       vaultContributionPercent: 0.013, // 1.3% vault contribution ($0.195 on $15)
@@ -140,23 +142,21 @@ class BusinessTypeService {
   }
   
   /**
-   * Calculate fees for CN business transaction
+   * Calculate fees for CN business transaction (rates from the current fee schedule)
    */
   calculateTransactionFees(transactionAmount = 15) {
     try {
-      const platformFee = transactionAmount * this.feeStructure.platformFeePercent;
-      const vaultContribution = transactionAmount * this.feeStructure.vaultContributionPercent;
-      const totalFees = platformFee + vaultContribution;
-      const merchantAmount = transactionAmount - totalFees;
+      const fees = feeScheduleService.calculateFees(transactionAmount, 0, { businessType: 'CN' });
       
       return {
         transactionAmount,
-        platformFee: Math.round(platformFee * 10000) / 10000,
-        vaultContribution: Math.round(vaultContribution * 10000) / 10000,
-        totalFees: Math.round(totalFees * 10000) / 10000,
-        merchantAmount: Math.round(merchantAmount * 10000) / 10000,
-        feePercentage: this.feeStructure.totalFeePercent * 100,
-        businessType: 'CN'
+        platformFee: fees.platformFee,
+        vaultContribution: fees.vaultContribution,
+        totalFees: fees.totalFees,
+        merchantAmount: fees.merchantAmount,
+        feePercentage: Math.round((fees.platformFeeRate + fees.vaultContributionRate) * 10000) / 100,
+        businessType: 'CN',
+        scheduleVersion: fees.scheduleVersion
       };
       
     } catch (error) {
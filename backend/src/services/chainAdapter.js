@@ -0,0 +1,208 @@
+const {
+  Connection,
+  PublicKey,
+  Transaction,
+  sendAndConfirmTransaction
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getMint
+} = require('@solana/spl-token');
+
+/**
+ * Chain Adapter - the single source of Solana access for every service
+ *
+ * Services take an adapter in their constructor (defaulting to the shared one) instead of
+ * building their own Connection. Every adapter exposes:
+ *   connection   - @solana/web3.js Connection, or a Connection-compatible stand-in
+ *   cluster      - 'devnet' | 'mainnet-beta' | 'localnet'
+ *   rpcEndpoint  - endpoint the connection talks to
+ *   usdcMint     - USDC mint PublicKey for the cluster (USDC_MINT overrides)
+ *   isSimulated  - true when no real network is involved
+ *   transferTokens({ from, to, mint, amount, signer, references }) - SPL transfer, resolves to the signature
+ *   transferTokensBatch({ from, transfers, mint, signer, references }) - several SPL transfers
+ *     ([{ to, amount }]) from one owner in a single transaction, resolves to the signature
+ *
+ * CHAIN_ADAPTER=solana (default) talks to SOLANA_RPC_ENDPOINT; CHAIN_ADAPTER=memory runs every
+ * service against one shared InMemoryLedger for offline development and demos.
+ */
+
+// Official USDC mints
+const USDC_MINTS = {
+  devnet: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+  'mainnet-beta': 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+};
+
+const detectCluster = (endpoint) => {
+  if (endpoint.includes('devnet')) return 'devnet';
+  if (/localhost|127\.0\.0\.1/.test(endpoint)) return 'localnet';
+  return 'mainnet-beta';
+};
+
+const resolveUsdcMint = (cluster) => new PublicKey(
+  process.env.USDC_MINT || (cluster === 'mainnet-beta' ? USDC_MINTS['mainnet-beta'] : USDC_MINTS.devnet)
+);
+
+/**
+ * Build one transaction of SPL transfers (UI units) from one owner to several recipients,
+ * creating each recipient's associated token account when needed. Reference keys are
+ * appended to every transfer so findReference / validateTransfer can locate them.
+ */
+const buildTokenBatchTransferTransaction = async ({ connection, from, transfers, mint, decimals, references = [], feePayer = from }) => {
+  const owner = new PublicKey(from);
+  const mintPublicKey = new PublicKey(mint);
+  const sourceTokenAccount = await getAssociatedTokenAddress(mintPublicKey, owner, true);
+
+  const transaction = new Transaction();
+  for (const { to, amount } of transfers) {
+    const recipient = new PublicKey(to);
+    const destinationTokenAccount = await getAssociatedTokenAddress(mintPublicKey, recipient, true);
+    const units = BigInt(Math.round(amount * Math.pow(10, decimals)));
+
+    const transfer = createTransferCheckedInstruction(
+      sourceTokenAccount,
+      mintPublicKey,
+      destinationTokenAccount,
+      owner,
+      units,
+      decimals
+    );
+    references.forEach(reference => {
+      transfer.keys.push({ pubkey: new PublicKey(reference), isSigner: false, isWritable: false });
+    });
+
+    transaction.add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        new PublicKey(feePayer),
+        destinationTokenAccount,
+        recipient,
+        mintPublicKey
+      ),
+      transfer
+    );
+  }
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.lastValidBlockHeight = lastValidBlockHeight;
+  transaction.feePayer = new PublicKey(feePayer);
+
+  return transaction;
+};
+
+/**
+ * Build an SPL transfer of `amount` (UI units) from one owner to another (see
+ * buildTokenBatchTransferTransaction)
+ */
+const buildTokenTransferTransaction = ({ to, amount, ...options }) =>
+  buildTokenBatchTransferTransaction({ ...options, transfers: [{ to, amount }] });
+
+class SolanaChainAdapter {
+  /**
+   * @param {Object} options - { endpoint, commitment, connection }
+   */
+  constructor(options = {}) {
+    this.rpcEndpoint = options.endpoint || process.env.SOLANA_RPC_ENDPOINT || 'https://api.devnet.solana.com';
+    this.connection = options.connection || new Connection(this.rpcEndpoint, options.commitment || 'confirmed');
+    this.cluster = detectCluster(this.rpcEndpoint);
+    this.usdcMint = resolveUsdcMint(this.cluster);
+    this.isSimulated = false;
+  }
+
+  /**
+   * Send an SPL token transfer signed by `signer` (the `from` owner)
+   * @returns {string} Transaction signature
+   */
+  async transferTokens({ from, to, mint, amount, signer, references = [] }) {
+    if (!signer) {
+      throw new Error('A signer keypair is required to transfer tokens');
+    }
+
+    const { decimals } = await getMint(this.connection, new PublicKey(mint));
+    const transaction = await buildTokenTransferTransaction({
+      connection: this.connection,
+      from,
+      to,
+      mint,
+      amount,
+      decimals,
+      references
+    });
+
+    return sendAndConfirmTransaction(this.connection, transaction, [signer]);
+  }
+
+  /**
+   * Send several SPL transfers from the `from` owner in one transaction - all land or none do
+   * @returns {string} Transaction signature
+   */
+  async transferTokensBatch({ from, transfers, mint, signer, references = [] }) {
+    if (!signer) {
+      throw new Error('A signer keypair is required to transfer tokens');
+    }
+
+    const { decimals } = await getMint(this.connection, new PublicKey(mint));
+    const transaction = await buildTokenBatchTransferTransaction({
+      connection: this.connection,
+      from,
+      transfers,
+      mint,
+      decimals,
+      references
+    });
+
+    return sendAndConfirmTransaction(this.connection, transaction, [signer]);
+  }
+}
+
+let sharedAdapter = null;
+
+/**
+ * Create a chain adapter
+ * @param {Object} options - { mode: 'solana' | 'memory', ...adapter options }
+ */
+function createChainAdapter(options = {}) {
+  const mode = options.mode || process.env.CHAIN_ADAPTER || 'solana';
+
+  if (mode === 'memory') {
+    // Required lazily - the ledger builds on the helpers above
+    const InMemoryLedger = require('./inMemoryLedger');
+    return InMemoryLedger.fromEnv(options);
+  }
+
+  if (mode !== 'solana') {
+    throw new Error(`Unknown CHAIN_ADAPTER "${mode}" (expected solana or memory)`);
+  }
+
+  return new SolanaChainAdapter(options);
+}
+
+/**
+ * Shared adapter used by services constructed without one
+ */
+function getChainAdapter() {
+  if (!sharedAdapter) {
+    sharedAdapter = createChainAdapter();
+  }
+  return sharedAdapter;
+}
+
+/**
+ * Replace the shared adapter (tests, demo bootstrapping)
+ */
+function setChainAdapter(adapter) {
+  sharedAdapter = adapter;
+  return adapter;
+}
+
+module.exports = {
+  SolanaChainAdapter,
+  createChainAdapter,
+  getChainAdapter,
+  setChainAdapter,
+  buildTokenTransferTransaction,
+  buildTokenBatchTransferTransaction,
+  USDC_MINTS
+};
@@ -1,4 +1,4 @@
-const { Connection, PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { PublicKey, Transaction, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { 
   TOKEN_PROGRAM_ID,
   getAssociatedTokenAddress,
@@ -8,30 +8,27 @@ const {
   getMint
 } = require('@solana/spl-token');
 const winston = require('winston');
+const { paymentConfig, roundUSDC, validatePaymentAmount, validateTipAmount } = require('../config/payments');
+const { getChainAdapter } = require('./chainAdapter');
+const feeScheduleService = require('./feeScheduleService');
 
 /**
  * Fee Distribution Service
  * Handles automatic fee distribution for the Pizza Platform:
- * - 1% platform fee to operational wallet
- * - 1.3% vault contribution for staking and rewards
+ * - Platform fee to operational wallet
+ * - Vault contribution for staking and rewards
+ * Rates come from the current FeeSchedule (see feeScheduleService.js).
  */
 class FeeDistributionService {
-  constructor() {
-    this.connection = new Connection(
-      process.env.SOLANA_RPC_ENDPOINT || 'https://api.devnet.solana.com',
-      'confirmed'
-    );
-    
-    // Check if we're on devnet or mainnet
-    const isDevnet = this.connection.rpcEndpoint.includes('devnet');
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   */
+  constructor(chain = getChainAdapter()) {
+    this.chain = chain;
+    this.connection = chain.connection;
     
-    // USDC mint for devnet/mainnet
-    this.usdcMint = process.env.USDC_MINT ? 
-      new PublicKey(process.env.USDC_MINT) : 
-      new PublicKey(isDevnet ? 
-        '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU' : // USDC devnet mint
-        'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'   // USDC mainnet mint
-      );
+    // USDC mint for the adapter's cluster (USDC_MINT overrides)
+    this.usdcMint = chain.usdcMint;
     
     // Platform wallets (these should be in environment variables)
     this.platformFeeWallet = process.env.PLATFORM_FEE_WALLET || 
@@ -40,13 +37,11 @@ class FeeDistributionService {
     this.vaultWallet = process.env.VAULT_WALLET || 
       '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM'; // Replace with actual vault wallet
     
-    // Fee percentages (in basis points for precision)
-    this.platformFeeBps = 100;  // 1% = 100 basis points
-    this.vaultFeeBps = 130;     // 1.3% = 130 basis points
-    this.totalFeeBps = 230;     // 2.3% total
+    // Versioned fee rates (shared cache)
+    this.feeScheduleService = feeScheduleService;
     
-    // Fixed transaction amount
-    this.fixedTransactionAmount = 15; // $15 USDC
+    // Default order total when callers do not supply one
+    this.defaultTransactionAmount = paymentConfig.defaultAmount;
     
     // Setup logging
     this.logger = winston.createLogger({
@@ -67,32 +62,45 @@ class FeeDistributionService {
 
   /**
    * Calculate fees for a payment
-   * @param {number} amount - Payment amount in USDC
-   * @param {string} businessType - 'CN' (Crypto Native) or 'NCN' (Non-Crypto Native)
+   * @param {number} amount - Payment amount in USDC (any order total within the configured limits)
+   * @param {string} businessType - Business type code used for type-level overrides ('CN')
+   * @param {number} tipAmount - Portion of the amount that is a tip (paid to the business fee-free)
+   * @param {Object} pricing - { business, businessId, businessCategory, scheduleVersion, pricedAt } -
+   *   pass the version and time a payment was quoted with to reproduce its split exactly
    * @returns {Object} Fee breakdown
    */
-  calculateFees(amount = this.fixedTransactionAmount, businessType = 'CN') {
-    // For CN businesses: 1% platform + 1.3% vault = 2.3% total
-    // For NCN businesses: 1.45% platform + 1.3% vault = 2.75% total  
-    const platformFeeRate = businessType === 'NCN' ? 0.0145 : 0.01;
-    const vaultFeeRate = 0.013; // 1.3% for both
+  calculateFees(amount = this.defaultTransactionAmount, businessType = 'CN', tipAmount = 0, pricing = {}) {
+    const amountCheck = validatePaymentAmount(amount);
+    if (!amountCheck.valid) {
+      throw new Error(amountCheck.error);
+    }
+    amount = amountCheck.amount;
+    
+    const tipCheck = validateTipAmount(tipAmount, amount);
+    if (!tipCheck.valid) {
+      throw new Error(tipCheck.error);
+    }
+    tipAmount = tipCheck.tipAmount;
     
-    const platformFee = amount * platformFeeRate;
-    const vaultFee = amount * vaultFeeRate;
-    const totalFees = platformFee + vaultFee;
-    const businessReceives = amount - totalFees;
+    // Fees apply to the order subtotal only - tips are passed through untouched
+    const fees = this.feeScheduleService.calculateFees(amount, tipAmount, { ...pricing, businessType });
     
     return {
       originalAmount: amount,
-      platformFee: platformFee,
-      vaultFee: vaultFee,
-      totalFees: totalFees,
-      businessReceives: businessReceives,
+      tipAmount: tipAmount,
+      feeBase: fees.feeBase,
+      platformFee: fees.platformFee,
+      vaultFee: fees.vaultContribution,
+      totalFees: fees.totalFees,
+      businessReceives: fees.merchantAmount,
       businessType: businessType,
+      scheduleVersion: fees.scheduleVersion,
+      feeSource: fees.source,
+      feeHoliday: fees.feeHoliday,
       feeBreakdown: {
-        platformFeePercent: (platformFeeRate * 100).toFixed(2) + '%',
-        vaultFeePercent: (vaultFeeRate * 100).toFixed(1) + '%',
-        totalFeePercent: ((platformFeeRate + vaultFeeRate) * 100).toFixed(1) + '%'
+        platformFeePercent: (fees.platformFeeRate * 100).toFixed(2) + '%',
+        vaultFeePercent: (fees.vaultContributionRate * 100).toFixed(1) + '%',
+        totalFeePercent: ((fees.platformFeeRate + fees.vaultContributionRate) * 100).toFixed(1) + '%'
       }
     };
   }
@@ -102,19 +110,21 @@ class FeeDistributionService {
    * @param {string} payerWallet - Wallet paying the fees (business wallet)
    * @param {number} amount - Original payment amount
    * @param {string} businessType - Business type ('CN' or 'NCN')
+   * @param {number} tipAmount - Tip included in the amount (no fees charged on it)
+   * @param {Object} pricing - Fee schedule context (see calculateFees)
    * @returns {Transaction} Unsigned transaction for fee distribution
    */
-  async createFeeDistributionTransaction(payerWallet, amount, businessType) {
+  async createFeeDistributionTransaction(payerWallet, amount, businessType, tipAmount = 0, pricing = {}) {
     try {
-      const fees = this.calculateFees(amount, businessType);
+      const fees = this.calculateFees(amount, businessType, tipAmount, pricing);
       const payer = new PublicKey(payerWallet);
       
       // Get mint info for USDC
       const mintInfo = await getMint(this.connection, this.usdcMint);
       
       // Convert fee amounts to token amounts (considering decimals)
-      const platformFeeAmount = BigInt(Math.floor(fees.platformFee * Math.pow(10, mintInfo.decimals)));
-      const vaultFeeAmount = BigInt(Math.floor(fees.vaultFee * Math.pow(10, mintInfo.decimals)));
+      const platformFeeAmount = BigInt(Math.round(fees.platformFee * Math.pow(10, mintInfo.decimals)));
+      const vaultFeeAmount = BigInt(Math.round(fees.vaultFee * Math.pow(10, mintInfo.decimals)));
       
       // Get associated token accounts
       const payerTokenAccount = await getAssociatedTokenAddress(this.usdcMint, payer);
@@ -215,23 +225,23 @@ class FeeDistributionService {
       businessWallet,
       businessId,
       businessType = 'CN',
-      amount = this.fixedTransactionAmount,
+      amount = this.defaultTransactionAmount,
+      tipAmount = 0,
       paymentReference
     } = paymentData;
     
     try {
-      // Calculate fees
-      const feeCalculation = this.calculateFees(amount, businessType);
-      
       // Create the main payment transaction (customer to business)
       const Business = require('../models/Business');
-      const Transaction = require('../models/Transaction');
       
       const business = await Business.findById(businessId);
       if (!business) {
         throw new Error('Business not found');
       }
       
+      // Calculate fees (business and category overrides apply)
+      const feeCalculation = this.calculateFees(amount, businessType, tipAmount, { business });
+      
       // Log the payment processing
       this.logger.info('Processing payment with fees', {
         customerWallet,
@@ -289,16 +299,20 @@ class FeeDistributionService {
         vaultBalance = 0;
       }
       
-      // Calculate daily/monthly contribution estimates
+      // Calculate daily/monthly contribution estimates from the real average order total
+      const averageTransactionAmount = await this.getAverageTransactionAmount();
+      const { vaultContributionRate, version } = this.feeScheduleService.getActiveSchedule();
       const dailyTransactionEstimate = 100; // Estimated transactions per day
-      const dailyVaultContribution = dailyTransactionEstimate * this.fixedTransactionAmount * 0.013;
+      const dailyVaultContribution = dailyTransactionEstimate * averageTransactionAmount * vaultContributionRate;
       const monthlyVaultContribution = dailyVaultContribution * 30;
       const yearlyVaultContribution = monthlyVaultContribution * 12;
       
       return {
         currentBalance: vaultBalance,
         vaultWallet: this.vaultWallet,
-        contributionRate: '1.3%',
+        contributionRate: (vaultContributionRate * 100).toFixed(1) + '%',
+        feeScheduleVersion: version,
+        averageTransactionAmount,
         estimates: {
           daily: dailyVaultContribution,
           monthly: monthlyVaultContribution,
@@ -315,6 +329,22 @@ class FeeDistributionService {
     }
   }
 
+  /**
+   * Average confirmed payment amount over the last 30 days
+   * @returns {number} Average order total in USDC (default amount when there is no history)
+   */
+  async getAverageTransactionAmount() {
+    const Transaction = require('../models/Transaction');
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    
+    const [result] = await Transaction.aggregate([
+      { $match: { type: 'payment', status: 'confirmed', createdAt: { $gte: since } } },
+      { $group: { _id: null, averageAmount: { $avg: '$amount' } } }
+    ]);
+    
+    return result?.averageAmount ? roundUSDC(result.averageAmount) : this.defaultTransactionAmount;
+  }
+
   /**
    * Get platform fee statistics
    * @returns {Object} Platform fee statistics
@@ -334,11 +364,15 @@ class FeeDistributionService {
         platformBalance = 0;
       }
       
+      const cnRates = this.feeScheduleService.resolveRates({ businessType: 'CN' });
+      const ncnRates = this.feeScheduleService.resolveRates({ businessType: 'NCN' });
+      
       return {
         currentBalance: platformBalance,
         platformWallet: this.platformFeeWallet,
-        cnFeeRate: '1.0%',
-        ncnFeeRate: '1.45%',
+        cnFeeRate: (cnRates.platformFeeRate * 100).toFixed(2) + '%',
+        ncnFeeRate: (ncnRates.platformFeeRate * 100).toFixed(2) + '%',
+        feeScheduleVersion: cnRates.scheduleVersion,
         lastUpdated: new Date()
       };
       
@@ -0,0 +1,386 @@
+const winston = require('winston');
+const FeeSchedule = require('../models/FeeSchedule');
+const { paymentConfig, roundUSDC } = require('../config/payments');
+
+/**
+ * FeeScheduleService - resolves the platform fee and vault contribution rates
+ *
+ * Every fee calculation (QR previews, Transaction Request splits, payment validation,
+ * Transaction records) goes through `calculateFees`, so there is one place rates come from.
+ * Schedules are cached in memory and refreshed periodically, which keeps fee math
+ * synchronous. Precedence: fee holiday > business override > category override >
+ * business type override > schedule base rates.
+ *
+ * Version 0 is the built-in schedule from config/payments.js - used until the first
+ * schedule is stored and seeded as version 1 on startup.
+ */
+class FeeScheduleService {
+  constructor() {
+    this.schedules = [];
+    this.lastLoadedAt = null;
+    this.refreshInterval = null;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/fee-schedules.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Built-in schedule (version 0) from the payment configuration
+   * @returns {Object} Schedule
+   */
+  getBuiltInSchedule() {
+    return {
+      version: 0,
+      name: 'Built-in defaults',
+      effectiveFrom: new Date(0),
+      platformFeeRate: paymentConfig.platformFeeRate,
+      vaultContributionRate: paymentConfig.vaultContributionRate,
+      overrides: [
+        { scope: 'businessType', value: 'NCN', platformFeeRate: paymentConfig.ncnPlatformFeeRate }
+      ],
+      feeHolidays: []
+    };
+  }
+
+  /**
+   * Load schedules, seed version 1 on an empty collection and keep the cache fresh
+   */
+  async initialize() {
+    await this.refresh();
+
+    if (this.schedules.length === 0) {
+      const { version, ...builtIn } = this.getBuiltInSchedule();
+      try {
+        await FeeSchedule.create({
+          ...builtIn,
+          version: 1,
+          name: 'Initial fee schedule',
+          basedOnVersion: version
+        });
+        this.logger.info('Seeded initial fee schedule from payment configuration');
+      } catch (error) {
+        // Another instance seeded it first
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+      await this.refresh();
+    }
+
+    this.startRefresh();
+    return this.getActiveSchedule();
+  }
+
+  /**
+   * Reload every schedule version into the cache
+   */
+  async refresh() {
+    this.schedules = await FeeSchedule.find({}).sort({ version: 1 }).lean();
+    this.lastLoadedAt = new Date();
+    return this.schedules;
+  }
+
+  /**
+   * All stored versions, newest first
+   */
+  getSchedules() {
+    return [...this.schedules].reverse();
+  }
+
+  /**
+   * Exact schedule version (used to re-price a payment under the version it was quoted with)
+   * @param {number} version - Schedule version
+   * @returns {Object} Schedule
+   */
+  getScheduleVersion(version) {
+    if (Number(version) === 0) {
+      return this.getBuiltInSchedule();
+    }
+
+    const schedule = this.schedules.find(s => s.version === Number(version));
+    if (!schedule) {
+      throw new Error(`Fee schedule version ${version} not found`);
+    }
+    return schedule;
+  }
+
+  /**
+   * Schedule in force at a point in time
+   * @param {Date} at - Pricing time (defaults to now)
+   * @returns {Object} Schedule
+   */
+  getActiveSchedule(at = new Date()) {
+    const time = new Date(at).getTime();
+    let active = null;
+
+    for (const schedule of this.schedules) {
+      if (schedule.cancelledAt || new Date(schedule.effectiveFrom).getTime() > time) {
+        continue;
+      }
+      // Latest effective date wins; same date -> highest version
+      if (!active || new Date(schedule.effectiveFrom) >= new Date(active.effectiveFrom)) {
+        active = schedule;
+      }
+    }
+
+    return active || this.getBuiltInSchedule();
+  }
+
+  /**
+   * Schedules published but not yet in force
+   */
+  getUpcomingSchedules(at = new Date()) {
+    return this.schedules.filter(s => !s.cancelledAt && new Date(s.effectiveFrom) > new Date(at));
+  }
+
+  /**
+   * Resolve the rates charged to a business
+   * @param {Object} context - { business, businessId, businessCategory, businessType, scheduleVersion, pricedAt }
+   * @returns {Object} { platformFeeRate, vaultContributionRate, scheduleVersion, source, feeHoliday }
+   */
+  resolveRates(context = {}) {
+    const { business = null, scheduleVersion = null, pricedAt = new Date() } = context;
+    const businessId = (context.businessId || business?._id)?.toString();
+    const businessCategory = context.businessCategory || business?.businessCategory;
+    const businessType = context.businessType || business?.businessType || 'CN';
+
+    const schedule = scheduleVersion != null ?
+      this.getScheduleVersion(scheduleVersion) :
+      this.getActiveSchedule(pricedAt);
+
+    let platformFeeRate = schedule.platformFeeRate;
+    let vaultContributionRate = schedule.vaultContributionRate;
+    let source = 'base';
+
+    const matches = (scope, values) => {
+      if (scope === 'all') return true;
+      if (scope === 'business') return !!businessId && values.includes(businessId);
+      if (scope === 'category') return !!businessCategory && values.includes(businessCategory);
+      if (scope === 'businessType') return values.includes(businessType);
+      return false;
+    };
+
+    // Most specific override applies, rate by rate - a rate an override leaves out comes
+    // from the next override down
+    for (const scope of ['businessType', 'category', 'business']) {
+      const override = (schedule.overrides || []).find(o => o.scope === scope && matches(scope, [o.value]));
+      if (override) {
+        platformFeeRate = override.platformFeeRate ?? platformFeeRate;
+        vaultContributionRate = override.vaultContributionRate ?? vaultContributionRate;
+        source = scope;
+      }
+    }
+
+    // Fee holidays are time-bound promotions within the schedule
+    const time = new Date(pricedAt).getTime();
+    const feeHoliday = (schedule.feeHolidays || []).find(holiday =>
+      new Date(holiday.startsAt).getTime() <= time &&
+      new Date(holiday.endsAt).getTime() > time &&
+      matches(holiday.scope || 'all', holiday.values || [])
+    );
+
+    if (feeHoliday) {
+      platformFeeRate = feeHoliday.platformFeeRate ?? 0;
+      vaultContributionRate = feeHoliday.vaultContributionRate ?? vaultContributionRate;
+      source = 'holiday';
+    }
+
+    return {
+      platformFeeRate,
+      vaultContributionRate,
+      scheduleVersion: schedule.version,
+      source,
+      feeHoliday: feeHoliday ? feeHoliday.name : null
+    };
+  }
+
+  /**
+   * Split an order total into platform fee, vault contribution and merchant amount
+   * @param {number} amount - Order total in USDC (validated by the caller)
+   * @param {number} tipAmount - Tip included in the amount (never charged fees)
+   * @param {Object} context - See resolveRates
+   * @returns {Object} Fee breakdown with the schedule version it was priced under
+   */
+  calculateFees(amount, tipAmount = 0, context = {}) {
+    const rates = this.resolveRates(context);
+    const feeBase = roundUSDC(amount - tipAmount);
+    const platformFee = roundUSDC(feeBase * rates.platformFeeRate);
+    const vaultContribution = roundUSDC(feeBase * rates.vaultContributionRate);
+    const totalFees = roundUSDC(platformFee + vaultContribution);
+
+    return {
+      transactionAmount: amount,
+      tipAmount,
+      feeBase,
+      platformFee,
+      vaultContribution,
+      totalFees,
+      merchantAmount: roundUSDC(amount - totalFees),
+      ...rates
+    };
+  }
+
+  /**
+   * Publish a new schedule version
+   * Fields left out are copied from the schedule in force (or `basedOnVersion`).
+   * @param {Object} data - Schedule fields
+   * @param {string} adminId - Admin publishing the schedule
+   * @returns {Object} Created FeeSchedule document
+   */
+  async createSchedule(data, adminId = null) {
+    const effectiveFrom = data.effectiveFrom ? new Date(data.effectiveFrom) : new Date();
+
+    // Transactions already priced must keep their rates
+    if (effectiveFrom.getTime() < Date.now() - 60 * 1000) {
+      throw new Error('Fee schedules cannot take effect in the past');
+    }
+
+    await this.refresh();
+    const base = data.basedOnVersion != null ?
+      this.getScheduleVersion(data.basedOnVersion) :
+      this.getActiveSchedule(effectiveFrom);
+
+    const schedule = {
+      name: data.name,
+      notes: data.notes,
+      effectiveFrom,
+      platformFeeRate: data.platformFeeRate ?? base.platformFeeRate,
+      vaultContributionRate: data.vaultContributionRate ?? base.vaultContributionRate,
+      overrides: data.overrides ?? base.overrides ?? [],
+      feeHolidays: data.feeHolidays ?? base.feeHolidays ?? [],
+      basedOnVersion: base.version,
+      createdBy: adminId
+    };
+
+    this.validateSchedule(schedule);
+
+    const latest = this.schedules[this.schedules.length - 1];
+    schedule.version = (latest?.version || 0) + 1;
+
+    let created;
+    try {
+      created = await FeeSchedule.create(schedule);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Fee schedule was updated concurrently, please retry');
+      }
+      throw error;
+    }
+
+    await this.refresh();
+
+    this.logger.info('Fee schedule published', {
+      version: created.version,
+      basedOnVersion: created.basedOnVersion,
+      effectiveFrom: created.effectiveFrom,
+      platformFeeRate: created.platformFeeRate,
+      vaultContributionRate: created.vaultContributionRate,
+      overrides: created.overrides.length,
+      feeHolidays: created.feeHolidays.length,
+      createdBy: adminId
+    });
+
+    return created;
+  }
+
+  /**
+   * Cross-field checks the schema cannot express
+   * @param {Object} schedule - Schedule fields
+   */
+  validateSchedule(schedule) {
+    const totals = [[schedule.platformFeeRate, schedule.vaultContributionRate]];
+
+    for (const override of schedule.overrides) {
+      if (!FeeSchedule.OVERRIDE_SCOPES.includes(override.scope)) {
+        throw new Error(`Unknown override scope "${override.scope}"`);
+      }
+      totals.push([
+        override.platformFeeRate ?? schedule.platformFeeRate,
+        override.vaultContributionRate ?? schedule.vaultContributionRate
+      ]);
+    }
+
+    for (const holiday of schedule.feeHolidays) {
+      if (!(new Date(holiday.startsAt) < new Date(holiday.endsAt))) {
+        throw new Error(`Fee holiday "${holiday.name}" must end after it starts`);
+      }
+      totals.push([holiday.platformFeeRate ?? 0, holiday.vaultContributionRate ?? schedule.vaultContributionRate]);
+    }
+
+    if (totals.some(([platform, vault]) => platform + vault >= 1)) {
+      throw new Error('Total fees must be less than 100% of the fee base');
+    }
+  }
+
+  /**
+   * Cancel a schedule that has not taken effect yet
+   * @param {number} version - Schedule version
+   * @param {string} adminId - Admin cancelling the schedule
+   * @param {string} reason - Cancellation reason
+   */
+  async cancelSchedule(version, adminId = null, reason = null) {
+    const schedule = await FeeSchedule.findOne({ version });
+    if (!schedule) {
+      throw new Error(`Fee schedule version ${version} not found`);
+    }
+
+    if (schedule.cancelledAt) {
+      throw new Error('Fee schedule is already cancelled');
+    }
+
+    if (schedule.isEffectiveAt()) {
+      throw new Error('Fee schedule is already in effect - publish a new version instead');
+    }
+
+    schedule.cancelledAt = new Date();
+    schedule.cancelledBy = adminId;
+    schedule.cancelReason = reason;
+    await schedule.save();
+    await this.refresh();
+
+    this.logger.info('Fee schedule cancelled', { version, cancelledBy: adminId, reason });
+
+    return schedule;
+  }
+
+  /**
+   * Periodically reload schedules so every instance picks up admin changes
+   * @param {number} intervalMs - Refresh interval
+   */
+  startRefresh(intervalMs = 60 * 1000) {
+    if (this.refreshInterval) {
+      return;
+    }
+
+    this.refreshInterval = setInterval(() => {
+      this.refresh().catch(error => {
+        this.logger.error('Fee schedule refresh failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.refreshInterval.unref();
+  }
+
+  stopRefresh() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+}
+
+// Shared instance so every service prices from the same cached schedules
+module.exports = new FeeScheduleService();
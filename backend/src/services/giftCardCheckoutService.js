@@ -0,0 +1,488 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const GiftCard = require('../models/GiftCard');
+const GiftCardRedemption = require('../models/GiftCardRedemption');
+const Business = require('../models/Business');
+const Transaction = require('../models/Transaction');
+const paymentIntentService = require('./paymentIntentService');
+const VaultService = require('./vaultService');
+const ledgerService = require('./ledgerService');
+const { getChainAdapter } = require('./chainAdapter');
+const { paymentConfig, giftCardConfig, roundUSDC, pizzaToUSDC, usdcToPizza } = require('../config/payments');
+
+// Card statuses with a balance the owner can spend
+const SPENDABLE_STATUSES = ['claimed', 'partially_used'];
+
+/**
+ * GiftCardCheckoutService - gift card balances applied toward an order
+ *
+ * Checkout draws the customer's cards down in the order given (each card covers as much
+ * of the order as its balance is worth, at the $PIZZA SPL reward rate) and only the rest
+ * is charged in USDC through Solana Pay. Draw-downs are held against the payment reference
+ * and follow the PaymentIntent: captured when it is confirmed, released back onto the
+ * cards when it expires, is cancelled or fails. A late payment on an expired intent takes
+ * the balances again. Each captured draw-down posts the redemption to the ledger and
+ * reimburses the merchant from the vault's gift card allocation, retried by the sweep
+ * until the vault can fund it.
+ */
+class GiftCardCheckoutService {
+  /**
+   * @param {Object} intentService - PaymentIntentService whose events drive captures and releases
+   * @param {Object} config - Cards per order and reimbursement sweep interval
+   */
+  constructor(intentService = paymentIntentService, config = giftCardConfig) {
+    this.intentService = intentService;
+    this.config = config;
+    this.vaultService = new VaultService(getChainAdapter());
+    this.sweepInterval = null;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/gift-card-checkout.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+
+    this.intentService.on('status:confirmed', event => {
+      this.captureDrawdowns(event.intent.reference, { signature: event.intent.signature }).catch(error => {
+        this.logger.error('Gift card capture failed', { reference: event.intent.reference, error: error.message });
+      });
+    });
+
+    ['expired', 'cancelled', 'failed'].forEach(status => {
+      this.intentService.on(`status:${status}`, event => {
+        this.releaseDrawdowns(event.intent.reference, `Payment ${status}`).catch(error => {
+          this.logger.error('Gift card release failed', { reference: event.intent.reference, error: error.message });
+        });
+      });
+    });
+  }
+
+  generateRedemptionId() {
+    return `gcr_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  // Reference for an order the gift cards paid in full (there is no Solana Pay payment)
+  generateOrderReference() {
+    return `gco_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * Work out how much of an order the customer's cards cover
+   * Tips are always paid in USDC. When a USDC payment is still needed it is kept at the
+   * minimum order amount or above, leaving the difference on the cards.
+   * @param {Object} user - Customer spending the cards
+   * @param {Object} business - Business document the order is with
+   * @param {Array<string>} cardIds - Cards to draw down, in order
+   * @param {Object} order - { amount (subtotal in USDC), tipAmount, now }
+   * @returns {Object} { drawdowns: [{ card, amount, usdcAmount }], applied, remaining }
+   */
+  async planDrawdowns(user, business, cardIds, { amount, tipAmount = 0, now = new Date() }) {
+    const uniqueIds = [...new Set(cardIds)];
+    if (uniqueIds.length > this.config.maxCardsPerOrder) {
+      throw new Error(`At most ${this.config.maxCardsPerOrder} gift cards can be used per order`);
+    }
+
+    // Cards must outlast the payment window so a held balance is always settled before expiry
+    const cards = await GiftCard.find({
+      cardId: { $in: uniqueIds },
+      ownerUserId: user._id,
+      status: { $in: SPENDABLE_STATUSES },
+      expiresAt: { $gt: new Date(now.getTime() + paymentConfig.intentTtlMinutes * 60 * 1000) }
+    });
+    const byId = new Map(cards.map(card => [card.cardId, card]));
+
+    for (const cardId of uniqueIds) {
+      const card = byId.get(cardId);
+      if (!card) {
+        throw new Error(`Gift card ${cardId} is not available`);
+      }
+      if (card.businessId.toString() !== business._id.toString()) {
+        throw new Error(`Gift card ${cardId} can only be used at the business that issued it`);
+      }
+    }
+
+    const totalValue = roundUSDC(uniqueIds.reduce((sum, cardId) => sum + pizzaToUSDC(byId.get(cardId).balance), 0));
+    let applicable = Math.min(totalValue, amount);
+    if ((applicable < amount || tipAmount > 0) && amount - applicable < paymentConfig.minAmount) {
+      applicable = Math.max(0, amount - paymentConfig.minAmount);
+    }
+    applicable = roundUSDC(applicable);
+
+    const drawdowns = [];
+    let left = applicable;
+    for (const cardId of uniqueIds) {
+      if (left <= 0) break;
+
+      const card = byId.get(cardId);
+      const cardValue = pizzaToUSDC(card.balance);
+      const usdcAmount = roundUSDC(Math.min(cardValue, left));
+      if (usdcAmount <= 0) continue;
+
+      drawdowns.push({
+        card,
+        usdcAmount,
+        // Spending the whole card takes its exact balance so no dust is left behind
+        amount: usdcAmount === cardValue ? card.balance : Math.min(usdcToPizza(usdcAmount), card.balance)
+      });
+      left = roundUSDC(left - usdcAmount);
+    }
+
+    return {
+      drawdowns,
+      applied: applicable,
+      remaining: roundUSDC(amount - applicable + tipAmount)
+    };
+  }
+
+  /**
+   * Take a balance off a card (conditional on the balance read, so concurrent spends can't overdraw)
+   * @returns {boolean} Whether the balance was taken
+   */
+  async takeBalance(card, amount, redemptionId, now) {
+    const balance = roundUSDC(card.balance - amount);
+    if (balance < 0) {
+      return false;
+    }
+
+    const status = balance === 0 ? 'redeemed' : 'partially_used';
+    const result = await GiftCard.updateOne(
+      { _id: card._id, balance: card.balance, status: { $in: SPENDABLE_STATUSES } },
+      {
+        $set: { balance, status, ...(balance === 0 ? { redeemedAt: now } : {}) },
+        $push: { history: { status, at: now, note: redemptionId } }
+      }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Put a released draw-down back onto its card
+   */
+  async restoreBalance(redemption, now) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const card = await GiftCard.findOne({ cardId: redemption.cardId });
+      if (!card) {
+        return false;
+      }
+
+      const balance = roundUSDC(card.balance + redemption.amount);
+      const status = balance >= card.value ? 'claimed' : 'partially_used';
+      const result = await GiftCard.updateOne(
+        { _id: card._id, balance: card.balance, status: { $in: ['partially_used', 'redeemed'] } },
+        {
+          $set: { balance, status },
+          $unset: { redeemedAt: 1 },
+          $push: { history: { status, at: now, note: `${redemption.redemptionId} released` } }
+        }
+      );
+      if (result.modifiedCount === 1) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Hold planned draw-downs against a payment reference
+   * If any card changed since planning, the balances already taken are put back.
+   * @param {Object} plan - From planDrawdowns
+   * @param {Object} holdData - { reference, user, now }
+   * @returns {Array<Object>} GiftCardRedemption documents
+   */
+  async holdDrawdowns(plan, { reference, user, now = new Date() }) {
+    const redemptions = [];
+
+    for (const drawdown of plan.drawdowns) {
+      const redemptionId = this.generateRedemptionId();
+      const taken = await this.takeBalance(drawdown.card, drawdown.amount, redemptionId, now);
+
+      if (!taken) {
+        await this.releaseDrawdowns(reference, 'Gift card balance changed');
+        throw new Error('Gift card balance changed - please try again');
+      }
+
+      redemptions.push(await GiftCardRedemption.create({
+        redemptionId,
+        cardId: drawdown.card.cardId,
+        businessId: drawdown.card.businessId,
+        userId: user._id,
+        type: 'checkout',
+        paymentReference: reference,
+        amount: drawdown.amount,
+        usdcAmount: drawdown.usdcAmount,
+        balanceBefore: drawdown.card.balance,
+        balanceAfter: roundUSDC(drawdown.card.balance - drawdown.amount),
+        status: 'held',
+        heldAt: now
+      }));
+    }
+
+    this.logger.info('Gift card draw-downs held', {
+      reference,
+      applied: plan.applied,
+      redemptions: redemptions.map(redemption => redemption.redemptionId)
+    });
+
+    return redemptions;
+  }
+
+  /**
+   * Capture a reference's held draw-downs once its payment is confirmed
+   * @param {string} reference - Payment reference (or gift-card-only order reference)
+   * @param {Object} options - { signature, now }
+   * @returns {Array<Object>} Captured GiftCardRedemption documents
+   */
+  async captureDrawdowns(reference, { signature = null, now = new Date() } = {}) {
+    const redemptions = await GiftCardRedemption.find({
+      paymentReference: reference,
+      type: 'checkout',
+      status: { $in: ['held', 'released'] }
+    });
+
+    const captured = [];
+    for (const redemption of redemptions) {
+      // A late payment on an expired intent needs the released balance back
+      if (redemption.status === 'released') {
+        const card = await GiftCard.findOne({ cardId: redemption.cardId });
+        if (!card || !SPENDABLE_STATUSES.includes(card.status) || card.expiresAt <= now ||
+            !(await this.takeBalance(card, redemption.amount, redemption.redemptionId, now))) {
+          this.logger.error('Released gift card balance no longer covers a late payment', {
+            reference,
+            redemptionId: redemption.redemptionId,
+            cardId: redemption.cardId,
+            usdcAmount: redemption.usdcAmount
+          });
+          continue;
+        }
+      }
+
+      const updated = await GiftCardRedemption.findOneAndUpdate(
+        { _id: redemption._id, status: redemption.status },
+        {
+          $set: { status: 'captured', capturedAt: now, ...(signature ? { signature } : {}) },
+          $unset: { releasedAt: 1, releaseReason: 1 }
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      captured.push(updated);
+      await this.reimburseMerchant(updated);
+    }
+
+    if (captured.length > 0) {
+      this.logger.info('Gift card draw-downs captured', { reference, captured: captured.length });
+    }
+
+    return captured;
+  }
+
+  /**
+   * Release a reference's held draw-downs back onto the cards
+   * @param {string} reference - Payment reference
+   * @param {string} reason - Why the payment did not go through
+   * @returns {number} Draw-downs released
+   */
+  async releaseDrawdowns(reference, reason, now = new Date()) {
+    const held = await GiftCardRedemption.find({ paymentReference: reference, type: 'checkout', status: 'held' });
+
+    let released = 0;
+    for (const redemption of held) {
+      const updated = await GiftCardRedemption.findOneAndUpdate(
+        { _id: redemption._id, status: 'held' },
+        { $set: { status: 'released', releasedAt: now, releaseReason: reason } },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      if (!(await this.restoreBalance(updated, now))) {
+        this.logger.error('Gift card balance could not be restored', {
+          reference,
+          redemptionId: updated.redemptionId,
+          cardId: updated.cardId,
+          amount: updated.amount
+        });
+        continue;
+      }
+      released++;
+    }
+
+    if (released > 0) {
+      this.logger.info('Gift card draw-downs released', { reference, released, reason });
+    }
+
+    return released;
+  }
+
+  /**
+   * Post a captured draw-down and reimburse the merchant from the vault
+   * Both postings are keyed on the redemption ID, so retries never double-post.
+   * @param {Object} redemption - Captured GiftCardRedemption document
+   * @returns {boolean} Whether the merchant has been reimbursed
+   */
+  async reimburseMerchant(redemption) {
+    try {
+      await ledgerService.recordGiftCardRedemption({
+        businessId: redemption.businessId,
+        cardId: redemption.cardId,
+        amount: redemption.amount,
+        redemptionId: redemption.redemptionId,
+        userId: redemption.userId,
+        signature: redemption.signature
+      });
+
+      const business = await Business.findById(redemption.businessId).select('settlement.walletAddress');
+      const funding = await this.vaultService.fundGiftCardRedemption(
+        redemption.usdcAmount,
+        business?.settlement?.walletAddress || redemption.businessId.toString(),
+        redemption.redemptionId
+      );
+
+      await GiftCardRedemption.updateOne(
+        { _id: redemption._id },
+        { $set: { reimbursedAt: new Date(), fundingEntryId: funding.entryId }, $unset: { reimbursementError: 1 } }
+      );
+      return true;
+
+    } catch (error) {
+      this.logger.warn('Gift card reimbursement deferred', { redemptionId: redemption.redemptionId, error: error.message });
+      await GiftCardRedemption.updateOne(
+        { _id: redemption._id },
+        { $set: { reimbursementError: error.message } }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Retry reimbursements the vault could not fund yet
+   * @returns {Object} { attempted, reimbursed }
+   */
+  async reimburseOutstanding(limit = 100) {
+    const outstanding = await GiftCardRedemption.find({
+      type: 'checkout',
+      status: 'captured',
+      reimbursedAt: null
+    }).sort({ capturedAt: 1 }).limit(limit);
+
+    let reimbursed = 0;
+    for (const redemption of outstanding) {
+      if (await this.reimburseMerchant(redemption)) {
+        reimbursed++;
+      }
+    }
+
+    return { attempted: outstanding.length, reimbursed };
+  }
+
+  /**
+   * Pay an order entirely with gift cards - draw-downs are captured straight away and the
+   * sale is recorded as a confirmed payment (no fees) so it shows in the merchant's
+   * history, settlements and ledger like any other order
+   * @param {Object} plan - From planDrawdowns (remaining must be 0)
+   * @param {Object} user - Customer spending the cards
+   * @param {Object} business - Business document the order is with
+   * @returns {Object} { reference, redemptions, transaction }
+   */
+  async payInFull(plan, user, business, now = new Date()) {
+    if (plan.remaining > 0) {
+      throw new Error('Gift cards do not cover the order');
+    }
+
+    const reference = this.generateOrderReference();
+    await this.holdDrawdowns(plan, { reference, user, now });
+    const redemptions = await this.captureDrawdowns(reference, { now });
+
+    const transaction = await Transaction.create({
+      signature: reference,
+      userId: user._id,
+      walletAddress: user.wallet?.address || plan.drawdowns[0].card.ownerWallet,
+      businessId: business._id,
+      type: 'payment',
+      status: 'confirmed',
+      amount: plan.applied,
+      giftCardAmount: plan.applied,
+      paymentReference: reference,
+      fees: { platformFee: 0, vaultContribution: 0, totalFees: 0, networkFee: 0 },
+      settlement: { netAmount: plan.applied },
+      completedAt: now
+    });
+
+    try {
+      await ledgerService.recordPayment(transaction);
+    } catch (error) {
+      this.logger.error('Ledger posting failed for gift card order', {
+        reference,
+        transactionId: transaction._id,
+        error: error.message
+      });
+    }
+
+    this.logger.info('Order paid in full with gift cards', {
+      reference,
+      businessId: business._id,
+      amount: plan.applied,
+      transactionId: transaction._id
+    });
+
+    return { reference, redemptions, transaction };
+  }
+
+  /**
+   * A business's gift card draw-downs, newest first
+   * @param {Object} options - { status, limit, offset }
+   */
+  async listBusinessRedemptions(businessId, { status, limit = 50, offset = 0 } = {}) {
+    const query = { businessId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [redemptions, total] = await Promise.all([
+      GiftCardRedemption.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      GiftCardRedemption.countDocuments(query)
+    ]);
+
+    return { redemptions, total, limit, offset };
+  }
+
+  /**
+   * Start periodic reimbursement retries
+   * @param {number} intervalMs - Sweep interval
+   */
+  startSweep(intervalMs = this.config.reimbursementIntervalMs) {
+    if (this.sweepInterval) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => {
+      this.reimburseOutstanding().catch(error => {
+        this.logger.error('Gift card reimbursement sweep failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.sweepInterval.unref();
+  }
+
+  stopSweep() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+}
+
+// Shared instance so intent events are handled once
+module.exports = new GiftCardCheckoutService();
@@ -2,35 +2,58 @@
  * GiftCardService - NFT-Based Gift Card Management
  * 
  * Handles:
+ * - Gift card campaigns: batches minted against a per-business monthly quota (100 cards)
  * - NFT gift card minting (5 $PIZZA SPL, $0.50 minting cost)
+ * - Card lifecycle: minted -> assigned -> claimed -> partially_used/redeemed, or expired -> reverted
  * - 30-day expiry with treasury reversion for unused cards
- * - 50% usage rate tracking (50% redeemed, 50% unused)
+ * - Campaign-level analytics (redemption rate, value redeemed and reverted)
  * - Merchant-funded minting ($600/merchant, $300 net)
  */
 
-const { Connection, PublicKey, Keypair, Transaction } = require('@solana/web3.js');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PublicKey, Keypair, Transaction } = require('@solana/web3.js');
 const { Token, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 // Metaplex dependency disabled for demo - install with: npm install @metaplex-foundation/js
 // const { Metaplex, keypairIdentity, bundlrStorage } = require('@metaplex-foundation/js');
+const QRCode = require('qrcode');
 const secretManager = require('../config/secrets');
+const { giftCardConfig } = require('../config/payments');
+const { getChainAdapter } = require('./chainAdapter');
+const ledgerService = require('./ledgerService');
+const GiftCard = require('../models/GiftCard');
+const GiftCardCampaign = require('../models/GiftCardCampaign');
+const GiftCardRedemption = require('../models/GiftCardRedemption');
+const User = require('../models/User');
+const { renderQrCardSheetPdf } = require('../utils/pdfDocument');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class GiftCardService {
-  constructor() {
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   * @param {Object} config - Card value, minting cost, expiry and monthly quota
+   */
+  constructor(chain = getChainAdapter(), config = giftCardConfig) {
+    this.chain = chain;
     this.connection = null;
     this.metaplex = null;
-    this.giftCardValue = 5; // 5 $PIZZA SPL per gift card
-    this.mintingCost = 0.50; // $0.50 per NFT minting
-    this.expiryDays = 30; // 30-day expiry
-    this.annualCardsPerMerchant = 1200; // 100 per month
+    this.giftCardValue = config.cardValue; // 5 $PIZZA SPL per gift card
+    this.mintingCost = config.mintingCost; // $0.50 per NFT minting
+    this.expiryDays = config.expiryDays; // 30-day expiry
+    this.monthlyQuota = config.monthlyQuota; // 100 per month
+    this.annualCardsPerMerchant = config.monthlyQuota * 12; // 1200 per year
     this.expectedUsageRate = 0.50; // 50% redeemed, 50% unused
     this.treasuryWallet = null;
+    // Base URL of the public claim page claim links point at
+    this.publicAppUrl = process.env.PUBLIC_APP_URL || 'https://app.pizzabit.io';
   }
 
   async initialize() {
     const secrets = await secretManager.initialize();
     
-    // Initialize Solana connection
-    this.connection = new Connection(secrets.solanaRpcEndpoint);
+    // Solana access comes from the chain adapter
+    this.connection = this.chain.connection;
     this.treasuryWallet = new PublicKey(secrets.treasuryWalletAddress);
     
     // Initialize Metaplex for NFT operations
@@ -46,50 +69,92 @@ class GiftCardService {
     console.log('✅ GiftCardService initialized');
   }
 
+  generateCampaignId() {
+    return `gcc_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  generateCardId() {
+    return `gc_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
   /**
-   * Create gift card campaign for a business
-   * 100 NFT gift cards per month, 1200 per year
+   * Calendar month (UTC) a mint counts toward
    */
-  async createGiftCardCampaign(business, month, year) {
-    const campaignId = `${business._id}_${year}_${month}`;
-    const cardsToMint = 100; // 100 cards per month
-    const totalCost = cardsToMint * this.mintingCost; // $50 per month
-    
-    try {
-      // Create campaign metadata
-      const campaign = {
-        campaignId,
-        businessId: business._id,
-        businessName: business.businessName,
-        month,
-        year,
-        cardsToMint,
-        cardsMinted: 0,
-        cardsRedeemed: 0,
-        totalCost,
-        status: 'active',
-        createdAt: new Date(),
-        expiryDate: new Date(year, month, 0) // End of month + 30 days
-      };
+  getQuotaMonth(now = new Date()) {
+    return { month: now.getUTCMonth() + 1, year: now.getUTCFullYear() };
+  }
 
-      // Pre-generate NFT metadata for the campaign
-      const nftMetadata = await this.generateCampaignMetadata(business, campaign);
-      campaign.nftMetadata = nftMetadata;
+  /**
+   * Cards a business has minted or reserved this month
+   * Active campaigns hold their whole request; finished ones count what they minted.
+   */
+  async getCurrentMonthMintCount(businessId, now = new Date()) {
+    const { month, year } = this.getQuotaMonth(now);
+    
+    const [usage] = await GiftCardCampaign.aggregate([
+      { $match: { businessId: new mongoose.Types.ObjectId(businessId.toString()), month, year } },
+      {
+        $group: {
+          _id: null,
+          cards: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, '$cardsRequested', '$cardsMinted'] } }
+        }
+      }
+    ]);
+    return usage ? usage.cards : 0;
+  }
 
-      return campaign;
-    } catch (error) {
-      console.error('Gift card campaign creation failed:', error);
-      throw new Error('Failed to create gift card campaign');
+  /**
+   * Create gift card campaign for a business, reserving its cards against the monthly quota
+   * 100 NFT gift cards per month, 1200 per year
+   * @param {Object} business - Business document
+   * @param {Object} campaignData - { quantity, name, customMessage, source, createdBy, now }
+   * @returns {Object} GiftCardCampaign document
+   */
+  async createGiftCardCampaign(business, campaignData) {
+    const { quantity, name, customMessage, source = 'batch', createdBy, now = new Date() } = campaignData;
+    const { month, year } = this.getQuotaMonth(now);
+    
+    const used = await this.getCurrentMonthMintCount(business._id, now);
+    if (used + quantity > this.monthlyQuota) {
+      throw new Error(`Monthly gift card quota exceeded (${used}/${this.monthlyQuota} used, ${quantity} requested)`);
+    }
+    
+    const campaign = new GiftCardCampaign({
+      campaignId: this.generateCampaignId(),
+      businessId: business._id,
+      name: name || `${business.businessName} gift cards ${year}-${String(month).padStart(2, '0')}`,
+      customMessage,
+      source,
+      month,
+      year,
+      cardValue: this.giftCardValue,
+      mintingCost: this.mintingCost,
+      expiryDays: this.expiryDays,
+      cardsRequested: quantity,
+      createdBy
+    });
+    campaign.nftMetadata = this.generateCampaignMetadata(business, campaign);
+    await campaign.save();
+    
+    // Two batches created at once can both pass the check above - the later one backs out
+    const reserved = await this.getCurrentMonthMintCount(business._id, now);
+    if (reserved > this.monthlyQuota) {
+      campaign.status = 'cancelled';
+      await campaign.save();
+      throw new Error(`Monthly gift card quota exceeded (${reserved - quantity}/${this.monthlyQuota} used, ${quantity} requested)`);
     }
+    
+    return campaign;
   }
 
   /**
    * Generate NFT metadata for gift card campaign
+   * @param {Date} expiresAt - Card expiry (omitted for the campaign-level metadata)
    */
-  async generateCampaignMetadata(business, campaign) {
+  generateCampaignMetadata(business, campaign, expiresAt = null) {
     const metadata = {
       name: `${business.businessName} Pizza Gift Card`,
-      description: `5 $PIZZA SPL gift card from ${business.businessName}. Valid for 30 days.`,
+      description: `${campaign.cardValue} $PIZZA SPL gift card from ${business.businessName}. Valid for ${campaign.expiryDays} days.`,
       image: 'https://your-cdn.com/gift-card-images/pizza-card.png', // Placeholder
       attributes: [
         {
@@ -98,16 +163,12 @@ class GiftCardService {
         },
         {
           trait_type: 'Value',
-          value: `${this.giftCardValue} $PIZZA SPL`
+          value: `${campaign.cardValue} $PIZZA SPL`
         },
         {
           trait_type: 'Campaign',
           value: campaign.campaignId
         },
-        {
-          trait_type: 'Expiry',
-          value: campaign.expiryDate.toISOString().split('T')[0]
-        },
         {
           trait_type: 'Type',
           value: 'Pizza Gift Card NFT'
@@ -116,52 +177,93 @@ class GiftCardService {
       properties: {
         category: 'gift_card',
         business_id: business._id.toString(),
-        pizza_spl_value: this.giftCardValue,
-        minting_cost: this.mintingCost,
-        expiry_date: campaign.expiryDate.toISOString()
+        pizza_spl_value: campaign.cardValue,
+        minting_cost: campaign.mintingCost,
+        expiry_days: campaign.expiryDays
       }
     };
-
+    
+    if (expiresAt) {
+      metadata.attributes.push({ trait_type: 'Expiry', value: expiresAt.toISOString().split('T')[0] });
+      metadata.properties.expiry_date = expiresAt.toISOString();
+    }
+    
     return metadata;
   }
 
   /**
-   * Mint individual gift card NFT to customer
+   * Create a campaign and mint its cards
+   * @param {Object} business - Business document
+   * @param {Object} batchData - { quantity, name, customMessage, source, recipientWallet, createdBy, now }
+   * @returns {Object} { campaign, cards, failed }
    */
-  async mintGiftCard(business, customerWalletAddress, campaignId) {
+  async mintBatch(business, batchData) {
+    const { recipientWallet = null, now = new Date() } = batchData;
+    const campaign = await this.createGiftCardCampaign(business, { ...batchData, now });
+    
+    const cards = [];
+    let failed = 0;
+    for (let i = 0; i < campaign.cardsRequested; i++) {
+      try {
+        cards.push(await this.mintGiftCard(campaign, business, { recipientWallet, now }));
+      } catch (error) {
+        failed++;
+      }
+    }
+    
+    // Unminted cards go back to the month's quota
+    campaign.cardsMinted = cards.length;
+    campaign.totalCost = Math.round(cards.length * campaign.mintingCost * 100) / 100;
+    campaign.status = 'completed';
+    await campaign.save();
+    
+    console.log(`🎁 Gift card campaign ${campaign.campaignId}: ${cards.length}/${campaign.cardsRequested} cards minted`);
+    return { campaign, cards, failed };
+  }
+
+  /**
+   * Mint individual gift card NFT (to the recipient's wallet when there is one)
+   * @param {Object} campaign - GiftCardCampaign the card belongs to
+   * @param {Object} business - Business document
+   * @param {Object} options - { recipientWallet, now }
+   * @returns {Object} GiftCard document
+   */
+  async mintGiftCard(campaign, business, { recipientWallet = null, now = new Date() } = {}) {
     try {
-      // Create the NFT
-      const { nft } = await this.metaplex
-        .nfts()
-        .create({
-          uri: await this.uploadMetadata(business, campaignId),
-          name: `${business.businessName} Pizza Gift Card`,
-          sellerFeeBasisPoints: 0, // No royalties
-          tokenOwner: new PublicKey(customerWalletAddress),
-          updateAuthority: this.treasuryWallet, // Treasury controls updates
-          mintAuthority: this.treasuryWallet,
-          tokenStandard: 0, // Non-fungible
-          collection: null,
-          uses: null
-        });
-
-      const giftCard = {
-        nftAddress: nft.address.toString(),
-        mintAddress: nft.mintAddress.toString(),
-        value: this.giftCardValue, // 5 $PIZZA SPL
+      const expiresAt = new Date(now.getTime() + campaign.expiryDays * DAY_MS);
+      const nft = await this.mintNft(business, campaign, recipientWallet, expiresAt);
+      
+      const history = [{ status: 'minted', at: now }];
+      if (recipientWallet) {
+        history.push({ status: 'assigned', at: now, note: 'Minted to the recipient' });
+      }
+      
+      const giftCard = await GiftCard.create({
+        cardId: this.generateCardId(),
+        campaignId: campaign.campaignId,
         businessId: business._id,
-        businessName: business.businessName,
-        customerWallet: customerWalletAddress,
-        campaignId,
-        issueDate: new Date(),
-        expiryDate: new Date(Date.now() + (this.expiryDays * 24 * 60 * 60 * 1000)), // 30 days
-        redeemed: false,
-        redeemedAt: null,
-        redeemedTransactionId: null,
-        status: 'active'
-      };
-
-      console.log(`🎁 Gift card NFT minted: ${nft.address.toString()}`);
+        nftAddress: nft?.nftAddress,
+        mintAddress: nft?.mintAddress,
+        value: campaign.cardValue,
+        balance: campaign.cardValue,
+        mintingCost: campaign.mintingCost,
+        customMessage: campaign.customMessage,
+        status: recipientWallet ? 'assigned' : 'minted',
+        ownerWallet: recipientWallet || undefined,
+        mintedAt: now,
+        expiresAt,
+        assignedAt: recipientWallet ? now : undefined,
+        history
+      });
+      
+      // The card value is an outstanding $PIZZA SPL liability until it is redeemed or expires
+      await ledgerService.recordGiftCardMint({
+        businessId: business._id,
+        cardId: giftCard.cardId,
+        amount: giftCard.value,
+        postedAt: now
+      });
+      
       return giftCard;
     } catch (error) {
       console.error('Gift card minting failed:', error);
@@ -169,11 +271,37 @@ class GiftCardService {
     }
   }
 
+  /**
+   * Mint the card's NFT - null while Metaplex is disabled (the card is tracked off-chain)
+   */
+  async mintNft(business, campaign, ownerWallet, expiresAt) {
+    if (!this.metaplex) {
+      return null;
+    }
+    
+    const { nft } = await this.metaplex
+      .nfts()
+      .create({
+        uri: await this.uploadMetadata(business, campaign, expiresAt),
+        name: `${business.businessName} Pizza Gift Card`,
+        sellerFeeBasisPoints: 0, // No royalties
+        tokenOwner: new PublicKey(ownerWallet || this.treasuryWallet), // Treasury holds undistributed cards
+        updateAuthority: this.treasuryWallet, // Treasury controls updates
+        mintAuthority: this.treasuryWallet,
+        tokenStandard: 0, // Non-fungible
+        collection: null,
+        uses: null
+      });
+    
+    console.log(`🎁 Gift card NFT minted: ${nft.address.toString()}`);
+    return { nftAddress: nft.address.toString(), mintAddress: nft.mintAddress.toString() };
+  }
+
   /**
    * Upload metadata to decentralized storage
    */
-  async uploadMetadata(business, campaignId) {
-    const metadata = await this.generateCampaignMetadata(business, { campaignId });
+  async uploadMetadata(business, campaign, expiresAt) {
+    const metadata = this.generateCampaignMetadata(business, campaign, expiresAt);
     
     try {
       const { uri } = await this.metaplex
@@ -188,80 +316,342 @@ class GiftCardService {
   }
 
   /**
-   * Redeem gift card NFT for $PIZZA SPL
+   * Hand a minted card to a customer's wallet
+   * @param {Object} business - Business document that minted the card
    */
-  async redeemGiftCard(giftCard, userWalletAddress) {
-    // Check if gift card is valid
-    if (giftCard.redeemed) {
-      throw new Error('Gift card already redeemed');
+  async assignGiftCard(business, cardId, walletAddress, now = new Date()) {
+    const card = await GiftCard.findOneAndUpdate(
+      { cardId, businessId: business._id, status: 'minted', expiresAt: { $gt: now } },
+      {
+        $set: { status: 'assigned', ownerWallet: walletAddress, assignedAt: now },
+        $push: { history: { status: 'assigned', at: now } }
+      },
+      { new: true }
+    );
+    
+    if (!card) {
+      const existing = await GiftCard.findOne({ cardId, businessId: business._id });
+      throw new Error(existing ? 'Gift card is not available to assign' : 'Gift card not found');
     }
+    return card;
+  }
 
-    if (new Date() > giftCard.expiryDate) {
-      throw new Error('Gift card has expired');
+  /**
+   * Add a card assigned to the customer's wallet to their account
+   * @param {Object} user - User document
+   */
+  async claimGiftCard(cardId, user, now = new Date()) {
+    const card = await GiftCard.findOneAndUpdate(
+      { cardId, status: 'assigned', ownerWallet: user.wallet?.address, expiresAt: { $gt: now } },
+      {
+        $set: { status: 'claimed', ownerUserId: user._id, claimedAt: now },
+        $push: { history: { status: 'claimed', at: now } }
+      },
+      { new: true }
+    );
+    
+    if (!card) {
+      throw new Error('Gift card not found or not claimable');
     }
+    return card;
+  }
 
-    if (giftCard.status !== 'active') {
-      throw new Error('Gift card is not active');
+  hashClaimSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+  }
+
+  /**
+   * Claim page URL - the secret is in the fragment so it never reaches server logs
+   */
+  buildClaimUrl(cardId, secret) {
+    return `${this.publicAppUrl}/claim/${cardId}#${secret}`;
+  }
+
+  /**
+   * Issue claim links for a campaign's undistributed cards
+   * Each call replaces the cards' earlier links, so only the latest printout works.
+   * @param {Object} business - Business document that owns the campaign
+   * @returns {Object} { campaign, links: [{ cardId, claimUrl, value, expiresAt }] }
+   */
+  async issueClaimLinks(business, campaignId, now = new Date()) {
+    const campaign = await GiftCardCampaign.findOne({ campaignId, businessId: business._id });
+    if (!campaign) {
+      throw new Error('Gift card campaign not found');
     }
 
-    try {
-      // Burn the NFT and transfer $PIZZA SPL (simplified)
-      const redemptionTx = {
-        type: 'gift_card_redeem',
-        nftAddress: giftCard.nftAddress,
-        userWallet: userWalletAddress,
-        pizzaSPLTransferred: giftCard.value,
-        timestamp: new Date(),
-        transactionId: `redeem_${Date.now()}` // Would be actual Solana tx signature
-      };
+    const cards = await GiftCard.find({
+      campaignId,
+      businessId: business._id,
+      status: 'minted',
+      expiresAt: { $gt: now }
+    }).sort({ mintedAt: 1 });
+
+    const links = [];
+    for (const card of cards) {
+      const secret = crypto.randomBytes(24).toString('base64url');
+      const result = await GiftCard.updateOne(
+        { _id: card._id, status: 'minted' },
+        { $set: { claimSecretHash: this.hashClaimSecret(secret), claimLinkIssuedAt: now } }
+      );
+      // Skip a card assigned while the links were being issued
+      if (result.modifiedCount === 0) continue;
 
-      // Update gift card status
-      giftCard.redeemed = true;
-      giftCard.redeemedAt = new Date();
-      giftCard.redeemedTransactionId = redemptionTx.transactionId;
-      giftCard.status = 'redeemed';
+      links.push({
+        cardId: card.cardId,
+        claimUrl: this.buildClaimUrl(card.cardId, secret),
+        value: card.value,
+        expiresAt: card.expiresAt
+      });
+    }
+
+    console.log(`🔗 Issued ${links.length} gift card claim links for campaign ${campaignId}`);
+    return { campaign, links };
+  }
+
+  /**
+   * Claim links as a printable sheet of QR cards
+   * @param {Object} business - Business document
+   * @param {Object} campaign - GiftCardCampaign document
+   * @param {Array<Object>} links - From issueClaimLinks
+   * @returns {Buffer} PDF content
+   */
+  buildClaimSheetPDF(business, campaign, links) {
+    const cards = links.map(link => {
+      const { modules } = QRCode.create(link.claimUrl, { errorCorrectionLevel: 'M' });
+      const qr = [];
+      for (let row = 0; row < modules.size; row++) {
+        qr.push(Array.from({ length: modules.size }, (_, col) => modules.get(row, col) === 1));
+      }
 
       return {
-        success: true,
-        pizzaSPLReceived: giftCard.value,
-        transactionId: redemptionTx.transactionId,
-        redeemedAt: giftCard.redeemedAt
+        qr,
+        lines: [
+          business.businessName.slice(0, 23),
+          'Pizza Gift Card',
+          `${link.value} $PIZZA SPL`,
+          '',
+          'Scan to claim with',
+          'Phantom or Solflare',
+          '',
+          `Expires ${link.expiresAt.toISOString().split('T')[0]}`,
+          `Ref ${link.cardId.slice(-8)}`
+        ]
       };
+    });
+
+    return renderQrCardSheetPdf(cards, {
+      title: `${campaign.name} claim cards`,
+      footer: `${business.businessName} - ${campaign.campaignId} - each code can be claimed once`
+    });
+  }
+
+  /**
+   * Card behind a claim link, for the claim page
+   * @returns {Object} Public card details
+   */
+  async getClaimPreview(cardId, secret, now = new Date()) {
+    const card = await GiftCard.findOne({ cardId, claimSecretHash: this.hashClaimSecret(secret) })
+      .populate('businessId', 'businessName');
+
+    if (!card || card.status !== 'minted') {
+      throw new Error('Invalid or already used claim link');
+    }
+
+    return {
+      cardId: card.cardId,
+      businessName: card.businessId?.businessName || 'Business',
+      value: card.value,
+      customMessage: card.customMessage,
+      expiresAt: card.expiresAt,
+      expired: card.expiresAt <= now
+    };
+  }
+
+  /**
+   * Claim a card through its claim link
+   * The card goes straight onto the account of a customer who has this wallet linked;
+   * otherwise it is assigned to the wallet and can be claimed after signing up with it.
+   * @param {Object} claimData - { cardId, secret, walletAddress, now }
+   * @returns {Object} GiftCard document
+   */
+  async claimWithLink({ cardId, secret, walletAddress, now = new Date() }) {
+    try {
+      new PublicKey(walletAddress);
     } catch (error) {
-      console.error('Gift card redemption failed:', error);
-      throw new Error('Failed to redeem gift card');
+      throw new Error('Invalid wallet address');
+    }
+
+    const claimSecretHash = this.hashClaimSecret(secret);
+    const card = await GiftCard.findOne({ cardId, claimSecretHash, status: 'minted' });
+    if (!card) {
+      throw new Error('Invalid or already used claim link');
     }
+    if (card.expiresAt <= now) {
+      throw new Error('Gift card has expired');
+    }
+
+    const owner = await User.findOne({ 'wallet.address': walletAddress, isActive: true }).select('_id');
+    const status = owner ? 'claimed' : 'assigned';
+
+    // Single use: the link only works while the card is still minted with this secret
+    const claimed = await GiftCard.findOneAndUpdate(
+      { _id: card._id, status: 'minted', claimSecretHash },
+      {
+        $set: {
+          status,
+          ownerWallet: walletAddress,
+          ownerUserId: owner?._id,
+          assignedAt: now,
+          ...(owner ? { claimedAt: now } : {})
+        },
+        $unset: { claimSecretHash: 1 },
+        $push: {
+          history: owner
+            ? { $each: [{ status: 'assigned', at: now, note: 'Claim link' }, { status: 'claimed', at: now }] }
+            : { status: 'assigned', at: now, note: 'Claim link' }
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Invalid or already used claim link');
+    }
+
+    await this.transferNft(claimed, walletAddress);
+
+    console.log(`🎁 Gift card ${cardId} claimed by link (${status})`);
+    return claimed;
   }
 
   /**
-   * Process expired gift cards and revert to treasury
+   * Move the card's NFT from the treasury to the customer (nothing to move while Metaplex is disabled)
    */
-  async processExpiredCards() {
-    const cutoffDate = new Date(Date.now() - (this.expiryDays * 24 * 60 * 60 * 1000));
+  async transferNft(card, walletAddress) {
+    if (!this.metaplex || !card.mintAddress) {
+      return null;
+    }
+
+    const nft = await this.metaplex.nfts().findByMint({ mintAddress: new PublicKey(card.mintAddress) });
+    return this.metaplex.nfts().transfer({
+      nftOrSft: nft,
+      toOwner: new PublicKey(walletAddress)
+    });
+  }
+
+  /**
+   * Redeem gift card NFT for $PIZZA SPL - spends the whole remaining balance
+   * @param {Object} redemptionData - { cardId, user, now }
+   */
+  async redeemGiftCard({ cardId, user, now = new Date() }) {
+    const redemptionId = `gcr_${crypto.randomBytes(12).toString('hex')}`;
+    
+    // Take the balance in one step so a card can't be redeemed twice
+    const card = await GiftCard.findOneAndUpdate(
+      {
+        cardId,
+        ownerUserId: user._id,
+        status: { $in: ['claimed', 'partially_used'] },
+        expiresAt: { $gt: now }
+      },
+      {
+        $set: { balance: 0, status: 'redeemed', redeemedAt: now },
+        $push: { history: { status: 'redeemed', at: now, note: redemptionId } }
+      }
+    );
     
+    if (!card) {
+      const existing = await GiftCard.findOne({ cardId, ownerUserId: user._id });
+      if (!existing) {
+        throw new Error('Gift card not found');
+      }
+      if (existing.status === 'redeemed') {
+        throw new Error('Gift card already redeemed');
+      }
+      if (existing.expiresAt <= now || ['expired', 'reverted'].includes(existing.status)) {
+        throw new Error('Gift card has expired');
+      }
+      throw new Error('Gift card is not active');
+    }
+    
+    await GiftCardRedemption.create({
+      redemptionId,
+      cardId: card.cardId,
+      businessId: card.businessId,
+      userId: user._id,
+      type: 'token',
+      amount: card.balance,
+      balanceBefore: card.balance,
+      balanceAfter: 0,
+      status: 'captured',
+      heldAt: now,
+      capturedAt: now
+    });
+    
+    // Burn the NFT and transfer $PIZZA SPL (simplified)
+    await ledgerService.recordGiftCardRedemption({
+      businessId: card.businessId,
+      cardId: card.cardId,
+      amount: card.balance,
+      redemptionId,
+      userId: user._id
+    });
+    
+    return {
+      success: true,
+      cardId: card.cardId,
+      pizzaSPLReceived: card.balance,
+      transactionId: redemptionId,
+      redeemedAt: now
+    };
+  }
+
+  /**
+   * Process expired gift cards and revert to treasury
+   * Cards are marked expired first, then reverted once the ledger has released their
+   * unused value, so a failed posting is retried on the next run.
+   */
+  async processExpiredCards(now = new Date()) {
     try {
-      // Find expired, unredeemed gift cards (would query database in real implementation)
-      const expiredCards = []; // Placeholder
+      const expired = await GiftCard.updateMany(
+        { status: { $in: GiftCard.LIVE_STATUSES }, expiresAt: { $lte: now } },
+        {
+          $set: { status: 'expired', expiredAt: now },
+          $push: { history: { status: 'expired', at: now } }
+        }
+      );
+      
+      const expiredCards = await GiftCard.find({ status: 'expired' }).limit(500);
       
       const revertedCards = [];
       for (const card of expiredCards) {
-        if (!card.redeemed && card.expiryDate < cutoffDate) {
-          // Burn NFT and revert value to treasury
-          const revertTx = {
-            nftAddress: card.nftAddress,
-            pizzaSPLValue: card.value,
-            revertedAt: new Date(),
-            treasuryWallet: this.treasuryWallet.toString()
-          };
-
-          card.status = 'expired_reverted';
-          card.revertedAt = new Date();
+        try {
+          await ledgerService.recordGiftCardExpiry({
+            businessId: card.businessId,
+            cardId: card.cardId,
+            amount: card.balance
+          });
+          
+          await GiftCard.updateOne(
+            { _id: card._id, status: 'expired' },
+            {
+              $set: { status: 'reverted', revertedAt: now, revertedAmount: card.balance, balance: 0 },
+              $push: { history: { status: 'reverted', at: now } }
+            }
+          );
           
-          revertedCards.push(revertTx);
+          revertedCards.push({
+            cardId: card.cardId,
+            nftAddress: card.nftAddress,
+            pizzaSPLValue: card.balance,
+            revertedAt: now
+          });
+        } catch (error) {
+          console.error(`Gift card ${card.cardId} reversion failed:`, error);
         }
       }
-
+      
       return {
+        expired: expired.modifiedCount || 0,
         processed: revertedCards.length,
         totalValueReverted: revertedCards.reduce((sum, card) => sum + card.pizzaSPLValue, 0),
         revertedCards
@@ -273,22 +663,154 @@ class GiftCardService {
   }
 
   /**
-   * Get gift card analytics for a business
+   * Start of the analytics window: this calendar month, this year, or everything
    */
-  async getBusinessGiftCardAnalytics(businessId, timeframe = 'month') {
-    // Placeholder analytics (would query database in real implementation)
-    const analytics = {
-      totalMinted: this.annualCardsPerMerchant / 12, // 100 per month
-      totalRedeemed: Math.floor((this.annualCardsPerMerchant / 12) * this.expectedUsageRate), // 50 redeemed
-      totalExpired: Math.floor((this.annualCardsPerMerchant / 12) * (1 - this.expectedUsageRate)), // 50 expired
-      redemptionRate: this.expectedUsageRate,
-      totalCost: (this.annualCardsPerMerchant / 12) * this.mintingCost, // $50 per month
-      netCost: (this.annualCardsPerMerchant / 12) * this.mintingCost * this.expectedUsageRate, // $25 net (50% unused)
-      pizzaSPLDistributed: Math.floor((this.annualCardsPerMerchant / 12) * this.expectedUsageRate) * this.giftCardValue,
-      averageRedemptionTime: 15 // days
+  getTimeframeStart(timeframe, now = new Date()) {
+    switch (timeframe) {
+      case 'month':
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      case 'year':
+        return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+      case 'all':
+        return null;
+      default:
+        throw new Error('Invalid timeframe');
+    }
+  }
+
+  /**
+   * Get gift card analytics for a business, overall and per campaign
+   * @param {string} timeframe - month, year or all (by mint date)
+   */
+  async getBusinessGiftCardAnalytics(businessId, timeframe = 'month', now = new Date()) {
+    const since = this.getTimeframeStart(timeframe, now);
+    const match = { businessId: new mongoose.Types.ObjectId(businessId.toString()) };
+    if (since) match.mintedAt = { $gte: since };
+    
+    const [rows, used] = await Promise.all([
+      GiftCard.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { campaignId: '$campaignId', status: '$status' },
+            cards: { $sum: 1 },
+            value: { $sum: '$value' },
+            balance: { $sum: '$balance' },
+            reverted: { $sum: { $ifNull: ['$revertedAmount', 0] } },
+            mintingCost: { $sum: '$mintingCost' },
+            redemptionMs: { $sum: { $cond: [{ $eq: ['$status', 'redeemed'] }, { $subtract: ['$redeemedAt', '$mintedAt'] }, 0] } }
+          }
+        }
+      ]),
+      this.getCurrentMonthMintCount(businessId, now)
+    ]);
+    
+    const emptyStats = () => ({
+      totalMinted: 0,
+      totalAssigned: 0,
+      totalRedeemed: 0,
+      totalPartiallyUsed: 0,
+      totalExpired: 0,
+      totalOutstanding: 0,
+      redemptionRate: 0,
+      totalCost: 0,
+      pizzaSPLIssued: 0,
+      pizzaSPLDistributed: 0,
+      pizzaSPLOutstanding: 0,
+      pizzaSPLReverted: 0,
+      averageRedemptionTime: null, // days
+      redemptionMs: 0
+    });
+    const addRow = (stats, row) => {
+      const { status } = row._id;
+      stats.totalMinted += row.cards;
+      if (status !== 'minted') stats.totalAssigned += row.cards;
+      if (status === 'redeemed') {
+        stats.totalRedeemed += row.cards;
+        stats.redemptionMs += row.redemptionMs;
+      }
+      if (status === 'partially_used') stats.totalPartiallyUsed += row.cards;
+      if (status === 'expired' || status === 'reverted') stats.totalExpired += row.cards;
+      if (GiftCard.LIVE_STATUSES.includes(status)) {
+        stats.totalOutstanding += row.cards;
+        stats.pizzaSPLOutstanding += row.balance;
+      }
+      stats.totalCost += row.mintingCost;
+      stats.pizzaSPLIssued += row.value;
+      stats.pizzaSPLReverted += row.reverted;
+      // Spent value: whatever is neither left on the card nor reverted
+      stats.pizzaSPLDistributed += row.value - row.balance - row.reverted;
+    };
+    const finish = stats => {
+      const { redemptionMs, ...result } = stats;
+      result.redemptionRate = result.totalMinted > 0
+        ? Math.round((result.totalRedeemed + result.totalPartiallyUsed) / result.totalMinted * 10000) / 10000
+        : 0;
+      result.averageRedemptionTime = result.totalRedeemed > 0
+        ? Math.round(redemptionMs / result.totalRedeemed / DAY_MS * 10) / 10
+        : null;
+      result.totalCost = Math.round(result.totalCost * 100) / 100;
+      return result;
+    };
+    
+    const totals = emptyStats();
+    const byCampaign = new Map();
+    rows.forEach(row => {
+      addRow(totals, row);
+      if (!byCampaign.has(row._id.campaignId)) {
+        byCampaign.set(row._id.campaignId, emptyStats());
+      }
+      addRow(byCampaign.get(row._id.campaignId), row);
+    });
+    
+    const campaigns = byCampaign.size > 0
+      ? await GiftCardCampaign.find({ campaignId: { $in: [...byCampaign.keys()] } }).sort({ createdAt: -1 })
+      : [];
+    const { month, year } = this.getQuotaMonth(now);
+    
+    return {
+      timeframe,
+      since,
+      ...finish(totals),
+      quota: {
+        month,
+        year,
+        used,
+        limit: this.monthlyQuota,
+        remaining: Math.max(0, this.monthlyQuota - used)
+      },
+      campaigns: campaigns.map(campaign => ({
+        campaignId: campaign.campaignId,
+        name: campaign.name,
+        source: campaign.source,
+        status: campaign.status,
+        createdAt: campaign.createdAt,
+        cardValue: campaign.cardValue,
+        cardsRequested: campaign.cardsRequested,
+        ...finish(byCampaign.get(campaign.campaignId))
+      }))
     };
+  }
 
-    return analytics;
+  /**
+   * A business's gift cards, newest first
+   * @param {Object} options - { campaignId, status, limit, offset }
+   */
+  async listBusinessGiftCards(businessId, { campaignId, status, limit = 50, offset = 0 } = {}) {
+    const query = { businessId };
+    if (campaignId) query.campaignId = campaignId;
+    if (status) query.status = status;
+    
+    const [cards, total] = await Promise.all([
+      GiftCard.find(query)
+        .sort({ mintedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .select('-history'),
+      GiftCard.countDocuments(query)
+    ]);
+    
+    return { cards, total, limit, offset };
   }
 
   /**
@@ -311,16 +833,40 @@ class GiftCardService {
   }
 
   /**
-   * Get user's gift card portfolio
+   * Get user's gift card portfolio: cards on their account and cards waiting to be claimed
+   * @param {Object} user - User document
    */
-  async getUserGiftCards(userWalletAddress) {
-    // Placeholder - would query user's NFTs in real implementation
+  async getUserGiftCards(user) {
+    const owners = [{ ownerUserId: user._id }];
+    if (user.wallet?.address) {
+      owners.push({ ownerWallet: user.wallet.address, status: 'assigned' });
+    }
+    
+    const cards = await GiftCard.find({ $or: owners })
+      .sort({ mintedAt: -1 })
+      .populate('businessId', 'businessName')
+      .select('-history');
+    
+    const portfolio = cards.map(card => ({
+      cardId: card.cardId,
+      nftAddress: card.nftAddress,
+      businessId: card.businessId?._id,
+      businessName: card.businessId?.businessName || 'Business',
+      value: card.value,
+      balance: card.balance,
+      status: card.status,
+      customMessage: card.customMessage,
+      expiryDate: card.expiresAt,
+      redeemedAt: card.redeemedAt
+    }));
+    
+    const activeCards = portfolio.filter(card => ['claimed', 'partially_used'].includes(card.status));
     return {
-      activeCards: [], // Active, unredeemed cards
-      redeemedCards: [], // Previously redeemed cards
-      expiredCards: [], // Expired, unredeemed cards
-      totalValue: 0, // Total $PIZZA SPL value of active cards
-      redemptionHistory: []
+      claimableCards: portfolio.filter(card => card.status === 'assigned'), // Assigned to the wallet, not yet claimed
+      activeCards, // Active, unredeemed cards
+      redeemedCards: portfolio.filter(card => card.status === 'redeemed'), // Previously redeemed cards
+      expiredCards: portfolio.filter(card => ['expired', 'reverted'].includes(card.status)), // Expired, unredeemed cards
+      totalValue: activeCards.reduce((sum, card) => sum + card.balance, 0) // Total $PIZZA SPL value of active cards
     };
   }
 
@@ -335,24 +881,24 @@ class GiftCardService {
       if (!nft) {
         return { valid: false, reason: 'NFT not found' };
       }
-
+      
       // Check if user owns the NFT
       if (nft.ownerAddress.toString() !== userWalletAddress) {
         return { valid: false, reason: 'Not NFT owner' };
       }
-
+      
       // Check metadata for gift card properties
       const metadata = nft.json;
       if (metadata?.properties?.category !== 'gift_card') {
         return { valid: false, reason: 'Not a gift card NFT' };
       }
-
+      
       // Check expiry
       const expiryDate = new Date(metadata.properties.expiry_date);
       if (new Date() > expiryDate) {
         return { valid: false, reason: 'Gift card expired' };
       }
-
+      
       return {
         valid: true,
         value: metadata.properties.pizza_spl_value,
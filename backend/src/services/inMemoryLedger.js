@@ -0,0 +1,615 @@
+const crypto = require('crypto');
+const {
+  Keypair,
+  PublicKey,
+  Transaction,
+  SystemProgram,
+  SystemInstruction,
+  ComputeBudgetProgram
+} = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  MINT_SIZE,
+  ACCOUNT_SIZE,
+  MintLayout,
+  AccountLayout,
+  AccountState,
+  getAssociatedTokenAddressSync,
+  decodeInstruction,
+  isTransferInstruction,
+  isTransferCheckedInstruction
+} = require('@solana/spl-token');
+const { MEMO_PROGRAM_ID } = require('@solana/pay');
+const { USDC_DECIMALS } = require('../config/payments');
+const { USDC_MINTS, buildTokenTransferTransaction, buildTokenBatchTransferTransaction } = require('./chainAdapter');
+
+/**
+ * InMemoryLedger - offline Solana stand-in implementing the chain adapter interface
+ *
+ * Simulates SOL balances, SPL mints and token accounts, transfers, signatures, slot-based
+ * confirmations and reference lookups. `connection` is the ledger itself and answers the
+ * Connection calls the platform makes (getSignaturesForAddress, getTransaction,
+ * getLatestBlockhash, getAccountInfo, sendTransaction, ...), so @solana/pay's
+ * findReference / validateTransfer and spl-token's getMint / getAccount work unchanged.
+ *
+ * Supported instructions: system transfer, SPL transfer / transferChecked, associated token
+ * account creation, memo and compute budget. Anything else is rejected so simulated
+ * results never silently differ from chain behaviour. Signatures are not verified.
+ */
+
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const DEMO_TREASURY_PIZZA_BALANCE = 1000000;
+
+const encodeBase58 = (bytes) => {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+};
+
+const toKey = (address) => (address instanceof PublicKey ? address : new PublicKey(address)).toBase58();
+
+// Token amounts in the RPC's uiTokenAmount shape
+const formatTokenAmount = (amount, decimals) => {
+  const digits = amount.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  const uiAmountString = fraction ? `${whole}.${fraction}` : whole;
+
+  return {
+    amount: amount.toString(),
+    decimals,
+    uiAmount: Number(uiAmountString),
+    uiAmountString
+  };
+};
+
+class LedgerInstructionError extends Error {
+  constructor(index, message) {
+    super(`Transaction simulation failed: instruction ${index}: ${message}`);
+    this.name = 'LedgerInstructionError';
+    this.instructionIndex = index;
+  }
+}
+
+class InMemoryLedger {
+  /**
+   * @param {Object} options - { commitment, confirmationDepth, finalizationDepth }
+   */
+  constructor(options = {}) {
+    this.cluster = 'localnet';
+    this.rpcEndpoint = 'memory://ledger';
+    this.isSimulated = true;
+
+    // Services call ledger.connection.* exactly as they would a web3.js Connection
+    this.connection = this;
+    this.commitment = options.commitment || 'confirmed';
+
+    // Slots a transaction needs behind it before it counts as confirmed / finalized
+    this.confirmationDepth = options.confirmationDepth ?? 0;
+    this.finalizationDepth = options.finalizationDepth ?? 32;
+
+    this.slot = 0;
+    this.blockhash = this.generateBlockhash();
+
+    this.lamports = new Map();       // address -> bigint
+    this.mints = new Map();          // mint address -> { decimals, supply }
+    this.tokenAccounts = new Map();  // token account address -> { owner, mint, amount }
+    this.transactions = new Map();   // signature -> transaction record
+    this.history = [];               // signatures, oldest first
+
+    this.usdcMint = new PublicKey(process.env.USDC_MINT || USDC_MINTS.devnet);
+    this.createMint(this.usdcMint, USDC_DECIMALS);
+  }
+
+  /**
+   * Ledger for CHAIN_ADAPTER=memory - funds the reward treasury so the demo flow can pay rewards
+   */
+  static fromEnv(options = {}) {
+    const ledger = new InMemoryLedger(options);
+
+    if (process.env.TREASURY_WALLET_ADDRESS && process.env.PIZZA_TOKEN_MINT) {
+      const pizzaMint = ledger.createMint(new PublicKey(process.env.PIZZA_TOKEN_MINT), USDC_DECIMALS);
+      ledger.mintTo(
+        new PublicKey(process.env.TREASURY_WALLET_ADDRESS),
+        pizzaMint,
+        parseFloat(process.env.LEDGER_TREASURY_PIZZA_BALANCE) || DEMO_TREASURY_PIZZA_BALANCE
+      );
+    }
+
+    return ledger;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Simulation helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register an SPL mint (no-op when it already exists)
+   * @returns {PublicKey} Mint address
+   */
+  createMint(mint = Keypair.generate().publicKey, decimals = USDC_DECIMALS) {
+    const mintKey = toKey(mint);
+    if (!this.mints.has(mintKey)) {
+      this.mints.set(mintKey, { decimals, supply: 0n });
+    }
+    return new PublicKey(mintKey);
+  }
+
+  /**
+   * Associated token account for an owner, created on first use
+   * @returns {PublicKey} Token account address
+   */
+  getOrCreateTokenAccount(owner, mint) {
+    const mintKey = toKey(mint);
+    if (!this.mints.has(mintKey)) {
+      throw new Error(`Unknown mint ${mintKey}`);
+    }
+
+    const address = getAssociatedTokenAddressSync(new PublicKey(mintKey), new PublicKey(owner), true);
+    if (!this.tokenAccounts.has(address.toBase58())) {
+      this.tokenAccounts.set(address.toBase58(), { owner: toKey(owner), mint: mintKey, amount: 0n });
+    }
+    return address;
+  }
+
+  /**
+   * Mint tokens straight into an owner's token account (UI units)
+   */
+  mintTo(owner, mint, amount) {
+    const address = this.getOrCreateTokenAccount(owner, mint);
+    const mintInfo = this.mints.get(toKey(mint));
+    const units = BigInt(Math.round(amount * Math.pow(10, mintInfo.decimals)));
+
+    this.tokenAccounts.get(address.toBase58()).amount += units;
+    mintInfo.supply += units;
+    return address;
+  }
+
+  /**
+   * Token balance of an owner's associated account (UI units)
+   */
+  async getTokenBalance(owner, mint) {
+    const mintKey = toKey(mint);
+    const mintInfo = this.mints.get(mintKey);
+    if (!mintInfo) {
+      return 0;
+    }
+
+    const address = getAssociatedTokenAddressSync(new PublicKey(mintKey), new PublicKey(owner), true);
+    const account = this.tokenAccounts.get(address.toBase58());
+    return account ? formatTokenAmount(account.amount, mintInfo.decimals).uiAmount : 0;
+  }
+
+  /**
+   * Chain adapter transfer - the signer is optional because signatures are not verified
+   * @returns {string} Transaction signature
+   */
+  async transferTokens({ from, to, mint, amount, signer, references = [] }) {
+    const mintInfo = this.mints.get(toKey(mint));
+    if (!mintInfo) {
+      throw new Error(`Unknown mint ${toKey(mint)}`);
+    }
+
+    const transaction = await buildTokenTransferTransaction({
+      connection: this,
+      from,
+      to,
+      mint,
+      amount,
+      decimals: mintInfo.decimals,
+      references
+    });
+
+    return this.sendTransaction(transaction, signer ? [signer] : []);
+  }
+
+  /**
+   * Chain adapter batch transfer - executes atomically like a real transaction
+   * @returns {string} Transaction signature
+   */
+  async transferTokensBatch({ from, transfers, mint, signer, references = [] }) {
+    const mintInfo = this.mints.get(toKey(mint));
+    if (!mintInfo) {
+      throw new Error(`Unknown mint ${toKey(mint)}`);
+    }
+
+    const transaction = await buildTokenBatchTransferTransaction({
+      connection: this,
+      from,
+      transfers,
+      mint,
+      decimals: mintInfo.decimals,
+      references
+    });
+
+    return this.sendTransaction(transaction, signer ? [signer] : []);
+  }
+
+  /**
+   * Move the ledger forward so pending transactions reach confirmed / finalized
+   */
+  advanceSlots(count = 1) {
+    this.slot += count;
+    this.blockhash = this.generateBlockhash();
+    return this.slot;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connection-compatible RPC surface
+  // ---------------------------------------------------------------------------
+
+  async getSlot() {
+    return this.slot;
+  }
+
+  async getBlockHeight() {
+    return this.slot;
+  }
+
+  async getLatestBlockhash() {
+    return { blockhash: this.blockhash, lastValidBlockHeight: this.slot + 150 };
+  }
+
+  async getRecentBlockhash() {
+    return { blockhash: this.blockhash, feeCalculator: { lamportsPerSignature: 0 } };
+  }
+
+  async requestAirdrop(address, lamports) {
+    const key = toKey(address);
+    this.lamports.set(key, (this.lamports.get(key) || 0n) + BigInt(lamports));
+    return this.generateSignature();
+  }
+
+  async getBalance(address) {
+    return Number(this.lamports.get(toKey(address)) || 0n);
+  }
+
+  /**
+   * Account info encoded the way spl-token's getMint / getAccount expect
+   */
+  async getAccountInfo(address) {
+    const key = toKey(address);
+
+    const mint = this.mints.get(key);
+    if (mint) {
+      const data = Buffer.alloc(MINT_SIZE);
+      MintLayout.encode({
+        mintAuthorityOption: 0,
+        mintAuthority: PublicKey.default,
+        supply: mint.supply,
+        decimals: mint.decimals,
+        isInitialized: true,
+        freezeAuthorityOption: 0,
+        freezeAuthority: PublicKey.default
+      }, data);
+      return { data, owner: TOKEN_PROGRAM_ID, lamports: 1461600, executable: false, rentEpoch: 0 };
+    }
+
+    const account = this.tokenAccounts.get(key);
+    if (account) {
+      const data = Buffer.alloc(ACCOUNT_SIZE);
+      AccountLayout.encode({
+        mint: new PublicKey(account.mint),
+        owner: new PublicKey(account.owner),
+        amount: account.amount,
+        delegateOption: 0,
+        delegate: PublicKey.default,
+        state: AccountState.Initialized,
+        isNativeOption: 0,
+        isNative: 0n,
+        delegatedAmount: 0n,
+        closeAuthorityOption: 0,
+        closeAuthority: PublicKey.default
+      }, data);
+      return { data, owner: TOKEN_PROGRAM_ID, lamports: 2039280, executable: false, rentEpoch: 0 };
+    }
+
+    const lamports = this.lamports.get(key);
+    if (lamports) {
+      return { data: Buffer.alloc(0), owner: SystemProgram.programId, lamports: Number(lamports), executable: false, rentEpoch: 0 };
+    }
+
+    return null;
+  }
+
+  async getTokenAccountBalance(address) {
+    const account = this.tokenAccounts.get(toKey(address));
+    if (!account) {
+      throw new Error(`could not find token account ${toKey(address)}`);
+    }
+
+    return {
+      context: { slot: this.slot },
+      value: formatTokenAmount(account.amount, this.mints.get(account.mint).decimals)
+    };
+  }
+
+  /**
+   * Execute a legacy transaction atomically; throws (like preflight) when an instruction fails
+   * @returns {string} Signature
+   */
+  async sendTransaction(transaction, signers = []) {
+    if (!(transaction instanceof Transaction)) {
+      throw new Error('InMemoryLedger only supports legacy transactions');
+    }
+
+    if (!transaction.recentBlockhash) {
+      transaction.recentBlockhash = this.blockhash;
+    }
+    if (signers.length > 0) {
+      transaction.sign(...signers);
+    }
+
+    const message = transaction.compileMessage();
+    // One entry per required signer; unsigned slots carry the all-zero signature
+    const signatures = message.accountKeys.slice(0, message.header.numRequiredSignatures).map(key => {
+      const pair = transaction.signatures.find(({ publicKey }) => publicKey.equals(key));
+      return encodeBase58(pair?.signature || Buffer.alloc(64));
+    });
+    const primarySignature = transaction.signatures[0]?.signature;
+    const signature = primarySignature ? encodeBase58(primarySignature) : this.generateSignature();
+
+    if (this.transactions.has(signature)) {
+      throw new Error('Transaction simulation failed: This transaction has already been processed');
+    }
+
+    // Work on copies so a failing instruction leaves the ledger untouched
+    const state = {
+      lamports: new Map(this.lamports),
+      tokenAccounts: new Map([...this.tokenAccounts].map(([key, account]) => [key, { ...account }]))
+    };
+
+    const preBalances = message.accountKeys.map(key => Number(this.lamports.get(key.toBase58()) || 0n));
+    const preTokenBalances = this.tokenBalances(message.accountKeys, this.tokenAccounts);
+
+    transaction.instructions.forEach((instruction, index) => {
+      this.executeInstruction(instruction, index, state);
+    });
+
+    this.lamports = state.lamports;
+    this.tokenAccounts = state.tokenAccounts;
+    this.advanceSlots();
+
+    this.transactions.set(signature, {
+      signature,
+      slot: this.slot,
+      blockTime: Math.floor(Date.now() / 1000),
+      accountKeys: new Set(message.accountKeys.map(key => key.toBase58())),
+      transaction: { message, signatures },
+      meta: {
+        err: null,
+        fee: 0,
+        preBalances,
+        postBalances: message.accountKeys.map(key => Number(this.lamports.get(key.toBase58()) || 0n)),
+        preTokenBalances,
+        postTokenBalances: this.tokenBalances(message.accountKeys, this.tokenAccounts),
+        logMessages: []
+      }
+    });
+    this.history.push(signature);
+
+    return signature;
+  }
+
+  async sendRawTransaction(rawTransaction) {
+    return this.sendTransaction(Transaction.from(rawTransaction));
+  }
+
+  async confirmTransaction(strategy) {
+    const signature = typeof strategy === 'string' ? strategy : strategy.signature;
+    const record = this.transactions.get(signature);
+    return {
+      context: { slot: this.slot },
+      value: { err: record ? record.meta.err : 'Transaction not found' }
+    };
+  }
+
+  async getSignatureStatuses(signatures) {
+    return {
+      context: { slot: this.slot },
+      value: signatures.map(signature => {
+        const record = this.transactions.get(signature);
+        if (!record) return null;
+        return {
+          slot: record.slot,
+          confirmations: this.confirmationStatus(record) === 'finalized' ? null : this.slot - record.slot,
+          err: record.meta.err,
+          confirmationStatus: this.confirmationStatus(record)
+        };
+      })
+    };
+  }
+
+  async getSignatureStatus(signature) {
+    const { context, value } = await this.getSignatureStatuses([signature]);
+    return { context, value: value[0] };
+  }
+
+  /**
+   * Newest-first signatures of transactions that include `address` (e.g. a Solana Pay reference)
+   */
+  async getSignaturesForAddress(address, options = {}, commitment = this.commitment) {
+    const key = toKey(address);
+    const limit = options.limit || 1000;
+    const results = [];
+    let started = !options.before;
+
+    for (let index = this.history.length - 1; index >= 0 && results.length < limit; index--) {
+      const record = this.transactions.get(this.history[index]);
+
+      if (!started) {
+        started = record.signature === options.before;
+        continue;
+      }
+      if (record.signature === options.until) {
+        break;
+      }
+      if (!record.accountKeys.has(key) || !this.meetsCommitment(record, commitment)) {
+        continue;
+      }
+
+      results.push({
+        signature: record.signature,
+        slot: record.slot,
+        blockTime: record.blockTime,
+        err: record.meta.err,
+        memo: null,
+        confirmationStatus: this.confirmationStatus(record)
+      });
+    }
+
+    return results;
+  }
+
+  async getTransaction(signature, options = {}) {
+    const record = this.transactions.get(signature);
+    if (!record || !this.meetsCommitment(record, options.commitment || this.commitment)) {
+      return null;
+    }
+
+    return {
+      slot: record.slot,
+      blockTime: record.blockTime,
+      transaction: record.transaction,
+      meta: record.meta
+    };
+  }
+
+  async getConfirmedTransaction(signature) {
+    return this.getTransaction(signature);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  executeInstruction(instruction, index, state) {
+    const { programId } = instruction;
+
+    if (programId.equals(SystemProgram.programId)) {
+      if (SystemInstruction.decodeInstructionType(instruction) !== 'Transfer') {
+        throw new LedgerInstructionError(index, 'unsupported system instruction');
+      }
+      const { fromPubkey, toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+      const from = fromPubkey.toBase58();
+      const balance = state.lamports.get(from) || 0n;
+      if (balance < BigInt(lamports)) {
+        throw new LedgerInstructionError(index, 'insufficient lamports');
+      }
+      state.lamports.set(from, balance - BigInt(lamports));
+      state.lamports.set(toPubkey.toBase58(), (state.lamports.get(toPubkey.toBase58()) || 0n) + BigInt(lamports));
+      return;
+    }
+
+    if (programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+      // keys: payer, associated account, owner, mint; data [] = create, [1] = create idempotent
+      const [, account, owner, mint] = instruction.keys.map(key => key.pubkey);
+      const idempotent = instruction.data.length > 0 && instruction.data[0] === 1;
+
+      if (!this.mints.has(mint.toBase58())) {
+        throw new LedgerInstructionError(index, `unknown mint ${mint.toBase58()}`);
+      }
+      if (!getAssociatedTokenAddressSync(mint, owner, true).equals(account)) {
+        throw new LedgerInstructionError(index, 'associated token address mismatch');
+      }
+      if (state.tokenAccounts.has(account.toBase58())) {
+        if (!idempotent) {
+          throw new LedgerInstructionError(index, 'account already in use');
+        }
+        return;
+      }
+      state.tokenAccounts.set(account.toBase58(), { owner: owner.toBase58(), mint: mint.toBase58(), amount: 0n });
+      return;
+    }
+
+    if (programId.equals(TOKEN_PROGRAM_ID)) {
+      let decoded;
+      try {
+        decoded = decodeInstruction(instruction);
+      } catch (error) {
+        throw new LedgerInstructionError(index, `invalid token instruction (${error.name})`);
+      }
+      if (!isTransferInstruction(decoded) && !isTransferCheckedInstruction(decoded)) {
+        throw new LedgerInstructionError(index, 'unsupported token instruction');
+      }
+
+      const { source, destination, owner } = decoded.keys;
+      const from = state.tokenAccounts.get(source.pubkey.toBase58());
+      const to = state.tokenAccounts.get(destination.pubkey.toBase58());
+      if (!from || !to) {
+        throw new LedgerInstructionError(index, 'token account not found');
+      }
+      if (from.mint !== to.mint) {
+        throw new LedgerInstructionError(index, 'token accounts have different mints');
+      }
+      if (isTransferCheckedInstruction(decoded) &&
+          (decoded.keys.mint.pubkey.toBase58() !== from.mint || decoded.data.decimals !== this.mints.get(from.mint).decimals)) {
+        throw new LedgerInstructionError(index, 'mint or decimals mismatch');
+      }
+      if (owner.pubkey.toBase58() !== from.owner) {
+        throw new LedgerInstructionError(index, 'owner does not match');
+      }
+
+      const amount = BigInt(decoded.data.amount);
+      if (from.amount < amount) {
+        throw new LedgerInstructionError(index, 'insufficient funds');
+      }
+      from.amount -= amount;
+      to.amount += amount;
+      return;
+    }
+
+    if (programId.equals(MEMO_PROGRAM_ID) || programId.equals(ComputeBudgetProgram.programId)) {
+      return;
+    }
+
+    throw new LedgerInstructionError(index, `unsupported program ${programId.toBase58()}`);
+  }
+
+  tokenBalances(accountKeys, tokenAccounts) {
+    return accountKeys.map((key, accountIndex) => {
+      const account = tokenAccounts.get(key.toBase58());
+      if (!account) return null;
+      return {
+        accountIndex,
+        mint: account.mint,
+        owner: account.owner,
+        uiTokenAmount: formatTokenAmount(account.amount, this.mints.get(account.mint).decimals)
+      };
+    }).filter(Boolean);
+  }
+
+  confirmationStatus(record) {
+    const depth = this.slot - record.slot;
+    if (depth >= this.finalizationDepth) return 'finalized';
+    if (depth >= this.confirmationDepth) return 'confirmed';
+    return 'processed';
+  }
+
+  meetsCommitment(record, commitment = 'finalized') {
+    return COMMITMENT_LEVELS.indexOf(this.confirmationStatus(record)) >=
+      Math.max(0, COMMITMENT_LEVELS.indexOf(commitment));
+  }
+
+  generateBlockhash() {
+    return new PublicKey(crypto.randomBytes(32)).toBase58();
+  }
+
+  generateSignature() {
+    return encodeBase58(crypto.randomBytes(64));
+  }
+}
+
+InMemoryLedger.LedgerInstructionError = LedgerInstructionError;
+
+module.exports = InMemoryLedger;
@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const QRCode = require('qrcode');
+const Invoice = require('../models/Invoice');
+const Business = require('../models/Business');
+const paymentIntentService = require('./paymentIntentService');
+const SolanaPayService = require('./solanaPayService');
+const { roundUSDC, validatePaymentAmount } = require('../config/payments');
+
+/**
+ * InvoiceService - invoices and shareable payment links for remote orders
+ *
+ * Businesses create an invoice (line items, memo, due date, customer email) and share
+ * its /pay/:invoiceId link. The public page asks for a Solana Pay request, which is
+ * tracked as a PaymentIntent linked to the invoice; when that intent is confirmed the
+ * invoice is marked paid. Unpaid invoices past their due date become overdue.
+ */
+class InvoiceService {
+  constructor(intentService = paymentIntentService, solanaPayService = new SolanaPayService()) {
+    this.intentService = intentService;
+    this.solanaPayService = solanaPayService;
+    this.overdueSweepInterval = null;
+
+    // Base URL of the public /pay/:invoiceId page
+    this.publicAppUrl = process.env.PUBLIC_APP_URL || 'https://app.pizzabit.io';
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/invoices.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+
+    this.intentService.on('status:confirmed', event => {
+      this.handlePaymentConfirmed(event).catch(error => {
+        this.logger.error('Invoice payment update failed', {
+          reference: event.intent?.reference,
+          error: error.message
+        });
+      });
+    });
+  }
+
+  generateInvoiceId() {
+    return `inv_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  getPaymentLink(invoice) {
+    return `${this.publicAppUrl}/pay/${invoice.invoiceId}`;
+  }
+
+  /**
+   * Price line items and total them
+   * @param {Array} items - [{ description, quantity, unitPrice }]
+   * @returns {Object} { lineItems, amount }
+   */
+  buildLineItems(items = []) {
+    const lineItems = items.map(item => {
+      const quantity = parseInt(item.quantity) || 1;
+      const unitPrice = roundUSDC(item.unitPrice);
+
+      return {
+        description: String(item.description).trim(),
+        quantity,
+        unitPrice,
+        amount: roundUSDC(quantity * unitPrice)
+      };
+    });
+
+    const amount = roundUSDC(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    return { lineItems, amount };
+  }
+
+  /**
+   * Create an invoice or payment link
+   * @param {Object} invoiceData - Invoice parameters
+   * @returns {Object} Created Invoice document
+   */
+  async createInvoice(invoiceData) {
+    const {
+      businessId,
+      createdBy = null,
+      kind = 'invoice',
+      lineItems: items = [],
+      amount: requestedAmount,
+      memo = null,
+      dueDate = null,
+      customerEmail = null
+    } = invoiceData;
+
+    // Line items define the total; a bare amount is allowed for simple payment links
+    const { lineItems, amount } = items.length > 0
+      ? this.buildLineItems(items)
+      : { lineItems: [], amount: Number(requestedAmount) };
+
+    if (items.length > 0 && requestedAmount !== undefined && roundUSDC(requestedAmount) !== amount) {
+      throw new Error(`Amount does not match line item total of $${amount}`);
+    }
+
+    const amountCheck = validatePaymentAmount(amount);
+    if (!amountCheck.valid) {
+      throw new Error(amountCheck.error);
+    }
+
+    if (dueDate && new Date(dueDate) <= new Date()) {
+      throw new Error('Due date must be in the future');
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      throw new Error('Business not found');
+    }
+
+    if (!business.businessWallet?.publicKey) {
+      throw new Error('Business wallet not linked. Please connect your wallet first.');
+    }
+
+    const invoice = await Invoice.create({
+      invoiceId: this.generateInvoiceId(),
+      businessId,
+      createdBy,
+      kind,
+      lineItems,
+      amount: amountCheck.amount,
+      memo,
+      dueDate,
+      customerEmail
+    });
+
+    this.logger.info('Invoice created', {
+      invoiceId: invoice.invoiceId,
+      businessId,
+      kind,
+      amount: invoice.amount,
+      dueDate
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Get an invoice, marking it overdue first if its due date passed
+   * @param {string} invoiceId - Public invoice ID
+   * @returns {Object|null} Invoice document
+   */
+  async getInvoice(invoiceId) {
+    const invoice = await Invoice.findByInvoiceId(invoiceId);
+    if (!invoice || !invoice.isPastDue()) {
+      return invoice;
+    }
+
+    return (await this.markOverdue(invoice)) || Invoice.findByInvoiceId(invoiceId);
+  }
+
+  /**
+   * List a business's invoices, newest first
+   * @param {string} businessId - Business ID
+   * @param {Object} options - { status, limit }
+   * @returns {Array} Invoice documents
+   */
+  async listInvoices(businessId, { status = null, limit = 50 } = {}) {
+    await this.markOverdueInvoices({ businessId });
+
+    const filter = { businessId };
+    if (status) {
+      filter.status = status;
+    }
+
+    return Invoice.find(filter).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Issue (or reuse) the Solana Pay request for an invoice
+   * @param {string} invoiceId - Public invoice ID
+   * @returns {Object} { invoice, business, intent, paymentURL, qrCode }
+   */
+  async preparePayment(invoiceId) {
+    const invoice = await this.getInvoice(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    if (!invoice.isPayable()) {
+      throw new Error(`Invoice is ${invoice.status}`);
+    }
+
+    const business = await Business.findById(invoice.businessId);
+    if (!business?.businessWallet?.publicKey) {
+      throw new Error('Business is not accepting payments');
+    }
+
+    // Keep showing the same QR while its payment window is open
+    if (invoice.paymentReference) {
+      const current = await this.intentService.getIntent(invoice.paymentReference);
+      if (current && current.isOpen()) {
+        return {
+          invoice,
+          business,
+          intent: current,
+          paymentURL: current.paymentUrl,
+          qrCode: await QRCode.toDataURL(current.paymentUrl)
+        };
+      }
+    }
+
+    const paymentRequest = await this.solanaPayService.createPaymentRequest({
+      recipient: business.businessWallet.publicKey,
+      amount: invoice.amount,
+      splToken: this.solanaPayService.usdcMint.toString(), // USDC
+      label: business.businessName || 'Pizza Platform',
+      message: `Invoice ${invoice.invoiceId} - $${invoice.amount} USDC`,
+      memo: invoice.memo || invoice.invoiceId
+    });
+
+    if (!paymentRequest.success) {
+      throw new Error(paymentRequest.error || 'Failed to create payment request');
+    }
+
+    const intent = await this.intentService.createIntent({
+      reference: paymentRequest.referencePublicKey,
+      businessId: business._id,
+      amount: invoice.amount,
+      createdBy: invoice.createdBy,
+      paymentUrl: paymentRequest.paymentURL,
+      memo: paymentRequest.memo,
+      invoiceId: invoice._id
+    });
+
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: ['open', 'overdue'] } },
+      { $set: { paymentReference: intent.reference } },
+      { new: true }
+    );
+
+    this.logger.info('Invoice payment request issued', {
+      invoiceId: invoice.invoiceId,
+      reference: intent.reference,
+      amount: invoice.amount
+    });
+
+    return {
+      invoice: updated || invoice,
+      business,
+      intent,
+      paymentURL: paymentRequest.paymentURL,
+      qrCode: await QRCode.toDataURL(paymentRequest.paymentURL)
+    };
+  }
+
+  /**
+   * Mark the linked invoice paid when its payment intent is confirmed
+   * @param {Object} event - { intent }
+   */
+  async handlePaymentConfirmed({ intent }) {
+    if (!intent?.invoiceId) {
+      return null;
+    }
+
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: intent.invoiceId, status: { $in: ['open', 'overdue'] } },
+      {
+        $set: {
+          status: 'paid',
+          paidAt: new Date(),
+          paymentReference: intent.reference,
+          transactionId: intent.transactionId,
+          signature: intent.signature,
+          customerWallet: intent.customerWallet
+        }
+      },
+      { new: true }
+    );
+
+    if (!invoice) {
+      // Already paid through another request or voided - the business can refund it
+      this.logger.warn('Payment confirmed for closed invoice', {
+        invoiceId: intent.invoiceId.toString(),
+        reference: intent.reference
+      });
+      return null;
+    }
+
+    this.logger.info('Invoice paid', {
+      invoiceId: invoice.invoiceId,
+      reference: intent.reference,
+      amount: invoice.amount
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Void an unpaid invoice and cancel its open payment request
+   * @param {string} invoiceId - Public invoice ID
+   * @param {string} businessId - Owning business
+   * @param {string} reason - Void reason
+   * @returns {Object} Updated Invoice document
+   */
+  async voidInvoice(invoiceId, businessId, reason = 'Voided by merchant') {
+    const invoice = await Invoice.findOneAndUpdate(
+      { invoiceId, businessId, status: { $in: ['open', 'overdue'] } },
+      { $set: { status: 'void', voidedAt: new Date(), voidReason: reason } },
+      { new: true }
+    );
+
+    if (!invoice) {
+      const existing = await Invoice.findOne({ invoiceId, businessId });
+      throw new Error(existing ? `Invoice is already ${existing.status}` : 'Invoice not found');
+    }
+
+    if (invoice.paymentReference) {
+      try {
+        await this.intentService.cancel(invoice.paymentReference, { reason: 'Invoice voided' });
+      } catch (error) {
+        // Request already expired or paid - nothing left to cancel
+        this.logger.warn('Invoice payment request not cancelled', {
+          invoiceId,
+          reference: invoice.paymentReference,
+          error: error.message
+        });
+      }
+    }
+
+    this.logger.info('Invoice voided', { invoiceId, businessId, reason });
+
+    return invoice;
+  }
+
+  async markOverdue(invoice) {
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: 'open', dueDate: { $lt: new Date() } },
+      { $set: { status: 'overdue', overdueAt: new Date() } },
+      { new: true }
+    );
+
+    if (updated) {
+      this.logger.info('Invoice overdue', { invoiceId: updated.invoiceId, dueDate: updated.dueDate });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Mark every open invoice past its due date as overdue
+   * @param {Object} filter - Optional extra filter (e.g. { businessId })
+   * @returns {number} Number of invoices marked overdue
+   */
+  async markOverdueInvoices(filter = {}) {
+    const result = await Invoice.updateMany(
+      { ...filter, status: 'open', dueDate: { $lt: new Date() } },
+      { $set: { status: 'overdue', overdueAt: new Date() } }
+    );
+
+    const overdue = result.modifiedCount || 0;
+    if (overdue > 0) {
+      this.logger.info('Marked invoices overdue', { overdue });
+    }
+
+    return overdue;
+  }
+
+  /**
+   * Public view rendered on the /pay/:invoiceId page
+   * @param {Object} invoice - Invoice document
+   * @param {Object} business - Business document
+   * @returns {Object} Invoice payload without internal IDs or customer contact details
+   */
+  toPublic(invoice, business = null) {
+    return {
+      invoiceId: invoice.invoiceId,
+      kind: invoice.kind,
+      businessName: business?.businessName || null,
+      lineItems: invoice.lineItems.map(({ description, quantity, unitPrice, amount }) => ({
+        description, quantity, unitPrice, amount
+      })),
+      amount: invoice.amount,
+      currency: invoice.currency,
+      memo: invoice.memo || null,
+      dueDate: invoice.dueDate || null,
+      status: invoice.status,
+      payable: invoice.isPayable(),
+      paidAt: invoice.paidAt || null,
+      signature: invoice.signature || null
+    };
+  }
+
+  /**
+   * Start periodic overdue sweep
+   * @param {number} intervalMs - Sweep interval
+   */
+  startOverdueSweep(intervalMs = 5 * 60 * 1000) {
+    if (this.overdueSweepInterval) {
+      return;
+    }
+
+    this.overdueSweepInterval = setInterval(() => {
+      this.markOverdueInvoices().catch(error => {
+        this.logger.error('Invoice overdue sweep failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.overdueSweepInterval.unref();
+  }
+
+  stopOverdueSweep() {
+    if (this.overdueSweepInterval) {
+      clearInterval(this.overdueSweepInterval);
+      this.overdueSweepInterval = null;
+    }
+  }
+}
+
+// Shared instance so invoices follow the shared payment intent events
+module.exports = new InvoiceService();
@@ -0,0 +1,96 @@
+const { PublicKey, TransactionInstruction } = require('@solana/web3.js');
+const fetch = require('node-fetch');
+
+/**
+ * Jupiter Client - thin wrapper over the Jupiter v6 HTTP API
+ *
+ * Every Jupiter call goes through here so it can be pointed at a mock server
+ * (JUPITER_QUOTE_API) or handed a stub `fetch` in tests - no live API needed offline.
+ */
+class JupiterClient {
+  /**
+   * @param {Object} options - { baseUrl, swapUrl, fetch }
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.JUPITER_QUOTE_API || 'https://quote-api.jup.ag/v6').replace(/\/$/, '');
+    this.swapUrl = options.swapUrl || process.env.JUPITER_SWAP_API || `${this.baseUrl}/swap`;
+    this.fetch = options.fetch || fetch;
+  }
+
+  /**
+   * Get a swap quote
+   * @param {Object} params - { inputMint, outputMint, amount (atomic units), swapMode, slippageBps, maxAccounts, asLegacyTransaction }
+   * @returns {Object} Jupiter quote response
+   */
+  async getQuote(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query.append(key, value.toString());
+      }
+    });
+
+    const response = await this.fetch(`${this.baseUrl}/quote?${query}`);
+    const quote = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Jupiter quote failed: ${quote.error || response.statusText}`);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Get a serialized swap transaction for a quote
+   * @param {Object} body - { quoteResponse, userPublicKey, ... }
+   * @returns {Object} { swapTransaction, lastValidBlockHeight }
+   */
+  async getSwapTransaction(body) {
+    return this.post(this.swapUrl, body, 'Jupiter swap');
+  }
+
+  /**
+   * Get the individual instructions for a quote so they can be combined with other transfers
+   * @param {Object} body - { quoteResponse, userPublicKey, ... }
+   * @returns {Object} { computeBudgetInstructions, setupInstructions, swapInstruction, cleanupInstruction, addressLookupTableAddresses }
+   */
+  async getSwapInstructions(body) {
+    return this.post(`${this.baseUrl}/swap-instructions`, body, 'Jupiter swap instructions');
+  }
+
+  async post(url, body, label) {
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`${label} failed: ${result.error || response.statusText}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert an instruction from the Jupiter API into a TransactionInstruction
+   * @param {Object} instruction - { programId, accounts: [{ pubkey, isSigner, isWritable }], data (base64) }
+   * @returns {TransactionInstruction}
+   */
+  static toInstruction(instruction) {
+    return new TransactionInstruction({
+      programId: new PublicKey(instruction.programId),
+      keys: instruction.accounts.map(account => ({
+        pubkey: new PublicKey(account.pubkey),
+        isSigner: account.isSigner,
+        isWritable: account.isWritable
+      })),
+      data: Buffer.from(instruction.data, 'base64')
+    });
+  }
+}
+
+module.exports = JupiterClient;
@@ -0,0 +1,988 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('@solana/spl-token');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const Transaction = require('../models/Transaction');
+const Business = require('../models/Business');
+const User = require('../models/User');
+const Vault = require('../models/Vault');
+const { ledgerConfig, roundUSDC, calculateReward } = require('../config/payments');
+const { getChainAdapter } = require('./chainAdapter');
+
+/**
+ * Chart of accounts
+ *
+ * `*` segments are filled with a Business or User ID. Accounts with an addressEnv are
+ * reconciled against that wallet's token balance (the vault buckets share one wallet).
+ */
+const CHART_OF_ACCOUNTS = {
+  // Platform (USDC)
+  'platform:fee_wallet': { name: 'Platform fee wallet', type: 'asset', currency: 'USDC', ownerType: 'platform', addressEnv: 'PLATFORM_FEE_WALLET' },
+  'platform:fee_revenue': { name: 'Platform fee revenue', type: 'revenue', currency: 'USDC', ownerType: 'platform' },
+  'platform:staking_yield': { name: 'Platform share of staking yield', type: 'revenue', currency: 'USDC', ownerType: 'platform' },
+  'platform:opening_balance_usdc': { name: 'Opening balances (USDC)', type: 'equity', currency: 'USDC', ownerType: 'platform' },
+  'platform:reward_costs': { name: 'Reward costs funded by the vault', type: 'expense', currency: 'USDC', ownerType: 'platform' },
+  'platform:gift_card_costs': { name: 'Gift card redemptions funded by the vault', type: 'expense', currency: 'USDC', ownerType: 'platform' },
+  'platform:vault_withdrawals': { name: 'Emergency withdrawals from the vault', type: 'equity', currency: 'USDC', ownerType: 'platform' },
+
+  // Unified platform vault (USDC)
+  'vault:rewards': { name: 'Vault - reward allocation', type: 'asset', currency: 'USDC', ownerType: 'vault', addressEnv: 'PLATFORM_VAULT_ADDRESS' },
+  'vault:gift_cards': { name: 'Vault - gift card allocation', type: 'asset', currency: 'USDC', ownerType: 'vault', addressEnv: 'PLATFORM_VAULT_ADDRESS' },
+  'vault:surplus': { name: 'Vault - surplus', type: 'asset', currency: 'USDC', ownerType: 'vault', addressEnv: 'PLATFORM_VAULT_ADDRESS' },
+  'vault:staked': { name: 'Vault - staked in Kamino', type: 'asset', currency: 'USDC', ownerType: 'vault' },
+
+  // Treasury, rewards and gift cards ($PIZZA SPL)
+  'treasury:pizza': { name: 'Treasury $PIZZA SPL', type: 'asset', currency: 'PIZZA', ownerType: 'platform', addressEnv: 'TREASURY_WALLET_ADDRESS' },
+  'rewards:clawbacks_receivable': { name: 'Reward clawbacks receivable', type: 'asset', currency: 'PIZZA', ownerType: 'platform' },
+  'gift_cards:outstanding': { name: 'Outstanding gift card value', type: 'liability', currency: 'PIZZA', ownerType: 'platform' },
+  'platform:opening_balance_pizza': { name: 'Opening balances ($PIZZA SPL)', type: 'equity', currency: 'PIZZA', ownerType: 'platform' },
+
+  // Per business
+  'business:*:wallet': { name: 'Merchant settlement wallet receipts', type: 'asset', currency: 'USDC', ownerType: 'business' },
+  'business:*:net_sales': { name: 'Merchant net sales', type: 'equity', currency: 'USDC', ownerType: 'business' },
+  'business:*:vault_contributions': { name: 'Merchant vault contributions', type: 'equity', currency: 'USDC', ownerType: 'business' },
+  'business:*:vault_reversals_due': { name: 'Vault contributions reversed by refunds', type: 'liability', currency: 'USDC', ownerType: 'business' },
+  'business:*:staking_dividends': { name: 'Merchant staking dividends', type: 'liability', currency: 'USDC', ownerType: 'business' },
+  'business:*:gift_cards_issued': { name: 'Merchant gift cards issued', type: 'expense', currency: 'PIZZA', ownerType: 'business' },
+
+  // Per customer
+  'user:*:rewards_earned': { name: 'Customer rewards earned', type: 'expense', currency: 'PIZZA', ownerType: 'user' }
+};
+
+// Vault bucket (Vault.BUCKETS) -> ledger account
+const VAULT_BUCKET_ACCOUNTS = {
+  rewards: 'vault:rewards',
+  giftCards: 'vault:gift_cards',
+  surplus: 'vault:surplus'
+};
+
+/**
+ * LedgerService - double-entry ledger for platform, vault and merchant balances
+ *
+ * Business events post balanced, append-only JournalEntries; every balance is the sum of
+ * the lines posted to an account. The counters other models keep for display
+ * (Business.vaultContribution.totalContributed, User.payments.pizzaSPLRewardsEarned, Vault.balances)
+ * are projections re-derived from the ledger after each posting, never incremented.
+ */
+class LedgerService {
+  constructor(chain = null) {
+    this.chain = chain;
+    this.config = ledgerConfig;
+    // Account codes known to exist in this process
+    this.knownAccounts = new Set();
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/ledger.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Chain adapter is resolved lazily - only reconciliation talks to Solana
+   */
+  getChain() {
+    if (!this.chain) {
+      this.chain = getChainAdapter();
+    }
+    return this.chain;
+  }
+
+  generateEntryId() {
+    return `je_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * Chart definition for an account code
+   * @param {string} code - Account code
+   * @returns {Object} { name, type, currency, ownerType, ownerId, addressEnv }
+   */
+  resolveAccount(code) {
+    if (CHART_OF_ACCOUNTS[code]) {
+      return { ...CHART_OF_ACCOUNTS[code], ownerId: null };
+    }
+
+    const [prefix, ownerId, suffix] = code.split(':');
+    const definition = CHART_OF_ACCOUNTS[`${prefix}:*:${suffix}`];
+    if (!definition || !mongoose.Types.ObjectId.isValid(ownerId)) {
+      throw new Error(`Unknown ledger account ${code}`);
+    }
+
+    return { ...definition, ownerId };
+  }
+
+  /**
+   * Create ledger accounts that have not been used yet
+   * @param {Array<string>} codes - Account codes
+   */
+  async ensureAccounts(codes) {
+    const missing = [...new Set(codes)].filter(code => !this.knownAccounts.has(code));
+    if (missing.length === 0) {
+      return;
+    }
+
+    await LedgerAccount.bulkWrite(missing.map(code => {
+      const { name, type, currency, ownerType, ownerId, addressEnv } = this.resolveAccount(code);
+      return {
+        updateOne: {
+          filter: { code },
+          update: {
+            $setOnInsert: {
+              code,
+              name,
+              type,
+              currency,
+              ownerType,
+              ownerId,
+              onChainAddress: addressEnv ? process.env[addressEnv] || null : null
+            }
+          },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+
+    missing.forEach(code => this.knownAccounts.add(code));
+  }
+
+  /**
+   * Post a balanced journal entry
+   * Zero-amount lines are dropped; an event that moves nothing posts nothing. Posting the
+   * same eventKey again returns the entry already recorded.
+   * @param {Object} entryData - { eventType, eventKey, currency, lines: [{ account, debit | credit, memo }], description, postedAt, transactionId, businessId, userId, signature, reverses, metadata }
+   * @returns {Object} JournalEntry, or null when there was nothing to post
+   */
+  async post(entryData) {
+    const { eventType, eventKey, currency, description, postedAt, reverses = null, metadata = {} } = entryData;
+
+    const lines = entryData.lines
+      .map(line => ({
+        account: line.account,
+        debit: roundUSDC(line.debit || 0),
+        credit: roundUSDC(line.credit || 0),
+        memo: line.memo
+      }))
+      .filter(line => line.debit > 0 || line.credit > 0);
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    for (const line of lines) {
+      const account = this.resolveAccount(line.account);
+      if (account.currency !== currency) {
+        throw new Error(`Ledger account ${line.account} is ${account.currency}, not ${currency}`);
+      }
+    }
+
+    const existing = await JournalEntry.findOne({ eventKey });
+    if (existing) {
+      return existing;
+    }
+
+    await this.ensureAccounts(lines.map(line => line.account));
+
+    let entry;
+    try {
+      entry = await JournalEntry.create({
+        entryId: this.generateEntryId(),
+        eventType,
+        eventKey,
+        currency,
+        description,
+        lines,
+        postedAt: postedAt || new Date(),
+        transactionId: this.asObjectId(entryData.transactionId),
+        businessId: this.asObjectId(entryData.businessId),
+        userId: this.asObjectId(entryData.userId),
+        signature: entryData.signature,
+        reverses,
+        metadata
+      });
+    } catch (error) {
+      // Posted concurrently by another worker
+      if (error.code === 11000 && error.keyPattern?.eventKey) {
+        return JournalEntry.findOne({ eventKey });
+      }
+      throw error;
+    }
+
+    this.logger.info('Journal entry posted', {
+      entryId: entry.entryId,
+      eventType,
+      eventKey,
+      currency,
+      amount: this.getEntryAmount(entry)
+    });
+
+    await this.syncProjections(entry.lines.map(line => line.account));
+
+    return entry;
+  }
+
+  asObjectId(value) {
+    const id = value?._id || value;
+    return id && mongoose.Types.ObjectId.isValid(id) && String(id).length === 24 ? id : undefined;
+  }
+
+  getEntryAmount(entry) {
+    return roundUSDC(entry.lines.reduce((sum, line) => sum + line.debit, 0));
+  }
+
+  /**
+   * Split a vault contribution over the vault buckets
+   * The reward bucket receives the reward cost of the order, the gift card bucket a fixed
+   * share, and the surplus whatever is left.
+   * @param {number} contribution - Vault contribution in USDC
+   * @param {number} feeBase - Order total excluding tips
+   * @returns {Object} { rewards, giftCards, surplus }
+   */
+  allocateVaultContribution(contribution, feeBase) {
+    const giftCards = roundUSDC(contribution * this.config.giftCardAllocationRate);
+    const rewards = roundUSDC(Math.max(0, Math.min(calculateReward(feeBase).rewardCost, contribution - giftCards)));
+
+    return {
+      rewards,
+      giftCards,
+      surplus: roundUSDC(contribution - giftCards - rewards)
+    };
+  }
+
+  /**
+   * Confirmed payment: the business share, platform fee and vault contribution
+   * @param {Object} transaction - Confirmed payment Transaction
+   */
+  async recordPayment(transaction) {
+    if (!transaction || transaction.type !== 'payment' || transaction.status !== 'confirmed') {
+      return null;
+    }
+
+    const businessId = String(transaction.businessId?._id || transaction.businessId);
+    const amount = roundUSDC(transaction.amount);
+    const platformFee = roundUSDC(transaction.fees?.platformFee || 0);
+    const vaultContribution = roundUSDC(transaction.fees?.vaultContribution || 0);
+    const netAmount = roundUSDC(amount - platformFee - vaultContribution);
+    const vault = this.allocateVaultContribution(vaultContribution, roundUSDC(amount - (transaction.tipAmount || 0)));
+
+    return this.post({
+      eventType: 'payment',
+      eventKey: `payment:${transaction._id}`,
+      currency: 'USDC',
+      description: `Payment ${transaction.paymentReference || transaction.signature}`,
+      postedAt: transaction.blockTime || transaction.createdAt,
+      transactionId: transaction._id,
+      businessId,
+      userId: transaction.userId,
+      signature: transaction.signature,
+      lines: [
+        { account: `business:${businessId}:wallet`, debit: netAmount },
+        { account: 'platform:fee_wallet', debit: platformFee },
+        { account: 'vault:rewards', debit: vault.rewards },
+        { account: 'vault:gift_cards', debit: vault.giftCards },
+        { account: 'vault:surplus', debit: vault.surplus },
+        { account: `business:${businessId}:net_sales`, credit: netAmount },
+        { account: 'platform:fee_revenue', credit: platformFee },
+        { account: `business:${businessId}:vault_contributions`, credit: vaultContribution }
+      ],
+      metadata: { amount, tipAmount: transaction.tipAmount || 0, scheduleVersion: transaction.fees?.scheduleVersion }
+    });
+  }
+
+  /**
+   * Refund: the merchant pays the customer back and the vault owes the merchant the
+   * reversed share of the contribution
+   * @param {Object} refundTransaction - Confirmed refund Transaction
+   */
+  async recordRefund(refundTransaction) {
+    if (!refundTransaction || refundTransaction.type !== 'refund' || refundTransaction.status !== 'confirmed') {
+      return null;
+    }
+
+    const businessId = String(refundTransaction.businessId?._id || refundTransaction.businessId);
+    const amount = roundUSDC(refundTransaction.amount);
+    const vaultContributionReversed = roundUSDC(refundTransaction.refund?.vaultContributionReversed || 0);
+
+    return this.post({
+      eventType: 'refund',
+      eventKey: `refund:${refundTransaction._id}`,
+      currency: 'USDC',
+      description: `Refund of payment ${refundTransaction.refund?.originalTransactionId}`,
+      postedAt: refundTransaction.blockTime || refundTransaction.createdAt,
+      transactionId: refundTransaction._id,
+      businessId,
+      userId: refundTransaction.userId,
+      signature: refundTransaction.signature,
+      lines: [
+        { account: `business:${businessId}:net_sales`, debit: amount },
+        { account: `business:${businessId}:wallet`, credit: amount },
+        { account: `business:${businessId}:vault_contributions`, debit: vaultContributionReversed },
+        { account: `business:${businessId}:vault_reversals_due`, credit: vaultContributionReversed }
+      ],
+      metadata: { originalTransactionId: String(refundTransaction.refund?.originalTransactionId || '') }
+    });
+  }
+
+  /**
+   * $PIZZA SPL reward paid to a customer from the treasury
+   * @param {Object} rewardData - { userId, amount, transactionId, signature, postedAt }
+   */
+  async recordReward(rewardData) {
+    const { userId, amount, transactionId, signature, postedAt } = rewardData;
+
+    return this.post({
+      eventType: 'reward',
+      eventKey: `reward:${transactionId || signature}`,
+      currency: 'PIZZA',
+      description: 'Payment reward',
+      postedAt,
+      transactionId,
+      userId,
+      signature,
+      lines: [
+        { account: `user:${userId}:rewards_earned`, debit: amount },
+        { account: 'treasury:pizza', credit: amount }
+      ],
+      metadata: { sourceId: String(transactionId || signature) }
+    });
+  }
+
+  /**
+   * Referral bonus delivered to a referrer or referred customer
+   * @param {Object} bonusData - { userId, amount, referralId, transactionId, signature }
+   */
+  async recordReferralBonus(bonusData) {
+    const { userId, amount, referralId, transactionId, signature } = bonusData;
+
+    return this.post({
+      eventType: 'referral_bonus',
+      eventKey: `referral_bonus:${referralId}:${userId}`,
+      currency: 'PIZZA',
+      description: 'Referral bonus',
+      transactionId,
+      userId,
+      signature,
+      lines: [
+        { account: `user:${userId}:rewards_earned`, debit: amount },
+        { account: 'treasury:pizza', credit: amount }
+      ],
+      metadata: { referralId }
+    });
+  }
+
+  /**
+   * Reward clawback for a refund - the customer owes the reward share back
+   * @param {Object} clawbackData - { userId, amount, deducted, outstanding, refundTransactionId, transactionId }
+   */
+  async recordRewardClawback(clawbackData) {
+    const { userId, amount, deducted = 0, outstanding = 0, refundTransactionId, transactionId } = clawbackData;
+
+    return this.post({
+      eventType: 'reward_clawback',
+      eventKey: `reward_clawback:${refundTransactionId || transactionId}`,
+      currency: 'PIZZA',
+      description: 'Reward clawed back for a refund',
+      transactionId: refundTransactionId || transactionId,
+      userId,
+      lines: [
+        { account: 'rewards:clawbacks_receivable', debit: amount },
+        { account: `user:${userId}:rewards_earned`, credit: amount }
+      ],
+      metadata: { deducted, outstanding, paymentTransactionId: String(transactionId || '') }
+    });
+  }
+
+  /**
+   * Gift card minted - the business issues card value owed to the holder
+   * @param {Object} cardData - { businessId, cardId, amount, postedAt }
+   */
+  async recordGiftCardMint(cardData) {
+    const { businessId, cardId, amount, postedAt } = cardData;
+
+    return this.post({
+      eventType: 'gift_card_mint',
+      eventKey: `gift_card_mint:${cardId}`,
+      currency: 'PIZZA',
+      description: `Gift card ${cardId} minted`,
+      postedAt,
+      businessId,
+      lines: [
+        { account: `business:${businessId}:gift_cards_issued`, debit: amount },
+        { account: 'gift_cards:outstanding', credit: amount }
+      ],
+      metadata: { cardId }
+    });
+  }
+
+  /**
+   * Gift card value redeemed - paid out of the treasury
+   * @param {Object} redemptionData - { businessId, cardId, amount, redemptionId, userId, signature }
+   */
+  async recordGiftCardRedemption(redemptionData) {
+    const { businessId, cardId, amount, redemptionId, userId, signature } = redemptionData;
+
+    return this.post({
+      eventType: 'gift_card_redeem',
+      eventKey: `gift_card_redeem:${redemptionId || cardId}`,
+      currency: 'PIZZA',
+      description: `Gift card ${cardId} redeemed`,
+      businessId,
+      userId,
+      signature,
+      lines: [
+        { account: 'gift_cards:outstanding', debit: amount },
+        { account: 'treasury:pizza', credit: amount }
+      ],
+      metadata: { cardId }
+    });
+  }
+
+  /**
+   * Unused gift card value expired - the liability is released
+   * @param {Object} cardData - { businessId, cardId, amount }
+   */
+  async recordGiftCardExpiry(cardData) {
+    const { businessId, cardId, amount } = cardData;
+
+    return this.post({
+      eventType: 'gift_card_expiry',
+      eventKey: `gift_card_expiry:${cardId}`,
+      currency: 'PIZZA',
+      description: `Gift card ${cardId} expired`,
+      businessId,
+      lines: [
+        { account: 'gift_cards:outstanding', debit: amount },
+        { account: `business:${businessId}:gift_cards_issued`, credit: amount }
+      ],
+      metadata: { cardId }
+    });
+  }
+
+  /**
+   * Staking yield earned on the staked vault, split between the platform and merchants
+   * @param {Object} yieldData - { periodKey, amount, dividends: [{ businessId, amount }], postedAt }
+   */
+  async recordStakingYield(yieldData) {
+    const { periodKey, dividends = [], postedAt } = yieldData;
+    const amount = roundUSDC(yieldData.amount);
+    const merchantTotal = roundUSDC(dividends.reduce((sum, dividend) => sum + dividend.amount, 0));
+
+    if (merchantTotal > amount) {
+      throw new Error('Staking dividends exceed the yield');
+    }
+
+    return this.post({
+      eventType: 'staking_yield',
+      eventKey: `staking_yield:${periodKey}`,
+      currency: 'USDC',
+      description: `Kamino staking yield ${periodKey}`,
+      postedAt,
+      lines: [
+        { account: 'vault:staked', debit: amount },
+        { account: 'platform:staking_yield', credit: roundUSDC(amount - merchantTotal) },
+        ...dividends.map(dividend => ({
+          account: `business:${dividend.businessId}:staking_dividends`,
+          credit: dividend.amount
+        }))
+      ],
+      metadata: { periodKey, merchantCount: dividends.length }
+    });
+  }
+
+  /**
+   * Staking dividend paid to a merchant - the merchant share is harvested from Kamino
+   * to the vault wallet, which sends the transfer
+   * @param {Object} payoutData - { batchId, businessId, amount, signature, postedAt }
+   */
+  async recordStakingPayout(payoutData) {
+    const { batchId, businessId, signature, postedAt } = payoutData;
+    const amount = roundUSDC(payoutData.amount);
+
+    return this.post({
+      eventType: 'staking_payout',
+      eventKey: `staking_payout:${batchId}:${businessId}`,
+      currency: 'USDC',
+      description: `Staking dividend payout ${batchId}`,
+      postedAt,
+      businessId,
+      signature,
+      lines: [
+        { account: `business:${businessId}:staking_dividends`, debit: amount },
+        { account: 'vault:staked', credit: amount }
+      ],
+      metadata: { batchId }
+    });
+  }
+
+  /**
+   * Vault bucket paying for rewards or gift card redemptions
+   * @param {Object} fundingData - { bucket: 'rewards'|'giftCards', amount, fundingKey, recipient, transactionId }
+   */
+  async recordVaultFunding(fundingData) {
+    const { bucket, fundingKey, recipient = null, transactionId } = fundingData;
+    const amount = roundUSDC(fundingData.amount);
+    const costAccount = bucket === 'rewards' ? 'platform:reward_costs' : 'platform:gift_card_costs';
+
+    if (!['rewards', 'giftCards'].includes(bucket)) {
+      throw new Error(`Vault bucket ${bucket} cannot fund payouts`);
+    }
+
+    return this.post({
+      eventType: 'vault_funding',
+      eventKey: `vault_funding:${bucket}:${fundingKey}`,
+      currency: 'USDC',
+      description: `Vault ${bucket} funding ${fundingKey}`,
+      transactionId,
+      lines: [
+        { account: costAccount, debit: amount },
+        { account: VAULT_BUCKET_ACCOUNTS[bucket], credit: amount }
+      ],
+      metadata: { bucket, recipient: recipient ? String(recipient) : null }
+    });
+  }
+
+  /**
+   * Move funds between vault buckets
+   * @param {Object} rebalanceData - { rebalanceId, moves: { rewards, giftCards, surplus }, trigger }
+   */
+  async recordVaultRebalance(rebalanceData) {
+    const { rebalanceId, moves, trigger = 'manual' } = rebalanceData;
+    const net = roundUSDC(Object.values(moves).reduce((sum, move) => sum + move, 0));
+
+    if (net !== 0) {
+      throw new Error('Vault rebalance moves must net to zero');
+    }
+
+    return this.post({
+      eventType: 'vault_rebalance',
+      eventKey: `vault_rebalance:${rebalanceId}`,
+      currency: 'USDC',
+      description: `Vault rebalance (${trigger})`,
+      lines: Object.entries(moves).map(([bucket, move]) => ({
+        account: VAULT_BUCKET_ACCOUNTS[bucket],
+        debit: move > 0 ? move : 0,
+        credit: move < 0 ? -move : 0
+      })),
+      metadata: { trigger, moves }
+    });
+  }
+
+  /**
+   * Emergency withdrawal out of the vault surplus, executed after M-of-N approval
+   * @param {Object} withdrawalData - { withdrawalId, amount, destination, signature, approvedBy, executedBy }
+   */
+  async recordVaultWithdrawal(withdrawalData) {
+    const { withdrawalId, destination = null, signature = null, approvedBy = [], executedBy = null } = withdrawalData;
+    const amount = roundUSDC(withdrawalData.amount);
+
+    return this.post({
+      eventType: 'vault_withdrawal',
+      eventKey: `vault_withdrawal:${withdrawalId}`,
+      currency: 'USDC',
+      description: `Emergency vault withdrawal ${withdrawalId}`,
+      signature,
+      lines: [
+        { account: 'platform:vault_withdrawals', debit: amount },
+        { account: VAULT_BUCKET_ACCOUNTS.surplus, credit: amount }
+      ],
+      metadata: {
+        withdrawalId,
+        destination,
+        approvedBy: approvedBy.map(String),
+        executedBy: executedBy ? String(executedBy) : null
+      }
+    });
+  }
+
+  /**
+   * Opening balance for a platform asset account (funds that predate the ledger)
+   * @param {Object} openingData - { account, amount, note, postedBy }
+   */
+  async recordOpeningBalance(openingData) {
+    const { account, note = null, postedBy = null } = openingData;
+    const amount = roundUSDC(openingData.amount);
+    const definition = CHART_OF_ACCOUNTS[account];
+
+    if (!definition || definition.type !== 'asset') {
+      throw new Error('Opening balances can only be posted to platform asset accounts');
+    }
+
+    const existing = await JournalEntry.exists({ eventKey: `opening_balance:${account}` });
+    if (existing) {
+      throw new Error(`Opening balance for ${account} is already posted`);
+    }
+
+    return this.post({
+      eventType: 'opening_balance',
+      eventKey: `opening_balance:${account}`,
+      currency: definition.currency,
+      description: note || `Opening balance for ${account}`,
+      lines: [
+        { account, debit: amount },
+        { account: definition.currency === 'USDC' ? 'platform:opening_balance_usdc' : 'platform:opening_balance_pizza', credit: amount }
+      ],
+      metadata: { postedBy: postedBy ? String(postedBy) : null }
+    });
+  }
+
+  /**
+   * Reverse a journal entry with a mirrored entry (entries themselves never change)
+   * @param {string} entryId - Entry to reverse
+   * @param {Object} options - { reason, reversedBy }
+   */
+  async reverseEntry(entryId, options = {}) {
+    const entry = await JournalEntry.findByEntryId(entryId);
+    if (!entry) {
+      throw new Error('Journal entry not found');
+    }
+
+    if (entry.eventType === 'reversal') {
+      throw new Error('Reversal entries cannot be reversed');
+    }
+
+    if (await JournalEntry.exists({ reverses: entryId })) {
+      throw new Error('Journal entry is already reversed');
+    }
+
+    return this.post({
+      eventType: 'reversal',
+      eventKey: `reversal:${entryId}`,
+      currency: entry.currency,
+      description: options.reason || `Reversal of ${entryId}`,
+      transactionId: entry.transactionId,
+      businessId: entry.businessId,
+      userId: entry.userId,
+      reverses: entryId,
+      lines: entry.lines.map(line => ({ account: line.account, debit: line.credit, credit: line.debit, memo: line.memo })),
+      metadata: { reversedBy: options.reversedBy ? String(options.reversedBy) : null }
+    });
+  }
+
+  /**
+   * Balances of accounts matching a list of codes or a code pattern
+   * @param {Array<string>|RegExp} filter - Account codes, or a RegExp over codes (all accounts when omitted)
+   * @param {Object} options - { since, until } to only sum entries posted in [since, until)
+   * @returns {Object} code -> { code, name, type, currency, debits, credits, balance }
+   */
+  async getBalances(filter = null, options = {}) {
+    const accountMatch = Array.isArray(filter) ? { $in: filter } : filter;
+    const entryMatch = {};
+    if (accountMatch) entryMatch['lines.account'] = accountMatch;
+    if (options.since || options.until) {
+      entryMatch.postedAt = {};
+      if (options.since) entryMatch.postedAt.$gte = options.since;
+      if (options.until) entryMatch.postedAt.$lt = options.until;
+    }
+    const pipeline = Object.keys(entryMatch).length > 0 ? [{ $match: entryMatch }] : [];
+
+    pipeline.push({ $unwind: '$lines' });
+    if (accountMatch) {
+      pipeline.push({ $match: { 'lines.account': accountMatch } });
+    }
+    pipeline.push({
+      $group: {
+        _id: '$lines.account',
+        debits: { $sum: '$lines.debit' },
+        credits: { $sum: '$lines.credit' }
+      }
+    });
+
+    const totals = await JournalEntry.aggregate(pipeline);
+
+    const balances = {};
+    for (const total of totals) {
+      const definition = this.resolveAccount(total._id);
+      const debits = roundUSDC(total.debits);
+      const credits = roundUSDC(total.credits);
+      balances[total._id] = {
+        code: total._id,
+        name: definition.name,
+        type: definition.type,
+        currency: definition.currency,
+        debits,
+        credits,
+        balance: LedgerAccount.normalBalanceFor(definition.type) === 'debit' ?
+          roundUSDC(debits - credits) :
+          roundUSDC(credits - debits)
+      };
+    }
+
+    return balances;
+  }
+
+  /**
+   * Balance of one account (0 when nothing was posted to it)
+   */
+  async getBalance(code) {
+    const balances = await this.getBalances([code]);
+    return balances[code]?.balance || 0;
+  }
+
+  /**
+   * Every balance derived for a business
+   * @param {string} businessId - Business ID
+   */
+  async getBusinessBalances(businessId) {
+    const prefix = `business:${businessId}:`;
+    const balances = await this.getBalances(new RegExp(`^${prefix}`));
+    const balanceOf = (suffix) => balances[`${prefix}${suffix}`]?.balance || 0;
+
+    return {
+      walletReceipts: balanceOf('wallet'),
+      netSales: balanceOf('net_sales'),
+      vaultContributions: balanceOf('vault_contributions'),
+      vaultReversalsDue: balanceOf('vault_reversals_due'),
+      stakingDividends: balanceOf('staking_dividends'),
+      giftCardsIssued: balanceOf('gift_cards_issued')
+    };
+  }
+
+  /**
+   * Vault buckets derived from the ledger
+   * @returns {Object} { rewards, giftCards, surplus, staked, liquid, total }
+   */
+  async getVaultBalances() {
+    const balances = await this.getBalances(/^vault:/);
+    const balanceOf = (code) => balances[code]?.balance || 0;
+
+    const rewards = balanceOf('vault:rewards');
+    const giftCards = balanceOf('vault:gift_cards');
+    const surplus = balanceOf('vault:surplus');
+    const staked = balanceOf('vault:staked');
+    const liquid = roundUSDC(rewards + giftCards + surplus);
+
+    return {
+      rewards,
+      giftCards,
+      surplus,
+      staked,
+      liquid,
+      total: roundUSDC(liquid + staked)
+    };
+  }
+
+  /**
+   * Trial balance: every account with its balance, and debit/credit totals per currency
+   * @param {Object} options - { ownerType, currency }
+   */
+  async getTrialBalance(options = {}) {
+    const balances = Object.values(await this.getBalances())
+      .filter(account => !options.currency || account.currency === options.currency)
+      .filter(account => !options.ownerType || this.resolveAccount(account.code).ownerType === options.ownerType)
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    const totals = {};
+    for (const account of balances) {
+      const total = totals[account.currency] || (totals[account.currency] = { debits: 0, credits: 0 });
+      total.debits = roundUSDC(total.debits + account.debits);
+      total.credits = roundUSDC(total.credits + account.credits);
+    }
+    Object.values(totals).forEach(total => {
+      total.balanced = total.debits === total.credits;
+    });
+
+    return { accounts: balances, totals };
+  }
+
+  /**
+   * Journal entries, newest first
+   * @param {Object} filters - { account, eventType, businessId, limit, offset }
+   */
+  async getEntries(filters = {}) {
+    const { account, eventType, businessId, limit = 50, offset = 0 } = filters;
+    const query = {};
+    if (account) query['lines.account'] = account;
+    if (eventType) query.eventType = eventType;
+    if (businessId) query.businessId = businessId;
+
+    const [entries, total] = await Promise.all([
+      JournalEntry.find(query).sort({ postedAt: -1, _id: -1 }).skip(offset).limit(limit),
+      JournalEntry.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Re-derive the counters other models display from the ledger
+   * @param {Array<string>} accountCodes - Accounts an entry touched
+   */
+  async syncProjections(accountCodes) {
+    try {
+      const codes = [...new Set(accountCodes)];
+
+      for (const code of codes.filter(code => /^business:[^:]+:(vault_contributions|staking_dividends)$/.test(code))) {
+        const businessId = code.split(':')[1];
+        const account = (await this.getBalances([code]))[code] || { balance: 0, debits: 0, credits: 0 };
+        // Dividends: credits are declared, debits paid out, the balance is still owed
+        const projection = code.endsWith('vault_contributions') ?
+          { 'vaultContribution.totalContributed': Math.max(0, account.balance) } :
+          {
+            'vaultContribution.stakingYield.totalEarned': account.credits,
+            'vaultContribution.stakingYield.totalPaid': account.debits,
+            'vaultContribution.stakingYield.businessShare': Math.max(0, account.balance)
+          };
+        await Business.updateOne({ _id: businessId }, { $set: projection });
+      }
+
+      for (const code of codes.filter(code => /^user:[^:]+:rewards_earned$/.test(code))) {
+        const userId = code.split(':')[1];
+        const balance = Math.max(0, await this.getBalance(code));
+        await User.updateOne({ _id: userId }, { $set: { 'payments.pizzaSPLRewardsEarned': balance } });
+      }
+
+      if (codes.some(code => code.startsWith('vault:'))) {
+        const { rewards, giftCards, surplus, staked } = await this.getVaultBalances();
+        await Vault.updateOne(
+          { key: 'platform' },
+          { $set: { balances: { rewards, giftCards, surplus, staked }, balancesSyncedAt: new Date() } },
+          { upsert: true }
+        );
+      }
+    } catch (error) {
+      // Projections are rebuilt on the next posting; the entry itself is recorded
+      this.logger.error('Ledger projection sync failed', { accountCodes, error: error.message });
+    }
+  }
+
+  /**
+   * Post entries for confirmed payments, refunds and rewards recorded before the ledger
+   * existed (or whose posting failed). Safe to run repeatedly - postings are idempotent.
+   * @returns {Object} { payments, refunds, rewards }
+   */
+  async backfill() {
+    const counts = { payments: 0, refunds: 0, rewards: 0 };
+
+    const cursor = Transaction.find({ status: 'confirmed', type: { $in: ['payment', 'refund'] } })
+      .sort({ createdAt: 1 })
+      .cursor();
+
+    for await (const transaction of cursor) {
+      if (transaction.type === 'refund') {
+        if (await this.recordRefund(transaction)) counts.refunds++;
+        continue;
+      }
+
+      if (await this.recordPayment(transaction)) counts.payments++;
+
+      // Rewards were posted under the payment's ID or, for direct payments, its signature
+      const rewardAmount = transaction.rewards?.pizzaTokensDistributed || 0;
+      if (rewardAmount > 0 && transaction.userId) {
+        const rewarded = await JournalEntry.exists({
+          eventKey: { $in: [`reward:${transaction._id}`, `reward:${transaction.signature}`] }
+        });
+        if (!rewarded) {
+          await this.recordReward({
+            userId: transaction.userId,
+            amount: rewardAmount,
+            transactionId: transaction._id,
+            postedAt: transaction.blockTime || transaction.createdAt
+          });
+          counts.rewards++;
+        }
+      }
+    }
+
+    this.logger.info('Ledger backfill completed', counts);
+    return counts;
+  }
+
+  /**
+   * Token balance of a wallet's associated token account (0 when it has none)
+   */
+  async getOnChainBalance(address, mint) {
+    const tokenAccount = await getAssociatedTokenAddress(new PublicKey(mint), new PublicKey(address), true);
+
+    try {
+      const { value } = await this.getChain().connection.getTokenAccountBalance(tokenAccount);
+      return Number(value.uiAmountString ?? value.uiAmount);
+    } catch (error) {
+      if (/could not find/i.test(error.message)) {
+        return 0;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile ledger balances against on-chain wallet balances
+   * Accounts sharing a wallet (the vault buckets) are summed before comparing.
+   * @returns {Object} { reconciled, generatedAt, wallets, trialBalance }
+   */
+  async reconcile() {
+    const wallets = new Map();
+    for (const [code, definition] of Object.entries(CHART_OF_ACCOUNTS)) {
+      if (!definition.addressEnv) continue;
+
+      const key = `${definition.addressEnv}:${definition.currency}`;
+      if (!wallets.has(key)) {
+        wallets.set(key, {
+          wallet: definition.addressEnv,
+          address: process.env[definition.addressEnv] || null,
+          currency: definition.currency,
+          accounts: []
+        });
+      }
+      wallets.get(key).accounts.push(code);
+    }
+
+    const mints = {
+      USDC: this.getChain().usdcMint?.toBase58(),
+      PIZZA: process.env.PIZZA_TOKEN_MINT
+    };
+
+    const balances = await this.getBalances([...wallets.values()].flatMap(wallet => wallet.accounts));
+    const results = [];
+
+    for (const wallet of wallets.values()) {
+      const ledgerBalance = roundUSDC(wallet.accounts.reduce((sum, code) => sum + (balances[code]?.balance || 0), 0));
+      const result = { ...wallet, ledgerBalance, onChainBalance: null, difference: null };
+
+      if (!wallet.address || !mints[wallet.currency]) {
+        results.push({ ...result, status: 'unconfigured' });
+        continue;
+      }
+
+      try {
+        result.onChainBalance = await this.getOnChainBalance(wallet.address, mints[wallet.currency]);
+        result.difference = roundUSDC(result.onChainBalance - ledgerBalance);
+        result.status = Math.abs(result.difference) <= this.config.reconciliationTolerance ? 'matched' : 'mismatch';
+      } catch (error) {
+        result.status = 'unavailable';
+        result.error = error.message;
+      }
+
+      results.push(result);
+    }
+
+    const { totals } = await this.getTrialBalance();
+    const report = {
+      reconciled: results.every(result => result.status === 'matched') && Object.values(totals).every(total => total.balanced),
+      generatedAt: new Date(),
+      wallets: results,
+      trialBalance: totals
+    };
+
+    this.logger.info('Ledger reconciliation', {
+      reconciled: report.reconciled,
+      wallets: results.map(({ wallet, currency, status, difference }) => ({ wallet, currency, status, difference }))
+    });
+
+    return report;
+  }
+}
+
+// Shared instance so every service posts through one account cache
+module.exports = new LedgerService();
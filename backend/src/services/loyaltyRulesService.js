@@ -0,0 +1,361 @@
+const winston = require('winston');
+const Business = require('../models/Business');
+const User = require('../models/User');
+const loyaltyTierService = require('./loyaltyTierService');
+const { paymentConfig, roundUSDC, calculateReward } = require('../config/payments');
+
+// Combined reward multiplier ceiling (matches the per-rule customRules maximum)
+const MAX_REWARD_MULTIPLIER = 5;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * LoyaltyRulesService - evaluates merchant loyalty programs at payment time
+ *
+ * Rules come from the business's existing loyalty settings:
+ * - loyaltyProgram.discountRules: % off when the customer holds enough $PIZZA SPL and/or
+ *   on every Nth visit ("hold 3 $PIZZA = 10% off", "every 10th visit free")
+ * - loyaltyVault.customRules: reward multipliers by condition ("2x rewards on Tuesdays")
+ * - the customer's loyalty tier (LoyaltyTierService): its reward multiplier
+ * - loyaltyProgram.nftRewards and creditRules: perks the customer qualifies for, recorded
+ *   but not applied to the payment
+ *
+ * The best single discount applies, capped so the order still meets the minimum payment
+ * amount (tips are never discounted), so a "free" order costs that minimum. Multipliers
+ * stack up to MAX_REWARD_MULTIPLIER.
+ */
+class LoyaltyRulesService {
+  constructor() {
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/loyalty-rules.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Validate loyalty rules before they are saved
+   * @param {Object} rules - { discountRules, nftRewards, creditRules, customRules } (any subset)
+   * @returns {Array} Error messages (empty when valid)
+   */
+  validateRules(rules) {
+    const errors = [];
+    const isNumber = (value, min = 0, max = Infinity) =>
+      typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+    (rules.discountRules || []).forEach((rule, index) => {
+      const label = `discountRules[${index}]`;
+      if (!isNumber(rule.discountPercent, 0, 100) || rule.discountPercent === 0) {
+        errors.push(`${label}: discountPercent must be between 0 and 100`);
+      }
+      if (rule.requiredTokens === undefined && rule.everyNthVisit === undefined) {
+        errors.push(`${label}: set requiredTokens, everyNthVisit or both`);
+      }
+      if (rule.requiredTokens !== undefined && !isNumber(rule.requiredTokens)) {
+        errors.push(`${label}: requiredTokens must be zero or more`);
+      }
+      if (rule.everyNthVisit !== undefined && !(Number.isInteger(rule.everyNthVisit) && rule.everyNthVisit >= 2)) {
+        errors.push(`${label}: everyNthVisit must be a whole number of at least 2`);
+      }
+      if (rule.maxDiscount !== undefined && !isNumber(rule.maxDiscount)) {
+        errors.push(`${label}: maxDiscount must be zero or more`);
+      }
+    });
+
+    (rules.nftRewards || []).forEach((reward, index) => {
+      if (!isNumber(reward.requiredTokens)) {
+        errors.push(`nftRewards[${index}]: requiredTokens must be zero or more`);
+      }
+      if (!reward.nftType || typeof reward.nftType !== 'string') {
+        errors.push(`nftRewards[${index}]: nftType is required`);
+      }
+    });
+
+    if (rules.creditRules) {
+      const { conversionRate, redemptionRate } = rules.creditRules;
+      if (conversionRate !== undefined && !isNumber(conversionRate)) {
+        errors.push('creditRules: conversionRate must be zero or more');
+      }
+      if (redemptionRate !== undefined && !isNumber(redemptionRate, 0, 1)) {
+        errors.push('creditRules: redemptionRate must be between 0 and 1');
+      }
+    }
+
+    (rules.customRules || []).forEach((rule, index) => {
+      const label = `customRules[${index}]`;
+      if (!Business.LOYALTY_RULE_CONDITIONS.includes(rule.condition)) {
+        errors.push(`${label}: condition must be one of ${Business.LOYALTY_RULE_CONDITIONS.join(', ')}`);
+      }
+      if (!isNumber(rule.multiplier, 0, MAX_REWARD_MULTIPLIER)) {
+        errors.push(`${label}: multiplier must be between 0 and ${MAX_REWARD_MULTIPLIER}`);
+      }
+
+      const { value } = rule;
+      if (rule.condition === 'day_of_week') {
+        const days = Array.isArray(value) ? value : [value];
+        if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+          errors.push(`${label}: day_of_week value must be days 0-6 (0 = Sunday)`);
+        }
+      } else if (rule.condition === 'customer_tier') {
+        const tiers = Array.isArray(value) ? value : [value];
+        if (tiers.length === 0 || !tiers.every(tier => User.LOYALTY_TIERS.includes(tier))) {
+          errors.push(`${label}: customer_tier value must be one or more of ${User.LOYALTY_TIERS.join(', ')}`);
+        }
+      } else if (rule.condition === 'visit_count') {
+        if (!(Number.isInteger(value) && value >= 1)) {
+          errors.push(`${label}: visit_count value must be a whole number of at least 1`);
+        }
+      } else if (rule.condition && !isNumber(value)) {
+        errors.push(`${label}: ${rule.condition} value must be zero or more`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Customer facts the rules are tested against
+   * @param {Object} params - { business, customer, amount, tipAmount, at, tier }
+   *   customer is a User document (null for guests); tier / tokenBalance / visitNumber / registered override it for previews
+   */
+  buildContext({ business, customer = null, amount, tipAmount = 0, at = new Date(), tier, tokenBalance, visitNumber, registered }) {
+    const favorite = customer?.payments?.favoriteBusinesses?.find(
+      entry => entry.businessId.toString() === business._id.toString()
+    );
+    const loyaltyTier = tier !== undefined ?
+      (tier ? loyaltyTierService.getTier(tier) : null) :
+      (customer ? loyaltyTierService.getRewardTier(customer, business._id) : null);
+
+    return {
+      amount,
+      tipAmount,
+      // Rules discount and multiply the order excluding the tip
+      feeBase: roundUSDC(amount - tipAmount),
+      tokenBalance: tokenBalance !== undefined ? tokenBalance : (customer?.wallet?.pizzaSPLBalance || 0),
+      // This payment's visit number at the business
+      visitNumber: visitNumber !== undefined ? visitNumber : (favorite?.totalVisits || 0) + 1,
+      dayOfWeek: at.getUTCDay(),
+      tier: loyaltyTier ? loyaltyTier.name : null,
+      tierMultiplier: loyaltyTier ? loyaltyTier.rewardMultiplier : 1,
+      registered: registered !== undefined ? registered : Boolean(customer)
+    };
+  }
+
+  /**
+   * Whether a custom rule's condition holds
+   */
+  conditionHolds(rule, context) {
+    const { value } = rule;
+
+    switch (rule.condition) {
+      case 'minimum_purchase':
+        return context.feeBase >= value;
+      case 'token_balance':
+        return context.tokenBalance >= value;
+      case 'visit_count':
+        return context.visitNumber >= value;
+      case 'day_of_week':
+        return (Array.isArray(value) ? value : [value]).includes(context.dayOfWeek);
+      case 'customer_tier':
+        return Boolean(context.tier) && (Array.isArray(value) ? value : [value]).includes(context.tier);
+      default:
+        return false;
+    }
+  }
+
+  describeCustomRule(rule) {
+    const { value } = rule;
+    const conditions = {
+      minimum_purchase: `orders of $${value}+`,
+      token_balance: `holding ${value}+ $PIZZA SPL`,
+      visit_count: `visit ${value} onwards`,
+      day_of_week: `on ${(Array.isArray(value) ? value : [value]).map(day => DAY_NAMES[day]).join(', ')}`,
+      customer_tier: `${(Array.isArray(value) ? value : [value]).join(', ')} tier`
+    };
+    return `${rule.multiplier}x rewards ${conditions[rule.condition] || rule.condition}`;
+  }
+
+  /**
+   * Evaluate a business's loyalty rules for a payment
+   * @param {Object} business - Business document (or { _id, loyaltyProgram, loyaltyVault } for previews)
+   * @param {Object} context - From buildContext
+   * @returns {Object} { discount, discountRule, rewardMultiplier, rulesFired, perks }
+   */
+  evaluate(business, context) {
+    const program = business.loyaltyProgram || {};
+    const rulesFired = [];
+    const perks = [];
+
+    if (!program.isActive) {
+      return { discount: 0, discountRule: null, rewardMultiplier: 1, rulesFired, perks };
+    }
+
+    // Best single discount - the order (excluding the tip) must still meet the minimum payment amount
+    const maxDiscount = roundUSDC(Math.max(0, context.feeBase - paymentConfig.minAmount));
+    let discountRule = null;
+    (program.discountRules || []).forEach((rule, index) => {
+      if (rule.isActive === false || !rule.discountPercent) return;
+      if (rule.requiredTokens !== undefined && rule.requiredTokens !== null && context.tokenBalance < rule.requiredTokens) return;
+      if (rule.everyNthVisit && context.visitNumber % rule.everyNthVisit !== 0) return;
+      if ((rule.requiredTokens === undefined || rule.requiredTokens === null) && !rule.everyNthVisit) return;
+
+      let amount = roundUSDC(context.feeBase * rule.discountPercent / 100);
+      if (typeof rule.maxDiscount === 'number') amount = Math.min(amount, rule.maxDiscount);
+      amount = Math.min(amount, maxDiscount);
+
+      if (amount > 0 && (!discountRule || amount > discountRule.value)) {
+        discountRule = {
+          ruleId: `discountRules:${index}`,
+          type: 'discount',
+          description: rule.description || this.describeDiscountRule(rule),
+          value: amount
+        };
+      }
+    });
+    if (discountRule) rulesFired.push(discountRule);
+
+    // Reward multipliers only apply to registered customers (guests earn no rewards)
+    let rewardMultiplier = 1;
+    if (context.registered) {
+      if (context.tierMultiplier > 1) {
+        const tier = loyaltyTierService.getTier(context.tier);
+        rewardMultiplier *= context.tierMultiplier;
+        rulesFired.push({
+          ruleId: `tier:${tier.name}`,
+          type: 'reward_multiplier',
+          description: `${tier.label} tier ${context.tierMultiplier}x rewards`,
+          value: context.tierMultiplier
+        });
+      }
+
+      (business.loyaltyVault?.customRules || []).forEach((rule, index) => {
+        if (rule.isActive === false || typeof rule.multiplier !== 'number') return;
+        if (!this.conditionHolds(rule, context)) return;
+
+        rewardMultiplier *= rule.multiplier;
+        rulesFired.push({
+          ruleId: `customRules:${index}`,
+          type: 'reward_multiplier',
+          description: rule.description || this.describeCustomRule(rule),
+          value: rule.multiplier
+        });
+      });
+      rewardMultiplier = Math.min(MAX_REWARD_MULTIPLIER, Math.round(rewardMultiplier * 100) / 100);
+    }
+
+    (program.nftRewards || []).forEach((reward, index) => {
+      if (context.tokenBalance < reward.requiredTokens) return;
+      const perk = {
+        ruleId: `nftRewards:${index}`,
+        type: 'nft_reward',
+        description: reward.description || `${reward.nftType} NFT for holding ${reward.requiredTokens} $PIZZA SPL`,
+        value: reward.requiredTokens
+      };
+      perks.push({ ...perk, nftType: reward.nftType });
+      rulesFired.push(perk);
+    });
+
+    const creditRules = program.creditRules;
+    if (creditRules && creditRules.conversionRate > 0) {
+      const credit = Math.floor(context.tokenBalance / creditRules.conversionRate);
+      const redeemable = roundUSDC(Math.min(credit, context.feeBase * (creditRules.redemptionRate || 0)));
+      if (redeemable > 0) {
+        const perk = {
+          ruleId: 'creditRules',
+          type: 'store_credit',
+          description: `Up to $${redeemable} store credit (${creditRules.conversionRate} $PIZZA SPL = $1)`,
+          value: redeemable
+        };
+        perks.push(perk);
+        rulesFired.push(perk);
+      }
+    }
+
+    return {
+      discount: discountRule ? discountRule.value : 0,
+      discountRule,
+      rewardMultiplier,
+      rulesFired,
+      perks
+    };
+  }
+
+  describeDiscountRule(rule) {
+    const off = rule.discountPercent === 100 ? 'Free order' : `${rule.discountPercent}% off`;
+    const conditions = [];
+    if (rule.requiredTokens) conditions.push(`holding ${rule.requiredTokens} $PIZZA SPL`);
+    if (rule.everyNthVisit) conditions.push(`every ${rule.everyNthVisit}th visit`);
+    return conditions.length > 0 ? `${off} ${conditions.join(' on ')}` : off;
+  }
+
+  /**
+   * Dry run: what a payment would cost and earn under a set of rules
+   * @param {Object} business - Business document
+   * @param {Object} input - { amount, tipAmount, tokenBalance, visitNumber, dayOfWeek, tier, registered, rules }
+   *   rules (optional) previews unsaved discountRules / nftRewards / creditRules / customRules
+   */
+  preview(business, input) {
+    const { rules = {} } = input;
+    const errors = this.validateRules(rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid loyalty rules: ${errors.join('; ')}`);
+    }
+
+    const program = {
+      isActive: true,
+      discountRules: rules.discountRules || business.loyaltyProgram.discountRules,
+      nftRewards: rules.nftRewards || business.loyaltyProgram.nftRewards,
+      creditRules: rules.creditRules || business.loyaltyProgram.creditRules
+    };
+    const candidate = {
+      _id: business._id,
+      loyaltyProgram: program,
+      loyaltyVault: { customRules: rules.customRules || business.loyaltyVault?.customRules || [] }
+    };
+
+    // Any weekday can be previewed; the rules read it in UTC
+    const at = new Date();
+    if (input.dayOfWeek !== undefined) {
+      at.setUTCDate(at.getUTCDate() + (input.dayOfWeek - at.getUTCDay() + 7) % 7);
+    }
+
+    const context = this.buildContext({
+      business: candidate,
+      amount: input.amount,
+      tipAmount: input.tipAmount || 0,
+      at,
+      tier: input.tier || null,
+      tokenBalance: input.tokenBalance || 0,
+      visitNumber: input.visitNumber || 1,
+      registered: input.registered !== false
+    });
+
+    const result = this.evaluate(candidate, context);
+    const amountDue = roundUSDC(input.amount - result.discount);
+    const { rewardAmount, rewardCost } = calculateReward(roundUSDC(context.feeBase - result.discount));
+
+    return {
+      context,
+      ...result,
+      amountDue,
+      reward: context.registered ? {
+        baseAmount: rewardAmount,
+        amount: roundUSDC(rewardAmount * result.rewardMultiplier),
+        cost: roundUSDC(rewardCost * result.rewardMultiplier)
+      } : null
+    };
+  }
+}
+
+// Shared instance - the engine is stateless
+module.exports = new LoyaltyRulesService();
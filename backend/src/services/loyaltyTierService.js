@@ -0,0 +1,419 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const User = require('../models/User');
+const Business = require('../models/Business');
+const Transaction = require('../models/Transaction');
+const { loyaltyTierConfig, roundUSDC } = require('../config/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tier changes kept on the customer
+const MAX_TIER_HISTORY = 50;
+
+/**
+ * LoyaltyTierService - Slice -> Pie -> Pizzeria customer tiers
+ *
+ * Customers hold a tier at each business they pay and one platform-wide, from their
+ * confirmed payments in the rolling window (spend excluding tips and refunds, and visits).
+ * Payments can promote a customer straight away; the scheduled job also demotes customers
+ * whose window activity has dropped below their tier. Rewards use the better of the
+ * customer's tier at the business and their platform-wide tier, and merchants can target
+ * tiers with customer_tier loyalty rules. Tier changes are emailed to the customer.
+ */
+class LoyaltyTierService {
+  /**
+   * @param {Object} config - Window, job interval and tier definitions
+   */
+  constructor(config = loyaltyTierConfig) {
+    this.config = config;
+    this.sendEmail = null;
+    this.evaluationInterval = null;
+    this.evaluationInProgress = false;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/loyalty-tiers.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Tier definition by name (the lowest tier for unknown names)
+   */
+  getTier(name) {
+    return this.config.tiers.find(tier => tier.name === name) || this.config.tiers[0];
+  }
+
+  tierRank(name) {
+    return Math.max(0, this.config.tiers.findIndex(tier => tier.name === name));
+  }
+
+  /**
+   * Highest tier whose spend and visit minimums are met
+   * @param {string} scope - 'business' or 'platform'
+   * @param {Object} activity - { spend, visits } in the rolling window
+   */
+  qualifyingTier(scope, { spend, visits }) {
+    return [...this.config.tiers].reverse().find(tier =>
+      spend >= tier[scope].minSpend && visits >= tier[scope].minVisits
+    ) || this.config.tiers[0];
+  }
+
+  /**
+   * What the customer still needs for the next tier up (null at the top tier)
+   */
+  getNextTier(scope, name, { spend, visits }) {
+    const next = this.config.tiers[this.tierRank(name) + 1];
+    if (!next) {
+      return null;
+    }
+
+    return {
+      name: next.name,
+      label: next.label,
+      spendNeeded: roundUSDC(Math.max(0, next[scope].minSpend - spend)),
+      visitsNeeded: Math.max(0, next[scope].minVisits - visits)
+    };
+  }
+
+  /**
+   * Tier that scales the customer's rewards at a business - the better of their tier there
+   * and their platform-wide tier
+   * @param {Object} user - User document
+   * @param {string} businessId - Business paid
+   * @returns {Object} Tier definition plus the scope it came from
+   */
+  getRewardTier(user, businessId) {
+    const platformTier = this.getTier(user.payments?.tier?.name);
+    const favorite = user.payments?.favoriteBusinesses?.find(
+      entry => entry.businessId.toString() === businessId.toString()
+    );
+    const businessTier = this.getTier(favorite?.tier?.name);
+
+    return this.tierRank(businessTier.name) >= this.tierRank(platformTier.name) ?
+      { ...businessTier, scope: 'business' } :
+      { ...platformTier, scope: 'platform' };
+  }
+
+  /**
+   * Rolling-window spend and visits per customer and business
+   * Guest payments are recorded against whoever created the payment request, so they don't count.
+   * @param {Array} userIds - Customers to measure
+   * @param {Date} now - End of the window
+   * @returns {Map} userId -> { platform: { spend, visits }, businesses: Map(businessId -> { spend, visits }) }
+   */
+  async getRollingActivity(userIds, now = new Date()) {
+    const since = new Date(now.getTime() - this.config.windowDays * DAY_MS);
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(id.toString())) },
+          guestPayment: { $ne: true },
+          type: 'payment',
+          status: 'confirmed',
+          createdAt: { $gte: since, $lte: now }
+        }
+      },
+      {
+        $group: {
+          _id: { userId: '$userId', businessId: '$businessId' },
+          spend: {
+            $sum: {
+              $max: [0, { $subtract: ['$amount', { $add: [{ $ifNull: ['$tipAmount', 0] }, { $ifNull: ['$refundedAmount', 0] }] }] }]
+            }
+          },
+          visits: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const activity = new Map();
+    for (const row of rows) {
+      const userId = row._id.userId.toString();
+      if (!activity.has(userId)) {
+        activity.set(userId, { platform: { spend: 0, visits: 0 }, businesses: new Map() });
+      }
+
+      const entry = activity.get(userId);
+      entry.platform.spend = roundUSDC(entry.platform.spend + row.spend);
+      entry.platform.visits += row.visits;
+      entry.businesses.set(row._id.businessId.toString(), { spend: roundUSDC(row.spend), visits: row.visits });
+    }
+    return activity;
+  }
+
+  /**
+   * Re-tier one customer from their rolling activity and save them
+   * @param {Object} user - User document
+   * @param {Object} activity - This customer's entry from getRollingActivity (undefined when inactive)
+   * @param {Object} options - { now, allowDemotion }
+   * @returns {Array} Tier changes { scope, businessId, from, to, direction }
+   */
+  async evaluateCustomer(user, activity, { now = new Date(), allowDemotion = true } = {}) {
+    const changes = [];
+    const empty = { spend: 0, visits: 0 };
+
+    const retier = (scope, current, stats, businessId = null) => {
+      const from = this.getTier(current?.name).name;
+      let to = this.qualifyingTier(scope, stats).name;
+      if (!allowDemotion && this.tierRank(to) < this.tierRank(from)) {
+        to = from;
+      }
+
+      if (to !== from) {
+        changes.push({
+          scope,
+          businessId,
+          from,
+          to,
+          direction: this.tierRank(to) > this.tierRank(from) ? 'promotion' : 'demotion'
+        });
+      }
+
+      return {
+        name: to,
+        since: to !== from || !current?.since ? now : current.since,
+        rollingSpend: stats.spend,
+        rollingVisits: stats.visits,
+        evaluatedAt: now
+      };
+    };
+
+    user.payments.tier = retier('platform', user.payments.tier, activity?.platform || empty);
+
+    for (const favorite of user.payments.favoriteBusinesses || []) {
+      const businessId = favorite.businessId.toString();
+      favorite.tier = retier('business', favorite.tier, activity?.businesses.get(businessId) || empty, favorite.businessId);
+
+      // Reaching a tier at a business is recorded as a loyalty perk there
+      const change = changes.find(entry => entry.scope === 'business' && entry.businessId.toString() === businessId);
+      if (change?.direction === 'promotion') {
+        favorite.loyaltyPerks.push({ perkType: 'tier', value: change.to, earnedAt: now });
+      }
+    }
+
+    if (changes.length > 0) {
+      user.payments.tierHistory.push(...changes.map(change => ({
+        scope: change.scope,
+        businessId: change.businessId,
+        from: change.from,
+        to: change.to,
+        changedAt: now
+      })));
+      if (user.payments.tierHistory.length > MAX_TIER_HISTORY) {
+        user.payments.tierHistory.splice(0, user.payments.tierHistory.length - MAX_TIER_HISTORY);
+      }
+    }
+
+    await user.save();
+
+    if (changes.length > 0) {
+      this.logger.info('Customer tiers changed', {
+        userId: user._id,
+        changes: changes.map(change => `${change.scope}${change.businessId ? `:${change.businessId}` : ''} ${change.from}->${change.to}`)
+      });
+      await this.notify(user, changes);
+    }
+    return changes;
+  }
+
+  /**
+   * Re-tier a customer after a payment - promotions only; demotions wait for the job so a
+   * customer is never demoted at the till
+   */
+  async refreshCustomer(userId, now = new Date()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return [];
+    }
+
+    const activity = await this.getRollingActivity([user._id], now);
+    return this.evaluateCustomer(user, activity.get(user._id.toString()), { now, allowDemotion: false });
+  }
+
+  /**
+   * Promotion/demotion job: re-tier every customer active in the window or above the lowest tier
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { evaluated, promotions, demotions }
+   */
+  async runEvaluation(now = new Date()) {
+    if (this.evaluationInProgress) {
+      return { evaluated: 0, promotions: 0, demotions: 0, skipped: true };
+    }
+    this.evaluationInProgress = true;
+
+    try {
+      const since = new Date(now.getTime() - this.config.windowDays * DAY_MS);
+      const upperTiers = this.config.tiers.slice(1).map(tier => tier.name);
+      const summary = { evaluated: 0, promotions: 0, demotions: 0 };
+
+      const evaluateBatch = async (users) => {
+        const activity = await this.getRollingActivity(users.map(user => user._id), now);
+        for (const user of users) {
+          try {
+            const changes = await this.evaluateCustomer(user, activity.get(user._id.toString()), { now });
+            summary.evaluated += 1;
+            summary.promotions += changes.filter(change => change.direction === 'promotion').length;
+            summary.demotions += changes.filter(change => change.direction === 'demotion').length;
+          } catch (error) {
+            this.logger.error('Customer tier evaluation failed', { userId: user._id, error: error.message });
+          }
+        }
+      };
+
+      const cursor = User.find({
+        $or: [
+          { 'payments.lastTransactionDate': { $gte: since } },
+          { 'payments.tier.name': { $in: upperTiers } },
+          { 'payments.favoriteBusinesses.tier.name': { $in: upperTiers } }
+        ]
+      }).cursor();
+
+      let batch = [];
+      for await (const user of cursor) {
+        batch.push(user);
+        if (batch.length >= this.config.batchSize) {
+          await evaluateBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await evaluateBatch(batch);
+      }
+
+      this.logger.info('Customer tier evaluation completed', summary);
+      return summary;
+    } finally {
+      this.evaluationInProgress = false;
+    }
+  }
+
+  /**
+   * Email a customer their tier changes (respects their email notification preference)
+   * Email problems are logged; the new tiers stand either way.
+   */
+  async notify(user, changes) {
+    if (!this.sendEmail || user.preferences?.emailNotifications === false || !user.email) {
+      return false;
+    }
+
+    try {
+      const businessIds = changes.filter(change => change.businessId).map(change => change.businessId);
+      const businesses = businessIds.length > 0 ?
+        await Business.find({ _id: { $in: businessIds } }).select('businessName') :
+        [];
+      const names = new Map(businesses.map(business => [business._id.toString(), business.businessName]));
+
+      const lines = changes.map(change => {
+        const tier = this.getTier(change.to);
+        const where = change.scope === 'platform' ? 'across PizzaPlatform' : `at ${names.get(change.businessId.toString()) || 'a pizzeria'}`;
+        return change.direction === 'promotion' ?
+          `<li>You're now a <strong>${tier.label}</strong> member ${where}: ${tier.perks.join(', ')}.</li>` :
+          `<li>Your tier ${where} is now <strong>${tier.label}</strong>. Keep ordering to win back ${this.getTier(change.from).label}.</li>`;
+      });
+      const promoted = changes.some(change => change.direction === 'promotion');
+
+      await this.sendEmail(
+        user.email,
+        promoted ? 'You moved up a PizzaPlatform loyalty tier!' : 'Your PizzaPlatform loyalty tier changed',
+        `<h2>${promoted ? 'Congratulations!' : 'Loyalty tier update'}</h2>
+        <ul>${lines.join('')}</ul>
+        <p>Tiers follow your spend and visits over the last ${this.config.windowDays} days. See your progress on your dashboard.</p>`
+      );
+      return true;
+    } catch (error) {
+      this.logger.error('Tier change email failed', { userId: user._id, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Tier summary for the customer dashboard
+   * @param {Object} user - User document
+   */
+  async getCustomerTiers(user) {
+    const describe = (scope, current) => {
+      const tier = this.getTier(current?.name);
+      const stats = { spend: current?.rollingSpend || 0, visits: current?.rollingVisits || 0 };
+      return {
+        name: tier.name,
+        label: tier.label,
+        rewardMultiplier: tier.rewardMultiplier,
+        perks: tier.perks,
+        since: current?.since || null,
+        rollingSpend: stats.spend,
+        rollingVisits: stats.visits,
+        evaluatedAt: current?.evaluatedAt || null,
+        next: this.getNextTier(scope, tier.name, stats)
+      };
+    };
+
+    const favorites = user.payments?.favoriteBusinesses || [];
+    const businesses = favorites.length > 0 ?
+      await Business.find({ _id: { $in: favorites.map(favorite => favorite.businessId) } }).select('businessName') :
+      [];
+    const names = new Map(businesses.map(business => [business._id.toString(), business.businessName]));
+
+    return {
+      windowDays: this.config.windowDays,
+      platform: describe('platform', user.payments?.tier),
+      businesses: favorites
+        .map(favorite => ({
+          businessId: favorite.businessId,
+          businessName: names.get(favorite.businessId.toString()) || null,
+          ...describe('business', favorite.tier)
+        }))
+        .sort((a, b) => this.tierRank(b.name) - this.tierRank(a.name) || b.rollingSpend - a.rollingSpend),
+      tiers: this.config.tiers.map(tier => ({
+        name: tier.name,
+        label: tier.label,
+        rewardMultiplier: tier.rewardMultiplier,
+        perks: tier.perks,
+        business: tier.business,
+        platform: tier.platform
+      })),
+      history: (user.payments?.tierHistory || []).slice(-10).reverse()
+    };
+  }
+
+  /**
+   * Run the promotion/demotion job on an interval
+   * @param {Object} options - { sendEmail, intervalMs }
+   */
+  startSweep({ sendEmail = null, intervalMs = this.config.evaluationIntervalMs } = {}) {
+    if (sendEmail) {
+      this.sendEmail = sendEmail;
+    }
+    if (this.evaluationInterval) {
+      return;
+    }
+
+    this.evaluationInterval = setInterval(() => {
+      this.runEvaluation().catch(error => {
+        this.logger.error('Customer tier evaluation failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.evaluationInterval.unref();
+  }
+
+  stopSweep() {
+    if (this.evaluationInterval) {
+      clearInterval(this.evaluationInterval);
+      this.evaluationInterval = null;
+    }
+  }
+}
+
+// Shared instance so payments, the job and the customer API share one mailer and in-flight guard
+module.exports = new LoyaltyTierService();
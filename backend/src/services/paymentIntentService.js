@@ -0,0 +1,481 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+const PaymentIntent = require('../models/PaymentIntent');
+const Business = require('../models/Business');
+const { paymentConfig, roundUSDC, validatePaymentAmount, validateTipAmount } = require('../config/payments');
+
+/**
+ * PaymentIntentService - single source of truth for QR payment state
+ *
+ * Every payment request (Transfer Request QR, Transaction Request QR, dashboard link)
+ * is stored as a PaymentIntent. State changes go through `transition`, which checks
+ * the allowed state graph, updates the document atomically and emits events:
+ *   - 'transition'        ({ intent, from, to, reason })
+ *   - `status:${to}`      ({ intent, from, reason })
+ */
+class PaymentIntentService extends EventEmitter {
+  constructor() {
+    super();
+
+    // Allowed state graph (expired intents may still detect a late on-chain payment)
+    this.transitions = {
+      created: ['awaiting_payment', 'expired', 'cancelled', 'failed'],
+      awaiting_payment: ['detected', 'expired', 'cancelled', 'failed'],
+      detected: ['confirmed', 'failed'],
+      confirmed: ['settled'],
+      settled: [],
+      expired: ['detected'],
+      cancelled: [],
+      failed: []
+    };
+
+    // Timestamp field recorded when entering a state
+    this.timestampFields = {
+      detected: 'detectedAt',
+      confirmed: 'confirmedAt',
+      settled: 'settledAt',
+      cancelled: 'cancelledAt',
+      expired: 'expiredAt'
+    };
+
+    this.intentTtlMinutes = paymentConfig.intentTtlMinutes;
+    this.expirySweepInterval = null;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/payment-intents.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Check whether a state change is allowed
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return (this.transitions[from] || []).includes(to);
+  }
+
+  /**
+   * Create a payment intent for a generated payment request
+   * @param {Object} intentData - Intent parameters
+   * @returns {Object} Created PaymentIntent document
+   */
+  async createIntent(intentData) {
+    const {
+      reference,
+      businessId,
+      amount,
+      tipAmount = 0,
+      createdBy = null,
+      paymentMethod = 'usdc',
+      requestType = 'transfer',
+      paymentUrl = null,
+      memo = null,
+      invoiceId = null,
+      billId = null,
+      giftCards = null,
+      ttlMinutes = this.intentTtlMinutes
+    } = intentData;
+
+    try {
+      const amountCheck = validatePaymentAmount(amount);
+      if (!amountCheck.valid) {
+        throw new Error(amountCheck.error);
+      }
+
+      const tipCheck = validateTipAmount(tipAmount, amountCheck.amount);
+      if (!tipCheck.valid) {
+        throw new Error(tipCheck.error);
+      }
+
+      const business = await Business.findById(businessId);
+      if (!business) {
+        throw new Error('Business not found');
+      }
+
+      // Quote is locked to the fee schedule in force now
+      const fees = business.calculateTransactionFees(amountCheck.amount, tipCheck.tipAmount);
+
+      const intent = await PaymentIntent.create({
+        reference: reference.toString(),
+        businessId,
+        createdBy,
+        amount: amountCheck.amount,
+        tipAmount: tipCheck.tipAmount,
+        paymentMethod,
+        requestType,
+        fees: {
+          platformFee: fees.platformFee,
+          vaultContribution: fees.vaultContribution,
+          totalFees: fees.totalFees,
+          merchantAmount: fees.merchantAmount,
+          scheduleVersion: fees.scheduleVersion
+        },
+        status: 'created',
+        statusHistory: [{ to: 'created', reason: 'Payment request generated' }],
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+        paymentUrl,
+        memo,
+        invoiceId,
+        billId,
+        giftCards
+      });
+
+      this.logger.info('Payment intent created', {
+        reference: intent.reference,
+        businessId,
+        amount: intent.amount,
+        requestType,
+        expiresAt: intent.expiresAt
+      });
+
+      this.emit('transition', { intent, from: null, to: 'created', reason: 'Payment request generated' });
+      this.emit('status:created', { intent, from: null, reason: 'Payment request generated' });
+
+      // QR is handed to the customer immediately
+      return this.transition(intent.reference, 'awaiting_payment', { reason: 'QR code issued' });
+
+    } catch (error) {
+      this.logger.error('Payment intent creation failed', {
+        reference: reference?.toString(),
+        businessId,
+        error: error.message
+      });
+      throw new Error('Failed to create payment intent: ' + error.message);
+    }
+  }
+
+  /**
+   * Move an intent to a new state
+   * @param {string} reference - Payment reference
+   * @param {string} to - Target status
+   * @param {Object} details - { reason, signature, transactionId, customerWallet, failureReason }
+   * @returns {Object} Updated PaymentIntent document
+   */
+  async transition(reference, to, details = {}) {
+    const { reason = null, ...fields } = details;
+
+    const intent = await PaymentIntent.findByReference(reference);
+    if (!intent) {
+      throw new Error('Payment intent not found');
+    }
+
+    const from = intent.status;
+    if (from === to) {
+      return intent;
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw new Error(`Invalid payment intent transition: ${from} -> ${to}`);
+    }
+
+    const update = {
+      $set: { status: to },
+      $push: { statusHistory: { from, to, reason, at: new Date() } }
+    };
+
+    if (this.timestampFields[to]) {
+      update.$set[this.timestampFields[to]] = new Date();
+    }
+
+    ['signature', 'transactionId', 'customerWallet', 'failureReason'].forEach(field => {
+      if (fields[field] !== undefined && fields[field] !== null) {
+        update.$set[field] = fields[field];
+      }
+    });
+
+    // Conditional update on the current status so concurrent transitions cannot both win
+    const updated = await PaymentIntent.findOneAndUpdate(
+      { _id: intent._id, status: from },
+      update,
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error(`Payment intent ${reference} changed state concurrently`);
+    }
+
+    this.logger.info('Payment intent transition', {
+      reference,
+      from,
+      to,
+      reason
+    });
+
+    this.emit('transition', { intent: updated, from, to, reason });
+    this.emit(`status:${to}`, { intent: updated, from, reason });
+
+    return updated;
+  }
+
+  /**
+   * Record that a payment for the intent was seen on-chain
+   */
+  async markDetected(reference, { signature, customerWallet = null, reason = 'Payment detected on-chain' } = {}) {
+    return this.transition(reference, 'detected', { signature, customerWallet, reason });
+  }
+
+  /**
+   * Record that the payment was validated and a Transaction was recorded
+   */
+  async markConfirmed(reference, { transactionId, signature = null, reason = 'Payment validated' } = {}) {
+    const intent = await PaymentIntent.findByReference(reference);
+    if (intent && ['awaiting_payment', 'expired'].includes(intent.status)) {
+      await this.markDetected(reference, { signature });
+    }
+
+    return this.transition(reference, 'confirmed', { transactionId, signature, reason });
+  }
+
+  /**
+   * Record that the merchant settlement for the payment was processed
+   */
+  async markSettled(reference, { reason = 'Settlement processed' } = {}) {
+    return this.transition(reference, 'settled', { reason });
+  }
+
+  /**
+   * Cancel an open intent
+   */
+  async cancel(reference, { reason = 'Cancelled by merchant' } = {}) {
+    return this.transition(reference, 'cancelled', { reason });
+  }
+
+  /**
+   * Mark an intent as failed
+   */
+  async fail(reference, { failureReason, signature = null } = {}) {
+    return this.transition(reference, 'failed', { failureReason, signature, reason: failureReason });
+  }
+
+  /**
+   * Record which Solana Pay request type the customer's wallet used
+   * @param {string} reference - Payment reference
+   * @param {string} requestType - 'transfer' or 'transaction'
+   * @param {string} paymentMethod - Token the transaction pays with ('usdc' unless swapped)
+   */
+  async setRequestType(reference, requestType, paymentMethod = 'usdc') {
+    return PaymentIntent.findOneAndUpdate(
+      { reference, status: { $in: ['created', 'awaiting_payment'] } },
+      { $set: { requestType, paymentMethod } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Store the swap quote a customer requested for paying in another token
+   * @param {string} reference - Payment reference
+   * @param {Object} swapQuote - Quote from SwapCheckoutService.createQuote
+   * @returns {Object|null} Updated PaymentIntent document (null when no longer open)
+   */
+  async setSwapQuote(reference, swapQuote) {
+    const intent = await PaymentIntent.findOneAndUpdate(
+      { reference, status: { $in: ['created', 'awaiting_payment'] } },
+      { $set: { swapQuote } },
+      { new: true }
+    );
+
+    if (intent) {
+      this.logger.info('Swap quote stored', {
+        reference,
+        inputMint: swapQuote.inputMint,
+        inAmount: swapQuote.inAmount,
+        expiresAt: swapQuote.expiresAt
+      });
+    }
+
+    return intent;
+  }
+
+  /**
+   * Price an open intent for the wallet requesting its transaction
+   * The first transaction request freezes the price: a loyalty discount lowers the amount
+   * and fees (priced under the original fee schedule), and later requests - retries or
+   * other wallets - get the frozen price so the watcher validates what was actually built.
+   * @param {Object} intent - Open PaymentIntent document
+   * @param {Object} business - Business document
+   * @param {Object} loyalty - { customerWallet, discount, rulesFired }
+   * @returns {Object|null} PaymentIntent document with its frozen price (null when no longer open)
+   */
+  async setLoyaltyDiscount(intent, business, { customerWallet, discount = 0, rulesFired = [] }) {
+    if (intent.pricedFor) {
+      return intent;
+    }
+
+    const update = { $set: { pricedFor: customerWallet, pricedAt: new Date() } };
+    if (discount > 0) {
+      const amount = roundUSDC(intent.amount - discount);
+      const fees = business.calculateTransactionFees(amount, intent.tipAmount, {
+        scheduleVersion: intent.fees?.scheduleVersion,
+        pricedAt: intent.createdAt
+      });
+
+      Object.assign(update.$set, {
+        amount,
+        fees: {
+          platformFee: fees.platformFee,
+          vaultContribution: fees.vaultContribution,
+          totalFees: fees.totalFees,
+          merchantAmount: fees.merchantAmount,
+          scheduleVersion: fees.scheduleVersion
+        },
+        loyalty: {
+          customerWallet,
+          originalAmount: intent.amount,
+          originalFees: {
+            platformFee: intent.fees.platformFee,
+            vaultContribution: intent.fees.vaultContribution,
+            totalFees: intent.fees.totalFees,
+            merchantAmount: intent.fees.merchantAmount
+          },
+          discount,
+          rulesFired
+        }
+      });
+    }
+
+    const updated = await PaymentIntent.findOneAndUpdate(
+      { reference: intent.reference, status: { $in: ['created', 'awaiting_payment'] }, pricedFor: { $exists: false } },
+      update,
+      { new: true }
+    );
+
+    if (!updated) {
+      // Another request froze the price first, or the intent closed meanwhile
+      const current = await PaymentIntent.findByReference(intent.reference);
+      return current?.pricedFor && current.isOpen() ? current : null;
+    }
+
+    if (discount > 0) {
+      this.logger.info('Loyalty discount applied', {
+        reference: intent.reference,
+        customerWallet,
+        originalAmount: intent.amount,
+        discount,
+        rules: rulesFired.map(rule => rule.ruleId)
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Get an intent, expiring it first if its deadline passed
+   * @param {string} reference - Payment reference
+   * @returns {Object|null} PaymentIntent document
+   */
+  async getIntent(reference) {
+    const intent = await PaymentIntent.findByReference(reference);
+    if (!intent) {
+      return null;
+    }
+
+    if (['created', 'awaiting_payment'].includes(intent.status) && intent.expiresAt <= new Date()) {
+      try {
+        return await this.transition(reference, 'expired', { reason: 'Payment window elapsed' });
+      } catch (error) {
+        // Another request moved the intent first - return the latest state
+        return PaymentIntent.findByReference(reference);
+      }
+    }
+
+    return intent;
+  }
+
+  /**
+   * Public status view used by all payment status routes
+   * @param {Object} intent - PaymentIntent document
+   * @returns {Object} Status payload
+   */
+  toStatus(intent) {
+    const completed = ['confirmed', 'settled', 'expired', 'cancelled', 'failed'].includes(intent.status);
+    const errors = {
+      expired: 'Payment request expired',
+      cancelled: 'Payment request cancelled',
+      failed: intent.failureReason || 'Payment failed'
+    };
+
+    return {
+      reference: intent.reference,
+      status: intent.status,
+      completed,
+      success: ['confirmed', 'settled'].includes(intent.status),
+      amount: intent.amount,
+      tipAmount: intent.tipAmount || 0,
+      giftCardAmount: intent.giftCards?.applied || 0,
+      fees: intent.fees,
+      signature: intent.signature || null,
+      transactionId: intent.transactionId || null,
+      expiresAt: intent.expiresAt,
+      error: errors[intent.status] || null
+    };
+  }
+
+  /**
+   * Expire every open intent whose payment window elapsed
+   * @returns {number} Number of intents expired
+   */
+  async expireStaleIntents() {
+    const stale = await PaymentIntent.find({
+      status: { $in: ['created', 'awaiting_payment'] },
+      expiresAt: { $lte: new Date() }
+    }).select('reference');
+
+    let expired = 0;
+    for (const intent of stale) {
+      try {
+        await this.transition(intent.reference, 'expired', { reason: 'Payment window elapsed' });
+        expired++;
+      } catch (error) {
+        this.logger.warn('Intent expiry skipped', { reference: intent.reference, error: error.message });
+      }
+    }
+
+    if (expired > 0) {
+      this.logger.info('Expired stale payment intents', { expired });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Start periodic expiry sweep
+   * @param {number} intervalMs - Sweep interval
+   */
+  startExpirySweep(intervalMs = 60 * 1000) {
+    if (this.expirySweepInterval) {
+      return;
+    }
+
+    this.expirySweepInterval = setInterval(() => {
+      this.expireStaleIntents().catch(error => {
+        this.logger.error('Payment intent expiry sweep failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.expirySweepInterval.unref();
+  }
+
+  stopExpirySweep() {
+    if (this.expirySweepInterval) {
+      clearInterval(this.expirySweepInterval);
+      this.expirySweepInterval = null;
+    }
+  }
+}
+
+// Shared instance so every route observes the same event stream
+module.exports = new PaymentIntentService();
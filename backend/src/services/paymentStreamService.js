@@ -0,0 +1,173 @@
+const winston = require('winston');
+const paymentIntentService = require('./paymentIntentService');
+
+/**
+ * PaymentStreamService - pushes payment intent transitions to Server-Sent Events clients
+ *
+ * Clients subscribe either to a single payment reference (vendor QR page) or to a
+ * business (dashboard). Every intent transition is forwarded as `payment.<status>`.
+ */
+class PaymentStreamService {
+  constructor(intentService = paymentIntentService) {
+    this.intentService = intentService;
+
+    // reference -> Set(res), businessId -> Set(res)
+    this.referenceClients = new Map();
+    this.businessClients = new Map();
+
+    this.heartbeatIntervalMs = 25 * 1000; // Keep proxies from closing idle streams
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/payment-stream.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+
+    this.intentService.on('transition', event => this.handleTransition(event));
+  }
+
+  /**
+   * Forward an intent transition to subscribed clients
+   * @param {Object} event - { intent, from, to, reason }
+   */
+  handleTransition({ intent, from, to }) {
+    const payload = {
+      ...this.intentService.toStatus(intent),
+      businessId: intent.businessId.toString(),
+      previousStatus: from,
+      timestamp: new Date().toISOString()
+    };
+
+    const eventName = `payment.${to}`;
+    this.broadcast(this.referenceClients.get(intent.reference), eventName, payload);
+    this.broadcast(this.businessClients.get(intent.businessId.toString()), eventName, payload);
+  }
+
+  broadcast(clients, eventName, payload) {
+    if (!clients) {
+      return;
+    }
+
+    for (const res of clients) {
+      this.send(res, eventName, payload);
+    }
+  }
+
+  /**
+   * Write a single SSE event
+   */
+  send(res, eventName, payload) {
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  /**
+   * Prepare an HTTP response for SSE and keep it alive
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} onClose - Cleanup when the client disconnects
+   */
+  open(req, res, onClose) {
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Ask EventSource clients to wait before reconnecting
+    res.write('retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatIntervalMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      onClose();
+    });
+  }
+
+  addClient(map, key, res) {
+    if (!map.has(key)) {
+      map.set(key, new Set());
+    }
+    map.get(key).add(res);
+  }
+
+  removeClient(map, key, res) {
+    const clients = map.get(key);
+    if (!clients) {
+      return;
+    }
+
+    clients.delete(res);
+    if (clients.size === 0) {
+      map.delete(key);
+    }
+  }
+
+  /**
+   * Subscribe a response to a single payment reference
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} intent - Current PaymentIntent (sent as snapshot)
+   */
+  subscribeToReference(req, res, intent) {
+    const { reference } = intent;
+
+    this.open(req, res, () => this.removeClient(this.referenceClients, reference, res));
+    this.addClient(this.referenceClients, reference, res);
+
+    this.send(res, 'payment.snapshot', {
+      ...this.intentService.toStatus(intent),
+      businessId: intent.businessId.toString()
+    });
+
+    this.logger.info('Payment stream opened', { reference });
+  }
+
+  /**
+   * Subscribe a response to every payment for the given businesses
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Array<string>} businessIds - Business IDs owned by the user
+   */
+  subscribeToBusinesses(req, res, businessIds) {
+    this.open(req, res, () => {
+      businessIds.forEach(businessId => this.removeClient(this.businessClients, businessId, res));
+    });
+
+    businessIds.forEach(businessId => this.addClient(this.businessClients, businessId, res));
+
+    this.send(res, 'stream.ready', { businessIds });
+
+    this.logger.info('Business payment stream opened', { businessIds });
+  }
+
+  /**
+   * Connected client counts for monitoring
+   */
+  getStats() {
+    const count = map => Array.from(map.values()).reduce((sum, clients) => sum + clients.size, 0);
+
+    return {
+      referenceStreams: count(this.referenceClients),
+      businessStreams: count(this.businessClients)
+    };
+  }
+}
+
+// Shared instance - one subscription to payment intent events per process
+module.exports = new PaymentStreamService();
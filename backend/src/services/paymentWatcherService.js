@@ -0,0 +1,568 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+const PaymentIntent = require('../models/PaymentIntent');
+const Business = require('../models/Business');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const SolanaPayService = require('./solanaPayService');
+const TransactionService = require('./transactionService');
+const paymentIntentService = require('./paymentIntentService');
+const ledgerService = require('./ledgerService');
+const rewardQueueService = require('./rewardQueueService');
+const { paymentWatcherConfig, roundUSDC } = require('../config/payments');
+
+/**
+ * PaymentWatcherService - confirms Solana Pay payments without client polling
+ *
+ * Periodically scans open payment intents, looks their reference up on-chain with the
+ * same findReference/validateTransfer logic as SolanaPayService.validatePayment, and
+ * confirms matches: records the Transaction, distributes the reward and funds the vault.
+ * RPC failures are retried per reference with exponential backoff; a reward that fails after
+ * confirmation is stored on the intent and retried on later scans.
+ */
+class PaymentWatcherService extends EventEmitter {
+  /**
+   * @param {Object} options - { chain, connection, solanaPayService, rewardsService, intentService, transactionService, swapCheckoutService, ledger, config }
+   */
+  constructor(options = {}) {
+    super();
+
+    this.config = { ...paymentWatcherConfig, ...options.config };
+    this.solanaPayService = options.solanaPayService || new SolanaPayService(options.chain);
+    this.intentService = options.intentService || paymentIntentService;
+    this.rewardsService = options.rewardsService || null;
+    this.transactionService = options.transactionService || new TransactionService();
+    this.swapCheckoutService = options.swapCheckoutService || null;
+    this.ledger = options.ledger || ledgerService;
+    this.rewardQueue = options.rewardQueue || rewardQueueService;
+
+    // Allow a custom (or mocked) RPC connection
+    if (options.connection) {
+      this.solanaPayService.connection = options.connection;
+    }
+
+    this.interval = null;
+    this.scanning = false;
+
+    // reference -> { attempts, nextAttemptAt, lastError }
+    this.retryState = new Map();
+
+    // Last intent _id scanned per group, so each scan continues where the previous one stopped
+    this.cursors = { open: null, late: null };
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/payment-watcher.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Rewards service is created lazily - it needs treasury configuration
+   */
+  getRewardsService() {
+    if (!this.rewardsService) {
+      const RewardsService = require('./rewardsService');
+      this.rewardsService = new RewardsService(this.solanaPayService.chain);
+    }
+    return this.rewardsService;
+  }
+
+  /**
+   * Swap checkout service is created lazily - only multi-token payments need it
+   */
+  getSwapCheckoutService() {
+    if (!this.swapCheckoutService) {
+      const SwapCheckoutService = require('./swapCheckoutService');
+      this.swapCheckoutService = new SwapCheckoutService(this.solanaPayService.chain);
+    }
+    return this.swapCheckoutService;
+  }
+
+  /**
+   * Start periodic scanning
+   */
+  start() {
+    if (!this.config.enabled || this.interval) {
+      return false;
+    }
+
+    this.interval = setInterval(() => {
+      this.scan().catch(error => {
+        this.logger.error('Payment watcher scan failed', { error: error.message });
+      });
+    }, this.config.intervalMs);
+
+    this.interval.unref();
+
+    this.logger.info('Payment watcher started', {
+      intervalMs: this.config.intervalMs,
+      batchSize: this.config.batchSize
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Intents that may still receive (or have received) a payment
+   * Open and late (recently expired) intents are paged separately, each from a cursor that
+   * wraps around, so a backlog of unpaid QRs can't keep newer intents from being scanned.
+   * References waiting out a retry backoff don't take up a place in the batch.
+   * @returns {Array} PaymentIntent documents
+   */
+  async getWatchedIntents() {
+    const now = Date.now();
+    const lateCutoff = new Date(now - this.config.lateGraceMinutes * 60 * 1000);
+    const backedOff = [...this.retryState]
+      .filter(([, retry]) => retry.nextAttemptAt > now)
+      .map(([reference]) => reference);
+    const notBackedOff = backedOff.length > 0 ? { reference: { $nin: backedOff } } : {};
+
+    const open = await this.pageIntents('open', {
+      status: { $in: ['awaiting_payment', 'detected'] },
+      ...notBackedOff
+    });
+    const late = await this.pageIntents('late', {
+      status: 'expired',
+      expiredAt: { $gte: lateCutoff },
+      ...notBackedOff
+    });
+
+    return [...open, ...late];
+  }
+
+  /**
+   * Next batch of intents matching a filter, in _id order from the group's cursor
+   * @param {string} group - Cursor key ('open' or 'late')
+   * @param {Object} filter - PaymentIntent query
+   * @returns {Array} PaymentIntent documents
+   */
+  async pageIntents(group, filter) {
+    const after = this.cursors[group];
+    const intents = await PaymentIntent.find(after ? { ...filter, _id: { $gt: after } } : filter)
+      .sort({ _id: 1 })
+      .limit(this.config.batchSize);
+
+    // A short page means the end was reached - start from the oldest again next scan
+    this.cursors[group] = intents.length === this.config.batchSize ? intents[intents.length - 1]._id : null;
+
+    return intents;
+  }
+
+  /**
+   * Run one scan over the watched intents
+   * @returns {Object} Scan summary
+   */
+  async scan() {
+    if (this.scanning) {
+      return { skipped: true };
+    }
+
+    this.scanning = true;
+    const summary = { checked: 0, confirmed: 0, failed: 0, retrying: 0, refunds: 0, rewardsRetried: 0 };
+
+    try {
+      const intents = await this.getWatchedIntents();
+      const now = Date.now();
+
+      for (const intent of intents) {
+        const retry = this.retryState.get(intent.reference);
+        if (retry && retry.nextAttemptAt > now) {
+          continue;
+        }
+
+        summary.checked++;
+        const outcome = await this.checkIntent(intent);
+        if (summary[outcome] !== undefined) {
+          summary[outcome]++;
+        }
+      }
+
+      summary.refunds = await this.scanRefunds();
+      summary.rewardsRetried = await this.scanRewardRetries();
+
+      if (summary.confirmed > 0 || summary.failed > 0 || summary.refunds > 0 || summary.rewardsRetried > 0) {
+        this.logger.info('Payment watcher scan completed', summary);
+      }
+
+      return summary;
+
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Look up a single intent on-chain
+   * @param {Object} intent - PaymentIntent document
+   * @returns {string} 'confirmed' | 'failed' | 'retrying' | 'pending'
+   */
+  async checkIntent(intent) {
+    const { reference } = intent;
+
+    try {
+      const business = await Business.findById(intent.businessId);
+      if (!business) {
+        throw new Error('Business not found');
+      }
+
+      const recipient = business.businessWallet?.publicKey || business.settlement?.walletAddress;
+
+      const result = await this.solanaPayService.validatePayment(intent.signature || null, reference, intent.amount, {
+        recipient,
+        feeSplit: intent.requestType === 'transaction',
+        businessType: business.businessType,
+        tipAmount: intent.tipAmount,
+        pricing: { business, scheduleVersion: intent.fees?.scheduleVersion, pricedAt: intent.createdAt },
+        fees: intent.fees
+      });
+
+      if (result.success) {
+        this.retryState.delete(reference);
+        await this.confirmIntent(intent, business, result);
+        return 'confirmed';
+      }
+
+      if (result.notFound) {
+        this.retryState.delete(reference);
+        return 'pending';
+      }
+
+      if (result.invalid) {
+        // A transaction carries the reference but does not pay what was requested
+        this.retryState.delete(reference);
+        if (intent.status !== 'detected' && result.signature) {
+          await this.intentService.markDetected(reference, { signature: result.signature });
+        }
+        await this.intentService.fail(reference, {
+          failureReason: `Payment validation failed: ${result.error}`,
+          signature: result.signature
+        });
+        return 'failed';
+      }
+
+      throw new Error(result.error || 'Payment lookup failed');
+
+    } catch (error) {
+      this.scheduleRetry(reference, error);
+      return 'retrying';
+    }
+  }
+
+  /**
+   * Record merchant refunds signed through the Solana Pay refund link
+   * @returns {number} Refunds completed
+   */
+  async scanRefunds() {
+    const payments = await Transaction.find({ 'refundRequests.status': 'pending' })
+      .limit(this.config.batchSize);
+
+    let completed = 0;
+    const now = Date.now();
+
+    for (const payment of payments) {
+      for (const request of payment.refundRequests.filter(entry => entry.status === 'pending')) {
+        const retry = this.retryState.get(request.reference);
+        if (retry && retry.nextAttemptAt > now) {
+          continue;
+        }
+
+        try {
+          const result = await this.solanaPayService.validatePayment(null, request.reference, request.amount, {
+            recipient: payment.walletAddress
+          });
+
+          if (!result.success) {
+            if (!result.notFound && !result.invalid) {
+              throw new Error(result.error || 'Refund lookup failed');
+            }
+            continue;
+          }
+
+          this.retryState.delete(request.reference);
+          await this.transactionService.completeRefund({
+            reference: request.reference,
+            signature: result.signature,
+            blockTime: result.blockTime ? new Date(result.blockTime * 1000) : null,
+            slot: result.slot
+          });
+          completed++;
+
+        } catch (error) {
+          this.scheduleRetry(request.reference, error);
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Retry reward distribution for confirmed payments whose reward failed on an earlier scan
+   * @returns {number} Rewards distributed
+   */
+  async scanRewardRetries() {
+    const intents = await PaymentIntent.find({
+      status: { $in: ['confirmed', 'settled'] },
+      'rewardRetry.nextAttemptAt': { $lte: new Date() }
+    })
+      .sort({ 'rewardRetry.nextAttemptAt': 1 })
+      .limit(this.config.batchSize);
+
+    let distributed = 0;
+
+    for (const intent of intents) {
+      try {
+        const business = await Business.findById(intent.businessId);
+        const transaction = await Transaction.findById(intent.transactionId);
+        if (!business || !transaction) {
+          throw new Error('Payment records not found');
+        }
+
+        const customerWallet = intent.customerWallet || transaction.walletAddress;
+        const customer = transaction.guestPayment ? null : await User.findOne({ 'wallet.address': customerWallet });
+
+        if (await this.distributeRewards(intent, business, transaction, customer, customerWallet)) {
+          distributed++;
+        }
+      } catch (error) {
+        await this.scheduleRewardRetry(intent, error);
+      }
+    }
+
+    return distributed;
+  }
+
+  /**
+   * Store a failed reward distribution on the intent, with exponential backoff
+   * @param {Object} intent - Confirmed PaymentIntent document
+   * @param {Error} error - Failure
+   * @returns {number} Delay in ms before the next attempt
+   */
+  async scheduleRewardRetry(intent, error) {
+    const attempts = (intent.rewardRetry?.attempts || 0) + 1;
+    const delay = Math.min(this.config.retryBaseMs * Math.pow(2, attempts - 1), this.config.retryMaxMs);
+
+    await PaymentIntent.updateOne(
+      { reference: intent.reference },
+      { $set: { rewardRetry: { attempts, nextAttemptAt: new Date(Date.now() + delay), lastError: error.message } } }
+    );
+
+    this.logger.error('Reward distribution failed for confirmed payment, retrying with backoff', {
+      reference: intent.reference,
+      transactionId: intent.transactionId,
+      attempts,
+      delayMs: delay,
+      error: error.message
+    });
+
+    return delay;
+  }
+
+  /**
+   * Record exponential backoff for a reference after an RPC/processing error
+   * @param {string} reference - Payment reference
+   * @param {Error} error - Failure
+   * @returns {number} Delay in ms before the next attempt
+   */
+  scheduleRetry(reference, error) {
+    const previous = this.retryState.get(reference);
+    const attempts = (previous?.attempts || 0) + 1;
+    const delay = Math.min(this.config.retryBaseMs * Math.pow(2, attempts - 1), this.config.retryMaxMs);
+
+    this.retryState.set(reference, {
+      attempts,
+      nextAttemptAt: Date.now() + delay,
+      lastError: error.message
+    });
+
+    this.logger.warn('Payment check failed, retrying with backoff', {
+      reference,
+      attempts,
+      delayMs: delay,
+      error: error.message
+    });
+
+    return delay;
+  }
+
+  /**
+   * Confirm a validated payment: transaction record, intent state, reward and vault
+   * @param {Object} intent - PaymentIntent document
+   * @param {Object} business - Business document
+   * @param {Object} result - SolanaPayService.validatePayment result
+   * @returns {Object} { intent, transaction }
+   */
+  async confirmIntent(intent, business, result) {
+    const { reference } = intent;
+
+    if (['awaiting_payment', 'expired'].includes(intent.status)) {
+      await this.intentService.markDetected(reference, {
+        signature: result.signature,
+        customerWallet: result.payer
+      });
+    }
+
+    // Registered customers are matched by their connected wallet
+    const customer = result.payer ? await User.findOne({ 'wallet.address': result.payer }) : null;
+
+    // A client (or an earlier attempt) may already have recorded this payment via /validate-payment
+    let transaction = await Transaction.findOne({ paymentReference: reference, status: 'confirmed' });
+
+    if (!transaction) {
+      // Payments in SOL/$PIZZA/SPL tokens record what the swap to USDC actually cost
+      const swapFields = intent.swapQuote?.inputMint ?
+        await this.getSwapCheckoutService().getTransactionFields(result.signature, intent) : {};
+
+      transaction = new Transaction({
+        signature: result.signature,
+        userId: customer?._id || intent.createdBy || business.ownerId,
+        guestPayment: !customer,
+        walletAddress: result.payer || business.businessWallet?.publicKey,
+        businessId: business._id,
+        type: 'payment',
+        status: 'confirmed',
+        amount: intent.amount,
+        tipAmount: intent.tipAmount,
+        billId: intent.billId,
+        paymentReference: reference,
+        blockTime: result.blockTime ? new Date(result.blockTime * 1000) : undefined,
+        slot: result.slot,
+        fees: {
+          platformFee: intent.fees.platformFee,
+          vaultContribution: intent.fees.vaultContribution,
+          totalFees: intent.fees.totalFees,
+          scheduleVersion: intent.fees.scheduleVersion
+        },
+        settlement: {
+          netAmount: intent.fees.merchantAmount
+        },
+        // Loyalty discount applied when the wallet requested the transaction
+        loyalty: intent.loyalty?.discount ? {
+          originalAmount: intent.loyalty.originalAmount,
+          discount: intent.loyalty.discount,
+          rulesFired: intent.loyalty.rulesFired
+        } : undefined,
+        ...swapFields
+      });
+
+      await transaction.save();
+    }
+
+    // Idempotent - also heals a posting that failed on an earlier attempt
+    try {
+      await this.ledger.recordPayment(transaction);
+    } catch (error) {
+      this.logger.error('Ledger posting failed for confirmed payment', {
+        reference,
+        transactionId: transaction._id,
+        error: error.message
+      });
+    }
+
+    const confirmed = await this.intentService.markConfirmed(reference, {
+      transactionId: transaction._id,
+      signature: result.signature,
+      reason: 'Payment confirmed by watcher'
+    });
+
+    await this.distributeRewards(confirmed, business, transaction, customer, result.payer);
+
+    this.logger.info('Payment confirmed on-chain', {
+      reference,
+      signature: result.signature,
+      amount: intent.amount,
+      businessId: business._id,
+      customerWallet: result.payer
+    });
+
+    this.emit('confirmed', { intent: confirmed, transaction });
+
+    return { intent: confirmed, transaction };
+  }
+
+  /**
+   * Reward registered customers; always fund the vault contribution
+   * Keyed on the payment's queued reward, so a retried confirmation (or a payment already
+   * rewarded through /validate-payment) is never rewarded twice, nor skipped. A failure is
+   * stored on the intent and retried by scanRewardRetries.
+   * @returns {boolean} Whether the reward and vault funding went through
+   */
+  async distributeRewards(intent, business, transaction, customer, customerWallet) {
+    try {
+      const rewardsService = this.getRewardsService();
+
+      if (customer && await this.rewardQueue.getPaymentReward(transaction._id)) {
+        await this.clearRewardRetry(intent);
+        return true;
+      }
+
+      if (customer) {
+        // processPaymentReward also funds the platform vault
+        await rewardsService.processPaymentReward({
+          userId: customer._id,
+          businessId: business._id,
+          transactionId: transaction._id,
+          customerWalletAddress: customerWallet,
+          // Rewards follow the fee base, which excludes tips
+          transactionAmount: roundUSDC(intent.amount - (intent.tipAmount || 0)),
+          // Vault funding follows the fees locked in when the payment was quoted
+          vaultContribution: intent.fees.vaultContribution
+        });
+      } else {
+        await rewardsService.fundPlatformVault({
+          businessId: business._id,
+          amount: intent.fees.vaultContribution,
+          transactionId: transaction._id
+        });
+      }
+
+      await this.clearRewardRetry(intent);
+      return true;
+    } catch (error) {
+      // Payment itself is confirmed - the reward is retried on a later scan
+      await this.scheduleRewardRetry(intent, error);
+      return false;
+    }
+  }
+
+  /**
+   * Drop a stored reward retry once the reward went through
+   */
+  async clearRewardRetry(intent) {
+    if (intent.rewardRetry?.attempts) {
+      await PaymentIntent.updateOne({ reference: intent.reference }, { $unset: { rewardRetry: 1 } });
+    }
+  }
+
+  /**
+   * Watcher status for monitoring
+   */
+  getStatus() {
+    return {
+      running: !!this.interval,
+      scanning: this.scanning,
+      intervalMs: this.config.intervalMs,
+      retrying: this.retryState.size
+    };
+  }
+}
+
+module.exports = PaymentWatcherService;
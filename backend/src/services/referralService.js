@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const Referral = require('../models/Referral');
+const ReferralCode = require('../models/ReferralCode');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const User = require('../models/User');
+const Business = require('../models/Business');
+const rewardQueueService = require('./rewardQueueService');
+const { paymentConfig, referralConfig, roundUSDC } = require('../config/payments');
+const { isLocalhost } = require('../utils/ipHelper');
+
+// Code alphabet without look-alike characters (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * ReferralService - referral codes, signups and two-sided $PIZZA SPL bonuses
+ *
+ * Every customer and business gets one shareable code. A signup with a code is recorded
+ * as a pending referral under the running campaign's terms (referralConfig when none is
+ * running), unless the anti-abuse checks match the new customer to the referrer: the same
+ * email, signup IP or device, or a repeat IP or device on the same code. The referral is
+ * rewarded on the new customer's first confirmed payment of at least minFirstPayment, made
+ * from a wallet other than the referrer's; both bonuses then go through the reward queue.
+ */
+class ReferralService {
+  /**
+   * @param {Object} config - Default terms used while no campaign is running
+   */
+  constructor(config = referralConfig) {
+    this.config = config;
+    // Base URL of the public registration page share links point at
+    this.publicAppUrl = process.env.PUBLIC_APP_URL || 'https://app.pizzabit.io';
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/referrals.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  generateReferralId() {
+    return `rf_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  generateCampaignId() {
+    return `rcp_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  /**
+   * Customer's or business's referral code, created on first use
+   * @param {Object} owner - { userId } or { businessId }
+   * @returns {Object} ReferralCode document
+   */
+  async getOrCreateCode({ userId, businessId }) {
+    const ownerType = businessId ? 'business' : 'user';
+    const ownerFilter = businessId ? { ownerType, businessId } : { ownerType, userId };
+
+    const existing = await ReferralCode.findOne(ownerFilter);
+    if (existing) {
+      return existing;
+    }
+
+    // Retry the rare code collision; a concurrent request for the same owner wins instead
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        return await ReferralCode.create({ ...ownerFilter, code: this.generateCode() });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        const created = await ReferralCode.findOne(ownerFilter);
+        if (created) {
+          return created;
+        }
+      }
+    }
+    throw new Error('Could not generate a referral code');
+  }
+
+  /**
+   * Active code a signup was made with
+   * @param {string} code - Code as entered
+   * @returns {Object} ReferralCode document
+   */
+  async resolveCode(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    const referralCode = normalized ? await ReferralCode.findOne({ code: normalized, isActive: true }) : null;
+    if (!referralCode) {
+      throw new Error('Invalid referral code');
+    }
+    return referralCode;
+  }
+
+  /**
+   * Newest running campaign for customer or business codes
+   */
+  async getActiveCampaign(audience, now = new Date()) {
+    return ReferralCampaign.findOne({
+      audience,
+      isActive: true,
+      startsAt: { $lte: now },
+      $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+    }).sort({ startsAt: -1 });
+  }
+
+  /**
+   * Terms a referral signed up now is made under
+   * @returns {Object} { campaignId, referrerBonus, refereeBonus, minFirstPayment, qualificationDays, maxRewardedPerCode }
+   */
+  async getTerms(ownerType, now = new Date()) {
+    const campaign = await this.getActiveCampaign(ownerType === 'business' ? 'business' : 'customer', now);
+    const source = campaign || this.config;
+
+    return {
+      campaignId: campaign ? campaign.campaignId : null,
+      campaignName: campaign ? campaign.name : null,
+      // Business codes reward the new customer only
+      referrerBonus: ownerType === 'business' ? 0 : source.referrerBonus,
+      refereeBonus: source.refereeBonus,
+      minFirstPayment: source.minFirstPayment,
+      qualificationDays: source.qualificationDays,
+      maxRewardedPerCode: source.maxRewardedPerCode
+    };
+  }
+
+  /**
+   * Canonical mailbox, so name+tag@ and dotted Gmail addresses match their owner
+   */
+  canonicalEmail(email) {
+    const [local = '', domain = ''] = String(email || '').toLowerCase().split('@');
+    let mailbox = local.split('+')[0];
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+      mailbox = mailbox.replace(/\./g, '');
+    }
+    return `${mailbox}@${domain}`;
+  }
+
+  /**
+   * Anti-abuse checks for a signup: the referrer's own email, IPs and devices, and
+   * earlier signups on the same code from the same IP or device
+   * @param {Object} referralCode - ReferralCode document
+   * @param {Object} signup - { email, ipAddress, deviceFingerprint }
+   * @returns {Array<string>} Referral.FLAGS matched
+   */
+  async detectAbuse(referralCode, signup) {
+    const { email, ipAddress, deviceFingerprint } = signup;
+    const flags = new Set();
+
+    // The referring account: the customer, or the business's owner
+    let referrer = null;
+    const emails = [];
+    if (referralCode.ownerType === 'business') {
+      const business = await Business.findById(referralCode.businessId);
+      if (business) {
+        emails.push(business.email);
+        referrer = await User.findById(business.ownerId);
+      }
+    } else {
+      referrer = await User.findById(referralCode.userId);
+    }
+    if (referrer) {
+      emails.push(referrer.email);
+    }
+
+    if (emails.some(known => known && this.canonicalEmail(known) === this.canonicalEmail(email))) {
+      flags.add('self_referral');
+    }
+
+    // Loopback and private addresses (local development, internal proxies) say nothing about who signed up
+    const checkIp = ipAddress && !isLocalhost(ipAddress);
+
+    if (referrer) {
+      const knownIps = [referrer.registrationIP, ...(referrer.loginHistory || []).map(login => login.ipAddress)];
+      if (checkIp && knownIps.includes(ipAddress)) {
+        flags.add('same_ip');
+      }
+
+      const knownDevices = (referrer.securityEvents || [])
+        .map(event => event.details && event.details.deviceFingerprint)
+        .filter(Boolean);
+      if (deviceFingerprint && knownDevices.includes(deviceFingerprint)) {
+        flags.add('same_device');
+      }
+    }
+
+    // One person signing up repeatedly with the same code
+    if (checkIp && await Referral.exists({ code: referralCode.code, 'signup.ipAddress': ipAddress })) {
+      flags.add('same_ip');
+    }
+    if (deviceFingerprint && await Referral.exists({ code: referralCode.code, 'signup.deviceFingerprint': deviceFingerprint })) {
+      flags.add('same_device');
+    }
+
+    return [...flags];
+  }
+
+  /**
+   * Record a signup made with a referral code (rejected straight away when flagged)
+   * @param {Object} signupData - { referee, referralCode, ipAddress, userAgent, deviceFingerprint, now }
+   * @returns {Object} Referral document
+   */
+  async recordSignup(signupData) {
+    const { referee, referralCode, ipAddress, userAgent, deviceFingerprint, now = new Date() } = signupData;
+
+    const terms = await this.getTerms(referralCode.ownerType, now);
+    const flags = await this.detectAbuse(referralCode, { email: referee.email, ipAddress, deviceFingerprint });
+
+    const referral = await Referral.create({
+      referralId: this.generateReferralId(),
+      code: referralCode.code,
+      referrerType: referralCode.ownerType,
+      referrerUserId: referralCode.userId,
+      referrerBusinessId: referralCode.businessId,
+      refereeId: referee._id,
+      campaignId: terms.campaignId,
+      terms: {
+        referrerBonus: terms.referrerBonus,
+        refereeBonus: terms.refereeBonus,
+        minFirstPayment: terms.minFirstPayment,
+        maxRewardedPerCode: terms.maxRewardedPerCode
+      },
+      qualifyBy: new Date(now.getTime() + terms.qualificationDays * 24 * 60 * 60 * 1000),
+      status: flags.length > 0 ? 'rejected' : 'pending',
+      flags,
+      rejectionReason: flags.length > 0 ? `Flagged at signup: ${flags.join(', ')}` : undefined,
+      signup: { ipAddress, userAgent, deviceFingerprint }
+    });
+
+    const log = flags.length > 0 ? 'warn' : 'info';
+    this.logger[log]('Referral signup recorded', {
+      referralId: referral.referralId,
+      code: referral.code,
+      refereeId: referee._id,
+      status: referral.status,
+      flags
+    });
+    return referral;
+  }
+
+  /**
+   * Reward a pending referral on the new customer's qualifying payment
+   * @param {Object} paymentData - { userId, transactionId, amount, walletAddress, now }
+   * @returns {Object} Referral document when this payment rewarded it, otherwise null
+   */
+  async processPayment(paymentData) {
+    const { userId, transactionId, amount, walletAddress, now = new Date() } = paymentData;
+
+    const referral = await Referral.findOne({ refereeId: userId, status: 'pending' });
+    if (!referral) {
+      return null;
+    }
+
+    if (now > referral.qualifyBy) {
+      await Referral.updateOne({ _id: referral._id, status: 'pending' }, { $set: { status: 'expired' } });
+      this.logger.info('Referral expired', { referralId: referral.referralId });
+      return null;
+    }
+    if (amount < referral.terms.minFirstPayment) {
+      return null;
+    }
+
+    const referrer = referral.referrerUserId ? await User.findById(referral.referrerUserId) : null;
+
+    // Paying from the referrer's own wallet makes it a self-referral
+    if (referrer && referrer.wallet?.address && referrer.wallet.address === walletAddress) {
+      await Referral.updateOne(
+        { _id: referral._id, status: 'pending' },
+        {
+          $set: { status: 'rejected', rejectionReason: 'Qualifying payment came from the referrer\'s wallet' },
+          $addToSet: { flags: 'same_wallet' }
+        }
+      );
+      this.logger.warn('Referral rejected at qualification', { referralId: referral.referralId, flag: 'same_wallet' });
+      return null;
+    }
+
+    // Claim the referral so a replayed payment can't reward it twice
+    const claimed = await Referral.findOneAndUpdate(
+      { _id: referral._id, status: 'pending' },
+      { $set: { status: 'rewarded', qualifyingTransactionId: transactionId, qualifiedAt: now } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    // Referrer bonuses stop once the code reaches its cap
+    let referrerBonus = claimed.terms.referrerBonus || 0;
+    if (referrerBonus > 0 && claimed.terms.maxRewardedPerCode !== undefined) {
+      const rewarded = await Referral.countDocuments({
+        code: claimed.code,
+        status: 'rewarded',
+        'referrerBonus.amount': { $gt: 0 }
+      });
+      if (rewarded >= claimed.terms.maxRewardedPerCode) {
+        referrerBonus = 0;
+      }
+    }
+
+    claimed.refereeBonus = await this.queueBonus(claimed, {
+      userId,
+      amount: claimed.terms.refereeBonus || 0,
+      recipient: walletAddress
+    });
+    claimed.referrerBonus = await this.queueBonus(claimed, {
+      userId: claimed.referrerUserId,
+      amount: referrerBonus,
+      recipient: referrer?.wallet?.address
+    });
+    await claimed.save();
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'referralData.processed': true, 'referralData.bonusAwarded': claimed.refereeBonus.amount } }
+    );
+
+    this.logger.info('Referral rewarded', {
+      referralId: claimed.referralId,
+      transactionId,
+      refereeBonus: claimed.refereeBonus.amount,
+      referrerBonus: claimed.referrerBonus.amount,
+      referrerBonusStatus: claimed.referrerBonus.status
+    });
+    return claimed;
+  }
+
+  /**
+   * Queue one side's bonus (held until the recipient links a wallet)
+   * @returns {Object} Bonus state for the referral
+   */
+  async queueBonus(referral, { userId, amount, recipient }) {
+    if (!(amount > 0) || !userId) {
+      return { amount: 0, status: 'none' };
+    }
+    if (!recipient) {
+      return { amount, status: 'held' };
+    }
+
+    const reward = await rewardQueueService.enqueue({
+      kind: 'referral_bonus',
+      userId,
+      transactionId: referral.qualifyingTransactionId,
+      referralId: referral.referralId,
+      recipient,
+      amount,
+      // Funded from the vault's reward bucket at the payment reward's cost ratio
+      rewardCost: roundUSDC(amount * paymentConfig.rewardCostRate / paymentConfig.rewardRate)
+    });
+    return { amount, status: 'queued', rewardId: reward.rewardId };
+  }
+
+  /**
+   * Queue referrer bonuses held for a customer who has since linked a wallet
+   * @returns {number} Bonuses queued
+   */
+  async releaseHeldBonuses(user) {
+    if (!user.wallet?.address) {
+      return 0;
+    }
+
+    const held = await Referral.find({ referrerUserId: user._id, 'referrerBonus.status': 'held' });
+    for (const referral of held) {
+      referral.referrerBonus = await this.queueBonus(referral, {
+        userId: user._id,
+        amount: referral.referrerBonus.amount,
+        recipient: user.wallet.address
+      });
+      await referral.save();
+    }
+    return held.length;
+  }
+
+  /**
+   * Referral dashboard for a customer or business: code, terms, totals and recent signups
+   * @param {Object} owner - { user } or { business }
+   */
+  async getDashboard({ user, business }) {
+    if (user) {
+      await this.releaseHeldBonuses(user);
+    }
+
+    const referralCode = await this.getOrCreateCode(business ? { businessId: business._id } : { userId: user._id });
+    const terms = await this.getTerms(referralCode.ownerType);
+    const referrerFilter = business ? { referrerBusinessId: business._id } : { referrerUserId: user._id };
+
+    const [referrals, counts] = await Promise.all([
+      Referral.find(referrerFilter)
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate('refereeId', 'profile.firstName'),
+      Referral.aggregate([
+        { $match: referrerFilter },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            bonusEarned: { $sum: { $cond: [{ $in: ['$referrerBonus.status', ['queued', 'sent']] }, '$referrerBonus.amount', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const stats = { signups: 0, pending: 0, rewarded: 0, rejected: 0, expired: 0, bonusEarned: 0 };
+    counts.forEach(row => {
+      stats[row._id] = row.count;
+      stats.signups += row.count;
+      stats.bonusEarned = roundUSDC(stats.bonusEarned + row.bonusEarned);
+    });
+
+    return {
+      code: referralCode.code,
+      shareUrl: `${this.publicAppUrl}/pages/customer-register.html?ref=${referralCode.code}`,
+      terms,
+      stats,
+      referrals: referrals.map(referral => ({
+        referralId: referral.referralId,
+        // First name only - referrers don't see who else signed up
+        referee: referral.refereeId?.profile?.firstName || 'New customer',
+        status: referral.status,
+        signedUpAt: referral.createdAt,
+        qualifyBy: referral.qualifyBy,
+        referrerBonus: { amount: referral.referrerBonus.amount, status: referral.referrerBonus.status }
+      }))
+    };
+  }
+
+  /**
+   * Referrals for the admin view, newest first
+   * @param {Object} options - { status, flagged, limit, offset }
+   */
+  async listReferrals({ status, flagged, limit = 50, offset = 0 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (flagged) query['flags.0'] = { $exists: true };
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('refereeId', 'email')
+        .populate('referrerUserId', 'email')
+        .populate('referrerBusinessId', 'businessName'),
+      Referral.countDocuments(query)
+    ]);
+
+    return { referrals, total, limit, offset };
+  }
+
+  async listCampaigns() {
+    return ReferralCampaign.find().sort({ startsAt: -1 });
+  }
+
+  /**
+   * Start a referral campaign
+   * @param {Object} campaignData - { name, audience, referrerBonus, refereeBonus, minFirstPayment, qualificationDays, maxRewardedPerCode, startsAt, endsAt }
+   * @param {string} adminId - AdminUser ID
+   */
+  async createCampaign(campaignData, adminId) {
+    const campaign = await ReferralCampaign.create({
+      ...campaignData,
+      campaignId: this.generateCampaignId(),
+      createdBy: adminId
+    });
+
+    this.logger.info('Referral campaign created', { campaignId: campaign.campaignId, audience: campaign.audience, adminId });
+    return campaign;
+  }
+
+  /**
+   * Change a campaign's terms for referrals signed up from now on
+   */
+  async updateCampaign(campaignId, updates, adminId) {
+    const campaign = await ReferralCampaign.findByCampaignId(campaignId);
+    if (!campaign) {
+      throw new Error('Referral campaign not found');
+    }
+
+    Object.assign(campaign, updates, { updatedBy: adminId });
+    await campaign.save();
+
+    this.logger.info('Referral campaign updated', { campaignId, updates: Object.keys(updates), adminId });
+    return campaign;
+  }
+}
+
+// Shared instance so registration, payments and dashboards share one configuration
+module.exports = new ReferralService();
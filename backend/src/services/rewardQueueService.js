@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { findReference, FindReferenceError } = require('@solana/pay');
+const QueuedReward = require('../models/QueuedReward');
+const Referral = require('../models/Referral');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const VaultService = require('./vaultService');
+const ledgerService = require('./ledgerService');
+const vaultHealthService = require('./vaultHealthService');
+const { getChainAdapter } = require('./chainAdapter');
+const { rewardQueueConfig, roundUSDC } = require('../config/payments');
+
+// Statuses a reward can still be sent from
+const SENDABLE_STATUSES = ['pending', 'failed'];
+
+/**
+ * RewardQueueService - durable $PIZZA SPL reward delivery
+ *
+ * Payments queue their reward (and referrals their bonuses) in Mongo instead of sending inline. The worker sends due
+ * rewards from the treasury in multi-transfer transactions (one per batchSize recipients),
+ * retries failed sends with exponential backoff and dead-letters a reward after maxAttempts.
+ * A reward that already failed is retried on its own so one bad transfer can't hold back a
+ * batch. Only confirmed delivery credits the customer, posts the ledger reward, funds the
+ * reward cost from the vault and records the reward on the payment. The queue holds while
+ * vault health checks have reward distribution paused.
+ */
+class RewardQueueService {
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   * @param {Object} config - Batch size, retry policy and worker interval
+   */
+  constructor(chain = getChainAdapter(), config = rewardQueueConfig) {
+    this.chain = chain;
+    this.config = config;
+    this.vaultService = new VaultService(chain);
+    this.workerInterval = null;
+    this.processing = false;
+    this.treasurySigner = undefined;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/reward-queue.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  generateRewardId() {
+    return `rw_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  generateBatchId() {
+    return `rwb_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed sends
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.config.retryMaxMs, this.config.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Queue a payment's reward or a referral bonus (a replayed payment keeps its first reward)
+   * @param {Object} rewardData - { kind, userId, businessId, transactionId, referralId, recipient, amount, rewardCost, vaultContribution }
+   * @returns {Object} QueuedReward document
+   */
+  async enqueue(rewardData) {
+    const { kind = 'payment', userId, businessId, transactionId, referralId, recipient, amount, rewardCost = 0, vaultContribution = 0 } = rewardData;
+
+    try {
+      new PublicKey(recipient);
+    } catch (error) {
+      throw new Error('Invalid reward recipient');
+    }
+    if (!(amount > 0)) {
+      throw new Error('Reward amount must be positive');
+    }
+
+    const reward = await QueuedReward.findOneAndUpdate(
+      { transactionId, userId, kind },
+      {
+        $setOnInsert: {
+          rewardId: this.generateRewardId(),
+          userId,
+          businessId,
+          referralId,
+          recipient,
+          amount,
+          originalAmount: amount,
+          rewardCost,
+          vaultContribution,
+          status: 'pending',
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    this.logger.info('Reward queued', {
+      rewardId: reward.rewardId,
+      kind,
+      userId,
+      transactionId,
+      amount: reward.amount
+    });
+    return reward;
+  }
+
+  /**
+   * Send due rewards, and settle batches interrupted mid-send
+   * @param {Date} now - Run time
+   * @returns {Object} { batches, sent, failed, deadLettered, recovered, paused }
+   */
+  async processQueue(now = new Date()) {
+    const summary = { batches: 0, sent: 0, failed: 0, deadLettered: 0, recovered: 0, paused: false };
+    if (this.processing) {
+      return { ...summary, skipped: true };
+    }
+    this.processing = true;
+
+    try {
+      summary.recovered = await this.recoverStaleBatches(now);
+
+      if (await vaultHealthService.isRewardDistributionPaused()) {
+        summary.paused = true;
+        return summary;
+      }
+
+      // Without the treasury signer rewards stay pending instead of burning their attempts
+      if (!this.canSend()) {
+        this.logger.warn('Reward queue held - treasury signer not configured');
+        summary.paused = true;
+        return summary;
+      }
+
+      while (summary.batches < this.config.maxBatchesPerRun) {
+        const batch = await this.claimBatch(now);
+        if (batch.length === 0) {
+          break;
+        }
+
+        summary.batches += 1;
+        const result = await this.sendBatch(batch, now);
+        summary.sent += result.sent;
+        summary.failed += result.failed;
+        summary.deadLettered += result.deadLettered;
+      }
+
+      if (summary.batches > 0 || summary.recovered > 0) {
+        this.logger.info('Reward queue processed', summary);
+      }
+      return summary;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Claim the next batch of due rewards: up to batchSize first attempts, or one retry
+   */
+  async claimBatch(now = new Date()) {
+    const due = { status: { $in: SENDABLE_STATUSES }, nextAttemptAt: { $lte: now } };
+
+    let candidates = await QueuedReward.find({ ...due, attempts: 0 })
+      .sort({ createdAt: 1 })
+      .limit(this.config.batchSize)
+      .select('_id');
+    if (candidates.length === 0) {
+      candidates = await QueuedReward.find({ ...due, attempts: { $gt: 0 } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(1)
+        .select('_id');
+    }
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    // Claim atomically - another worker may have taken some of them
+    const batchId = this.generateBatchId();
+    const reference = Keypair.generate().publicKey.toBase58();
+    await QueuedReward.updateMany(
+      { _id: { $in: candidates.map(candidate => candidate._id) }, ...due },
+      { $set: { status: 'sending', batchId, reference, claimedAt: now } }
+    );
+
+    return QueuedReward.find({ batchId, status: 'sending' });
+  }
+
+  /**
+   * Send one claimed batch as a single multi-transfer transaction
+   */
+  async sendBatch(batch, now = new Date()) {
+    const { batchId, reference } = batch[0];
+
+    let signature;
+    try {
+      signature = await this.sendTransfers(batch, reference);
+    } catch (error) {
+      this.logger.error('Reward batch send failed', {
+        batchId,
+        rewards: batch.map(reward => reward.rewardId),
+        error: error.message
+      });
+      const failed = await this.recordFailure(batch, error.message, now);
+      return { sent: 0, ...failed };
+    }
+
+    for (const reward of batch) {
+      await this.confirmDelivery(reward, signature, now);
+    }
+    return { sent: batch.length, failed: 0, deadLettered: 0 };
+  }
+
+  /**
+   * Treasury keypair that signs reward transfers (TREASURY_PRIVATE_KEY, JSON array of secret key bytes)
+   * @returns {Keypair|null} null when not configured
+   */
+  getTreasurySigner() {
+    if (this.treasurySigner === undefined) {
+      const secretKey = process.env.TREASURY_PRIVATE_KEY;
+      this.treasurySigner = secretKey ? Keypair.fromSecretKey(Uint8Array.from(JSON.parse(secretKey))) : null;
+    }
+    return this.treasurySigner;
+  }
+
+  /**
+   * Whether rewards can be sent - simulated chains (CHAIN_ADAPTER=memory) need no signer
+   */
+  canSend() {
+    return this.chain.isSimulated || !!this.getTreasurySigner();
+  }
+
+  /**
+   * Treasury -> customers transfer of a batch
+   * @returns {string} Confirmed transaction signature
+   */
+  async sendTransfers(batch, reference) {
+    const signer = this.chain.isSimulated ? undefined : this.getTreasurySigner();
+    if (!this.chain.isSimulated && !signer) {
+      throw new Error('Treasury signer not configured');
+    }
+
+    return this.chain.transferTokensBatch({
+      from: signer ? signer.publicKey : new PublicKey(process.env.TREASURY_WALLET_ADDRESS),
+      transfers: batch.map(reward => ({ to: reward.recipient, amount: reward.amount })),
+      mint: new PublicKey(process.env.PIZZA_TOKEN_MINT),
+      signer,
+      references: [reference]
+    });
+  }
+
+  /**
+   * Settle a reward the chain confirmed: mark it sent, then credit the customer, post the
+   * ledger reward, fund the reward cost and record the reward on the payment (or referral)
+   */
+  async confirmDelivery(reward, signature, now = new Date()) {
+    const marked = await QueuedReward.findOneAndUpdate(
+      { _id: reward._id, status: 'sending' },
+      {
+        $set: { status: 'sent', signature, sentAt: now, lastAttemptAt: now, lastError: null },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+    if (!marked) {
+      return null;
+    }
+
+    try {
+      const user = await User.findById(reward.userId);
+      if (user) {
+        await user.updateBalance('pizza_spl', reward.amount);
+      }
+
+      // Rewards earned are derived from the ledger
+      const isReferralBonus = reward.kind === 'referral_bonus';
+      if (isReferralBonus) {
+        await ledgerService.recordReferralBonus({
+          userId: reward.userId,
+          amount: reward.amount,
+          referralId: reward.referralId,
+          transactionId: reward.transactionId,
+          signature
+        });
+      } else {
+        await ledgerService.recordReward({
+          userId: reward.userId,
+          amount: reward.amount,
+          transactionId: reward.transactionId,
+          signature
+        });
+      }
+
+      // The USDC reward cost comes out of the vault's reward bucket
+      try {
+        await this.vaultService.fundRewardDistribution(
+          reward.rewardCost,
+          reward.recipient,
+          reward.transactionId,
+          isReferralBonus ? `referral:${reward.rewardId}` : reward.transactionId
+        );
+      } catch (error) {
+        // The customer is already paid - a short bucket is surfaced by vault health checks
+        this.logger.error('Reward cost funding failed', { rewardId: reward.rewardId, rewardCost: reward.rewardCost, error: error.message });
+      }
+
+      if (isReferralBonus) {
+        // The bonus is either the referrer's or the referred customer's
+        for (const bonus of ['referrerBonus', 'refereeBonus']) {
+          await Referral.updateOne(
+            { referralId: reward.referralId, [`${bonus}.rewardId`]: reward.rewardId },
+            { $set: { [`${bonus}.status`]: 'sent', [`${bonus}.signature`]: signature, [`${bonus}.sentAt`]: now } }
+          );
+        }
+      } else {
+        const payment = await Transaction.findById(reward.transactionId);
+        if (payment) {
+          await payment.recordRewardDistribution({
+            tokens: reward.amount,
+            vaultContribution: reward.vaultContribution,
+            transactionId: signature
+          });
+        }
+      }
+    } catch (error) {
+      // Delivered on-chain - bookkeeping gaps are logged for manual follow-up, never resent
+      this.logger.error('Reward delivery bookkeeping failed', {
+        rewardId: reward.rewardId,
+        signature,
+        error: error.message
+      });
+    }
+
+    this.logger.info('Reward delivered', {
+      rewardId: reward.rewardId,
+      userId: reward.userId,
+      recipient: reward.recipient,
+      amount: reward.amount,
+      signature,
+      referenceTransactionId: reward.transactionId
+    });
+    return marked;
+  }
+
+  /**
+   * Schedule a retry for each reward of a failed send, or dead-letter it
+   * @returns {Object} { failed, deadLettered }
+   */
+  async recordFailure(rewards, errorMessage, now = new Date()) {
+    const counts = { failed: 0, deadLettered: 0 };
+
+    for (const reward of rewards) {
+      const attempts = reward.attempts + 1;
+      const deadLetter = attempts >= this.config.maxAttempts;
+
+      await QueuedReward.updateOne(
+        { _id: reward._id, status: 'sending' },
+        {
+          $set: {
+            status: deadLetter ? 'dead_letter' : 'failed',
+            attempts,
+            lastAttemptAt: now,
+            lastError: errorMessage,
+            nextAttemptAt: new Date(now.getTime() + this.getRetryDelay(attempts)),
+            ...(deadLetter ? { deadLetteredAt: now } : {})
+          }
+        }
+      );
+
+      if (deadLetter) {
+        counts.deadLettered += 1;
+        this.logger.error('Reward dead-lettered', {
+          rewardId: reward.rewardId,
+          userId: reward.userId,
+          amount: reward.amount,
+          attempts,
+          error: errorMessage
+        });
+      } else {
+        counts.failed += 1;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Batches still "sending" after sendingTimeoutMs (e.g. the process stopped mid-send) are
+   * looked up on-chain by reference: delivered ones are confirmed, the rest retried
+   * @returns {number} Rewards settled
+   */
+  async recoverStaleBatches(now = new Date()) {
+    const stale = await QueuedReward.find({
+      status: 'sending',
+      claimedAt: { $lt: new Date(now.getTime() - this.config.sendingTimeoutMs) }
+    });
+
+    const batches = new Map();
+    stale.forEach(reward => {
+      if (!batches.has(reward.batchId)) {
+        batches.set(reward.batchId, []);
+      }
+      batches.get(reward.batchId).push(reward);
+    });
+
+    let settled = 0;
+    for (const [batchId, rewards] of batches) {
+      let found;
+      try {
+        found = await findReference(this.chain.connection, new PublicKey(rewards[0].reference), { finality: 'confirmed' });
+      } catch (error) {
+        if (error instanceof FindReferenceError) {
+          this.logger.warn('Stale reward batch never landed - retrying', { batchId });
+          await this.recordFailure(rewards, 'Send interrupted before confirmation', now);
+          settled += rewards.length;
+        } else {
+          this.logger.warn('Stale reward batch lookup failed', { batchId, error: error.message });
+        }
+        continue;
+      }
+
+      for (const reward of rewards) {
+        await this.confirmDelivery(reward, found.signature, now);
+      }
+      settled += rewards.length;
+    }
+    return settled;
+  }
+
+  /**
+   * Shrink a still-queued reward by a refund's share of its payment (cancelled when fully
+   * refunded). Delivered rewards are clawed back instead.
+   * @param {string} transactionId - Refunded payment
+   * @param {number} share - Refunded share of the payment (0-1)
+   * @returns {number} $PIZZA SPL removed from the queue
+   */
+  async reduceForRefund(transactionId, share) {
+    const reward = await QueuedReward.findOne({
+      transactionId,
+      kind: 'payment',
+      status: { $in: SENDABLE_STATUSES.concat('dead_letter') }
+    });
+    if (!reward) {
+      return 0;
+    }
+
+    const reduction = roundUSDC(Math.min(reward.amount, reward.originalAmount * share));
+    const amount = roundUSDC(reward.amount - reduction);
+    const rewardCost = roundUSDC(reward.rewardCost * (amount / reward.amount));
+
+    const updated = await QueuedReward.findOneAndUpdate(
+      { _id: reward._id, status: reward.status, amount: reward.amount },
+      {
+        $set: amount > 0 ?
+          { amount, rewardCost } :
+          { amount: 0, rewardCost: 0, status: 'cancelled', cancelledAt: new Date() }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // Claimed for sending meanwhile - the refund's clawback covers the delivered reward instead
+      return 0;
+    }
+
+    this.logger.info('Queued reward reduced for refund', {
+      rewardId: reward.rewardId,
+      transactionId,
+      reduction,
+      status: updated.status
+    });
+    return reduction;
+  }
+
+  /**
+   * The reward queued for a payment, whatever its status (null when none was queued)
+   * @param {string} transactionId - Payment transaction
+   */
+  async getPaymentReward(transactionId) {
+    return QueuedReward.findOne({ transactionId, kind: 'payment' });
+  }
+
+  /**
+   * Put a failed or dead-lettered reward back in the queue with fresh attempts
+   */
+  async requeue(rewardId, adminId) {
+    const reward = await QueuedReward.findOneAndUpdate(
+      { rewardId, status: { $in: ['failed', 'dead_letter'] } },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+          requeuedAt: new Date(),
+          requeuedBy: adminId
+        },
+        $unset: { deadLetteredAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!reward) {
+      if (!await QueuedReward.findByRewardId(rewardId)) {
+        throw new Error('Reward not found');
+      }
+      throw new Error('Only failed or dead-lettered rewards can be requeued');
+    }
+
+    this.logger.info('Reward requeued', { rewardId, adminId });
+    return reward;
+  }
+
+  /**
+   * Queue totals by status for the admin view
+   */
+  async getQueueStats() {
+    const rows = await QueuedReward.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          oldest: { $min: '$createdAt' }
+        }
+      }
+    ]);
+
+    const stats = {};
+    QueuedReward.STATUSES.forEach(status => {
+      stats[status] = { count: 0, amount: 0, oldest: null };
+    });
+    rows.forEach(row => {
+      stats[row._id] = { count: row.count, amount: roundUSDC(row.amount), oldest: row.oldest };
+    });
+    return stats;
+  }
+
+  /**
+   * Queued rewards, newest first
+   * @param {Object} options - { status, limit, offset }
+   */
+  async listRewards({ status, limit = 50, offset = 0 } = {}) {
+    const query = status ? { status } : {};
+    const [rewards, total] = await Promise.all([
+      QueuedReward.find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('userId', 'email')
+        .populate('businessId', 'businessName'),
+      QueuedReward.countDocuments(query)
+    ]);
+
+    return { rewards, total, limit, offset };
+  }
+
+  /**
+   * Run the worker on an interval
+   * @param {number} intervalMs - Worker interval
+   */
+  startSweep(intervalMs = this.config.intervalMs) {
+    if (this.workerInterval) {
+      return;
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.processQueue().catch(error => {
+        this.logger.error('Reward queue run failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.workerInterval.unref();
+  }
+
+  stopSweep() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+  }
+}
+
+// Shared instance so the worker, payments and admin actions share one in-flight guard
+module.exports = new RewardQueueService();
@@ -1,28 +1,40 @@
 const winston = require('winston');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { PublicKey } = require('@solana/web3.js');
 const User = require('../models/User');
 const Business = require('../models/Business');
 const Transaction = require('../models/Transaction');
+const { paymentConfig, roundUSDC, validatePaymentAmount, calculateReward } = require('../config/payments');
+const { getChainAdapter } = require('./chainAdapter');
+const ledgerService = require('./ledgerService');
+const loyaltyRulesService = require('./loyaltyRulesService');
+const loyaltyTierService = require('./loyaltyTierService');
+const rewardQueueService = require('./rewardQueueService');
+const referralService = require('./referralService');
 
 /**
- * RewardsService - Fixed Rate Reward Distribution
+ * RewardsService - Proportional Reward Distribution
  * 
- * Handles fixed 0.3 $PIZZA SPL reward per $15 transaction
+ * Handles $PIZZA SPL rewards proportional to the order total (0.3 per $15)
  * Manages platform vault funding from 1.3% transaction fees
  * Distributes rewards from unified platform vault with $2,320.06 annual surplus
- * Cost-controlled at $0.15 per reward vs $0.195 vault contribution
+ * Cost-controlled at 1% of the order total vs the 1.3% vault contribution
+ * Scales rewards by the customer's loyalty tier and the merchant's loyalty rules
+ * Queues rewards for batched, retried delivery (RewardQueueService holds them while rewards are paused)
+ * Rewards pending referrals on the referred customer's first qualifying payment
  */
 class RewardsService {
-  constructor() {
-    this.connection = new Connection(
-      process.env.SOLANA_RPC_ENDPOINT || 'https://api.devnet.solana.com'
-    );
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   */
+  constructor(chain = getChainAdapter()) {
+    this.chain = chain;
+    this.connection = chain.connection;
     
-    // Fixed reward configuration
-    this.fixedRewardAmount = 0.3;        // 0.3 $PIZZA SPL per transaction
-    this.transactionAmount = 15;         // Fixed $15 USDC transactions
-    this.rewardCost = 0.15;             // $0.15 cost per reward
-    this.vaultContributionPerTx = 0.195; // $0.195 from 1.3% of $15
+    // Reward configuration (rates scale with the order total)
+    this.rewardRate = paymentConfig.rewardRate;                       // 0.02 $PIZZA SPL per $1
+    this.rewardCostRate = paymentConfig.rewardCostRate;               // $0.01 cost per $1
+    this.vaultContributionRate = paymentConfig.vaultContributionRate; // 1.3% of the order total
+    this.defaultTransactionAmount = paymentConfig.defaultAmount;      // $15 reference order
     
     // Annual targets and projections
     this.annualTargets = {
@@ -35,12 +47,14 @@ class RewardsService {
     
     // Token configuration
     this.pizzaSPLMint = new PublicKey(process.env.PIZZA_TOKEN_MINT);
-    this.usdcMint = new PublicKey(process.env.USDC_MINT);
+    this.usdcMint = chain.usdcMint;
     this.treasuryAddress = new PublicKey(process.env.TREASURY_WALLET_ADDRESS);
     
     // Initialize services
     this.GiftCardService = require('./giftCardService');
-    this.giftCardService = new this.GiftCardService();
+    this.giftCardService = new this.GiftCardService(chain);
+    this.VaultService = require('./vaultService');
+    this.vaultService = new this.VaultService(chain);
     
     // Setup logging
     this.logger = winston.createLogger({
@@ -60,7 +74,7 @@ class RewardsService {
   }
   
   /**
-   * Process fixed reward distribution for payment transaction
+   * Process reward distribution for payment transaction
    */
   async processPaymentReward(transactionData) {
     try {
@@ -69,68 +83,96 @@ class RewardsService {
         businessId,
         transactionId,
         customerWalletAddress,
-        transactionAmount = 15
+        transactionAmount = this.defaultTransactionAmount,
+        // Fee snapshot the payment was charged (PaymentIntent fees); recomputed when omitted
+        vaultContribution: lockedVaultContribution
       } = transactionData;
       
-      // Validate transaction amount (must be $15)
-      if (transactionAmount !== this.transactionAmount) {
-        throw new Error(`Invalid transaction amount. Must be $${this.transactionAmount}`);
+      // Validate transaction amount against configured limits
+      const amountCheck = validatePaymentAmount(transactionAmount);
+      if (!amountCheck.valid) {
+        throw new Error(`Invalid transaction amount. ${amountCheck.error}`);
       }
       
+      const baseReward = calculateReward(amountCheck.amount);
+      
       // Get business for vault contribution calculation
       const business = await Business.findById(businessId);
       if (!business) {
         throw new Error('Business not found');
       }
       
-      // Calculate fees and contributions
-      const feeCalculation = business.calculateTransactionFees(transactionAmount);
-      const vaultContribution = feeCalculation.vaultContribution;
+      // Vault contribution the customer actually paid, or the current rate for the business
+      const vaultContribution = typeof lockedVaultContribution === 'number' ?
+        lockedVaultContribution :
+        business.calculateTransactionFees(transactionAmount).vaultContribution;
       
-      // Distribute fixed reward to customer
-      const rewardResult = await this.distributeFixedReward({
-        userId,
-        customerWalletAddress,
-        amount: this.fixedRewardAmount,
-        transactionId
-      });
-      
-      // Fund platform vault
+      // Fund platform vault (the reward cost is paid out of it next)
       await this.fundPlatformVault({
         businessId,
         amount: vaultContribution,
         transactionId
       });
       
-      // Update transaction record with reward info
-      await Transaction.findById(transactionId).then(tx => {
-        if (tx) {
-          tx.recordRewardDistribution({
-            tokens: this.fixedRewardAmount,
-            vaultContribution,
-            transactionId: rewardResult.distributionTxId
-          });
-        }
+      // The customer's loyalty tier and merchant loyalty rules (e.g. 2x rewards on Tuesdays) scale the reward
+      const customer = await User.findById(userId);
+      const loyalty = loyaltyRulesService.evaluate(business, loyaltyRulesService.buildContext({
+        business,
+        customer,
+        amount: amountCheck.amount
+      }));
+      const rewardAmount = roundUSDC(baseReward.rewardAmount * loyalty.rewardMultiplier);
+      const rewardCost = roundUSDC(baseReward.rewardCost * loyalty.rewardMultiplier);
+      
+      // Queue fixed reward to customer (recorded on the transaction once delivered)
+      const rewardResult = await this.distributeFixedReward({
+        userId,
+        businessId,
+        customerWalletAddress,
+        amount: rewardAmount,
+        rewardCost,
+        vaultContribution,
+        transactionAmount,
+        transactionId
       });
       
+      // Update transaction record with the loyalty rules applied
+      if (loyalty.rulesFired.length > 0) {
+        await Transaction.findById(transactionId).then(async tx => {
+          if (tx) {
+            await tx.recordLoyaltyRules({
+              rewardMultiplier: loyalty.rewardMultiplier,
+              rulesFired: loyalty.rulesFired
+            });
+          }
+        });
+      }
+      
       // Update user payment statistics
       await this.updateUserPaymentStats(userId, businessId, transactionAmount);
+      await this.processReferral(userId, transactionId, amountCheck.amount, customerWalletAddress);
       
       this.logger.info('Payment reward processed', {
         userId,
         businessId,
         transactionId,
-        rewardAmount: this.fixedRewardAmount,
+        transactionAmount,
+        rewardAmount,
+        rewardMultiplier: loyalty.rewardMultiplier,
         vaultContribution,
-        rewardCost: this.rewardCost,
-        surplus: vaultContribution - this.rewardCost
+        rewardCost,
+        surplus: roundUSDC(vaultContribution - rewardCost)
       });
       
       return {
-        rewardDistributed: this.fixedRewardAmount,
+        rewardDistributed: rewardAmount,
+        rewardQueued: true,
+        rewardId: rewardResult.rewardId,
+        rewardMultiplier: loyalty.rewardMultiplier,
+        rulesFired: loyalty.rulesFired,
         vaultContribution,
-        rewardCost: this.rewardCost,
-        surplus: vaultContribution - this.rewardCost,
+        rewardCost,
+        surplus: roundUSDC(vaultContribution - rewardCost),
         distributionTxId: rewardResult.distributionTxId
       };
       
@@ -141,43 +183,58 @@ class RewardsService {
   }
   
   /**
-   * Distribute fixed 0.3 $PIZZA SPL reward to customer
+   * Queue $PIZZA SPL reward to customer
+   * The reward queue sends it, credits the balance, posts the ledger reward and funds the
+   * reward cost once the transfer confirms.
    */
   async distributeFixedReward(rewardData) {
     try {
-      const { userId, customerWalletAddress, amount, transactionId } = rewardData;
+      const {
+        userId,
+        businessId,
+        customerWalletAddress,
+        amount,
+        transactionId,
+        vaultContribution = 0,
+        transactionAmount = this.defaultTransactionAmount,
+        rewardCost = calculateReward(transactionAmount).rewardCost
+      } = rewardData;
       
-      // Create reward distribution transaction on Solana
-      const distributionTx = await this.createRewardDistributionTx({
-        recipientAddress: customerWalletAddress,
+      const queued = await rewardQueueService.enqueue({
+        userId,
+        businessId,
+        transactionId,
+        recipient: customerWalletAddress,
         amount,
-        fromVault: 'platform'
+        rewardCost,
+        vaultContribution
       });
       
-      // Update user wallet balance
+      // Update user payment statistics
       const user = await User.findById(userId);
       if (user) {
-        await user.updateBalance('pizza_spl', amount);
-        await user.processPayment(rewardData.businessId, this.transactionAmount);
+        await user.processPayment(businessId, transactionAmount);
       }
       
-      this.logger.info('Fixed reward distributed', {
+      this.logger.info('Reward queued', {
         userId,
         customerWallet: customerWalletAddress,
         amount,
-        distributionTxId: distributionTx.signature,
+        rewardId: queued.rewardId,
         referenceTransactionId: transactionId
       });
       
       return {
-        distributionTxId: distributionTx.signature,
+        queued: true,
+        rewardId: queued.rewardId,
+        distributionTxId: null,
         amount,
         recipient: customerWalletAddress,
-        cost: this.rewardCost
+        cost: rewardCost
       };
       
     } catch (error) {
-      this.logger.error('Fixed reward distribution failed', error);
+      this.logger.error('Reward distribution failed', error);
       throw error;
     }
   }
@@ -189,11 +246,10 @@ class RewardsService {
     try {
       const { businessId, amount, transactionId } = vaultData;
       
-      // Update business vault contribution tracking
-      const business = await Business.findById(businessId);
-      if (business) {
-        await business.addVaultContribution(amount);
-      }
+      // The contribution itself is posted with the payment (LedgerService.recordPayment);
+      // the vault makes sure it is and applies its allocation policy
+      const contribution = await this.vaultService.processMerchantContribution(businessId, amount, { transactionId });
+      const businessTotalContribution = await ledgerService.getBalance(`business:${businessId}:vault_contributions`);
       
       // Record vault funding transaction
       const vaultTx = await this.createVaultFundingTx({
@@ -207,7 +263,8 @@ class RewardsService {
         amount,
         vaultTxId: vaultTx.signature,
         referenceTransactionId: transactionId,
-        businessTotalContribution: business?.vaultContribution?.totalContributed || 0
+        businessTotalContribution,
+        rebalanced: Boolean(contribution.rebalance)
       });
       
       return {
@@ -227,44 +284,55 @@ class RewardsService {
    */
   async issueGiftCardReward(giftCardData) {
     try {
-      const { businessId, recipientWalletAddress, campaignId } = giftCardData;
+      const { businessId, recipientWalletAddress } = giftCardData;
       
-      // Check if business has reached monthly quota
       const business = await Business.findById(businessId);
-      const monthlyCount = await this.giftCardService.getCurrentMonthMintCount(businessId);
-      
-      if (monthlyCount >= 100) {
+      if (!business) {
         return {
           issued: false,
-          reason: 'Monthly gift card quota reached (100 cards/month)'
+          reason: 'Business not found'
         };
       }
       
-      // Issue gift card NFT
-      const giftCardResult = await this.giftCardService.mintGiftCard({
-        businessId,
-        recipientWalletAddress,
+      // Issue gift card NFT (counts toward the business's monthly quota)
+      const { campaign, cards } = await this.giftCardService.mintBatch(business, {
+        quantity: 1,
+        name: 'Purchase reward',
         customMessage: 'Reward gift card from your recent purchase!',
-        campaignId
+        source: 'purchase_reward',
+        recipientWallet: recipientWalletAddress
       });
+      const giftCard = cards[0];
+      if (!giftCard) {
+        return {
+          issued: false,
+          reason: 'Gift card issuance failed'
+        };
+      }
       
       this.logger.info('Gift card reward issued', {
         businessId,
         recipientWallet: recipientWalletAddress,
-        giftCardId: giftCardResult.giftCardId,
-        value: 5, // 5 $PIZZA SPL value
-        monthlyCount: monthlyCount + 1
+        giftCardId: giftCard.cardId,
+        campaignId: campaign.campaignId,
+        value: giftCard.value
       });
       
       return {
         issued: true,
-        giftCardId: giftCardResult.giftCardId,
-        value: 5,
-        expiryDate: giftCardResult.expiryDate,
-        nftAddress: giftCardResult.nftAddress
+        giftCardId: giftCard.cardId,
+        value: giftCard.value,
+        expiryDate: giftCard.expiresAt,
+        nftAddress: giftCard.nftAddress
       };
       
     } catch (error) {
+      if (error.message.startsWith('Monthly gift card quota exceeded')) {
+        return {
+          issued: false,
+          reason: `Monthly gift card quota reached (${this.giftCardService.monthlyQuota} cards/month)`
+        };
+      }
       this.logger.error('Gift card reward issuance failed', error);
       return {
         issued: false,
@@ -377,7 +445,9 @@ class RewardsService {
             totalRewardsDistributed: { $sum: '$rewards.pizzaTokensDistributed' },
             totalVaultContributions: { $sum: '$rewards.vaultFunded' },
             averageRewardPerTx: { $avg: '$rewards.pizzaTokensDistributed' },
-            totalRewardCost: { $sum: { $multiply: ['$rewards.pizzaTokensDistributed', this.rewardCost / this.fixedRewardAmount] } },
+            totalVolume: { $sum: '$amount' },
+            averageTransactionAmount: { $avg: '$amount' },
+            totalRewardCost: { $sum: { $multiply: ['$rewards.pizzaTokensDistributed', this.rewardCostRate / this.rewardRate] } },
             giftCardsIssued: { $sum: { $cond: ['$rewards.giftCardIssued', 1, 0] } }
           }
         },
@@ -385,6 +455,8 @@ class RewardsService {
           $project: {
             businessId: '$_id',
             totalTransactions: 1,
+            totalVolume: 1,
+            averageTransactionAmount: 1,
             totalRewardsDistributed: 1,
             totalVaultContributions: 1,
             averageRewardPerTx: 1,
@@ -398,6 +470,8 @@ class RewardsService {
       
       const result = analytics[0] || {
         totalTransactions: 0,
+        totalVolume: 0,
+        averageTransactionAmount: 0,
         totalRewardsDistributed: 0,
         totalVaultContributions: 0,
         averageRewardPerTx: 0,
@@ -408,10 +482,10 @@ class RewardsService {
       
       // Add configuration and targets
       result.configuration = {
-        fixedRewardAmount: this.fixedRewardAmount,
-        rewardCost: this.rewardCost,
-        vaultContributionPerTx: this.vaultContributionPerTx,
-        targetSurplusPerTx: this.vaultContributionPerTx - this.rewardCost
+        rewardRate: this.rewardRate,
+        rewardCostRate: this.rewardCostRate,
+        vaultContributionRate: this.vaultContributionRate,
+        targetSurplusRate: roundUSDC(this.vaultContributionRate - this.rewardCostRate)
       };
       
       result.targets = this.annualTargets;
@@ -423,9 +497,9 @@ class RewardsService {
       return {
         error: error.message,
         configuration: {
-          fixedRewardAmount: this.fixedRewardAmount,
-          rewardCost: this.rewardCost,
-          vaultContributionPerTx: this.vaultContributionPerTx
+          rewardRate: this.rewardRate,
+          rewardCostRate: this.rewardCostRate,
+          vaultContributionRate: this.vaultContributionRate
         }
       };
     }
@@ -451,7 +525,6 @@ class RewardsService {
       
       user.payments.totalTransactions += 1;
       user.payments.totalVolume += transactionAmount;
-      user.payments.pizzaSPLRewardsEarned += this.fixedRewardAmount;
       user.payments.lastTransactionDate = new Date();
       
       // Update favorite business
@@ -461,11 +534,93 @@ class RewardsService {
       
     } catch (error) {
       this.logger.error('User payment stats update failed', error);
+      return;
+    }
+    
+    // The payment can promote the customer's loyalty tiers straight away
+    try {
+      await loyaltyTierService.refreshCustomer(userId);
+    } catch (error) {
+      this.logger.error('Customer tier refresh failed', { userId, error: error.message });
+    }
+  }
+  
+  /**
+   * Reward the customer's pending referral if this is their qualifying payment
+   * Referral bonuses never hold up the payment reward.
+   */
+  async processReferral(userId, transactionId, amount, walletAddress) {
+    try {
+      await referralService.processPayment({ userId, transactionId, amount, walletAddress });
+    } catch (error) {
+      this.logger.error('Referral processing failed', { userId, transactionId, error: error.message });
+    }
+  }
+  
+  /**
+   * Claw back the $PIZZA SPL reward share of a refunded payment
+   * Rewards already sit in the customer's own wallet, so the clawback is deducted from
+   * the tracked balance; anything the customer already spent is reported as outstanding.
+   */
+  async clawbackReward(clawbackData) {
+    try {
+      const { userId, amount, refundAmount = 0, transactionId, refundTransactionId } = clawbackData;
+      
+      const user = await User.findById(userId);
+      if (!user || !(amount > 0)) {
+        return { amount: 0, deducted: 0, outstanding: 0 };
+      }
+      
+      const balance = user.wallet?.pizzaSPLBalance || 0;
+      const deducted = roundUSDC(Math.max(0, Math.min(balance, amount)));
+      const outstanding = roundUSDC(amount - deducted);
+      
+      // Refunded volume no longer counts toward the customer's totals
+      if (user.payments) {
+        user.payments.totalVolume = Math.max(0, roundUSDC(user.payments.totalVolume - refundAmount));
+      }
+      
+      await user.updateBalance('pizza_spl', -deducted);
+      
+      // Rewards earned drop by the full share; what the customer already spent stays receivable
+      await ledgerService.recordRewardClawback({
+        userId,
+        amount,
+        deducted,
+        outstanding,
+        transactionId,
+        refundTransactionId
+      });
+      
+      this.logger.info('Reward clawed back', {
+        userId,
+        amount,
+        deducted,
+        outstanding,
+        referenceTransactionId: transactionId
+      });
+      
+      return { amount, deducted, outstanding };
+      
+    } catch (error) {
+      this.logger.error('Reward clawback failed', error);
+      throw error;
     }
   }
   
   // Helper methods for blockchain operations
   async createRewardDistributionTx(distributionData) {
+    // Simulated chains (CHAIN_ADAPTER=memory) move real ledger balances from the treasury
+    if (this.chain.isSimulated) {
+      const signature = await this.chain.transferTokens({
+        from: this.treasuryAddress,
+        to: new PublicKey(distributionData.recipientAddress),
+        mint: this.pizzaSPLMint,
+        amount: distributionData.amount
+      });
+      return { signature, success: true };
+    }
+    
     // Mock implementation - would create actual Solana transaction
     return {
       signature: 'mock_reward_dist_' + Date.now(),
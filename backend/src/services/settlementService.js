@@ -0,0 +1,554 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const SettlementBatch = require('../models/SettlementBatch');
+const Transaction = require('../models/Transaction');
+const Business = require('../models/Business');
+const PaymentIntent = require('../models/PaymentIntent');
+const paymentIntentService = require('./paymentIntentService');
+const { settlementConfig, roundUSDC } = require('../config/payments');
+const { renderTextPdf } = require('../utils/pdfDocument');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SettlementService - daily/weekly settlement batches and payout statements
+ *
+ * Once a period (UTC day, or UTC week starting Monday) has ended and the close delay has
+ * passed, every unbatched confirmed payment and refund the business recorded before the
+ * period end is claimed into a SettlementBatch. Claimed transactions are locked (see
+ * Transaction SETTLEMENT_LOCKED_PATHS), so a closed period cannot change: anything that
+ * arrives late - a payment confirmed after the close, a refund of an already settled
+ * payment - lands in the next batch as a carried-over line.
+ */
+class SettlementService {
+  constructor(intentService = paymentIntentService) {
+    this.intentService = intentService;
+    this.config = settlementConfig;
+    this.sweepInterval = null;
+    // Businesses with a close in flight in this process
+    this.closing = new Set();
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/settlements.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  generateBatchId() {
+    return `stl_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * Settlement period containing a point in time
+   * @param {Date} at - Point in time
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @returns {Object} { periodStart, periodEnd } (UTC, end exclusive)
+   */
+  getPeriod(at, frequency = 'daily') {
+    const date = new Date(at);
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (frequency === 'weekly') {
+      // Weeks start on Monday
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      return { periodStart: start, periodEnd: new Date(start.getTime() + 7 * DAY_MS) };
+    }
+
+    return { periodStart: start, periodEnd: new Date(start.getTime() + DAY_MS) };
+  }
+
+  /**
+   * Whether a period may be closed (ended, plus the grace for late confirmations)
+   */
+  isClosable(period, now = new Date()) {
+    return period.periodEnd.getTime() + this.config.closeDelayMinutes * 60 * 1000 <= now.getTime();
+  }
+
+  /**
+   * Statement line for a transaction
+   * @param {Object} transaction - Transaction document
+   * @param {Date} periodStart - Batch period start (earlier lines are carried over)
+   * @returns {Object} Batch line
+   */
+  toLine(transaction, periodStart) {
+    const isRefund = transaction.type === 'refund';
+
+    return {
+      transactionId: transaction._id,
+      type: transaction.type,
+      recordedAt: transaction.createdAt,
+      signature: transaction.signature,
+      paymentReference: transaction.paymentReference,
+      amount: transaction.amount,
+      tipAmount: isRefund ? 0 : (transaction.tipAmount || 0),
+      platformFee: isRefund ? 0 : (transaction.fees?.platformFee || 0),
+      vaultContribution: isRefund ?
+        -(transaction.refund?.vaultContributionReversed || 0) :
+        (transaction.fees?.vaultContribution || 0),
+      netAmount: isRefund ?
+        -transaction.amount :
+        (transaction.settlement?.netAmount ?? roundUSDC(transaction.amount - (transaction.fees?.totalFees || 0))),
+      carriedOver: new Date(transaction.createdAt) < new Date(periodStart)
+    };
+  }
+
+  /**
+   * Totals for a set of statement lines
+   * @param {Array} lines - Batch lines
+   * @returns {Object} Batch totals
+   */
+  calculateTotals(lines) {
+    const payments = lines.filter(line => line.type === 'payment');
+    const refunds = lines.filter(line => line.type === 'refund');
+    const sum = (items, field) => roundUSDC(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+    return {
+      paymentCount: payments.length,
+      refundCount: refunds.length,
+      carriedOverCount: lines.filter(line => line.carriedOver).length,
+      grossVolume: sum(payments, 'amount'),
+      tips: sum(payments, 'tipAmount'),
+      platformFees: sum(payments, 'platformFee'),
+      vaultContributions: sum(payments, 'vaultContribution'),
+      refunds: sum(refunds, 'amount'),
+      vaultContributionsReversed: roundUSDC(-sum(refunds, 'vaultContribution')),
+      netPayout: sum(lines, 'netAmount')
+    };
+  }
+
+  /**
+   * sha256 over the fields a statement vouches for (order independent)
+   * @param {Array} lines - Batch lines
+   * @returns {string} Hex digest
+   */
+  calculateChecksum(lines) {
+    const canonical = lines
+      .map(line => [
+        line.transactionId.toString(),
+        line.type,
+        roundUSDC(line.amount),
+        roundUSDC(line.tipAmount || 0),
+        roundUSDC(line.platformFee || 0),
+        roundUSDC(line.vaultContribution || 0),
+        roundUSDC(line.netAmount)
+      ].join('|'))
+      .sort()
+      .join('\n');
+
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  /**
+   * Close one business period into a batch
+   * Safe to re-run: an interrupted close ('closing') is finished, a closed batch is returned as is.
+   * @param {Object} business - Business document
+   * @param {Object} period - { periodStart, periodEnd }
+   * @param {string} frequency - 'daily' or 'weekly'
+   * @returns {Object} Closed SettlementBatch document
+   */
+  async closeBatch(business, period, frequency = business.settlement?.batchFrequency || 'daily') {
+    let batch = await SettlementBatch.findOne({
+      businessId: business._id,
+      frequency,
+      periodStart: period.periodStart
+    });
+
+    if (batch?.status === 'closed') {
+      return batch;
+    }
+
+    if (!batch) {
+      try {
+        batch = await SettlementBatch.create({
+          batchId: this.generateBatchId(),
+          businessId: business._id,
+          frequency,
+          periodStart: period.periodStart,
+          periodEnd: period.periodEnd
+        });
+      } catch (error) {
+        // Another instance is closing the same period
+        if (error.code === 11000) {
+          throw new Error('Settlement batch is already being closed');
+        }
+        throw error;
+      }
+    }
+
+    const lockedAt = new Date();
+
+    // Claim every unbatched confirmed transaction recorded before the period end
+    await Transaction.updateMany(
+      {
+        businessId: business._id,
+        type: { $in: ['payment', 'refund'] },
+        status: 'confirmed',
+        'settlement.batchId': null,
+        createdAt: { $lt: period.periodEnd }
+      },
+      {
+        $set: {
+          'settlement.batchId': batch._id,
+          'settlement.lockedAt': lockedAt,
+          'settlement.processed': true,
+          'settlement.settlementDate': lockedAt
+        }
+      }
+    );
+
+    // Totals come from what was actually claimed
+    const transactions = await Transaction.find({ 'settlement.batchId': batch._id }).sort({ createdAt: 1 });
+    const lines = transactions.map(transaction => this.toLine(transaction, period.periodStart));
+
+    batch.lines = lines;
+    batch.totals = this.calculateTotals(lines);
+    batch.checksum = this.calculateChecksum(lines);
+    batch.status = 'closed';
+    batch.closedAt = lockedAt;
+    await batch.save();
+
+    await this.markIntentsSettled(transactions);
+
+    await Business.updateOne(
+      { _id: business._id },
+      {
+        $set: { lastSettlement: lockedAt },
+        $push: {
+          settlementHistory: {
+            type: 'CN',
+            data: { batchId: batch.batchId, periodStart: batch.periodStart, periodEnd: batch.periodEnd, netPayout: batch.totals.netPayout },
+            timestamp: lockedAt
+          }
+        }
+      }
+    );
+
+    this.logger.info('Settlement batch closed', {
+      batchId: batch.batchId,
+      businessId: business._id,
+      periodStart: batch.periodStart,
+      periodEnd: batch.periodEnd,
+      payments: batch.totals.paymentCount,
+      refunds: batch.totals.refundCount,
+      carriedOver: batch.totals.carriedOverCount,
+      netPayout: batch.totals.netPayout
+    });
+
+    return batch;
+  }
+
+  /**
+   * Close out the payment intents behind settled payments
+   */
+  async markIntentsSettled(transactions) {
+    const references = transactions
+      .filter(transaction => transaction.type === 'payment' && transaction.paymentReference)
+      .map(transaction => transaction.paymentReference);
+
+    if (references.length === 0) {
+      return;
+    }
+
+    const intents = await PaymentIntent.find({ reference: { $in: references }, status: 'confirmed' });
+    for (const intent of intents) {
+      try {
+        await this.intentService.markSettled(intent.reference);
+      } catch (error) {
+        this.logger.warn('Payment intent not marked settled', { reference: intent.reference, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Close every closable period with unbatched transactions for a business
+   * @param {Object} business - Business document
+   * @param {Date} now - Current time
+   * @returns {Array} Batches closed
+   */
+  async closeDueBatches(business, now = new Date()) {
+    const key = business._id.toString();
+    if (this.closing.has(key)) {
+      return [];
+    }
+
+    this.closing.add(key);
+    const frequency = business.settlement?.batchFrequency || 'daily';
+    const closed = [];
+
+    try {
+      for (;;) {
+        const earliest = await Transaction.findOne({
+          businessId: business._id,
+          type: { $in: ['payment', 'refund'] },
+          status: 'confirmed',
+          'settlement.batchId': null
+        }).sort({ createdAt: 1 }).select('createdAt');
+
+        if (!earliest) {
+          break;
+        }
+
+        // Late arrivals for an already-closed period roll into the next open one
+        let period = this.getPeriod(earliest.createdAt, frequency);
+        while (await SettlementBatch.exists({ businessId: business._id, frequency, periodStart: period.periodStart, status: 'closed' })) {
+          period = this.getPeriod(period.periodEnd, frequency);
+        }
+
+        if (!this.isClosable(period, now)) {
+          break;
+        }
+
+        const batch = await this.closeBatch(business, period, frequency);
+        closed.push(batch);
+
+        if (batch.lines.length === 0) {
+          // Nothing claimable (e.g. only transactions another process already batched)
+          break;
+        }
+      }
+    } finally {
+      this.closing.delete(key);
+    }
+
+    return closed;
+  }
+
+  /**
+   * Close due batches for every business with unbatched transactions
+   * @returns {number} Batches closed
+   */
+  async closeDueBatchesForAll(now = new Date()) {
+    const businessIds = await Transaction.distinct('businessId', {
+      type: { $in: ['payment', 'refund'] },
+      status: 'confirmed',
+      'settlement.batchId': null,
+      createdAt: { $lt: new Date(now.getTime() - this.config.closeDelayMinutes * 60 * 1000) }
+    });
+
+    let count = 0;
+    for (const businessId of businessIds) {
+      try {
+        const business = await Business.findById(businessId);
+        if (!business) {
+          continue;
+        }
+        count += (await this.closeDueBatches(business, now)).length;
+      } catch (error) {
+        this.logger.error('Settlement close failed', { businessId, error: error.message });
+      }
+    }
+
+    if (count > 0) {
+      this.logger.info('Settlement sweep closed batches', { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Running totals for transactions not yet in a batch
+   * @param {Object} business - Business document
+   * @returns {Object} { frequency, periodStart, periodEnd, totals }
+   */
+  async getOpenPeriod(business, now = new Date()) {
+    const frequency = business.settlement?.batchFrequency || 'daily';
+    const period = this.getPeriod(now, frequency);
+    const transactions = await Transaction.find({
+      businessId: business._id,
+      type: { $in: ['payment', 'refund'] },
+      status: 'confirmed',
+      'settlement.batchId': null
+    }).sort({ createdAt: 1 });
+
+    const lines = transactions.map(transaction => this.toLine(transaction, period.periodStart));
+
+    return {
+      frequency,
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+      totals: this.calculateTotals(lines)
+    };
+  }
+
+  /**
+   * List a business's batches, newest first (without lines)
+   */
+  async listBatches(businessId, { limit = 30 } = {}) {
+    return SettlementBatch.find({ businessId, status: 'closed' })
+      .select('-lines')
+      .sort({ periodEnd: -1 })
+      .limit(limit);
+  }
+
+  async getBatch(batchId) {
+    return SettlementBatch.findByBatchId(batchId);
+  }
+
+  /**
+   * Recompute a batch from its transactions and compare with what was closed
+   * @param {Object} batch - SettlementBatch document
+   * @returns {Object} { verified, checksum, currentChecksum }
+   */
+  async verifyBatch(batch) {
+    const transactions = await Transaction.find({ 'settlement.batchId': batch._id });
+    const currentChecksum = this.calculateChecksum(transactions.map(transaction => this.toLine(transaction, batch.periodStart)));
+    const verified = currentChecksum === batch.checksum && transactions.length === batch.lines.length;
+
+    if (!verified) {
+      this.logger.error('Settlement batch no longer matches its transactions', {
+        batchId: batch.batchId,
+        checksum: batch.checksum,
+        currentChecksum
+      });
+    }
+
+    return { verified, checksum: batch.checksum, currentChecksum };
+  }
+
+  /**
+   * Statement as CSV (summary block, then one row per line)
+   * @param {Object} batch - SettlementBatch document
+   * @param {Object} business - Business document
+   * @returns {string} CSV content
+   */
+  buildStatementCSV(batch, business) {
+    const escapeCSVField = (field) => {
+      if (field === null || field === undefined) return '""';
+      const str = String(field);
+      if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+        return `"${str.replace(/"/g, '""')}"`;
+      }
+      return str;
+    };
+    const row = (fields) => fields.map(escapeCSVField).join(',');
+    const money = (value) => (value || 0).toFixed(6);
+    const { totals } = batch;
+
+    const rows = [
+      row(['Settlement Statement', batch.batchId]),
+      row(['Business', business.businessName]),
+      row(['Period (UTC)', batch.periodStart.toISOString(), batch.periodEnd.toISOString()]),
+      row(['Closed', batch.closedAt.toISOString()]),
+      row(['Checksum', batch.checksum]),
+      '',
+      row(['Gross Volume (USDC)', money(totals.grossVolume)]),
+      row(['Tips (USDC)', money(totals.tips)]),
+      row(['Platform Fees (USDC)', money(totals.platformFees)]),
+      row(['Vault Contributions (USDC)', money(totals.vaultContributions)]),
+      row(['Refunds (USDC)', money(totals.refunds)]),
+      row(['Vault Contributions Reversed (USDC)', money(totals.vaultContributionsReversed)]),
+      row(['Net Payout (USDC)', money(totals.netPayout)]),
+      '',
+      row(['Recorded', 'Type', 'Transaction ID', 'Signature', 'Reference', 'Amount', 'Tip', 'Platform Fee', 'Vault Contribution', 'Net', 'Carried Over']),
+      ...batch.lines.map(line => row([
+        new Date(line.recordedAt).toISOString(),
+        line.type,
+        line.transactionId.toString(),
+        line.signature,
+        line.paymentReference,
+        money(line.amount),
+        money(line.tipAmount),
+        money(line.platformFee),
+        money(line.vaultContribution),
+        money(line.netAmount),
+        line.carriedOver ? 'yes' : 'no'
+      ]))
+    ];
+
+    return rows.join('\r\n');
+  }
+
+  /**
+   * Statement as PDF
+   * @param {Object} batch - SettlementBatch document
+   * @param {Object} business - Business document
+   * @returns {Buffer} PDF content
+   */
+  buildStatementPDF(batch, business) {
+    const { totals } = batch;
+    const money = (value) => (value || 0).toFixed(2).padStart(12);
+    const column = (value, width) => (value || 0).toFixed(2).padStart(width);
+    const day = (date) => new Date(date).toISOString().slice(0, 10);
+    const periodLabel = batch.frequency === 'weekly' ?
+      `${day(batch.periodStart)} - ${day(new Date(batch.periodEnd.getTime() - DAY_MS))}` :
+      day(batch.periodStart);
+
+    const lines = [
+      'PIZZA PLATFORM - SETTLEMENT STATEMENT',
+      '',
+      `Business:   ${business.businessName}`,
+      `Statement:  ${batch.batchId}`,
+      `Period:     ${periodLabel} (UTC, ${batch.frequency})`,
+      `Closed:     ${batch.closedAt.toISOString()}`,
+      '',
+      `Gross volume                     ${money(totals.grossVolume)} USDC`,
+      `  incl. tips (fee-free)          ${money(totals.tips)} USDC`,
+      `Platform fees                    ${money(-totals.platformFees)} USDC`,
+      `Vault contributions              ${money(-totals.vaultContributions)} USDC`,
+      `Refunds (${String(totals.refundCount).padStart(3)})                   ${money(-totals.refunds)} USDC`,
+      '-'.repeat(56),
+      `Net payout                       ${money(totals.netPayout)} USDC`,
+      '',
+      `${totals.paymentCount} payments, ${totals.refundCount} refunds` +
+        (totals.carriedOverCount > 0 ? `, ${totals.carriedOverCount} carried over from earlier periods (*)` : ''),
+      '',
+      'Recorded (UTC)     Type         Amount     Fees         Net  Reference',
+      '-'.repeat(88),
+      ...batch.lines.map(line => [
+        `${new Date(line.recordedAt).toISOString().slice(0, 16).replace('T', ' ')}${line.carriedOver ? '*' : ' '}`,
+        line.type.padEnd(7),
+        column(line.amount, 11),
+        column(line.platformFee + Math.max(line.vaultContribution, 0), 8),
+        column(line.netAmount, 11),
+        ` ${line.paymentReference || line.signature || ''}`.slice(0, 46)
+      ].join(' ')),
+      '',
+      'All amounts in USDC. Amounts are settled directly to the business wallet on Solana.',
+      `Checksum (sha256): ${batch.checksum}`
+    ];
+
+    return renderTextPdf(lines, {
+      title: `Settlement statement ${batch.batchId}`,
+      footer: `${business.businessName} - ${batch.batchId}`
+    });
+  }
+
+  /**
+   * Periodically close settlement periods that have ended
+   * @param {number} intervalMs - Sweep interval
+   */
+  startSweep(intervalMs = this.config.sweepIntervalMs) {
+    if (this.sweepInterval) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => {
+      this.closeDueBatchesForAll().catch(error => {
+        this.logger.error('Settlement sweep failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.sweepInterval.unref();
+  }
+
+  stopSweep() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+}
+
+// Shared instance so the sweep and on-demand closes share one in-flight guard
+module.exports = new SettlementService();
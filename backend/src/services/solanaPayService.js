@@ -8,8 +8,8 @@
  */
 
 const { 
-  Connection, 
   PublicKey, 
+  Keypair,
   Transaction, 
   SystemProgram,
   LAMPORTS_PER_SOL 
@@ -17,7 +17,9 @@ const {
 const { 
   TOKEN_PROGRAM_ID,
   getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
   createTransferInstruction,
+  createTransferCheckedInstruction,
   getMint
 } = require('@solana/spl-token');
 const { 
@@ -28,27 +30,25 @@ const {
 } = require('@solana/pay');
 const BigNumber = require('bignumber.js');
 const crypto = require('crypto');
+const { USDC_DECIMALS, paymentConfig, roundUSDC, validatePaymentAmount } = require('../config/payments');
+const FeeDistributionService = require('./feeDistributionService');
+const { getChainAdapter } = require('./chainAdapter');
 
 class SolanaPayService {
-  constructor() {
-    this.connection = new Connection(
-      process.env.SOLANA_RPC_ENDPOINT || 'https://api.devnet.solana.com',
-      'confirmed'
-    );
-    
-    // Check if we're on devnet or mainnet
-    const isDevnet = this.connection.rpcEndpoint.includes('devnet');
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one, see chainAdapter.js)
+   */
+  constructor(chain = getChainAdapter()) {
+    this.chain = chain;
+    this.connection = chain.connection;
     
-    // USDC mint addresses (official)
-    this.usdcMint = new PublicKey(isDevnet ? 
-      '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU' : // USDC devnet
-      'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'   // USDC mainnet
-    );
+    // USDC mint for the adapter's cluster
+    this.usdcMint = chain.usdcMint;
     
-    // Platform configuration
-    this.platformFeeRate = 0.01; // 1% platform fee
-    this.vaultFeeRate = 0.013;   // 1.3% vault contribution
-    this.fixedAmount = 15;       // $15 USDC fixed payment
+    // Platform configuration (fee rates come from the fee schedule via FeeDistributionService)
+    this.defaultAmount = paymentConfig.defaultAmount; // Used when no order total is supplied
+    this.minAmount = paymentConfig.minAmount;
+    this.maxAmount = paymentConfig.maxAmount;
     
     // Merchant wallet (business receives payments here)
     this.merchantWallet = process.env.MERCHANT_WALLET_ADDRESS ? 
@@ -61,6 +61,14 @@ class SolanaPayService {
     // Vault wallet
     this.vaultWallet = process.env.PLATFORM_VAULT_ADDRESS ? 
       new PublicKey(process.env.PLATFORM_VAULT_ADDRESS) : null;
+    
+    // Transaction Request configuration (wallet GETs label/icon, then POSTs for the transaction)
+    this.publicApiUrl = process.env.PUBLIC_API_URL || 'https://api.pizzabit.io';
+    this.transactionRequestLabel = 'Pizza Platform';
+    this.transactionRequestIcon = process.env.SOLANA_PAY_ICON_URL || 'https://app.pizzabit.io/assets/images/logo.svg';
+    
+    // Fee split calculation shared with the standalone fee distribution flow
+    this.feeDistributionService = new FeeDistributionService(chain);
   }
 
   /**
@@ -112,7 +120,7 @@ class SolanaPayService {
       return {
         success: true,
         paymentURL: paymentURL.toString(),
-        reference: paymentReference.toString('hex'),
+        reference: referencePublicKey.toBase58(),
         referencePublicKey: referencePublicKey.toString(),
         amount,
         recipient: recipient,
@@ -133,25 +141,34 @@ class SolanaPayService {
 
   /**
    * Create a Pizza Platform payment QR code
-   * Fixed $15 USDC with automatic fee distribution
+   * Variable USDC order total with automatic fee distribution
    * @param {Object} params - Business payment parameters
    * @returns {Object} - Payment QR data
    */
   async createPizzaPaymentQR({
     businessWallet,
     businessName = 'Pizza Business',
+    businessId = null,
+    business = null,
+    amount = this.defaultAmount,
     memo = null,
     reference = null
   }) {
     try {
+      const amountCheck = validatePaymentAmount(amount);
+      if (!amountCheck.valid) {
+        throw new Error(amountCheck.error);
+      }
+
       // Generate unique reference for this payment
       const paymentReference = reference || crypto.randomBytes(32);
       
-      // Calculate amounts
-      const totalAmount = this.fixedAmount; // $15 USDC
-      const platformFee = totalAmount * this.platformFeeRate; // $0.15
-      const vaultFee = totalAmount * this.vaultFeeRate; // $0.195
-      const businessAmount = totalAmount - platformFee - vaultFee; // $14.655
+      // Calculate amounts from the fee schedule (e.g. $15 -> $0.15 platform, $0.195 vault, $14.655 business)
+      const totalAmount = amountCheck.amount;
+      const fees = this.feeDistributionService.calculateFees(totalAmount, business?.businessType || 'CN', 0, {
+        business,
+        businessId
+      });
       
       // Create payment request (returns URL only)
       const paymentRequest = await this.createPaymentRequest({
@@ -168,16 +185,29 @@ class SolanaPayService {
         throw new Error(paymentRequest.error || 'Failed to create payment request');
       }
       
+      // Transaction Request variant (atomic fee split) sharing the same reference key
+      let transactionRequest = null;
+      if (businessId) {
+        transactionRequest = this.createTransactionRequestURL({
+          businessId,
+          amount: totalAmount,
+          reference: paymentRequest.referencePublicKey
+        });
+      }
+      
       return {
         success: true,
         paymentUrl: paymentRequest.paymentURL,
+        transactionRequestUrl: transactionRequest?.success ? transactionRequest.transactionRequestUrl : null,
         reference: paymentRequest.reference,
+        referencePublicKey: paymentRequest.referencePublicKey,
         amounts: {
           total: totalAmount,
-          business: businessAmount,
-          platformFee: platformFee,
-          vaultFee: vaultFee
+          business: fees.businessReceives,
+          platformFee: fees.platformFee,
+          vaultFee: fees.vaultFee
         },
+        feeScheduleVersion: fees.scheduleVersion,
         memo: paymentRequest.memo,
         businessWallet,
         businessName
@@ -196,14 +226,21 @@ class SolanaPayService {
    * Validate and process a completed payment transaction
    * @param {string} signature - Transaction signature
    * @param {string} reference - Payment reference
+   * @param {number} amount - Expected order total in USDC
+   * @param {Object} options - { recipient, feeSplit, businessType, tipAmount, pricing, fees } for Transaction Request
+   *   payments (pricing: { business, scheduleVersion, pricedAt } the payment was quoted with; fees: the intent's
+   *   locked { platformFee, vaultContribution }, recomputed from pricing when omitted)
    * @returns {Object} - Validation result
    */
-  async validatePayment(signature, reference) {
+  async validatePayment(signature, reference, amount = this.defaultAmount, options = {}) {
+    let found = null;
+    
     try {
+      const { recipient = this.merchantWallet, feeSplit = false, businessType = 'CN', tipAmount = 0, pricing = {}, fees = null } = options;
       const referencePublicKey = new PublicKey(reference);
       
       // Find transaction by reference
-      const found = await findReference(this.connection, referencePublicKey, {
+      found = await findReference(this.connection, referencePublicKey, {
         finality: 'confirmed'
       });
       
@@ -214,38 +251,171 @@ class SolanaPayService {
         };
       }
       
+      // Fee-split transactions pay the business the order total minus platform fees (tips are fee-free)
+      const split = feeSplit ?
+        this.feeDistributionService.calculateFees(amount, businessType, tipAmount, pricing) :
+        null;
+      const expectedAmount = split ? split.businessReceives : amount;
+      
       // Validate the transfer
       const validation = await validateTransfer(
         this.connection,
         found.signature,
         {
-          recipient: this.merchantWallet,
-          amount: new BigNumber(this.fixedAmount),
+          recipient: new PublicKey(recipient),
+          amount: new BigNumber(expectedAmount),
           splToken: this.usdcMint,
           reference: referencePublicKey
         }
       );
       
+      // validateTransfer only checks the business leg; the platform fee and vault legs must land too
+      if (split) {
+        const { platformWallet, vaultWallet } = this.getFeeWallets();
+        const legs = [
+          ['platform fee', platformWallet, fees ? fees.platformFee : split.platformFee],
+          ['vault contribution', vaultWallet, fees ? fees.vaultContribution : split.vaultFee]
+        ];
+        
+        for (const [label, wallet, expected] of legs) {
+          const tokenAccount = await getAssociatedTokenAddress(this.usdcMint, wallet);
+          const received = this.getTokenBalanceChange(validation, tokenAccount);
+          if (received.isLessThan(new BigNumber(expected || 0))) {
+            return {
+              success: false,
+              invalid: true,
+              signature: found.signature,
+              error: `Payment validation failed: ${label} not transferred`
+            };
+          }
+        }
+      }
+      
       return {
         success: true,
         signature: found.signature,
         validated: true,
         blockTime: found.blockTime,
-        slot: found.slot
+        slot: found.slot,
+        payer: validation?.transaction?.message?.staticAccountKeys?.[0]?.toBase58() || null
       };
       
     } catch (error) {
+      // No transaction carries the reference yet
+      if (error.name === 'FindReferenceError') {
+        return {
+          success: false,
+          notFound: true,
+          error: 'Payment transaction not found'
+        };
+      }
+      
       console.error('Error validating payment:', error);
       return {
         success: false,
+        // Transaction exists but does not match the expected transfer
+        invalid: error.name === 'ValidateTransferError',
+        signature: found?.signature,
         error: error.message
       };
     }
   }
 
+  /**
+   * Transaction Request GET response (label and icon shown by the wallet)
+   * @returns {Object} - { label, icon }
+   */
+  getTransactionRequestMetadata() {
+    return {
+      label: this.transactionRequestLabel,
+      icon: this.transactionRequestIcon
+    };
+  }
+
+  /**
+   * Build a Transaction Request URL (solana:<link>) for a business payment
+   * The wallet will GET/POST the link to fetch the fee-split transaction
+   * @param {Object} params - Business payment parameters
+   * @returns {Object} - Transaction Request URL and reference
+   */
+  createTransactionRequestURL({
+    businessId,
+    amount = this.defaultAmount,
+    reference = null,
+    inputMint = null
+  }) {
+    try {
+      const amountCheck = validatePaymentAmount(amount);
+      if (!amountCheck.valid) {
+        throw new Error(amountCheck.error);
+      }
+      
+      const referencePublicKey = reference ? new PublicKey(reference) : Keypair.generate().publicKey;
+      
+      const link = new URL(`${this.publicApiUrl}/api/blockchain/solana-pay/transaction-request`);
+      link.searchParams.append('businessId', businessId.toString());
+      link.searchParams.append('amount', amountCheck.amount.toString());
+      link.searchParams.append('reference', referencePublicKey.toBase58());
+      
+      // Pay in another token through the swap quote stored on the intent
+      if (inputMint) {
+        link.searchParams.append('inputMint', new PublicKey(inputMint).toBase58());
+      }
+      
+      const transactionRequestURL = encodeURL({ link });
+      
+      return {
+        success: true,
+        transactionRequestUrl: transactionRequestURL.toString(),
+        reference: referencePublicKey.toBase58(),
+        amount: amountCheck.amount
+      };
+      
+    } catch (error) {
+      console.error('Error creating transaction request URL:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * USDC received by a token account in a confirmed transaction
+   * @param {Object} response - Transaction response (as returned by validateTransfer)
+   * @param {PublicKey} tokenAccount - Token account to check
+   * @returns {BigNumber} - Post minus pre balance (0 when the account is untouched)
+   */
+  getTokenBalanceChange(response, tokenAccount) {
+    const { message } = response.transaction;
+    const loaded = response.meta.loadedAddresses || {};
+    const accountKeys = [
+      ...(message.staticAccountKeys || message.accountKeys),
+      ...(loaded.writable || []),
+      ...(loaded.readonly || [])
+    ];
+    const accountIndex = accountKeys.findIndex(key => new PublicKey(key).equals(tokenAccount));
+    if (accountIndex === -1) {
+      return new BigNumber(0);
+    }
+    
+    const balanceAt = balances => {
+      const entry = (balances || []).find(balance => balance.accountIndex === accountIndex);
+      return new BigNumber(entry?.uiTokenAmount?.uiAmountString || 0);
+    };
+    
+    return balanceAt(response.meta.postTokenBalances).minus(balanceAt(response.meta.preTokenBalances));
+  }
+
   /**
    * Create a transaction request endpoint response
    * Following Solana Pay Transaction Request specification
+   * 
+   * Builds a single transaction that atomically splits the customer's USDC between
+   * the platform fee wallet, the platform vault and the business wallet. The business
+   * transfer is the last instruction and carries the reference key so `validatePayment`
+   * (via `findReference`/`validateTransfer`) can locate and verify it.
+   * `preInstructions` (e.g. a Jupiter swap into the customer's USDC account) run before the split.
    * @param {Object} params - Transaction parameters
    * @returns {Object} - Transaction response
    */
@@ -253,69 +423,210 @@ class SolanaPayService {
     account,
     reference,
     businessWallet,
-    amount = 15
+    amount = this.defaultAmount,
+    businessType = 'CN',
+    tipAmount = 0,
+    pricing = {},
+    preInstructions = []
   }) {
     try {
+      const amountCheck = validatePaymentAmount(amount);
+      if (!amountCheck.valid) {
+        throw new Error(amountCheck.error);
+      }
+
       const accountPublicKey = new PublicKey(account);
       const referencePublicKey = new PublicKey(reference);
       const businessPublicKey = new PublicKey(businessWallet);
+      const { platformWallet, vaultWallet } = this.getFeeWallets();
       
-      // Create transaction
-      const transaction = new Transaction();
+      // Split the order total (fees rounded to USDC precision, business receives the remainder)
+      const fees = this.feeDistributionService.calculateFees(amountCheck.amount, businessType, tipAmount, pricing);
+      const toTokenUnits = value => BigInt(Math.round(value * Math.pow(10, USDC_DECIMALS)));
+      const totalUnits = toTokenUnits(amountCheck.amount);
+      const platformFeeUnits = toTokenUnits(fees.platformFee);
+      const vaultFeeUnits = toTokenUnits(fees.vaultFee);
+      const businessUnits = totalUnits - platformFeeUnits - vaultFeeUnits;
       
       // Get associated token accounts
-      const senderTokenAccount = await getAssociatedTokenAddress(
-        this.usdcMint,
-        accountPublicKey
-      );
+      const senderTokenAccount = await getAssociatedTokenAddress(this.usdcMint, accountPublicKey);
+      const businessTokenAccount = await getAssociatedTokenAddress(this.usdcMint, businessPublicKey);
+      const platformTokenAccount = await getAssociatedTokenAddress(this.usdcMint, platformWallet);
+      const vaultTokenAccount = await getAssociatedTokenAddress(this.usdcMint, vaultWallet);
+      
+      const transaction = new Transaction();
+      
+      // Swap (or other setup) first so the USDC is in the customer's account for the split
+      preInstructions.forEach(instruction => transaction.add(instruction));
+      
+      // Make sure every recipient token account exists (no-op when already created)
+      [
+        [businessTokenAccount, businessPublicKey],
+        [platformTokenAccount, platformWallet],
+        [vaultTokenAccount, vaultWallet]
+      ].forEach(([tokenAccount, owner]) => {
+        transaction.add(
+          createAssociatedTokenAccountIdempotentInstruction(
+            accountPublicKey,
+            tokenAccount,
+            owner,
+            this.usdcMint
+          )
+        );
+      });
+      
+      // Platform fee (schedule rate for the business)
+      if (platformFeeUnits > 0n) {
+        transaction.add(
+          createTransferCheckedInstruction(
+            senderTokenAccount,
+            this.usdcMint,
+            platformTokenAccount,
+            accountPublicKey,
+            platformFeeUnits,
+            USDC_DECIMALS
+          )
+        );
+      }
+      
+      // Vault contribution
+      if (vaultFeeUnits > 0n) {
+        transaction.add(
+          createTransferCheckedInstruction(
+            senderTokenAccount,
+            this.usdcMint,
+            vaultTokenAccount,
+            accountPublicKey,
+            vaultFeeUnits,
+            USDC_DECIMALS
+          )
+        );
+      }
       
-      const recipientTokenAccount = await getAssociatedTokenAddress(
+      // Business transfer must be the last instruction for Solana Pay validation
+      const businessTransfer = createTransferCheckedInstruction(
+        senderTokenAccount,
         this.usdcMint,
-        businessPublicKey
+        businessTokenAccount,
+        accountPublicKey,
+        businessUnits,
+        USDC_DECIMALS
       );
       
-      // Convert amount to token units (USDC has 6 decimals)
-      const tokenAmount = Math.floor(amount * Math.pow(10, 6));
+      // Add reference as a read-only, non-signer key so findReference can locate the payment
+      businessTransfer.keys.push({
+        pubkey: referencePublicKey,
+        isSigner: false,
+        isWritable: false
+      });
+      transaction.add(businessTransfer);
+      
+      // Set recent blockhash and fee payer
+      const { blockhash } = await this.connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      transaction.feePayer = accountPublicKey;
+      
+      // Serialize transaction (customer signs in their wallet)
+      const serializedTransaction = transaction.serialize({
+        requireAllSignatures: false,
+        verifySignatures: false
+      });
+      
+      return {
+        success: true,
+        transaction: serializedTransaction.toString('base64'),
+        message: `Pay $${amountCheck.amount} USDC (includes $${fees.totalFees} platform fees)`,
+        amounts: {
+          total: amountCheck.amount,
+          business: fees.businessReceives,
+          platformFee: fees.platformFee,
+          vaultFee: fees.vaultFee
+        }
+      };
       
-      // Add transfer instruction
+    } catch (error) {
+      console.error('Error creating transaction request:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build a refund transaction for the merchant to sign
+   * 
+   * Returns USDC from the business wallet to the customer who paid. The transfer carries
+   * the refund reference key so the refund can be located with `findReference` and
+   * checked with `validatePayment` (recipient = customer wallet).
+   * @param {Object} params - { account (business wallet), customerWallet, amount, reference }
+   * @returns {Object} - Transaction response
+   */
+  async createRefundTransaction({
+    account,
+    customerWallet,
+    amount,
+    reference
+  }) {
+    try {
+      const refundAmount = roundUSDC(amount);
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        throw new Error('Refund amount must be greater than zero');
+      }
+      
+      const merchantPublicKey = new PublicKey(account);
+      const customerPublicKey = new PublicKey(customerWallet);
+      const referencePublicKey = new PublicKey(reference);
+      
+      const merchantTokenAccount = await getAssociatedTokenAddress(this.usdcMint, merchantPublicKey);
+      const customerTokenAccount = await getAssociatedTokenAddress(this.usdcMint, customerPublicKey);
+      
+      const transaction = new Transaction();
+      
+      // Customer token account may have been closed since the payment
       transaction.add(
-        createTransferInstruction(
-          senderTokenAccount,
-          recipientTokenAccount,
-          accountPublicKey,
-          tokenAmount,
-          [],
-          TOKEN_PROGRAM_ID
+        createAssociatedTokenAccountIdempotentInstruction(
+          merchantPublicKey,
+          customerTokenAccount,
+          customerPublicKey,
+          this.usdcMint
         )
       );
       
-      // Add reference as a read-only account
-      transaction.add(
-        SystemProgram.transfer({
-          fromPubkey: referencePublicKey,
-          toPubkey: referencePublicKey,
-          lamports: 0
-        })
+      // Refund transfer is the last instruction and carries the reference key
+      const refundTransfer = createTransferCheckedInstruction(
+        merchantTokenAccount,
+        this.usdcMint,
+        customerTokenAccount,
+        merchantPublicKey,
+        BigInt(Math.round(refundAmount * Math.pow(10, USDC_DECIMALS))),
+        USDC_DECIMALS
       );
+      refundTransfer.keys.push({
+        pubkey: referencePublicKey,
+        isSigner: false,
+        isWritable: false
+      });
+      transaction.add(refundTransfer);
       
-      // Set recent blockhash and fee payer
       const { blockhash } = await this.connection.getLatestBlockhash();
       transaction.recentBlockhash = blockhash;
-      transaction.feePayer = accountPublicKey;
+      transaction.feePayer = merchantPublicKey;
       
-      // Serialize transaction
       const serializedTransaction = transaction.serialize({
-        requireAllSignatures: false
+        requireAllSignatures: false,
+        verifySignatures: false
       });
       
       return {
         success: true,
         transaction: serializedTransaction.toString('base64'),
-        message: `Transfer $${amount} USDC to ${businessWallet}`
+        message: `Refund $${refundAmount} USDC to customer`,
+        amount: refundAmount
       };
       
     } catch (error) {
-      console.error('Error creating transaction request:', error);
+      console.error('Error creating refund transaction:', error);
       return {
         success: false,
         error: error.message
@@ -323,6 +634,29 @@ class SolanaPayService {
     }
   }
 
+  /**
+   * Build a Transaction Request URL the merchant's wallet can open to sign a refund
+   * @param {string} reference - Refund reference (base58)
+   * @returns {string} - solana: URL
+   */
+  createRefundRequestURL(reference) {
+    const link = new URL(`${this.publicApiUrl}/api/business/solana-pay/refund-request`);
+    link.searchParams.append('reference', new PublicKey(reference).toBase58());
+    
+    return encodeURL({ link }).toString();
+  }
+
+  /**
+   * Resolve platform fee and vault wallets for the fee split
+   * @returns {Object} - { platformWallet, vaultWallet }
+   */
+  getFeeWallets() {
+    const platformWallet = this.platformWallet || new PublicKey(this.feeDistributionService.platformFeeWallet);
+    const vaultWallet = this.vaultWallet || new PublicKey(this.feeDistributionService.vaultWallet);
+    
+    return { platformWallet, vaultWallet };
+  }
+
   /**
    * Get payment status by reference
    * @param {string} reference - Payment reference
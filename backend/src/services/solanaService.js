@@ -1,6 +1,6 @@
 const { 
-  Connection, 
   PublicKey, 
+  Keypair,
   Transaction, 
   SystemProgram,
   LAMPORTS_PER_SOL 
@@ -14,28 +14,24 @@ const {
   getAccount,
   getMint
 } = require('@solana/spl-token');
-// Jupiter integration will be implemented separately
-const fetch = require('node-fetch');
 const winston = require('winston');
+const QRCode = require('qrcode');
+const BigNumber = require('bignumber.js');
 const { encodeURL } = require('@solana/pay');
+const { getChainAdapter } = require('./chainAdapter');
+const JupiterClient = require('./jupiterClient');
+const { paymentConfig, validatePaymentAmount, calculateReward } = require('../config/payments');
 
 class SolanaService {
-  constructor() {
-    this.connection = new Connection(
-      process.env.SOLANA_RPC_ENDPOINT || 'https://api.devnet.solana.com',
-      'confirmed'
-    );
-    
-    // Check if we're on devnet or mainnet
-    const isDevnet = this.connection.rpcEndpoint.includes('devnet');
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   */
+  constructor(chain = getChainAdapter()) {
+    this.chain = chain;
+    this.connection = chain.connection;
     
-    // Token addresses from environment with devnet/mainnet defaults
-    this.usdcMint = process.env.USDC_MINT ? 
-      new PublicKey(process.env.USDC_MINT) : 
-      new PublicKey(isDevnet ? 
-        '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU' : // USDC devnet mint
-        'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'   // USDC mainnet mint
-      );
+    // Token addresses from environment (USDC defaults to the adapter cluster's mint)
+    this.usdcMint = chain.usdcMint;
     
     this.pizzaSPLMint = process.env.PIZZA_TOKEN_MINT ? 
       new PublicKey(process.env.PIZZA_TOKEN_MINT) : 
@@ -45,17 +41,17 @@ class SolanaService {
       new PublicKey(process.env.PIZZA_INVESTMENT_TOKEN_MINT) : 
       new PublicKey('So11111111111111111111111111111111111111112'); // SOL mint (for testing)
     
-    // Fixed transaction configuration
-    this.fixedTransactionAmount = 15; // $15 USDC
-    this.fixedRewardAmount = 0.3; // 0.3 $PIZZA SPL per transaction
+    // Transaction configuration (order totals are variable within configured limits)
+    this.defaultTransactionAmount = paymentConfig.defaultAmount; // $15 USDC when no total is supplied
+    this.minTransactionAmount = paymentConfig.minAmount;
+    this.maxTransactionAmount = paymentConfig.maxAmount;
     this.jupiterSwapLoss = 0.0075; // 0.75% customer-absorbed loss
     
     // Solana Pay configuration
     this.solanaPayTransferFee = 0.00025; // $0.00025 per transfer
     
-    // Jupiter DEX integration
-    this.jupiterQuoteAPI = 'https://quote-api.jup.ag/v6/quote';
-    this.jupiterSwapAPI = 'https://quote-api.jup.ag/v6/swap';
+    // Jupiter DEX integration (JUPITER_QUOTE_API can point at a mock server)
+    this.jupiter = new JupiterClient();
     
     // Setup logging
     this.logger = winston.createLogger({
@@ -219,15 +215,6 @@ class SolanaService {
       const inputMintInfo = await getMint(this.connection, new PublicKey(inputMint));
       const amountInLamports = Math.floor(amount * Math.pow(10, inputMintInfo.decimals));
       
-      const queryParams = new URLSearchParams({
-        inputMint: inputMint,
-        outputMint: outputMint,
-        amount: amountInLamports.toString(),
-        slippageBps: '50' // 0.5% slippage
-      });
-      
-      const quoteUrl = `${this.jupiterQuoteAPI}?${queryParams}`;
-      
       this.logger.info('Getting Jupiter swap quote', {
         inputMint,
         outputMint,
@@ -235,12 +222,12 @@ class SolanaService {
         amountInLamports
       });
       
-      const response = await fetch(quoteUrl);
-      const quote = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(quote.error || 'Failed to get swap quote');
-      }
+      const quote = await this.jupiter.getQuote({
+        inputMint,
+        outputMint,
+        amount: amountInLamports,
+        slippageBps: 50 // 0.5% slippage
+      });
       
       this.logger.info('Swap quote received', {
         inputMint,
@@ -311,25 +298,13 @@ class SolanaService {
    */
   async createSwapTransaction(quote, userPublicKey) {
     try {
-      const swapResponse = await fetch(this.jupiterSwapAPI, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          quoteResponse: quote,
-          userPublicKey: userPublicKey,
-          wrapAndUnwrapSol: true,
-          computeUnitPriceMicroLamports: 'auto'
-        })
+      const swapResult = await this.jupiter.getSwapTransaction({
+        quoteResponse: quote,
+        userPublicKey: userPublicKey,
+        wrapAndUnwrapSol: true,
+        computeUnitPriceMicroLamports: 'auto'
       });
       
-      const swapResult = await swapResponse.json();
-      
-      if (!swapResponse.ok) {
-        throw new Error(swapResult.error || 'Failed to create swap transaction');
-      }
-      
       // Deserialize the transaction
       const transaction = Transaction.from(Buffer.from(swapResult.swapTransaction, 'base64'));
       
@@ -746,16 +721,22 @@ class SolanaService {
   }
 
   /**
-   * Process fixed $15 USDC Solana Pay payment
+   * Process a variable-amount USDC Solana Pay payment
    */
   async processFixedPayment(paymentData) {
     try {
       const { 
         customerWalletAddress,
         businessId,
+        amount = this.defaultTransactionAmount,
         paymentMethod = 'usdc' // 'usdc' or 'pizza_spl'
       } = paymentData;
       
+      const amountCheck = validatePaymentAmount(amount);
+      if (!amountCheck.valid) {
+        throw new Error(amountCheck.error);
+      }
+      
       const Business = require('../models/Business');
       const business = await Business.findById(businessId);
       
@@ -764,7 +745,7 @@ class SolanaService {
       }
       
       // Calculate fees based on business type
-      const feeCalculation = business.calculateTransactionFees(this.fixedTransactionAmount);
+      const feeCalculation = business.calculateTransactionFees(amountCheck.amount);
       
       let finalResult;
       
@@ -773,6 +754,7 @@ class SolanaService {
         finalResult = await this.processAtomicSwapPayment({
           customerWalletAddress,
           business,
+          amount: amountCheck.amount,
           feeCalculation
         });
       } else {
@@ -780,14 +762,15 @@ class SolanaService {
         finalResult = await this.processDirectUSDCPayment({
           customerWalletAddress,
           business,
+          amount: amountCheck.amount,
           feeCalculation
         });
       }
       
-      this.logger.info('Fixed payment processed', {
+      this.logger.info('Payment processed', {
         businessId,
         paymentMethod,
-        amount: this.fixedTransactionAmount,
+        amount: amountCheck.amount,
         fees: feeCalculation,
         transactionId: finalResult.signature
       });
@@ -795,7 +778,7 @@ class SolanaService {
       return finalResult;
       
     } catch (error) {
-      this.logger.error('Fixed payment processing failed', error);
+      this.logger.error('Payment processing failed', error);
       throw error;
     }
   }
@@ -805,10 +788,10 @@ class SolanaService {
    */
   async processAtomicSwapPayment(paymentData) {
     try {
-      const { customerWalletAddress, business, feeCalculation } = paymentData;
+      const { customerWalletAddress, business, amount, feeCalculation } = paymentData;
       
       // Calculate $PIZZA SPL amount needed (with 0.75% loss)
-      const requiredUSDC = this.fixedTransactionAmount;
+      const requiredUSDC = amount;
       const pizzaSPLAmount = requiredUSDC / (1 - this.jupiterSwapLoss);
       
       // Get Jupiter quote for swap
@@ -836,17 +819,18 @@ class SolanaService {
       
       return {
         signature: swapResult.signature,
-        amount: this.fixedTransactionAmount,
+        amount,
         paymentMethod: 'pizza_spl',
         jupiterSwap: {
           inputAmount: pizzaSPLAmount,
           outputAmount: requiredUSDC,
           swapLoss: this.jupiterSwapLoss,
-          route: jupiterQuote.routePlan
+          route: jupiterQuote.routePlan,
+          priceImpact: Number(jupiterQuote.priceImpactPct) || 0
         },
         fees: feeCalculation,
         merchantReceived: feeCalculation.merchantAmount,
-        rewardDistributed: this.fixedRewardAmount
+        rewardDistributed: calculateReward(amount).rewardAmount
       };
       
     } catch (error) {
@@ -860,23 +844,23 @@ class SolanaService {
    */
   async processDirectUSDCPayment(paymentData) {
     try {
-      const { customerWalletAddress, business, feeCalculation } = paymentData;
+      const { customerWalletAddress, business, amount, feeCalculation } = paymentData;
       
       // Execute direct USDC transfer with fee distribution
       const transferResult = await this.executeDirectTransfer({
         customerWalletAddress,
         businessWalletAddress: business.businessWallet?.publicKey,
-        amount: this.fixedTransactionAmount,
+        amount,
         feeCalculation
       });
       
       return {
         signature: transferResult.signature,
-        amount: this.fixedTransactionAmount,
+        amount,
         paymentMethod: 'usdc',
         fees: feeCalculation,
         merchantReceived: feeCalculation.merchantAmount,
-        rewardDistributed: this.fixedRewardAmount,
+        rewardDistributed: calculateReward(amount).rewardAmount,
         networkFee: this.solanaPayTransferFee
       };
       
@@ -887,26 +871,26 @@ class SolanaService {
   }
   
   /**
-   * Distribute 0.3 $PIZZA SPL reward to customer
+   * Distribute $PIZZA SPL reward to customer (0.3 per $15, scaled by order total)
    */
-  async distributeFixedReward(customerWalletAddress, transactionId) {
+  async distributeFixedReward(customerWalletAddress, transactionId, rewardAmount = calculateReward(this.defaultTransactionAmount).rewardAmount) {
     try {
       // Create reward distribution transaction
       const rewardTx = await this.createRewardDistributionTransaction({
         recipientAddress: customerWalletAddress,
-        amount: this.fixedRewardAmount,
+        amount: rewardAmount,
         referenceTransactionId: transactionId
       });
       
-      this.logger.info('Fixed reward distributed', {
+      this.logger.info('Reward distributed', {
         recipient: customerWalletAddress,
-        amount: this.fixedRewardAmount,
+        amount: rewardAmount,
         rewardTransactionId: rewardTx.signature
       });
       
       return {
         signature: rewardTx.signature,
-        amount: this.fixedRewardAmount,
+        amount: rewardAmount,
         recipient: customerWalletAddress
       };
       
@@ -921,21 +905,13 @@ class SolanaService {
    */
   async getJupiterQuote(quoteParams) {
     try {
-      const queryParams = new URLSearchParams({
+      const quote = await this.jupiter.getQuote({
         inputMint: quoteParams.inputMint,
         outputMint: quoteParams.outputMint,
-        amount: quoteParams.amount.toString(),
-        slippageBps: quoteParams.slippageBps.toString()
+        amount: quoteParams.amount,
+        slippageBps: quoteParams.slippageBps
       });
       
-      const response = await fetch(`${this.jupiterQuoteAPI}?${queryParams}`);
-      
-      if (!response.ok) {
-        throw new Error(`Jupiter quote failed: ${response.statusText}`);
-      }
-      
-      const quote = await response.json();
-      
       this.logger.info('Jupiter quote obtained', {
         inputAmount: quoteParams.amount,
         outputAmount: quote.outAmount,
@@ -1030,10 +1006,16 @@ class SolanaService {
   }
   
   /**
-   * Generate Solana Pay QR code for fixed $15 USDC payment
+   * Generate Solana Pay QR code for a USDC payment of the given order total
    */
   async generatePaymentQR(businessId, metadata = {}) {
     try {
+      const amountCheck = validatePaymentAmount(metadata.amount ?? this.defaultTransactionAmount);
+      if (!amountCheck.valid) {
+        throw new Error(amountCheck.error);
+      }
+      const amount = amountCheck.amount;
+      
       const Business = require('../models/Business');
       const business = await Business.findById(businessId);
       
@@ -1054,19 +1036,17 @@ class SolanaService {
       }
       
       // Generate unique reference for this payment
-      const reference = new PublicKey(
-        `${businessId.slice(-8)}${Date.now().toString().slice(-8)}` + '0'.repeat(32 - 16)
-      );
+      const reference = Keypair.generate().publicKey;
       
       // Create Solana Pay URL for USDC payment
       const solanaPayURL = encodeURL({
         recipient: new PublicKey(business.businessWallet?.publicKey),
-        amount: this.fixedTransactionAmount,
+        amount: new BigNumber(amount),
         splToken: this.usdcMint,
         reference: [reference],
         label: business.businessName,
-        message: `Pay $${this.fixedTransactionAmount} USDC to ${business.businessName}`,
-        memo: `Fixed payment - Business: ${businessId}`
+        message: `Pay $${amount} USDC to ${business.businessName}`,
+        memo: `Payment - Business: ${businessId}`
       });
       
       // Generate QR code image as base64
@@ -1082,7 +1062,7 @@ class SolanaService {
       
       this.logger.info('Payment QR generated', {
         businessId,
-        amount: this.fixedTransactionAmount,
+        amount,
         reference: reference.toString(),
         businessName: business.businessName
       });
@@ -1091,7 +1071,7 @@ class SolanaService {
         qrCodeURL: solanaPayURL.toString(),
         qrCodeImage: qrCodeImage, // Base64 encoded PNG
         paymentReference: reference.toString(),
-        amount: this.fixedTransactionAmount,
+        amount,
         recipient: business.businessWallet?.publicKey,
         businessName: business.businessName,
         tokenMint: this.usdcMint.toString()
@@ -0,0 +1,564 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const BigNumber = require('bignumber.js');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { findReference, validateTransfer, FindReferenceError } = require('@solana/pay');
+const StakingPayoutBatch = require('../models/StakingPayoutBatch');
+const Business = require('../models/Business');
+const Vault = require('../models/Vault');
+const ledgerService = require('./ledgerService');
+const { getChainAdapter, buildTokenTransferTransaction } = require('./chainAdapter');
+const { USDC_DECIMALS, stakingPayoutConfig, roundUSDC } = require('../config/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round down to USDC precision so the lines never add up to more than the merchant share
+const floorUSDC = (value) => Math.floor(value * 1e6) / 1e6;
+
+/**
+ * StakingPayoutService - quarterly Kamino staking dividends for CN merchants
+ *
+ * After each UTC quarter the sweep drafts a payout batch: the quarter's yield (estimated
+ * from the vault's APY and staking days, or the amount Kamino reported when an admin
+ * recomputes) times the merchant yield share, split pro-rata over each staking merchant's
+ * net vault contribution x staking-enabled days. Approving a draft declares the dividends
+ * in the ledger (staking_yield) and emits unsigned USDC transfers from the vault wallet for
+ * the vault signer. The sweep then finds each transfer by its reference key, verifies it
+ * and records the payout per business (staking_payout).
+ */
+class StakingPayoutService {
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   */
+  constructor(chain = getChainAdapter(), config = stakingPayoutConfig) {
+    this.chain = chain;
+    this.config = config;
+    this.sweepInterval = null;
+    this.sweepInProgress = false;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/staking-payouts.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  generateBatchId() {
+    return `spb_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * UTC calendar quarter containing a date
+   * @returns {Object} { periodKey, periodStart, periodEnd }
+   */
+  getQuarter(date = new Date()) {
+    const year = date.getUTCFullYear();
+    const quarter = Math.floor(date.getUTCMonth() / 3);
+
+    return {
+      periodKey: `${year}-Q${quarter + 1}`,
+      periodStart: new Date(Date.UTC(year, quarter * 3, 1)),
+      periodEnd: new Date(Date.UTC(year, quarter * 3 + 3, 1))
+    };
+  }
+
+  /**
+   * Quarter for a period key such as 2026-Q3
+   */
+  parsePeriodKey(periodKey) {
+    const match = /^(\d{4})-Q([1-4])$/.exec(periodKey || '');
+    if (!match) {
+      throw new Error('Invalid staking payout period (expected YYYY-Qn)');
+    }
+    return this.getQuarter(new Date(Date.UTC(Number(match[1]), (Number(match[2]) - 1) * 3, 1)));
+  }
+
+  /**
+   * The last quarter that has ended
+   */
+  getPreviousQuarter(now = new Date()) {
+    const { periodStart } = this.getQuarter(now);
+    return this.getQuarter(new Date(periodStart.getTime() - 1));
+  }
+
+  /**
+   * Days of [periodStart, periodEnd) covered by { enabledAt, disabledAt } periods
+   */
+  overlapDays(periods, periodStart, periodEnd) {
+    const ms = periods.reduce((sum, period) => {
+      const from = Math.max(new Date(period.enabledAt).getTime(), periodStart.getTime());
+      const to = Math.min(period.disabledAt ? new Date(period.disabledAt).getTime() : Infinity, periodEnd.getTime());
+      return sum + Math.max(0, to - from);
+    }, 0);
+
+    return Math.round(ms / DAY_MS * 100) / 100;
+  }
+
+  /**
+   * Days a business had staking enabled in the period
+   * Businesses that enabled staking before periods were tracked count the whole period.
+   */
+  getBusinessStakingDays(business, periodStart, periodEnd) {
+    const { stakingPeriods = [], stakingEnabled } = business.vaultContribution || {};
+
+    if (stakingPeriods.length === 0) {
+      return stakingEnabled ? this.overlapDays([{ enabledAt: periodStart }], periodStart, periodEnd) : 0;
+    }
+    return this.overlapDays(stakingPeriods, periodStart, periodEnd);
+  }
+
+  /**
+   * Days the vault had Kamino staking enabled in the period, from its staking history
+   */
+  getVaultStakingDays(vault, periodStart, periodEnd) {
+    const history = [...(vault.staking.history || [])]
+      .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+    if (history.length === 0) {
+      return vault.staking.enabled ? this.overlapDays([{ enabledAt: periodStart }], periodStart, periodEnd) : 0;
+    }
+
+    const periods = [];
+    // History is capped, so a first entry that disables staking means it was on before
+    let enabledAt = history[0].enabled ? null : new Date(0);
+    for (const change of history) {
+      if (change.enabled && !enabledAt) {
+        enabledAt = change.changedAt;
+      } else if (!change.enabled && enabledAt) {
+        periods.push({ enabledAt, disabledAt: change.changedAt });
+        enabledAt = null;
+      }
+    }
+    if (enabledAt) {
+      periods.push({ enabledAt });
+    }
+
+    return this.overlapDays(periods, periodStart, periodEnd);
+  }
+
+  /**
+   * Compute (or recompute) the draft payout batch for an ended quarter
+   * @param {string} periodKey - e.g. 2026-Q3 (defaults to the last ended quarter)
+   * @param {Object} options - { yieldAmount (reported by Kamino), computedBy }
+   */
+  async computeBatch(periodKey = null, options = {}) {
+    const { periodStart, periodEnd, periodKey: key } = periodKey ?
+      this.parsePeriodKey(periodKey) :
+      this.getPreviousQuarter();
+
+    if (periodEnd > new Date()) {
+      throw new Error('Staking payouts can only be run for ended quarters');
+    }
+
+    const existing = await StakingPayoutBatch.findOne({ periodKey: key });
+    if (existing && ['approved', 'paid'].includes(existing.status)) {
+      throw new Error(`Staking payout for ${key} has already been approved`);
+    }
+
+    const vault = await Vault.getPlatformVault();
+    const { apy, merchantYieldShare } = vault.staking;
+    const vaultStakingDays = this.getVaultStakingDays(vault, periodStart, periodEnd);
+
+    const reported = options.yieldAmount !== undefined && options.yieldAmount !== null;
+    const stakedAmount = (vault.balances.rewards || 0) + (vault.balances.giftCards || 0) +
+      (vault.balances.surplus || 0) + (vault.balances.staked || 0);
+    const yieldAmount = roundUSDC(reported ?
+      options.yieldAmount :
+      stakedAmount * apy * vaultStakingDays / 365);
+    const merchantTotal = roundUSDC(yieldAmount * merchantYieldShare);
+
+    // Net contributions at the end of the quarter
+    const [contributions, businesses] = await Promise.all([
+      ledgerService.getBalances(/^business:[^:]+:vault_contributions$/, { until: periodEnd }),
+      Business.find({
+        businessType: 'CN',
+        $or: [
+          { 'vaultContribution.stakingEnabled': true },
+          { 'vaultContribution.stakingPeriods.0': { $exists: true } }
+        ]
+      }).select('businessName vaultContribution settlement.walletAddress')
+    ]);
+
+    const candidates = businesses
+      .map(business => {
+        const contribution = contributions[`business:${business._id}:vault_contributions`]?.balance || 0;
+        const stakingDays = this.getBusinessStakingDays(business, periodStart, periodEnd);
+        return { business, contribution, stakingDays, weight: contribution * stakingDays };
+      })
+      .filter(candidate => candidate.weight > 0 && candidate.business.settlement?.walletAddress);
+
+    const totalWeight = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    const lines = candidates
+      .map(({ business, contribution, stakingDays, weight }) => ({
+        businessId: business._id,
+        businessName: business.businessName,
+        walletAddress: business.settlement.walletAddress,
+        contribution,
+        stakingDays,
+        weight: roundUSDC(weight),
+        share: weight / totalWeight,
+        amount: floorUSDC(merchantTotal * weight / totalWeight),
+        reference: Keypair.generate().publicKey.toBase58(),
+        status: 'pending'
+      }))
+      .filter(line => line.amount > 0);
+
+    const linesTotal = roundUSDC(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    const batch = await StakingPayoutBatch.findOneAndUpdate(
+      { periodKey: key, status: { $in: ['draft', 'cancelled'] } },
+      {
+        $set: {
+          periodStart,
+          periodEnd,
+          status: 'draft',
+          yield: {
+            amount: yieldAmount,
+            source: reported ? 'reported' : 'estimated',
+            apy,
+            vaultStakingDays,
+            merchantYieldShare,
+            merchantTotal,
+            platformTotal: roundUSDC(yieldAmount - linesTotal)
+          },
+          lines,
+          totals: { merchantCount: lines.length, amount: linesTotal, paidCount: 0, paidAmount: 0 },
+          computedAt: new Date(),
+          computedBy: options.computedBy || null
+        },
+        $unset: { cancelledAt: 1, cancelledBy: 1 },
+        $setOnInsert: { batchId: this.generateBatchId() }
+      },
+      { upsert: true, new: true }
+    );
+
+    this.logger.info('Staking payout batch computed', {
+      batchId: batch.batchId,
+      periodKey: key,
+      yieldAmount,
+      yieldSource: batch.yield.source,
+      merchantCount: lines.length,
+      amount: linesTotal
+    });
+
+    return batch;
+  }
+
+  async getBatch(batchId) {
+    const batch = await StakingPayoutBatch.findByBatchId(batchId);
+    if (!batch) {
+      throw new Error('Staking payout batch not found');
+    }
+    return batch;
+  }
+
+  /**
+   * @param {Object} filters - { status, limit, offset }
+   */
+  async listBatches(filters = {}) {
+    const { status, limit = 20, offset = 0 } = filters;
+    const query = status ? { status } : {};
+
+    const [batches, total] = await Promise.all([
+      StakingPayoutBatch.find(query).select('-lines').sort({ periodStart: -1 }).skip(offset).limit(limit),
+      StakingPayoutBatch.countDocuments(query)
+    ]);
+
+    return { batches, total, limit, offset };
+  }
+
+  /**
+   * Approve a draft: declare the dividends in the ledger and emit the transfers
+   * @returns {Object} { batch, transactions }
+   */
+  async approveBatch(batchId, adminId) {
+    const draft = await this.getBatch(batchId);
+    if (draft.status !== 'draft') {
+      throw new Error('Only draft staking payouts can be approved');
+    }
+    if (draft.lines.length === 0) {
+      throw new Error('Staking payout has no merchant dividends to pay');
+    }
+
+    const batch = await StakingPayoutBatch.findOneAndUpdate(
+      { batchId, status: 'draft' },
+      { $set: { status: 'approved', approvedAt: new Date(), approvedBy: adminId } },
+      { new: true }
+    );
+    if (!batch) {
+      throw new Error('Only draft staking payouts can be approved');
+    }
+
+    let entry;
+    try {
+      entry = await ledgerService.recordStakingYield({
+        periodKey: batch.periodKey,
+        amount: batch.yield.amount,
+        dividends: batch.lines.map(line => ({ businessId: line.businessId, amount: line.amount }))
+      });
+    } catch (error) {
+      // Back to draft so the batch can be recomputed and approved again
+      await StakingPayoutBatch.updateOne(
+        { batchId },
+        { $set: { status: 'draft' }, $unset: { approvedAt: 1, approvedBy: 1 } }
+      );
+      throw error;
+    }
+
+    batch.yieldEntryId = entry.entryId;
+    await StakingPayoutBatch.updateOne({ batchId }, { $set: { yieldEntryId: entry.entryId } });
+
+    this.logger.info('Staking payout batch approved', {
+      batchId,
+      periodKey: batch.periodKey,
+      yieldEntryId: entry.entryId,
+      approvedBy: String(adminId)
+    });
+
+    return { batch, transactions: await this.buildTransfers(batch) };
+  }
+
+  /**
+   * Unsigned USDC transfers from the vault wallet for the lines still pending
+   * Each carries its line's reference key; rebuild them if the blockhash expires.
+   */
+  async buildTransfers(batch) {
+    if (batch.status !== 'approved') {
+      throw new Error('Only approved staking payouts have transfers');
+    }
+
+    const vaultAddress = process.env.PLATFORM_VAULT_ADDRESS;
+    if (!vaultAddress) {
+      throw new Error('PLATFORM_VAULT_ADDRESS is not configured');
+    }
+
+    const transfers = [];
+    for (const line of batch.lines.filter(line => line.status === 'pending')) {
+      const transaction = await buildTokenTransferTransaction({
+        connection: this.chain.connection,
+        from: vaultAddress,
+        to: line.walletAddress,
+        mint: this.chain.usdcMint,
+        amount: line.amount,
+        decimals: USDC_DECIMALS,
+        references: [line.reference]
+      });
+
+      transfers.push({
+        businessId: line.businessId,
+        businessName: line.businessName,
+        walletAddress: line.walletAddress,
+        amount: line.amount,
+        reference: line.reference,
+        transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64')
+      });
+    }
+
+    return transfers;
+  }
+
+  /**
+   * Find and verify sent transfers, and record each payout
+   * @returns {Object} Updated batch
+   */
+  async confirmPayouts(batchId) {
+    const batch = await this.getBatch(batchId);
+    if (batch.status !== 'approved') {
+      throw new Error('Only approved staking payouts can be confirmed');
+    }
+
+    const { connection, usdcMint } = this.chain;
+
+    for (const line of batch.lines.filter(line => line.status === 'pending')) {
+      const reference = new PublicKey(line.reference);
+
+      let found;
+      try {
+        found = await findReference(connection, reference, { finality: 'confirmed' });
+      } catch (error) {
+        if (!(error instanceof FindReferenceError)) {
+          this.logger.warn('Staking payout lookup failed', { batchId, reference: line.reference, error: error.message });
+        }
+        continue;
+      }
+
+      try {
+        await validateTransfer(connection, found.signature, {
+          recipient: new PublicKey(line.walletAddress),
+          amount: new BigNumber(line.amount),
+          splToken: usdcMint,
+          reference
+        });
+      } catch (error) {
+        this.logger.error('Staking payout transfer does not match its line', {
+          batchId,
+          businessId: String(line.businessId),
+          signature: found.signature,
+          error: error.message
+        });
+        continue;
+      }
+
+      const paidAt = new Date();
+      const entry = await ledgerService.recordStakingPayout({
+        batchId,
+        businessId: line.businessId,
+        amount: line.amount,
+        signature: found.signature
+      });
+
+      Object.assign(line, { status: 'paid', signature: found.signature, entryId: entry.entryId, paidAt });
+      await StakingPayoutBatch.updateOne(
+        { batchId, 'lines.reference': line.reference },
+        {
+          $set: {
+            'lines.$.status': 'paid',
+            'lines.$.signature': found.signature,
+            'lines.$.entryId': entry.entryId,
+            'lines.$.paidAt': paidAt
+          }
+        }
+      );
+      await Business.updateOne(
+        { _id: line.businessId },
+        {
+          $set: {
+            'vaultContribution.stakingYield.lastPayout': {
+              batchId,
+              periodKey: batch.periodKey,
+              amount: line.amount,
+              signature: found.signature,
+              paidAt
+            }
+          }
+        }
+      );
+
+      this.logger.info('Staking payout confirmed', {
+        batchId,
+        businessId: String(line.businessId),
+        amount: line.amount,
+        signature: found.signature
+      });
+    }
+
+    const paidLines = batch.lines.filter(line => line.status === 'paid');
+    const update = {
+      'totals.paidCount': paidLines.length,
+      'totals.paidAmount': roundUSDC(paidLines.reduce((sum, line) => sum + line.amount, 0))
+    };
+    if (paidLines.length === batch.lines.length) {
+      Object.assign(update, { status: 'paid', paidAt: new Date() });
+      this.logger.info('Staking payout batch paid', { batchId, periodKey: batch.periodKey });
+    }
+
+    return StakingPayoutBatch.findOneAndUpdate({ batchId }, { $set: update }, { new: true });
+  }
+
+  async cancelBatch(batchId, adminId) {
+    const batch = await StakingPayoutBatch.findOneAndUpdate(
+      { batchId, status: 'draft' },
+      { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: adminId } },
+      { new: true }
+    );
+
+    if (!batch) {
+      await this.getBatch(batchId);
+      throw new Error('Only draft staking payouts can be cancelled');
+    }
+
+    this.logger.info('Staking payout batch cancelled', { batchId, cancelledBy: String(adminId) });
+    return batch;
+  }
+
+  /**
+   * A business's recent quarterly payouts
+   */
+  async getBusinessPayouts(businessId, limit = 8) {
+    const batches = await StakingPayoutBatch.find({
+      'lines.businessId': businessId,
+      status: { $in: ['approved', 'paid'] }
+    }).sort({ periodStart: -1 }).limit(limit);
+
+    return batches.map(batch => {
+      const line = batch.lines.find(candidate => String(candidate.businessId) === String(businessId));
+      return {
+        batchId: batch.batchId,
+        periodKey: batch.periodKey,
+        contribution: line.contribution,
+        stakingDays: line.stakingDays,
+        share: line.share,
+        amount: line.amount,
+        status: line.status,
+        signature: line.signature,
+        paidAt: line.paidAt
+      };
+    });
+  }
+
+  /**
+   * Draft the last ended quarter's batch once, and confirm transfers of approved batches
+   */
+  async runDuePayouts() {
+    if (this.sweepInProgress) {
+      return { drafted: null, confirmed: 0 };
+    }
+    this.sweepInProgress = true;
+
+    try {
+      let drafted = null;
+      const { periodKey } = this.getPreviousQuarter();
+      if (!await StakingPayoutBatch.exists({ periodKey })) {
+        const batch = await this.computeBatch(periodKey);
+        drafted = batch.batchId;
+      }
+
+      const approved = await StakingPayoutBatch.find({ status: 'approved' }).select('batchId');
+      for (const { batchId } of approved) {
+        await this.confirmPayouts(batchId);
+      }
+
+      return { drafted, confirmed: approved.length };
+    } finally {
+      this.sweepInProgress = false;
+    }
+  }
+
+  /**
+   * Periodically draft ended quarters and confirm sent payouts
+   * @param {number} intervalMs - Sweep interval
+   */
+  startSweep(intervalMs = this.config.sweepIntervalMs) {
+    if (this.sweepInterval) {
+      return;
+    }
+
+    this.sweepInterval = setInterval(() => {
+      this.runDuePayouts().catch(error => {
+        this.logger.error('Staking payout sweep failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.sweepInterval.unref();
+  }
+
+  stopSweep() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+}
+
+// Shared instance so the sweep and admin actions share one in-flight guard
+module.exports = new StakingPayoutService();
@@ -0,0 +1,288 @@
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { NATIVE_MINT, getMint } = require('@solana/spl-token');
+const winston = require('winston');
+const { USDC_DECIMALS, checkoutConfig, roundUSDC } = require('../config/payments');
+const { getChainAdapter } = require('./chainAdapter');
+const JupiterClient = require('./jupiterClient');
+
+/**
+ * Swap Checkout Service - pay in SOL, $PIZZA SPL or an allow-listed SPL token
+ *
+ * The customer's token is swapped to USDC with a Jupiter ExactOut swap inside the
+ * Transaction Request, followed by the usual fee split, so the merchant always
+ * settles in USDC and the payment validates like any USDC payment:
+ *   1. createQuote        - ExactOut quote for the intent's USDC total (slippage + expiry)
+ *   2. getSwapInstructions - swap instructions prepended to the fee-split transaction
+ *   3. getSwapFill         - actual input spent, price impact and swap loss once confirmed
+ */
+class SwapCheckoutService {
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   * @param {Object} options - { jupiter: JupiterClient }
+   */
+  constructor(chain = getChainAdapter(), options = {}) {
+    this.chain = chain;
+    this.connection = chain.connection;
+    this.usdcMint = chain.usdcMint;
+    this.jupiter = options.jupiter || new JupiterClient();
+    this.config = checkoutConfig;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/swap-checkout.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  /**
+   * Tokens customers can pay with
+   * @returns {Array} [{ symbol, mint, paymentMethod, swap }]
+   */
+  getCheckoutTokens() {
+    const tokens = [
+      { symbol: 'USDC', mint: this.usdcMint.toBase58(), paymentMethod: 'usdc', swap: false },
+      { symbol: 'SOL', mint: NATIVE_MINT.toBase58(), paymentMethod: 'sol', swap: true, decimals: 9 }
+    ];
+
+    if (process.env.PIZZA_TOKEN_MINT) {
+      tokens.push({ symbol: 'PIZZA', mint: process.env.PIZZA_TOKEN_MINT, paymentMethod: 'pizza_spl', swap: true });
+    }
+
+    this.config.extraTokens.forEach(entry => {
+      const [symbol, mint] = entry.split(':');
+      try {
+        tokens.push({ symbol, mint: new PublicKey(mint).toBase58(), paymentMethod: 'spl_token', swap: true });
+      } catch (error) {
+        this.logger.warn('Ignoring invalid checkout token', { entry });
+      }
+    });
+
+    // First entry wins when a mint is listed twice (e.g. $PIZZA pointing at wrapped SOL in development)
+    return tokens.filter((token, index) => tokens.findIndex(t => t.mint === token.mint) === index);
+  }
+
+  /**
+   * Allow-listed token for a mint
+   * @param {string} mint - Token mint (base58)
+   * @returns {Object|null}
+   */
+  findToken(mint) {
+    return this.getCheckoutTokens().find(token => token.mint === mint) || null;
+  }
+
+  /**
+   * Quote paying an intent's USDC total in another token
+   * @param {Object} intent - Open PaymentIntent
+   * @param {Object} options - { inputMint, slippageBps }
+   * @returns {Object} Swap quote to store on the intent
+   */
+  async createQuote(intent, { inputMint, slippageBps = this.config.defaultSlippageBps } = {}) {
+    const token = this.findToken(inputMint);
+    if (!token || !token.swap) {
+      throw new Error('Token is not accepted for checkout');
+    }
+
+    if (!Number.isInteger(slippageBps) || slippageBps < 1 || slippageBps > this.config.maxSlippageBps) {
+      throw new Error(`Slippage must be between 1 and ${this.config.maxSlippageBps} bps`);
+    }
+
+    const outUnits = BigInt(Math.round(intent.amount * Math.pow(10, USDC_DECIMALS)));
+    const quoteResponse = await this.jupiter.getQuote({
+      inputMint: token.mint,
+      outputMint: this.usdcMint.toBase58(),
+      amount: outUnits,
+      swapMode: 'ExactOut',
+      slippageBps,
+      maxAccounts: this.config.maxSwapAccounts,
+      // Solana Pay validation reads legacy transactions only
+      asLegacyTransaction: true
+    });
+
+    if (BigInt(quoteResponse.outAmount) < outUnits) {
+      throw new Error('Swap quote does not cover the payment amount');
+    }
+
+    const inputDecimals = token.decimals ?? (await getMint(this.connection, new PublicKey(token.mint))).decimals;
+    const toInputUnits = value => Number(value) / Math.pow(10, inputDecimals);
+    const now = Date.now();
+
+    const swapQuote = {
+      inputMint: token.mint,
+      inputSymbol: token.symbol,
+      inputDecimals,
+      paymentMethod: token.paymentMethod,
+      inAmount: toInputUnits(quoteResponse.inAmount),
+      // ExactOut: otherAmountThreshold is the most input the swap may take
+      maxInAmount: toInputUnits(quoteResponse.otherAmountThreshold),
+      outAmount: intent.amount,
+      slippageBps,
+      priceImpactPct: Number(quoteResponse.priceImpactPct) || 0,
+      routeLabels: (quoteResponse.routePlan || []).map(step => step.swapInfo?.label).filter(Boolean),
+      quoteResponse,
+      quotedAt: new Date(now),
+      expiresAt: new Date(now + this.config.quoteTtlSeconds * 1000)
+    };
+
+    this.logger.info('Swap quote created', {
+      reference: intent.reference,
+      inputSymbol: token.symbol,
+      inAmount: swapQuote.inAmount,
+      maxInAmount: swapQuote.maxInAmount,
+      outAmount: swapQuote.outAmount,
+      priceImpactPct: swapQuote.priceImpactPct
+    });
+
+    return swapQuote;
+  }
+
+  /**
+   * Jupiter instructions swapping the customer's token into their USDC account
+   * @param {Object} swapQuote - Quote stored on the intent
+   * @param {string} account - Customer wallet (base58)
+   * @returns {Array} TransactionInstructions to run before the fee split
+   */
+  async getSwapInstructions(swapQuote, account) {
+    if (!swapQuote?.quoteResponse) {
+      throw new Error('Swap quote not found');
+    }
+
+    if (new Date(swapQuote.expiresAt) <= new Date()) {
+      throw new Error('Swap quote expired');
+    }
+
+    const result = await this.jupiter.getSwapInstructions({
+      quoteResponse: swapQuote.quoteResponse,
+      userPublicKey: new PublicKey(account).toBase58(),
+      wrapAndUnwrapSol: true,
+      asLegacyTransaction: true
+    });
+
+    if ((result.addressLookupTableAddresses || []).length > 0) {
+      throw new Error('Swap route requires address lookup tables');
+    }
+
+    return [
+      ...(result.computeBudgetInstructions || []),
+      ...(result.setupInstructions || []),
+      result.swapInstruction,
+      ...(result.cleanupInstruction ? [result.cleanupInstruction] : [])
+    ].map(JupiterClient.toInstruction);
+  }
+
+  /**
+   * What the swap actually cost the customer, from the confirmed transaction
+   * @param {string} signature - Payment transaction signature
+   * @param {Object} swapQuote - Quote the transaction was built from
+   * @returns {Object} Transaction.jupiterSwap record
+   */
+  async getSwapFill(signature, swapQuote) {
+    let inputAmount = swapQuote.inAmount;
+
+    try {
+      const response = await this.connection.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      const spent = response?.meta ? this.getInputSpent(response, swapQuote) : null;
+      if (spent !== null) {
+        inputAmount = spent;
+      }
+    } catch (error) {
+      this.logger.warn('Swap fill lookup failed - recording quoted input', { signature, error: error.message });
+    }
+
+    // Realized slippage is measured against the quote; price impact is the route's own estimate
+    const realizedSlippage = swapQuote.inAmount > 0 ?
+      roundUSDC(inputAmount / swapQuote.inAmount - 1) : 0;
+
+    return {
+      inputMint: swapQuote.inputMint,
+      inputSymbol: swapQuote.inputSymbol,
+      outputMint: this.usdcMint.toBase58(),
+      inputAmount,
+      quotedInputAmount: swapQuote.inAmount,
+      maxInputAmount: swapQuote.maxInAmount,
+      outputAmount: swapQuote.outAmount,
+      slippageBps: swapQuote.slippageBps,
+      priceImpact: swapQuote.priceImpactPct,
+      realizedSlippage,
+      swapLoss: roundUSDC(swapQuote.priceImpactPct + realizedSlippage),
+      route: swapQuote.routeLabels
+    };
+  }
+
+  /**
+   * Swap fields for the Transaction record of a confirmed payment
+   * @param {string} signature - Payment transaction signature
+   * @param {Object} intent - PaymentIntent the payment settled
+   * @returns {Object} { inputToken, outputToken, jupiterSwap } - empty for plain USDC payments
+   */
+  async getTransactionFields(signature, intent) {
+    if (intent.requestType !== 'transaction' || intent.paymentMethod === 'usdc' || !intent.swapQuote?.inputMint) {
+      return {};
+    }
+
+    const jupiterSwap = await this.getSwapFill(signature, intent.swapQuote);
+
+    this.logger.info('Swap payment recorded', {
+      reference: intent.reference,
+      signature,
+      inputSymbol: jupiterSwap.inputSymbol,
+      inputAmount: jupiterSwap.inputAmount,
+      quotedInputAmount: jupiterSwap.quotedInputAmount,
+      swapLoss: jupiterSwap.swapLoss
+    });
+
+    return {
+      inputToken: {
+        mint: jupiterSwap.inputMint,
+        amount: jupiterSwap.inputAmount,
+        symbol: jupiterSwap.inputSymbol
+      },
+      outputToken: {
+        mint: jupiterSwap.outputMint,
+        amount: jupiterSwap.outputAmount,
+        symbol: 'USDC'
+      },
+      jupiterSwap
+    };
+  }
+
+  /**
+   * Input token spent by the fee payer (customer) in a confirmed transaction
+   * @returns {number|null} Amount in input token units (null when it cannot be measured)
+   */
+  getInputSpent(response, swapQuote) {
+    const { meta } = response;
+    const accountKeys = response.transaction.message.accountKeys;
+    const payer = accountKeys[0].toBase58();
+
+    if (swapQuote.inputMint === NATIVE_MINT.toBase58()) {
+      // SOL is wrapped and unwrapped inside the transaction: lamports spent minus the
+      // network fee and rent for accounts the transaction opened
+      const rent = meta.postBalances.reduce((sum, post, index) =>
+        index > 0 && meta.preBalances[index] === 0 && post > 0 ? sum + post : sum, 0);
+      const lamports = meta.preBalances[0] - meta.postBalances[0] - meta.fee - rent;
+      return lamports / LAMPORTS_PER_SOL;
+    }
+
+    const balance = (balances) => (balances || [])
+      .filter(entry => entry.mint === swapQuote.inputMint && entry.owner === payer)
+      .reduce((sum, entry) => sum + Number(entry.uiTokenAmount.uiAmountString || 0), 0);
+
+    const spent = balance(meta.preTokenBalances) - balance(meta.postTokenBalances);
+    return spent > 0 ? Math.round(spent * Math.pow(10, swapQuote.inputDecimals)) / Math.pow(10, swapQuote.inputDecimals) : null;
+  }
+}
+
+module.exports = SwapCheckoutService;
@@ -1,7 +1,13 @@
 const Transaction = require('../models/Transaction');
 const Business = require('../models/Business');
+const PaymentIntent = require('../models/PaymentIntent');
+const paymentIntentService = require('./paymentIntentService');
+const ledgerService = require('./ledgerService');
+const rewardQueueService = require('./rewardQueueService');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { Keypair } = require('@solana/web3.js');
+const { paymentConfig, roundUSDC, calculateReward } = require('../config/payments');
 
 class TransactionService {
     constructor() {
@@ -28,7 +34,7 @@ class TransactionService {
                 userId,
                 businessId,
                 walletAddress,
-                amount = 15, // Fixed $15 USDC
+                amount = paymentConfig.defaultAmount,
                 memo,
                 paymentReference,
                 jupiterSwap = null,
@@ -42,11 +48,13 @@ class TransactionService {
                 throw new Error('Business not found');
             }
 
-            // Calculate fees (standardized for CN businesses)
+            // Calculate fees from the real order total under the current fee schedule
+            const feeCalculation = business.calculateTransactionFees(amount);
             const fees = {
-                platformFee: 0.15,      // 1% of $15
-                vaultContribution: 0.195, // 1.3% of $15
-                totalFees: 0.345,       // Total fees
+                platformFee: feeCalculation.platformFee,
+                vaultContribution: feeCalculation.vaultContribution,
+                totalFees: feeCalculation.totalFees,
+                scheduleVersion: feeCalculation.scheduleVersion,
                 networkFee: 0.00025,    // Solana network fee
                 jupiterSwapFee: jupiterSwap ? (jupiterSwap.inputAmount * 0.0075) : 0 // 0.75% if swap used
             };
@@ -75,10 +83,10 @@ class TransactionService {
                 settlement: {
                     method: 'usdc-retain',
                     processed: false,
-                    netAmount: amount - fees.totalFees // $15 - $0.345 = $14.655
+                    netAmount: feeCalculation.merchantAmount
                 },
                 rewards: {
-                    pizzaTokensDistributed: 0.3, // Fixed 0.3 $PIZZA SPL per transaction
+                    pizzaTokensDistributed: calculateReward(amount).rewardAmount,
                     giftCardIssued: false,
                     vaultFunded: fees.vaultContribution
                 },
@@ -88,8 +96,8 @@ class TransactionService {
 
             await transaction.save();
 
-            // Update business vault contribution tracking
-            await this.updateBusinessVaultContribution(businessId, fees.vaultContribution);
+            // Post the fee split to the ledger (the business vault total is derived from it)
+            await this.recordLedgerEntry(() => ledgerService.recordPayment(transaction));
 
             console.log(`💰 Payment transaction created: ${signature} for business ${business.businessName}`);
             
@@ -126,7 +134,7 @@ class TransactionService {
                 userId: business.ownerId,
                 businessId: businessId,
                 walletAddress: testWallet,
-                amount: 15,
+                amount: paymentConfig.defaultAmount,
                 memo: `Test payment for ${business.businessName}`,
                 paymentReference: `test-${Date.now()}`,
                 blockTime: new Date(),
@@ -184,30 +192,16 @@ class TransactionService {
     }
 
     /**
-     * Update business vault contribution tracking
-     * @param {String} businessId - Business ID
-     * @param {Number} contribution - Vault contribution amount
+     * Post a ledger entry without failing the transaction it belongs to
+     * Postings are idempotent - anything missed is picked up by LedgerService.backfill.
+     * @param {Function} posting - Ledger call to run
      */
-    async updateBusinessVaultContribution(businessId, contribution) {
+    async recordLedgerEntry(posting) {
         try {
-            await Business.findByIdAndUpdate(
-                businessId,
-                {
-                    $inc: { 
-                        'vaultContribution.totalContributed': contribution,
-                        'totalVaultContributions': contribution
-                    },
-                    $set: {
-                        'vaultContribution.lastContribution': new Date()
-                    }
-                }
-            );
-
-            console.log(`📊 Updated vault contribution for business ${businessId}: +$${contribution}`);
-
+            return await posting();
         } catch (error) {
-            console.error('❌ Error updating vault contribution:', error);
-            // Don't throw here as it shouldn't fail the main transaction
+            console.error('❌ Error posting ledger entry:', error);
+            return null;
         }
     }
 
@@ -351,6 +345,14 @@ class TransactionService {
                 { new: true }
             );
 
+            // Close out the payment intent behind this transaction
+            if (transaction?.paymentReference) {
+                const intent = await PaymentIntent.findByReference(transaction.paymentReference);
+                if (intent?.status === 'confirmed') {
+                    await paymentIntentService.markSettled(transaction.paymentReference);
+                }
+            }
+
             console.log(`💸 Settlement processed for transaction: ${transactionId}`);
             return transaction;
 
@@ -359,6 +361,270 @@ class TransactionService {
             throw error;
         }
     }
+
+    /**
+     * Open a (partial) refund against a confirmed payment
+     * The merchant signs the refund transfer; completeRefund records it once on-chain.
+     * @param {Object} refundData - { transactionId, businessId, requestedBy, amount, reason }
+     * @returns {Object} { payment, refundRequest }
+     */
+    async requestRefund(refundData) {
+        const { transactionId, businessId, requestedBy, reason = null } = refundData;
+
+        const payment = await Transaction.findOne({
+            _id: transactionId,
+            businessId,
+            type: 'payment',
+            status: 'confirmed'
+        });
+
+        if (!payment) {
+            throw new Error('Payment not found');
+        }
+
+        const refundable = payment.getRefundableAmount();
+        const amount = refundData.amount === undefined || refundData.amount === null ?
+            refundable :
+            Number(refundData.amount);
+
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error('Refund amount must be greater than zero');
+        }
+
+        if (roundUSDC(amount) !== amount) {
+            throw new Error('Refund amount supports at most 6 decimal places');
+        }
+
+        if (amount > refundable) {
+            throw new Error(`Refund amount exceeds refundable balance of $${refundable} USDC`);
+        }
+
+        const refundRequest = {
+            reference: Keypair.generate().publicKey.toBase58(),
+            amount,
+            reason,
+            status: 'pending',
+            requestedBy
+        };
+
+        // Reserve conditioned on the balance in the database so concurrent requests can't over-reserve
+        const pendingAmount = {
+            $sum: {
+                $map: {
+                    input: {
+                        $filter: {
+                            input: { $ifNull: ['$refundRequests', []] },
+                            as: 'request',
+                            cond: { $eq: ['$$request.status', 'pending'] }
+                        }
+                    },
+                    as: 'request',
+                    in: '$$request.amount'
+                }
+            }
+        };
+        const reserved = await Transaction.findOneAndUpdate(
+            {
+                _id: payment._id,
+                status: 'confirmed',
+                $expr: {
+                    $lte: [
+                        { $round: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, pendingAmount, amount] }, 6] },
+                        '$amount'
+                    ]
+                }
+            },
+            { $push: { refundRequests: refundRequest } },
+            { new: true }
+        );
+
+        if (!reserved) {
+            throw new Error('Refund amount exceeds refundable balance - another refund was requested meanwhile');
+        }
+
+        console.log(`↩️ Refund requested for transaction ${payment._id}: $${amount} USDC`);
+
+        return {
+            payment: reserved,
+            refundRequest: reserved.refundRequests.find(entry => entry.reference === refundRequest.reference)
+        };
+    }
+
+    /**
+     * Cancel a pending refund request (releases the reserved amount)
+     * @param {String} reference - Refund reference
+     * @param {String} businessId - Business ID
+     */
+    async cancelRefund(reference, businessId) {
+        const payment = await Transaction.findOneAndUpdate(
+            {
+                businessId,
+                refundRequests: { $elemMatch: { reference, status: 'pending' } }
+            },
+            { $set: { 'refundRequests.$.status': 'cancelled' } },
+            { new: true }
+        );
+
+        if (!payment) {
+            throw new Error('Pending refund not found');
+        }
+
+        return payment;
+    }
+
+    /**
+     * Record a refund after its transfer was validated on-chain
+     * Creates the linked refund Transaction, reverses the matching share of the vault
+     * contribution and claws back the matching share of the customer's reward.
+     * @param {Object} refundData - { reference, signature, blockTime, slot }
+     * @returns {Object} { refundTransaction, refundedAmount, refundStatus }
+     */
+    async completeRefund(refundData) {
+        const { reference, signature, blockTime = null, slot = null } = refundData;
+
+        const pending = await this.findRefundRequest(reference);
+        if (!pending || pending.refundRequest.status !== 'pending') {
+            throw new Error('Pending refund not found');
+        }
+
+        // Claim the pending request atomically so a refund is only recorded once
+        const payment = await Transaction.findOneAndUpdate(
+            { _id: pending.payment._id, refundRequests: { $elemMatch: { reference, status: 'pending' } } },
+            {
+                $set: { 'refundRequests.$.status': 'completed', 'refundRequests.$.completedAt': new Date() },
+                $inc: { refundedAmount: pending.refundRequest.amount }
+            },
+            { new: true }
+        );
+
+        if (!payment) {
+            throw new Error('Pending refund not found');
+        }
+
+        const request = payment.refundRequests.find(entry => entry.reference === reference);
+        const share = request.amount / payment.amount;
+        const vaultContributionReversed = roundUSDC((payment.fees?.vaultContribution || 0) * share);
+
+        const refundTransaction = new Transaction({
+            signature,
+            userId: payment.userId,
+            walletAddress: payment.walletAddress,
+            businessId: payment.businessId,
+            type: 'refund',
+            status: 'confirmed',
+            amount: request.amount,
+            paymentReference: reference,
+            blockTime: blockTime || new Date(),
+            slot,
+            refund: {
+                originalTransactionId: payment._id,
+                reason: request.reason,
+                vaultContributionReversed
+            },
+            notes: request.reason,
+            completedAt: new Date()
+        });
+
+        try {
+            await refundTransaction.save();
+        } catch (error) {
+            // Release the claim so the refund can be confirmed again
+            await Transaction.updateOne(
+                { _id: payment._id, 'refundRequests.reference': reference },
+                {
+                    $set: { 'refundRequests.$.status': 'pending', 'refundRequests.$.completedAt': null },
+                    $inc: { refundedAmount: -request.amount }
+                }
+            );
+            throw error;
+        }
+
+        // Reverse the matching share of the vault contribution
+        await this.recordLedgerEntry(() => ledgerService.recordRefund(refundTransaction));
+
+        // A reward still waiting in the delivery queue is cut before it is sent
+        let unsent = 0;
+        try {
+            unsent = await rewardQueueService.reduceForRefund(payment._id, share);
+        } catch (error) {
+            console.error('❌ Queued reward reduction failed:', error.message);
+        }
+
+        // Claw back the matching share of the customer's reward
+        const rewardShare = await this.getRewardClawbackAmount(payment);
+        let rewardClawback = { amount: rewardShare, deducted: 0, outstanding: rewardShare };
+        try {
+            const RewardsService = require('./rewardsService');
+            rewardClawback = await new RewardsService().clawbackReward({
+                userId: payment.userId,
+                amount: rewardShare,
+                refundAmount: request.amount,
+                transactionId: payment._id,
+                refundTransactionId: refundTransaction._id
+            });
+        } catch (error) {
+            console.error('❌ Reward clawback failed, recorded as outstanding:', error.message);
+        }
+
+        refundTransaction.refund.rewardClawback = { ...rewardClawback, unsent };
+        await refundTransaction.save();
+
+        // Link the refund and update the payment's refund status
+        const refundedAmount = roundUSDC(payment.refundedAmount);
+        const refundStatus = refundedAmount >= payment.amount ? 'full' : 'partial';
+        await Transaction.updateOne(
+            { _id: payment._id, 'refundRequests.reference': reference },
+            {
+                $set: {
+                    'refundRequests.$.refundTransactionId': refundTransaction._id,
+                    refundedAmount,
+                    refundStatus
+                }
+            }
+        );
+
+        console.log(`↩️ Refund completed for transaction ${payment._id}: $${request.amount} USDC (${signature})`);
+
+        return { refundTransaction, refundedAmount, refundStatus };
+    }
+
+    /**
+     * $PIZZA SPL to claw back after a refund: the refunded share of the original reward so
+     * far, less what earlier refunds already cut from the queue or clawed back
+     * @param {Object} payment - Payment with refundedAmount including the refund being completed
+     * @returns {Number} $PIZZA SPL to claw back
+     */
+    async getRewardClawbackAmount(payment) {
+        const queued = await rewardQueueService.getPaymentReward(payment._id);
+        const originalReward = queued ? queued.originalAmount : (payment.rewards?.pizzaTokensDistributed || 0);
+        const cutFromQueue = queued ? queued.originalAmount - queued.amount : 0;
+
+        const earlierRefunds = await Transaction.find({
+            type: 'refund',
+            'refund.originalTransactionId': payment._id
+        }).select('refund.rewardClawback');
+        const clawedBack = earlierRefunds.reduce((sum, refund) => sum + (refund.refund?.rewardClawback?.amount || 0), 0);
+
+        const refundedShare = Math.min(1, payment.refundedAmount / payment.amount);
+        return roundUSDC(Math.max(0, originalReward * refundedShare - cutFromQueue - clawedBack));
+    }
+
+    /**
+     * Find the payment that owns a refund reference
+     * @param {String} reference - Refund reference
+     * @returns {Object} { payment, refundRequest } or null
+     */
+    async findRefundRequest(reference) {
+        const payment = await Transaction.findOne({ 'refundRequests.reference': reference });
+        if (!payment) {
+            return null;
+        }
+
+        return {
+            payment,
+            refundRequest: payment.refundRequests.find(entry => entry.reference === reference)
+        };
+    }
 }
 
 module.exports = TransactionService;
\ No newline at end of file
@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const Vault = require('../models/Vault');
+const VaultAlert = require('../models/VaultAlert');
+const AdminUser = require('../models/AdminUser');
+const VaultService = require('./vaultService');
+const ledgerService = require('./ledgerService');
+const { vaultHealthConfig, roundUSDC, pizzaToUSDC } = require('../config/payments');
+
+// Thresholds admins can change on the Vault document
+const THRESHOLD_FIELDS = ['minRewardRunwayDays', 'maxGiftCardLiabilityRatio', 'maxStakedRatio', 'rewardReserveFloor'];
+
+/**
+ * VaultHealthService - scheduled vault health checks, alerts and the reward pause
+ *
+ * Each check measures the reward runway, outstanding gift card value against the gift card
+ * allocation, and the staked share of the vault, and compares them with the thresholds on
+ * the Vault document. A breach opens (or refreshes) a VaultAlert in the admin feed and is
+ * emailed once; alerts resolve on the first check that passes. When the reward bucket is
+ * below the reserve floor, reward distribution pauses until a later check finds it back
+ * above the floor. Admins can also pause and resume by hand.
+ */
+class VaultHealthService {
+  /**
+   * @param {VaultService} vaultService - Vault measurements (defaults to a new instance)
+   * @param {Object} config - Check interval, default thresholds and alert recipients
+   */
+  constructor(vaultService = new VaultService(), config = vaultHealthConfig) {
+    this.vaultService = vaultService;
+    this.config = config;
+    this.sendEmail = null;
+    this.monitorInterval = null;
+    this.checkInProgress = false;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/vault-health.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  generateAlertId() {
+    return `va_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  /**
+   * USDC value of $PIZZA SPL, priced at its reward cost ($0.01 buys 0.02 $PIZZA SPL)
+   */
+  pizzaToUSDC(amount) {
+    return pizzaToUSDC(amount);
+  }
+
+  /**
+   * Thresholds in force: the Vault document's, falling back to the configured defaults
+   */
+  getThresholds(vault) {
+    const stored = vault?.health?.thresholds || {};
+    return THRESHOLD_FIELDS.reduce((thresholds, field) => {
+      thresholds[field] = typeof stored[field] === 'number' ? stored[field] : this.config[field];
+      return thresholds;
+    }, {});
+  }
+
+  /**
+   * Measure the vault
+   * @returns {Object} Metrics compared against the thresholds
+   */
+  async measure() {
+    const analytics = await this.vaultService.getVaultAnalytics();
+    const outstandingGiftCards = await ledgerService.getBalance('gift_cards:outstanding');
+
+    const { rewards, giftCards } = analytics.allocations;
+    const giftCardLiability = this.pizzaToUSDC(outstandingGiftCards);
+    const { rewardCoverage } = analytics.sustainabilityMetrics;
+
+    return {
+      rewardBalance: rewards,
+      rewardBurnRate: analytics.projections.rewardBurnRate,
+      // Days of rewards left at the 30-day burn rate (null while nothing is spent)
+      rewardRunwayDays: rewardCoverage === null ? null : Math.round(rewardCoverage * 10) / 10,
+      giftCardAllocation: giftCards,
+      giftCardLiability,
+      giftCardLiabilityRatio: giftCards > 0 ? Math.round(giftCardLiability / giftCards * 10000) / 10000 : null,
+      stakedBalance: analytics.stakedBalance,
+      liquidBalance: roundUSDC(analytics.vaultSize - analytics.stakedBalance),
+      stakedRatio: analytics.vaultSize > 0 ? Math.round(analytics.stakedBalance / analytics.vaultSize * 10000) / 10000 : 0
+    };
+  }
+
+  /**
+   * Threshold breaches for a set of metrics
+   * @returns {Array} [{ check, severity, message, value, threshold }]
+   */
+  evaluate(metrics, thresholds) {
+    const breaches = [];
+
+    if (metrics.rewardRunwayDays !== null && metrics.rewardRunwayDays < thresholds.minRewardRunwayDays) {
+      breaches.push({
+        check: 'reward_runway',
+        severity: 'warning',
+        message: `Reward bucket covers ${metrics.rewardRunwayDays} days at the current burn rate (minimum ${thresholds.minRewardRunwayDays})`,
+        value: metrics.rewardRunwayDays,
+        threshold: thresholds.minRewardRunwayDays
+      });
+    }
+
+    if (metrics.giftCardLiability > metrics.giftCardAllocation * thresholds.maxGiftCardLiabilityRatio) {
+      breaches.push({
+        check: 'gift_card_liability',
+        severity: 'warning',
+        message: `Outstanding gift cards ($${metrics.giftCardLiability}) exceed ${thresholds.maxGiftCardLiabilityRatio}x the gift card allocation ($${metrics.giftCardAllocation})`,
+        value: metrics.giftCardLiabilityRatio,
+        threshold: thresholds.maxGiftCardLiabilityRatio
+      });
+    }
+
+    if (metrics.stakedRatio > thresholds.maxStakedRatio) {
+      breaches.push({
+        check: 'staked_ratio',
+        severity: 'warning',
+        message: `${Math.round(metrics.stakedRatio * 100)}% of the vault is staked (maximum ${Math.round(thresholds.maxStakedRatio * 100)}%)`,
+        value: metrics.stakedRatio,
+        threshold: thresholds.maxStakedRatio
+      });
+    }
+
+    if (metrics.rewardBalance < thresholds.rewardReserveFloor) {
+      breaches.push({
+        check: 'reward_reserve_floor',
+        severity: 'critical',
+        message: `Reward bucket ($${metrics.rewardBalance}) is below the $${thresholds.rewardReserveFloor} reserve floor - reward distribution is paused`,
+        value: metrics.rewardBalance,
+        threshold: thresholds.rewardReserveFloor
+      });
+    }
+
+    return breaches;
+  }
+
+  /**
+   * Run one health check: raise and resolve alerts, pause or resume rewards
+   * @returns {Object|null} Health report, or null while another check is running
+   */
+  async runHealthCheck() {
+    if (this.checkInProgress) {
+      return null;
+    }
+    this.checkInProgress = true;
+
+    try {
+      const vault = await Vault.getPlatformVault();
+      const thresholds = this.getThresholds(vault);
+      const metrics = await this.measure();
+      const breaches = this.evaluate(metrics, thresholds);
+      const checkedAt = new Date();
+
+      const alerts = [];
+      for (const breach of breaches) {
+        alerts.push(await this.raiseAlert(breach, checkedAt));
+      }
+      const resolved = await this.resolveAlerts(breaches.map(breach => breach.check), checkedAt);
+
+      const belowFloor = breaches.some(breach => breach.check === 'reward_reserve_floor');
+      let rewardsPause = vault.health.rewardsPause;
+      if (belowFloor && !rewardsPause.paused) {
+        rewardsPause = await this.pauseRewards({ reason: 'Reward bucket below the reserve floor', automatic: true });
+      } else if (!belowFloor && rewardsPause.paused && rewardsPause.automatic) {
+        rewardsPause = await this.resumeRewards({ automatic: true });
+      }
+
+      await Vault.updateOne({ key: 'platform' }, {
+        $set: {
+          'health.lastCheckedAt': checkedAt,
+          'health.lastCheck': {
+            healthy: breaches.length === 0,
+            metrics,
+            breaches: breaches.map(breach => breach.check)
+          }
+        }
+      });
+
+      if (breaches.length > 0) {
+        this.logger.info('Vault health check found breaches', { breaches: breaches.map(breach => breach.check), metrics });
+      }
+
+      return {
+        healthy: breaches.length === 0,
+        checkedAt,
+        metrics,
+        thresholds,
+        breaches,
+        alerts,
+        resolved,
+        rewardsPause
+      };
+    } finally {
+      this.checkInProgress = false;
+    }
+  }
+
+  /**
+   * Open an alert for a breach, or refresh the active one for that check
+   * The first time an alert is seen it is emailed.
+   */
+  async raiseAlert(breach, seenAt = new Date()) {
+    const alert = await VaultAlert.findOneAndUpdate(
+      { check: breach.check, status: { $in: ['open', 'acknowledged'] } },
+      {
+        $set: {
+          severity: breach.severity,
+          message: breach.message,
+          value: breach.value,
+          threshold: breach.threshold,
+          lastSeenAt: seenAt
+        },
+        $inc: { occurrences: 1 },
+        $setOnInsert: {
+          alertId: this.generateAlertId(),
+          status: 'open',
+          raisedAt: seenAt
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (!alert.emailedAt) {
+      await this.notify(alert);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Resolve active alerts whose checks passed
+   * @param {Array} failingChecks - Checks still breached
+   * @returns {number} Alerts resolved
+   */
+  async resolveAlerts(failingChecks, resolvedAt = new Date()) {
+    const result = await VaultAlert.updateMany(
+      { status: { $in: ['open', 'acknowledged'] }, check: { $nin: failingChecks } },
+      { $set: { status: 'resolved', resolvedAt } }
+    );
+
+    if (result.modifiedCount > 0) {
+      this.logger.info('Vault alerts resolved', { count: result.modifiedCount });
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Email an alert to VAULT_HEALTH_ALERT_EMAILS, or the active super admins
+   * Email problems are logged; the alert stays in the feed either way.
+   */
+  async notify(alert) {
+    if (!this.sendEmail) {
+      this.logger.warn('Vault alert not emailed - no mailer configured', { alertId: alert.alertId, check: alert.check });
+      return false;
+    }
+
+    try {
+      let recipients = this.config.alertEmails;
+      if (recipients.length === 0) {
+        const superAdmins = await AdminUser.find({ role: 'super_admin', isActive: true }).select('email');
+        recipients = superAdmins.map(admin => admin.email);
+      }
+      if (recipients.length === 0) {
+        this.logger.warn('Vault alert not emailed - no recipients', { alertId: alert.alertId });
+        return false;
+      }
+
+      await this.sendEmail(
+        recipients.join(','),
+        `[${alert.severity.toUpperCase()}] Vault health alert: ${alert.check.replace(/_/g, ' ')}`,
+        `<h2>Platform vault health alert</h2>
+        <p>${alert.message}</p>
+        <p>Raised at ${alert.raisedAt.toISOString()}. Review it in the admin dashboard under Vault Management.</p>`
+      );
+      await VaultAlert.updateOne({ alertId: alert.alertId }, { $set: { emailedAt: new Date() } });
+      return true;
+    } catch (error) {
+      this.logger.error('Vault alert email failed', { alertId: alert.alertId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Whether reward distribution is currently paused
+   */
+  async isRewardDistributionPaused() {
+    const vault = await Vault.getPlatformVault();
+    return Boolean(vault.health?.rewardsPause?.paused);
+  }
+
+  /**
+   * Pause reward distribution
+   * @param {Object} options - { reason, automatic, adminId }
+   */
+  async pauseRewards({ reason, automatic = false, adminId = null } = {}) {
+    const vault = await Vault.findOneAndUpdate(
+      { key: 'platform' },
+      {
+        $set: {
+          'health.rewardsPause.paused': true,
+          'health.rewardsPause.automatic': automatic,
+          'health.rewardsPause.reason': reason,
+          'health.rewardsPause.pausedAt': new Date(),
+          'health.rewardsPause.pausedBy': adminId
+        }
+      },
+      { new: true }
+    );
+
+    this.logger.warn('Reward distribution paused', { reason, automatic, adminId });
+    return vault.health.rewardsPause;
+  }
+
+  /**
+   * Resume reward distribution
+   * A health check pauses again while the reward bucket is still below the floor.
+   * @param {Object} options - { automatic, adminId }
+   */
+  async resumeRewards({ automatic = false, adminId = null } = {}) {
+    const vault = await Vault.findOneAndUpdate(
+      { key: 'platform' },
+      {
+        $set: {
+          'health.rewardsPause.paused': false,
+          'health.rewardsPause.automatic': automatic,
+          'health.rewardsPause.resumedAt': new Date(),
+          'health.rewardsPause.resumedBy': adminId
+        }
+      },
+      { new: true }
+    );
+
+    this.logger.info('Reward distribution resumed', { automatic, adminId });
+    return vault.health.rewardsPause;
+  }
+
+  /**
+   * Change the health thresholds
+   * @param {Object} thresholds - Any of minRewardRunwayDays, maxGiftCardLiabilityRatio, maxStakedRatio, rewardReserveFloor
+   * @param {string} updatedBy - AdminUser ID
+   */
+  async updateThresholds(thresholds, updatedBy = null) {
+    const update = {};
+    THRESHOLD_FIELDS.forEach(field => {
+      if (thresholds[field] !== undefined) {
+        update[`health.thresholds.${field}`] = thresholds[field];
+      }
+    });
+    if (Object.keys(update).length === 0) {
+      throw new Error('No vault health thresholds to update');
+    }
+    if (update['health.thresholds.maxStakedRatio'] > 1) {
+      throw new Error('Staked ratio threshold cannot exceed 100%');
+    }
+
+    await Vault.getPlatformVault();
+    const vault = await Vault.findOneAndUpdate(
+      { key: 'platform' },
+      {
+        $set: {
+          ...update,
+          'health.thresholds.updatedAt': new Date(),
+          'health.thresholds.updatedBy': updatedBy
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    this.logger.info('Vault health thresholds updated', { thresholds, updatedBy });
+    return this.getThresholds(vault);
+  }
+
+  /**
+   * Latest check, thresholds, pause state and active alerts for the dashboard
+   */
+  async getHealthStatus() {
+    const vault = await Vault.getPlatformVault();
+    const activeAlerts = await VaultAlert.find({ status: { $in: ['open', 'acknowledged'] } }).sort({ raisedAt: -1 });
+
+    return {
+      lastCheckedAt: vault.health.lastCheckedAt || null,
+      lastCheck: vault.health.lastCheck,
+      thresholds: this.getThresholds(vault),
+      rewardsPause: vault.health.rewardsPause,
+      activeAlerts
+    };
+  }
+
+  /**
+   * Admin notification feed
+   * @param {Object} filter - { status, limit, offset }
+   */
+  async listAlerts({ status, limit = 50, offset = 0 } = {}) {
+    const query = status ? { status } : {};
+    const [alerts, total] = await Promise.all([
+      VaultAlert.find(query).sort({ raisedAt: -1 }).skip(offset).limit(limit),
+      VaultAlert.countDocuments(query)
+    ]);
+
+    return { alerts, total, limit, offset };
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {string} alertId - VaultAlert alertId
+   * @param {string} adminId - AdminUser ID
+   */
+  async acknowledgeAlert(alertId, adminId) {
+    const alert = await VaultAlert.findOneAndUpdate(
+      { alertId, status: 'open' },
+      { $set: { status: 'acknowledged', acknowledgedAt: new Date(), acknowledgedBy: adminId } },
+      { new: true }
+    );
+
+    if (!alert) {
+      if (!await VaultAlert.findByAlertId(alertId)) {
+        throw new Error('Vault alert not found');
+      }
+      throw new Error('Only open vault alerts can be acknowledged');
+    }
+    return alert;
+  }
+
+  /**
+   * Run health checks on an interval
+   * @param {Object} options - { sendEmail, intervalMs }
+   */
+  startMonitor({ sendEmail = null, intervalMs = this.config.checkIntervalMs } = {}) {
+    if (sendEmail) {
+      this.sendEmail = sendEmail;
+    }
+    if (this.monitorInterval) {
+      return;
+    }
+
+    this.monitorInterval = setInterval(() => {
+      this.runHealthCheck().catch(error => {
+        this.logger.error('Vault health check failed', { error: error.message });
+      });
+    }, intervalMs);
+
+    this.monitorInterval.unref();
+  }
+
+  stopMonitor() {
+    if (this.monitorInterval) {
+      clearInterval(this.monitorInterval);
+      this.monitorInterval = null;
+    }
+  }
+}
+
+// Shared instance so the monitor, RewardsService and admin actions share one in-flight guard
+module.exports = new VaultHealthService();
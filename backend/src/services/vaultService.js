@@ -1,87 +1,155 @@
 /**
  * VaultService - Unified Platform Vault Management
- * 
+ *
  * Handles:
- * - Unified platform vault ($71,175 total, $7,117.50/merchant)
- * - Optional Kamino staking (4% APY, $1,190.70 split)
- * - Fund rewards ($47,974.40) and gift card redemptions ($6,000)
- * - Surplus management: $23,200.60
+ * - Unified platform vault funded by the 1.3% merchant contribution on every payment
+ * - Optional Kamino staking (APY and yield split set on the Vault document)
+ * - Fund rewards and gift card redemptions from their allocation buckets
+ * - Policy-driven rebalancing between the rewards, gift card and surplus buckets
+ *
+ * Balances live in the ledger (vault:* accounts) and are projected onto the persisted
+ * Vault document; the document also holds the allocation policy and staking history.
  */
 
-const { Connection, PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
 const { Token, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const secretManager = require('../config/secrets');
+const { getChainAdapter } = require('./chainAdapter');
+const { paymentConfig, vaultWithdrawalConfig, roundUSDC } = require('../config/payments');
+const ledgerService = require('./ledgerService');
+const Vault = require('../models/Vault');
+const Business = require('../models/Business');
+const PaymentTransaction = require('../models/Transaction');
+
+// Analytics windows accepted by getPlatformVaultAnalytics
+const TIMEFRAME_DAYS = { '7d': 7, '30d': 30, '90d': 90, '365d': 365 };
+
+// A rebalance claim older than this is treated as abandoned
+const REBALANCE_CLAIM_TTL_MS = 60 * 1000;
 
 class VaultService {
-  constructor() {
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   */
+  constructor(chain = getChainAdapter()) {
+    this.chain = chain;
     this.connection = null;
     this.vaultAddress = null;
     this.treasuryAddress = null;
-    
+
     // Vault economics (scalable)
-    this.vaultContributionPerMerchant = 7117.50; // $7,117.50 per merchant per year
-    this.baseVaultSize = 71175; // Base vault size for initial operations
-    
-    // Vault allocation
+    this.vaultContributionPerMerchant = 7117.50; // $7,117.50 per merchant per year target
+
+    // Persisted vault state - loaded by refreshAllocations()
+    this.vault = null;
     this.allocations = {
-      rewards: 47974.40,      // $47,974.40 for rewards (67.5%)
-      giftCards: 6000,        // $6,000 for gift card redemptions (8.4%)
-      surplus: 23200.60       // $23,200.60 surplus (32.6%)
-    };
-    
-    // Kamino staking configuration
-    this.kaminoStaking = {
-      enabled: false,
-      apy: 0.04,              // 4% APY
-      totalYield: 2381.40,    // 4% of $59,534 (rewards + gift cards)
-      platformShare: 1190.70, // 50% of yield
-      merchantShare: 1190.70  // 50% of yield
+      rewards: 0,
+      giftCards: 0,
+      surplus: 0
     };
-    
+    this.stakedBalance = 0;
+    this.totalVaultSize = 0;
+    this.merchantCount = 0;
+
     this.kaminoProgramId = null;
   }
 
   async initialize() {
     const secrets = await secretManager.initialize();
-    
-    // Initialize Solana connection
-    this.connection = new Connection(secrets.solanaRpcEndpoint);
+
+    // Solana access comes from the chain adapter
+    this.connection = this.chain.connection;
     this.vaultAddress = new PublicKey(secrets.platformVaultAddress);
     this.treasuryAddress = new PublicKey(secrets.treasuryWalletAddress);
     this.kaminoProgramId = new PublicKey(secrets.kaminoProgramId);
-    
+
+    await this.refreshAllocations();
+
     console.log('✅ VaultService initialized');
     console.log(`📊 Vault size: $${this.totalVaultSize.toLocaleString()}`);
     console.log(`💰 Surplus: $${this.allocations.surplus.toLocaleString()}`);
   }
 
+  /**
+   * Load the persisted vault (policy, staking and bucket balances)
+   */
+  async refreshAllocations() {
+    let vault = await Vault.getPlatformVault();
+
+    // Balances are projected after each ledger posting; seed them for ledgers that predate the Vault
+    if (!vault.balancesSyncedAt) {
+      await ledgerService.syncProjections(['vault:surplus']);
+      vault = await Vault.getPlatformVault();
+    }
+
+    this.vault = vault;
+    this.allocations = {
+      rewards: vault.balances.rewards,
+      giftCards: vault.balances.giftCards,
+      surplus: vault.balances.surplus
+    };
+    this.stakedBalance = vault.balances.staked;
+    this.totalVaultSize = roundUSDC(this.getLiquidBalance() + this.stakedBalance);
+    this.merchantCount = await Business.countDocuments({ 'vaultContribution.totalContributed': { $gt: 0 } });
+
+    return vault;
+  }
+
+  getLiquidBalance() {
+    return roundUSDC(this.allocations.rewards + this.allocations.giftCards + this.allocations.surplus);
+  }
+
+  /**
+   * Share of the vault held by an amount (0 while the vault is empty)
+   */
+  vaultShare(amount) {
+    return this.totalVaultSize > 0 ? amount / this.totalVaultSize : 0;
+  }
+
+  /**
+   * Record staking yield earned by the vault in the ledger
+   * @param {Object} yieldData - { periodKey, amount, dividends: [{ businessId, amount }], postedAt }
+   */
+  async recordStakingYield(yieldData) {
+    const entry = await ledgerService.recordStakingYield(yieldData);
+    await this.refreshAllocations();
+    return entry;
+  }
+
   /**
    * Get current vault status and balances
    */
   async getVaultStatus() {
     try {
-      // Get vault balance (simplified - would use actual program accounts)
+      await this.refreshAllocations();
+
       const vaultBalance = {
         usdc: this.totalVaultSize,
+        liquid: this.getLiquidBalance(),
+        staked: this.stakedBalance,
         pizzaSPL: 0
       };
 
+      const funded = await this.getFundingTotals();
+
       // Calculate allocations
       const allocatedFunds = {
         rewards: {
-          allocated: this.allocations.rewards,
-          used: 0, // Would track actual usage
+          allocated: roundUSDC(this.allocations.rewards + funded.rewards),
+          used: funded.rewards,
           remaining: this.allocations.rewards
         },
         giftCards: {
-          allocated: this.allocations.giftCards,
-          used: 0, // Would track actual usage
+          allocated: roundUSDC(this.allocations.giftCards + funded.giftCards),
+          used: funded.giftCards,
           remaining: this.allocations.giftCards
         },
         surplus: {
           amount: this.allocations.surplus,
-          stakingEnabled: this.kaminoStaking.enabled,
-          yield: this.kaminoStaking.enabled ? this.kaminoStaking.totalYield : 0
+          stakingEnabled: this.vault.staking.enabled,
+          yield: this.vault.staking.enabled ? this.getStakingStatus().totalYield : 0
         }
       };
 
@@ -89,6 +157,7 @@ class VaultService {
         totalVaultSize: this.totalVaultSize,
         currentBalance: vaultBalance,
         allocations: allocatedFunds,
+        policy: this.vault.policy,
         merchantCount: this.merchantCount,
         contributionPerMerchant: this.vaultContributionPerMerchant,
         stakingStatus: this.getStakingStatus()
@@ -101,27 +170,36 @@ class VaultService {
 
   /**
    * Process merchant vault contribution
+   * The contribution is posted to the ledger with its payment (split over the buckets);
+   * this makes sure that posting exists and applies the allocation policy.
+   * @param {string} businessId - Contributing business
+   * @param {number} amount - Vault contribution in USDC
+   * @param {Object} options - { transactionId, transaction }
    */
-  async processMerchantContribution(businessId, amount) {
+  async processMerchantContribution(businessId, amount, options = {}) {
     try {
-      // Validate contribution amount matches expected
-      const expectedContribution = this.vaultContributionPerMerchant / 365; // Daily contribution
-      
-      if (Math.abs(amount - expectedContribution) > 0.01) {
-        console.warn(`Contribution amount mismatch for ${businessId}: expected ${expectedContribution}, got ${amount}`);
+      const { transactionId } = options;
+
+      let transaction = options.transaction || null;
+      if (!transaction && mongoose.Types.ObjectId.isValid(transactionId) && String(transactionId).length === 24) {
+        transaction = await PaymentTransaction.findById(transactionId);
       }
+      if (transaction) {
+        await ledgerService.recordPayment(transaction);
+      }
+
+      await this.refreshAllocations();
+      const rebalance = await this.applyPolicy('contribution');
 
-      // Record contribution (simplified)
       const contribution = {
         businessId,
         amount,
+        transactionId,
         timestamp: new Date(),
         type: 'vault_contribution',
-        allocationBreakdown: {
-          rewards: amount * (this.allocations.rewards / this.totalVaultSize),
-          giftCards: amount * (this.allocations.giftCards / this.totalVaultSize),
-          surplus: amount * (this.allocations.surplus / this.totalVaultSize)
-        }
+        allocationBreakdown: ledgerService.allocateVaultContribution(amount, amount / paymentConfig.vaultContributionRate),
+        vaultBalances: { ...this.allocations, staked: this.stakedBalance },
+        rebalance
       };
 
       return contribution;
@@ -133,28 +211,42 @@ class VaultService {
 
   /**
    * Fund reward distribution from vault
+   * @param {number} amount - USDC reward cost
+   * @param {string} recipient - Customer wallet
+   * @param {string} transactionId - Payment the reward belongs to (funded once per payment)
+   * @param {string} fundingKey - Funding idempotency key when a payment funds more than one reward
    */
-  async fundRewardDistribution(amount, recipient, transactionId) {
+  async fundRewardDistribution(amount, recipient, transactionId, fundingKey = transactionId) {
     try {
       // Check if sufficient funds in rewards allocation
-      const rewardFunds = this.allocations.rewards; // Would track actual remaining balance
-      
+      await this.refreshAllocations();
+      const rewardFunds = this.allocations.rewards;
+
       if (amount > rewardFunds) {
         throw new Error('Insufficient reward funds in vault');
       }
 
-      // Create funding transaction (simplified)
+      const entry = await ledgerService.recordVaultFunding({
+        bucket: 'rewards',
+        amount,
+        fundingKey: fundingKey || `${recipient}:${Date.now()}`,
+        recipient,
+        transactionId
+      });
+      await this.refreshAllocations();
+
       const funding = {
         type: 'reward_funding',
         amount,
         recipient,
         sourceAllocation: 'rewards',
         transactionId,
+        entryId: entry?.entryId,
         timestamp: new Date(),
-        vaultBalance: rewardFunds - amount
+        vaultBalance: this.allocations.rewards
       };
 
-      console.log(`💰 Funded ${amount} $PIZZA SPL reward from vault`);
+      console.log(`💰 Funded $${amount} reward cost from vault`);
       return funding;
     } catch (error) {
       console.error('Error funding reward distribution:', error);
@@ -164,28 +256,40 @@ class VaultService {
 
   /**
    * Fund gift card redemption from vault
+   * @param {number} cardValue - USDC value redeemed
+   * @param {string} recipient - Merchant wallet reimbursed for the redemption
+   * @param {string} fundingKey - Gift card draw-down (funded once per key)
    */
-  async fundGiftCardRedemption(cardValue, recipient, nftAddress) {
+  async fundGiftCardRedemption(cardValue, recipient, fundingKey) {
     try {
       // Check if sufficient funds in gift card allocation
-      const giftCardFunds = this.allocations.giftCards; // Would track actual remaining balance
-      
+      await this.refreshAllocations();
+      const giftCardFunds = this.allocations.giftCards;
+
       if (cardValue > giftCardFunds) {
         throw new Error('Insufficient gift card funds in vault');
       }
 
-      // Create funding transaction (simplified)
+      const entry = await ledgerService.recordVaultFunding({
+        bucket: 'giftCards',
+        amount: cardValue,
+        fundingKey,
+        recipient
+      });
+      await this.refreshAllocations();
+
       const funding = {
         type: 'gift_card_funding',
         amount: cardValue,
         recipient,
-        nftAddress,
+        fundingKey,
         sourceAllocation: 'giftCards',
+        entryId: entry?.entryId,
         timestamp: new Date(),
-        vaultBalance: giftCardFunds - cardValue
+        vaultBalance: this.allocations.giftCards
       };
 
-      console.log(`🎁 Funded ${cardValue} $PIZZA SPL gift card redemption from vault`);
+      console.log(`🎁 Funded $${cardValue} gift card redemption from vault`);
       return funding;
     } catch (error) {
       console.error('Error funding gift card redemption:', error);
@@ -193,31 +297,200 @@ class VaultService {
     }
   }
 
+  /**
+   * Bucket moves that bring the liquid vault back to the policy targets
+   * @param {Object} balances - { rewards, giftCards, surplus }
+   * @param {Object} policy - Vault policy
+   * @returns {Object|null} Signed USDC moves per bucket, or null when within tolerance
+   */
+  calculateRebalance(balances, policy) {
+    const liquid = roundUSDC(balances.rewards + balances.giftCards + balances.surplus);
+    if (liquid <= 0) {
+      return null;
+    }
+
+    const targets = {
+      rewards: roundUSDC(liquid * policy.rewardsShare),
+      giftCards: roundUSDC(liquid * policy.giftCardsShare)
+    };
+    targets.surplus = roundUSDC(liquid - targets.rewards - targets.giftCards);
+
+    const drift = Math.max(...Vault.BUCKETS.map(bucket => Math.abs(balances[bucket] - targets[bucket]))) / liquid;
+    if (drift <= policy.rebalanceTolerance) {
+      return null;
+    }
+
+    const moves = {
+      rewards: roundUSDC(targets.rewards - balances.rewards),
+      giftCards: roundUSDC(targets.giftCards - balances.giftCards)
+    };
+    // Surplus absorbs rounding so the moves always net to zero
+    moves.surplus = roundUSDC(-(moves.rewards + moves.giftCards));
+
+    const largestMove = Math.max(...Object.values(moves).map(Math.abs));
+    if (largestMove < policy.minRebalanceAmount) {
+      return null;
+    }
+
+    return moves;
+  }
+
+  /**
+   * Rebalance the buckets to the policy targets
+   * @param {string} trigger - contribution | funding | policy_change | manual
+   * @returns {Object|null} { entryId, moves, trigger }, or null when nothing moved
+   */
+  async rebalance(trigger = 'manual') {
+    const vault = await this.refreshAllocations();
+    if (!this.calculateRebalance(this.allocations, vault.policy)) {
+      return null;
+    }
+
+    // Only one worker rebalances at a time
+    const claimed = await Vault.findOneAndUpdate(
+      {
+        key: 'platform',
+        $or: [
+          { rebalancingAt: null },
+          { rebalancingAt: { $lt: new Date(Date.now() - REBALANCE_CLAIM_TTL_MS) } }
+        ]
+      },
+      { $set: { rebalancingAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    try {
+      // Balances straight from the ledger - the projection may lag behind another worker
+      const balances = await ledgerService.getVaultBalances();
+      const moves = this.calculateRebalance(balances, claimed.policy);
+      if (!moves) {
+        await Vault.updateOne({ key: 'platform' }, { $set: { rebalancingAt: null } });
+        return null;
+      }
+
+      const entry = await ledgerService.recordVaultRebalance({
+        rebalanceId: crypto.randomBytes(12).toString('hex'),
+        moves,
+        trigger
+      });
+
+      await Vault.updateOne(
+        { key: 'platform' },
+        {
+          $set: { lastRebalancedAt: new Date(), rebalancingAt: null },
+          $push: { rebalances: { $each: [{ entryId: entry.entryId, moves, trigger }], $slice: -50 } }
+        }
+      );
+      await this.refreshAllocations();
+
+      console.log(`⚖️ Vault rebalanced (${trigger}): rewards ${moves.rewards}, gift cards ${moves.giftCards}, surplus ${moves.surplus}`);
+      return { entryId: entry.entryId, moves, trigger };
+    } catch (error) {
+      await Vault.updateOne({ key: 'platform' }, { $set: { rebalancingAt: null } });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebalance automatically when the policy allows it (never fails the caller)
+   */
+  async applyPolicy(trigger) {
+    if (!this.vault?.policy?.autoRebalance) {
+      return null;
+    }
+
+    try {
+      return await this.rebalance(trigger);
+    } catch (error) {
+      console.error('Vault rebalance failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update the allocation policy and rebalance to it
+   * @param {Object} policy - { rewardsShare, giftCardsShare, rebalanceTolerance, minRebalanceAmount, autoRebalance }
+   * @param {string} updatedBy - Admin ID
+   */
+  async updatePolicy(policy, updatedBy = null) {
+    const current = (await this.refreshAllocations()).policy;
+    const next = {
+      rewardsShare: policy.rewardsShare ?? current.rewardsShare,
+      giftCardsShare: policy.giftCardsShare ?? current.giftCardsShare,
+      rebalanceTolerance: policy.rebalanceTolerance ?? current.rebalanceTolerance,
+      minRebalanceAmount: policy.minRebalanceAmount ?? current.minRebalanceAmount,
+      autoRebalance: policy.autoRebalance ?? current.autoRebalance
+    };
+
+    if (next.rewardsShare + next.giftCardsShare > 1) {
+      throw new Error('Vault policy shares cannot exceed 100%');
+    }
+
+    await Vault.updateOne(
+      { key: 'platform' },
+      { $set: { policy: { ...next, updatedAt: new Date(), updatedBy } } },
+      { runValidators: true }
+    );
+
+    const rebalance = next.autoRebalance ? await this.rebalance('policy_change') : null;
+    await this.refreshAllocations();
+
+    return { policy: this.vault.policy, rebalance };
+  }
+
   /**
    * Enable/disable Kamino staking for surplus funds
+   * @param {boolean} enable - New staking state
+   * @param {Object} options - { changedBy, businessId, reason }
    */
-  async toggleKaminoStaking(enable = true) {
+  async toggleKaminoStaking(enable = true, options = {}) {
     try {
-      this.kaminoStaking.enabled = enable;
-      
+      await this.refreshAllocations();
+      const stakingAmount = this.getLiquidBalance();
+
+      // Only an actual change is recorded in the history
+      const updated = await Vault.findOneAndUpdate(
+        { key: 'platform', 'staking.enabled': { $ne: enable } },
+        {
+          $set: { 'staking.enabled': enable, 'staking.changedAt': new Date() },
+          $push: {
+            'staking.history': {
+              $each: [{
+                enabled: enable,
+                amount: stakingAmount,
+                apy: this.vault.staking.apy,
+                changedBy: options.changedBy || null,
+                businessId: options.businessId || null,
+                reason: options.reason
+              }],
+              $slice: -100
+            }
+          }
+        },
+        { new: true }
+      );
+      if (updated) {
+        this.vault = updated;
+      }
+
       if (enable) {
-        // Stake surplus + rewards + gift card allocations
-        const stakingAmount = this.allocations.surplus + this.allocations.rewards + this.allocations.giftCards;
-        
-        // Initialize Kamino staking (simplified)
+        const status = this.getStakingStatus();
         const stakingResult = {
           stakingEnabled: true,
           stakingAmount,
-          estimatedYield: stakingAmount * this.kaminoStaking.apy,
-          platformYieldShare: (stakingAmount * this.kaminoStaking.apy) / 2,
-          merchantYieldShare: (stakingAmount * this.kaminoStaking.apy) / 2,
+          estimatedYield: status.totalYield,
+          platformYieldShare: status.platformShare,
+          merchantYieldShare: status.merchantShare,
           stakingPool: 'kamino_usdc_pool',
-          stakingDate: new Date()
+          stakingDate: this.vault.staking.changedAt
         };
 
         console.log(`📈 Kamino staking enabled: $${stakingAmount.toLocaleString()} staked`);
         console.log(`💹 Estimated annual yield: $${stakingResult.estimatedYield.toLocaleString()}`);
-        
+
         return stakingResult;
       } else {
         // Disable staking
@@ -234,119 +507,241 @@ class VaultService {
    * Get Kamino staking status and yields
    */
   getStakingStatus() {
-    if (!this.kaminoStaking.enabled) {
+    const { enabled, apy, merchantYieldShare } = this.vault.staking;
+    const stakingAmount = roundUSDC(this.getLiquidBalance() + this.stakedBalance);
+    const totalYield = roundUSDC(stakingAmount * apy);
+
+    if (!enabled) {
       return {
         enabled: false,
-        potentialYield: this.kaminoStaking.totalYield,
-        stakingAmount: this.allocations.surplus + this.allocations.rewards + this.allocations.giftCards
+        potentialYield: totalYield,
+        stakingAmount
       };
     }
 
+    const merchantShare = roundUSDC(totalYield * merchantYieldShare);
+
     return {
       enabled: true,
-      apy: this.kaminoStaking.apy,
-      totalYield: this.kaminoStaking.totalYield,
-      platformShare: this.kaminoStaking.platformShare,
-      merchantShare: this.kaminoStaking.merchantShare,
-      stakingAmount: this.allocations.surplus + this.allocations.rewards + this.allocations.giftCards,
-      yieldPerMerchant: this.kaminoStaking.merchantShare / this.merchantCount // $119.07 per merchant
+      apy,
+      totalYield,
+      platformShare: roundUSDC(totalYield - merchantShare),
+      merchantShare,
+      stakingAmount,
+      yieldPerMerchant: this.merchantCount > 0 ? roundUSDC(merchantShare / this.merchantCount) : 0,
+      enabledAt: this.vault.staking.changedAt
     };
   }
 
   /**
-   * Calculate merchant staking dividends
+   * Estimate a merchant's staking dividends from their share of the staking merchants'
+   * vault contributions (quarterly payouts also weight by staking-enabled days)
    */
-  getMerchantStakingDividends(businessId) {
-    if (!this.kaminoStaking.enabled) {
+  async getMerchantStakingDividends(businessId) {
+    if (!this.vault.staking.enabled) {
       return { dividends: 0, stakingEnabled: false };
     }
 
-    const dividendsPerMerchant = this.kaminoStaking.merchantShare / this.merchantCount; // $119.07
-    
+    const [contributions, stakers] = await Promise.all([
+      ledgerService.getBalances(/^business:[^:]+:vault_contributions$/),
+      Business.find({ businessType: 'CN', 'vaultContribution.stakingEnabled': true }).select('_id')
+    ]);
+    const contributionOf = (id) => contributions[`business:${id}:vault_contributions`]?.balance || 0;
+
+    const stakerIds = stakers.map(staker => String(staker._id));
+    const totalContribution = stakerIds.reduce((sum, id) => sum + contributionOf(id), 0);
+    const contributionShare = stakerIds.includes(String(businessId)) && totalContribution > 0 ?
+      contributionOf(businessId) / totalContribution :
+      0;
+    const annualDividends = roundUSDC(this.getStakingStatus().merchantShare * contributionShare);
+
     return {
       stakingEnabled: true,
-      annualDividends: dividendsPerMerchant,
-      monthlyDividends: dividendsPerMerchant / 12, // $9.92 per month
+      contributionShare,
+      annualDividends,
+      monthlyDividends: roundUSDC(annualDividends / 12),
+      quarterlyDividends: roundUSDC(annualDividends / 4),
       contributionRequired: this.vaultContributionPerMerchant, // $7,117.50
-      roi: (dividendsPerMerchant / this.vaultContributionPerMerchant) * 100, // 1.67% ROI
+      roi: (annualDividends / this.vaultContributionPerMerchant) * 100,
       nextPayoutDate: this.calculateNextPayoutDate()
     };
   }
 
   /**
-   * Calculate next staking payout date (quarterly)
+   * Next quarterly staking payout run (start of the next UTC quarter)
    */
   calculateNextPayoutDate() {
     const now = new Date();
-    const quarter = Math.floor(now.getMonth() / 3);
-    const nextQuarter = new Date(now.getFullYear(), (quarter + 1) * 3, 1);
-    
-    if (nextQuarter <= now) {
-      nextQuarter.setFullYear(nextQuarter.getFullYear() + 1);
-      nextQuarter.setMonth(0);
-    }
-    
-    return nextQuarter;
+    const quarter = Math.floor(now.getUTCMonth() / 3);
+
+    return new Date(Date.UTC(now.getUTCFullYear(), (quarter + 1) * 3, 1));
+  }
+
+  /**
+   * USDC paid out of the reward and gift card buckets (since a date, or ever)
+   */
+  async getFundingTotals(since = null) {
+    const balances = await ledgerService.getBalances(['platform:reward_costs', 'platform:gift_card_costs'], { since });
+    return {
+      rewards: balances['platform:reward_costs']?.balance || 0,
+      giftCards: balances['platform:gift_card_costs']?.balance || 0
+    };
+  }
+
+  /**
+   * Net merchant contributions (since a date, or ever)
+   */
+  async getContributionTotal(since = null) {
+    const balances = await ledgerService.getBalances(/^business:[^:]+:vault_contributions$/, { since });
+    return roundUSDC(Object.values(balances).reduce((sum, account) => sum + account.balance, 0));
   }
 
   /**
    * Get vault analytics and projections
    */
   async getVaultAnalytics() {
+    await this.refreshAllocations();
+
+    // Burn and contribution rates over the last 30 days
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const [funded, contributed] = await Promise.all([
+      this.getFundingTotals(since),
+      this.getContributionTotal(since)
+    ]);
+    const dailyRewardCost = funded.rewards / 30;
+    const dailyGiftCardCost = funded.giftCards / 30;
+
     const utilizationRate = {
-      rewards: this.allocations.rewards / this.totalVaultSize,
-      giftCards: this.allocations.giftCards / this.totalVaultSize,
-      surplus: this.allocations.surplus / this.totalVaultSize
+      rewards: this.vaultShare(this.allocations.rewards),
+      giftCards: this.vaultShare(this.allocations.giftCards),
+      surplus: this.vaultShare(this.allocations.surplus)
     };
 
+    const stakingStatus = this.getStakingStatus();
     const projections = {
-      dailyContribution: this.totalVaultSize / 365, // $195 per day
-      monthlyContribution: this.totalVaultSize / 12, // $5,931.25 per month
-      rewardBurnRate: this.allocations.rewards / 365, // $131.41 per day for rewards
-      giftCardBurnRate: this.allocations.giftCards / 365, // $16.44 per day for gift cards
-      surplusAccumulation: this.allocations.surplus + (this.kaminoStaking.enabled ? this.kaminoStaking.totalYield : 0)
+      dailyContribution: roundUSDC(contributed / 30),
+      monthlyContribution: contributed,
+      rewardBurnRate: roundUSDC(dailyRewardCost),
+      giftCardBurnRate: roundUSDC(dailyGiftCardCost),
+      surplusAccumulation: roundUSDC(this.allocations.surplus + (stakingStatus.enabled ? stakingStatus.totalYield : 0))
     };
 
     return {
       vaultSize: this.totalVaultSize,
       allocations: this.allocations,
+      stakedBalance: this.stakedBalance,
+      policy: this.vault.policy,
       utilizationRate,
       projections,
-      stakingStatus: this.getStakingStatus(),
+      stakingStatus,
       merchantCount: this.merchantCount,
+      lastRebalancedAt: this.vault.lastRebalancedAt,
       sustainabilityMetrics: {
-        rewardCoverage: this.allocations.rewards / (this.merchantCount * 36500 * 0.15), // Days of reward coverage
-        giftCardCoverage: this.allocations.giftCards / (this.merchantCount * 600), // Days of gift card coverage
-        surplusRatio: this.allocations.surplus / this.totalVaultSize // 32.6% surplus ratio
+        // Days each bucket lasts at the current burn rate (null while nothing is spent)
+        rewardCoverage: dailyRewardCost > 0 ? this.allocations.rewards / dailyRewardCost : null,
+        giftCardCoverage: dailyGiftCardCost > 0 ? this.allocations.giftCards / dailyGiftCardCost : null,
+        surplusRatio: this.vaultShare(this.allocations.surplus)
       }
     };
   }
 
   /**
-   * Emergency vault operations
+   * Platform-wide vault report for the admin dashboard
+   * @param {string} timeframe - 7d | 30d | 90d | 365d
    */
-  async emergencyWithdraw(amount, reason, authorizedBy) {
-    try {
-      // Only allow emergency withdrawals from surplus
-      if (amount > this.allocations.surplus) {
-        throw new Error('Emergency withdrawal exceeds surplus allocation');
-      }
+  async getPlatformVaultAnalytics(timeframe = '30d') {
+    const days = TIMEFRAME_DAYS[timeframe] || TIMEFRAME_DAYS['30d'];
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    await this.refreshAllocations();
+    const [totalContributions, periodContributions, funded, periodFunded] = await Promise.all([
+      this.getContributionTotal(),
+      this.getContributionTotal(since),
+      this.getFundingTotals(),
+      this.getFundingTotals(since)
+    ]);
 
-      const withdrawal = {
-        type: 'emergency_withdrawal',
-        amount,
-        reason,
-        authorizedBy,
-        timestamp: new Date(),
-        remainingSurplus: this.allocations.surplus - amount
-      };
+    return {
+      timeframe,
+      since,
+      totalVaultSize: this.totalVaultSize,
+      currentBalance: {
+        liquid: this.getLiquidBalance(),
+        staked: this.stakedBalance,
+        total: this.totalVaultSize
+      },
+      allocations: this.allocations,
+      vaultSurplus: this.allocations.surplus,
+      totalContributions,
+      rewardsFunded: funded.rewards,
+      giftCardsFunded: funded.giftCards,
+      period: {
+        contributions: periodContributions,
+        rewardsFunded: periodFunded.rewards,
+        giftCardsFunded: periodFunded.giftCards,
+        netFlow: roundUSDC(periodContributions - periodFunded.rewards - periodFunded.giftCards)
+      },
+      merchantCount: this.merchantCount,
+      policy: this.vault.policy,
+      staking: {
+        ...this.getStakingStatus(),
+        history: this.vault.staking.history.slice(-10).reverse()
+      },
+      lastRebalancedAt: this.vault.lastRebalancedAt,
+      recentRebalances: this.vault.rebalances.slice(-10).reverse()
+    };
+  }
 
-      console.log(`🚨 Emergency withdrawal: $${amount} - ${reason}`);
-      return withdrawal;
-    } catch (error) {
-      console.error('Emergency withdrawal failed:', error);
-      throw new Error('Failed to process emergency withdrawal');
+  /**
+   * Largest emergency withdrawal the vault allows right now: the surplus, capped at
+   * VAULT_WITHDRAWAL_LIMIT_PERCENT of the liquid vault
+   */
+  async getWithdrawalLimit() {
+    await this.refreshAllocations();
+
+    const liquidBalance = this.getLiquidBalance();
+    const limitPercent = vaultWithdrawalConfig.limitPercent;
+
+    return {
+      surplus: this.allocations.surplus,
+      liquidBalance,
+      limitPercent,
+      available: roundUSDC(Math.max(0, Math.min(this.allocations.surplus, liquidBalance * limitPercent / 100)))
+    };
+  }
+
+  /**
+   * Take an approved emergency withdrawal out of the surplus
+   * Only VaultWithdrawalService calls this, once the approvals and time-lock are satisfied.
+   * @param {Object} withdrawal - Approved VaultWithdrawal
+   * @param {Object} execution - { executedBy, signature }
+   */
+  async emergencyWithdraw(withdrawal, execution = {}) {
+    const limit = await this.getWithdrawalLimit();
+    if (withdrawal.amount > limit.available) {
+      throw new Error('Emergency withdrawal exceeds the vault withdrawal limit');
     }
+
+    const entry = await ledgerService.recordVaultWithdrawal({
+      withdrawalId: withdrawal.withdrawalId,
+      amount: withdrawal.amount,
+      destination: withdrawal.destination,
+      signature: execution.signature,
+      approvedBy: withdrawal.approvals.map(approval => approval.adminId),
+      executedBy: execution.executedBy
+    });
+
+    await this.refreshAllocations();
+
+    console.log(`🚨 Emergency withdrawal ${withdrawal.withdrawalId}: $${withdrawal.amount} - ${withdrawal.reason}`);
+
+    return {
+      type: 'emergency_withdrawal',
+      withdrawalId: withdrawal.withdrawalId,
+      amount: withdrawal.amount,
+      entryId: entry.entryId,
+      remainingSurplus: this.allocations.surplus
+    };
   }
 
   /**
@@ -354,14 +749,17 @@ class VaultService {
    */
   async validateVaultHealth() {
     const analytics = await this.getVaultAnalytics();
-    
+    const { policy } = analytics;
+    const { rewardCoverage, giftCardCoverage, surplusRatio } = analytics.sustainabilityMetrics;
+
     const healthChecks = {
       sufficientRewardFunds: analytics.allocations.rewards > 0,
       sufficientGiftCardFunds: analytics.allocations.giftCards > 0,
       positiveSurplus: analytics.allocations.surplus > 0,
-      sustainableRewardRate: analytics.sustainabilityMetrics.rewardCoverage > 30, // 30+ days coverage
-      sustainableGiftCardRate: analytics.sustainabilityMetrics.giftCardCoverage > 30, // 30+ days coverage
-      healthySurplusRatio: analytics.sustainabilityMetrics.surplusRatio > 0.3 // 30%+ surplus
+      sustainableRewardRate: rewardCoverage === null || rewardCoverage > 30, // 30+ days coverage
+      sustainableGiftCardRate: giftCardCoverage === null || giftCardCoverage > 30, // 30+ days coverage
+      // Surplus share at (or within tolerance of) its policy target
+      healthySurplusRatio: surplusRatio >= (1 - policy.rewardsShare - policy.giftCardsShare) - policy.rebalanceTolerance
     };
 
     const overallHealth = Object.values(healthChecks).every(check => check);
@@ -400,4 +798,4 @@ class VaultService {
   }
 }
 
-module.exports = VaultService;
\ No newline at end of file
+module.exports = VaultService;
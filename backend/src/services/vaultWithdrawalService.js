@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const speakeasy = require('speakeasy');
+const { PublicKey } = require('@solana/web3.js');
+const VaultWithdrawal = require('../models/VaultWithdrawal');
+const AdminUser = require('../models/AdminUser');
+const VaultService = require('./vaultService');
+const { vaultWithdrawalConfig, roundUSDC } = require('../config/payments');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * VaultWithdrawalService - M-of-N approval workflow for emergency vault withdrawals
+ *
+ * A super admin proposes a withdrawal from the vault surplus; other super admins approve
+ * or reject it, each re-confirming with their TOTP code. The proposal counts as the first
+ * approval. Once requiredApprovals is reached the time-lock starts, and until it ends any
+ * super admin can cancel. After the time-lock a super admin executes it, which posts the
+ * withdrawal to the ledger through VaultService.emergencyWithdraw. Requests that miss a
+ * deadline expire. Every step is kept in the request's audit trail.
+ */
+class VaultWithdrawalService {
+  constructor(vaultService = new VaultService()) {
+    this.vaultService = vaultService;
+
+    // Setup logging
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({ filename: 'logs/vault-withdrawals.log' }),
+        new winston.transports.Console({
+          format: winston.format.simple(),
+          level: 'error'
+        })
+      ]
+    });
+  }
+
+  generateWithdrawalId() {
+    return `vw_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  auditEvent(action, admin, context = {}, note) {
+    return {
+      action,
+      adminId: admin ? admin._id : null,
+      username: admin ? admin.username : undefined,
+      at: new Date(),
+      ipAddress: context.ipAddress,
+      note
+    };
+  }
+
+  /**
+   * Load an active super admin allowed to take part in withdrawals
+   * @param {string} adminId - AdminUser ID
+   */
+  async getSuperAdmin(adminId) {
+    const admin = await AdminUser.findById(adminId).select('+twoFactorSecret');
+    if (!admin || !admin.isActive || admin.role !== 'super_admin') {
+      throw new Error('Only super admins can act on vault withdrawals');
+    }
+    return admin;
+  }
+
+  /**
+   * Re-confirm a super admin with their current TOTP code
+   * A refused code is added to the withdrawal's audit trail when there is one.
+   */
+  async confirmSuperAdmin(adminId, totpCode, withdrawal = null, context = {}) {
+    const admin = await this.getSuperAdmin(adminId);
+
+    if (!admin.twoFactorEnabled || !admin.twoFactorSecret) {
+      throw new Error('Two-factor authentication is required to act on vault withdrawals');
+    }
+
+    const verified = speakeasy.totp.verify({
+      secret: admin.twoFactorSecret,
+      encoding: 'base32',
+      token: totpCode,
+      window: 1
+    });
+
+    if (!verified) {
+      if (withdrawal) {
+        await VaultWithdrawal.updateOne(
+          { withdrawalId: withdrawal.withdrawalId },
+          { $push: { auditTrail: this.auditEvent('totp_failed', admin, context) } }
+        );
+      }
+      this.logger.warn('Vault withdrawal TOTP confirmation failed', {
+        adminId: String(admin._id),
+        withdrawalId: withdrawal ? withdrawal.withdrawalId : null
+      });
+      throw new Error('Invalid verification code');
+    }
+
+    return admin;
+  }
+
+  /**
+   * Super admins who could approve a withdrawal (active with 2FA enabled)
+   */
+  async countEligibleApprovers() {
+    return AdminUser.countDocuments({ role: 'super_admin', isActive: true, twoFactorEnabled: true });
+  }
+
+  /**
+   * Approval rules and the current withdrawal limit, for the admin dashboard
+   */
+  async getPolicy() {
+    const [eligibleApprovers, limit] = await Promise.all([
+      this.countEligibleApprovers(),
+      this.vaultService.getWithdrawalLimit()
+    ]);
+
+    return {
+      requiredApprovals: vaultWithdrawalConfig.requiredApprovals,
+      eligibleApprovers,
+      timeLockHours: vaultWithdrawalConfig.timeLockHours,
+      approvalWindowHours: vaultWithdrawalConfig.approvalWindowHours,
+      executionWindowHours: vaultWithdrawalConfig.executionWindowHours,
+      limit
+    };
+  }
+
+  /**
+   * Expire requests whose approval or execution deadline has passed
+   */
+  async expireStale() {
+    const now = new Date();
+    const result = await VaultWithdrawal.updateMany(
+      { status: { $in: ['proposed', 'approved'] }, expiresAt: { $lte: now } },
+      {
+        $set: { status: 'expired' },
+        $push: { auditTrail: { action: 'expired', at: now } }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      this.logger.info('Vault withdrawals expired', { count: result.modifiedCount });
+    }
+    return result.modifiedCount;
+  }
+
+  async getWithdrawal(withdrawalId) {
+    await this.expireStale();
+
+    const withdrawal = await VaultWithdrawal.findByWithdrawalId(withdrawalId);
+    if (!withdrawal) {
+      throw new Error('Vault withdrawal not found');
+    }
+    return withdrawal;
+  }
+
+  /**
+   * @param {Object} filters - { status, limit, offset }
+   */
+  async listWithdrawals(filters = {}) {
+    const { status, limit = 20, offset = 0 } = filters;
+    await this.expireStale();
+
+    const query = status ? { status } : {};
+    const [withdrawals, total] = await Promise.all([
+      VaultWithdrawal.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      VaultWithdrawal.countDocuments(query)
+    ]);
+
+    return { withdrawals, total, limit, offset };
+  }
+
+  /**
+   * Propose an emergency withdrawal; the proposer's TOTP confirmation is the first approval
+   * @param {Object} proposal - { amount, destination, reason }
+   * @param {string} adminId - Proposing super admin
+   * @param {string} totpCode - Proposer's current TOTP code
+   * @param {Object} context - { ipAddress }
+   */
+  async propose(proposal, adminId, totpCode, context = {}) {
+    const amount = roundUSDC(proposal.amount);
+
+    try {
+      new PublicKey(proposal.destination);
+    } catch (error) {
+      throw new Error('Invalid destination wallet address');
+    }
+
+    const admin = await this.confirmSuperAdmin(adminId, totpCode, null, context);
+
+    const { requiredApprovals } = vaultWithdrawalConfig;
+    if (await this.countEligibleApprovers() < requiredApprovals) {
+      throw new Error('Not enough super admins with two-factor authentication to approve vault withdrawals');
+    }
+
+    const limit = await this.vaultService.getWithdrawalLimit();
+    if (amount > limit.available) {
+      throw new Error(`Withdrawal exceeds the vault withdrawal limit of $${limit.available}`);
+    }
+
+    const now = new Date();
+    const approval = { adminId: admin._id, username: admin.username, approvedAt: now };
+
+    let withdrawal = await VaultWithdrawal.create({
+      withdrawalId: this.generateWithdrawalId(),
+      amount,
+      destination: proposal.destination,
+      reason: proposal.reason,
+      proposedBy: approval,
+      requiredApprovals,
+      approvals: [approval],
+      expiresAt: new Date(now.getTime() + vaultWithdrawalConfig.approvalWindowHours * HOUR_MS),
+      auditTrail: [this.auditEvent('proposed', admin, context, `$${amount} to ${proposal.destination}`)]
+    });
+
+    this.logger.info('Vault withdrawal proposed', {
+      withdrawalId: withdrawal.withdrawalId,
+      amount,
+      proposedBy: String(admin._id)
+    });
+
+    if (withdrawal.approvals.length >= requiredApprovals) {
+      withdrawal = await this.startTimeLock(withdrawal);
+    }
+
+    return withdrawal;
+  }
+
+  /**
+   * Add a super admin's TOTP-confirmed approval
+   * @param {Object} options - { comment, ipAddress }
+   */
+  async approve(withdrawalId, adminId, totpCode, options = {}) {
+    const withdrawal = await this.getWithdrawal(withdrawalId);
+
+    if (withdrawal.status !== 'proposed') {
+      throw new Error('Vault withdrawal is not awaiting approval');
+    }
+    if (withdrawal.approvals.some(approval => String(approval.adminId) === String(adminId))) {
+      throw new Error('You have already approved this vault withdrawal');
+    }
+
+    const admin = await this.confirmSuperAdmin(adminId, totpCode, withdrawal, options);
+
+    const approved = await VaultWithdrawal.findOneAndUpdate(
+      { withdrawalId, status: 'proposed', 'approvals.adminId': { $ne: admin._id } },
+      {
+        $push: {
+          approvals: { adminId: admin._id, username: admin.username, approvedAt: new Date(), comment: options.comment },
+          auditTrail: this.auditEvent('approved', admin, options, options.comment)
+        }
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      throw new Error('Vault withdrawal is not awaiting approval');
+    }
+
+    this.logger.info('Vault withdrawal approved', {
+      withdrawalId,
+      approvedBy: String(admin._id),
+      approvals: approved.approvals.length,
+      requiredApprovals: approved.requiredApprovals
+    });
+
+    if (approved.approvals.length >= approved.requiredApprovals) {
+      return this.startTimeLock(approved);
+    }
+    return approved;
+  }
+
+  /**
+   * Quorum reached - the withdrawal becomes executable once the time-lock ends
+   */
+  async startTimeLock(withdrawal) {
+    const now = new Date();
+    const executableAt = new Date(now.getTime() + vaultWithdrawalConfig.timeLockHours * HOUR_MS);
+
+    const approved = await VaultWithdrawal.findOneAndUpdate(
+      { withdrawalId: withdrawal.withdrawalId, status: 'proposed' },
+      {
+        $set: {
+          status: 'approved',
+          approvedAt: now,
+          executableAt,
+          expiresAt: new Date(executableAt.getTime() + vaultWithdrawalConfig.executionWindowHours * HOUR_MS)
+        },
+        $push: { auditTrail: { action: 'quorum_reached', at: now, note: `Executable after ${executableAt.toISOString()}` } }
+      },
+      { new: true }
+    );
+
+    if (approved) {
+      this.logger.info('Vault withdrawal time-locked', { withdrawalId: withdrawal.withdrawalId, executableAt });
+    }
+    return approved || withdrawal;
+  }
+
+  /**
+   * Veto a proposal before it reaches quorum
+   * @param {string} totpCode - Rejecting admin's current TOTP code
+   * @param {Object} options - { reason, ipAddress }
+   */
+  async reject(withdrawalId, adminId, totpCode, options = {}) {
+    const withdrawal = await this.getWithdrawal(withdrawalId);
+
+    if (withdrawal.status !== 'proposed') {
+      throw new Error('Vault withdrawal is not awaiting approval');
+    }
+
+    const admin = await this.confirmSuperAdmin(adminId, totpCode, withdrawal, options);
+
+    const rejected = await VaultWithdrawal.findOneAndUpdate(
+      { withdrawalId, status: 'proposed' },
+      {
+        $set: {
+          status: 'rejected',
+          rejection: { adminId: admin._id, username: admin.username, reason: options.reason, rejectedAt: new Date() }
+        },
+        $push: { auditTrail: this.auditEvent('rejected', admin, options, options.reason) }
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      throw new Error('Vault withdrawal is not awaiting approval');
+    }
+
+    this.logger.info('Vault withdrawal rejected', { withdrawalId, rejectedBy: String(admin._id) });
+    return rejected;
+  }
+
+  /**
+   * Cancel a proposal, or an approved withdrawal while it is still time-locked
+   * @param {string} totpCode - Cancelling admin's current TOTP code
+   * @param {Object} options - { reason, ipAddress }
+   */
+  async cancel(withdrawalId, adminId, totpCode, options = {}) {
+    const withdrawal = await this.getWithdrawal(withdrawalId);
+    const now = new Date();
+
+    if (!['proposed', 'approved'].includes(withdrawal.status)) {
+      throw new Error(`Vault withdrawal is ${withdrawal.status} and cannot be cancelled`);
+    }
+    if (withdrawal.status === 'approved' && withdrawal.executableAt <= now) {
+      throw new Error('The cancellation window for this vault withdrawal has closed');
+    }
+
+    const admin = await this.confirmSuperAdmin(adminId, totpCode, withdrawal, options);
+
+    const cancelled = await VaultWithdrawal.findOneAndUpdate(
+      {
+        withdrawalId,
+        $or: [
+          { status: 'proposed' },
+          { status: 'approved', executableAt: { $gt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellation: { adminId: admin._id, username: admin.username, reason: options.reason, cancelledAt: now }
+        },
+        $push: { auditTrail: this.auditEvent('cancelled', admin, options, options.reason) }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw new Error('The cancellation window for this vault withdrawal has closed');
+    }
+
+    this.logger.info('Vault withdrawal cancelled', { withdrawalId, cancelledBy: String(admin._id) });
+    return cancelled;
+  }
+
+  /**
+   * Execute an approved withdrawal after its time-lock
+   * @param {Object} options - { signature, ipAddress } - signature of the on-chain transfer to the destination
+   */
+  async execute(withdrawalId, adminId, totpCode, options = {}) {
+    const withdrawal = await this.getWithdrawal(withdrawalId);
+
+    if (withdrawal.status !== 'approved') {
+      throw new Error('Vault withdrawal is not approved');
+    }
+    if (withdrawal.executableAt > new Date()) {
+      throw new Error(`Vault withdrawal is time-locked until ${withdrawal.executableAt.toISOString()}`);
+    }
+
+    const admin = await this.confirmSuperAdmin(adminId, totpCode, withdrawal, options);
+
+    // The ledger posting is keyed by withdrawalId, so a concurrent execute cannot withdraw twice
+    const result = await this.vaultService.emergencyWithdraw(withdrawal, {
+      executedBy: admin._id,
+      signature: options.signature
+    });
+
+    const executed = await VaultWithdrawal.findOneAndUpdate(
+      { withdrawalId, status: 'approved' },
+      {
+        $set: {
+          status: 'executed',
+          execution: {
+            adminId: admin._id,
+            username: admin.username,
+            entryId: result.entryId,
+            signature: options.signature,
+            executedAt: new Date()
+          }
+        },
+        $push: { auditTrail: this.auditEvent('executed', admin, options, `Ledger entry ${result.entryId}`) }
+      },
+      { new: true }
+    );
+
+    this.logger.info('Vault withdrawal executed', {
+      withdrawalId,
+      amount: withdrawal.amount,
+      entryId: result.entryId,
+      executedBy: String(admin._id)
+    });
+
+    return {
+      withdrawal: executed || await VaultWithdrawal.findByWithdrawalId(withdrawalId),
+      remainingSurplus: result.remainingSurplus
+    };
+  }
+}
+
+// Shared instance so the admin API and maintenance jobs use one workflow
+module.exports = new VaultWithdrawalService();
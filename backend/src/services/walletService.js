@@ -1,16 +1,16 @@
-const { Keypair, Connection, PublicKey, Transaction } = require('@solana/web3.js');
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
 const CryptoJS = require('crypto-js');
 const winston = require('winston');
+const { getChainAdapter } = require('./chainAdapter');
 
 class WalletService {
-  constructor() {
+  /**
+   * @param {Object} chain - Chain adapter (defaults to the shared one)
+   */
+  constructor(chain = getChainAdapter()) {
     this.masterKey = process.env.WALLET_MASTER_KEY;
-    this.connection = new Connection(
-      process.env.SOLANA_NETWORK === 'mainnet' 
-        ? process.env.SOLANA_RPC_ENDPOINT 
-        : process.env.SOLANA_RPC_ENDPOINT_TESTNET,
-      'confirmed'
-    );
+    this.chain = chain;
+    this.connection = chain.connection;
     
     if (!this.masterKey) {
       throw new Error('WALLET_MASTER_KEY is required for wallet encryption');
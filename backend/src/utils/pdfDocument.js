@@ -0,0 +1,172 @@
+/**
+ * Minimal PDF writer for text statements and printable QR card sheets
+ *
+ * Renders pages of monospaced text (Courier, so table columns line up) without a PDF
+ * dependency. Only WinAnsi-safe characters are kept; anything else prints as '?'.
+ */
+
+const PAGE_WIDTH = 612;   // US Letter, points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Render lines of text as a PDF document
+ * @param {Array<string>} lines - Text lines (empty string for a blank line)
+ * @param {Object} options - { title, fontSize, footer }
+ * @returns {Buffer} PDF file contents
+ */
+function renderTextPdf(lines, options = {}) {
+  const fontSize = options.fontSize || 9;
+  const leading = Math.round(fontSize * 1.35);
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN - leading) / leading);
+
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, 4 info, then a page + content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = `<< /Title (${escapeText(options.title || 'Statement')}) /Producer (Pizza Platform) >>`;
+
+  pages.forEach((pageLines, index) => {
+    const footer = `${options.footer ? `${options.footer} - ` : ''}Page ${index + 1} of ${pages.length}`;
+    const stream = [
+      'BT',
+      `/F1 ${fontSize} Tf`,
+      `${leading} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`,
+      ...pageLines.map(line => `(${escapeText(line)}) '`),
+      'ET',
+      'BT',
+      `/F1 ${fontSize - 1} Tf`,
+      `${MARGIN} ${MARGIN / 2} Td`,
+      `(${escapeText(footer)}) Tj`,
+      'ET'
+    ].join('\n');
+
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  return serializePdf(objects);
+}
+
+/**
+ * Lay out the numbered objects (1 catalog, 4 info) as a PDF file
+ * @param {Array<string>} objects - Object bodies by object number
+ * @returns {Buffer} PDF file contents
+ */
+function serializePdf(objects) {
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+// QR card sheet: 2 x 4 cards per page with dashed cut lines
+const SHEET_MARGIN = 36;
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 4;
+const QR_SIZE = 128;
+const QR_QUIET_ZONE = 4; // Modules of white border scanners need
+
+/**
+ * Render cards, each a QR code with a few lines of text beside it, as a printable PDF
+ * QR modules are drawn as filled squares, so no image encoding is needed.
+ * @param {Array<Object>} cards - { qr: Array<Array<boolean>> (dark modules by row), lines: Array<string> }
+ * @param {Object} options - { title, footer }
+ * @returns {Buffer} PDF file contents
+ */
+function renderQrCardSheetPdf(cards, options = {}) {
+  const perPage = SHEET_COLUMNS * SHEET_ROWS;
+  const cellWidth = (PAGE_WIDTH - 2 * SHEET_MARGIN) / SHEET_COLUMNS;
+  const cellHeight = (PAGE_HEIGHT - 2 * SHEET_MARGIN) / SHEET_ROWS;
+
+  const pages = [];
+  for (let i = 0; i < Math.max(cards.length, 1); i += perPage) {
+    pages.push(cards.slice(i, i + perPage));
+  }
+
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+  objects[4] = `<< /Title (${escapeText(options.title || 'Cards')}) /Producer (Pizza Platform) >>`;
+
+  pages.forEach((pageCards, index) => {
+    const ops = ['[4 4] 0 d', '0.5 w', '0.6 G'];
+
+    pageCards.forEach((card, position) => {
+      const x = SHEET_MARGIN + (position % SHEET_COLUMNS) * cellWidth;
+      const y = PAGE_HEIGHT - SHEET_MARGIN - (Math.floor(position / SHEET_COLUMNS) + 1) * cellHeight;
+      ops.push(`${x} ${y} ${cellWidth} ${cellHeight} re S`);
+
+      // QR code, vertically centred at the left of the card
+      const modules = card.qr.length + 2 * QR_QUIET_ZONE;
+      const moduleSize = QR_SIZE / modules;
+      const qrX = x + 8;
+      const qrY = y + (cellHeight - QR_SIZE) / 2;
+      ops.push('0 g');
+      card.qr.forEach((row, r) => {
+        row.forEach((dark, c) => {
+          if (dark) {
+            const left = qrX + (c + QR_QUIET_ZONE) * moduleSize;
+            const bottom = qrY + QR_SIZE - (r + 1 + QR_QUIET_ZONE) * moduleSize;
+            ops.push(`${left.toFixed(2)} ${bottom.toFixed(2)} ${moduleSize.toFixed(2)} ${moduleSize.toFixed(2)} re`);
+          }
+        });
+      });
+      ops.push('f');
+
+      ops.push(
+        'BT',
+        '/F1 9 Tf',
+        '13 TL',
+        `${(qrX + QR_SIZE + 8).toFixed(2)} ${(y + cellHeight - 28).toFixed(2)} Td`,
+        ...card.lines.map(line => `(${escapeText(line)}) '`),
+        'ET'
+      );
+    });
+
+    const footer = `${options.footer ? `${options.footer} - ` : ''}Page ${index + 1} of ${pages.length}`;
+    ops.push('BT', '/F1 8 Tf', `${SHEET_MARGIN} ${SHEET_MARGIN / 2} Td`, `(${escapeText(footer)}) Tj`, 'ET');
+
+    const stream = ops.join('\n');
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  return serializePdf(objects);
+}
+
+module.exports = {
+  renderTextPdf,
+  renderQrCardSheetPdf
+};
@@ -0,0 +1,125 @@
+const EventEmitter = require('events');
+
+jest.mock('../../../src/models/IdempotencyKey', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const IdempotencyKey = require('../../../src/models/IdempotencyKey');
+const { idempotency, hashRequest } = require('../../../src/middleware/idempotency');
+
+describe('idempotency middleware', () => {
+  const key = 'pay-4f1c2b7e-9d0a';
+  const middleware = idempotency();
+
+  const mockRequest = (body, headers = { 'idempotency-key': key }) => ({
+    method: 'POST',
+    baseUrl: '/api/blockchain',
+    path: '/payment/process',
+    body,
+    ip: '127.0.0.1',
+    user: { _id: 'user-id' },
+    get: name => headers[name.toLowerCase()]
+  });
+
+  const mockResponse = () => {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.set = jest.fn().mockReturnValue(res);
+    res.status = jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const duplicateKeyError = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+  });
+
+  test('should pass through requests without a key', async () => {
+    const next = jest.fn();
+    await middleware(mockRequest({ amount: 15 }, {}), mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  test('should hash equivalent bodies the same regardless of key order', () => {
+    expect(hashRequest(mockRequest({ amount: 15, businessId: 'b1' })))
+      .toBe(hashRequest(mockRequest({ businessId: 'b1', amount: 15 })));
+    expect(hashRequest(mockRequest({ amount: 15 }))).not.toBe(hashRequest(mockRequest({ amount: 16 })));
+  });
+
+  test('should store the first response for the key', async () => {
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record-id' });
+    const req = mockRequest({ amount: 15 });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+    res.status(201).json({ success: true, signature: 'sig' });
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      key,
+      scope: 'user:user-id',
+      requestHash: hashRequest(req)
+    }));
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'record-id' },
+      { $set: expect.objectContaining({ status: 'completed', responseStatus: 201, responseBody: { success: true, signature: 'sig' } }) }
+    );
+  });
+
+  test('should replay the stored response on retry', async () => {
+    const req = mockRequest({ amount: 15 });
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash: hashRequest(req),
+      status: 'completed',
+      responseStatus: 201,
+      responseBody: { success: true, signature: 'sig' }
+    });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true, signature: 'sig' });
+  });
+
+  test('should reject a reused key with a different body', async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({
+      requestHash: hashRequest(mockRequest({ amount: 15 })),
+      status: 'completed'
+    });
+    const res = mockResponse();
+
+    await middleware(mockRequest({ amount: 150 }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  test('should release the key when the handler fails', async () => {
+    IdempotencyKey.create.mockResolvedValue({ _id: 'record-id' });
+    const res = mockResponse();
+
+    await middleware(mockRequest({ amount: 15 }), res, jest.fn());
+    res.status(500).json({ error: 'Payment processing failed' });
+
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record-id' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+const EventEmitter = require('events');
+
+jest.mock('../../../src/models/Bill', () => ({
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+
+const Bill = require('../../../src/models/Bill');
+const billService = require('../../../src/services/billService');
+
+describe('BillService', () => {
+  const BillService = billService.constructor;
+  const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+  let service;
+
+  const billDoc = (partStatuses, extra = {}) => ({
+    _id: 'bill-id',
+    total: 23,
+    paidAmount: 11.5,
+    parts: partStatuses.map(status => ({ status })),
+    isFullyPaid() {
+      return this.parts.every(part => part.status === 'paid');
+    },
+    ...extra
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new BillService(new EventEmitter(), {});
+  });
+
+  test('should split the total and tip into cent-exact shares', () => {
+    const shares = service.splitBill(23.01, 3.01, 3);
+
+    expect(shares.map(share => share.amount)).toEqual([7.67, 7.67, 7.67]);
+    expect(shares.map(share => share.tipAmount)).toEqual([1.01, 1, 1]);
+    expect(shares.reduce((sum, share) => sum + share.amount * 100, 0)).toBe(2301);
+  });
+
+  test('should mark the bill partially paid when one share is confirmed', async () => {
+    Bill.findOneAndUpdate
+      .mockResolvedValueOnce(billDoc(['paid', 'awaiting_payment']))
+      .mockImplementationOnce(async (query, update) => billDoc(['paid', 'awaiting_payment'], update.$set));
+
+    const bill = await service.handleTransition({
+      intent: { reference, billId: 'bill-id', amount: 11.5, signature: 'sig', transactionId: 'tx-id' },
+      to: 'confirmed'
+    });
+
+    expect(Bill.findOneAndUpdate.mock.calls[0][1]).toEqual(expect.objectContaining({ $inc: { paidAmount: 11.5 } }));
+    expect(bill.status).toBe('partially_paid');
+  });
+
+  test('should mark the bill fully paid once every share is confirmed', async () => {
+    Bill.findOneAndUpdate
+      .mockResolvedValueOnce(billDoc(['paid', 'paid'], { paidAmount: 23 }))
+      .mockImplementationOnce(async (query, update) => billDoc(['paid', 'paid'], update.$set));
+
+    const bill = await service.handleTransition({
+      intent: { reference, billId: 'bill-id', amount: 11.5 },
+      to: 'confirmed'
+    });
+
+    expect(bill.status).toBe('paid');
+    expect(bill.paidAt).toBeInstanceOf(Date);
+  });
+
+  test('should ignore payment intents that are not part of a bill', async () => {
+    expect(await service.handleTransition({ intent: { reference }, to: 'confirmed' })).toBeNull();
+    expect(Bill.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const FeeDistributionService = require('../../../src/services/feeDistributionService');
+const { validatePaymentAmount, calculateReward, calculateTip, validateTipAmount, paymentConfig } = require('../../../src/config/payments');
+
+describe('FeeDistributionService', () => {
+  let feeDistributionService;
+
+  beforeEach(() => {
+    feeDistributionService = new FeeDistributionService();
+  });
+
+  describe('calculateFees', () => {
+    test('should keep the legacy $15 CN breakdown', () => {
+      const fees = feeDistributionService.calculateFees(15, 'CN');
+
+      expect(fees.platformFee).toBe(0.15);
+      expect(fees.vaultFee).toBe(0.195);
+      expect(fees.totalFees).toBe(0.345);
+      expect(fees.businessReceives).toBe(14.655);
+    });
+
+    test('should scale fees with the order total', () => {
+      const fees = feeDistributionService.calculateFees(42.5, 'CN');
+
+      expect(fees.originalAmount).toBe(42.5);
+      expect(fees.platformFee).toBe(0.425);
+      expect(fees.vaultFee).toBe(0.5525);
+      expect(fees.businessReceives).toBe(41.5225);
+    });
+
+    test('should apply the NCN platform fee rate', () => {
+      const fees = feeDistributionService.calculateFees(100, 'NCN');
+
+      expect(fees.platformFee).toBe(1.45);
+      expect(fees.vaultFee).toBe(1.3);
+    });
+
+    test('should exclude the tip from the fee base', () => {
+      const fees = feeDistributionService.calculateFees(23, 'CN', 3);
+
+      expect(fees.feeBase).toBe(20);
+      expect(fees.platformFee).toBe(0.2);
+      expect(fees.vaultFee).toBe(0.26);
+      expect(fees.businessReceives).toBe(22.54);
+    });
+
+        test('should reject amounts outside the configured limits', () => {
+      expect(() => feeDistributionService.calculateFees(paymentConfig.maxAmount + 1)).toThrow('Payment amount must be between');
+      expect(() => feeDistributionService.calculateFees(0)).toThrow('Payment amount must be between');
+    });
+  });
+
+  describe('payment amount helpers', () => {
+    test('should accept numeric strings within limits', () => {
+      expect(validatePaymentAmount('27.99')).toEqual({ valid: true, amount: 27.99 });
+    });
+
+    test('should reject non-numeric amounts', () => {
+      expect(validatePaymentAmount('abc').valid).toBe(false);
+      expect(validatePaymentAmount(undefined).valid).toBe(false);
+    });
+
+    test('should round tips to the cent and keep them below the amount', () => {
+      expect(calculateTip(42.5, 18)).toBe(7.65);
+      expect(validateTipAmount(3, 23)).toEqual({ valid: true, tipAmount: 3 });
+      expect(validateTipAmount(23, 23).valid).toBe(false);
+      expect(validateTipAmount(-1, 23).valid).toBe(false);
+    });
+
+        test('should pay 0.3 $PIZZA SPL per $15 spent', () => {
+      expect(calculateReward(15)).toEqual({ rewardAmount: 0.3, rewardCost: 0.15 });
+      expect(calculateReward(45)).toEqual({ rewardAmount: 0.9, rewardCost: 0.45 });
+    });
+  });
+});
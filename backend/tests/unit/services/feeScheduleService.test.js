@@ -0,0 +1,133 @@
+jest.mock('../../../src/models/FeeSchedule', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  OVERRIDE_SCOPES: ['businessType', 'category', 'business'],
+  HOLIDAY_SCOPES: ['all', 'businessType', 'category', 'business']
+}));
+
+const FeeSchedule = require('../../../src/models/FeeSchedule');
+const feeScheduleService = require('../../../src/services/feeScheduleService');
+const FeeDistributionService = require('../../../src/services/feeDistributionService');
+
+describe('FeeScheduleService', () => {
+  const businessId = '64b7f0c2a1e4d3f5a6b7c8d9';
+  const cafeId = '64b7f0c2a1e4d3f5a6b7c8da';
+  const hour = 60 * 60 * 1000;
+
+  const version1 = {
+    version: 1,
+    effectiveFrom: new Date(0),
+    platformFeeRate: 0.01,
+    vaultContributionRate: 0.013,
+    overrides: [],
+    feeHolidays: []
+  };
+
+  const version2 = {
+    version: 2,
+    effectiveFrom: new Date(Date.now() - hour),
+    platformFeeRate: 0.012,
+    vaultContributionRate: 0.013,
+    overrides: [
+      { scope: 'category', value: 'restaurant', platformFeeRate: 0.008 },
+      { scope: 'business', value: businessId, platformFeeRate: 0.005, vaultContributionRate: 0.01 },
+      { scope: 'category', value: 'cafe', platformFeeRate: 0.009, vaultContributionRate: 0.02 },
+      { scope: 'business', value: cafeId, platformFeeRate: 0.004 }
+    ],
+    feeHolidays: [{
+      name: 'Launch week',
+      startsAt: new Date(Date.now() - hour),
+      endsAt: new Date(Date.now() + hour),
+      scope: 'category',
+      values: ['retail'],
+      platformFeeRate: 0
+    }]
+  };
+
+  const mockSchedules = (schedules) => {
+    FeeSchedule.find.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(schedules) })
+    });
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockSchedules([version1, version2]);
+    await feeScheduleService.refresh();
+  });
+
+  afterAll(() => {
+    feeScheduleService.schedules = [];
+  });
+
+  test('should apply the most specific override', () => {
+    expect(feeScheduleService.resolveRates({ businessCategory: 'service' })).toMatchObject({
+      platformFeeRate: 0.012, scheduleVersion: 2, source: 'base'
+    });
+    expect(feeScheduleService.resolveRates({ businessCategory: 'restaurant' })).toMatchObject({
+      platformFeeRate: 0.008, vaultContributionRate: 0.013, source: 'category'
+    });
+    expect(feeScheduleService.resolveRates({ businessId, businessCategory: 'restaurant' })).toMatchObject({
+      platformFeeRate: 0.005, vaultContributionRate: 0.01, source: 'business'
+    });
+  });
+
+  test('should take a rate a business override leaves out from the category override', () => {
+    expect(feeScheduleService.resolveRates({ businessId: cafeId, businessCategory: 'cafe' })).toMatchObject({
+      platformFeeRate: 0.004, vaultContributionRate: 0.02, source: 'business'
+    });
+  });
+
+  test('should waive the platform fee during a fee holiday', () => {
+    const fees = feeScheduleService.calculateFees(23, 3, { businessCategory: 'retail' });
+
+    expect(fees).toMatchObject({
+      feeBase: 20,
+      platformFee: 0,
+      vaultContribution: 0.26,
+      merchantAmount: 22.74,
+      source: 'holiday',
+      feeHoliday: 'Launch week'
+    });
+  });
+
+  test('should re-price a quote under the version it was made with', () => {
+    const feeDistributionService = new FeeDistributionService();
+    const fees = feeDistributionService.calculateFees(15, 'CN', 0, { scheduleVersion: 1 });
+
+    expect(fees.platformFee).toBe(0.15);
+    expect(fees.businessReceives).toBe(14.655);
+    expect(fees.scheduleVersion).toBe(1);
+    expect(feeScheduleService.getActiveSchedule(new Date(Date.now() - 2 * hour)).version).toBe(1);
+  });
+
+  test('should publish a new version based on the schedule in force', async () => {
+    FeeSchedule.create.mockImplementation(async data => ({ ...data }));
+
+    const created = await feeScheduleService.createSchedule({ name: 'Lower vault rate', vaultContributionRate: 0.012 }, 'admin-id');
+
+    expect(FeeSchedule.create).toHaveBeenCalledWith(expect.objectContaining({
+      version: 3,
+      basedOnVersion: 2,
+      platformFeeRate: 0.012,
+      vaultContributionRate: 0.012,
+      overrides: version2.overrides,
+      createdBy: 'admin-id'
+    }));
+    expect(created.version).toBe(3);
+  });
+
+  test('should reject retroactive schedules and fees of 100% or more', async () => {
+    await expect(feeScheduleService.createSchedule({
+      name: 'Backdated',
+      effectiveFrom: new Date(Date.now() - 2 * hour)
+    })).rejects.toThrow('cannot take effect in the past');
+
+    await expect(feeScheduleService.createSchedule({
+      name: 'Broken',
+      overrides: [{ scope: 'category', value: 'retail', platformFeeRate: 0.99 }]
+    })).rejects.toThrow('Total fees must be less than 100%');
+    expect(FeeSchedule.create).not.toHaveBeenCalled();
+  });
+});
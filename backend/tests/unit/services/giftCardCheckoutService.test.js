@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+
+jest.mock('../../../src/models/GiftCard', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/GiftCardRedemption', () => ({
+  create: jest.fn(data => Promise.resolve(data)),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/Transaction', () => ({
+  create: jest.fn(data => Promise.resolve({ _id: 'transaction-id', ...data }))
+}));
+jest.mock('../../../src/services/paymentIntentService', () => new (require('events'))());
+jest.mock('../../../src/services/vaultService', () => jest.fn());
+jest.mock('../../../src/services/ledgerService', () => ({
+  recordGiftCardRedemption: jest.fn().mockResolvedValue({}),
+  recordPayment: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/services/chainAdapter', () => ({ getChainAdapter: jest.fn(() => ({})) }));
+
+const GiftCard = require('../../../src/models/GiftCard');
+const GiftCardRedemption = require('../../../src/models/GiftCardRedemption');
+const Business = require('../../../src/models/Business');
+const Transaction = require('../../../src/models/Transaction');
+const ledgerService = require('../../../src/services/ledgerService');
+const giftCardCheckoutService = require('../../../src/services/giftCardCheckoutService');
+
+describe('GiftCardCheckoutService', () => {
+  const GiftCardCheckoutService = giftCardCheckoutService.constructor;
+  const config = { maxCardsPerOrder: 3, reimbursementIntervalMs: 60000 };
+  const now = new Date('2026-10-18T12:00:00Z');
+  const business = { _id: '64b7f0c2a1b2c3d4e5f60718', businessName: 'Slice House' };
+  const customer = { _id: 'customer-id' };
+  const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+  // $PIZZA SPL is worth $0.50 at the reward funding rate
+  const card = (suffix, balance, overrides = {}) => ({
+    _id: `card-${suffix}`,
+    cardId: 'gc_' + suffix.repeat(24),
+    businessId: business._id,
+    value: 5,
+    balance,
+    status: balance < 5 ? 'partially_used' : 'claimed',
+    expiresAt: new Date('2026-11-01T00:00:00Z'),
+    ...overrides
+  });
+
+  let intentService;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    intentService = new EventEmitter();
+    service = new GiftCardCheckoutService(intentService, config);
+    service.vaultService = { fundGiftCardRedemption: jest.fn().mockResolvedValue({ entryId: 'je_1' }) };
+    Business.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ settlement: { walletAddress: 'MerchantWallet' } }) });
+  });
+
+  describe('planDrawdowns', () => {
+    test('should cover the order card by card and leave the rest of the last card', async () => {
+      const first = card('a', 5);
+      const second = card('b', 2);
+      GiftCard.find.mockResolvedValue([second, first]);
+
+      const plan = await service.planDrawdowns(customer, business, [first.cardId, second.cardId], { amount: 3, now });
+
+      expect(GiftCard.find.mock.calls[0][0]).toMatchObject({
+        ownerUserId: 'customer-id',
+        status: { $in: ['claimed', 'partially_used'] },
+        expiresAt: { $gt: new Date('2026-10-18T12:15:00Z') }
+      });
+      expect(plan).toMatchObject({ applied: 3, remaining: 0 });
+      expect(plan.drawdowns.map(({ card: drawn, amount, usdcAmount }) => [drawn.cardId, amount, usdcAmount])).toEqual([
+        [first.cardId, 5, 2.5],
+        [second.cardId, 1, 0.5]
+      ]);
+    });
+
+    test('should keep the USDC part at the minimum order amount when a tip is added', async () => {
+      GiftCard.find.mockResolvedValue([card('a', 5), card('b', 2)]);
+
+      const plan = await service.planDrawdowns(customer, business, ['gc_' + 'a'.repeat(24), 'gc_' + 'b'.repeat(24)], { amount: 3, tipAmount: 0.5, now });
+
+      expect(plan.applied).toBe(2);
+      expect(plan.remaining).toBe(1.5);
+      expect(plan.drawdowns).toHaveLength(1);
+      expect(plan.drawdowns[0]).toMatchObject({ amount: 4, usdcAmount: 2 });
+    });
+
+    test('should only accept the customer\'s live cards from this business', async () => {
+      GiftCard.find.mockResolvedValue([card('a', 5, { businessId: 'other-business' })]);
+      await expect(service.planDrawdowns(customer, business, ['gc_' + 'a'.repeat(24)], { amount: 10, now }))
+        .rejects.toThrow('can only be used at the business that issued it');
+
+      GiftCard.find.mockResolvedValue([]);
+      await expect(service.planDrawdowns(customer, business, ['gc_' + 'a'.repeat(24)], { amount: 10, now }))
+        .rejects.toThrow(`Gift card gc_${'a'.repeat(24)} is not available`);
+    });
+  });
+
+  test('should hold balances against the payment and put them back if a card changed meanwhile', async () => {
+    const first = card('a', 5);
+    const second = card('b', 2);
+    GiftCard.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+    const releaseSpy = jest.spyOn(service, 'releaseDrawdowns').mockResolvedValue(1);
+
+    const plan = { applied: 3, remaining: 0, drawdowns: [{ card: first, amount: 5, usdcAmount: 2.5 }, { card: second, amount: 1, usdcAmount: 0.5 }] };
+    await expect(service.holdDrawdowns(plan, { reference, user: customer, now })).rejects.toThrow('Gift card balance changed - please try again');
+
+    const [filter, update] = GiftCard.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'card-a', balance: 5, status: { $in: ['claimed', 'partially_used'] } });
+    expect(update.$set).toEqual({ balance: 0, status: 'redeemed', redeemedAt: now });
+    expect(GiftCardRedemption.create).toHaveBeenCalledWith(expect.objectContaining({
+      cardId: first.cardId,
+      paymentReference: reference,
+      amount: 5,
+      usdcAmount: 2.5,
+      status: 'held'
+    }));
+    expect(releaseSpy).toHaveBeenCalledWith(reference, 'Gift card balance changed');
+  });
+
+  test('should capture held draw-downs and reimburse the merchant once per draw-down', async () => {
+    const held = { _id: 'r1', redemptionId: 'gcr_' + '1'.repeat(24), cardId: 'gc_' + 'a'.repeat(24), businessId: business._id, userId: 'customer-id', amount: 4, usdcAmount: 2, status: 'held' };
+    GiftCardRedemption.find.mockResolvedValue([held]);
+    GiftCardRedemption.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...held, ...update.$set }));
+
+    const captured = await service.captureDrawdowns(reference, { signature: 'sig', now });
+
+    expect(captured).toHaveLength(1);
+    expect(GiftCardRedemption.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'r1', status: 'held' });
+    expect(ledgerService.recordGiftCardRedemption).toHaveBeenCalledWith(expect.objectContaining({
+      cardId: held.cardId,
+      amount: 4,
+      redemptionId: held.redemptionId,
+      signature: 'sig'
+    }));
+    expect(service.vaultService.fundGiftCardRedemption).toHaveBeenCalledWith(2, 'MerchantWallet', held.redemptionId);
+    expect(GiftCardRedemption.updateOne.mock.calls[0][1].$set).toMatchObject({ fundingEntryId: 'je_1' });
+
+    // An underfunded vault leaves the draw-down for the reimbursement sweep
+    service.vaultService.fundGiftCardRedemption.mockRejectedValueOnce(new Error('Failed to fund gift card redemption'));
+    expect(await service.reimburseMerchant(held)).toBe(false);
+    expect(GiftCardRedemption.updateOne.mock.calls[1][1].$set).toEqual({ reimbursementError: 'Failed to fund gift card redemption' });
+  });
+
+  test('should record an order paid in full by gift cards as a confirmed payment', async () => {
+    const first = card('a', 5);
+    const holdSpy = jest.spyOn(service, 'holdDrawdowns').mockResolvedValue([]);
+    jest.spyOn(service, 'captureDrawdowns').mockResolvedValue([{ cardId: first.cardId, usdcAmount: 2.5 }]);
+
+    const plan = { applied: 2.5, remaining: 0, drawdowns: [{ card: first, amount: 5, usdcAmount: 2.5 }] };
+    const { reference, transaction } = await service.payInFull(plan, { _id: 'customer-id', wallet: { address: 'CustomerWallet' } }, business, now);
+
+    expect(reference).toMatch(/^gco_[a-f0-9]{24}$/);
+    expect(holdSpy).toHaveBeenCalledWith(plan, expect.objectContaining({ reference }));
+    expect(Transaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      signature: reference,
+      paymentReference: reference,
+      businessId: business._id,
+      type: 'payment',
+      status: 'confirmed',
+      amount: 2.5,
+      giftCardAmount: 2.5,
+      settlement: { netAmount: 2.5 }
+    }));
+    expect(ledgerService.recordPayment).toHaveBeenCalledWith(transaction);
+  });
+
+  test('should release held balances when the payment expires', async () => {
+    const held = { _id: 'r1', redemptionId: 'gcr_' + '1'.repeat(24), cardId: 'gc_' + 'a'.repeat(24), amount: 4, status: 'held' };
+    GiftCardRedemption.find.mockResolvedValue([held]);
+    GiftCardRedemption.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...held, ...update.$set }));
+    GiftCard.findOne.mockResolvedValue(card('a', 1, { status: 'partially_used' }));
+    GiftCard.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const released = await service.releaseDrawdowns(reference, 'Payment expired', now);
+
+    expect(released).toBe(1);
+    const [filter, update] = GiftCard.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ _id: 'card-a', balance: 1 });
+    expect(update.$set).toEqual({ balance: 5, status: 'claimed' });
+    expect(ledgerService.recordGiftCardRedemption).not.toHaveBeenCalled();
+  });
+
+  test('should follow the payment intent events', () => {
+    const capture = jest.spyOn(service, 'captureDrawdowns').mockResolvedValue([]);
+    const release = jest.spyOn(service, 'releaseDrawdowns').mockResolvedValue(0);
+
+    intentService.emit('status:confirmed', { intent: { reference, signature: 'sig' } });
+    intentService.emit('status:cancelled', { intent: { reference } });
+
+    expect(capture).toHaveBeenCalledWith(reference, { signature: 'sig' });
+    expect(release).toHaveBeenCalledWith(reference, 'Payment cancelled');
+  });
+});
@@ -0,0 +1,273 @@
+jest.mock('../../../src/models/GiftCard', () => ({
+  create: jest.fn(data => Promise.resolve(data)),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  aggregate: jest.fn(),
+  LIVE_STATUSES: ['minted', 'assigned', 'claimed', 'partially_used']
+}));
+jest.mock('../../../src/models/GiftCardCampaign', () => {
+  const GiftCardCampaign = jest.fn(function(data) {
+    Object.assign(this, { status: 'active', cardsMinted: 0, ...data });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  GiftCardCampaign.aggregate = jest.fn();
+  GiftCardCampaign.find = jest.fn();
+  GiftCardCampaign.findOne = jest.fn();
+  return GiftCardCampaign;
+});
+jest.mock('../../../src/services/ledgerService', () => ({
+  recordGiftCardMint: jest.fn().mockResolvedValue({}),
+  recordGiftCardRedemption: jest.fn().mockResolvedValue({}),
+  recordGiftCardExpiry: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/services/chainAdapter', () => ({ getChainAdapter: jest.fn(() => ({})) }));
+jest.mock('../../../src/models/User', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/models/GiftCardRedemption', () => ({ create: jest.fn(data => Promise.resolve(data)) }));
+
+const GiftCard = require('../../../src/models/GiftCard');
+const GiftCardCampaign = require('../../../src/models/GiftCardCampaign');
+const ledgerService = require('../../../src/services/ledgerService');
+const User = require('../../../src/models/User');
+const GiftCardRedemption = require('../../../src/models/GiftCardRedemption');
+const GiftCardService = require('../../../src/services/giftCardService');
+
+describe('GiftCardService', () => {
+  const config = { cardValue: 5, mintingCost: 0.5, expiryDays: 30, monthlyQuota: 100 };
+  const now = new Date('2026-10-18T12:00:00Z');
+  const business = { _id: '64b7f0c2a1b2c3d4e5f60718', businessName: 'Tony\'s Pizza' };
+  const customer = { _id: 'customer-id', wallet: { address: 'CustomerWallet1111111111111111111111111111' } };
+  // Quota usage as the campaign aggregate reports it
+  const usage = cards => (cards === null ? [] : [{ _id: null, cards }]);
+
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new GiftCardService({}, config);
+  });
+
+  describe('campaign quota', () => {
+    test('should reserve a campaign\'s cards against the month and refuse to go over', async () => {
+      GiftCardCampaign.aggregate.mockResolvedValueOnce(usage(60)).mockResolvedValueOnce(usage(100));
+
+      const campaign = await service.createGiftCardCampaign(business, { quantity: 40, now });
+
+      expect(GiftCardCampaign.aggregate.mock.calls[0][0][0].$match).toMatchObject({ month: 10, year: 2026 });
+      expect(campaign).toMatchObject({ cardsRequested: 40, month: 10, year: 2026, cardValue: 5, status: 'active' });
+      expect(campaign.campaignId).toMatch(/^gcc_[a-f0-9]{24}$/);
+      expect(campaign.save).toHaveBeenCalled();
+
+      GiftCardCampaign.aggregate.mockResolvedValueOnce(usage(100));
+      await expect(service.createGiftCardCampaign(business, { quantity: 1, now }))
+        .rejects.toThrow('Monthly gift card quota exceeded (100/100 used, 1 requested)');
+    });
+
+    test('should back out a campaign that lost a race for the last cards', async () => {
+      GiftCardCampaign.aggregate.mockResolvedValueOnce(usage(90)).mockResolvedValueOnce(usage(110));
+
+      await expect(service.createGiftCardCampaign(business, { quantity: 10, now }))
+        .rejects.toThrow('Monthly gift card quota exceeded');
+
+      const campaign = GiftCardCampaign.mock.instances[0];
+      expect(campaign.status).toBe('cancelled');
+      expect(campaign.save).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  test('should mint a batch into the campaign and post each card\'s liability', async () => {
+    GiftCardCampaign.aggregate.mockResolvedValue(usage(null));
+    GiftCard.create.mockRejectedValueOnce(new Error('write conflict'));
+
+    const { campaign, cards, failed } = await service.mintBatch(business, { quantity: 3, customMessage: 'Enjoy!', now });
+
+    expect(failed).toBe(1);
+    expect(cards).toHaveLength(2);
+    expect(cards[0]).toMatchObject({
+      campaignId: campaign.campaignId,
+      value: 5,
+      balance: 5,
+      status: 'minted',
+      customMessage: 'Enjoy!',
+      expiresAt: new Date('2026-11-17T12:00:00Z')
+    });
+    expect(cards[0].nftAddress).toBeUndefined();
+    expect(ledgerService.recordGiftCardMint).toHaveBeenCalledWith({
+      businessId: business._id,
+      cardId: cards[0].cardId,
+      amount: 5,
+      postedAt: now
+    });
+    // The failed card goes back to the quota
+    expect(campaign).toMatchObject({ status: 'completed', cardsMinted: 2, totalCost: 1 });
+  });
+
+  test('should mint straight to a recipient as an assigned card', async () => {
+    GiftCardCampaign.aggregate.mockResolvedValue(usage(null));
+
+    const { cards } = await service.mintBatch(business, { quantity: 1, recipientWallet: customer.wallet.address, now });
+
+    expect(cards[0]).toMatchObject({ status: 'assigned', ownerWallet: customer.wallet.address, assignedAt: now });
+    expect(cards[0].history.map(event => event.status)).toEqual(['minted', 'assigned']);
+  });
+
+  describe('redeemGiftCard', () => {
+    test('should take the remaining balance once and record the redemption', async () => {
+      GiftCard.findOneAndUpdate.mockResolvedValue({ cardId: 'gc_' + 'a'.repeat(24), businessId: business._id, balance: 3.5 });
+
+      const result = await service.redeemGiftCard({ cardId: 'gc_' + 'a'.repeat(24), user: customer, now });
+
+      const [filter, update] = GiftCard.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ ownerUserId: 'customer-id', status: { $in: ['claimed', 'partially_used'] }, expiresAt: { $gt: now } });
+      expect(update.$set).toEqual({ balance: 0, status: 'redeemed', redeemedAt: now });
+      expect(result).toMatchObject({ success: true, pizzaSPLReceived: 3.5 });
+      expect(GiftCardRedemption.create).toHaveBeenCalledWith(expect.objectContaining({
+        redemptionId: result.transactionId,
+        type: 'token',
+        amount: 3.5,
+        status: 'captured'
+      }));
+      expect(ledgerService.recordGiftCardRedemption).toHaveBeenCalledWith(expect.objectContaining({
+        cardId: 'gc_' + 'a'.repeat(24),
+        amount: 3.5,
+        redemptionId: result.transactionId
+      }));
+    });
+
+    test('should explain why a card can\'t be redeemed', async () => {
+      GiftCard.findOneAndUpdate.mockResolvedValue(null);
+
+      GiftCard.findOne.mockResolvedValueOnce({ status: 'redeemed', expiresAt: new Date('2026-11-01') });
+      await expect(service.redeemGiftCard({ cardId: 'gc_' + 'a'.repeat(24), user: customer, now })).rejects.toThrow('Gift card already redeemed');
+
+      GiftCard.findOne.mockResolvedValueOnce({ status: 'claimed', expiresAt: new Date('2026-10-01') });
+      await expect(service.redeemGiftCard({ cardId: 'gc_' + 'a'.repeat(24), user: customer, now })).rejects.toThrow('Gift card has expired');
+
+      GiftCard.findOne.mockResolvedValueOnce(null);
+      await expect(service.redeemGiftCard({ cardId: 'gc_' + 'a'.repeat(24), user: customer, now })).rejects.toThrow('Gift card not found');
+      expect(ledgerService.recordGiftCardRedemption).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claim links', () => {
+    const campaignId = 'gcc_' + 'c'.repeat(24);
+    const cardId = 'gc_' + 'b'.repeat(24);
+    const card = { _id: 'card-1', cardId, value: 5, status: 'minted', expiresAt: new Date('2026-11-17T12:00:00Z') };
+    // Claim links check the address is a real Solana public key
+    const wallet = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+    test('should store only the hash of each link secret and put the secret in the URL fragment', async () => {
+      GiftCardCampaign.findOne.mockResolvedValue({ campaignId, name: 'October' });
+      GiftCard.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([card]) });
+      GiftCard.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const { links } = await service.issueClaimLinks(business, campaignId, now);
+
+      expect(GiftCard.find.mock.calls[0][0]).toMatchObject({ campaignId, businessId: business._id, status: 'minted', expiresAt: { $gt: now } });
+      expect(links).toHaveLength(1);
+      const [url, secret] = links[0].claimUrl.split('#');
+      expect(url).toBe(`https://app.pizzabit.io/claim/${cardId}`);
+      const [filter, update] = GiftCard.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: 'card-1', status: 'minted' });
+      expect(update.$set.claimSecretHash).toBe(service.hashClaimSecret(secret));
+      expect(update.$set.claimSecretHash).not.toContain(secret);
+
+      const pdf = service.buildClaimSheetPDF(business, { campaignId, name: 'October' }, links);
+      expect(pdf.toString('latin1')).toMatch(/^%PDF-1\.4/);
+      expect(pdf.toString('latin1')).toContain('/Count 1');
+    });
+
+    test("should refuse a campaign from another business", async () => {
+      GiftCardCampaign.findOne.mockResolvedValue(null);
+
+      await expect(service.issueClaimLinks(business, campaignId, now)).rejects.toThrow('Gift card campaign not found');
+      expect(GiftCardCampaign.findOne).toHaveBeenCalledWith({ campaignId, businessId: business._id });
+    });
+
+    test('should claim onto the account that has the wallet linked and spend the link', async () => {
+      GiftCard.findOne.mockResolvedValue(card);
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: 'customer-id' }) });
+      GiftCard.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...card, ...update.$set }));
+
+      const claimed = await service.claimWithLink({ cardId, secret: 'link-secret-123456', walletAddress: wallet, now });
+
+      expect(GiftCard.findOne).toHaveBeenCalledWith({ cardId, claimSecretHash: service.hashClaimSecret('link-secret-123456'), status: 'minted' });
+      const [filter, update] = GiftCard.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'card-1', status: 'minted', claimSecretHash: service.hashClaimSecret('link-secret-123456') });
+      expect(update.$unset).toEqual({ claimSecretHash: 1 });
+      expect(claimed).toMatchObject({ status: 'claimed', ownerUserId: 'customer-id', ownerWallet: wallet, claimedAt: now });
+    });
+
+    test('should assign to a wallet without an account, and reject spent or wrong links', async () => {
+      GiftCard.findOne.mockResolvedValueOnce(card);
+      User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      GiftCard.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({ ...card, ...update.$set }));
+
+      const claimed = await service.claimWithLink({ cardId, secret: 'link-secret-123456', walletAddress: wallet, now });
+      expect(claimed).toMatchObject({ status: 'assigned', ownerWallet: wallet });
+      expect(claimed.ownerUserId).toBeUndefined();
+
+      GiftCard.findOne.mockResolvedValueOnce(null);
+      await expect(service.claimWithLink({ cardId, secret: 'wrong-secret-123456', walletAddress: wallet, now }))
+        .rejects.toThrow('Invalid or already used claim link');
+
+      await expect(service.claimWithLink({ cardId, secret: 'link-secret-123456', walletAddress: 'not-a-wallet', now }))
+        .rejects.toThrow('Invalid wallet address');
+    });
+  });
+
+  test('should expire lapsed cards and revert their unused balance', async () => {
+    GiftCard.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    GiftCard.find.mockReturnValue({
+      limit: jest.fn().mockResolvedValue([
+        { _id: 'card-1', cardId: 'gc_' + '1'.repeat(24), businessId: business._id, balance: 5 },
+        { _id: 'card-2', cardId: 'gc_' + '2'.repeat(24), businessId: business._id, balance: 2 }
+      ])
+    });
+    ledgerService.recordGiftCardExpiry.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('ledger unavailable'));
+
+    const result = await service.processExpiredCards(now);
+
+    expect(GiftCard.updateMany.mock.calls[0][0]).toEqual({
+      status: { $in: ['minted', 'assigned', 'claimed', 'partially_used'] },
+      expiresAt: { $lte: now }
+    });
+    expect(result).toMatchObject({ expired: 2, processed: 1, totalValueReverted: 5 });
+    // The card whose posting failed stays expired for the next run
+    expect(GiftCard.updateOne).toHaveBeenCalledTimes(1);
+    expect(GiftCard.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'reverted', revertedAmount: 5, balance: 0 });
+  });
+
+  test('should report analytics per campaign from the card states', async () => {
+    const campaignId = 'gcc_' + 'c'.repeat(24);
+    GiftCard.aggregate.mockResolvedValue([
+      { _id: { campaignId, status: 'redeemed' }, cards: 2, value: 10, balance: 0, reverted: 0, mintingCost: 1, redemptionMs: 2 * 3 * 24 * 60 * 60 * 1000 },
+      { _id: { campaignId, status: 'partially_used' }, cards: 1, value: 5, balance: 2, reverted: 0, mintingCost: 0.5, redemptionMs: 0 },
+      { _id: { campaignId, status: 'reverted' }, cards: 1, value: 5, balance: 0, reverted: 5, mintingCost: 0.5, redemptionMs: 0 }
+    ]);
+    GiftCardCampaign.aggregate.mockResolvedValue(usage(4));
+    GiftCardCampaign.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([{ campaignId, name: 'October', status: 'completed', cardValue: 5, cardsRequested: 4 }]) });
+
+    const analytics = await service.getBusinessGiftCardAnalytics(business._id, 'month', now);
+
+    expect(GiftCard.aggregate.mock.calls[0][0][0].$match.mintedAt).toEqual({ $gte: new Date('2026-10-01T00:00:00Z') });
+    expect(analytics).toMatchObject({
+      totalMinted: 4,
+      totalRedeemed: 2,
+      totalPartiallyUsed: 1,
+      totalExpired: 1,
+      totalOutstanding: 1,
+      redemptionRate: 0.75,
+      totalCost: 2,
+      pizzaSPLDistributed: 13,
+      pizzaSPLOutstanding: 2,
+      pizzaSPLReverted: 5,
+      averageRedemptionTime: 3,
+      quota: { used: 4, limit: 100, remaining: 96 }
+    });
+    expect(analytics.campaigns).toHaveLength(1);
+    expect(analytics.campaigns[0]).toMatchObject({ campaignId, name: 'October', totalMinted: 4, redemptionRate: 0.75 });
+  });
+});
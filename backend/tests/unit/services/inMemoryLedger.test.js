@@ -0,0 +1,183 @@
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const { getMint } = require('@solana/spl-token');
+const InMemoryLedger = require('../../../src/services/inMemoryLedger');
+const SolanaPayService = require('../../../src/services/solanaPayService');
+const RewardsService = require('../../../src/services/rewardsService');
+
+describe('InMemoryLedger', () => {
+  let ledger;
+  let customer;
+  let businessWallet;
+
+  beforeEach(() => {
+    ledger = new InMemoryLedger();
+    customer = Keypair.generate();
+    businessWallet = Keypair.generate().publicKey;
+    ledger.mintTo(customer.publicKey, ledger.usdcMint, 50);
+  });
+
+  test('should transfer tokens and expose mints to spl-token helpers', async () => {
+    const signature = await ledger.transferTokens({
+      from: customer.publicKey,
+      to: businessWallet,
+      mint: ledger.usdcMint,
+      amount: 12.5,
+      signer: customer
+    });
+
+    expect(typeof signature).toBe('string');
+    expect(await ledger.getTokenBalance(customer.publicKey, ledger.usdcMint)).toBe(37.5);
+    expect(await ledger.getTokenBalance(businessWallet, ledger.usdcMint)).toBe(12.5);
+    expect((await getMint(ledger.connection, ledger.usdcMint)).decimals).toBe(6);
+  });
+
+  test('should reject overdrafts without changing balances', async () => {
+    await expect(ledger.transferTokens({
+      from: customer.publicKey,
+      to: businessWallet,
+      mint: ledger.usdcMint,
+      amount: 75
+    })).rejects.toThrow('insufficient funds');
+
+    expect(await ledger.getTokenBalance(customer.publicKey, ledger.usdcMint)).toBe(50);
+    expect(ledger.history).toHaveLength(0);
+  });
+
+  test('should send several transfers in one transaction findable by reference', async () => {
+    const otherWallet = Keypair.generate().publicKey;
+    const reference = Keypair.generate().publicKey;
+
+    const signature = await ledger.transferTokensBatch({
+      from: customer.publicKey,
+      transfers: [{ to: businessWallet, amount: 10 }, { to: otherWallet, amount: 2.5 }],
+      mint: ledger.usdcMint,
+      references: [reference]
+    });
+
+    expect(await ledger.getTokenBalance(customer.publicKey, ledger.usdcMint)).toBe(37.5);
+    expect(await ledger.getTokenBalance(businessWallet, ledger.usdcMint)).toBe(10);
+    expect(await ledger.getTokenBalance(otherWallet, ledger.usdcMint)).toBe(2.5);
+    const [found] = await ledger.getSignaturesForAddress(reference, {}, 'processed');
+    expect(found.signature).toBe(signature);
+  });
+
+  test('should only return references once the transaction reaches the requested commitment', async () => {
+    ledger = new InMemoryLedger({ confirmationDepth: 1 });
+    ledger.mintTo(customer.publicKey, ledger.usdcMint, 50);
+    const reference = Keypair.generate().publicKey;
+
+    const signature = await ledger.transferTokens({
+      from: customer.publicKey,
+      to: businessWallet,
+      mint: ledger.usdcMint,
+      amount: 5,
+      references: [reference]
+    });
+
+    expect(await ledger.getSignaturesForAddress(reference, {}, 'confirmed')).toEqual([]);
+    expect(await ledger.getSignaturesForAddress(reference, {}, 'processed')).toHaveLength(1);
+
+    ledger.advanceSlots();
+    const [found] = await ledger.getSignaturesForAddress(reference, {}, 'confirmed');
+    expect(found.signature).toBe(signature);
+  });
+
+  test('should run a fee-split Solana Pay payment and reward end to end', async () => {
+    const treasury = Keypair.generate().publicKey;
+    const reference = Keypair.generate().publicKey;
+    const previousTreasury = process.env.TREASURY_WALLET_ADDRESS;
+    process.env.TREASURY_WALLET_ADDRESS = treasury.toBase58();
+
+    try {
+      const solanaPayService = new SolanaPayService(ledger);
+      const platformWallet = solanaPayService.platformWallet = Keypair.generate().publicKey;
+      const vaultWallet = solanaPayService.vaultWallet = Keypair.generate().publicKey;
+
+      // Customer's wallet signs the Transaction Request transaction
+      const request = await solanaPayService.createTransactionRequest({
+        account: customer.publicKey.toBase58(),
+        reference: reference.toBase58(),
+        businessWallet: businessWallet.toBase58(),
+        amount: 23,
+        tipAmount: 3
+      });
+      expect(request.success).toBe(true);
+
+      const transaction = Transaction.from(Buffer.from(request.transaction, 'base64'));
+      await ledger.sendTransaction(transaction, [customer]);
+
+      const validation = await solanaPayService.validatePayment(null, reference.toBase58(), 23, {
+        recipient: businessWallet.toBase58(),
+        feeSplit: true,
+        tipAmount: 3
+      });
+      expect(validation).toEqual(expect.objectContaining({
+        success: true,
+        payer: customer.publicKey.toBase58()
+      }));
+
+      // Tip is fee-free: fees are charged on the $20 order only
+      expect(await ledger.getTokenBalance(customer.publicKey, ledger.usdcMint)).toBe(27);
+      expect(await ledger.getTokenBalance(businessWallet, ledger.usdcMint)).toBe(22.54);
+      expect(await ledger.getTokenBalance(platformWallet, ledger.usdcMint)).toBe(0.2);
+      expect(await ledger.getTokenBalance(vaultWallet, ledger.usdcMint)).toBe(0.26);
+
+      // Reward paid from the treasury's $PIZZA SPL on the ledger
+      const rewardsService = new RewardsService(ledger);
+      ledger.createMint(rewardsService.pizzaSPLMint, 6);
+      ledger.mintTo(treasury, rewardsService.pizzaSPLMint, 100);
+
+      const reward = await rewardsService.createRewardDistributionTx({
+        recipientAddress: validation.payer,
+        amount: 0.4,
+        fromVault: 'platform'
+      });
+
+      expect(ledger.transactions.has(reward.signature)).toBe(true);
+      expect(await ledger.getTokenBalance(customer.publicKey, rewardsService.pizzaSPLMint)).toBe(0.4);
+    } finally {
+      process.env.TREASURY_WALLET_ADDRESS = previousTreasury;
+    }
+  });
+
+  test('should reject a fee-split payment that skips the vault transfer', async () => {
+    const reference = Keypair.generate().publicKey;
+    const solanaPayService = new SolanaPayService(ledger);
+    solanaPayService.platformWallet = Keypair.generate().publicKey;
+    solanaPayService.vaultWallet = Keypair.generate().publicKey;
+
+    const request = await solanaPayService.createTransactionRequest({
+      account: customer.publicKey.toBase58(),
+      reference: reference.toBase58(),
+      businessWallet: businessWallet.toBase58(),
+      amount: 20
+    });
+
+    // Customer's wallet drops the vault leg (3 ATA creates, platform fee, vault, business)
+    const transaction = Transaction.from(Buffer.from(request.transaction, 'base64'));
+    transaction.instructions.splice(4, 1);
+    await ledger.sendTransaction(transaction, [customer]);
+
+    const validation = await solanaPayService.validatePayment(null, reference.toBase58(), 20, {
+      recipient: businessWallet.toBase58(),
+      feeSplit: true,
+      fees: { platformFee: 0.2, vaultContribution: 0.26 }
+    });
+
+    expect(validation).toEqual(expect.objectContaining({
+      success: false,
+      invalid: true,
+      error: 'Payment validation failed: vault contribution not transferred'
+    }));
+  });
+
+  test('should report a missing reference as not found', async () => {
+    const solanaPayService = new SolanaPayService(ledger);
+
+    const result = await solanaPayService.validatePayment(null, Keypair.generate().publicKey.toBase58(), 15, {
+      recipient: new PublicKey(businessWallet).toBase58()
+    });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, notFound: true }));
+  });
+});
@@ -0,0 +1,102 @@
+const EventEmitter = require('events');
+
+jest.mock('../../../src/models/Invoice', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByInvoiceId: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+
+const Invoice = require('../../../src/models/Invoice');
+const Business = require('../../../src/models/Business');
+const invoiceService = require('../../../src/services/invoiceService');
+
+describe('InvoiceService', () => {
+  const InvoiceService = invoiceService.constructor;
+  const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+  let intentService;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    intentService = new EventEmitter();
+    intentService.cancel = jest.fn().mockResolvedValue({ status: 'cancelled' });
+    service = new InvoiceService(intentService, { usdcMint: { toString: () => 'mint' } });
+
+    Business.findById.mockResolvedValue({
+      _id: 'business-id',
+      businessName: 'Slice House',
+      businessWallet: { publicKey: 'BusinessWallet111111111111111111111111111111' }
+    });
+    Invoice.create.mockImplementation(async data => ({ ...data }));
+  });
+
+  describe('createInvoice', () => {
+    test('should total line items', async () => {
+      const invoice = await service.createInvoice({
+        businessId: 'business-id',
+        lineItems: [
+          { description: 'Large pepperoni', quantity: 3, unitPrice: 18.5 },
+          { description: 'Garlic knots', quantity: 2, unitPrice: 4.25 }
+        ],
+        customerEmail: 'events@example.com'
+      });
+
+      expect(invoice.amount).toBe(64);
+      expect(invoice.lineItems[0]).toEqual({ description: 'Large pepperoni', quantity: 3, unitPrice: 18.5, amount: 55.5 });
+      expect(invoice.invoiceId).toMatch(/^inv_[a-f0-9]{24}$/);
+    });
+
+    test('should reject totals outside the payment limits and past due dates', async () => {
+      await expect(service.createInvoice({ businessId: 'business-id', amount: 5000 }))
+        .rejects.toThrow('Payment amount must be between');
+
+      await expect(service.createInvoice({
+        businessId: 'business-id',
+        amount: 40,
+        dueDate: new Date(Date.now() - 1000)
+      })).rejects.toThrow('Due date must be in the future');
+
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should mark the linked invoice paid when its payment intent is confirmed', async () => {
+    Invoice.findOneAndUpdate.mockResolvedValue({ invoiceId: 'inv_abc', amount: 40 });
+
+    await service.handlePaymentConfirmed({
+      intent: { reference, invoiceId: 'invoice-object-id', transactionId: 'transaction-id', signature: 'sig' }
+    });
+
+    expect(Invoice.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'invoice-object-id', status: { $in: ['open', 'overdue'] } },
+      { $set: expect.objectContaining({ status: 'paid', paymentReference: reference, transactionId: 'transaction-id' }) },
+      { new: true }
+    );
+  });
+
+  test('should ignore confirmed payments that are not for an invoice', async () => {
+    expect(await service.handlePaymentConfirmed({ intent: { reference } })).toBeNull();
+    expect(Invoice.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should cancel the open payment request when voiding', async () => {
+    Invoice.findOneAndUpdate.mockResolvedValue({ invoiceId: 'inv_abc', status: 'void', paymentReference: reference });
+
+    const invoice = await service.voidInvoice('inv_abc', 'business-id', 'Order cancelled');
+
+    expect(invoice.status).toBe('void');
+    expect(intentService.cancel).toHaveBeenCalledWith(reference, { reason: 'Invoice voided' });
+  });
+
+  test('should not void a paid invoice', async () => {
+    Invoice.findOneAndUpdate.mockResolvedValue(null);
+    Invoice.findOne.mockResolvedValue({ status: 'paid' });
+
+    await expect(service.voidInvoice('inv_abc', 'business-id')).rejects.toThrow('Invoice is already paid');
+    expect(intentService.cancel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+const { Keypair } = require('@solana/web3.js');
+
+jest.mock('../../../src/models/LedgerAccount', () => ({
+  bulkWrite: jest.fn().mockResolvedValue({}),
+  normalBalanceFor: (type) => (type === 'asset' || type === 'expense' ? 'debit' : 'credit')
+}));
+jest.mock('../../../src/models/JournalEntry', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  exists: jest.fn(),
+  aggregate: jest.fn()
+}));
+jest.mock('../../../src/models/Transaction', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Business', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../../../src/models/User', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../../../src/models/Vault', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+
+const JournalEntry = require('../../../src/models/JournalEntry');
+const Business = require('../../../src/models/Business');
+const Vault = require('../../../src/models/Vault');
+const ledgerService = require('../../../src/services/ledgerService');
+
+describe('LedgerService', () => {
+  const LedgerService = ledgerService.constructor;
+  const businessId = '64b7f0c2a1b2c3d4e5f60718';
+  const sumOf = (lines, side) => Math.round(lines.reduce((sum, line) => sum + line[side], 0) * 1e6) / 1e6;
+
+  let chain;
+  let ledger;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    process.env.PLATFORM_FEE_WALLET = Keypair.generate().publicKey.toBase58();
+    process.env.PLATFORM_VAULT_ADDRESS = Keypair.generate().publicKey.toBase58();
+    process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+    process.env.PIZZA_TOKEN_MINT = Keypair.generate().publicKey.toBase58();
+
+    chain = {
+      usdcMint: Keypair.generate().publicKey,
+      connection: { getTokenAccountBalance: jest.fn() }
+    };
+    ledger = new LedgerService(chain);
+
+    JournalEntry.findOne.mockResolvedValue(null);
+    JournalEntry.create.mockImplementation(async (data) => data);
+    JournalEntry.aggregate.mockResolvedValue([]);
+  });
+
+  describe('recordPayment', () => {
+    const payment = {
+      _id: '64b7f0c2a1b2c3d4e5f60799',
+      type: 'payment',
+      status: 'confirmed',
+      businessId,
+      amount: 20,
+      tipAmount: 0,
+      fees: { platformFee: 0.2, vaultContribution: 0.26 }
+    };
+
+    test('should post a balanced entry splitting the vault contribution over the buckets', async () => {
+      const entry = await ledger.recordPayment(payment);
+
+      expect(entry.eventKey).toBe(`payment:${payment._id}`);
+      expect(sumOf(entry.lines, 'debit')).toBe(20);
+      expect(sumOf(entry.lines, 'credit')).toBe(20);
+      expect(entry.lines).toEqual(expect.arrayContaining([
+        expect.objectContaining({ account: `business:${businessId}:wallet`, debit: 19.54 }),
+        expect.objectContaining({ account: 'platform:fee_wallet', debit: 0.2 }),
+        expect.objectContaining({ account: 'vault:rewards', debit: 0.2 }),
+        expect.objectContaining({ account: 'vault:gift_cards', debit: 0.02184 }),
+        expect.objectContaining({ account: 'vault:surplus', debit: 0.03816 }),
+        expect.objectContaining({ account: `business:${businessId}:vault_contributions`, credit: 0.26 })
+      ]));
+    });
+
+    test('should re-derive the business and vault projections', async () => {
+      JournalEntry.aggregate.mockResolvedValue([
+        { _id: `business:${businessId}:vault_contributions`, debits: 0, credits: 0.26 }
+      ]);
+
+      await ledger.recordPayment(payment);
+
+      expect(Business.updateOne).toHaveBeenCalledWith(
+        { _id: businessId },
+        { $set: { 'vaultContribution.totalContributed': 0.26 } }
+      );
+      expect(Vault.updateOne).toHaveBeenCalledWith(
+        { key: 'platform' },
+        { $set: expect.objectContaining({ balances: { rewards: 0, giftCards: 0, surplus: 0, staked: 0 } }) },
+        { upsert: true }
+      );
+    });
+
+    test('should not post the same payment twice', async () => {
+      const existing = { entryId: 'je_existing', eventKey: `payment:${payment._id}` };
+      JournalEntry.findOne.mockResolvedValue(existing);
+
+      const entry = await ledger.recordPayment(payment);
+
+      expect(entry).toBe(existing);
+      expect(JournalEntry.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('JournalEntry model', () => {
+    const RealJournalEntry = jest.requireActual('../../../src/models/JournalEntry');
+
+    test('should reject unbalanced entries', async () => {
+      const entry = new RealJournalEntry({
+        entryId: `je_${'a'.repeat(24)}`,
+        eventType: 'payment',
+        eventKey: 'payment:unbalanced',
+        currency: 'USDC',
+        lines: [
+          { account: 'platform:fee_wallet', debit: 1 },
+          { account: 'platform:fee_revenue', credit: 0.9 }
+        ]
+      });
+
+      await expect(entry.validate()).rejects.toThrow('Journal entry is unbalanced');
+    });
+
+    test('should reject updates to posted entries', async () => {
+      await expect(RealJournalEntry.updateOne({ eventKey: 'payment:1' }, { $set: { description: 'edited' } }))
+        .rejects.toThrow('Journal entries are append-only');
+    });
+  });
+
+  describe('reconcile', () => {
+    test('should flag wallets whose on-chain balance differs from the ledger', async () => {
+      JournalEntry.aggregate.mockResolvedValue([
+        { _id: 'platform:fee_wallet', debits: 0.2, credits: 0 },
+        { _id: 'platform:fee_revenue', debits: 0, credits: 0.2 },
+        { _id: 'vault:rewards', debits: 0.2, credits: 0 },
+        { _id: 'vault:surplus', debits: 0.06, credits: 0 },
+        { _id: `business:${businessId}:vault_contributions`, debits: 0, credits: 0.26 }
+      ]);
+      chain.connection.getTokenAccountBalance
+        .mockResolvedValueOnce({ value: { uiAmountString: '0.2' } })   // Fee wallet
+        .mockResolvedValueOnce({ value: { uiAmountString: '0.25' } })  // Vault
+        .mockRejectedValueOnce(new Error('could not find account'));     // Treasury
+
+      const report = await ledger.reconcile();
+
+      expect(report.reconciled).toBe(false);
+      expect(report.wallets).toEqual([
+        expect.objectContaining({ wallet: 'PLATFORM_FEE_WALLET', ledgerBalance: 0.2, onChainBalance: 0.2, status: 'matched' }),
+        expect.objectContaining({ wallet: 'PLATFORM_VAULT_ADDRESS', ledgerBalance: 0.26, onChainBalance: 0.25, difference: -0.01, status: 'mismatch' }),
+        expect.objectContaining({ wallet: 'TREASURY_WALLET_ADDRESS', currency: 'PIZZA', ledgerBalance: 0, onChainBalance: 0, status: 'matched' })
+      ]);
+      expect(report.trialBalance.USDC).toEqual({ debits: 0.46, credits: 0.46, balanced: true });
+    });
+  });
+});
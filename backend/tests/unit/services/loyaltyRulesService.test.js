@@ -0,0 +1,156 @@
+jest.mock('../../../src/models/Business', () => ({
+  LOYALTY_RULE_CONDITIONS: ['minimum_purchase', 'customer_tier', 'day_of_week', 'visit_count', 'token_balance']
+}));
+
+const loyaltyRulesService = require('../../../src/services/loyaltyRulesService');
+
+describe('LoyaltyRulesService', () => {
+  const LoyaltyRulesService = loyaltyRulesService.constructor;
+  let service;
+
+  const business = (loyaltyProgram = {}, customRules = []) => ({
+    _id: 'business-id',
+    loyaltyProgram: { isActive: true, discountRules: [], nftRewards: [], ...loyaltyProgram },
+    loyaltyVault: { customRules }
+  });
+  const customer = (overrides = {}) => ({
+    wallet: { pizzaSPLBalance: 0 },
+    payments: { favoriteBusinesses: [] },
+    ...overrides
+  });
+  // 2026-10-20 is a Tuesday
+  const tuesday = new Date('2026-10-20T12:00:00Z');
+  const wednesday = new Date('2026-10-21T12:00:00Z');
+
+  beforeEach(() => {
+    service = new LoyaltyRulesService();
+  });
+
+  describe('validateRules', () => {
+    test('should accept well-formed rules', () => {
+      expect(service.validateRules({
+        discountRules: [{ requiredTokens: 3, discountPercent: 10 }, { everyNthVisit: 10, discountPercent: 100 }],
+        customRules: [{ condition: 'day_of_week', value: [2], multiplier: 2 }]
+      })).toEqual([]);
+    });
+
+    test('should report each invalid rule', () => {
+      const errors = service.validateRules({
+        discountRules: [{ discountPercent: 10 }, { everyNthVisit: 1, discountPercent: 150 }],
+        customRules: [{ condition: 'moon_phase', value: 1, multiplier: 2 }, { condition: 'day_of_week', value: [7], multiplier: 6 }]
+      });
+
+      expect(errors).toEqual([
+        'discountRules[0]: set requiredTokens, everyNthVisit or both',
+        'discountRules[1]: discountPercent must be between 0 and 100',
+        'discountRules[1]: everyNthVisit must be a whole number of at least 2',
+        'customRules[0]: condition must be one of minimum_purchase, customer_tier, day_of_week, visit_count, token_balance',
+        'customRules[1]: multiplier must be between 0 and 5',
+        'customRules[1]: day_of_week value must be days 0-6 (0 = Sunday)'
+      ]);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('should discount customers holding enough $PIZZA SPL', () => {
+      const shop = business({ discountRules: [{ requiredTokens: 3, discountPercent: 10 }] });
+      const context = service.buildContext({ business: shop, customer: customer({ wallet: { pizzaSPLBalance: 5 } }), amount: 20 });
+
+      const result = service.evaluate(shop, context);
+
+      expect(result.discount).toBe(2);
+      expect(result.rulesFired).toEqual([
+        { ruleId: 'discountRules:0', type: 'discount', description: '10% off holding 3 $PIZZA SPL', value: 2 }
+      ]);
+    });
+
+    test('should make every 10th visit free down to the minimum payment, excluding the tip', () => {
+      const shop = business({ discountRules: [{ everyNthVisit: 10, discountPercent: 100 }] });
+      const regular = customer({
+        payments: { favoriteBusinesses: [{ businessId: 'business-id', totalVisits: 9 }] }
+      });
+
+      const result = service.evaluate(shop, service.buildContext({ business: shop, customer: regular, amount: 18, tipAmount: 3 }));
+
+      expect(result.discount).toBe(14);
+      expect(service.evaluate(shop, service.buildContext({ business: shop, customer: customer(), amount: 18 })).discount).toBe(0);
+    });
+
+    test('should apply only the best discount', () => {
+      const shop = business({
+        discountRules: [
+          { requiredTokens: 3, discountPercent: 10 },
+          { requiredTokens: 10, discountPercent: 25, maxDiscount: 4 }
+        ]
+      });
+      const context = service.buildContext({ business: shop, customer: customer({ wallet: { pizzaSPLBalance: 12 } }), amount: 30 });
+
+      const result = service.evaluate(shop, context);
+
+      expect(result.discount).toBe(4);
+      expect(result.discountRule.ruleId).toBe('discountRules:1');
+      expect(result.rulesFired.filter(rule => rule.type === 'discount')).toHaveLength(1);
+    });
+
+    test('should double rewards on Tuesdays for registered customers only', () => {
+      const shop = business({}, [{ condition: 'day_of_week', value: [2], multiplier: 2 }]);
+
+      expect(service.evaluate(shop, service.buildContext({ business: shop, customer: customer(), amount: 15, at: tuesday }))).toMatchObject({
+        rewardMultiplier: 2,
+        rulesFired: [{ ruleId: 'customRules:0', type: 'reward_multiplier', description: '2x rewards on Tuesday', value: 2 }]
+      });
+      expect(service.evaluate(shop, service.buildContext({ business: shop, customer: customer(), amount: 15, at: wednesday })).rewardMultiplier).toBe(1);
+      expect(service.evaluate(shop, service.buildContext({ business: shop, customer: null, amount: 15, at: tuesday })).rewardMultiplier).toBe(1);
+    });
+
+    test('should stack the customer\'s tier multiplier with rule multipliers', () => {
+      const shop = business({}, [{ condition: 'customer_tier', value: ['pizzeria'], multiplier: 2 }]);
+      const regular = customer({
+        payments: { favoriteBusinesses: [{ businessId: 'business-id', totalVisits: 20, tier: { name: 'pizzeria' } }] }
+      });
+
+      const result = service.evaluate(shop, service.buildContext({ business: shop, customer: regular, amount: 15 }));
+
+      expect(result.rewardMultiplier).toBe(3);
+      expect(result.rulesFired.map(rule => rule.ruleId)).toEqual(['tier:pizzeria', 'customRules:0']);
+    });
+
+    test('should fire nothing while the loyalty program is inactive', () => {
+      const shop = business({ isActive: false, discountRules: [{ requiredTokens: 0, discountPercent: 10 }] });
+
+      expect(service.evaluate(shop, service.buildContext({ business: shop, customer: customer(), amount: 20 }))).toEqual({
+        discount: 0,
+        discountRule: null,
+        rewardMultiplier: 1,
+        rulesFired: [],
+        perks: []
+      });
+    });
+  });
+
+  describe('preview', () => {
+    test('should price a payment under proposed rules without saving them', () => {
+      const shop = business({ discountRules: [{ requiredTokens: 3, discountPercent: 10 }] });
+
+      const preview = service.preview(shop, {
+        amount: 15,
+        tokenBalance: 5,
+        dayOfWeek: 2,
+        rules: { customRules: [{ condition: 'day_of_week', value: [2], multiplier: 2 }] }
+      });
+
+      expect(preview.context.dayOfWeek).toBe(2);
+      expect(preview.discount).toBe(1.5);
+      expect(preview.amountDue).toBe(13.5);
+      expect(preview.reward).toEqual({ baseAmount: 0.27, amount: 0.54, cost: 0.27 });
+      expect(shop.loyaltyVault.customRules).toEqual([]);
+    });
+
+    test('should reject invalid proposed rules', () => {
+      expect(() => service.preview(business(), {
+        amount: 15,
+        rules: { customRules: [{ condition: 'day_of_week', value: [9], multiplier: 2 }] }
+      })).toThrow('Invalid loyalty rules: customRules[0]: day_of_week value must be days 0-6 (0 = Sunday)');
+    });
+  });
+});
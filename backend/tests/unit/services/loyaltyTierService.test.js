@@ -0,0 +1,139 @@
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn(), find: jest.fn() }));
+jest.mock('../../../src/models/Business', () => ({ find: jest.fn() }));
+jest.mock('../../../src/models/Transaction', () => ({ aggregate: jest.fn() }));
+
+const Business = require('../../../src/models/Business');
+const Transaction = require('../../../src/models/Transaction');
+const loyaltyTierService = require('../../../src/services/loyaltyTierService');
+
+describe('LoyaltyTierService', () => {
+  const LoyaltyTierService = loyaltyTierService.constructor;
+  const config = {
+    windowDays: 90,
+    evaluationIntervalMs: 1000,
+    batchSize: 10,
+    tiers: [
+      { name: 'slice', label: 'Slice', rewardMultiplier: 1, perks: ['Rewards'], business: { minSpend: 0, minVisits: 0 }, platform: { minSpend: 0, minVisits: 0 } },
+      { name: 'pie', label: 'Pie', rewardMultiplier: 1.25, perks: ['1.25x rewards'], business: { minSpend: 100, minVisits: 5 }, platform: { minSpend: 250, minVisits: 10 } },
+      { name: 'pizzeria', label: 'Pizzeria', rewardMultiplier: 1.5, perks: ['1.5x rewards'], business: { minSpend: 300, minVisits: 12 }, platform: { minSpend: 750, minVisits: 25 } }
+    ]
+  };
+  const businessId = '64b7f0c2a1b2c3d4e5f60718';
+  const now = new Date('2026-10-18T00:00:00Z');
+
+  const customer = ({ platformTier = 'slice', businessTier = 'slice' } = {}) => ({
+    _id: '64b7f0c2a1b2c3d4e5f60001',
+    email: 'fan@example.com',
+    preferences: { emailNotifications: true },
+    payments: {
+      tier: { name: platformTier, since: new Date('2026-06-01') },
+      tierHistory: [],
+      favoriteBusinesses: [{ businessId, tier: { name: businessTier }, loyaltyPerks: [] }]
+    },
+    save: jest.fn().mockResolvedValue()
+  });
+  const activity = (spend, visits) => ({
+    platform: { spend, visits },
+    businesses: new Map([[businessId, { spend, visits }]])
+  });
+
+  let service;
+  let sendEmail;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    sendEmail = jest.fn().mockResolvedValue();
+    service = new LoyaltyTierService(config);
+    service.sendEmail = sendEmail;
+
+    Business.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: businessId, businessName: 'Tony\'s Pizza' }]) });
+  });
+
+  test('should require both the spend and the visit minimum for a tier', () => {
+    expect(service.qualifyingTier('business', { spend: 400, visits: 4 }).name).toBe('slice');
+    expect(service.qualifyingTier('business', { spend: 120, visits: 20 }).name).toBe('pie');
+    expect(service.qualifyingTier('business', { spend: 300, visits: 12 }).name).toBe('pizzeria');
+    expect(service.qualifyingTier('platform', { spend: 300, visits: 12 }).name).toBe('pie');
+  });
+
+  test('should reward at the better of the business and platform-wide tiers', () => {
+    expect(service.getRewardTier(customer({ platformTier: 'pie', businessTier: 'pizzeria' }), businessId))
+      .toMatchObject({ name: 'pizzeria', rewardMultiplier: 1.5, scope: 'business' });
+    expect(service.getRewardTier(customer({ platformTier: 'pie' }), businessId))
+      .toMatchObject({ name: 'pie', rewardMultiplier: 1.25, scope: 'platform' });
+  });
+
+  test('should total rolling spend excluding tips and refunds per business', async () => {
+    Transaction.aggregate.mockResolvedValue([
+      { _id: { userId: 'user-1', businessId }, spend: 80, visits: 4 },
+      { _id: { userId: 'user-1', businessId: 'other-business' }, spend: 45.5, visits: 2 }
+    ]);
+
+    const result = await service.getRollingActivity(['64b7f0c2a1b2c3d4e5f60001'], now);
+
+    // Guest payments recorded against the request's creator don't count
+    const [pipeline] = Transaction.aggregate.mock.calls[0];
+    expect(pipeline[0].$match.userId.$in.map(id => id.toString())).toEqual(['64b7f0c2a1b2c3d4e5f60001']);
+    expect(pipeline[0].$match).toMatchObject({
+      guestPayment: { $ne: true },
+      type: 'payment',
+      status: 'confirmed',
+      createdAt: { $gte: new Date('2026-07-20T00:00:00Z'), $lte: now }
+    });
+    expect(result.get('user-1').platform).toEqual({ spend: 125.5, visits: 6 });
+    expect(result.get('user-1').businesses.get(businessId)).toEqual({ spend: 80, visits: 4 });
+  });
+
+  test('should promote, record the perk and history, and email the customer', async () => {
+    const user = customer();
+
+    const changes = await service.evaluateCustomer(user, activity(150, 6), { now });
+
+    expect(changes).toEqual([
+      { scope: 'business', businessId, from: 'slice', to: 'pie', direction: 'promotion' }
+    ]);
+    expect(user.payments.favoriteBusinesses[0].tier).toEqual({
+      name: 'pie', since: now, rollingSpend: 150, rollingVisits: 6, evaluatedAt: now
+    });
+    expect(user.payments.tier.since).toEqual(new Date('2026-06-01'));
+    expect(user.payments.favoriteBusinesses[0].loyaltyPerks).toEqual([{ perkType: 'tier', value: 'pie', earnedAt: now }]);
+    expect(user.payments.tierHistory).toHaveLength(1);
+    expect(user.save).toHaveBeenCalled();
+    expect(sendEmail).toHaveBeenCalledWith(
+      'fan@example.com',
+      'You moved up a PizzaPlatform loyalty tier!',
+      expect.stringContaining('member at Tony\'s Pizza')
+    );
+  });
+
+  test('should only demote when demotions are allowed', async () => {
+    const atTill = customer({ businessTier: 'pizzeria' });
+    expect(await service.evaluateCustomer(atTill, activity(150, 6), { now, allowDemotion: false })).toEqual([]);
+    expect(atTill.payments.favoriteBusinesses[0].tier.name).toBe('pizzeria');
+
+    const nightly = customer({ businessTier: 'pizzeria' });
+    const changes = await service.evaluateCustomer(nightly, undefined, { now });
+
+    expect(changes).toEqual([
+      { scope: 'business', businessId, from: 'pizzeria', to: 'slice', direction: 'demotion' }
+    ]);
+    expect(nightly.payments.favoriteBusinesses[0].loyaltyPerks).toEqual([]);
+    expect(sendEmail).toHaveBeenCalledWith('fan@example.com', 'Your PizzaPlatform loyalty tier changed', expect.any(String));
+  });
+
+  test('should not email customers who turned off email notifications', async () => {
+    const user = customer();
+    user.preferences.emailNotifications = false;
+
+    await service.evaluateCustomer(user, activity(150, 6), { now });
+
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('should skip an evaluation while one is in progress', async () => {
+    service.evaluationInProgress = true;
+
+    expect(await service.runEvaluation(now)).toEqual({ evaluated: 0, promotions: 0, demotions: 0, skipped: true });
+  });
+});
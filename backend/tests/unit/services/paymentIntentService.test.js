@@ -0,0 +1,131 @@
+jest.mock('../../../src/models/PaymentIntent', () => ({
+  findByReference: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn(),
+  create: jest.fn()
+}));
+
+const PaymentIntent = require('../../../src/models/PaymentIntent');
+const paymentIntentService = require('../../../src/services/paymentIntentService');
+
+describe('PaymentIntentService', () => {
+  const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+
+  const mockIntent = (overrides = {}) => ({
+    _id: 'intent-id',
+    reference,
+    status: 'awaiting_payment',
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    paymentIntentService.removeAllListeners();
+  });
+
+  describe('transition', () => {
+    test('should apply an allowed transition conditioned on the current status', async () => {
+      PaymentIntent.findByReference.mockResolvedValue(mockIntent());
+      PaymentIntent.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+        ...mockIntent(),
+        ...update.$set
+      }));
+
+      const events = [];
+      paymentIntentService.on('transition', event => events.push(event));
+
+      const updated = await paymentIntentService.markDetected(reference, { signature: 'sig123' });
+
+      expect(updated.status).toBe('detected');
+      expect(updated.signature).toBe('sig123');
+      expect(updated.detectedAt).toBeInstanceOf(Date);
+
+      const [filter, update] = PaymentIntent.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'intent-id', status: 'awaiting_payment' });
+      expect(update.$push.statusHistory).toMatchObject({ from: 'awaiting_payment', to: 'detected' });
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ from: 'awaiting_payment', to: 'detected' });
+    });
+
+    test('should reject transitions outside the state graph', async () => {
+      PaymentIntent.findByReference.mockResolvedValue(mockIntent({ status: 'cancelled' }));
+
+      await expect(paymentIntentService.transition(reference, 'confirmed'))
+        .rejects.toThrow('Invalid payment intent transition: cancelled -> confirmed');
+      expect(PaymentIntent.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should fail when another request changed the state first', async () => {
+      PaymentIntent.findByReference.mockResolvedValue(mockIntent());
+      PaymentIntent.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(paymentIntentService.cancel(reference)).rejects.toThrow('changed state concurrently');
+    });
+
+    test('should allow late payments to be detected after expiry', () => {
+      expect(paymentIntentService.canTransition('expired', 'detected')).toBe(true);
+      expect(paymentIntentService.canTransition('expired', 'confirmed')).toBe(false);
+      expect(paymentIntentService.canTransition('settled', 'failed')).toBe(false);
+    });
+  });
+
+  describe('getIntent', () => {
+    test('should expire open intents past their deadline', async () => {
+      PaymentIntent.findByReference.mockResolvedValue(mockIntent({ expiresAt: new Date(Date.now() - 1000) }));
+      PaymentIntent.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+        ...mockIntent(),
+        ...update.$set
+      }));
+
+      const intent = await paymentIntentService.getIntent(reference);
+
+      expect(intent.status).toBe('expired');
+      expect(paymentIntentService.toStatus(intent)).toMatchObject({
+        completed: true,
+        success: false,
+        error: 'Payment request expired'
+      });
+    });
+  });
+
+  describe('setLoyaltyDiscount', () => {
+    const fees = { platformFee: 0.2, vaultContribution: 0.26, totalFees: 0.46, merchantAmount: 19.54 };
+    const business = {
+      calculateTransactionFees: jest.fn(amount => ({ platformFee: 0.18, vaultContribution: 0.23, totalFees: 0.41, merchantAmount: amount - 0.41 }))
+    };
+    const discount = { ruleId: 'r1', type: 'discount', description: '10% off', value: 2 };
+
+    test('should freeze the discounted price for the first wallet that requests a transaction', async () => {
+      PaymentIntent.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...mockIntent(), ...update.$set }));
+
+      const priced = await paymentIntentService.setLoyaltyDiscount(mockIntent({ amount: 20, fees }), business, {
+        customerWallet: 'LoyalWallet',
+        discount: 2,
+        rulesFired: [discount]
+      });
+
+      const [filter] = PaymentIntent.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ reference, pricedFor: { $exists: false } });
+      expect(priced).toMatchObject({ amount: 18, pricedFor: 'LoyalWallet' });
+      expect(priced.loyalty).toMatchObject({ customerWallet: 'LoyalWallet', originalAmount: 20, discount: 2 });
+    });
+
+    test('should keep the frozen price for retries and other wallets', async () => {
+      const frozen = mockIntent({ amount: 18, pricedFor: 'LoyalWallet', loyalty: { customerWallet: 'LoyalWallet', originalAmount: 20, discount: 2 } });
+
+      const priced = await paymentIntentService.setLoyaltyDiscount(frozen, business, { customerWallet: 'OtherWallet' });
+
+      expect(priced).toBe(frozen);
+      expect(PaymentIntent.findOneAndUpdate).not.toHaveBeenCalled();
+
+      // Lost the race to freeze it: use the price the other request froze
+      PaymentIntent.findOneAndUpdate.mockResolvedValue(null);
+      PaymentIntent.findByReference.mockResolvedValue({ ...frozen, isOpen: () => true });
+
+      const raced = await paymentIntentService.setLoyaltyDiscount(mockIntent({ amount: 20, fees }), business, { customerWallet: 'OtherWallet' });
+      expect(raced).toMatchObject({ amount: 18, pricedFor: 'LoyalWallet' });
+    });
+  });
+});
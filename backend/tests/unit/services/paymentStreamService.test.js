@@ -0,0 +1,65 @@
+const EventEmitter = require('events');
+const paymentStreamService = require('../../../src/services/paymentStreamService');
+
+describe('PaymentStreamService', () => {
+  const PaymentStreamService = paymentStreamService.constructor;
+  let intentService;
+  let streamService;
+
+  const mockResponse = () => ({
+    status: jest.fn(),
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn()
+  });
+
+  const mockRequest = () => new EventEmitter();
+
+  const events = res => res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter(chunk => chunk.startsWith('event: '))
+    .map(chunk => chunk.slice(7).trim());
+
+  const intent = {
+    reference: '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU',
+    businessId: 'business-1',
+    status: 'confirmed'
+  };
+
+  beforeEach(() => {
+    intentService = new EventEmitter();
+    intentService.toStatus = jest.fn(current => ({ reference: current.reference, status: current.status }));
+    streamService = new PaymentStreamService(intentService);
+  });
+
+  test('should push transitions to reference and business subscribers', () => {
+    const referenceRes = mockResponse();
+    const businessRes = mockResponse();
+    const otherBusinessRes = mockResponse();
+
+    streamService.subscribeToReference(mockRequest(), referenceRes, { ...intent, status: 'awaiting_payment' });
+    streamService.subscribeToBusinesses(mockRequest(), businessRes, ['business-1']);
+    streamService.subscribeToBusinesses(mockRequest(), otherBusinessRes, ['business-2']);
+
+    intentService.emit('transition', { intent, from: 'detected', to: 'confirmed' });
+
+    expect(referenceRes.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(events(referenceRes)).toEqual(['payment.snapshot', 'payment.confirmed']);
+    expect(events(businessRes)).toEqual(['stream.ready', 'payment.confirmed']);
+    expect(events(otherBusinessRes)).toEqual(['stream.ready']);
+  });
+
+  test('should drop clients when the connection closes', () => {
+    const req = mockRequest();
+    const res = mockResponse();
+
+    streamService.subscribeToReference(req, res, intent);
+    expect(streamService.getStats().referenceStreams).toBe(1);
+
+    req.emit('close');
+    intentService.emit('transition', { intent, from: 'detected', to: 'confirmed' });
+
+    expect(streamService.getStats().referenceStreams).toBe(0);
+    expect(events(res)).toEqual(['payment.snapshot']);
+  });
+});
@@ -0,0 +1,295 @@
+const { Keypair, Transaction: SolanaTransaction } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, createTransferCheckedInstruction } = require('@solana/spl-token');
+
+jest.mock('../../../src/models/PaymentIntent', () => ({
+  find: jest.fn(),
+  findByReference: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/models/Transaction', () => {
+  const MockTransaction = jest.fn(function(data) {
+    Object.assign(this, data);
+    this._id = 'transaction-id';
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  MockTransaction.findOne = jest.fn();
+  MockTransaction.findById = jest.fn();
+  MockTransaction.find = jest.fn(() => ({ limit: jest.fn().mockResolvedValue([]) }));
+  return MockTransaction;
+});
+
+const PaymentIntent = require('../../../src/models/PaymentIntent');
+const Business = require('../../../src/models/Business');
+const User = require('../../../src/models/User');
+const Transaction = require('../../../src/models/Transaction');
+const PaymentWatcherService = require('../../../src/services/paymentWatcherService');
+
+describe('PaymentWatcherService', () => {
+  const customer = Keypair.generate().publicKey;
+  const businessWallet = Keypair.generate().publicKey;
+  const reference = Keypair.generate().publicKey;
+  const signature = '5'.repeat(88);
+
+  let connection;
+  let intentService;
+  let rewardsService;
+  let ledger;
+  let rewardQueue;
+  let watcher;
+  let intent;
+
+  // Transfer Request payment of `amount` USDC carrying the reference key
+  const buildPaymentResponse = async (mint, amount) => {
+    const customerATA = await getAssociatedTokenAddress(mint, customer);
+    const businessATA = await getAssociatedTokenAddress(mint, businessWallet);
+    const instruction = createTransferCheckedInstruction(
+      customerATA, mint, businessATA, customer, Math.round(amount * 1e6), 6
+    );
+    instruction.keys.push({ pubkey: reference, isSigner: false, isWritable: false });
+
+    const transaction = new SolanaTransaction({
+      feePayer: customer,
+      recentBlockhash: Keypair.generate().publicKey.toBase58()
+    }).add(instruction);
+    const message = transaction.compileMessage();
+    const accountIndex = message.accountKeys.findIndex(key => key.equals(businessATA));
+
+    return {
+      transaction: { message, signatures: [signature] },
+      meta: {
+        err: null,
+        preTokenBalances: [{ accountIndex, uiTokenAmount: { uiAmountString: '0' } }],
+        postTokenBalances: [{ accountIndex, uiTokenAmount: { uiAmountString: String(amount) } }]
+      }
+    };
+  };
+
+  // PaymentIntent.find over `intents`, honouring the status group, cursor, backoff exclusion and limit
+  // (`retries` are the confirmed intents with a reward retry due)
+  const mockWatchedIntents = (intents, retries = []) => {
+    PaymentIntent.find.mockImplementation(filter => ({
+      sort: () => ({
+        limit: jest.fn(async limit => filter['rewardRetry.nextAttemptAt'] ? retries : intents
+          .filter(entry => (filter.status === 'expired') === (entry.status === 'expired'))
+          .filter(entry => !filter._id || entry._id > filter._id.$gt)
+          .filter(entry => !filter.reference || !filter.reference.$nin.includes(entry.reference))
+          .slice(0, limit))
+      })
+    }));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    intent = {
+      reference: reference.toBase58(),
+      businessId: 'business-id',
+      createdBy: 'creator-id',
+      amount: 20,
+      requestType: 'transfer',
+      status: 'awaiting_payment',
+      fees: { platformFee: 0.2, vaultContribution: 0.26, totalFees: 0.46, merchantAmount: 19.54 }
+    };
+
+    mockWatchedIntents([intent]);
+    Business.findById.mockResolvedValue({
+      _id: 'business-id',
+      businessType: 'CN',
+      businessWallet: { publicKey: businessWallet.toBase58() }
+    });
+    User.findOne.mockResolvedValue({ _id: 'customer-id' });
+    Transaction.findOne.mockResolvedValue(null);
+
+    connection = {
+      getSignaturesForAddress: jest.fn().mockResolvedValue([]),
+      getTransaction: jest.fn()
+    };
+    intentService = {
+      markDetected: jest.fn().mockResolvedValue({ ...intent, status: 'detected' }),
+      markConfirmed: jest.fn().mockResolvedValue({ ...intent, status: 'confirmed' }),
+      fail: jest.fn().mockResolvedValue({ ...intent, status: 'failed' })
+    };
+    rewardsService = {
+      processPaymentReward: jest.fn().mockResolvedValue({ success: true }),
+      fundPlatformVault: jest.fn().mockResolvedValue({ success: true })
+    };
+    ledger = { recordPayment: jest.fn().mockResolvedValue({}) };
+    rewardQueue = { getPaymentReward: jest.fn().mockResolvedValue(null) };
+
+    watcher = new PaymentWatcherService({
+      connection,
+      intentService,
+      rewardsService,
+      ledger,
+      rewardQueue,
+      config: { retryBaseMs: 1000, retryMaxMs: 4000 }
+    });
+  });
+
+  test('should confirm a matching on-chain payment and distribute the reward', async () => {
+    connection.getSignaturesForAddress.mockResolvedValue([{ signature, blockTime: 1700000000, slot: 42 }]);
+    connection.getTransaction.mockResolvedValue(await buildPaymentResponse(watcher.solanaPayService.usdcMint, 20));
+
+    const confirmed = jest.fn();
+    watcher.on('confirmed', confirmed);
+
+    const summary = await watcher.scan();
+
+    expect(summary).toMatchObject({ checked: 1, confirmed: 1 });
+    expect(intentService.markDetected).toHaveBeenCalledWith(intent.reference, {
+      signature,
+      customerWallet: customer.toBase58()
+    });
+    expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+      signature,
+      userId: 'customer-id',
+      guestPayment: false,
+      amount: 20,
+      paymentReference: intent.reference,
+      settlement: { netAmount: 19.54 }
+    }));
+    expect(intentService.markConfirmed).toHaveBeenCalledWith(intent.reference, expect.objectContaining({
+      transactionId: 'transaction-id',
+      signature
+    }));
+    expect(ledger.recordPayment).toHaveBeenCalledWith(expect.objectContaining({
+      _id: 'transaction-id',
+      amount: 20
+    }));
+    expect(rewardsService.processPaymentReward).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'customer-id',
+      transactionId: 'transaction-id',
+      transactionAmount: 20,
+      vaultContribution: 0.26
+    }));
+    expect(confirmed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reward a payment recorded by an earlier attempt once', async () => {
+    connection.getSignaturesForAddress.mockResolvedValue([{ signature, blockTime: 1700000000, slot: 42 }]);
+    connection.getTransaction.mockResolvedValue(await buildPaymentResponse(watcher.solanaPayService.usdcMint, 20));
+
+    // Transaction saved, then the confirmation failed before the reward was queued
+    Transaction.findOne.mockResolvedValue({ _id: 'transaction-id', amount: 20 });
+    await watcher.scan();
+
+    expect(Transaction).not.toHaveBeenCalled();
+    expect(rewardQueue.getPaymentReward).toHaveBeenCalledWith('transaction-id');
+    expect(rewardsService.processPaymentReward).toHaveBeenCalledTimes(1);
+
+    // Already queued - not rewarded again
+    rewardQueue.getPaymentReward.mockResolvedValue({ rewardId: 'rw_1' });
+    await watcher.scan();
+    expect(rewardsService.processPaymentReward).toHaveBeenCalledTimes(1);
+  });
+
+  test('should store a failed reward on the intent and retry it on a later scan', async () => {
+    connection.getSignaturesForAddress.mockResolvedValue([{ signature, blockTime: 1700000000, slot: 42 }]);
+    connection.getTransaction.mockResolvedValue(await buildPaymentResponse(watcher.solanaPayService.usdcMint, 20));
+    rewardsService.processPaymentReward.mockRejectedValueOnce(new Error('Mongo connection lost'));
+
+    const summary = await watcher.scan();
+
+    // The payment is still confirmed
+    expect(summary).toMatchObject({ confirmed: 1, rewardsRetried: 0 });
+    const [filter, update] = PaymentIntent.updateOne.mock.calls[0];
+    expect(filter).toEqual({ reference: intent.reference });
+    expect(update.$set.rewardRetry).toMatchObject({ attempts: 1, lastError: 'Mongo connection lost' });
+
+    // Next scan: the intent is confirmed and its retry is due
+    const confirmed = {
+      ...intent,
+      status: 'confirmed',
+      transactionId: 'transaction-id',
+      customerWallet: customer.toBase58(),
+      rewardRetry: update.$set.rewardRetry
+    };
+    mockWatchedIntents([], [confirmed]);
+    connection.getSignaturesForAddress.mockResolvedValue([]);
+    Transaction.findById.mockResolvedValue({ _id: 'transaction-id', walletAddress: customer.toBase58(), guestPayment: false });
+
+    expect(await watcher.scan()).toMatchObject({ rewardsRetried: 1 });
+    expect(User.findOne).toHaveBeenLastCalledWith({ 'wallet.address': customer.toBase58() });
+    expect(rewardsService.processPaymentReward).toHaveBeenCalledTimes(2);
+    expect(PaymentIntent.updateOne).toHaveBeenLastCalledWith({ reference: intent.reference }, { $unset: { rewardRetry: 1 } });
+  });
+
+  test('should record a payment from an unregistered wallet as a guest payment', async () => {
+    connection.getSignaturesForAddress.mockResolvedValue([{ signature, blockTime: 1700000000, slot: 42 }]);
+    connection.getTransaction.mockResolvedValue(await buildPaymentResponse(watcher.solanaPayService.usdcMint, 20));
+    User.findOne.mockResolvedValue(null);
+
+    await watcher.scan();
+
+    // Attributed to the request's creator, but flagged so it never counts as their own spend
+    expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'creator-id',
+      guestPayment: true,
+      walletAddress: customer.toBase58()
+    }));
+    expect(rewardsService.processPaymentReward).not.toHaveBeenCalled();
+    expect(rewardsService.fundPlatformVault).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 0.26,
+      transactionId: 'transaction-id'
+    }));
+  });
+
+  test('should fail the intent when the referenced transfer is short', async () => {
+    connection.getSignaturesForAddress.mockResolvedValue([{ signature, blockTime: 1700000000, slot: 42 }]);
+    connection.getTransaction.mockResolvedValue(await buildPaymentResponse(watcher.solanaPayService.usdcMint, 5));
+
+    const summary = await watcher.scan();
+
+    expect(summary.failed).toBe(1);
+    expect(intentService.fail).toHaveBeenCalledWith(intent.reference, expect.objectContaining({
+      failureReason: 'Payment validation failed: amount not transferred'
+    }));
+    expect(Transaction).not.toHaveBeenCalled();
+  });
+
+  test('should keep waiting while no transaction carries the reference', async () => {
+    const summary = await watcher.scan();
+
+    expect(summary).toMatchObject({ checked: 1, confirmed: 0, retrying: 0 });
+    expect(watcher.retryState.size).toBe(0);
+  });
+
+  test('should reach every intent when more are waiting than fit in a batch', async () => {
+    const stale = Array.from({ length: 5 }, (_, index) => ({
+      ...intent,
+      _id: index + 1,
+      reference: Keypair.generate().publicKey.toBase58()
+    }));
+    mockWatchedIntents(stale);
+    watcher = new PaymentWatcherService({ connection, intentService, rewardsService, ledger, config: { batchSize: 2 } });
+    const checkIntent = jest.spyOn(watcher, 'checkIntent').mockResolvedValue('pending');
+
+    await watcher.scan();
+    await watcher.scan();
+    await watcher.scan();
+
+    expect(checkIntent.mock.calls.map(([checked]) => checked._id)).toEqual([1, 2, 3, 4, 5]);
+
+    // Wrapped around to the oldest, and a reference in backoff gives its place to the next one
+    watcher.scheduleRetry(stale[0].reference, new Error('429 Too Many Requests'));
+    checkIntent.mockClear();
+    await watcher.scan();
+    expect(checkIntent.mock.calls.map(([checked]) => checked._id)).toEqual([2, 3]);
+  });
+
+  test('should back off exponentially on RPC errors', async () => {
+    connection.getSignaturesForAddress.mockRejectedValue(new Error('429 Too Many Requests'));
+
+    expect((await watcher.scan()).retrying).toBe(1);
+
+    // Next scan skips the reference until its retry time
+    expect((await watcher.scan()).checked).toBe(0);
+
+    const error = new Error('429 Too Many Requests');
+    expect(watcher.scheduleRetry(intent.reference, error)).toBe(2000);
+    expect(watcher.scheduleRetry(intent.reference, error)).toBe(4000);
+    expect(watcher.scheduleRetry(intent.reference, error)).toBe(4000);
+  });
+});
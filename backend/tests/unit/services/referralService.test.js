@@ -0,0 +1,202 @@
+jest.mock('../../../src/models/Referral', () => ({
+  create: jest.fn(data => Promise.resolve(data)),
+  exists: jest.fn().mockResolvedValue(null),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  countDocuments: jest.fn().mockResolvedValue(0)
+}));
+jest.mock('../../../src/models/ReferralCode', () => ({ findOne: jest.fn(), create: jest.fn() }));
+jest.mock('../../../src/models/ReferralCampaign', () => ({ findOne: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn(), updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/rewardQueueService', () => ({ enqueue: jest.fn() }));
+
+const Referral = require('../../../src/models/Referral');
+const ReferralCode = require('../../../src/models/ReferralCode');
+const ReferralCampaign = require('../../../src/models/ReferralCampaign');
+const User = require('../../../src/models/User');
+const rewardQueueService = require('../../../src/services/rewardQueueService');
+const referralService = require('../../../src/services/referralService');
+
+describe('ReferralService', () => {
+  const ReferralService = referralService.constructor;
+  const config = { referrerBonus: 1, refereeBonus: 0.5, minFirstPayment: 5, qualificationDays: 30, maxRewardedPerCode: 2 };
+  const now = new Date('2026-10-18T12:00:00Z');
+  const customerCode = { code: 'PZ7K3M9Q', ownerType: 'user', userId: 'referrer-id' };
+  const referrer = (overrides = {}) => ({
+    _id: 'referrer-id',
+    email: 'maria.rossi@gmail.com',
+    registrationIP: '203.0.113.7',
+    loginHistory: [{ ipAddress: '198.51.100.20' }],
+    securityEvents: [{ details: { deviceFingerprint: 'device-a' } }],
+    wallet: { address: 'ReferrerWallet11111111111111111111111111111' },
+    ...overrides
+  });
+  // Mongoose query whose .sort() resolves to `doc`
+  const sorted = doc => ({ sort: jest.fn().mockResolvedValue(doc) });
+
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ReferralService(config);
+    ReferralCampaign.findOne.mockReturnValue(sorted(null));
+    rewardQueueService.enqueue.mockImplementation(data => Promise.resolve({ rewardId: `rw_${data.userId}` }));
+  });
+
+  describe('detectAbuse', () => {
+    test("should flag the referrer's own email, IPs and devices", async () => {
+      User.findById.mockResolvedValue(referrer());
+
+      expect(await service.detectAbuse(customerCode, {
+        email: 'Maria.Rossi+pizza@gmail.com',
+        ipAddress: '198.51.100.20',
+        deviceFingerprint: 'device-a'
+      })).toEqual(['self_referral', 'same_ip', 'same_device']);
+    });
+
+    test('should flag repeat signups on the same code but ignore private IPs', async () => {
+      User.findById.mockResolvedValue(referrer({ registrationIP: '192.168.1.10' }));
+      Referral.exists.mockImplementation(query => Promise.resolve(query['signup.deviceFingerprint'] === 'device-b' ? { _id: 'earlier' } : null));
+
+      expect(await service.detectAbuse(customerCode, {
+        email: 'friend@example.com',
+        ipAddress: '192.168.1.10',
+        deviceFingerprint: 'device-b'
+      })).toEqual(['same_device']);
+      expect(Referral.exists).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('recordSignup', () => {
+    test('should record a clean signup as pending under the default terms', async () => {
+      User.findById.mockResolvedValue(referrer());
+
+      const referral = await service.recordSignup({
+        referee: { _id: 'referee-id', email: 'friend@example.com' },
+        referralCode: customerCode,
+        ipAddress: '203.0.113.99',
+        deviceFingerprint: 'device-c',
+        now
+      });
+
+      expect(referral).toMatchObject({
+        status: 'pending',
+        flags: [],
+        referrerType: 'user',
+        referrerUserId: 'referrer-id',
+        campaignId: null,
+        terms: { referrerBonus: 1, refereeBonus: 0.5, minFirstPayment: 5, maxRewardedPerCode: 2 },
+        qualifyBy: new Date('2026-11-17T12:00:00Z')
+      });
+      expect(referral.referralId).toMatch(/^rf_[a-f0-9]{24}$/);
+    });
+
+    test('should reject a flagged signup and never pay business code referrers', async () => {
+      ReferralCampaign.findOne.mockReturnValue(sorted({ campaignId: 'rcp_' + 'a'.repeat(24), name: 'Grand opening', referrerBonus: 3, refereeBonus: 2, minFirstPayment: 10, qualificationDays: 14, maxRewardedPerCode: 100 }));
+      require('../../../src/models/Business').findById.mockResolvedValue({ email: 'owner@tonyspizza.com', ownerId: 'owner-id' });
+      User.findById.mockResolvedValue(null);
+
+      const referral = await service.recordSignup({
+        referee: { _id: 'referee-id', email: 'owner@tonyspizza.com' },
+        referralCode: { code: 'TONY2345', ownerType: 'business', businessId: 'business-id' },
+        ipAddress: '203.0.113.99',
+        now
+      });
+
+      expect(ReferralCampaign.findOne).toHaveBeenCalledWith(expect.objectContaining({ audience: 'business' }));
+      expect(referral).toMatchObject({
+        status: 'rejected',
+        flags: ['self_referral'],
+        terms: { referrerBonus: 0, refereeBonus: 2, minFirstPayment: 10 }
+      });
+    });
+  });
+
+  describe('processPayment', () => {
+    const pending = (overrides = {}) => ({
+      _id: 'referral-doc-id',
+      referralId: 'rf_' + 'b'.repeat(24),
+      code: 'PZ7K3M9Q',
+      status: 'pending',
+      referrerUserId: 'referrer-id',
+      terms: { referrerBonus: 1, refereeBonus: 0.5, minFirstPayment: 5, maxRewardedPerCode: 2 },
+      qualifyBy: new Date('2026-11-01T00:00:00Z'),
+      ...overrides
+    });
+    const payment = { userId: 'referee-id', transactionId: 'payment-id', amount: 15, walletAddress: 'RefereeWallet111111111111111111111111111111', now };
+
+    test('should queue both bonuses on the first qualifying payment', async () => {
+      Referral.findOne.mockResolvedValue(pending());
+      User.findById.mockResolvedValue(referrer());
+      const claimed = { ...pending(), status: 'rewarded', qualifyingTransactionId: 'payment-id', save: jest.fn().mockResolvedValue() };
+      Referral.findOneAndUpdate.mockResolvedValue(claimed);
+
+      const result = await service.processPayment(payment);
+
+      expect(Referral.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'referral-doc-id', status: 'pending' });
+      expect(rewardQueueService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'referral_bonus', userId: 'referee-id', amount: 0.5, recipient: payment.walletAddress, transactionId: 'payment-id', rewardCost: 0.25
+      }));
+      expect(rewardQueueService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        kind: 'referral_bonus', userId: 'referrer-id', amount: 1, recipient: referrer().wallet.address
+      }));
+      expect(result.refereeBonus).toEqual({ amount: 0.5, status: 'queued', rewardId: 'rw_referee-id' });
+      expect(result.referrerBonus).toEqual({ amount: 1, status: 'queued', rewardId: 'rw_referrer-id' });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'referee-id' },
+        { $set: { 'referralData.processed': true, 'referralData.bonusAwarded': 0.5 } }
+      );
+    });
+
+    test('should wait for a payment of at least the minimum', async () => {
+      Referral.findOne.mockResolvedValue(pending());
+
+      expect(await service.processPayment({ ...payment, amount: 4.5 })).toBeNull();
+      expect(Referral.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test("should reject a payment made from the referrer's wallet", async () => {
+      Referral.findOne.mockResolvedValue(pending());
+      User.findById.mockResolvedValue(referrer());
+
+      expect(await service.processPayment({ ...payment, walletAddress: referrer().wallet.address })).toBeNull();
+      expect(Referral.updateOne.mock.calls[0][1]).toMatchObject({ $set: { status: 'rejected' }, $addToSet: { flags: 'same_wallet' } });
+      expect(rewardQueueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    test('should hold the referrer bonus without a wallet and stop it at the code cap', async () => {
+      Referral.findOne.mockResolvedValue(pending());
+      User.findById.mockResolvedValue(referrer({ wallet: {} }));
+      Referral.findOneAndUpdate.mockResolvedValue({ ...pending(), status: 'rewarded', save: jest.fn() });
+
+      expect((await service.processPayment(payment)).referrerBonus).toEqual({ amount: 1, status: 'held' });
+
+      Referral.countDocuments.mockResolvedValue(2);
+      Referral.findOneAndUpdate.mockResolvedValue({ ...pending(), status: 'rewarded', save: jest.fn() });
+
+      expect((await service.processPayment(payment)).referrerBonus).toEqual({ amount: 0, status: 'none' });
+    });
+
+    test('should expire a referral past its qualification window', async () => {
+      Referral.findOne.mockResolvedValue(pending({ qualifyBy: new Date('2026-10-01T00:00:00Z') }));
+
+      expect(await service.processPayment(payment)).toBeNull();
+      expect(Referral.updateOne).toHaveBeenCalledWith({ _id: 'referral-doc-id', status: 'pending' }, { $set: { status: 'expired' } });
+    });
+  });
+
+  test("should create an owner's code once and retry code collisions", async () => {
+    ReferralCode.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+    ReferralCode.create
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }))
+      .mockImplementationOnce(data => Promise.resolve(data));
+
+    const code = await service.getOrCreateCode({ userId: 'referrer-id' });
+
+    expect(ReferralCode.create).toHaveBeenCalledTimes(2);
+    expect(code).toMatchObject({ ownerType: 'user', userId: 'referrer-id' });
+    expect(code.code).toMatch(/^[A-HJKMNP-Z2-9]{8}$/);
+  });
+});
@@ -0,0 +1,240 @@
+jest.mock('../../../src/models/QueuedReward', () => ({
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn().mockResolvedValue({}),
+  updateOne: jest.fn().mockResolvedValue({}),
+  findByRewardId: jest.fn(),
+  STATUSES: ['pending', 'sending', 'sent', 'failed', 'dead_letter', 'cancelled']
+}));
+jest.mock('../../../src/models/Referral', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+jest.mock('../../../src/models/Transaction', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/vaultService', () => jest.fn().mockImplementation(() => ({
+  fundRewardDistribution: jest.fn().mockResolvedValue({})
+})));
+jest.mock('../../../src/services/ledgerService', () => ({
+  recordReward: jest.fn().mockResolvedValue({}),
+  recordReferralBonus: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/services/vaultHealthService', () => ({ isRewardDistributionPaused: jest.fn().mockResolvedValue(false) }));
+jest.mock('@solana/pay', () => {
+  class FindReferenceError extends Error {}
+  return { findReference: jest.fn(), FindReferenceError };
+});
+
+const { Keypair } = require('@solana/web3.js');
+const { findReference, FindReferenceError } = require('@solana/pay');
+const QueuedReward = require('../../../src/models/QueuedReward');
+const Referral = require('../../../src/models/Referral');
+const Transaction = require('../../../src/models/Transaction');
+const User = require('../../../src/models/User');
+const ledgerService = require('../../../src/services/ledgerService');
+const vaultHealthService = require('../../../src/services/vaultHealthService');
+const rewardQueueService = require('../../../src/services/rewardQueueService');
+
+describe('RewardQueueService', () => {
+  const RewardQueueService = rewardQueueService.constructor;
+  const config = {
+    intervalMs: 1000,
+    batchSize: 3,
+    maxBatchesPerRun: 5,
+    maxAttempts: 3,
+    retryBaseMs: 1000,
+    retryMaxMs: 5000,
+    sendingTimeoutMs: 60000
+  };
+  const now = new Date('2026-10-18T12:00:00Z');
+  const recipient = Keypair.generate().publicKey.toBase58();
+  const reference = Keypair.generate().publicKey.toBase58();
+
+  const queued = (overrides = {}) => ({
+    _id: 'reward-doc-id',
+    rewardId: 'rw_' + 'a'.repeat(24),
+    userId: 'customer-id',
+    transactionId: 'payment-id',
+    recipient,
+    amount: 0.6,
+    originalAmount: 0.6,
+    rewardCost: 0.3,
+    vaultContribution: 0.39,
+    status: 'sending',
+    attempts: 0,
+    batchId: 'rwb_' + 'b'.repeat(24),
+    reference,
+    ...overrides
+  });
+  // Mongoose query chain resolving to `docs`
+  const query = docs => {
+    const chain = { sort: jest.fn(), limit: jest.fn(), select: jest.fn().mockResolvedValue(docs) };
+    chain.sort.mockReturnValue(chain);
+    chain.limit.mockReturnValue(chain);
+    return chain;
+  };
+
+  let chain;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+    process.env.PIZZA_TOKEN_MINT = Keypair.generate().publicKey.toBase58();
+
+    chain = {
+      isSimulated: true,
+      connection: {},
+      transferTokensBatch: jest.fn().mockResolvedValue('batch-signature')
+    };
+    service = new RewardQueueService(chain, config);
+  });
+
+  test('should queue one reward per payment', async () => {
+    QueuedReward.findOneAndUpdate.mockResolvedValue(queued({ status: 'pending' }));
+
+    await service.enqueue({ userId: 'customer-id', transactionId: 'payment-id', recipient, amount: 0.6, rewardCost: 0.3 });
+
+    const [filter, update, options] = QueuedReward.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ transactionId: 'payment-id', userId: 'customer-id', kind: 'payment' });
+    expect(update.$setOnInsert).toMatchObject({ amount: 0.6, originalAmount: 0.6, status: 'pending', recipient });
+    expect(update.$setOnInsert.rewardId).toMatch(/^rw_[a-f0-9]{24}$/);
+    expect(options).toMatchObject({ upsert: true });
+
+    await expect(service.enqueue({ userId: 'customer-id', transactionId: 'payment-id', recipient: 'not-a-wallet', amount: 0.6 }))
+      .rejects.toThrow('Invalid reward recipient');
+  });
+
+  test('should batch first attempts and send retries on their own', async () => {
+    QueuedReward.find
+      .mockReturnValueOnce(query([]))
+      .mockReturnValueOnce(query([{ _id: 'retry-id' }]))
+      .mockResolvedValueOnce([queued({ attempts: 1 })]);
+
+    const batch = await service.claimBatch(now);
+
+    expect(QueuedReward.find.mock.calls[0][0]).toMatchObject({ attempts: 0 });
+    expect(QueuedReward.find.mock.calls[1][0]).toMatchObject({ attempts: { $gt: 0 } });
+    const [filter, update] = QueuedReward.updateMany.mock.calls[0];
+    expect(filter._id).toEqual({ $in: ['retry-id'] });
+    expect(update.$set).toMatchObject({ status: 'sending', claimedAt: now });
+    expect(batch).toHaveLength(1);
+  });
+
+  test('should send a batch in one transfer and settle each reward on confirmation', async () => {
+    const other = Keypair.generate().publicKey.toBase58();
+    const batch = [queued(), queued({ _id: 'second-id', recipient: other, amount: 0.3, transactionId: 'payment-2' })];
+    const user = { updateBalance: jest.fn().mockResolvedValue() };
+    const payment = { recordRewardDistribution: jest.fn().mockResolvedValue() };
+    QueuedReward.findOneAndUpdate.mockImplementation(filter => Promise.resolve({ _id: filter._id, status: 'sent' }));
+    User.findById.mockResolvedValue(user);
+    Transaction.findById.mockResolvedValue(payment);
+
+    const result = await service.sendBatch(batch, now);
+
+    expect(result).toEqual({ sent: 2, failed: 0, deadLettered: 0 });
+    expect(chain.transferTokensBatch).toHaveBeenCalledWith(expect.objectContaining({
+      transfers: [{ to: recipient, amount: 0.6 }, { to: other, amount: 0.3 }],
+      references: [reference]
+    }));
+    expect(user.updateBalance).toHaveBeenCalledWith('pizza_spl', 0.6);
+    expect(ledgerService.recordReward).toHaveBeenCalledWith({
+      userId: 'customer-id',
+      amount: 0.6,
+      transactionId: 'payment-id',
+      signature: 'batch-signature'
+    });
+    expect(service.vaultService.fundRewardDistribution).toHaveBeenCalledWith(0.3, recipient, 'payment-id', 'payment-id');
+    expect(payment.recordRewardDistribution).toHaveBeenCalledWith({
+      tokens: 0.6,
+      vaultContribution: 0.39,
+      transactionId: 'batch-signature'
+    });
+  });
+
+  test('should settle a referral bonus against the referral instead of the payment', async () => {
+    const bonus = queued({ kind: 'referral_bonus', referralId: 'rf_' + 'c'.repeat(24), amount: 1, rewardCost: 0.5 });
+    QueuedReward.findOneAndUpdate.mockResolvedValue({ status: 'sent' });
+    User.findById.mockResolvedValue({ updateBalance: jest.fn().mockResolvedValue() });
+
+    await service.confirmDelivery(bonus, 'bonus-signature', now);
+
+    expect(ledgerService.recordReferralBonus).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'customer-id',
+      amount: 1,
+      referralId: bonus.referralId
+    }));
+    expect(ledgerService.recordReward).not.toHaveBeenCalled();
+    expect(service.vaultService.fundRewardDistribution).toHaveBeenCalledWith(0.5, recipient, 'payment-id', `referral:${bonus.rewardId}`);
+    expect(Referral.updateOne).toHaveBeenCalledWith(
+      { referralId: bonus.referralId, 'refereeBonus.rewardId': bonus.rewardId },
+      { $set: { 'refereeBonus.status': 'sent', 'refereeBonus.signature': 'bonus-signature', 'refereeBonus.sentAt': now } }
+    );
+    expect(Transaction.findById).not.toHaveBeenCalled();
+  });
+
+  test('should back off failed sends and dead-letter them after the last attempt', async () => {
+    chain.transferTokensBatch.mockRejectedValue(new Error('Blockhash not found'));
+
+    const result = await service.sendBatch([queued({ attempts: 1 }), queued({ _id: 'last-id', attempts: 2 })], now);
+
+    expect(result).toEqual({ sent: 0, failed: 1, deadLettered: 1 });
+    const [retry, deadLetter] = QueuedReward.updateOne.mock.calls.map(call => call[1].$set);
+    expect(retry).toMatchObject({ status: 'failed', attempts: 2, lastError: 'Blockhash not found' });
+    expect(retry.nextAttemptAt).toEqual(new Date(now.getTime() + 2000));
+    expect(deadLetter).toMatchObject({ status: 'dead_letter', attempts: 3, deadLetteredAt: now });
+    expect(ledgerService.recordReward).not.toHaveBeenCalled();
+  });
+
+  test('should retry a stale batch that never landed on-chain', async () => {
+    QueuedReward.find.mockResolvedValue([queued()]);
+    findReference.mockRejectedValue(new FindReferenceError('not found'));
+
+    expect(await service.recoverStaleBatches(now)).toBe(1);
+    expect(QueuedReward.updateOne.mock.calls[0][1].$set).toMatchObject({
+      status: 'failed',
+      lastError: 'Send interrupted before confirmation'
+    });
+  });
+
+  test('should hold the queue while reward distribution is paused', async () => {
+    QueuedReward.find.mockResolvedValue([]);
+    vaultHealthService.isRewardDistributionPaused.mockResolvedValueOnce(true);
+
+    const summary = await service.processQueue(now);
+
+    expect(summary).toMatchObject({ paused: true, batches: 0 });
+    expect(QueuedReward.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('should send real batches signed by the treasury and hold them without a signer', async () => {
+    const treasury = Keypair.generate();
+    chain.isSimulated = false;
+    delete process.env.TREASURY_PRIVATE_KEY;
+
+    QueuedReward.find.mockResolvedValue([]);
+    expect(await service.processQueue(now)).toMatchObject({ paused: true, batches: 0 });
+    expect(QueuedReward.updateMany).not.toHaveBeenCalled();
+    await expect(service.sendTransfers([queued()], reference)).rejects.toThrow('Treasury signer not configured');
+
+    process.env.TREASURY_PRIVATE_KEY = JSON.stringify(Array.from(treasury.secretKey));
+    service = new RewardQueueService(chain, config);
+    expect(await service.sendTransfers([queued()], reference)).toBe('batch-signature');
+    const [{ from, signer }] = chain.transferTokensBatch.mock.calls[0];
+    expect(signer.publicKey.equals(treasury.publicKey)).toBe(true);
+    expect(from.equals(treasury.publicKey)).toBe(true);
+    delete process.env.TREASURY_PRIVATE_KEY;
+  });
+
+  test('should cut a queued reward by the refunded share and cancel it when fully refunded', async () => {
+    QueuedReward.findOne.mockResolvedValue(queued({ status: 'pending' }));
+    QueuedReward.findOneAndUpdate.mockResolvedValue({ status: 'pending' });
+
+    expect(await service.reduceForRefund('payment-id', 1 / 3)).toBe(0.2);
+    expect(QueuedReward.findOneAndUpdate.mock.calls[0][1].$set).toEqual({ amount: 0.4, rewardCost: 0.2 });
+
+    QueuedReward.findOne.mockResolvedValue(queued({ status: 'pending', amount: 0.4, rewardCost: 0.2 }));
+    QueuedReward.findOneAndUpdate.mockResolvedValue({ status: 'cancelled' });
+
+    expect(await service.reduceForRefund('payment-id', 2 / 3)).toBe(0.4);
+    expect(QueuedReward.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({ amount: 0, status: 'cancelled' });
+  });
+});
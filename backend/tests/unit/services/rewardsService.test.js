@@ -0,0 +1,121 @@
+jest.mock('../../../src/models/QueuedReward', () => ({
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn().mockResolvedValue({}),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/Transaction', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/vaultService', () => jest.fn().mockImplementation(() => ({
+  fundRewardDistribution: jest.fn().mockResolvedValue({})
+})));
+jest.mock('../../../src/services/giftCardService', () => jest.fn());
+jest.mock('../../../src/services/ledgerService', () => ({ recordReward: jest.fn().mockResolvedValue({}) }));
+jest.mock('../../../src/services/vaultHealthService', () => ({ isRewardDistributionPaused: jest.fn().mockResolvedValue(false) }));
+
+const { Keypair } = require('@solana/web3.js');
+const QueuedReward = require('../../../src/models/QueuedReward');
+const Business = require('../../../src/models/Business');
+const Transaction = require('../../../src/models/Transaction');
+const User = require('../../../src/models/User');
+const ledgerService = require('../../../src/services/ledgerService');
+const vaultHealthService = require('../../../src/services/vaultHealthService');
+const rewardQueueService = require('../../../src/services/rewardQueueService');
+const RewardsService = require('../../../src/services/rewardsService');
+
+describe('RewardsService', () => {
+  const customerWallet = Keypair.generate().publicKey.toBase58();
+  const now = new Date('2026-10-18T12:00:00Z');
+
+  let rewardsService;
+  let customer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TREASURY_WALLET_ADDRESS = Keypair.generate().publicKey.toBase58();
+
+    rewardQueueService.chain = {
+      isSimulated: true,
+      transferTokensBatch: jest.fn().mockResolvedValue('batch-signature')
+    };
+    rewardsService = new RewardsService({ connection: {}, usdcMint: Keypair.generate().publicKey });
+    jest.spyOn(rewardsService, 'fundPlatformVault').mockResolvedValue({ success: true });
+    jest.spyOn(rewardsService, 'updateUserPaymentStats').mockResolvedValue();
+    jest.spyOn(rewardsService, 'processReferral').mockResolvedValue();
+
+    customer = { _id: 'customer-id', processPayment: jest.fn().mockResolvedValue(), updateBalance: jest.fn().mockResolvedValue() };
+    Business.findById.mockResolvedValue({
+      _id: 'business-id',
+      calculateTransactionFees: () => ({ vaultContribution: 0.26 })
+    });
+    User.findById.mockResolvedValue(customer);
+  });
+
+  test('should fund the vault with the contribution locked in on the payment', async () => {
+    QueuedReward.findOneAndUpdate.mockResolvedValue({ rewardId: 'rw_1' });
+
+    const result = await rewardsService.processPaymentReward({
+      userId: 'customer-id',
+      businessId: 'business-id',
+      transactionId: 'payment-id',
+      customerWalletAddress: customerWallet,
+      transactionAmount: 20,
+      vaultContribution: 0.3
+    });
+
+    // The business's current rate (0.26) no longer applies to this payment
+    expect(rewardsService.fundPlatformVault).toHaveBeenCalledWith({
+      businessId: 'business-id',
+      amount: 0.3,
+      transactionId: 'payment-id'
+    });
+    expect(result).toMatchObject({ vaultContribution: 0.3, rewardCost: 0.2, surplus: 0.1 });
+  });
+
+  test('should queue the reward while distribution is paused and deliver it once resumed', async () => {
+    vaultHealthService.isRewardDistributionPaused.mockResolvedValue(true);
+    QueuedReward.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve({
+      _id: 'reward-doc-id',
+      ...filter,
+      ...update.$setOnInsert
+    }));
+
+    const result = await rewardsService.processPaymentReward({
+      userId: 'customer-id',
+      businessId: 'business-id',
+      transactionId: 'payment-id',
+      customerWalletAddress: customerWallet,
+      transactionAmount: 20
+    });
+
+    expect(result).toMatchObject({ rewardDistributed: 0.4, rewardQueued: true });
+    const [filter, update] = QueuedReward.findOneAndUpdate.mock.calls[0];
+    const queued = { ...filter, ...update.$setOnInsert };
+    expect(queued).toMatchObject({ transactionId: 'payment-id', recipient: customerWallet, amount: 0.4, status: 'pending' });
+
+    // Held while paused
+    QueuedReward.find.mockResolvedValue([]);
+    expect(await rewardQueueService.processQueue(now)).toMatchObject({ paused: true, batches: 0 });
+    expect(rewardQueueService.chain.transferTokensBatch).not.toHaveBeenCalled();
+
+    // Resumed - the queued reward is sent and settled
+    vaultHealthService.isRewardDistributionPaused.mockResolvedValue(false);
+    jest.spyOn(rewardQueueService, 'claimBatch')
+      .mockResolvedValueOnce([{ ...queued, status: 'sending', attempts: 0, reference: Keypair.generate().publicKey.toBase58() }])
+      .mockResolvedValueOnce([]);
+    QueuedReward.findOneAndUpdate.mockResolvedValue({ status: 'sent' });
+    Transaction.findById.mockResolvedValue(null);
+
+    expect(await rewardQueueService.processQueue(now)).toMatchObject({ paused: false, sent: 1 });
+    expect(rewardQueueService.chain.transferTokensBatch).toHaveBeenCalledWith(expect.objectContaining({
+      transfers: [{ to: customerWallet, amount: 0.4 }]
+    }));
+    expect(customer.updateBalance).toHaveBeenCalledWith('pizza_spl', 0.4);
+    expect(ledgerService.recordReward).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'customer-id',
+      amount: 0.4,
+      signature: 'batch-signature'
+    }));
+  });
+});
@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../../src/models/SettlementBatch', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../../src/models/Transaction', () => ({
+  updateMany: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  distinct: jest.fn()
+}));
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../../src/models/PaymentIntent', () => ({ find: jest.fn() }));
+
+const SettlementBatch = require('../../../src/models/SettlementBatch');
+const Transaction = require('../../../src/models/Transaction');
+const Business = require('../../../src/models/Business');
+const PaymentIntent = require('../../../src/models/PaymentIntent');
+const settlementService = require('../../../src/services/settlementService');
+
+describe('SettlementService', () => {
+  const SettlementService = settlementService.constructor;
+  const business = { _id: 'business-id', businessName: 'Slice House', settlement: { batchFrequency: 'daily' } };
+  const day = (iso) => new Date(`${iso}T00:00:00.000Z`);
+  let intentService;
+  let service;
+  let claimed;
+
+  const payment = (id, createdAt, amount, tipAmount = 0) => {
+    const feeBase = amount - tipAmount;
+    const platformFee = Math.round(feeBase * 0.01 * 1e6) / 1e6;
+    const vaultContribution = Math.round(feeBase * 0.013 * 1e6) / 1e6;
+    return {
+      _id: id,
+      type: 'payment',
+      createdAt: new Date(createdAt),
+      paymentReference: `ref-${id}`,
+      amount,
+      tipAmount,
+      fees: { platformFee, vaultContribution, totalFees: platformFee + vaultContribution },
+      settlement: { netAmount: Math.round((amount - platformFee - vaultContribution) * 1e6) / 1e6 }
+    };
+  };
+
+  const mockSort = (value) => ({ sort: jest.fn().mockResolvedValue(value) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    intentService = { markSettled: jest.fn().mockResolvedValue({}) };
+    service = new SettlementService(intentService);
+
+    claimed = [
+      payment('tx-1', '2026-03-03T09:15:00Z', 23, 3),
+      payment('tx-2', '2026-03-03T18:40:00Z', 15),
+      // Confirmed after the 2 March batch closed
+      payment('tx-0', '2026-03-02T23:59:00Z', 10),
+      {
+        _id: 'tx-3',
+        type: 'refund',
+        createdAt: new Date('2026-03-03T20:00:00Z'),
+        amount: 5,
+        refund: { vaultContributionReversed: 0.065 }
+      }
+    ];
+
+    SettlementBatch.findOne.mockResolvedValue(null);
+    SettlementBatch.create.mockImplementation(async data => ({
+      ...data,
+      _id: 'batch-object-id',
+      status: 'closing',
+      save: jest.fn().mockResolvedValue(true)
+    }));
+    Transaction.updateMany.mockResolvedValue({ modifiedCount: claimed.length });
+    Transaction.find.mockReturnValue(mockSort(claimed));
+    Business.updateOne.mockResolvedValue({});
+    PaymentIntent.find.mockResolvedValue([{ reference: 'ref-tx-1' }, { reference: 'ref-tx-2' }]);
+  });
+
+  test('should use UTC days and Monday-based weeks', () => {
+    expect(service.getPeriod(new Date('2026-03-04T23:30:00Z'), 'daily')).toEqual({
+      periodStart: day('2026-03-04'),
+      periodEnd: day('2026-03-05')
+    });
+    // 4 March 2026 is a Wednesday
+    expect(service.getPeriod(new Date('2026-03-04T23:30:00Z'), 'weekly')).toEqual({
+      periodStart: day('2026-03-02'),
+      periodEnd: day('2026-03-09')
+    });
+  });
+
+  test('should close a period with gross volume, fees, refunds and net payout', async () => {
+    const batch = await service.closeBatch(business, { periodStart: day('2026-03-03'), periodEnd: day('2026-03-04') });
+
+    // Claims only unbatched confirmed transactions recorded before the period end, and locks them
+    expect(Transaction.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ businessId: 'business-id', status: 'confirmed', 'settlement.batchId': null, createdAt: { $lt: day('2026-03-04') } }),
+      { $set: expect.objectContaining({ 'settlement.batchId': 'batch-object-id', 'settlement.lockedAt': expect.any(Date) }) }
+    );
+
+    expect(batch.status).toBe('closed');
+    expect(batch.batchId).toMatch(/^stl_[a-f0-9]{24}$/);
+    expect(batch.totals).toEqual({
+      paymentCount: 3,
+      refundCount: 1,
+      carriedOverCount: 1,
+      grossVolume: 48,
+      tips: 3,
+      platformFees: 0.45,
+      vaultContributions: 0.585,
+      refunds: 5,
+      vaultContributionsReversed: 0.065,
+      netPayout: 41.965
+    });
+    expect(batch.lines.find(line => line.transactionId === 'tx-0').carriedOver).toBe(true);
+    expect(batch.checksum).toMatch(/^[a-f0-9]{64}$/);
+    expect(batch.save).toHaveBeenCalled();
+    expect(intentService.markSettled).toHaveBeenCalledTimes(2);
+  });
+
+  test('should roll late arrivals into the next open period and leave the current one open', async () => {
+    Transaction.findOne.mockReturnValue({
+      sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue({ createdAt: new Date('2026-03-02T23:59:00Z') }) })
+    });
+    // 2 March already closed; 3 March is closable, 4 March is today
+    const closedStarts = [day('2026-03-02').getTime()];
+    SettlementBatch.exists.mockImplementation(async ({ periodStart }) => closedStarts.includes(periodStart.getTime()));
+    const closeBatch = jest.spyOn(service, 'closeBatch').mockImplementation(async (b, period) => {
+      closedStarts.push(period.periodStart.getTime());
+      return { lines: [{}] };
+    });
+
+    const batches = await service.closeDueBatches(business, new Date('2026-03-04T12:00:00Z'));
+
+    expect(batches).toHaveLength(1);
+    expect(closeBatch).toHaveBeenCalledWith(business, { periodStart: day('2026-03-03'), periodEnd: day('2026-03-04') }, 'daily');
+  });
+
+  test('should fail verification when a settled transaction changes', async () => {
+    const batch = await service.closeBatch(business, { periodStart: day('2026-03-03'), periodEnd: day('2026-03-04') });
+
+    Transaction.find.mockResolvedValue(claimed);
+    expect((await service.verifyBatch(batch)).verified).toBe(true);
+
+    Transaction.find.mockResolvedValue(claimed.map(tx => tx._id === 'tx-2' ? { ...tx, amount: 12 } : tx));
+    expect((await service.verifyBatch(batch)).verified).toBe(false);
+  });
+
+  test('should export CSV and PDF statements', async () => {
+    const batch = await service.closeBatch(business, { periodStart: day('2026-03-03'), periodEnd: day('2026-03-04') });
+
+    const csv = service.buildStatementCSV(batch, business);
+    expect(csv).toContain('Net Payout (USDC),41.965000');
+    expect(csv.split('\r\n').filter(row => /^2026-03-0\dT/.test(row))).toHaveLength(4);
+
+    const pdf = service.buildStatementPDF(batch, business).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('Net payout');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+});
+
+describe('Transaction settlement lock', () => {
+  const Transaction = jest.requireActual('../../../src/models/Transaction');
+
+  test('should reject edits to amounts of a transaction in a closed batch', async () => {
+    const transaction = new Transaction({
+      signature: '5'.repeat(88),
+      userId: new mongoose.Types.ObjectId(),
+      walletAddress: 'CustomerWallet1111111111111111111111111111',
+      businessId: new mongoose.Types.ObjectId(),
+      type: 'payment',
+      status: 'confirmed',
+      amount: 15,
+      settlement: { batchId: new mongoose.Types.ObjectId(), lockedAt: new Date() }
+    });
+    transaction.isNew = false;
+    transaction.amount = 12;
+
+    expect(Transaction.SETTLEMENT_LOCKED_PATHS).toContain('amount');
+    await expect(transaction.save()).rejects.toThrow('Transaction is locked by a closed settlement batch');
+  });
+});
@@ -0,0 +1,128 @@
+const { Keypair, Transaction } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddress,
+  decodeInstruction,
+  isTransferCheckedInstruction
+} = require('@solana/spl-token');
+const SolanaPayService = require('../../../src/services/solanaPayService');
+
+describe('SolanaPayService', () => {
+  const platformWallet = Keypair.generate().publicKey;
+  const vaultWallet = Keypair.generate().publicKey;
+  let solanaPayService;
+
+  beforeEach(() => {
+    process.env.PLATFORM_FEE_WALLET = platformWallet.toBase58();
+    process.env.PLATFORM_VAULT_ADDRESS = vaultWallet.toBase58();
+
+    solanaPayService = new SolanaPayService();
+    solanaPayService.connection = {
+      getLatestBlockhash: jest.fn().mockResolvedValue({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1
+      })
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.PLATFORM_FEE_WALLET;
+    process.env.PLATFORM_VAULT_ADDRESS = '11111111111111111111111111111115';
+  });
+
+  describe('createTransactionRequest', () => {
+    test('should split the order total atomically and end with the referenced business transfer', async () => {
+      const customer = Keypair.generate().publicKey;
+      const business = Keypair.generate().publicKey;
+      const reference = Keypair.generate().publicKey;
+
+      const result = await solanaPayService.createTransactionRequest({
+        account: customer.toBase58(),
+        reference: reference.toBase58(),
+        businessWallet: business.toBase58(),
+        amount: 20
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.amounts).toEqual({ total: 20, business: 19.54, platformFee: 0.2, vaultFee: 0.26 });
+
+      const transaction = Transaction.from(Buffer.from(result.transaction, 'base64'));
+      expect(transaction.feePayer.equals(customer)).toBe(true);
+
+      const transfers = transaction.instructions
+        .filter(instruction => instruction.programId.equals(TOKEN_PROGRAM_ID))
+        .map(instruction => ({ instruction, decoded: decodeInstruction(instruction) }))
+        .filter(({ decoded }) => isTransferCheckedInstruction(decoded));
+
+      const destinations = await Promise.all([platformWallet, vaultWallet, business]
+        .map(owner => getAssociatedTokenAddress(solanaPayService.usdcMint, owner)));
+
+      expect(transfers).toHaveLength(3);
+      transfers.forEach(({ decoded }, index) => {
+        expect(decoded.keys.destination.pubkey.equals(destinations[index])).toBe(true);
+      });
+      expect(transfers.map(({ decoded }) => Number(decoded.data.amount))).toEqual([200000, 260000, 19540000]);
+
+      // Business transfer is last and carries the reference key for findReference/validateTransfer
+      const lastInstruction = transaction.instructions[transaction.instructions.length - 1];
+      const lastDecoded = decodeInstruction(lastInstruction);
+      expect(lastDecoded.keys.multiSigners.map(key => key.pubkey.toBase58())).toEqual([reference.toBase58()]);
+    });
+
+    test('should reject amounts outside the configured limits', async () => {
+      const result = await solanaPayService.createTransactionRequest({
+        account: Keypair.generate().publicKey.toBase58(),
+        reference: Keypair.generate().publicKey.toBase58(),
+        businessWallet: Keypair.generate().publicKey.toBase58(),
+        amount: 0
+      });
+
+      expect(result.success).toBe(false);
+      expect(solanaPayService.connection.getLatestBlockhash).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createRefundTransaction', () => {
+    test('should return USDC from the business to the customer with the refund reference', async () => {
+      const business = Keypair.generate().publicKey;
+      const customer = Keypair.generate().publicKey;
+      const reference = Keypair.generate().publicKey;
+
+      const result = await solanaPayService.createRefundTransaction({
+        account: business.toBase58(),
+        customerWallet: customer.toBase58(),
+        amount: 7.5,
+        reference: reference.toBase58()
+      });
+
+      expect(result.success).toBe(true);
+
+      const transaction = Transaction.from(Buffer.from(result.transaction, 'base64'));
+      expect(transaction.feePayer.equals(business)).toBe(true);
+
+      const refundTransfer = decodeInstruction(transaction.instructions[transaction.instructions.length - 1]);
+      const customerATA = await getAssociatedTokenAddress(solanaPayService.usdcMint, customer);
+      expect(isTransferCheckedInstruction(refundTransfer)).toBe(true);
+      expect(refundTransfer.keys.destination.pubkey.equals(customerATA)).toBe(true);
+      expect(Number(refundTransfer.data.amount)).toBe(7500000);
+      expect(refundTransfer.keys.multiSigners.map(key => key.pubkey.toBase58())).toEqual([reference.toBase58()]);
+    });
+  });
+
+  describe('createTransactionRequestURL', () => {
+    test('should encode a solana: link to the transaction request endpoint', () => {
+      const result = solanaPayService.createTransactionRequestURL({
+        businessId: '507f1f77bcf86cd799439011',
+        amount: 12.5
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.transactionRequestUrl.startsWith('solana:')).toBe(true);
+
+      const link = new URL(decodeURIComponent(result.transactionRequestUrl.slice('solana:'.length)));
+      expect(link.pathname).toBe('/api/blockchain/solana-pay/transaction-request');
+      expect(link.searchParams.get('amount')).toBe('12.5');
+      expect(link.searchParams.get('reference')).toBe(result.reference);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const { Keypair } = require('@solana/web3.js');
+
+jest.mock('@solana/pay', () => {
+  class FindReferenceError extends Error {}
+  return {
+    FindReferenceError,
+    findReference: jest.fn(),
+    validateTransfer: jest.fn()
+  };
+});
+jest.mock('../../../src/models/StakingPayoutBatch', () => ({
+  findOne: jest.fn(),
+  findByBatchId: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/models/Business', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/models/Vault', () => ({ getPlatformVault: jest.fn() }));
+jest.mock('../../../src/services/ledgerService', () => ({
+  getBalances: jest.fn(),
+  recordStakingYield: jest.fn(),
+  recordStakingPayout: jest.fn()
+}));
+jest.mock('../../../src/services/chainAdapter', () => ({
+  getChainAdapter: jest.fn(() => ({})),
+  buildTokenTransferTransaction: jest.fn()
+}));
+
+const { findReference, validateTransfer, FindReferenceError } = require('@solana/pay');
+const StakingPayoutBatch = require('../../../src/models/StakingPayoutBatch');
+const Business = require('../../../src/models/Business');
+const Vault = require('../../../src/models/Vault');
+const ledgerService = require('../../../src/services/ledgerService');
+const { buildTokenTransferTransaction } = require('../../../src/services/chainAdapter');
+const stakingPayoutService = require('../../../src/services/stakingPayoutService');
+
+describe('StakingPayoutService', () => {
+  const StakingPayoutService = stakingPayoutService.constructor;
+  const batchId = `spb_${'b'.repeat(24)}`;
+  const q1Start = new Date(Date.UTC(2026, 0, 1));
+  const q1End = new Date(Date.UTC(2026, 3, 1)); // 90 days
+
+  const business = (id, overrides = {}) => ({
+    _id: id,
+    businessName: `Pizza ${id.slice(-1)}`,
+    settlement: { walletAddress: Keypair.generate().publicKey.toBase58() },
+    vaultContribution: { stakingEnabled: true, stakingPeriods: [], ...overrides }
+  });
+
+  let chain;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    chain = { connection: {}, usdcMint: Keypair.generate().publicKey };
+    service = new StakingPayoutService(chain, { sweepIntervalMs: 1000 });
+
+    Vault.getPlatformVault.mockResolvedValue({
+      balances: { rewards: 600, giftCards: 80, surplus: 320, staked: 0 },
+      staking: { enabled: true, apy: 0.04, merchantYieldShare: 0.5, history: [] }
+    });
+    StakingPayoutBatch.findOne.mockResolvedValue(null);
+    StakingPayoutBatch.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+      batchId,
+      periodKey: filter.periodKey,
+      ...update.$set
+    }));
+  });
+
+  describe('staking days', () => {
+    test('should count the part of the quarter a business had staking enabled', () => {
+      const enabledMidQuarter = business('b1', {
+        stakingPeriods: [
+          { enabledAt: new Date(Date.UTC(2025, 11, 1)), disabledAt: new Date(Date.UTC(2026, 0, 11)) },
+          { enabledAt: new Date(Date.UTC(2026, 2, 2)) }
+        ]
+      });
+
+      expect(service.getBusinessStakingDays(enabledMidQuarter, q1Start, q1End)).toBe(40);
+    });
+
+    test('should treat staking enabled before periods were tracked as the whole quarter', () => {
+      expect(service.getBusinessStakingDays(business('b1'), q1Start, q1End)).toBe(90);
+      expect(service.getBusinessStakingDays(business('b1', { stakingEnabled: false }), q1Start, q1End)).toBe(0);
+    });
+
+    test('should follow the vault staking history', () => {
+      const vault = {
+        staking: {
+          enabled: true,
+          history: [
+            { enabled: true, changedAt: new Date(Date.UTC(2026, 1, 15)) },
+            { enabled: false, changedAt: new Date(Date.UTC(2026, 0, 31)) }
+          ]
+        }
+      };
+
+      // On until Jan 31 (from before the capped history), then again from Feb 15
+      expect(service.getVaultStakingDays(vault, q1Start, q1End)).toBe(30 + 45);
+    });
+  });
+
+  describe('computeBatch', () => {
+    test('should split the merchant yield by contribution and staking days', async () => {
+      const fullQuarter = business('64b7f0c2a1b2c3d4e5f607a1');
+      const halfQuarter = business('64b7f0c2a1b2c3d4e5f607a2', {
+        stakingPeriods: [{ enabledAt: new Date(Date.UTC(2026, 1, 15)) }]
+      });
+      const noWallet = { ...business('64b7f0c2a1b2c3d4e5f607a3'), settlement: {} };
+      Business.find.mockReturnValue({ select: jest.fn().mockResolvedValue([fullQuarter, halfQuarter, noWallet]) });
+      ledgerService.getBalances.mockResolvedValue({
+        [`business:${fullQuarter._id}:vault_contributions`]: { balance: 100 },
+        [`business:${halfQuarter._id}:vault_contributions`]: { balance: 100 },
+        [`business:${noWallet._id}:vault_contributions`]: { balance: 500 }
+      });
+
+      const batch = await service.computeBatch('2026-Q1', { yieldAmount: 30 });
+
+      expect(ledgerService.getBalances).toHaveBeenCalledWith(/^business:[^:]+:vault_contributions$/, { until: q1End });
+      expect(batch.yield).toMatchObject({ amount: 30, source: 'reported', merchantTotal: 15, platformTotal: 15 });
+      expect(batch.lines).toEqual([
+        expect.objectContaining({ businessId: fullQuarter._id, stakingDays: 90, amount: 10, status: 'pending' }),
+        expect.objectContaining({ businessId: halfQuarter._id, stakingDays: 45, amount: 5 })
+      ]);
+      expect(batch.totals).toMatchObject({ merchantCount: 2, amount: 15 });
+      expect(StakingPayoutBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { periodKey: '2026-Q1', status: { $in: ['draft', 'cancelled'] } },
+        expect.objectContaining({ $setOnInsert: { batchId: expect.stringMatching(/^spb_[a-f0-9]{24}$/) } }),
+        { upsert: true, new: true }
+      );
+    });
+
+    test('should estimate the yield from the vault APY when none is reported', async () => {
+      Business.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      ledgerService.getBalances.mockResolvedValue({});
+
+      const batch = await service.computeBatch('2026-Q1');
+
+      // $1,000 vault x 4% x 90/365
+      expect(batch.yield).toMatchObject({ amount: 9.863014, source: 'estimated', vaultStakingDays: 90 });
+    });
+
+    test('should not recompute an approved quarter', async () => {
+      StakingPayoutBatch.findOne.mockResolvedValue({ status: 'approved' });
+
+      await expect(service.computeBatch('2026-Q1')).rejects.toThrow('Staking payout for 2026-Q1 has already been approved');
+    });
+
+    test('should refuse quarters that have not ended', async () => {
+      const { periodKey } = service.getQuarter(new Date());
+
+      await expect(service.computeBatch(periodKey)).rejects.toThrow('ended quarters');
+    });
+  });
+
+  describe('approveBatch', () => {
+    const line = {
+      businessId: '64b7f0c2a1b2c3d4e5f607a1',
+      walletAddress: Keypair.generate().publicKey.toBase58(),
+      amount: 10,
+      reference: Keypair.generate().publicKey.toBase58(),
+      status: 'pending'
+    };
+    const draft = { batchId, periodKey: '2026-Q1', status: 'draft', yield: { amount: 30 }, lines: [line] };
+
+    beforeEach(() => {
+      process.env.PLATFORM_VAULT_ADDRESS = Keypair.generate().publicKey.toBase58();
+      StakingPayoutBatch.findByBatchId.mockResolvedValue(draft);
+      StakingPayoutBatch.findOneAndUpdate.mockResolvedValue({ ...draft, status: 'approved' });
+    });
+
+    test('should declare the dividends and emit the vault transfers', async () => {
+      ledgerService.recordStakingYield.mockResolvedValue({ entryId: 'je_yield' });
+      buildTokenTransferTransaction.mockResolvedValue({ serialize: () => Buffer.from('unsigned') });
+
+      const { batch, transactions } = await service.approveBatch(batchId, 'admin-id');
+
+      expect(ledgerService.recordStakingYield).toHaveBeenCalledWith({
+        periodKey: '2026-Q1',
+        amount: 30,
+        dividends: [{ businessId: line.businessId, amount: 10 }]
+      });
+      expect(buildTokenTransferTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        from: process.env.PLATFORM_VAULT_ADDRESS,
+        to: line.walletAddress,
+        amount: 10,
+        references: [line.reference]
+      }));
+      expect(batch.yieldEntryId).toBe('je_yield');
+      expect(transactions).toEqual([expect.objectContaining({ reference: line.reference, transaction: Buffer.from('unsigned').toString('base64') })]);
+    });
+
+    test('should return the batch to draft when the ledger posting fails', async () => {
+      ledgerService.recordStakingYield.mockRejectedValue(new Error('Staking dividends exceed the yield'));
+
+      await expect(service.approveBatch(batchId, 'admin-id')).rejects.toThrow('Staking dividends exceed the yield');
+      expect(StakingPayoutBatch.updateOne).toHaveBeenCalledWith(
+        { batchId },
+        { $set: { status: 'draft' }, $unset: { approvedAt: 1, approvedBy: 1 } }
+      );
+    });
+  });
+
+  describe('confirmPayouts', () => {
+    test('should record verified transfers and leave unsent lines pending', async () => {
+      const sent = {
+        businessId: '64b7f0c2a1b2c3d4e5f607a1',
+        walletAddress: Keypair.generate().publicKey.toBase58(),
+        amount: 10,
+        reference: Keypair.generate().publicKey.toBase58(),
+        status: 'pending'
+      };
+      const unsent = { ...sent, businessId: '64b7f0c2a1b2c3d4e5f607a2', reference: Keypair.generate().publicKey.toBase58() };
+      StakingPayoutBatch.findByBatchId.mockResolvedValue({ batchId, periodKey: '2026-Q1', status: 'approved', lines: [sent, unsent] });
+      findReference
+        .mockResolvedValueOnce({ signature: 'payout-signature' })
+        .mockRejectedValueOnce(new FindReferenceError('not found'));
+      validateTransfer.mockResolvedValue({});
+      ledgerService.recordStakingPayout.mockResolvedValue({ entryId: 'je_payout' });
+
+      await service.confirmPayouts(batchId);
+
+      expect(ledgerService.recordStakingPayout).toHaveBeenCalledTimes(1);
+      expect(ledgerService.recordStakingPayout).toHaveBeenCalledWith({
+        batchId,
+        businessId: sent.businessId,
+        amount: 10,
+        signature: 'payout-signature'
+      });
+      expect(Business.updateOne).toHaveBeenCalledWith(
+        { _id: sent.businessId },
+        { $set: { 'vaultContribution.stakingYield.lastPayout': expect.objectContaining({ batchId, periodKey: '2026-Q1', amount: 10 }) } }
+      );
+      expect(StakingPayoutBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { batchId },
+        { $set: { 'totals.paidCount': 1, 'totals.paidAmount': 10 } },
+        { new: true }
+      );
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const { Keypair, Transaction, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { NATIVE_MINT } = require('@solana/spl-token');
+const JupiterClient = require('../../../src/services/jupiterClient');
+const SwapCheckoutService = require('../../../src/services/swapCheckoutService');
+const SolanaPayService = require('../../../src/services/solanaPayService');
+
+describe('SwapCheckoutService', () => {
+  const usdcMint = Keypair.generate().publicKey;
+  const solMint = NATIVE_MINT.toBase58();
+  const intent = { reference: Keypair.generate().publicKey.toBase58(), amount: 20 };
+  const swapProgram = Keypair.generate().publicKey.toBase58();
+
+  // Jupiter v6 ExactOut quote: 0.1 SOL for $20 USDC, up to 0.1005 SOL with 0.5% slippage
+  const quoteResponse = {
+    inputMint: solMint,
+    outputMint: usdcMint.toBase58(),
+    inAmount: '100000000',
+    outAmount: '20000000',
+    otherAmountThreshold: '100500000',
+    swapMode: 'ExactOut',
+    slippageBps: 50,
+    priceImpactPct: '0.0012',
+    routePlan: [{ swapInfo: { label: 'Whirlpool' } }]
+  };
+
+  const instruction = (data) => ({
+    programId: swapProgram,
+    accounts: [{ pubkey: Keypair.generate().publicKey.toBase58(), isSigner: false, isWritable: true }],
+    data: Buffer.from(data).toString('base64')
+  });
+
+  let fetch;
+  let connection;
+  let swapCheckoutService;
+
+  const respond = (body, ok = true) => Promise.resolve({ ok, statusText: ok ? 'OK' : 'Bad Request', json: async () => body });
+
+  beforeEach(() => {
+    fetch = jest.fn(url => url.includes('/swap-instructions') ?
+      respond({
+        computeBudgetInstructions: [instruction('budget')],
+        setupInstructions: [instruction('setup')],
+        swapInstruction: instruction('swap'),
+        cleanupInstruction: instruction('cleanup'),
+        addressLookupTableAddresses: []
+      }) :
+      respond(quoteResponse));
+    connection = { getTransaction: jest.fn() };
+
+    swapCheckoutService = new SwapCheckoutService({ connection, usdcMint }, {
+      jupiter: new JupiterClient({ baseUrl: 'http://jupiter.test/v6', fetch })
+    });
+  });
+
+  test('should quote an ExactOut swap for the payment total', async () => {
+    const swapQuote = await swapCheckoutService.createQuote(intent, { inputMint: solMint });
+
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.pathname).toBe('/v6/quote');
+    expect(Object.fromEntries(url.searchParams)).toEqual(expect.objectContaining({
+      inputMint: solMint,
+      outputMint: usdcMint.toBase58(),
+      amount: '20000000',
+      swapMode: 'ExactOut',
+      slippageBps: '50',
+      asLegacyTransaction: 'true'
+    }));
+
+    expect(swapQuote).toEqual(expect.objectContaining({
+      inputSymbol: 'SOL',
+      paymentMethod: 'sol',
+      inAmount: 0.1,
+      maxInAmount: 0.1005,
+      outAmount: 20,
+      priceImpactPct: 0.0012,
+      routeLabels: ['Whirlpool']
+    }));
+    expect(swapQuote.expiresAt - swapQuote.quotedAt).toBe(swapCheckoutService.config.quoteTtlSeconds * 1000);
+  });
+
+  test('should reject unlisted tokens and slippage above the ceiling', async () => {
+    await expect(swapCheckoutService.createQuote(intent, { inputMint: Keypair.generate().publicKey.toBase58() }))
+      .rejects.toThrow('Token is not accepted for checkout');
+    await expect(swapCheckoutService.createQuote(intent, { inputMint: usdcMint.toBase58() }))
+      .rejects.toThrow('Token is not accepted for checkout');
+    await expect(swapCheckoutService.createQuote(intent, { inputMint: solMint, slippageBps: 1000 }))
+      .rejects.toThrow('Slippage must be between');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should put the swap before the fee split in the Transaction Request', async () => {
+    const swapQuote = await swapCheckoutService.createQuote(intent, { inputMint: solMint });
+    const customer = Keypair.generate().publicKey;
+    const reference = Keypair.generate().publicKey;
+
+    const preInstructions = await swapCheckoutService.getSwapInstructions(swapQuote, customer.toBase58());
+    expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual(expect.objectContaining({
+      userPublicKey: customer.toBase58(),
+      asLegacyTransaction: true
+    }));
+
+    process.env.PLATFORM_FEE_WALLET = Keypair.generate().publicKey.toBase58();
+    process.env.PLATFORM_VAULT_ADDRESS = Keypair.generate().publicKey.toBase58();
+    const solanaPayService = new SolanaPayService();
+    solanaPayService.connection = {
+      getLatestBlockhash: jest.fn().mockResolvedValue({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1
+      })
+    };
+
+    const result = await solanaPayService.createTransactionRequest({
+      account: customer.toBase58(),
+      reference: reference.toBase58(),
+      businessWallet: Keypair.generate().publicKey.toBase58(),
+      amount: 20,
+      preInstructions
+    });
+    delete process.env.PLATFORM_FEE_WALLET;
+    process.env.PLATFORM_VAULT_ADDRESS = '11111111111111111111111111111115';
+
+    expect(result.success).toBe(true);
+    const transaction = Transaction.from(Buffer.from(result.transaction, 'base64'));
+    expect(transaction.instructions.slice(0, 4).map(ix => ix.data.toString()))
+      .toEqual(['budget', 'setup', 'swap', 'cleanup']);
+
+    // Business transfer with the reference key stays last for validateTransfer
+    const last = transaction.instructions[transaction.instructions.length - 1];
+    expect(last.keys.some(key => key.pubkey.equals(reference))).toBe(true);
+  });
+
+  test('should refuse expired quotes and routes that need lookup tables', async () => {
+    const swapQuote = await swapCheckoutService.createQuote(intent, { inputMint: solMint });
+    const account = Keypair.generate().publicKey.toBase58();
+
+    await expect(swapCheckoutService.getSwapInstructions({ ...swapQuote, expiresAt: new Date(Date.now() - 1000) }, account))
+      .rejects.toThrow('Swap quote expired');
+
+    fetch.mockImplementationOnce(() => respond({
+      swapInstruction: instruction('swap'),
+      addressLookupTableAddresses: [Keypair.generate().publicKey.toBase58()]
+    }));
+    await expect(swapCheckoutService.getSwapInstructions(swapQuote, account))
+      .rejects.toThrow('Swap route requires address lookup tables');
+  });
+
+  test('should record the input actually spent and the swap loss', async () => {
+    const swapQuote = await swapCheckoutService.createQuote(intent, { inputMint: solMint });
+    const payer = Keypair.generate().publicKey;
+
+    // 0.1004 SOL swapped + 5000 lamport fee + 0.00203928 SOL rent for a new USDC account
+    connection.getTransaction.mockResolvedValue({
+      transaction: { message: { accountKeys: [payer, Keypair.generate().publicKey] } },
+      meta: {
+        fee: 5000,
+        preBalances: [LAMPORTS_PER_SOL, 0],
+        postBalances: [LAMPORTS_PER_SOL - 100400000 - 5000 - 2039280, 2039280]
+      }
+    });
+
+    const fields = await swapCheckoutService.getTransactionFields('sig', {
+      ...intent,
+      requestType: 'transaction',
+      paymentMethod: 'sol',
+      swapQuote
+    });
+
+    expect(fields.inputToken).toEqual({ mint: solMint, amount: 0.1004, symbol: 'SOL' });
+    expect(fields.outputToken).toEqual({ mint: usdcMint.toBase58(), amount: 20, symbol: 'USDC' });
+    expect(fields.jupiterSwap).toEqual(expect.objectContaining({
+      quotedInputAmount: 0.1,
+      maxInputAmount: 0.1005,
+      realizedSlippage: 0.004,
+      priceImpact: 0.0012,
+      swapLoss: 0.0052
+    }));
+
+    // Plain USDC payments carry no swap fields
+    expect(await swapCheckoutService.getTransactionFields('sig', { ...intent, requestType: 'transaction', paymentMethod: 'usdc' }))
+      .toEqual({});
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock('../../../src/models/Transaction', () => {
+  const MockTransaction = jest.fn(function(data) {
+    Object.assign(this, data);
+    this._id = 'refund-transaction-id';
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  MockTransaction.findOne = jest.fn();
+  MockTransaction.findOneAndUpdate = jest.fn();
+  MockTransaction.updateOne = jest.fn().mockResolvedValue({});
+  MockTransaction.find = jest.fn(() => ({ select: jest.fn().mockResolvedValue([]) }));
+  return MockTransaction;
+});
+jest.mock('../../../src/models/Business', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/rewardsService');
+jest.mock('../../../src/services/rewardQueueService', () => ({
+  reduceForRefund: jest.fn().mockResolvedValue(0),
+  getPaymentReward: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../../src/services/ledgerService', () => ({
+  recordPayment: jest.fn().mockResolvedValue({}),
+  recordRefund: jest.fn().mockResolvedValue({})
+}));
+
+const Transaction = require('../../../src/models/Transaction');
+const RewardsService = require('../../../src/services/rewardsService');
+const ledgerService = require('../../../src/services/ledgerService');
+const rewardQueueService = require('../../../src/services/rewardQueueService');
+const TransactionService = require('../../../src/services/transactionService');
+
+describe('TransactionService refunds', () => {
+  let transactionService;
+  let payment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionService = new TransactionService();
+
+    payment = {
+      _id: 'payment-id',
+      businessId: 'business-id',
+      userId: 'customer-id',
+      walletAddress: 'CustomerWallet1111111111111111111111111111',
+      amount: 30,
+      refundedAmount: 0,
+      fees: { vaultContribution: 0.39 },
+      rewards: { pizzaTokensDistributed: 0.6 },
+      refundRequests: [],
+      getRefundableAmount: jest.fn().mockReturnValue(30),
+      save: jest.fn().mockResolvedValue(true)
+    };
+    payment.refundRequests.push = function(entry) {
+      Array.prototype.push.call(this, { ...entry });
+    };
+  });
+
+  describe('requestRefund', () => {
+    test('should reserve a partial refund with a fresh reference', async () => {
+      Transaction.findOne.mockResolvedValue(payment);
+      Transaction.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+        ...payment,
+        refundRequests: [update.$push.refundRequests]
+      }));
+
+      const { refundRequest } = await transactionService.requestRefund({
+        transactionId: 'payment-id',
+        businessId: 'business-id',
+        requestedBy: 'owner-id',
+        amount: 10,
+        reason: 'Wrong order'
+      });
+
+      expect(refundRequest).toMatchObject({ amount: 10, status: 'pending', reason: 'Wrong order' });
+      expect(refundRequest.reference).toMatch(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/);
+
+      // The balance is re-checked by the update itself
+      const [filter] = Transaction.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ _id: 'payment-id', status: 'confirmed' });
+      expect(filter.$expr.$lte[1]).toBe('$amount');
+    });
+
+    test('should not over-reserve when another refund was requested concurrently', async () => {
+      Transaction.findOne.mockResolvedValue(payment);
+      Transaction.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(transactionService.requestRefund({
+        transactionId: 'payment-id',
+        businessId: 'business-id',
+        amount: 20
+      })).rejects.toThrow('another refund was requested meanwhile');
+    });
+
+    test('should reject refunds above the refundable balance', async () => {
+      payment.getRefundableAmount.mockReturnValue(5);
+      Transaction.findOne.mockResolvedValue(payment);
+
+      await expect(transactionService.requestRefund({
+        transactionId: 'payment-id',
+        businessId: 'business-id',
+        amount: 10
+      })).rejects.toThrow('exceeds refundable balance of $5');
+    });
+  });
+
+  describe('completeRefund', () => {
+    test('should record the refund, reverse the vault share and claw back the reward share', async () => {
+      const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+      payment.refundRequests = [{ reference, amount: 10, reason: 'Wrong order', status: 'pending' }];
+      Transaction.findOne.mockResolvedValue(payment);
+      Transaction.findOneAndUpdate.mockResolvedValue({
+        ...payment,
+        refundedAmount: 10,
+        refundRequests: [{ reference, amount: 10, reason: 'Wrong order', status: 'completed' }]
+      });
+
+      RewardsService.prototype.clawbackReward = jest.fn().mockResolvedValue({ amount: 0.2, deducted: 0.2, outstanding: 0 });
+
+      const result = await transactionService.completeRefund({ reference, signature: '5'.repeat(88) });
+
+      expect(Transaction).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'refund',
+        amount: 10,
+        userId: 'customer-id',
+        refund: expect.objectContaining({ originalTransactionId: 'payment-id', vaultContributionReversed: 0.13 })
+      }));
+      expect(ledgerService.recordRefund).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'refund',
+        refund: expect.objectContaining({ vaultContributionReversed: 0.13 })
+      }));
+      expect(RewardsService.prototype.clawbackReward).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'customer-id',
+        amount: 0.2,
+        refundAmount: 10,
+        refundTransactionId: 'refund-transaction-id'
+      }));
+      expect(rewardQueueService.reduceForRefund).toHaveBeenCalledWith('payment-id', 1 / 3);
+      expect(result).toMatchObject({ refundedAmount: 10, refundStatus: 'partial' });
+    });
+
+    test('should claw back the rest of the original reward on a second partial refund', async () => {
+      const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+      const completing = (refundedAmount, requests) => {
+        payment.refundRequests = requests.map(([ref, status]) => ({ reference: ref, amount: 15, status }));
+        Transaction.findOne.mockResolvedValue({ ...payment });
+        Transaction.findOneAndUpdate.mockResolvedValue({
+          ...payment,
+          refundedAmount,
+          refundRequests: requests.map(([ref]) => ({ reference: ref, amount: 15, status: 'completed' }))
+        });
+      };
+      RewardsService.prototype.clawbackReward = jest.fn(async ({ amount }) => ({ amount, deducted: amount, outstanding: 0 }));
+
+      // First half refunded while the 10 $PIZZA SPL reward was still queued - the queue takes the cut
+      completing(15, [[reference, 'pending']]);
+      rewardQueueService.reduceForRefund.mockResolvedValueOnce(5);
+      rewardQueueService.getPaymentReward.mockResolvedValue({ originalAmount: 10, amount: 5, status: 'pending' });
+      await transactionService.completeRefund({ reference, signature: '5'.repeat(88) });
+      expect(RewardsService.prototype.clawbackReward.mock.calls[0][0].amount).toBe(0);
+
+      // The remaining 5 were delivered; refunding the second half claws all of them back
+      const secondReference = 'So11111111111111111111111111111111111111112';
+      completing(30, [[reference, 'completed'], [secondReference, 'pending']]);
+      rewardQueueService.getPaymentReward.mockResolvedValue({ originalAmount: 10, amount: 5, status: 'sent' });
+      Transaction.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ refund: { rewardClawback: { amount: 0 } } }]) });
+      await transactionService.completeRefund({ reference: secondReference, signature: '4'.repeat(88) });
+      expect(RewardsService.prototype.clawbackReward.mock.calls[1][0].amount).toBe(5);
+    });
+
+    test('should not record a refund twice', async () => {
+      const reference = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+      payment.refundRequests = [{ reference, amount: 10, status: 'completed' }];
+      Transaction.findOne.mockResolvedValue(payment);
+
+      await expect(transactionService.completeRefund({ reference, signature: '5'.repeat(88) }))
+        .rejects.toThrow('Pending refund not found');
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,196 @@
+jest.mock('../../../src/models/Vault', () => ({
+  getPlatformVault: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../../src/models/VaultAlert', () => ({
+  findOneAndUpdate: jest.fn(),
+  findByAlertId: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 })
+}));
+jest.mock('../../../src/models/AdminUser', () => ({ find: jest.fn() }));
+jest.mock('../../../src/services/vaultService', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../../src/services/ledgerService', () => ({ getBalance: jest.fn() }));
+
+const Vault = require('../../../src/models/Vault');
+const VaultAlert = require('../../../src/models/VaultAlert');
+const AdminUser = require('../../../src/models/AdminUser');
+const ledgerService = require('../../../src/services/ledgerService');
+const vaultHealthService = require('../../../src/services/vaultHealthService');
+
+describe('VaultHealthService', () => {
+  const VaultHealthService = vaultHealthService.constructor;
+  const config = {
+    checkIntervalMs: 1000,
+    minRewardRunwayDays: 30,
+    maxGiftCardLiabilityRatio: 1,
+    maxStakedRatio: 0.8,
+    rewardReserveFloor: 25,
+    alertEmails: []
+  };
+
+  const analytics = (overrides = {}) => ({
+    vaultSize: 1000,
+    stakedBalance: 0,
+    allocations: { rewards: 600, giftCards: 80, surplus: 320 },
+    projections: { rewardBurnRate: 5 },
+    sustainabilityMetrics: { rewardCoverage: 120 },
+    ...overrides
+  });
+  const platformVault = (rewardsPause = {}) => ({
+    health: {
+      thresholds: {},
+      rewardsPause: { paused: false, automatic: false, ...rewardsPause }
+    }
+  });
+
+  let vaultService;
+  let sendEmail;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vaultService = { getVaultAnalytics: jest.fn().mockResolvedValue(analytics()) };
+    sendEmail = jest.fn().mockResolvedValue();
+    service = new VaultHealthService(vaultService, config);
+    service.sendEmail = sendEmail;
+
+    Vault.getPlatformVault.mockResolvedValue(platformVault());
+    Vault.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+      health: {
+        rewardsPause: {
+          paused: update.$set['health.rewardsPause.paused'],
+          automatic: update.$set['health.rewardsPause.automatic']
+        }
+      }
+    }));
+    VaultAlert.findOneAndUpdate.mockImplementation(async (filter, update) => ({
+      alertId: update.$setOnInsert.alertId,
+      check: filter.check,
+      raisedAt: update.$setOnInsert.raisedAt,
+      ...update.$set
+    }));
+    AdminUser.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ email: 'ops@pizzaplatform.com' }]) });
+    ledgerService.getBalance.mockResolvedValue(100);
+  });
+
+  describe('measure', () => {
+    test('should price outstanding gift cards at the $PIZZA SPL reward cost', async () => {
+      vaultService.getVaultAnalytics.mockResolvedValue(analytics({ vaultSize: 1000, stakedBalance: 250 }));
+
+      const metrics = await service.measure();
+
+      expect(ledgerService.getBalance).toHaveBeenCalledWith('gift_cards:outstanding');
+      expect(metrics).toMatchObject({
+        rewardRunwayDays: 120,
+        giftCardLiability: 50,
+        giftCardLiabilityRatio: 0.625,
+        stakedRatio: 0.25,
+        liquidBalance: 750
+      });
+    });
+  });
+
+  describe('evaluate', () => {
+    const healthy = {
+      rewardBalance: 600,
+      rewardRunwayDays: 120,
+      giftCardAllocation: 80,
+      giftCardLiability: 50,
+      giftCardLiabilityRatio: 0.625,
+      stakedRatio: 0.25
+    };
+
+    test('should report no breaches for a healthy vault', () => {
+      expect(service.evaluate(healthy, config)).toEqual([]);
+    });
+
+    test('should flag each threshold it breaches', () => {
+      const breaches = service.evaluate({
+        ...healthy,
+        rewardBalance: 10,
+        rewardRunwayDays: 2,
+        giftCardLiability: 120,
+        giftCardLiabilityRatio: 1.5,
+        stakedRatio: 0.9
+      }, config);
+
+      expect(breaches.map(breach => [breach.check, breach.severity])).toEqual([
+        ['reward_runway', 'warning'],
+        ['gift_card_liability', 'warning'],
+        ['staked_ratio', 'warning'],
+        ['reward_reserve_floor', 'critical']
+      ]);
+    });
+
+    test('should not flag the runway while no rewards are spent', () => {
+      expect(service.evaluate({ ...healthy, rewardRunwayDays: null }, config)).toEqual([]);
+    });
+  });
+
+  describe('runHealthCheck', () => {
+    test('should pause rewards and email the alert when the reward bucket drops below the floor', async () => {
+      vaultService.getVaultAnalytics.mockResolvedValue(analytics({
+        allocations: { rewards: 10, giftCards: 80, surplus: 320 },
+        sustainabilityMetrics: { rewardCoverage: 45 }
+      }));
+
+      const report = await service.runHealthCheck();
+
+      expect(report.healthy).toBe(false);
+      expect(VaultAlert.findOneAndUpdate).toHaveBeenCalledWith(
+        { check: 'reward_reserve_floor', status: { $in: ['open', 'acknowledged'] } },
+        expect.objectContaining({ $inc: { occurrences: 1 } }),
+        expect.objectContaining({ upsert: true })
+      );
+      expect(sendEmail).toHaveBeenCalledWith(
+        'ops@pizzaplatform.com',
+        '[CRITICAL] Vault health alert: reward reserve floor',
+        expect.stringContaining('below the $25 reserve floor')
+      );
+      expect(Vault.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'platform' },
+        { $set: expect.objectContaining({ 'health.rewardsPause.paused': true, 'health.rewardsPause.automatic': true }) },
+        { new: true }
+      );
+      expect(report.rewardsPause.paused).toBe(true);
+      expect(VaultAlert.updateMany).toHaveBeenCalledWith(
+        { status: { $in: ['open', 'acknowledged'] }, check: { $nin: ['reward_reserve_floor'] } },
+        { $set: { status: 'resolved', resolvedAt: report.checkedAt } }
+      );
+    });
+
+    test('should not email an alert that was already sent', async () => {
+      VaultAlert.findOneAndUpdate.mockResolvedValue({ alertId: 'va_1', check: 'staked_ratio', emailedAt: new Date() });
+      vaultService.getVaultAnalytics.mockResolvedValue(analytics({ stakedBalance: 900 }));
+
+      await service.runHealthCheck();
+
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    test('should lift an automatic pause once the floor is met again', async () => {
+      Vault.getPlatformVault.mockResolvedValue(platformVault({ paused: true, automatic: true }));
+
+      const report = await service.runHealthCheck();
+
+      expect(report.healthy).toBe(true);
+      expect(report.rewardsPause.paused).toBe(false);
+      expect(VaultAlert.updateMany).toHaveBeenCalledWith(
+        { status: { $in: ['open', 'acknowledged'] }, check: { $nin: [] } },
+        expect.anything()
+      );
+    });
+
+    test('should leave a pause set by an admin in place', async () => {
+      Vault.getPlatformVault.mockResolvedValue(platformVault({ paused: true, automatic: false }));
+
+      const report = await service.runHealthCheck();
+
+      expect(Vault.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(report.rewardsPause.paused).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../../../src/models/Vault', () => ({
+  getPlatformVault: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  BUCKETS: ['rewards', 'giftCards', 'surplus']
+}));
+jest.mock('../../../src/models/Business', () => ({ countDocuments: jest.fn().mockResolvedValue(4) }));
+jest.mock('../../../src/models/Transaction', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/ledgerService', () => ({
+  syncProjections: jest.fn(),
+  getVaultBalances: jest.fn(),
+  getBalances: jest.fn().mockResolvedValue({}),
+  recordPayment: jest.fn(),
+  recordVaultFunding: jest.fn(),
+  recordVaultRebalance: jest.fn(),
+  recordVaultWithdrawal: jest.fn(),
+  allocateVaultContribution: jest.fn().mockReturnValue({})
+}));
+
+const Vault = require('../../../src/models/Vault');
+const Transaction = require('../../../src/models/Transaction');
+const ledgerService = require('../../../src/services/ledgerService');
+const VaultService = require('../../../src/services/vaultService');
+
+describe('VaultService', () => {
+  const policy = {
+    rewardsShare: 0.675,
+    giftCardsShare: 0.084,
+    rebalanceTolerance: 0.05,
+    minRebalanceAmount: 1,
+    autoRebalance: true
+  };
+
+  let vault;
+  let vaultService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vault = {
+      balances: { rewards: 100, giftCards: 8.4, surplus: 24.1, staked: 0 },
+      balancesSyncedAt: new Date(),
+      policy: { ...policy },
+      staking: { enabled: false, apy: 0.04, merchantYieldShare: 0.5, history: [] },
+      rebalances: []
+    };
+    Vault.getPlatformVault.mockImplementation(async () => vault);
+
+    vaultService = new VaultService({ connection: {} });
+  });
+
+  describe('calculateRebalance', () => {
+    test('should leave buckets within tolerance alone', () => {
+      expect(vaultService.calculateRebalance({ rewards: 67, giftCards: 8.5, surplus: 24.5 }, policy)).toBeNull();
+    });
+
+    test('should move funds toward the policy targets and net to zero', () => {
+      const moves = vaultService.calculateRebalance({ rewards: 77, giftCards: 8.4, surplus: 14.6 }, policy);
+
+      expect(moves).toEqual({ rewards: -9.5, giftCards: 0, surplus: 9.5 });
+    });
+
+    test('should skip moves below the minimum amount', () => {
+      expect(vaultService.calculateRebalance({ rewards: 0.9, giftCards: 0, surplus: 0.1 }, policy)).toBeNull();
+    });
+  });
+
+  describe('rebalance', () => {
+    test('should post the moves to the ledger and record them on the vault', async () => {
+      vault.balances = { rewards: 77, giftCards: 8.4, surplus: 14.6, staked: 0 };
+      Vault.findOneAndUpdate.mockResolvedValue(vault);
+      ledgerService.getVaultBalances.mockResolvedValue({ rewards: 77, giftCards: 8.4, surplus: 14.6, staked: 0 });
+      ledgerService.recordVaultRebalance.mockResolvedValue({ entryId: 'je_rebalance' });
+
+      const result = await vaultService.rebalance('manual');
+
+      expect(ledgerService.recordVaultRebalance).toHaveBeenCalledWith(expect.objectContaining({
+        moves: { rewards: -9.5, giftCards: 0, surplus: 9.5 },
+        trigger: 'manual'
+      }));
+      expect(Vault.updateOne).toHaveBeenCalledWith(
+        { key: 'platform' },
+        expect.objectContaining({
+          $set: expect.objectContaining({ rebalancingAt: null }),
+          $push: { rebalances: { $each: [expect.objectContaining({ entryId: 'je_rebalance' })], $slice: -50 } }
+        })
+      );
+      expect(result).toMatchObject({ entryId: 'je_rebalance', trigger: 'manual' });
+    });
+
+    test('should not rebalance while another worker holds the claim', async () => {
+      vault.balances = { rewards: 77, giftCards: 8.4, surplus: 14.6, staked: 0 };
+      Vault.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(vaultService.rebalance('manual')).resolves.toBeNull();
+      expect(ledgerService.recordVaultRebalance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processMerchantContribution', () => {
+    test('should make sure the payment is posted before applying the policy', async () => {
+      const payment = { _id: '64b7f0c2a1b2c3d4e5f60799', type: 'payment', status: 'confirmed' };
+      Transaction.findById.mockResolvedValue(payment);
+      vault.policy.autoRebalance = false;
+
+      const contribution = await vaultService.processMerchantContribution('business-id', 0.26, { transactionId: payment._id });
+
+      expect(ledgerService.recordPayment).toHaveBeenCalledWith(payment);
+      expect(contribution).toMatchObject({ businessId: 'business-id', amount: 0.26, rebalance: null });
+    });
+  });
+
+  describe('fundRewardDistribution', () => {
+    test('should pay the reward cost out of the rewards bucket', async () => {
+      ledgerService.recordVaultFunding.mockResolvedValue({ entryId: 'je_funding' });
+
+      const funding = await vaultService.fundRewardDistribution(0.3, 'CustomerWallet', 'payment-id');
+
+      expect(ledgerService.recordVaultFunding).toHaveBeenCalledWith(expect.objectContaining({
+        bucket: 'rewards',
+        amount: 0.3,
+        fundingKey: 'payment-id'
+      }));
+      expect(funding).toMatchObject({ type: 'reward_funding', entryId: 'je_funding' });
+    });
+
+    test('should refuse funding beyond the rewards bucket', async () => {
+      await expect(vaultService.fundRewardDistribution(150, 'CustomerWallet', 'payment-id'))
+        .rejects.toThrow('Failed to fund reward distribution');
+      expect(ledgerService.recordVaultFunding).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('emergencyWithdraw', () => {
+    const withdrawal = (amount) => ({
+      withdrawalId: `vw_${'a'.repeat(24)}`,
+      amount,
+      destination: 'DestinationWallet',
+      reason: 'Cover an exchange outage refund backlog',
+      approvals: [{ adminId: 'admin-1' }, { adminId: 'admin-2' }]
+    });
+
+    test('should cap withdrawals at the surplus and the liquid vault limit', async () => {
+      // 20% of the 132.5 liquid vault is 26.5, so the 24.1 surplus is the cap
+      await expect(vaultService.getWithdrawalLimit()).resolves.toMatchObject({ surplus: 24.1, available: 24.1 });
+
+      vault.balances.surplus = 60;
+      await expect(vaultService.getWithdrawalLimit()).resolves.toMatchObject({ liquidBalance: 168.4, available: 33.68 });
+    });
+
+    test('should post the withdrawal out of the surplus', async () => {
+      ledgerService.recordVaultWithdrawal.mockResolvedValue({ entryId: 'je_withdrawal' });
+
+      const result = await vaultService.emergencyWithdraw(withdrawal(20), { executedBy: 'admin-1', signature: 'sig' });
+
+      expect(ledgerService.recordVaultWithdrawal).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 20,
+        approvedBy: ['admin-1', 'admin-2'],
+        executedBy: 'admin-1',
+        signature: 'sig'
+      }));
+      expect(result).toMatchObject({ type: 'emergency_withdrawal', entryId: 'je_withdrawal' });
+    });
+
+    test('should refuse withdrawals over the limit', async () => {
+      await expect(vaultService.emergencyWithdraw(withdrawal(30))).rejects.toThrow('exceeds the vault withdrawal limit');
+      expect(ledgerService.recordVaultWithdrawal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toggleKaminoStaking', () => {
+    test('should persist the change with its history entry', async () => {
+      const enabled = { ...vault, staking: { ...vault.staking, enabled: true, changedAt: new Date() } };
+      Vault.findOneAndUpdate.mockResolvedValue(enabled);
+
+      const result = await vaultService.toggleKaminoStaking(true, { businessId: 'business-id' });
+
+      expect(Vault.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'platform', 'staking.enabled': { $ne: true } },
+        expect.objectContaining({
+          $push: {
+            'staking.history': {
+              $each: [expect.objectContaining({ enabled: true, amount: 132.5, businessId: 'business-id' })],
+              $slice: -100
+            }
+          }
+        }),
+        { new: true }
+      );
+      expect(result).toMatchObject({ stakingEnabled: true, stakingAmount: 132.5, estimatedYield: 5.3 });
+    });
+  });
+});
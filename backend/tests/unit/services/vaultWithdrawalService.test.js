@@ -0,0 +1,233 @@
+const { Keypair } = require('@solana/web3.js');
+
+jest.mock('speakeasy', () => ({ totp: { verify: jest.fn() } }));
+jest.mock('../../../src/models/VaultWithdrawal', () => ({
+  create: jest.fn(),
+  findByWithdrawalId: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn().mockResolvedValue({}),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 })
+}));
+jest.mock('../../../src/models/AdminUser', () => ({
+  findById: jest.fn(),
+  countDocuments: jest.fn()
+}));
+jest.mock('../../../src/services/vaultService', () => jest.fn().mockImplementation(() => ({})));
+
+const speakeasy = require('speakeasy');
+const VaultWithdrawal = require('../../../src/models/VaultWithdrawal');
+const AdminUser = require('../../../src/models/AdminUser');
+const vaultWithdrawalService = require('../../../src/services/vaultWithdrawalService');
+
+describe('VaultWithdrawalService', () => {
+  const VaultWithdrawalService = vaultWithdrawalService.constructor;
+  const HOUR_MS = 60 * 60 * 1000;
+  const withdrawalId = `vw_${'a'.repeat(24)}`;
+  const destination = Keypair.generate().publicKey.toBase58();
+
+  const superAdmin = (id, username) => ({
+    _id: id,
+    username,
+    role: 'super_admin',
+    isActive: true,
+    twoFactorEnabled: true,
+    twoFactorSecret: 'JBSWY3DPEHPK3PXP'
+  });
+  const alice = superAdmin('64b7f0c2a1b2c3d4e5f60001', 'alice');
+  const bob = superAdmin('64b7f0c2a1b2c3d4e5f60002', 'bob');
+
+  let vaultService;
+  let service;
+
+  const givenAdmin = (admin) => {
+    AdminUser.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(admin) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    vaultService = {
+      getWithdrawalLimit: jest.fn().mockResolvedValue({ surplus: 500, liquidBalance: 2000, limitPercent: 20, available: 400 }),
+      emergencyWithdraw: jest.fn()
+    };
+    service = new VaultWithdrawalService(vaultService);
+
+    speakeasy.totp.verify.mockReturnValue(true);
+    AdminUser.countDocuments.mockResolvedValue(3);
+    VaultWithdrawal.create.mockImplementation(async (data) => data);
+  });
+
+  describe('propose', () => {
+    const proposal = { amount: 250, destination, reason: 'Cover an exchange outage refund backlog' };
+
+    test('should record the TOTP-confirmed proposer as the first approval', async () => {
+      givenAdmin(alice);
+
+      const withdrawal = await service.propose(proposal, alice._id, '123456', { ipAddress: '10.0.0.1' });
+
+      expect(speakeasy.totp.verify).toHaveBeenCalledWith(expect.objectContaining({ secret: alice.twoFactorSecret, token: '123456' }));
+      expect(withdrawal).toMatchObject({
+        amount: 250,
+        destination,
+        requiredApprovals: 2,
+        approvals: [expect.objectContaining({ adminId: alice._id, username: 'alice' })],
+        auditTrail: [expect.objectContaining({ action: 'proposed', adminId: alice._id, ipAddress: '10.0.0.1' })]
+      });
+      expect(withdrawal.withdrawalId).toMatch(/^vw_[a-f0-9]{24}$/);
+      expect(withdrawal.expiresAt.getTime() - Date.now()).toBeGreaterThan(71 * HOUR_MS);
+      expect(VaultWithdrawal.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an invalid verification code', async () => {
+      givenAdmin(alice);
+      speakeasy.totp.verify.mockReturnValue(false);
+
+      await expect(service.propose(proposal, alice._id, '000000')).rejects.toThrow('Invalid verification code');
+      expect(VaultWithdrawal.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse admins who are not super admins', async () => {
+      givenAdmin({ ...alice, role: 'admin' });
+
+      await expect(service.propose(proposal, alice._id, '123456')).rejects.toThrow('Only super admins');
+    });
+
+    test('should refuse amounts over the withdrawal limit', async () => {
+      givenAdmin(alice);
+
+      await expect(service.propose({ ...proposal, amount: 450 }, alice._id, '123456'))
+        .rejects.toThrow('Withdrawal exceeds the vault withdrawal limit of $400');
+      expect(VaultWithdrawal.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse when too few super admins could approve', async () => {
+      givenAdmin(alice);
+      AdminUser.countDocuments.mockResolvedValue(1);
+
+      await expect(service.propose(proposal, alice._id, '123456')).rejects.toThrow('Not enough super admins');
+    });
+  });
+
+  describe('approve', () => {
+    const proposed = () => ({
+      withdrawalId,
+      status: 'proposed',
+      requiredApprovals: 2,
+      approvals: [{ adminId: alice._id, username: 'alice' }]
+    });
+
+    test('should start the time-lock once the required approvals are reached', async () => {
+      givenAdmin(bob);
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue(proposed());
+      const withBob = { ...proposed(), approvals: [...proposed().approvals, { adminId: bob._id, username: 'bob' }] };
+      VaultWithdrawal.findOneAndUpdate
+        .mockResolvedValueOnce(withBob)
+        .mockResolvedValueOnce({ ...withBob, status: 'approved' });
+
+      const withdrawal = await service.approve(withdrawalId, bob._id, '123456', { comment: 'Confirmed with finance' });
+
+      expect(VaultWithdrawal.findOneAndUpdate).toHaveBeenNthCalledWith(1,
+        { withdrawalId, status: 'proposed', 'approvals.adminId': { $ne: bob._id } },
+        { $push: expect.objectContaining({ approvals: expect.objectContaining({ adminId: bob._id, comment: 'Confirmed with finance' }) }) },
+        { new: true }
+      );
+      const [, timeLock] = VaultWithdrawal.findOneAndUpdate.mock.calls[1];
+      expect(timeLock.$set.status).toBe('approved');
+      expect(timeLock.$set.executableAt.getTime() - timeLock.$set.approvedAt.getTime()).toBe(24 * HOUR_MS);
+      expect(timeLock.$set.expiresAt.getTime() - timeLock.$set.executableAt.getTime()).toBe(48 * HOUR_MS);
+      expect(withdrawal.status).toBe('approved');
+    });
+
+    test('should not let an admin approve twice', async () => {
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue(proposed());
+
+      await expect(service.approve(withdrawalId, alice._id, '123456')).rejects.toThrow('already approved');
+      expect(speakeasy.totp.verify).not.toHaveBeenCalled();
+    });
+
+    test('should add a refused verification code to the audit trail', async () => {
+      givenAdmin(bob);
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue(proposed());
+      speakeasy.totp.verify.mockReturnValue(false);
+
+      await expect(service.approve(withdrawalId, bob._id, '000000', { ipAddress: '10.0.0.2' }))
+        .rejects.toThrow('Invalid verification code');
+      expect(VaultWithdrawal.updateOne).toHaveBeenCalledWith(
+        { withdrawalId },
+        { $push: { auditTrail: expect.objectContaining({ action: 'totp_failed', adminId: bob._id, ipAddress: '10.0.0.2' }) } }
+      );
+      expect(VaultWithdrawal.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel', () => {
+    test('should refuse once the time-lock has ended', async () => {
+      givenAdmin(bob);
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue({
+        withdrawalId,
+        status: 'approved',
+        executableAt: new Date(Date.now() - 1000)
+      });
+
+      await expect(service.cancel(withdrawalId, bob._id, '123456', { reason: 'Too late' }))
+        .rejects.toThrow('cancellation window for this vault withdrawal has closed');
+      expect(VaultWithdrawal.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should require a valid verification code to cancel or reject', async () => {
+      givenAdmin(bob);
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue({ withdrawalId, status: 'proposed' });
+      speakeasy.totp.verify.mockReturnValue(false);
+
+      await expect(service.cancel(withdrawalId, bob._id, '000000', { reason: 'Not needed' }))
+        .rejects.toThrow('Invalid verification code');
+      await expect(service.reject(withdrawalId, bob._id, '000000', { reason: 'Not needed' }))
+        .rejects.toThrow('Invalid verification code');
+      expect(VaultWithdrawal.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('execute', () => {
+    const approved = (executableAt) => ({
+      withdrawalId,
+      status: 'approved',
+      amount: 250,
+      reason: 'Cover an exchange outage refund backlog',
+      executableAt,
+      approvals: [{ adminId: alice._id }, { adminId: bob._id }]
+    });
+
+    test('should refuse while the withdrawal is time-locked', async () => {
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue(approved(new Date(Date.now() + HOUR_MS)));
+
+      await expect(service.execute(withdrawalId, alice._id, '123456')).rejects.toThrow('time-locked');
+      expect(vaultService.emergencyWithdraw).not.toHaveBeenCalled();
+    });
+
+    test('should withdraw through the vault and record the execution', async () => {
+      givenAdmin(alice);
+      const withdrawal = approved(new Date(Date.now() - 1000));
+      VaultWithdrawal.findByWithdrawalId.mockResolvedValue(withdrawal);
+      vaultService.emergencyWithdraw.mockResolvedValue({ entryId: 'je_withdrawal', remainingSurplus: 250 });
+      VaultWithdrawal.findOneAndUpdate.mockResolvedValue({ ...withdrawal, status: 'executed' });
+
+      const result = await service.execute(withdrawalId, alice._id, '123456', { signature: 'transfer-signature' });
+
+      expect(vaultService.emergencyWithdraw).toHaveBeenCalledWith(withdrawal, {
+        executedBy: alice._id,
+        signature: 'transfer-signature'
+      });
+      expect(VaultWithdrawal.findOneAndUpdate).toHaveBeenCalledWith(
+        { withdrawalId, status: 'approved' },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: 'executed',
+            execution: expect.objectContaining({ entryId: 'je_withdrawal', signature: 'transfer-signature' })
+          })
+        }),
+        { new: true }
+      );
+      expect(result).toMatchObject({ withdrawal: { status: 'executed' }, remainingSurplus: 250 });
+    });
+  });
+});
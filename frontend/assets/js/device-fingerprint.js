@@ -0,0 +1,33 @@
+/**
+ * Device Fingerprint Utility
+ * Hashes the browser's device traits so signups and logins from one device can be matched
+ * (referral anti-abuse checks, new-device detection) without storing the traits themselves
+ */
+
+/**
+ * SHA-256 of user agent, screen, timezone, language and platform
+ * @returns {Promise<string|null>} Hex fingerprint, or null where Web Crypto is unavailable
+ */
+async function getDeviceFingerprint() {
+  if (!window.crypto || !window.crypto.subtle) {
+    return null;
+  }
+
+  const traits = [
+    navigator.userAgent,
+    `${screen.width}x${screen.height}x${screen.colorDepth}`,
+    Intl.DateTimeFormat().resolvedOptions().timeZone,
+    navigator.language,
+    navigator.platform
+  ].join('|');
+
+  try {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(traits));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  } catch (error) {
+    console.warn('Device fingerprint unavailable:', error);
+    return null;
+  }
+}
+
+window.getDeviceFingerprint = getDeviceFingerprint;
@@ -0,0 +1,119 @@
+/**
+ * Payment Stream Client
+ * Subscribes to Server-Sent Events from /api/stream/* with the Bearer token
+ * (fetch-based so the token never appears in the URL)
+ */
+
+class PaymentStream {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.token = options.token;
+    this.onEvent = options.onEvent || (() => {});
+    this.onUnavailable = options.onUnavailable || (() => {});
+    this.maxReconnects = options.maxReconnects ?? 3;
+    this.reconnectDelay = options.reconnectDelay || 5000;
+
+    this.controller = null;
+    this.reconnects = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Open the stream; calls onUnavailable once reconnects are exhausted
+   */
+  async connect() {
+    if (this.closed) return;
+
+    if (!window.ReadableStream || !window.TextDecoder || !window.AbortController) {
+      this.onUnavailable(new Error('Streaming not supported'));
+      return;
+    }
+
+    this.controller = new AbortController();
+
+    try {
+      const response = await fetch(this.url, {
+        headers: {
+          'Accept': 'text/event-stream',
+          'Authorization': `Bearer ${this.token}`
+        },
+        signal: this.controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        // Client errors (auth, not found) will not recover by reconnecting
+        const error = new Error(`Stream unavailable (${response.status})`);
+        error.status = response.status;
+        if (response.status >= 400 && response.status < 500) {
+          this.closed = true;
+          this.onUnavailable(error);
+          return;
+        }
+        throw error;
+      }
+
+      this.reconnects = 0;
+      await this.read(response.body.getReader());
+    } catch (error) {
+      if (this.closed || error.name === 'AbortError') return;
+      console.warn('Payment stream error:', error.message);
+    }
+
+    // Stream ended or failed - reconnect, then give up and let the caller poll
+    if (this.closed) return;
+    if (this.reconnects < this.maxReconnects) {
+      this.reconnects++;
+      setTimeout(() => this.connect(), this.reconnectDelay);
+    } else {
+      this.closed = true;
+      this.onUnavailable(new Error('Stream disconnected'));
+    }
+  }
+
+  /**
+   * Parse the SSE wire format: "event: <name>\ndata: <json>\n\n"
+   */
+  async read(reader) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (!this.closed) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += decoder.decode(value, { stream: true });
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+
+      for (const message of messages) {
+        let eventName = 'message';
+        let data = '';
+
+        for (const line of message.split('\n')) {
+          if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            data += line.slice(5).trim();
+          }
+        }
+
+        if (!data) continue; // Heartbeats and retry hints
+
+        try {
+          this.onEvent(eventName, JSON.parse(data));
+        } catch (error) {
+          console.warn('Invalid payment stream event:', error.message);
+        }
+      }
+    }
+  }
+
+  close() {
+    this.closed = true;
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+}
+
+window.PaymentStream = PaymentStream;
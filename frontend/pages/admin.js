@@ -357,6 +357,12 @@ function setupFormHandlers() {
     if (addLocationForm) {
         addLocationForm.addEventListener('submit', handleAddLocation);
     }
+    
+    // Propose vault withdrawal form
+    const vaultWithdrawalForm = document.getElementById('vault-withdrawal-form');
+    if (vaultWithdrawalForm) {
+        vaultWithdrawalForm.addEventListener('submit', handleProposeVaultWithdrawal);
+    }
 }
 
 // Handle add location
@@ -1193,6 +1199,407 @@ function loadVaultData() {
             element.textContent = elements[id];
         }
     });
+    
+    loadVaultHealth();
+    loadRewardQueue();
+    loadVaultWithdrawals();
+}
+
+// Admin API base (config.js sets window.API_BASE)
+const adminApiBase = window.API_BASE ? window.API_BASE + '/api/admin' : 'http://localhost:7000/api/admin';
+
+// Authenticated admin API call - throws with the API's error message
+async function adminApiRequest(path, options = {}) {
+    const response = await fetch(`${adminApiBase}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${window.adminToken}`
+        }
+    });
+    const data = await response.json();
+    
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Request failed');
+    }
+    return data;
+}
+
+// Escape user-entered text before rendering it as HTML
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+// Current reward pause state (toggled by the Pause/Resume Rewards button)
+let rewardDistributionPaused = false;
+
+// Load the latest vault health check, reward pause state and alert feed
+async function loadVaultHealth() {
+    const summaryEl = document.getElementById('vault-health-summary');
+    if (!summaryEl) return;
+    
+    try {
+        const [health, feed] = await Promise.all([
+            adminApiRequest('/vault/health'),
+            adminApiRequest('/vault/alerts?limit=20')
+        ]);
+        const { lastCheck, thresholds, rewardsPause } = health;
+        const metrics = lastCheck && lastCheck.metrics;
+        
+        rewardDistributionPaused = Boolean(rewardsPause.paused);
+        const pauseBtn = document.getElementById('vault-rewards-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.innerHTML = rewardDistributionPaused
+                ? '<i class="fas fa-play"></i> Resume Rewards'
+                : '<i class="fas fa-pause"></i> Pause Rewards';
+        }
+        
+        const parts = [];
+        if (rewardDistributionPaused) {
+            parts.push(`⏸️ Rewards paused${rewardsPause.automatic ? ' automatically' : ''}: ${rewardsPause.reason || 'no reason given'}`);
+        }
+        if (metrics) {
+            const runway = metrics.rewardRunwayDays === null ? 'no spend' : `${metrics.rewardRunwayDays} days`;
+            parts.push(`Reward runway: ${runway} (min ${thresholds.minRewardRunwayDays})`);
+            parts.push(`Gift card liability: $${metrics.giftCardLiability} of $${metrics.giftCardAllocation} allocated`);
+            parts.push(`Staked: ${Math.round(metrics.stakedRatio * 100)}% (max ${Math.round(thresholds.maxStakedRatio * 100)}%)`);
+            parts.push(`Reserve floor: $${thresholds.rewardReserveFloor}`);
+            parts.push(`Checked ${new Date(health.lastCheckedAt).toLocaleString()}`);
+        } else {
+            parts.push('No health check has run yet');
+        }
+        summaryEl.textContent = parts.join(' • ');
+        
+        renderVaultAlerts(feed.alerts);
+    } catch (error) {
+        console.error('Failed to load vault health:', error);
+        summaryEl.textContent = `Vault health unavailable: ${error.message}`;
+    }
+}
+
+// Render the alert feed
+function renderVaultAlerts(alerts) {
+    const tbody = document.getElementById('vault-alerts-tbody');
+    if (!tbody) return;
+    
+    if (alerts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #666;">No vault alerts</td></tr>';
+        return;
+    }
+    
+    const severityColors = { warning: '#ff9800', critical: '#f44336' };
+    const statusColors = { open: '#f44336', acknowledged: '#2196f3', resolved: '#4caf50' };
+    
+    tbody.innerHTML = alerts.map(alert => {
+        const id = escapeHtml(alert.alertId);
+        const action = alert.status === 'open'
+            ? `<button class="btn btn-sm btn-outline" onclick="acknowledgeVaultAlert('${id}')"><i class="fas fa-check"></i> Acknowledge</button>`
+            : '-';
+        const seen = alert.occurrences > 1 ? `<br><small>Seen ${alert.occurrences} times, last ${new Date(alert.lastSeenAt).toLocaleString()}</small>` : '';
+        
+        return `
+            <tr>
+                <td>${new Date(alert.raisedAt).toLocaleString()}</td>
+                <td><span style="color: ${severityColors[alert.severity]}; font-weight: 600;">${alert.severity}</span></td>
+                <td>${escapeHtml(alert.message)}${seen}</td>
+                <td><span style="color: ${statusColors[alert.status]}; font-weight: 600;">${alert.status}</span></td>
+                <td>${action}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Run a health check now
+async function runVaultHealthCheck() {
+    try {
+        const data = await adminApiRequest('/vault/health/check', { method: 'POST' });
+        const { report } = data;
+        
+        showNotification(report.healthy ? 'Vault is healthy' : `${report.breaches.length} vault health threshold(s) breached`, report.healthy ? 'success' : 'error');
+        loadVaultHealth();
+    } catch (error) {
+        showNotification(`Vault health check failed: ${error.message}`, 'error');
+    }
+}
+
+// Acknowledge an open alert
+async function acknowledgeVaultAlert(alertId) {
+    try {
+        await adminApiRequest(`/vault/alerts/${alertId}/acknowledge`, { method: 'POST' });
+        showNotification('Vault alert acknowledged', 'success');
+        loadVaultHealth();
+    } catch (error) {
+        showNotification(`Failed to acknowledge alert: ${error.message}`, 'error');
+    }
+}
+
+// Pause or resume reward distribution
+async function toggleRewardDistribution() {
+    try {
+        if (rewardDistributionPaused) {
+            await adminApiRequest('/vault/rewards/resume', { method: 'POST' });
+            showNotification('Reward distribution resumed', 'success');
+        } else {
+            const reason = prompt('Reason to pause reward distribution');
+            if (!reason) return;
+            await adminApiRequest('/vault/rewards/pause', {
+                method: 'POST',
+                body: JSON.stringify({ reason })
+            });
+            showNotification('Reward distribution paused', 'success');
+        }
+        loadVaultHealth();
+    } catch (error) {
+        showNotification(`Failed to update reward distribution: ${error.message}`, 'error');
+    }
+}
+
+// Load reward queue totals and the queued rewards (optionally filtered by status)
+async function loadRewardQueue() {
+    const summaryEl = document.getElementById('reward-queue-summary');
+    if (!summaryEl) return;
+    
+    const statusEl = document.getElementById('reward-queue-status');
+    const status = statusEl ? statusEl.value : '';
+    
+    try {
+        const data = await adminApiRequest(`/rewards/queue?limit=20${status ? `&status=${status}` : ''}`);
+        const { stats } = data;
+        
+        const parts = [
+            `Pending: ${stats.pending.count} ($PIZZA ${stats.pending.amount})`,
+            `Sending: ${stats.sending.count}`,
+            `Retrying: ${stats.failed.count}`,
+            `Dead letter: ${stats.dead_letter.count} ($PIZZA ${stats.dead_letter.amount})`,
+            `Sent: ${stats.sent.count}`
+        ];
+        if (stats.pending.oldest) {
+            parts.push(`Oldest pending ${new Date(stats.pending.oldest).toLocaleString()}`);
+        }
+        summaryEl.textContent = parts.join(' • ');
+        
+        renderRewardQueue(data.rewards);
+    } catch (error) {
+        console.error('Failed to load reward queue:', error);
+        summaryEl.textContent = `Reward queue unavailable: ${error.message}`;
+    }
+}
+
+// Render queued rewards
+function renderRewardQueue(rewards) {
+    const tbody = document.getElementById('reward-queue-tbody');
+    if (!tbody) return;
+    
+    if (rewards.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #666;">No queued rewards</td></tr>';
+        return;
+    }
+    
+    const statusColors = {
+        pending: '#2196f3',
+        sending: '#ff9800',
+        sent: '#4caf50',
+        failed: '#ff9800',
+        dead_letter: '#f44336',
+        cancelled: '#666'
+    };
+    
+    tbody.innerHTML = rewards.map(reward => {
+        const id = escapeHtml(reward.rewardId);
+        const action = ['failed', 'dead_letter'].includes(reward.status)
+            ? `<button class="btn btn-sm btn-outline" onclick="requeueReward('${id}')"><i class="fas fa-redo"></i> Requeue</button>`
+            : '-';
+        const customer = reward.userId && reward.userId.email ? reward.userId.email : reward.recipient;
+        const detail = reward.lastError ? `<br><small>${escapeHtml(reward.lastError)}</small>` : '';
+        
+        return `
+            <tr>
+                <td>${new Date(reward.createdAt).toLocaleString()}</td>
+                <td>${escapeHtml(customer)}</td>
+                <td>${reward.amount} $PIZZA${reward.kind === 'referral_bonus' ? ' <small>(referral bonus)</small>' : ''}</td>
+                <td><span style="color: ${statusColors[reward.status]}; font-weight: 600;">${reward.status.replace('_', ' ')}</span>${detail}</td>
+                <td>${reward.attempts}</td>
+                <td>${action}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Send due rewards now
+async function processRewardQueue() {
+    try {
+        const { summary } = await adminApiRequest('/rewards/queue/process', { method: 'POST' });
+        
+        if (summary.paused) {
+            showNotification('Reward distribution is paused - queued rewards are held', 'error');
+        } else {
+            showNotification(`Sent ${summary.sent} reward(s), ${summary.failed + summary.deadLettered} failed`, summary.failed + summary.deadLettered > 0 ? 'error' : 'success');
+        }
+        loadRewardQueue();
+    } catch (error) {
+        showNotification(`Failed to process reward queue: ${error.message}`, 'error');
+    }
+}
+
+// Requeue a failed or dead-lettered reward
+async function requeueReward(rewardId) {
+    try {
+        await adminApiRequest(`/rewards/queue/${rewardId}/requeue`, { method: 'POST' });
+        showNotification('Reward requeued', 'success');
+        loadRewardQueue();
+    } catch (error) {
+        showNotification(`Failed to requeue reward: ${error.message}`, 'error');
+    }
+}
+
+// Load emergency vault withdrawals and the approval policy
+async function loadVaultWithdrawals() {
+    const tbody = document.getElementById('vault-withdrawals-tbody');
+    const policyEl = document.getElementById('vault-withdrawal-policy');
+    if (!tbody) return;
+    
+    try {
+        const data = await adminApiRequest('/vault/withdrawals?limit=20');
+        const { policy } = data;
+        
+        if (policyEl) {
+            policyEl.textContent = `${policy.requiredApprovals} of ${policy.eligibleApprovers} super admin approvals (2FA confirmed) • ` +
+                `${policy.timeLockHours}h time-lock, cancellable until it ends • ` +
+                `Limit: $${policy.limit.available} (surplus, max ${policy.limit.limitPercent}% of the liquid vault)`;
+        }
+        
+        renderVaultWithdrawals(data.withdrawals);
+    } catch (error) {
+        console.error('Failed to load vault withdrawals:', error);
+        if (policyEl) {
+            policyEl.textContent = `Withdrawals unavailable: ${error.message}`;
+        }
+    }
+}
+
+// Render the withdrawals table with the actions each status allows
+function renderVaultWithdrawals(withdrawals) {
+    const tbody = document.getElementById('vault-withdrawals-tbody');
+    if (!tbody) return;
+    
+    if (withdrawals.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: #666;">No withdrawals yet</td></tr>';
+        return;
+    }
+    
+    const statusColors = {
+        proposed: '#ff9800',
+        approved: '#2196f3',
+        executed: '#4caf50',
+        rejected: '#f44336',
+        cancelled: '#9e9e9e',
+        expired: '#9e9e9e'
+    };
+    const now = new Date();
+    
+    tbody.innerHTML = withdrawals.map(withdrawal => {
+        const id = escapeHtml(withdrawal.withdrawalId);
+        const executableAt = withdrawal.executableAt ? new Date(withdrawal.executableAt) : null;
+        const unlocked = executableAt && executableAt <= now;
+        const actions = [];
+        
+        if (withdrawal.status === 'proposed') {
+            actions.push(`<button class="btn btn-sm btn-primary" onclick="actOnVaultWithdrawal('${id}', 'approve')"><i class="fas fa-check"></i> Approve</button>`);
+            actions.push(`<button class="btn btn-sm btn-outline" onclick="actOnVaultWithdrawal('${id}', 'reject')"><i class="fas fa-times"></i> Reject</button>`);
+        }
+        if (withdrawal.status === 'proposed' || (withdrawal.status === 'approved' && !unlocked)) {
+            actions.push(`<button class="btn btn-sm btn-outline" onclick="actOnVaultWithdrawal('${id}', 'cancel')"><i class="fas fa-ban"></i> Cancel</button>`);
+        }
+        if (withdrawal.status === 'approved' && unlocked) {
+            actions.push(`<button class="btn btn-sm btn-primary" onclick="actOnVaultWithdrawal('${id}', 'execute')"><i class="fas fa-paper-plane"></i> Execute</button>`);
+        }
+        
+        let statusDetail = '';
+        if (withdrawal.status === 'approved') {
+            statusDetail = unlocked ? 'Ready to execute' : `Time-locked until ${executableAt.toLocaleString()}`;
+        } else if (withdrawal.status === 'executed' && withdrawal.execution) {
+            statusDetail = `Ledger entry ${escapeHtml(withdrawal.execution.entryId)}`;
+        } else if (withdrawal.status === 'rejected' && withdrawal.rejection) {
+            statusDetail = escapeHtml(withdrawal.rejection.reason);
+        } else if (withdrawal.status === 'cancelled' && withdrawal.cancellation) {
+            statusDetail = escapeHtml(withdrawal.cancellation.reason);
+        }
+        
+        const approvers = withdrawal.approvals.map(approval => escapeHtml(approval.username)).join(', ');
+        
+        return `
+            <tr>
+                <td>${new Date(withdrawal.createdAt).toLocaleString()}<br><small>${escapeHtml(withdrawal.proposedBy?.username)}</small></td>
+                <td>$${withdrawal.amount}</td>
+                <td><code>${escapeHtml(withdrawal.destination.slice(0, 4))}…${escapeHtml(withdrawal.destination.slice(-4))}</code></td>
+                <td>${escapeHtml(withdrawal.reason)}</td>
+                <td>${withdrawal.approvals.length}/${withdrawal.requiredApprovals}<br><small>${approvers}</small></td>
+                <td><span style="color: ${statusColors[withdrawal.status]}; font-weight: 600;">${withdrawal.status}</span><br><small>${statusDetail}</small></td>
+                <td>${actions.join(' ') || '-'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Propose an emergency withdrawal (the proposal is the first approval)
+async function handleProposeVaultWithdrawal(event) {
+    event.preventDefault();
+    
+    const formData = new FormData(event.target);
+    
+    try {
+        const data = await adminApiRequest('/vault/withdrawals', {
+            method: 'POST',
+            body: JSON.stringify({
+                amount: parseFloat(formData.get('amount')),
+                destination: formData.get('destination').trim(),
+                reason: formData.get('reason').trim(),
+                totpCode: formData.get('totpCode').trim()
+            })
+        });
+        
+        event.target.reset();
+        showNotification(`Withdrawal ${data.withdrawal.withdrawalId} proposed`, 'success');
+        loadVaultWithdrawals();
+    } catch (error) {
+        showNotification(`Failed to propose withdrawal: ${error.message}`, 'error');
+    }
+}
+
+// Approve, reject, cancel or execute a withdrawal
+async function actOnVaultWithdrawal(withdrawalId, action) {
+    const totpCode = prompt(`Enter your 2FA code to ${action} ${withdrawalId}`);
+    if (!totpCode) return;
+    const body = { totpCode: totpCode.trim() };
+    
+    if (action === 'approve') {
+        const comment = prompt('Approval comment (optional)');
+        if (comment) body.comment = comment;
+    }
+    if (action === 'execute') {
+        const signature = prompt('Signature of the on-chain transfer to the destination (optional)');
+        if (signature) body.signature = signature.trim();
+    }
+    if (action === 'reject' || action === 'cancel') {
+        const reason = prompt(`Reason to ${action} ${withdrawalId}`);
+        if (!reason) return;
+        body.reason = reason;
+    }
+    
+    try {
+        await adminApiRequest(`/vault/withdrawals/${withdrawalId}/${action}`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        
+        const pastTense = { approve: 'approved', reject: 'rejected', cancel: 'cancelled', execute: 'executed' };
+        showNotification(`Withdrawal ${withdrawalId} ${pastTense[action]}`, 'success');
+        loadVaultWithdrawals();
+    } catch (error) {
+        showNotification(`Failed to ${action} withdrawal: ${error.message}`, 'error');
+    }
 }
 
 // Load transactions data
@@ -1230,6 +1637,15 @@ window.openLocationEditPopup = openLocationEditPopup;
 window.closeLocationEditPopup = closeLocationEditPopup;
 window.downloadLogFile = downloadLogFile;
 window.refreshData = refreshData;
+window.loadVaultHealth = loadVaultHealth;
+window.runVaultHealthCheck = runVaultHealthCheck;
+window.acknowledgeVaultAlert = acknowledgeVaultAlert;
+window.toggleRewardDistribution = toggleRewardDistribution;
+window.loadRewardQueue = loadRewardQueue;
+window.processRewardQueue = processRewardQueue;
+window.requeueReward = requeueReward;
+window.loadVaultWithdrawals = loadVaultWithdrawals;
+window.actOnVaultWithdrawal = actOnVaultWithdrawal;
 
 window.adminDashboard = {
     logout: handleLogout,
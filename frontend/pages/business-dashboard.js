@@ -111,9 +111,9 @@ class BusinessDashboard {
                 
                 // Calculate real analytics from transactions
                 const totalTransactions = transactions.length;
-                const totalAmount = transactions.reduce((sum, tx) => sum + (tx.amount || 15), 0);
-                const totalPlatformFees = transactions.reduce((sum, tx) => sum + (tx.fees?.platformFee || 0.15), 0);
-                const totalVaultContribution = transactions.reduce((sum, tx) => sum + (tx.fees?.vaultContribution || 0.195), 0);
+                const totalAmount = transactions.reduce((sum, tx) => sum + (tx.amount || 0), 0);
+                const totalPlatformFees = transactions.reduce((sum, tx) => sum + (tx.fees?.platformFee || 0), 0);
+                const totalVaultContribution = transactions.reduce((sum, tx) => sum + (tx.fees?.vaultContribution || 0), 0);
                 const totalRevenue = totalAmount - totalPlatformFees - totalVaultContribution;
                 
                 console.log(`Calculated analytics: ${totalTransactions} transactions, $${totalRevenue.toFixed(2)} revenue`);
@@ -263,6 +263,7 @@ class BusinessDashboard {
                 break;
             case 'loyalty':
                 this.loadLoyaltyData();
+                this.loadReferrals();
                 break;
             case 'gift-cards':
                 this.loadGiftCards();
@@ -270,6 +271,9 @@ class BusinessDashboard {
             case 'payment':
                 this.loadPaymentData();
                 break;
+            case 'invoices':
+                this.loadInvoices();
+                break;
         }
     }
 
@@ -323,33 +327,158 @@ class BusinessDashboard {
         }
     }
 
-    loadSettlementData() {
+    async loadSettlementData() {
         const retainedUsdc = document.getElementById('retained-usdc');
         if (retainedUsdc) {
             retainedUsdc.textContent = this.formatCurrency(this.businessData.analytics.totalRevenue);
         }
 
-        // Load settlement history
+        try {
+            const token = localStorage.getItem('businessToken');
+            const response = await fetch(`${apiBase}/business/settlements`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                this.populateSettlementTable(data.batches || [], data.openPeriod);
+            } else {
+                this.populateSettlementTable([]);
+            }
+
+        } catch (error) {
+            console.error('Error loading settlements:', error);
+            this.populateSettlementTable([]);
+        }
+    }
+
+    populateSettlementTable(batches, openPeriod = null) {
         const settlementTbody = document.getElementById('settlement-tbody');
-        if (settlementTbody) {
-            settlementTbody.innerHTML = `
+        if (!settlementTbody) return;
+
+        const rows = [];
+
+        // Current period - still open, totals change until it closes
+        if (openPeriod && (openPeriod.totals.paymentCount > 0 || openPeriod.totals.refundCount > 0)) {
+            const totals = openPeriod.totals;
+            rows.push(`
                 <tr>
-                    <td colspan="7" class="text-center text-muted py-4">
-                        <i class="fas fa-university fs-3 d-block mb-2"></i>
-                        No settlement history yet. USDC is retained for CN businesses.
+                    <td><small class="text-muted">${new Date(openPeriod.periodStart).toLocaleDateString()} (open)</small></td>
+                    <td>${this.escapeHtml(openPeriod.frequency)}</td>
+                    <td><strong>${this.formatCurrency(totals.grossVolume)}</strong></td>
+                    <td>${this.formatCurrency(totals.platformFees + totals.vaultContributions)}</td>
+                    <td>${this.formatCurrency(totals.netPayout)}</td>
+                    <td><span class="badge badge-warning">OPEN</span></td>
+                    <td><small class="text-muted">Closes after ${new Date(openPeriod.periodEnd).toLocaleString()}</small></td>
+                </tr>
+            `);
+        }
+
+        batches.forEach(batch => {
+            const totals = batch.totals;
+            rows.push(`
+                <tr>
+                    <td><small class="text-muted">${new Date(batch.periodStart).toLocaleDateString()}</small></td>
+                    <td>${this.escapeHtml(batch.frequency)}</td>
+                    <td>
+                        <strong>${this.formatCurrency(totals.grossVolume)}</strong>
+                        <br><small class="text-muted">${totals.paymentCount} payment${totals.paymentCount === 1 ? '' : 's'}${totals.refunds > 0 ? `, ${this.formatCurrency(totals.refunds)} refunded` : ''}</small>
+                    </td>
+                    <td>${this.formatCurrency(totals.platformFees + totals.vaultContributions)}</td>
+                    <td><strong>${this.formatCurrency(totals.netPayout)}</strong></td>
+                    <td><span class="badge badge-success">CLOSED</span></td>
+                    <td>
+                        <div class="btn-group btn-group-sm" role="group">
+                            <button class="btn btn-outline-primary btn-sm" title="Download CSV statement" onclick="window.businessDashboard?.downloadSettlementStatement('${batch.batchId}', 'csv')">
+                                <i class="fas fa-file-csv"></i>
+                            </button>
+                            <button class="btn btn-outline-primary btn-sm" title="Download PDF statement" onclick="window.businessDashboard?.downloadSettlementStatement('${batch.batchId}', 'pdf')">
+                                <i class="fas fa-file-pdf"></i>
+                            </button>
+                        </div>
                     </td>
                 </tr>
-            `;
+            `);
+        });
+
+        settlementTbody.innerHTML = rows.length > 0 ? rows.join('') : `
+            <tr>
+                <td colspan="7" class="text-center text-muted py-4">
+                    <i class="fas fa-university fs-3 d-block mb-2"></i>
+                    No settlement history yet. USDC is retained for CN businesses.
+                </td>
+            </tr>
+        `;
+    }
+
+    async downloadSettlementStatement(batchId, format) {
+        try {
+            const token = localStorage.getItem('businessToken');
+            const response = await fetch(`${apiBase}/business/settlements/${batchId}/statement?format=${format}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'Download failed');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `settlement-${batchId}.${format}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('Settlement statement error:', error);
+            this.showError('Failed to download statement: ' + error.message);
+        }
+    }
+
+    async loadGiftCards() {
+        // Update mint cost based on quantity
+        this.updateMintCost();
+
+        const giftCardsTbody = document.getElementById('gift-cards-tbody');
+
+        try {
+            const token = localStorage.getItem('businessToken');
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const [analyticsResponse, cardsResponse] = await Promise.all([
+                fetch(`${apiBase}/business/gift-cards/analytics?timeframe=all`, { headers }),
+                fetch(`${apiBase}/business/gift-cards?limit=50`, { headers })
+            ]);
+
+            if (!analyticsResponse.ok || !cardsResponse.ok) {
+                throw new Error(`Gift card request failed (${analyticsResponse.status}/${cardsResponse.status})`);
+            }
+
+            const { analytics } = await analyticsResponse.json();
+            const { cards } = await cardsResponse.json();
+            this.updateGiftCardDisplay(analytics, cards);
+
+        } catch (error) {
+            console.error('Error loading gift cards:', error);
+            if (giftCardsTbody) {
+                giftCardsTbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">Gift cards are unavailable right now.</td></tr>';
+            }
         }
     }
 
-    loadGiftCards() {
-        // Update gift card stats
+    updateGiftCardDisplay(analytics, cards) {
         const elements = {
-            'cards-used': '0',
-            'total-minted': '0',
-            'total-redeemed': '0',
-            'total-cost': '$0.00'
+            'cards-used': analytics.quota.used,
+            'total-minted': analytics.totalMinted,
+            'total-redeemed': analytics.totalRedeemed + analytics.totalPartiallyUsed,
+            'total-cost': `$${analytics.totalCost.toFixed(2)}`
         };
 
         Object.keys(elements).forEach(id => {
@@ -359,9 +488,23 @@ class BusinessDashboard {
             }
         });
 
-        // Load gift cards table
+        // Claim links are only for batches - purchase rewards go straight to the customer
+        const claimCampaign = document.getElementById('claim-campaign');
+        if (claimCampaign) {
+            const batches = analytics.campaigns.filter(campaign => campaign.source === 'batch');
+            claimCampaign.innerHTML = batches.length === 0
+                ? '<option value="">No campaigns yet</option>'
+                : batches.map(campaign => `
+                    <option value="${this.escapeHtml(campaign.campaignId)}">
+                        ${this.escapeHtml(campaign.name)} (${new Date(campaign.createdAt).toLocaleDateString()})
+                    </option>
+                `).join('');
+        }
+
         const giftCardsTbody = document.getElementById('gift-cards-tbody');
-        if (giftCardsTbody) {
+        if (!giftCardsTbody) return;
+
+        if (cards.length === 0) {
             giftCardsTbody.innerHTML = `
                 <tr>
                     <td colspan="6" class="text-center text-muted py-4">
@@ -370,10 +513,61 @@ class BusinessDashboard {
                     </td>
                 </tr>
             `;
+            return;
         }
 
-        // Update mint cost based on quantity
-        this.updateMintCost();
+        const campaignNames = new Map(analytics.campaigns.map(campaign => [campaign.campaignId, campaign.name]));
+        giftCardsTbody.innerHTML = cards.map(card => `
+            <tr>
+                <td>${new Date(card.mintedAt).toLocaleDateString()}</td>
+                <td class="font-monospace">${this.escapeHtml(card.nftAddress ? `${card.nftAddress.slice(0, 8)}...` : card.cardId)}</td>
+                <td>${card.balance < card.value ? `${card.balance} / ` : ''}${card.value} $PIZZA SPL</td>
+                <td>${new Date(card.expiresAt).toLocaleDateString()}</td>
+                <td>${this.escapeHtml(card.status.replace('_', ' '))}</td>
+                <td>${this.escapeHtml(campaignNames.get(card.campaignId) || card.campaignId)}</td>
+            </tr>
+        `).join('');
+    }
+
+    async downloadGiftCardClaimSheet() {
+        const campaignId = document.getElementById('claim-campaign')?.value;
+        if (!campaignId) {
+            this.showError('Mint a batch of gift cards first');
+            return;
+        }
+
+        if (!confirm('Download claim QR codes for every unclaimed card in this campaign? Any QR codes printed earlier for these cards will stop working.')) {
+            return;
+        }
+
+        try {
+            const token = localStorage.getItem('businessToken');
+            const response = await fetch(`${apiBase}/business/gift-cards/campaigns/${campaignId}/claim-links?format=pdf`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'Download failed');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `gift-cards-${campaignId}.pdf`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('Gift card claim sheet error:', error);
+            this.showError('Failed to download claim cards: ' + error.message);
+        }
     }
 
     async loadPaymentData() {
@@ -772,14 +966,57 @@ class BusinessDashboard {
     }
 
     startPeriodicUpdates() {
+        // Live payment events; periodic refresh only when the stream is unavailable
+        const token = localStorage.getItem('businessToken') || sessionStorage.getItem('businessToken');
+        
+        if (window.PaymentStream && token) {
+            this.paymentStream = new PaymentStream(`${apiBase}/stream/business/payments`, {
+                token,
+                onEvent: (eventName, payment) => this.handlePaymentEvent(eventName, payment),
+                onUnavailable: () => {
+                    console.warn('Payment stream unavailable, falling back to periodic refresh');
+                    this.paymentStream = null;
+                    this.startPolling();
+                }
+            });
+            this.paymentStream.connect();
+        } else {
+            this.startPolling();
+        }
+    }
+    
+    startPolling() {
+        if (this.pollInterval) return;
+        
         // Update dashboard every 5 minutes (300 seconds) with silent updates
-        setInterval(() => {
+        this.pollInterval = setInterval(() => {
             if (!this.isLoading) {
                 this.silentRefresh();
             }
         }, 300000); // 5 minutes instead of 30 seconds
     }
     
+    handlePaymentEvent(eventName, payment) {
+        switch (eventName) {
+            case 'payment.confirmed':
+                this.showSuccess(`Payment received: $${payment.amount} USDC`);
+                this.silentRefresh();
+                break;
+            case 'payment.detected':
+                this.showInfo(`Incoming payment detected: $${payment.amount} USDC`);
+                break;
+            case 'payment.failed':
+                this.showError(`Payment failed: ${payment.error || 'validation error'}`);
+                break;
+            case 'payment.expired':
+                this.showInfo(`Payment request for $${payment.amount} USDC expired`);
+                break;
+            case 'payment.settled':
+                this.silentRefresh();
+                break;
+        }
+    }
+    
     async silentRefresh() {
         // Silent refresh without loading indicators
         try {
@@ -814,7 +1051,7 @@ class BusinessDashboard {
             }
             
             const token = localStorage.getItem('businessToken');
-            const response = await fetch(`${apiBase}/business/mint-gift-cards`, {
+            const response = await fetch(`${apiBase}/business/gift-cards/mint-batch`, {
                 method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${token}`,
@@ -822,14 +1059,13 @@ class BusinessDashboard {
                 },
                 body: JSON.stringify({
                     quantity: quantity,
-                    customMessage: message,
-                    mintCost: quantity * 0.50
+                    ...(message ? { customMessage: message } : {})
                 })
             });
             
             if (response.ok) {
                 const result = await response.json();
-                this.showSuccess(`Successfully minted ${quantity} gift cards for $${(quantity * 0.50).toFixed(2)}!`);
+                this.showSuccess(`${result.message} for $${result.cost.toFixed(2)}!`);
                 
                 // Reset form
                 if (document.getElementById('card-quantity')) {
@@ -844,12 +1080,12 @@ class BusinessDashboard {
                 await this.loadGiftCards();
             } else {
                 const errorData = await response.json().catch(() => ({}));
-                this.showInfo(`Gift card minting simulation: ${quantity} cards requested for $${(quantity * 0.50).toFixed(2)}. Backend implementation needed.`);
+                this.showError(errorData.error || 'Failed to mint gift cards');
             }
             
         } catch (error) {
             console.error('Gift card minting error:', error);
-            this.showInfo(`Gift card minting simulation: ${quantity} cards requested for $${(quantity * 0.50).toFixed(2)}. Backend implementation needed.`);
+            this.showError('Failed to mint gift cards: ' + error.message);
         } finally {
             if (mintBtn) {
                 mintBtn.disabled = false;
@@ -1148,12 +1384,12 @@ class BusinessDashboard {
             const row = [
                 escapeCSVField(new Date(tx.createdAt).toLocaleDateString() + ' ' + new Date(tx.createdAt).toLocaleTimeString()),
                 escapeCSVField(tx._id),
-                escapeCSVField((tx.amount || 15).toFixed(2)),
+                escapeCSVField((tx.amount || 0).toFixed(2)),
                 escapeCSVField((tx.status || 'completed').toUpperCase()),
                 escapeCSVField(tx.walletAddress || tx.customerWallet || 'N/A'),
-                escapeCSVField((tx.fees?.platformFee || 0.15).toFixed(2)),
-                escapeCSVField((tx.fees?.vaultContribution || 0.195).toFixed(3)),
-                escapeCSVField((tx.rewards?.pizzaTokensDistributed || 0.3).toFixed(1))
+                escapeCSVField((tx.fees?.platformFee || 0).toFixed(2)),
+                escapeCSVField((tx.fees?.vaultContribution || 0).toFixed(3)),
+                escapeCSVField((tx.rewards?.pizzaTokensDistributed || 0).toFixed(2))
             ];
             csvRows.push(row.join(','));
         });
@@ -1199,9 +1435,16 @@ class BusinessDashboard {
         const generateBtn = document.getElementById('generate-qr-btn');
         const qrDisplay = document.getElementById('qr-display');
         const memoInput = document.getElementById('payment-memo');
+        const amountInput = document.getElementById('payment-amount');
         
         if (!generateBtn || !qrDisplay) return;
         
+        const amount = Math.round(parseFloat(amountInput?.value) * 100) / 100;
+        if (!Number.isFinite(amount) || amount < 1 || amount > 1000) {
+            this.showError('Enter an order total between $1 and $1,000 USDC.');
+            return;
+        }
+        
         try {
             generateBtn.disabled = true;
             generateBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Generating...';
@@ -1215,7 +1458,6 @@ class BusinessDashboard {
             
             // Get payment parameters
             const memo = memoInput?.value || `Pizza payment - ${this.businessData?.business?.businessName || 'Business'}`;
-            const amount = 15; // Fixed $15 USDC as per platform spec
             const message = `Pizza order payment - $${amount} USDC`;
             
             // Get business wallet address from business data (no authentication required for QR generation)
@@ -1315,6 +1557,7 @@ class BusinessDashboard {
             this.currentQRData = {
                 paymentUrl: url.toString(),
                 memo: memo,
+                amount: amount,
                 qrElement: qrElement,
                 reference: reference,
                 qrCanvas: qrElement.querySelector('canvas')
@@ -1377,7 +1620,7 @@ class BusinessDashboard {
             try {
                 await navigator.share({
                     title: 'Pizza Payment QR Code',
-                    text: 'Scan to pay $15 USDC for your pizza!',
+                    text: `Scan to pay $${this.currentQRData.amount} USDC for your pizza!`,
                     url: this.currentQRData.paymentUrl
                 });
             } catch (error) {
@@ -1386,7 +1629,7 @@ class BusinessDashboard {
         } else {
             // Fallback - copy payment URL to clipboard
             try {
-                await navigator.clipboard.writeText(`Pizza Payment: $15 USDC\nPayment URL: ${this.currentQRData.paymentUrl}`);
+                await navigator.clipboard.writeText(`Pizza Payment: $${this.currentQRData.amount} USDC\nPayment URL: ${this.currentQRData.paymentUrl}`);
                 this.showSuccess('Payment details copied to clipboard!');
             } catch (error) {
                 this.showError('Sharing not supported on this device');
@@ -1421,7 +1664,7 @@ class BusinessDashboard {
                 <body>
                     <div class="qr-print">
                         <h2>${this.businessData?.business?.businessName || 'Pizza Business'}</h2>
-                        <h3>$15.00 USDC Payment</h3>
+                        <h3>$${Number(this.currentQRData.amount).toFixed(2)} USDC Payment</h3>
                         <img src="${qrDataUrl}" alt="Payment QR Code">
                         <div class="details">
                             <p><strong>Memo:</strong> ${this.currentQRData.memo}</p>
@@ -1475,7 +1718,7 @@ class BusinessDashboard {
                     <code class="small">${tx._id.substring(0, 8)}...</code>
                 </td>
                 <td>
-                    <strong>$${(tx.amount || 15).toFixed(2)}</strong>
+                    <strong>$${(tx.amount || 0).toFixed(2)}</strong>
                     <br><small class="text-muted">USDC</small>
                 </td>
                 <td>
@@ -1487,8 +1730,8 @@ class BusinessDashboard {
                     <code class="small">${(tx.customerWallet || 'N/A').substring(0, 8)}${tx.customerWallet ? '...' : ''}</code>
                 </td>
                 <td>
-                    <small>Platform: $${(tx.fees?.platformFee || 0.15).toFixed(2)}</small><br>
-                    <small>Vault: $${(tx.fees?.vaultContribution || 0.195).toFixed(2)}</small>
+                    <small>Platform: $${(tx.fees?.platformFee || 0).toFixed(2)}</small><br>
+                    <small>Vault: $${(tx.fees?.vaultContribution || 0).toFixed(2)}</small>
                 </td>
                 <td>
                     <div class="btn-group btn-group-sm" role="group">
@@ -1498,12 +1741,259 @@ class BusinessDashboard {
                         <button class="btn btn-outline-secondary btn-sm" onclick="dashboard.downloadReceipt('${tx._id}')">
                             <i class="fas fa-download"></i>
                         </button>
+                        ${tx.status === 'confirmed' && tx.refundStatus !== 'full' ? `
+                        <button class="btn btn-outline-danger btn-sm" title="Refund" onclick="window.businessDashboard?.refundTransaction('${tx._id}', ${(tx.amount || 0) - (tx.refundedAmount || 0)})">
+                            <i class="fas fa-undo"></i>
+                        </button>` : ''}
                     </div>
+                    ${tx.refundStatus && tx.refundStatus !== 'none' ? `<small class="text-muted">Refunded: $${(tx.refundedAmount || 0).toFixed(2)}</small>` : ''}
                 </td>
             </tr>
         `).join('');
     }
 
+    async refundTransaction(transactionId, maxAmount) {
+        const input = prompt(`Refund amount in USDC (up to $${maxAmount.toFixed(2)}):`, maxAmount.toFixed(2));
+        if (input === null) return;
+        
+        const amount = parseFloat(input);
+        if (!Number.isFinite(amount) || amount <= 0 || amount > maxAmount) {
+            this.showError(`Enter a refund amount between $0.01 and $${maxAmount.toFixed(2)}`);
+            return;
+        }
+        
+        const reason = prompt('Reason for refund (optional):') || undefined;
+        const token = localStorage.getItem('businessToken');
+        
+        try {
+            const response = await fetch(`${apiBase}/business/transactions/${transactionId}/refund`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ amount, reason })
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to create refund');
+            }
+            
+            // Sign with the connected wallet, otherwise hand over the Solana Pay link
+            if (!window.solana?.isConnected || typeof window.solana.signAndSendTransaction !== 'function') {
+                this.showInfo('Open this refund link in your business wallet to sign (recorded automatically once confirmed): ' + data.refundRequestUrl);
+                return;
+            }
+            
+            const bytes = Uint8Array.from(atob(data.transaction), c => c.charCodeAt(0));
+            const transaction = solanaWeb3.Transaction.from(bytes);
+            await window.solana.signAndSendTransaction(transaction);
+            
+            this.showInfo('Refund sent - waiting for confirmation...');
+            await this.confirmRefund(data.refund.reference);
+            
+        } catch (error) {
+            console.error('Refund error:', error);
+            this.showError('Refund failed: ' + error.message);
+        }
+    }
+    
+    async confirmRefund(reference, attempts = 10) {
+        const token = localStorage.getItem('businessToken');
+        
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const response = await fetch(`${apiBase}/business/refunds/${reference}/confirm`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            
+            if (response.status === 202) {
+                await new Promise(resolve => setTimeout(resolve, 3000));
+                continue;
+            }
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Refund confirmation failed');
+            }
+            
+            this.showSuccess(`Refund confirmed. Total refunded: $${data.refundedAmount.toFixed(2)} USDC`);
+            this.loadTransactions();
+            return;
+        }
+        
+        this.showInfo('Refund not confirmed yet - it will be recorded automatically once the network confirms it.');
+    }
+    
+    async loadInvoices() {
+        try {
+            const token = localStorage.getItem('businessToken');
+            const status = document.getElementById('invoice-filter')?.value;
+            const response = await fetch(`${apiBase}/business/invoices${status ? `?status=${status}` : ''}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            
+            if (response.ok) {
+                const data = await response.json();
+                this.populateInvoiceTable(data.invoices || []);
+            } else {
+                this.populateInvoiceTable([]);
+            }
+            
+        } catch (error) {
+            console.error('Error loading invoices:', error);
+            this.populateInvoiceTable([]);
+        }
+    }
+    
+    populateInvoiceTable(invoices) {
+        const tbody = document.getElementById('invoices-tbody');
+        if (!tbody) return;
+        
+        if (invoices.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-center text-muted py-4">
+                        <i class="fas fa-file-invoice-dollar fs-3 d-block mb-2"></i>
+                        No invoices yet. Create one above and share its payment link.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        const statusColors = { open: 'warning', overdue: 'danger', paid: 'success', void: 'secondary' };
+        
+        tbody.innerHTML = invoices.map(invoice => `
+            <tr>
+                <td>
+                    <small class="text-muted">${new Date(invoice.createdAt).toLocaleDateString()}</small>
+                </td>
+                <td>
+                    <code class="small">${this.escapeHtml(invoice.invoiceId)}</code><br>
+                    <small class="text-muted">${this.escapeHtml(invoice.memo || (invoice.kind === 'payment_link' ? 'Payment link' : 'Invoice'))}</small>
+                </td>
+                <td>
+                    <strong>$${invoice.amount.toFixed(2)}</strong>
+                    <br><small class="text-muted">${invoice.lineItems.length} item${invoice.lineItems.length === 1 ? '' : 's'}</small>
+                </td>
+                <td>
+                    <span class="badge badge-${statusColors[invoice.status] || 'secondary'}">
+                        ${invoice.status.toUpperCase()}
+                    </span>
+                </td>
+                <td>
+                    <small>${invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : '—'}</small>
+                </td>
+                <td>
+                    <small>${this.escapeHtml(invoice.customerEmail || '—')}</small>
+                </td>
+                <td>
+                    <div class="btn-group btn-group-sm" role="group">
+                        <button class="btn btn-outline-primary btn-sm" title="Copy payment link" onclick="window.businessDashboard?.copyInvoiceLink('${invoice.paymentLink}')">
+                            <i class="fas fa-link"></i>
+                        </button>
+                        ${['open', 'overdue'].includes(invoice.status) ? `
+                        <button class="btn btn-outline-danger btn-sm" title="Void" onclick="window.businessDashboard?.voidInvoice('${invoice.invoiceId}')">
+                            <i class="fas fa-ban"></i>
+                        </button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+    
+    async createInvoice() {
+        const lineItems = Array.from(document.querySelectorAll('#invoice-line-items .line-item-row'))
+            .map(row => ({
+                description: row.querySelector('.line-item-description').value.trim(),
+                quantity: parseInt(row.querySelector('.line-item-quantity').value) || 1,
+                unitPrice: parseFloat(row.querySelector('.line-item-price').value)
+            }))
+            .filter(item => item.description && Number.isFinite(item.unitPrice));
+        
+        if (lineItems.length === 0) {
+            this.showError('Add at least one line item with a description and unit price');
+            return;
+        }
+        
+        const dueDate = document.getElementById('invoice-due-date').value;
+        const invoiceData = {
+            kind: document.getElementById('invoice-kind').value,
+            lineItems,
+            memo: document.getElementById('invoice-memo').value.trim() || undefined,
+            // End of the chosen day in the business's timezone
+            dueDate: dueDate ? new Date(`${dueDate}T23:59:59`).toISOString() : undefined,
+            customerEmail: document.getElementById('invoice-customer-email').value.trim() || undefined
+        };
+        
+        try {
+            const token = localStorage.getItem('businessToken');
+            const response = await fetch(`${apiBase}/business/invoices`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(invoiceData)
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || data.details?.[0]?.msg || 'Failed to create invoice');
+            }
+            
+            await this.copyInvoiceLink(data.invoice.paymentLink);
+            this.loadInvoices();
+            
+        } catch (error) {
+            console.error('Invoice creation error:', error);
+            this.showError('Failed to create invoice: ' + error.message);
+        }
+    }
+    
+    async copyInvoiceLink(paymentLink) {
+        try {
+            await navigator.clipboard.writeText(paymentLink);
+            this.showSuccess('Payment link copied to clipboard!');
+        } catch (error) {
+            this.showInfo('Payment link: ' + this.escapeHtml(paymentLink));
+        }
+    }
+    
+    async voidInvoice(invoiceId) {
+        if (!confirm('Void this invoice? The customer will no longer be able to pay it.')) return;
+        
+        try {
+            const token = localStorage.getItem('businessToken');
+            const response = await fetch(`${apiBase}/business/invoices/${invoiceId}/void`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to void invoice');
+            }
+            
+            this.showSuccess('Invoice voided');
+            this.loadInvoices();
+            
+        } catch (error) {
+            console.error('Invoice void error:', error);
+            this.showError('Failed to void invoice: ' + error.message);
+        }
+    }
+    
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = String(value);
+        return div.innerHTML;
+    }
+    
     getStatusColor(status) {
         switch (status.toLowerCase()) {
             case 'completed': return 'success';
@@ -1558,7 +2048,7 @@ class BusinessDashboard {
                             <hr>
                             <div class="row">
                                 <div class="col-sm-4"><strong>Amount:</strong></div>
-                                <div class="col-sm-8">$${(transaction.amount || 15).toFixed(2)} USDC</div>
+                                <div class="col-sm-8">$${(transaction.amount || 0).toFixed(2)} USDC</div>
                             </div>
                             <hr>
                             <div class="row">
@@ -1583,11 +2073,11 @@ class BusinessDashboard {
                             <h6>Fee Breakdown:</h6>
                             <div class="row">
                                 <div class="col-sm-6">Platform Fee:</div>
-                                <div class="col-sm-6">$${(transaction.fees?.platformFee || 0.15).toFixed(2)}</div>
+                                <div class="col-sm-6">$${(transaction.fees?.platformFee || 0).toFixed(2)}</div>
                             </div>
                             <div class="row">
                                 <div class="col-sm-6">Vault Contribution:</div>
-                                <div class="col-sm-6">$${(transaction.fees?.vaultContribution || 0.195).toFixed(2)}</div>
+                                <div class="col-sm-6">$${(transaction.fees?.vaultContribution || 0).toFixed(2)}</div>
                             </div>
                             <div class="row">
                                 <div class="col-sm-6">Reward Amount:</div>
@@ -1680,7 +2170,7 @@ class BusinessDashboard {
                     
                     <div class="row">
                         <span><strong>Amount:</strong></span>
-                        <span>$${(transaction.amount || 15).toFixed(2)} USDC</span>
+                        <span>$${(transaction.amount || 0).toFixed(2)} USDC</span>
                     </div>
                     
                     <div class="row">
@@ -1697,11 +2187,11 @@ class BusinessDashboard {
                         <h4>Fee Breakdown:</h4>
                         <div class="row">
                             <span>Platform Fee (1%):</span>
-                            <span>$${(transaction.fees?.platformFee || 0.15).toFixed(2)}</span>
+                            <span>$${(transaction.fees?.platformFee || 0).toFixed(2)}</span>
                         </div>
                         <div class="row">
                             <span>Vault Contribution (1.3%):</span>
-                            <span>$${(transaction.fees?.vaultContribution || 0.195).toFixed(2)}</span>
+                            <span>$${(transaction.fees?.vaultContribution || 0).toFixed(2)}</span>
                         </div>
                         <div class="row">
                             <span>Customer Reward:</span>
@@ -1712,7 +2202,7 @@ class BusinessDashboard {
                     <div class="total">
                         <div class="row">
                             <span>Net Business Amount:</span>
-                            <span>$${((transaction.amount || 15) - (transaction.fees?.platformFee || 0.15) - (transaction.fees?.vaultContribution || 0.195)).toFixed(2)} USDC</span>
+                            <span>$${((transaction.amount || 0) - (transaction.fees?.platformFee || 0) - (transaction.fees?.vaultContribution || 0)).toFixed(2)} USDC</span>
                         </div>
                     </div>
                     
@@ -1918,6 +2408,64 @@ class BusinessDashboard {
         }
     }
 
+    async loadReferrals() {
+        const summary = document.getElementById('referral-summary');
+        if (!summary) return;
+
+        try {
+            const token = localStorage.getItem('businessToken');
+            const response = await fetch(`${apiBase}/business/referrals`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Referral request failed (${response.status})`);
+            }
+            this.updateReferralDisplay(await response.json());
+
+        } catch (error) {
+            console.error('Error loading referrals:', error);
+            summary.textContent = 'Your referral code is unavailable right now.';
+        }
+    }
+
+    updateReferralDisplay(data) {
+        const summary = document.getElementById('referral-summary');
+        const tbody = document.getElementById('referral-tbody');
+        const { terms, stats } = data;
+
+        summary.innerHTML = `
+            Your code <strong class="font-monospace">${this.escapeHtml(data.code)}</strong> gives new customers
+            ${terms.refereeBonus} $PIZZA SPL after their first payment of $${terms.minFirstPayment} or more.
+            ${stats.signups} signed up, ${stats.rewarded} made a qualifying payment.
+            <button class="btn btn-sm btn-outline" id="copy-referral-link"><i class="fas fa-copy"></i> Copy Invite Link</button>
+        `;
+        document.getElementById('copy-referral-link').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(data.shareUrl);
+                this.showSuccess('Invite link copied to clipboard!');
+            } catch (error) {
+                this.showInfo(`Share this link: ${data.shareUrl}`);
+            }
+        });
+
+        if (!tbody) return;
+        if (data.referrals.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="3" class="text-center text-muted">No customers have signed up with your code yet.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = data.referrals.map(referral => `
+            <tr>
+                <td>${this.escapeHtml(referral.referee)}</td>
+                <td>${new Date(referral.signedUpAt).toLocaleDateString()}</td>
+                <td>${this.escapeHtml(referral.status)}</td>
+            </tr>
+        `).join('');
+    }
+
     updateLoyaltyDisplay(data) {
         // Update stats
         document.getElementById('loyalty-members').textContent = data.members || 0;
@@ -2107,6 +2655,10 @@ function mintGiftCards() {
     window.businessDashboard?.mintGiftCards();
 }
 
+function downloadGiftCardClaimSheet() {
+    window.businessDashboard?.downloadGiftCardClaimSheet();
+}
+
 function refreshDashboard() {
     window.businessDashboard?.refreshDashboard();
 }
@@ -2130,6 +2682,23 @@ function saveSettings() {
     window.businessDashboard?.saveSettings();
 }
 
+function loadInvoices() {
+    window.businessDashboard?.loadInvoices();
+}
+
+function createInvoice() {
+    window.businessDashboard?.createInvoice();
+}
+
+function addInvoiceLineItem() {
+    const lineItems = document.getElementById('invoice-line-items');
+    const row = lineItems.querySelector('.line-item-row').cloneNode(true);
+    row.querySelectorAll('input').forEach(input => {
+        input.value = input.classList.contains('line-item-quantity') ? '1' : '';
+    });
+    lineItems.appendChild(row);
+}
+
 function resetSettings() {
     window.businessDashboard?.resetSettings();
 }
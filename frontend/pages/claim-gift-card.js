@@ -0,0 +1,170 @@
+// Public gift card claim link page (/claim/:cardId#secret)
+class GiftCardClaim {
+    constructor() {
+        this.apiBase = (window.API_BASE || '') + '/api';
+        this.cardId = null;
+        this.secret = null;
+        this.isClaiming = false;
+
+        this.init();
+    }
+
+    init() {
+        this.cardId = this.getCardIdFromURL();
+        // The secret stays in the fragment so it is never sent in a request URL
+        this.secret = window.location.hash.slice(1);
+        if (!this.cardId || !/^[A-Za-z0-9_-]{16,64}$/.test(this.secret)) {
+            this.showResult('error', 'Invalid claim link');
+            return;
+        }
+
+        document.getElementById('phantom-btn').addEventListener('click', () => {
+            this.connectWallet(window.phantom?.solana || (window.solana?.isPhantom ? window.solana : null), 'Phantom');
+        });
+
+        document.getElementById('solflare-btn').addEventListener('click', () => {
+            this.connectWallet(window.solflare, 'Solflare');
+        });
+
+        document.getElementById('wallet-address-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const address = document.getElementById('wallet-address').value.trim();
+            if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+                this.showError('Please enter a valid Solana wallet address');
+                return;
+            }
+            this.claim(address);
+        });
+
+        this.loadCard();
+    }
+
+    getCardIdFromURL() {
+        // /claim/gc_... when served by the backend, ?card=gc_... for static hosting
+        const match = window.location.pathname.match(/\/claim\/(gc_[a-f0-9]{24})/);
+        const cardId = match ? match[1] : new URLSearchParams(window.location.search).get('card');
+        return /^gc_[a-f0-9]{24}$/.test(cardId || '') ? cardId : null;
+    }
+
+    async loadCard() {
+        try {
+            const response = await fetch(`${this.apiBase}/blockchain/gift-cards/claim-link/preview`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cardId: this.cardId, secret: this.secret })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showResult('error', data.error || 'Failed to load gift card');
+                return;
+            }
+
+            this.displayCard(data.card);
+        } catch (error) {
+            console.error('Error loading gift card:', error);
+            this.showError('Error connecting to server');
+        }
+    }
+
+    displayCard(card) {
+        document.getElementById('business-name').textContent = card.businessName;
+        document.getElementById('gift-card-value').textContent = String(card.value);
+        document.getElementById('gift-card-message').textContent = card.customMessage || '';
+        document.getElementById('gift-card-expiry').textContent =
+            `${card.expired ? 'Expired' : 'Expires'} ${new Date(card.expiresAt).toLocaleDateString()}`;
+
+        if (card.expired) {
+            this.showResult('error', 'This gift card has expired');
+            return;
+        }
+
+        document.getElementById('claim-section').style.display = 'block';
+    }
+
+    async connectWallet(provider, name) {
+        if (!provider) {
+            this.showError(`${name} wallet not found. Please install ${name} or enter your address below.`);
+            return;
+        }
+
+        try {
+            const response = await provider.connect();
+            // Solflare resolves without a value and exposes the key on the provider
+            const publicKey = response?.publicKey || provider.publicKey;
+            if (!publicKey) {
+                this.showError(`Could not read your ${name} wallet address`);
+                return;
+            }
+
+            this.claim(publicKey.toString());
+        } catch (error) {
+            console.error(`${name} connection error:`, error);
+            this.showError(`Failed to connect ${name}`);
+        }
+    }
+
+    async claim(walletAddress) {
+        if (this.isClaiming) return;
+        this.isClaiming = true;
+
+        try {
+            const response = await fetch(`${this.apiBase}/blockchain/gift-cards/claim-link`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cardId: this.cardId, secret: this.secret, walletAddress })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showError(data.error || 'Failed to claim gift card');
+                return;
+            }
+
+            // The link is spent - drop the secret from the address bar and history
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            document.getElementById('claim-section').style.display = 'none';
+            this.showResult('success', data.onAccount
+                ? `${data.value} $PIZZA SPL is now on your Pizza Platform account.`
+                : `${data.value} $PIZZA SPL is reserved for ${data.ownerWallet}. Sign up with this wallet to use it.`);
+        } catch (error) {
+            console.error('Gift card claim error:', error);
+            this.showError('Failed to claim gift card');
+        } finally {
+            this.isClaiming = false;
+        }
+    }
+
+    showResult(type, message) {
+        const container = document.getElementById('result-container');
+        container.innerHTML = `
+            <div class="${type === 'success' ? 'claim-success' : 'claim-error'}">
+                <h3>${type === 'success' ? '🎁 Gift Card Claimed!' : '❌ Gift Card Unavailable'}</h3>
+                <p>${this.escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+
+    showError(message) {
+        document.getElementById('error-message').textContent = message;
+        document.getElementById('error-container').style.display = 'block';
+        setTimeout(() => {
+            document.getElementById('error-container').style.display = 'none';
+        }, 5000);
+    }
+
+    // Security utility functions
+    escapeHtml(unsafe) {
+        return String(unsafe)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new GiftCardClaim();
+});
@@ -67,6 +67,9 @@ class CustomerDashboard {
                 }
             ]);
 
+            await this.loadLoyaltyTiers(customerToken);
+            await this.loadReferrals(customerToken);
+
         } catch (error) {
             console.error('Error loading customer data:', error);
             this.showError('Failed to load dashboard data');
@@ -90,6 +93,150 @@ class CustomerDashboard {
         });
     }
 
+    async loadLoyaltyTiers(customerToken) {
+        const tierContainer = document.getElementById('loyaltyTier');
+        if (!tierContainer) return;
+
+        try {
+            const response = await fetch(`${apiBase}/customer/loyalty/tiers`, {
+                headers: { 'Authorization': `Bearer ${customerToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`Tier request failed (${response.status})`);
+            }
+
+            this.updateLoyaltyTiers(await response.json());
+        } catch (error) {
+            console.error('Error loading loyalty tiers:', error);
+            tierContainer.innerHTML = '<p class="text-muted mb-0">Your loyalty tier is unavailable right now.</p>';
+        }
+    }
+
+    updateLoyaltyTiers(data) {
+        const tierContainer = document.getElementById('loyaltyTier');
+        const businessContainer = document.getElementById('businessTiers');
+        const tierIcons = { slice: 'fa-pizza-slice', pie: 'fa-circle', pizzeria: 'fa-store' };
+
+        const progress = (tier) => {
+            if (!tier.next) {
+                return '<small class="text-success">Top tier - keep it up!</small>';
+            }
+            const needs = [];
+            if (tier.next.spendNeeded > 0) needs.push(`$${tier.next.spendNeeded.toFixed(2)} more spend`);
+            if (tier.next.visitsNeeded > 0) needs.push(`${tier.next.visitsNeeded} more visit${tier.next.visitsNeeded === 1 ? '' : 's'}`);
+            return `<small class="text-muted">${needs.join(' and ') || 'Qualified'} for ${tier.next.label}</small>`;
+        };
+
+        const platform = data.platform;
+        tierContainer.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center">
+                <div>
+                    <h4 class="mb-1"><i class="fas ${tierIcons[platform.name] || 'fa-pizza-slice'} me-2 text-warning"></i>${platform.label}</h4>
+                    <small class="text-muted">$${platform.rollingSpend.toFixed(2)} spent over ${platform.rollingVisits} visits in the last ${data.windowDays} days</small>
+                </div>
+                <span class="badge bg-warning text-dark fs-6">${platform.rewardMultiplier}x rewards</span>
+            </div>
+            <ul class="small text-muted mt-2 mb-1">
+                ${platform.perks.map(perk => `<li>${perk}</li>`).join('')}
+            </ul>
+            ${progress(platform)}
+        `;
+
+        if (!businessContainer) return;
+        if (data.businesses.length === 0) {
+            businessContainer.innerHTML = '<p class="text-muted small mb-0">Order from a pizza shop to start earning a tier there too.</p>';
+            return;
+        }
+
+        businessContainer.innerHTML = data.businesses.map(business => `
+            <div class="d-flex justify-content-between align-items-center p-2 mb-2 bg-light rounded">
+                <div>
+                    <div class="fw-bold">${business.businessName || 'Pizza shop'}</div>
+                    ${progress(business)}
+                </div>
+                <div class="text-end">
+                    <div class="fw-bold">${business.label}</div>
+                    <small class="text-muted">${business.rewardMultiplier}x rewards</small>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async loadReferrals(customerToken) {
+        const referralContainer = document.getElementById('referralProgram');
+        if (!referralContainer) return;
+
+        try {
+            const response = await fetch(`${apiBase}/customer/referrals`, {
+                headers: { 'Authorization': `Bearer ${customerToken}` }
+            });
+            if (!response.ok) {
+                throw new Error(`Referral request failed (${response.status})`);
+            }
+
+            this.updateReferrals(await response.json());
+        } catch (error) {
+            console.error('Error loading referrals:', error);
+            referralContainer.innerHTML = '<p class="text-muted mb-0">Your referral code is unavailable right now.</p>';
+        }
+    }
+
+    updateReferrals(data) {
+        const referralContainer = document.getElementById('referralProgram');
+        const listContainer = document.getElementById('referralList');
+        const { terms, stats } = data;
+        const statusBadges = { pending: 'bg-secondary', rewarded: 'bg-success', rejected: 'bg-danger', expired: 'bg-light text-dark' };
+        // Referee names are user-entered
+        const escape = (value) => {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML;
+        };
+
+        referralContainer.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center flex-wrap">
+                <div>
+                    <h4 class="mb-1 font-monospace">${escape(data.code)}</h4>
+                    <small class="text-muted">You get ${terms.referrerBonus} $PIZZA SPL and your friend gets ${terms.refereeBonus} $PIZZA SPL after their first payment of $${terms.minFirstPayment} or more within ${terms.qualificationDays} days</small>
+                </div>
+                <button class="btn btn-outline-primary btn-sm mt-2" id="copyReferralLink">
+                    <i class="fas fa-link me-1"></i>Copy Invite Link
+                </button>
+            </div>
+            <div class="small text-muted mt-2">
+                ${stats.signups} signed up • ${stats.rewarded} rewarded • ${stats.pending} waiting for a first payment • ${stats.bonusEarned} $PIZZA SPL earned
+            </div>
+        `;
+
+        document.getElementById('copyReferralLink').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(data.shareUrl);
+                this.showSuccess('Invite link copied!');
+            } catch (error) {
+                this.showInfo(`Share this link: ${data.shareUrl}`);
+            }
+        });
+
+        if (!listContainer) return;
+        if (data.referrals.length === 0) {
+            listContainer.innerHTML = '<p class="text-muted small mb-0">Share your link - friends who sign up show up here.</p>';
+            return;
+        }
+
+        listContainer.innerHTML = data.referrals.map(referral => `
+            <div class="d-flex justify-content-between align-items-center p-2 mb-2 bg-light rounded">
+                <div>
+                    <div class="fw-bold">${escape(referral.referee)}</div>
+                    <small class="text-muted">Signed up ${new Date(referral.signedUpAt).toLocaleDateString()}</small>
+                </div>
+                <div class="text-end">
+                    <span class="badge ${statusBadges[referral.status] || 'bg-secondary'}">${referral.status}</span>
+                    ${referral.referrerBonus.amount > 0 ? `<div><small class="text-muted">+${referral.referrerBonus.amount} $PIZZA SPL${referral.referrerBonus.status === 'held' ? ' (link a wallet to receive)' : ''}</small></div>` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
     updateRecentActivity(activities) {
         const activityContainer = document.getElementById('recentActivity');
         if (!activityContainer) return;
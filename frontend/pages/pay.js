@@ -0,0 +1,345 @@
+// Public invoice / payment link page (/pay/:invoiceId)
+class InvoicePayment {
+    constructor() {
+        this.apiBase = (window.API_BASE || '') + '/api';
+        this.invoiceId = null;
+        this.invoice = null;
+        this.paymentData = null;
+        this.pollTimer = null;
+        this.quoteTimer = null;
+        this.isRequesting = false;
+        this.checkoutTokens = [];
+
+        this.init();
+    }
+
+    init() {
+        this.invoiceId = this.getInvoiceIdFromURL();
+        if (!this.invoiceId) {
+            this.showResult('error', 'Invalid payment link');
+            return;
+        }
+
+        document.getElementById('pay-btn').addEventListener('click', () => {
+            this.requestPayment();
+        });
+
+        document.getElementById('pay-token').addEventListener('change', (event) => {
+            this.selectToken(event.target.value);
+        });
+
+        this.loadInvoice();
+        this.loadCheckoutTokens();
+    }
+
+    async loadCheckoutTokens() {
+        try {
+            const response = await fetch(`${this.apiBase}/blockchain/checkout/tokens`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            this.checkoutTokens = data.tokens;
+
+            const select = document.getElementById('pay-token');
+            select.innerHTML = '';
+            data.tokens.forEach(token => {
+                const option = document.createElement('option');
+                option.value = token.mint;
+                option.textContent = token.symbol;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            // USDC-only checkout still works
+            console.error('Error loading checkout tokens:', error);
+        }
+    }
+
+    getInvoiceIdFromURL() {
+        // /pay/inv_... when served by the backend, ?invoice=inv_... for static hosting
+        const match = window.location.pathname.match(/\/pay\/(inv_[a-f0-9]{24})/);
+        const invoiceId = match ? match[1] : new URLSearchParams(window.location.search).get('invoice');
+        return /^inv_[a-f0-9]{24}$/.test(invoiceId || '') ? invoiceId : null;
+    }
+
+    async loadInvoice() {
+        try {
+            const response = await fetch(`${this.apiBase}/invoices/${this.invoiceId}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showResult('error', data.error || 'Failed to load invoice');
+                return;
+            }
+
+            this.displayInvoice(data.invoice);
+        } catch (error) {
+            console.error('Error loading invoice:', error);
+            this.showError('Error connecting to server');
+        }
+    }
+
+    displayInvoice(invoice) {
+        this.invoice = invoice;
+
+        document.getElementById('business-name').textContent = invoice.businessName || 'Pizza Business';
+        document.getElementById('invoice-title').textContent =
+            `${invoice.kind === 'payment_link' ? 'Payment Link' : 'Invoice'} ${invoice.invoiceId}`;
+
+        const status = document.getElementById('invoice-status');
+        status.textContent = invoice.status;
+        status.className = `invoice-status ${invoice.status}`;
+
+        const tbody = document.getElementById('line-items-tbody');
+        tbody.innerHTML = '';
+        invoice.lineItems.forEach(item => {
+            const row = document.createElement('tr');
+            [
+                item.description,
+                String(item.quantity),
+                `$${item.unitPrice.toFixed(2)}`,
+                `$${item.amount.toFixed(2)}`
+            ].forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index >= 2) cell.className = 'amount';
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        document.getElementById('line-items-table').style.display = invoice.lineItems.length > 0 ? 'table' : 'none';
+
+        document.getElementById('invoice-amount').textContent = invoice.amount.toFixed(2);
+        document.getElementById('invoice-memo').textContent = invoice.memo ? `Memo: ${invoice.memo}` : '';
+        document.getElementById('invoice-due-date').textContent = invoice.dueDate
+            ? `Due: ${new Date(invoice.dueDate).toLocaleDateString()}`
+            : '';
+        document.getElementById('invoice-section').style.display = 'block';
+
+        if (invoice.status === 'paid') {
+            this.showPaid(invoice);
+        } else if (invoice.status === 'void') {
+            this.showResult('error', 'This invoice has been voided by the business');
+        } else if (!this.paymentData) {
+            document.getElementById('pay-section').style.display = 'block';
+        }
+    }
+
+    async requestPayment() {
+        if (this.isRequesting) return;
+        this.isRequesting = true;
+
+        try {
+            const response = await fetch(`${this.apiBase}/invoices/${this.invoiceId}/payment`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showError(data.error || 'Failed to create payment request');
+                return;
+            }
+
+            this.displayQRCode(data);
+        } catch (error) {
+            console.error('Payment request error:', error);
+            this.showError('Failed to create payment request');
+        } finally {
+            this.isRequesting = false;
+        }
+    }
+
+    displayQRCode(paymentData) {
+        this.paymentData = paymentData;
+
+        const tokenSelect = document.getElementById('pay-token');
+        tokenSelect.value = this.checkoutTokens.length > 0 ? this.checkoutTokens[0].mint : '';
+        document.getElementById('token-select').style.display = this.checkoutTokens.length > 1 ? 'block' : 'none';
+        document.getElementById('swap-quote-info').textContent = '';
+
+        this.renderQRCode(paymentData.qrCode, paymentData.paymentURL);
+
+        document.getElementById('pay-section').style.display = 'none';
+        document.getElementById('qr-section').style.display = 'block';
+
+        this.pollInvoiceStatus();
+    }
+
+    async selectToken(mint) {
+        this.stopQuoteRefresh();
+        const token = this.checkoutTokens.find(entry => entry.mint === mint);
+        const quoteInfo = document.getElementById('swap-quote-info');
+
+        if (!this.paymentData || !token) return;
+
+        if (!token.swap) {
+            quoteInfo.textContent = '';
+            this.renderQRCode(this.paymentData.qrCode, this.paymentData.paymentURL);
+            return;
+        }
+
+        try {
+            quoteInfo.textContent = `Getting a ${token.symbol} quote...`;
+            const response = await fetch(`${this.apiBase}/blockchain/payment/${this.paymentData.reference}/quote`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ inputMint: mint })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                quoteInfo.textContent = '';
+                this.showError(data.error || `Cannot pay with ${token.symbol} right now`);
+                return;
+            }
+
+            const { quote } = data;
+            quoteInfo.textContent = `~${quote.inAmount} ${quote.inputSymbol} (max ${quote.maxInAmount}, ` +
+                `price impact ${(quote.priceImpactPct * 100).toFixed(2)}%) - swapped to USDC for the business`;
+            this.renderQRCode(data.qrCode, data.transactionRequestUrl);
+
+            // Quotes are short-lived - keep a fresh one on screen while this token is selected
+            const refreshIn = Math.max(new Date(quote.expiresAt).getTime() - Date.now(), 5000);
+            this.quoteTimer = setTimeout(() => this.selectToken(mint), refreshIn);
+        } catch (error) {
+            console.error('Swap quote error:', error);
+            quoteInfo.textContent = '';
+            this.showError('Failed to get a swap quote');
+        }
+    }
+
+    stopQuoteRefresh() {
+        if (this.quoteTimer) {
+            clearTimeout(this.quoteTimer);
+            this.quoteTimer = null;
+        }
+    }
+
+    renderQRCode(qrCode, paymentURL) {
+        const paymentData = this.paymentData;
+        const qrContainer = document.getElementById('qr-code-container');
+        // Create elements safely to prevent XSS
+        const qrDisplay = document.createElement('div');
+        qrDisplay.className = 'qr-code-display';
+
+        const qrImage = document.createElement('img');
+        qrImage.src = `data:image/png;base64,${this.sanitizeBase64(qrCode.split(',').pop())}`;
+        qrImage.alt = 'Payment QR Code';
+        qrImage.className = 'qr-image';
+
+        // Deep link opens the installed wallet on mobile
+        const walletLink = document.createElement('a');
+        walletLink.href = paymentURL.startsWith('solana:') ? paymentURL : '#';
+        walletLink.className = 'btn btn-primary';
+        walletLink.textContent = '👛 Open in Wallet';
+
+        const qrDetails = document.createElement('div');
+        qrDetails.className = 'qr-details';
+        qrDetails.innerHTML = `
+            <p><strong>Amount:</strong> $${this.escapeHtml(paymentData.invoice.amount.toFixed(2))} USDC</p>
+            <p><strong>Reward:</strong> ${this.escapeHtml(String(paymentData.estimatedReward))} $PIZZA SPL</p>
+            <p><strong>Reference:</strong> ${this.escapeHtml(paymentData.reference)}</p>
+            <p><strong>QR Expires:</strong> ${this.escapeHtml(new Date(paymentData.expiresAt).toLocaleTimeString())}</p>
+        `;
+
+        qrDisplay.appendChild(qrImage);
+        qrDisplay.appendChild(document.createElement('br'));
+        qrDisplay.appendChild(walletLink);
+        qrDisplay.appendChild(qrDetails);
+        qrContainer.innerHTML = '';
+        qrContainer.appendChild(qrDisplay);
+    }
+
+    pollInvoiceStatus() {
+        this.stopPolling();
+
+        const checkStatus = async () => {
+            try {
+                const response = await fetch(`${this.apiBase}/invoices/${this.invoiceId}`);
+                if (response.ok) {
+                    const data = await response.json();
+
+                    if (data.invoice.status === 'paid' || data.invoice.status === 'void') {
+                        this.resetQRCode();
+                        this.displayInvoice(data.invoice);
+                        return; // Stop polling
+                    }
+
+                    // QR window closed without payment - offer a fresh one
+                    if (data.payment?.reference === this.paymentData?.reference &&
+                        ['expired', 'cancelled', 'failed'].includes(data.payment.status)) {
+                        this.resetQRCode();
+                        this.showError(data.payment.error || 'Payment request expired');
+                        this.displayInvoice(data.invoice);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.error('Status check error:', error);
+            }
+
+            // Continue checking every 3 seconds
+            this.pollTimer = setTimeout(checkStatus, 3000);
+        };
+
+        this.pollTimer = setTimeout(checkStatus, 3000);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    resetQRCode() {
+        this.stopPolling();
+        this.stopQuoteRefresh();
+        this.paymentData = null;
+        document.getElementById('qr-section').style.display = 'none';
+        document.getElementById('qr-code-container').innerHTML = '';
+    }
+
+    showPaid(invoice) {
+        document.getElementById('pay-section').style.display = 'none';
+        this.showResult('success', `Paid ${invoice.paidAt ? new Date(invoice.paidAt).toLocaleString() : ''}`, invoice.signature);
+    }
+
+    showResult(type, message, signature = null) {
+        const container = document.getElementById('result-container');
+        container.innerHTML = `
+            <div class="${type === 'success' ? 'payment-success' : 'payment-error'}">
+                <h3>${type === 'success' ? '✅ Payment Received - Thank you!' : '❌ Payment Unavailable'}</h3>
+                <p>${this.escapeHtml(message)}</p>
+                ${signature ? `<p><strong>Transaction:</strong> <code>${this.escapeHtml(signature)}</code></p>` : ''}
+            </div>
+        `;
+    }
+
+    showError(message) {
+        document.getElementById('error-message').textContent = message;
+        document.getElementById('error-container').style.display = 'block';
+        setTimeout(() => {
+            document.getElementById('error-container').style.display = 'none';
+        }, 5000);
+    }
+
+    // Security utility functions
+    escapeHtml(unsafe) {
+        return String(unsafe)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    sanitizeBase64(input) {
+        // Only allow valid base64 characters
+        return input.replace(/[^A-Za-z0-9+/=]/g, '');
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new InvoicePayment();
+});
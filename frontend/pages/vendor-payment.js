@@ -3,8 +3,21 @@ class VendorPayment {
     constructor() {
         this.businessId = null;
         this.qrCodeData = null;
+        this.bill = null;
+        this.tipPercent = 0;
+        this.paymentStream = null;
+        this.pollTimer = null;
+        this.refreshTimer = null;
         this.isGenerating = false;
         
+        // Order total limits (mirror PAYMENT_MIN_AMOUNT / PAYMENT_MAX_AMOUNT defaults)
+        this.minAmount = 1;
+        this.maxAmount = 1000;
+        
+        // Tip and split limits (mirror PAYMENT_MAX_TIP_PERCENT / PAYMENT_MAX_BILL_SPLITS defaults)
+        this.maxTipPercent = 50;
+        this.maxBillSplits = 20;
+        
         this.init();
     }
     
@@ -56,21 +69,122 @@ class VendorPayment {
         document.getElementById('copy-qr-btn').addEventListener('click', () => {
             this.copyQRData();
         });
+        
+        // Order total input - refresh fee preview as the vendor types
+        document.getElementById('order-amount').addEventListener('input', () => {
+            this.updateAmountPreview();
+        });
+        
+        // Preset tip buttons
+        document.querySelectorAll('.tip-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                document.getElementById('custom-tip').value = '';
+                this.selectTip(parseFloat(button.dataset.tip), button);
+            });
+        });
+        
+        // Custom tip percentage
+        document.getElementById('custom-tip').addEventListener('input', (event) => {
+            const tipPercent = parseFloat(event.target.value);
+            this.selectTip(Number.isFinite(tipPercent) ? tipPercent : 0, null);
+        });
+        
+        document.getElementById('split-count').addEventListener('input', () => {
+            this.updateAmountPreview();
+        });
+        this.updateAmountPreview();
+    }
+    
+    selectTip(tipPercent, activeButton) {
+        this.tipPercent = tipPercent;
+        document.querySelectorAll('.tip-btn').forEach(button => {
+            button.classList.toggle('active', button === activeButton);
+        });
+        this.updateAmountPreview();
+    }
+    
+    getTipPercent() {
+        if (this.tipPercent < 0 || this.tipPercent > this.maxTipPercent) {
+            return null;
+        }
+        return this.tipPercent;
+    }
+    
+    getSplitCount() {
+        const splitCount = parseInt(document.getElementById('split-count').value, 10) || 1;
+        if (splitCount < 1 || splitCount > this.maxBillSplits) {
+            return null;
+        }
+        return splitCount;
+    }
+    
+    // Same rounding as calculateTip() on the server
+    calculateTip(amount, tipPercent) {
+        return Math.round(amount * tipPercent) / 100;
+    }
+    
+    getOrderAmount() {
+        const amount = parseFloat(document.getElementById('order-amount').value);
+        if (!Number.isFinite(amount) || amount < this.minAmount || amount > this.maxAmount) {
+            return null;
+        }
+        return Math.round(amount * 100) / 100;
+    }
+    
+    updateAmountPreview() {
+        const amount = this.getOrderAmount() || 0;
+        const tip = this.calculateTip(amount, this.getTipPercent() || 0);
+        const splitCount = this.getSplitCount() || 1;
+        // Tips go to the business in full - fees apply to the order total only
+        const platformFee = amount * 0.01;
+        const vaultFee = amount * 0.013;
+        
+        document.getElementById('preview-tip').textContent = tip.toFixed(2);
+        document.getElementById('preview-total').textContent = (amount + tip).toFixed(2);
+        document.getElementById('preview-split').textContent = splitCount > 1
+            ? ` (${splitCount} payments of ~$${((amount + tip) / splitCount).toFixed(2)})`
+            : '';
+        document.getElementById('preview-reward').textContent = (amount * 0.02).toFixed(2);
+        document.getElementById('preview-platform-fee').textContent = platformFee.toFixed(3);
+        document.getElementById('preview-vault-fee').textContent = vaultFee.toFixed(3);
+        document.getElementById('preview-net').textContent = (amount + tip - platformFee - vaultFee).toFixed(3);
     }
     
     async generateQRCode() {
         if (this.isGenerating) return;
         
+        const amount = this.getOrderAmount();
+        if (amount === null) {
+            this.showError(`Enter an order total between $${this.minAmount} and $${this.maxAmount} USDC`);
+            return;
+        }
+        
+        const tipPercent = this.getTipPercent();
+        if (tipPercent === null) {
+            this.showError(`Tip must be between 0% and ${this.maxTipPercent}%`);
+            return;
+        }
+        
+        const splitCount = this.getSplitCount();
+        if (splitCount === null) {
+            this.showError(`Bill can be split into 1 to ${this.maxBillSplits} payments`);
+            return;
+        }
+        
+        if (splitCount > 1) {
+            return this.createBill(amount, tipPercent, splitCount);
+        }
+        
         this.isGenerating = true;
         this.showLoading('Generating QR Code...');
         
         try {
-            // Fixed $15 USDC payment
             const paymentData = {
                 businessId: this.businessId,
-                amount: 15, // Fixed $15 USDC
+                amount,
+                tipPercent,
                 currency: 'USDC',
-                description: 'Pizza Payment - 0.3 $PIZZA SPL Reward'
+                description: `Pizza Payment - $${amount.toFixed(2)} USDC`
             };
             
             const response = await fetch('/api/blockchain/payment/qr', {
@@ -100,6 +214,7 @@ class VendorPayment {
     
     displayQRCode(qrData) {
         this.qrCodeData = qrData;
+        this.bill = null;
         
         // Display QR code image
         const qrContainer = document.getElementById('qr-code-container');
@@ -115,8 +230,9 @@ class VendorPayment {
         const qrDetails = document.createElement('div');
         qrDetails.className = 'qr-details';
         qrDetails.innerHTML = `
-            <p><strong>Amount:</strong> $15 USDC</p>
-            <p><strong>Reward:</strong> 0.3 $PIZZA SPL</p>
+            <p><strong>Amount:</strong> $${this.escapeHtml(String(qrData.amount))} USDC</p>
+            ${qrData.tipAmount > 0 ? `<p><strong>Includes Tip:</strong> $${this.escapeHtml(qrData.tipAmount.toFixed(2))} USDC</p>` : ''}
+            <p><strong>Reward:</strong> ${this.escapeHtml(String(qrData.estimatedReward))} $PIZZA SPL</p>
             <p><strong>Reference:</strong> ${this.escapeHtml(qrData.reference)}</p>
             <p><strong>Expires:</strong> ${this.escapeHtml(new Date(qrData.expiresAt).toLocaleTimeString())}</p>
         `;
@@ -134,7 +250,38 @@ class VendorPayment {
         this.monitorPaymentStatus(qrData.reference);
     }
     
-    async monitorPaymentStatus(reference) {
+    monitorPaymentStatus(reference) {
+        this.stopMonitoring();
+        
+        const handleStatus = (status) => {
+            if (!status.completed) return false;
+            
+            this.stopMonitoring();
+            if (status.success) {
+                this.showPaymentSuccess(status);
+            } else {
+                this.showPaymentError(status.error);
+            }
+            return true;
+        };
+        
+        // Prefer the push stream; fall back to polling when it is unavailable
+        if (window.PaymentStream) {
+            this.paymentStream = new PaymentStream(`/api/stream/payments/${reference}`, {
+                token: localStorage.getItem('businessToken'),
+                onEvent: (eventName, status) => handleStatus(status),
+                onUnavailable: () => {
+                    this.paymentStream = null;
+                    this.pollPaymentStatus(reference, handleStatus);
+                }
+            });
+            this.paymentStream.connect();
+        } else {
+            this.pollPaymentStatus(reference, handleStatus);
+        }
+    }
+    
+    pollPaymentStatus(reference, handleStatus) {
         const checkStatus = async () => {
             try {
                 const response = await fetch(`/api/blockchain/payment/status/${reference}`, {
@@ -145,32 +292,278 @@ class VendorPayment {
                 
                 if (response.ok) {
                     const status = await response.json();
-                    if (status.completed) {
-                        if (status.success) {
-                            this.showPaymentSuccess(status);
-                        } else {
-                            this.showPaymentError(status.error);
-                        }
+                    if (handleStatus(status)) {
                         return; // Stop monitoring
                     }
+                } else if (response.status === 404) {
+                    this.stopMonitoring();
+                    this.showPaymentError('Payment request not found');
+                    return;
                 }
             } catch (error) {
                 console.error('Status check error:', error);
             }
             
             // Continue monitoring every 3 seconds
-            setTimeout(checkStatus, 3000);
+            this.pollTimer = setTimeout(checkStatus, 3000);
+        };
+        
+        checkStatus();
+    }
+    
+    async createBill(subtotal, tipPercent, splitCount) {
+        this.isGenerating = true;
+        this.showLoading(`Generating ${splitCount} QR Codes...`);
+        
+        try {
+            const response = await fetch('/api/blockchain/bills', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('businessToken')}`
+                },
+                body: JSON.stringify({
+                    businessId: this.businessId,
+                    subtotal,
+                    tipPercent,
+                    splitCount
+                })
+            });
+            
+            const data = await response.json();
+            if (response.ok) {
+                this.displayBill(data);
+            } else {
+                this.showError(data.error || 'Failed to create split bill');
+            }
+        } catch (error) {
+            console.error('Bill creation error:', error);
+            this.showError('Failed to create split bill');
+        } finally {
+            this.isGenerating = false;
+            this.hideLoading();
+        }
+    }
+    
+    displayBill(billData) {
+        // QR images are only returned when a share is issued - keep them across status refreshes
+        const qrCodes = {};
+        (this.bill?.parts || []).forEach(part => {
+            if (part.qrCode) qrCodes[part.reference] = part.qrCode;
+        });
+        billData.parts.forEach(part => {
+            if (!part.qrCode && qrCodes[part.reference]) part.qrCode = qrCodes[part.reference];
+        });
+        
+        const isNewBill = this.bill?.billId !== billData.billId;
+        this.bill = billData;
+        this.qrCodeData = null;
+        this.renderBill();
+        
+        document.getElementById('qr-section').style.display = 'block';
+        document.getElementById('generate-section').style.display = 'none';
+        
+        if (billData.fullyPaid || billData.status === 'cancelled') {
+            this.stopMonitoring();
+        } else if (isNewBill) {
+            this.monitorBill();
+        }
+    }
+    
+    renderBill() {
+        const bill = this.bill;
+        const container = document.getElementById('qr-code-container');
+        container.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = `bill-summary ${bill.fullyPaid ? 'paid' : ''}`;
+        summary.innerHTML = `
+            <h3>${bill.fullyPaid ? '✅ Bill Fully Paid!' : `🧾 Split Bill - ${this.escapeHtml(String(bill.paidCount))} of ${this.escapeHtml(String(bill.splitCount))} paid`}</h3>
+            <p><strong>Total:</strong> $${this.escapeHtml(bill.total.toFixed(2))} USDC
+                ${bill.tipAmount > 0 ? `(includes $${this.escapeHtml(bill.tipAmount.toFixed(2))} tip)` : ''}</p>
+            <p><strong>Paid:</strong> $${this.escapeHtml(bill.paidAmount.toFixed(2))} USDC</p>
+            <p><strong>Remaining:</strong> $${this.escapeHtml(bill.remainingAmount.toFixed(2))} USDC</p>
+        `;
+        container.appendChild(summary);
+        
+        const parts = document.createElement('div');
+        parts.className = 'bill-parts';
+        bill.parts.forEach(part => parts.appendChild(this.renderBillPart(part)));
+        container.appendChild(parts);
+        
+        if (bill.fullyPaid) {
+            const newPaymentButton = document.createElement('button');
+            newPaymentButton.className = 'btn btn-primary';
+            newPaymentButton.textContent = 'New Payment';
+            newPaymentButton.addEventListener('click', () => this.resetForNewPayment());
+            container.appendChild(newPaymentButton);
+        }
+    }
+    
+    renderBillPart(part) {
+        const card = document.createElement('div');
+        card.className = `bill-part ${part.status}`;
+        
+        const title = document.createElement('h4');
+        title.textContent = `Guest ${part.index + 1} - $${part.amount.toFixed(2)}`;
+        card.appendChild(title);
+        
+        const status = document.createElement('span');
+        status.className = `part-status ${part.status}`;
+        status.textContent = part.status.replace('_', ' ');
+        card.appendChild(status);
+        
+        if (part.status === 'awaiting_payment' && part.qrCode) {
+            const qrImage = document.createElement('img');
+            qrImage.src = `data:image/png;base64,${this.sanitizeBase64(part.qrCode.split(',').pop())}`;
+            qrImage.alt = `Payment QR Code for guest ${part.index + 1}`;
+            qrImage.className = 'qr-image';
+            card.appendChild(document.createElement('br'));
+            card.appendChild(qrImage);
+        }
+        
+        if (part.status === 'paid' && part.signature) {
+            const signature = document.createElement('p');
+            signature.className = 'qr-details';
+            signature.textContent = `Tx: ${part.signature}`;
+            card.appendChild(signature);
+        }
+        
+        // Closed QR windows can be replaced with a fresh payment request
+        if (['expired', 'cancelled', 'failed'].includes(part.status) && this.bill.status !== 'cancelled') {
+            const regenerateButton = document.createElement('button');
+            regenerateButton.className = 'btn btn-secondary';
+            regenerateButton.textContent = '🔄 New QR';
+            regenerateButton.addEventListener('click', () => this.regenerateBillPart(part.index));
+            card.appendChild(document.createElement('br'));
+            card.appendChild(regenerateButton);
+        }
+        
+        return card;
+    }
+    
+    monitorBill() {
+        this.stopMonitoring();
+        
+        const billReferences = () => new Set(this.bill.parts.map(part => part.reference));
+        
+        // Business stream carries every payment event; refresh the bill when one of its shares moves
+        if (window.PaymentStream) {
+            this.paymentStream = new PaymentStream(`/api/stream/business/payments?businessId=${encodeURIComponent(this.businessId)}`, {
+                token: localStorage.getItem('businessToken'),
+                onEvent: (eventName, status) => {
+                    if (status?.reference && billReferences().has(status.reference)) {
+                        this.scheduleBillRefresh();
+                    }
+                },
+                onUnavailable: () => {
+                    this.paymentStream = null;
+                    this.pollBillStatus();
+                }
+            });
+            this.paymentStream.connect();
+        } else {
+            this.pollBillStatus();
+        }
+    }
+    
+    scheduleBillRefresh() {
+        // Debounce bursts of events (several guests paying at once)
+        if (this.refreshTimer) clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refreshBill();
+        }, 1000);
+    }
+    
+    async refreshBill() {
+        if (!this.bill) return null;
+        
+        try {
+            const response = await fetch(`/api/blockchain/bills/${this.bill.billId}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('businessToken')}`
+                }
+            });
+            
+            if (response.ok) {
+                const billData = await response.json();
+                this.displayBill(billData);
+                return billData;
+            }
+            
+            if (response.status === 404) {
+                this.stopMonitoring();
+                this.showPaymentError('Bill not found');
+            }
+        } catch (error) {
+            console.error('Bill status error:', error);
+        }
+        return null;
+    }
+    
+    pollBillStatus() {
+        const checkStatus = async () => {
+            const billData = await this.refreshBill();
+            if (billData && (billData.fullyPaid || billData.status === 'cancelled')) {
+                return; // Stop monitoring
+            }
+            
+            // Continue monitoring every 3 seconds
+            this.pollTimer = setTimeout(checkStatus, 3000);
         };
         
         checkStatus();
     }
     
+    async regenerateBillPart(index) {
+        if (!this.bill || this.isGenerating) return;
+        this.isGenerating = true;
+        
+        try {
+            const response = await fetch(`/api/blockchain/bills/${this.bill.billId}/parts/${index}/qr`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('businessToken')}`
+                }
+            });
+            
+            const data = await response.json();
+            if (response.ok) {
+                data.parts = data.parts.map(part => part.index === index ? data.part : part);
+                this.displayBill(data);
+            } else {
+                this.showError(data.error || 'Failed to issue new QR code');
+            }
+        } catch (error) {
+            console.error('Bill share QR error:', error);
+            this.showError('Failed to issue new QR code');
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+    
+    stopMonitoring() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (this.paymentStream) {
+            this.paymentStream.close();
+            this.paymentStream = null;
+        }
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+    
     showPaymentSuccess(status) {
         const successHtml = `
             <div class="payment-success">
                 <h3>✅ Payment Received!</h3>
-                <p><strong>Amount:</strong> $${this.escapeHtml(status.amount)} USDC</p>
-                <p><strong>Reward Sent:</strong> 0.3 $PIZZA SPL</p>
+                <p><strong>Amount:</strong> $${this.escapeHtml(String(status.amount ?? this.qrCodeData?.amount))} USDC</p>
+                <p><strong>Reward Sent:</strong> ${this.escapeHtml(String(status.reward ?? this.qrCodeData?.estimatedReward))} $PIZZA SPL</p>
                 <p><strong>Transaction:</strong> ${this.escapeHtml(status.signature)}</p>
                 <button id="new-payment-btn" class="btn btn-primary">New Payment</button>
             </div>
@@ -206,16 +599,20 @@ class VendorPayment {
     }
     
     resetForNewPayment() {
+        this.stopMonitoring();
         document.getElementById('qr-section').style.display = 'none';
         document.getElementById('generate-section').style.display = 'block';
         document.getElementById('qr-code-container').innerHTML = '';
         this.qrCodeData = null;
+        this.bill = null;
     }
     
     copyQRData() {
-        if (!this.qrCodeData) return;
+        if (!this.qrCodeData && !this.bill) return;
         
-        const qrText = this.qrCodeData.solanaPayURL || this.qrCodeData.reference;
+        const qrText = this.bill
+            ? this.bill.parts.map(part => `Guest ${part.index + 1}: ${part.paymentUrl || part.reference}`).join('\n')
+            : this.qrCodeData.solanaPayURL || this.qrCodeData.reference;
         navigator.clipboard.writeText(qrText).then(() => {
             this.showMessage('QR data copied to clipboard!');
         }).catch(() => {